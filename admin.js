@@ -3,6 +3,7 @@ let studentsData = [];
 let attendanceData = [];
 let logsData = [];
 let charts = window.charts || (window.charts = {});
+let labTimezone = 'America/New_York'; // config.timezone, refreshed on load and in loadSettings
 
 // ==================== DARK MODE ====================
 
@@ -331,6 +332,15 @@ async function loadSectionData(sectionName) {
         case 'settings':
             await loadSettings();
             break;
+        case 'audit':
+            await loadAudit();
+            break;
+        case 'trash':
+            await loadTrash();
+            break;
+        case 'conflicts':
+            await loadSyncConflicts();
+            break;
         case 'logs':
             await loadLogs();
             break;
@@ -344,9 +354,11 @@ async function loadSectionData(sectionName) {
 // Dashboard Functions
 async function loadDashboard() {
     try {
-        const stats = await window.electronAPI.getEnhancedStats();
+        const locationId = document.getElementById('dashboardLocationFilter')?.value || null;
+        const stats = await window.electronAPI.getEnhancedStats({ locationId });
         const students = await window.electronAPI.getStudents();
-        const todaysAttendance = await window.electronAPI.getTodaysAttendance();
+        const todaysAttendance = (await window.electronAPI.getTodaysAttendance())
+            .filter(r => !locationId || r.locationId === locationId);
 
         document.getElementById('totalStudents').textContent = stats.totalStudents;
         document.getElementById('currentlyPresent').textContent = stats.currentlySignedIn;
@@ -356,6 +368,7 @@ async function loadDashboard() {
 
         loadRecentActivity(todaysAttendance.slice(-15));
         loadCurrentlyPresent(stats.signedInStudents);
+        await loadExpectedNow();
         await loadDashboardCharts();
     } catch (error) {
         showNotification('Error loading dashboard: ' + error.message, 'error');
@@ -419,6 +432,45 @@ function loadCurrentlyPresent(presentStudents) {
     `).join('');
 }
 
+async function loadExpectedNow() {
+    const section = document.getElementById('expectedNowSection');
+    const container = document.getElementById('expectedNowList');
+    if (!section || !container) return;
+
+    try {
+        const expected = await window.electronAPI.getExpectedNow();
+        if (!expected || expected.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = '';
+        container.innerHTML = expected.map(entry => {
+            let badge = '<div class="badge warning">Not In Yet</div>';
+            if (entry.present) {
+                badge = entry.status === 'late'
+                    ? `<div class="badge warning">Late ${entry.minutesLate}m</div>`
+                    : '<div class="badge success">Present</div>';
+            } else if (entry.arrivedAt) {
+                badge = '<div class="badge">Left Early</div>';
+            }
+
+            return `
+                <div style="display: flex; align-items: center; gap: 0.75rem; padding: 0.75rem; border-bottom: 1px solid #f1f5f9;">
+                    <div style="flex: 1;">
+                        <div style="font-weight: 500; font-size: 0.875rem;">${escapeHtml(entry.name)}</div>
+                        <div style="font-size: 0.75rem; color: #64748b;">${escapeHtml(entry.label)}</div>
+                    </div>
+                    ${badge}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading expected students:', error);
+        section.style.display = 'none';
+    }
+}
+
 // Fix Chart.js loading issue
 function waitForChart() {
     return new Promise((resolve) => {
@@ -557,8 +609,10 @@ async function loadStudents() {
         studentsCurrentPage = 1;
         const searchInput = document.getElementById('studentSearch');
         const statusFilterEl = document.getElementById('statusFilter');
+        const locationFilterEl = document.getElementById('studentLocationFilter');
         if (searchInput) searchInput.value = '';
         if (statusFilterEl) statusFilterEl.value = '';
+        if (locationFilterEl) locationFilterEl.value = '';
 
         const result = await window.electronAPI.getStudentsPaginated(
             studentsCurrentPage,
@@ -588,8 +642,42 @@ function setupEditStudentModal() {
         e.preventDefault();
         saveStudentEdits();
     });
+
+    const addShiftBtn = document.getElementById('addShiftBtn');
+    if (addShiftBtn) addShiftBtn.addEventListener('click', () => addShiftRow());
+}
+
+const SHIFT_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function addShiftRow(shift = { day: 1, start: '09:00', end: '13:00' }) {
+    const list = document.getElementById('editShiftsList');
+    const row = document.createElement('div');
+    row.className = 'shift-row';
+    row.style.cssText = 'display: flex; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem;';
+    row.innerHTML = `
+        <select class="form-input shift-day" style="flex: 1;">
+            ${SHIFT_DAYS.map((d, i) => `<option value="${i}" ${i === shift.day ? 'selected' : ''}>${d}</option>`).join('')}
+        </select>
+        <input type="time" class="form-input shift-start" value="${shift.start}" style="flex: 1;" />
+        <span>–</span>
+        <input type="time" class="form-input shift-end" value="${shift.end}" style="flex: 1;" />
+        <button type="button" class="btn btn-secondary" title="Remove shift">&times;</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    list.appendChild(row);
 }
 
+function readShiftRows() {
+    return Array.from(document.querySelectorAll('#editShiftsList .shift-row')).map(row => ({
+        day: Number(row.querySelector('.shift-day').value),
+        start: row.querySelector('.shift-start').value,
+        end: row.querySelector('.shift-end').value
+    }));
+}
+
+const STUDENT_STATUS_LABELS = { active: 'Active', on_leave: 'On leave', alumni: 'Alumni' };
+const STUDENT_STATUS_BADGES = { active: 'success', on_leave: 'warning', alumni: 'info' };
+
 function displayStudents(students) {
     const tbody = document.getElementById('studentsTableBody');
     if (!students || students.length === 0) {
@@ -637,9 +725,10 @@ function displayStudents(students) {
         </td>
 
         <td>
-          <span class="badge ${student.active ? 'success' : 'error'}">
-            ${student.active ? 'Active' : 'Inactive'}
+          <span class="badge ${STUDENT_STATUS_BADGES[student.status] || 'success'}">
+            ${STUDENT_STATUS_LABELS[student.status] || 'Active'}
           </span>
+          ${student.endDate ? `<div style="font-size: 0.75rem; color: #64748b;">until ${student.endDate}</div>` : ''}
         </td>
 
         <td style="font-size: 0.875rem; color: #64748b;">
@@ -716,11 +805,16 @@ function setupStudentSearch() {
     if (statusFilter) {
         statusFilter.addEventListener('change', filterStudents);
     }
+    const studentLocationFilter = document.getElementById('studentLocationFilter');
+    if (studentLocationFilter) {
+        studentLocationFilter.addEventListener('change', filterStudents);
+    }
 }
 
 async function filterStudents() {
     const searchTerm = document.getElementById('studentSearch')?.value || '';
     const statusFilter = document.getElementById('statusFilter')?.value || '';
+    const locationId = document.getElementById('studentLocationFilter')?.value || '';
 
     // Reset to page 1 when filtering
     studentsCurrentPage = 1;
@@ -729,7 +823,7 @@ async function filterStudents() {
         const result = await window.electronAPI.getStudentsPaginated(
             studentsCurrentPage,
             PAGE_SIZE,
-            { search: searchTerm, status: statusFilter }
+            { search: searchTerm, status: statusFilter, locationId }
         );
 
         studentsData = result.students;
@@ -744,6 +838,7 @@ async function filterStudents() {
 async function loadStudentsPage(page) {
     const searchTerm = document.getElementById('studentSearch')?.value || '';
     const statusFilter = document.getElementById('statusFilter')?.value || '';
+    const locationId = document.getElementById('studentLocationFilter')?.value || '';
 
     studentsCurrentPage = page;
 
@@ -751,7 +846,7 @@ async function loadStudentsPage(page) {
         const result = await window.electronAPI.getStudentsPaginated(
             studentsCurrentPage,
             PAGE_SIZE,
-            { search: searchTerm, status: statusFilter }
+            { search: searchTerm, status: statusFilter, locationId }
         );
 
         studentsData = result.students;
@@ -776,7 +871,13 @@ function editStudent(ufid) {
     document.getElementById('editRole').value = (s.role || 'volunteer').toLowerCase();
     document.getElementById('editExpectedHours').value = (s.expectedHoursPerWeek ?? '');
     document.getElementById('editExpectedDays').value = (s.expectedDaysPerWeek ?? '');
-    document.getElementById('editActive').checked = !!s.active;
+    document.getElementById('editStatus').value = s.status || (s.active ? 'active' : 'on_leave');
+    document.getElementById('editStartDate').value = s.startDate || '';
+    document.getElementById('editEndDate').value = s.endDate || '';
+
+    document.getElementById('editShiftsList').innerHTML = '';
+    (s.shifts || []).forEach(shift => addShiftRow(shift));
+    renderStudentLocations(s.locations || []);
 
     openModal('editStudentModal');
 }
@@ -788,7 +889,11 @@ async function saveStudentEdits() {
     const role = document.getElementById('editRole').value;
     const expectedHoursPerWeek = Number(document.getElementById('editExpectedHours').value || 0);
     const expectedDaysPerWeek = Number(document.getElementById('editExpectedDays').value || 0);
-    const active = document.getElementById('editActive').checked;
+    const status = document.getElementById('editStatus').value;
+    const startDate = document.getElementById('editStartDate').value || null;
+    let endDate = document.getElementById('editEndDate').value || null;
+    const shifts = readShiftRows();
+    const locations = readStudentLocations();
 
     if (!ufid || !name) {
         showNotification('UFID and name are required', 'error');
@@ -798,6 +903,19 @@ async function saveStudentEdits() {
         showNotification('Expected days/week must be between 0 and 7', 'error');
         return;
     }
+    if (shifts.some(sh => !sh.start || !sh.end || sh.end <= sh.start)) {
+        showNotification('Each shift needs an end time after its start time', 'error');
+        return;
+    }
+    if (startDate && endDate && endDate < startDate) {
+        showNotification('"Member until" must be on or after "Member since"', 'error');
+        return;
+    }
+
+    // On a status change with the end date untouched, let the app close
+    // (alumni: today) or reopen (back to active) the membership
+    const previous = studentsData.find(x => x.ufid === ufid);
+    if (previous && status !== previous.status && endDate === (previous.endDate || null)) endDate = undefined;
 
     try {
         const result = await window.electronAPI.updateStudent({
@@ -807,7 +925,11 @@ async function saveStudentEdits() {
             role,
             expectedHoursPerWeek,
             expectedDaysPerWeek,
-            active
+            status,
+            startDate,
+            endDate,
+            shifts,
+            locations
         });
 
         if (!result.success) {
@@ -827,6 +949,7 @@ async function saveStudentEdits() {
 function clearFilters() {
     document.getElementById('studentSearch').value = '';
     document.getElementById('statusFilter').value = '';
+    document.getElementById('studentLocationFilter').value = '';
     displayStudents(studentsData);
 }
 
@@ -1044,6 +1167,8 @@ function displayAttendance(attendance) {
                 <span class="badge ${record.action === 'signin' ? 'success' : 'warning'}">
                     ${record.action === 'signin' ? 'Sign In' : 'Sign Out'}
                 </span>
+                ${record.correction ? `<span class="badge info" title="${escapeHtml(`Approved by ${record.approvedBy || 'admin'}: ${record.correctionReason || ''}`)}">Correction</span>` : ''}
+                ${record.locationId ? `<div style="font-size: 0.75rem; color: #64748b;">${escapeHtml(locationName(record.locationId))}</div>` : ''}
             </td>
             <td style="font-size: 0.875rem; color: #64748b;">${record.duration || '-'}</td>
             <td>
@@ -1068,14 +1193,16 @@ function applyAttendanceFilters() {
     const toDate = new Date(document.getElementById('toDate').value);
     const studentId = document.getElementById('studentFilter').value;
     const action = document.getElementById('actionFilter').value;
+    const locationId = document.getElementById('attendanceLocationFilter').value;
 
     let filtered = attendanceData.filter(record => {
         const recordDate = new Date(record.timestamp);
         const matchesDate = recordDate >= fromDate && recordDate <= toDate;
         const matchesStudent = !studentId || record.ufid === studentId;
         const matchesAction = !action || record.action === action;
+        const matchesLocation = !locationId || record.locationId === locationId;
 
-        return matchesDate && matchesStudent && matchesAction;
+        return matchesDate && matchesStudent && matchesAction && matchesLocation;
     });
 
     displayAttendance(filtered);
@@ -1085,6 +1212,7 @@ function clearAttendanceFilters() {
     setDefaultDateRange();
     document.getElementById('studentFilter').value = '';
     document.getElementById('actionFilter').value = '';
+    document.getElementById('attendanceLocationFilter').value = '';
     displayAttendance(attendanceData);
 }
 
@@ -1462,9 +1590,607 @@ function filterLogs() {
     displayLogs(filtered);
 }
 
+// Audit Log
+let auditCurrentPage = 1;
+
+const AUDIT_ACTOR_LABELS = {
+    'kiosk': 'Kiosk',
+    'admin-desktop': 'Admin (desktop)',
+    'web-admin': 'Web admin',
+    'system': 'System'
+};
+
+const AUDIT_ACTION_LABELS = {
+    'attendance.create': 'Attendance added',
+    'attendance.update': 'Attendance updated',
+    'attendance.delete': 'Attendance deleted',
+    'student.create': 'Student added',
+    'student.update': 'Student updated',
+    'student.delete': 'Student removed',
+    'student.face_enroll': 'Face ID enrolled',
+    'student.face_clear': 'Face ID removed',
+    'student.face_refresh': 'Face ID refreshed',
+    'attendance.restore': 'Attendance restored',
+    'attendance.purge': 'Attendance deleted forever',
+    'student.restore': 'Student restored',
+    'student.purge': 'Student deleted forever',
+    'student.conflict_resolve': 'Student sync conflict resolved',
+    'attendance.conflict_resolve': 'Attendance sync conflict resolved',
+    'data.restore': 'Data restored from backup',
+    'encryption.rotate': 'Encryption password rotated',
+    'retention.purge': 'Data retention applied',
+    'privacy.export': 'Student data exported',
+    'privacy.erase': 'Student erased'
+};
+
+function readAuditFilters() {
+    return {
+        actor: document.getElementById('auditActor')?.value || '',
+        action: document.getElementById('auditAction')?.value || '',
+        search: document.getElementById('auditSearch')?.value.trim() || '',
+        startDate: document.getElementById('auditStartDate')?.value || '',
+        endDate: document.getElementById('auditEndDate')?.value || ''
+    };
+}
+
+async function loadAudit(page = 1) {
+    auditCurrentPage = page;
+    try {
+        const result = await window.electronAPI.getAuditLog({
+            ...readAuditFilters(),
+            offset: (page - 1) * PAGE_SIZE,
+            limit: PAGE_SIZE
+        });
+        if (!result.success) {
+            showNotification('Error loading audit log: ' + result.error, 'error');
+            return;
+        }
+        displayAuditLog(result.entries);
+        renderPagination('auditPagination', auditCurrentPage, result.totalCount, loadAudit);
+    } catch (error) {
+        showNotification('Error loading audit log: ' + error.message, 'error');
+    }
+}
+
+// One line per changed field for updates; the key fields of the record for creates/deletes
+function describeAuditEntry(entry) {
+    const { before, after } = entry;
+    if (before && after) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys
+            .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+            .map(k => `${k}: ${JSON.stringify(before[k]) ?? '-'} → ${JSON.stringify(after[k]) ?? '-'}`);
+    }
+    const record = after || before;
+    if (!record) return [];
+    if (entry.entityType === 'attendance') {
+        const when = record.timestamp ? new Date(record.timestamp).toLocaleString('en-US', { timeZone: labTimezone }) : '';
+        return [`${record.name || record.ufid} — ${record.action} at ${when}`];
+    }
+    return [`${record.name || ''} ${record.email ? `<${record.email}>` : ''}`.trim()];
+}
+
+function displayAuditLog(entries) {
+    const tbody = document.getElementById('auditTable');
+    if (!entries || entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #64748b;">No audit entries found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => {
+        const actor = AUDIT_ACTOR_LABELS[entry.actor] || entry.actor;
+        const badge = /\.(delete|purge)$/.test(entry.action) || entry.action === 'student.face_clear'
+            ? 'error'
+            : entry.action.endsWith('.update') ? 'warning' : 'success';
+        const details = describeAuditEntry(entry).map(line => `<div>${escapeHtml(line)}</div>`).join('');
+        return `
+            <tr>
+                <td style="font-size: 0.875rem; font-family: monospace;">${new Date(entry.timestamp).toLocaleString('en-US', { timeZone: labTimezone })}</td>
+                <td style="font-size: 0.875rem;">
+                    ${escapeHtml(actor)}
+                    ${entry.actorName ? `<div style="color: #64748b; font-size: 0.75rem;">${escapeHtml(entry.actorName)}</div>` : ''}
+                </td>
+                <td><span class="badge ${badge}">${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</span></td>
+                <td style="font-size: 0.875rem; font-family: monospace;">${escapeHtml(entry.entityId || '')}</td>
+                <td style="font-size: 0.8rem;">${details}</td>
+                <td style="font-size: 0.875rem;">${escapeHtml(entry.reason || '')}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function exportAuditLog() {
+    try {
+        const result = await window.electronAPI.exportAuditCsv(readAuditFilters());
+        if (!result.success) {
+            showNotification('Export error: ' + result.error, 'error');
+            return;
+        }
+
+        const blob = new Blob([result.csv], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+
+        showNotification('Audit log exported successfully!', 'success');
+    } catch (error) {
+        showNotification('Export error: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Confirm a delete and collect the reason recorded in the audit log
+ * @param {string} title - Modal title
+ * @param {string} message - Confirmation text
+ * @param {string} [confirmLabel] - Text of the confirm button
+ * @returns {Promise<string|null>} The reason ('' if left blank), or null if cancelled
+ */
+function askDeleteReason(title, message, confirmLabel = 'Delete') {
+    document.getElementById('auditReasonTitle').textContent = title;
+    document.getElementById('auditReasonMessage').textContent = message;
+    document.getElementById('confirmAuditReasonBtn').textContent = confirmLabel;
+    const input = document.getElementById('auditReasonInput');
+    input.value = '';
+    openModal('auditReasonModal');
+    input.focus();
+
+    return new Promise(resolve => {
+        const modal = document.getElementById('auditReasonModal');
+        const confirmBtn = document.getElementById('confirmAuditReasonBtn');
+        const cancelBtns = [document.getElementById('cancelAuditReasonBtn'), document.getElementById('closeAuditReasonModal')];
+        const finish = (value) => {
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtns.forEach(btn => btn.removeEventListener('click', onCancel));
+            modal.removeEventListener('click', onBackdrop);
+            closeModal('auditReasonModal');
+            resolve(value);
+        };
+        const onConfirm = () => finish(input.value.trim());
+        const onCancel = () => finish(null);
+        const onBackdrop = (e) => { if (e.target === modal) finish(null); };
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtns.forEach(btn => btn.addEventListener('click', onCancel));
+        modal.addEventListener('click', onBackdrop);
+    });
+}
+
+// Trash
+async function loadTrash() {
+    try {
+        const result = await window.electronAPI.getTrash();
+        if (!result.success) {
+            showNotification('Error loading trash: ' + result.error, 'error');
+            return;
+        }
+        displayTrash(result);
+    } catch (error) {
+        showNotification('Error loading trash: ' + error.message, 'error');
+    }
+}
+
+function displayTrash({ students, attendance }) {
+    const formatTime = (iso) => new Date(iso).toLocaleString('en-US', { timeZone: labTimezone });
+    const actions = (kind, id) => `
+        <button class="btn btn-sm btn-primary trash-restore-btn" data-kind="${kind}" data-id="${escapeHtml(String(id))}">Restore</button>
+        <button class="btn btn-sm btn-danger trash-purge-btn" data-kind="${kind}" data-id="${escapeHtml(String(id))}">Delete forever</button>
+    `;
+
+    const studentsBody = document.getElementById('trashStudentsTable');
+    studentsBody.innerHTML = students.length === 0
+        ? '<tr><td colspan="5" style="text-align: center; color: #64748b;">No deleted students</td></tr>'
+        : students.map(s => `
+            <tr>
+                <td style="font-family: monospace;">${escapeHtml(s.ufid)}</td>
+                <td>${escapeHtml(s.name || '')}</td>
+                <td>${escapeHtml(s.email || '')}</td>
+                <td style="font-size: 0.875rem;">${formatTime(s.deletedAt)}</td>
+                <td>${actions('student', s.ufid)}</td>
+            </tr>
+        `).join('');
+
+    const attendanceBody = document.getElementById('trashAttendanceTable');
+    attendanceBody.innerHTML = attendance.length === 0
+        ? '<tr><td colspan="5" style="text-align: center; color: #64748b;">No deleted attendance records</td></tr>'
+        : attendance.map(r => `
+            <tr>
+                <td style="font-size: 0.875rem; font-family: monospace;">${formatTime(r.timestamp)}</td>
+                <td>${escapeHtml(r.name || '')} <span style="color: #64748b; font-family: monospace;">${escapeHtml(r.ufid)}</span></td>
+                <td><span class="badge ${r.action === 'signin' ? 'success' : 'warning'}">${r.action === 'signin' ? 'Sign In' : 'Sign Out'}</span></td>
+                <td style="font-size: 0.875rem;">${formatTime(r.deletedAt)}</td>
+                <td>${actions('attendance', r.id)}</td>
+            </tr>
+        `).join('');
+
+    document.querySelectorAll('#trash-section .trash-restore-btn').forEach(btn => {
+        btn.addEventListener('click', () => restoreFromTrash(btn.dataset.kind, btn.dataset.id));
+    });
+    document.querySelectorAll('#trash-section .trash-purge-btn').forEach(btn => {
+        btn.addEventListener('click', () => purgeFromTrash(btn.dataset.kind, btn.dataset.id));
+    });
+}
+
+async function restoreFromTrash(kind, id) {
+    try {
+        const result = kind === 'student'
+            ? await window.electronAPI.restoreStudent(id)
+            : await window.electronAPI.restoreAttendanceRecord(Number(id));
+        if (result.success) {
+            showNotification(kind === 'student' ? 'Student restored' : 'Record restored', 'success');
+            await loadTrash();
+        } else {
+            showNotification('Error restoring: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error restoring: ' + error.message, 'error');
+    }
+}
+
+async function purgeFromTrash(kind, id) {
+    const reason = await askDeleteReason(
+        'Delete Forever',
+        kind === 'student'
+            ? 'Permanently delete this student? Their attendance records are kept. This cannot be undone.'
+            : 'Permanently delete this attendance record? This cannot be undone.',
+        'Delete forever'
+    );
+    if (reason === null) return;
+
+    try {
+        const result = kind === 'student'
+            ? await window.electronAPI.purgeStudent(id, reason)
+            : await window.electronAPI.purgeAttendanceRecord(Number(id), reason);
+        if (result.success) {
+            showNotification('Permanently deleted', 'success');
+            await loadTrash();
+        } else {
+            showNotification('Error deleting: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting: ' + error.message, 'error');
+    }
+}
+
+// Sync conflicts
+const CONFLICT_TYPE_LABELS = {
+    'student-field': 'Student edited on both sides',
+    'attendance-edit': 'Record edited on both sides',
+    'attendance-duplicate': 'Duplicate record',
+    'attendance-contradiction': 'Contradicting records'
+};
+
+function formatConflictValue(value) {
+    if (value === null || value === undefined || value === '') return '<span style="color: #94a3b8;">(empty)</span>';
+    if (typeof value === 'object') return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+    return escapeHtml(String(value));
+}
+
+function formatConflictRecord(record) {
+    if (!record) return '-';
+    if (record.purged) return '<span class="badge error">Deleted forever</span>';
+    const time = new Date(record.timestamp).toLocaleString('en-US', { timeZone: labTimezone });
+    const action = record.action === 'signin' ? 'Sign In' : 'Sign Out';
+    return `<span class="badge ${record.action === 'signin' ? 'success' : 'warning'}">${action}</span> ${escapeHtml(time)}`
+        + (record.deletedAt ? ' <span class="badge">In trash</span>' : '');
+}
+
+async function updateConflictBadge() {
+    try {
+        const result = await window.electronAPI.getSyncConflicts({ status: 'open' });
+        const badge = document.getElementById('conflictCount');
+        if (badge && result.success) {
+            badge.textContent = result.conflicts.length;
+            badge.style.display = result.conflicts.length > 0 ? 'inline-flex' : 'none';
+        }
+    } catch (error) {
+        console.error('Error loading sync conflict count:', error);
+    }
+}
+
+async function loadSyncConflicts() {
+    try {
+        const status = document.getElementById('conflictStatusFilter')?.value || '';
+        const [result, students] = await Promise.all([
+            window.electronAPI.getSyncConflicts(status ? { status } : {}),
+            window.electronAPI.getStudents()
+        ]);
+        if (!result.success) {
+            showNotification('Error loading sync conflicts: ' + result.error, 'error');
+            return;
+        }
+        const names = new Map((students || []).map(s => [s.ufid, s.name]));
+        displaySyncConflicts(result.conflicts, names);
+        await updateConflictBadge();
+    } catch (error) {
+        showNotification('Error loading sync conflicts: ' + error.message, 'error');
+    }
+}
+
+function displaySyncConflicts(conflicts, names) {
+    const tbody = document.getElementById('conflictsTableBody');
+    if (!conflicts.length) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #64748b;">No sync conflicts</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = conflicts.map(c => {
+        const isStudent = c.type === 'student-field';
+        const isPair = c.type === 'attendance-duplicate' || c.type === 'attendance-contradiction';
+        const ufid = isStudent ? c.key : (c.local?.ufid || c.remote?.ufid);
+        const item = `${escapeHtml(names.get(ufid) || c.local?.name || '')} <span style="color: #64748b; font-family: monospace;">${escapeHtml(ufid || '')}</span>`
+            + (isStudent ? `<div style="font-size: 0.8rem; color: #64748b;">${escapeHtml(c.field)}</div>` : '');
+        const side = (value) => (isStudent ? formatConflictValue(value) : formatConflictRecord(value));
+        const from = c.remoteDevice ? `<div style="font-size: 0.75rem; color: #64748b;">from ${escapeHtml(c.remoteDevice)}</div>` : '';
+        const button = (choice, label, style) =>
+            `<button class="btn btn-sm ${style} conflict-resolve-btn" data-id="${escapeHtml(c.id)}" data-choice="${choice}">${label}</button>`;
+        const actions = c.status === 'open'
+            ? button('local', isPair ? 'Keep this kiosk\'s' : 'Keep this kiosk', 'btn-primary') + ' '
+                + button('remote', isPair ? 'Keep other' : 'Use other side', 'btn-secondary')
+                + (isPair ? ' ' + button('both', 'Keep both', 'btn-secondary') : '')
+            : `<span class="badge info">Kept ${c.resolution === 'both' ? 'both' : (c.resolution === 'local' ? 'this kiosk' : 'other side')}</span>`;
+
+        return `
+            <tr>
+                <td style="font-size: 0.875rem;">${new Date(c.detectedAt).toLocaleString('en-US', { timeZone: labTimezone })}</td>
+                <td><span class="badge warning">${escapeHtml(CONFLICT_TYPE_LABELS[c.type] || c.type)}</span></td>
+                <td>${item}</td>
+                <td>${side(c.local)}</td>
+                <td>${side(c.remote)}${from}</td>
+                <td>${actions}</td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('.conflict-resolve-btn').forEach(btn => {
+        btn.addEventListener('click', () => resolveSyncConflict(btn.dataset.id, btn.dataset.choice));
+    });
+}
+
+async function resolveSyncConflict(id, choice) {
+    try {
+        const result = await window.electronAPI.resolveSyncConflict(id, choice);
+        if (result.success) {
+            showNotification('Conflict resolved', 'success');
+            await loadSyncConflicts();
+        } else {
+            showNotification('Error resolving conflict: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error resolving conflict: ' + error.message, 'error');
+    }
+}
+
 // Reports and Analytics
 async function loadReports() {
     await loadAnalyticsCharts();
+    await loadTerms();
+}
+
+// Academic terms
+const TERM_ROLES = ['phd', 'postdoc', 'ops', 'volunteer'];
+const TERM_ROLE_LABELS = { phd: 'PhD', postdoc: 'Postdoc', ops: 'Ops', volunteer: 'Volunteer' };
+const EXPECTATION_SOURCE_LABELS = { 'student-term': 'Student override', 'term-default': 'Role default', student: 'Student record' };
+let termsData = [];
+
+async function loadTerms() {
+    try {
+        termsData = await window.electronAPI.getTerms();
+        displayTerms();
+
+        const select = document.getElementById('termSummarySelect');
+        const previous = select.value;
+        const today = new Date().toISOString().slice(0, 10);
+        const current = termsData.find(t => t.startDate <= today && t.endDate >= today) || termsData[termsData.length - 1];
+        select.innerHTML = termsData.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('');
+        select.value = termsData.some(t => String(t.id) === previous) ? previous : (current ? String(current.id) : '');
+        await loadTermSummary();
+    } catch (error) {
+        showNotification('Error loading terms: ' + error.message, 'error');
+    }
+}
+
+function displayTerms() {
+    const tbody = document.getElementById('termsTableBody');
+    if (!termsData.length) {
+        tbody.innerHTML = '<tr><td colspan="4" style="color: var(--text-secondary);">No terms yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = termsData.map(t => {
+        const defaults = TERM_ROLES
+            .filter(role => t.defaultExpectations[role])
+            .map(role => `${TERM_ROLE_LABELS[role]}: ${t.defaultExpectations[role].expectedHoursPerWeek}`)
+            .join(', ');
+        return `
+            <tr>
+                <td>${escapeHtml(t.name)}</td>
+                <td>${t.startDate} – ${t.endDate}</td>
+                <td style="font-size: 0.875rem;">${escapeHtml(defaults) || '—'}</td>
+                <td style="white-space: nowrap;">
+                    <button class="btn btn-sm btn-secondary term-edit-btn" data-id="${t.id}">Edit</button>
+                    <button class="btn btn-sm btn-danger term-remove-btn" data-id="${t.id}">Remove</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('.term-edit-btn').forEach(btn => {
+        btn.addEventListener('click', () => editTerm(Number(btn.dataset.id)));
+    });
+    tbody.querySelectorAll('.term-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => removeTerm(Number(btn.dataset.id)));
+    });
+}
+
+function editTerm(id) {
+    const term = termsData.find(t => t.id === id);
+    if (!term) return;
+
+    document.getElementById('termEditId').value = term.id;
+    document.getElementById('termName').value = term.name;
+    document.getElementById('termStart').value = term.startDate;
+    document.getElementById('termEnd').value = term.endDate;
+    document.querySelectorAll('.term-default-hours').forEach(input => {
+        input.value = term.defaultExpectations[input.dataset.role]?.expectedHoursPerWeek ?? '';
+    });
+    document.querySelectorAll('.term-default-days').forEach(input => {
+        input.value = term.defaultExpectations[input.dataset.role]?.expectedDaysPerWeek ?? '';
+    });
+    document.getElementById('cancelTermEditBtn').style.display = '';
+}
+
+function resetTermForm() {
+    ['termEditId', 'termName', 'termStart', 'termEnd'].forEach(id => { document.getElementById(id).value = ''; });
+    document.querySelectorAll('.term-default-hours, .term-default-days').forEach(input => { input.value = ''; });
+    document.getElementById('cancelTermEditBtn').style.display = 'none';
+}
+
+async function saveTerm() {
+    // A role is only given a default when its hours or days are filled in
+    const defaultExpectations = {};
+    for (const role of TERM_ROLES) {
+        const hours = document.querySelector(`.term-default-hours[data-role="${role}"]`).value;
+        const days = document.querySelector(`.term-default-days[data-role="${role}"]`).value;
+        if (hours !== '' || days !== '') {
+            defaultExpectations[role] = { expectedHoursPerWeek: Number(hours || 0), expectedDaysPerWeek: Number(days || 0) };
+        }
+    }
+
+    try {
+        const result = await window.electronAPI.saveTerm({
+            id: document.getElementById('termEditId').value || null,
+            name: document.getElementById('termName').value.trim(),
+            startDate: document.getElementById('termStart').value,
+            endDate: document.getElementById('termEnd').value,
+            defaultExpectations
+        });
+        if (result.success) {
+            showNotification(`Term saved: ${result.term.name}`, 'success');
+            resetTermForm();
+            await loadTerms();
+        } else {
+            showNotification('Error saving term: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving term: ' + error.message, 'error');
+    }
+}
+
+async function removeTerm(id) {
+    if (!confirm('Remove this term? Its per-student expectations are removed too; weeks fall back to the student records.')) return;
+
+    try {
+        const result = await window.electronAPI.removeTerm(id);
+        if (result.success) {
+            showNotification('Term removed', 'success');
+            await loadTerms();
+        } else {
+            showNotification('Error removing term: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error removing term: ' + error.message, 'error');
+    }
+}
+
+async function loadTermSummary() {
+    const tbody = document.getElementById('termSummaryTableBody');
+    const termId = Number(document.getElementById('termSummarySelect').value);
+    if (!termId) {
+        tbody.innerHTML = '<tr><td colspan="8" style="color: var(--text-secondary);">Add a term to see its summary</td></tr>';
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.getTermSummary(termId);
+        if (!result.success) {
+            showNotification('Error loading term summary: ' + result.error, 'error');
+            return;
+        }
+        if (!result.students.length) {
+            tbody.innerHTML = '<tr><td colspan="8" style="color: var(--text-secondary);">No weeks of this term have started yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = result.students.map(s => `
+            <tr>
+                <td>
+                    <div style="font-weight: 500;">${escapeHtml(s.name || s.ufid)}</div>
+                    ${s.status && s.status !== 'active' ? `<div style="font-size: 0.75rem; color: #64748b;">${escapeHtml(STUDENT_STATUS_LABELS[s.status] || s.status)}</div>` : ''}
+                </td>
+                <td>${escapeHtml(TERM_ROLE_LABELS[s.role] || s.role || '')}</td>
+                <td>
+                    <div style="display: flex; gap: 0.25rem;">
+                        <input type="number" class="form-input term-override" data-ufid="${escapeHtml(s.ufid)}" data-field="hours"
+                            min="0" step="0.5" value="${s.expectedHoursPerWeek}" style="width: 5rem;">
+                        <input type="number" class="form-input term-override" data-ufid="${escapeHtml(s.ufid)}" data-field="days"
+                            min="0" max="7" step="1" value="${s.expectedDaysPerWeek}" style="width: 4rem;">
+                    </div>
+                    <div style="font-size: 0.75rem; color: #64748b;">${EXPECTATION_SOURCE_LABELS[s.expectationSource] || ''}</div>
+                </td>
+                <td style="font-variant-numeric: tabular-nums;">${s.totalHours} / ${s.expectedHours}</td>
+                <td>${s.weeksMet}</td>
+                <td>${s.weeksMissed}</td>
+                <td>${s.currentMetStreak}</td>
+                <td>${s.longestMetStreak}</td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('.term-override').forEach(input => {
+            input.addEventListener('change', () => saveTermOverride(termId, input.dataset.ufid));
+        });
+    } catch (error) {
+        showNotification('Error loading term summary: ' + error.message, 'error');
+    }
+}
+
+async function saveTermOverride(termId, ufid) {
+    const hours = document.querySelector(`.term-override[data-ufid="${ufid}"][data-field="hours"]`).value;
+    const days = document.querySelector(`.term-override[data-ufid="${ufid}"][data-field="days"]`).value;
+    const expectation = hours === '' && days === ''
+        ? null
+        : { expectedHoursPerWeek: Number(hours || 0), expectedDaysPerWeek: Number(days || 0) };
+
+    try {
+        const result = await window.electronAPI.setStudentTermExpectation(ufid, termId, expectation);
+        if (result.success) {
+            showNotification(expectation ? 'Term expectations saved' : 'Reset to the term default', 'success');
+            await loadTermSummary();
+        } else {
+            showNotification('Error saving expectations: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving expectations: ' + error.message, 'error');
+    }
+}
+
+async function exportTermSummary() {
+    const termId = Number(document.getElementById('termSummarySelect').value);
+    if (!termId) {
+        showNotification('Add a term first', 'error');
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.exportTermSummaryCsv(termId);
+        if (!result.success) {
+            showNotification('Export error: ' + result.error, 'error');
+            return;
+        }
+
+        const blob = new Blob([result.csv], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `term-summary-${result.term.name.replace(/[^\w-]+/g, '-').toLowerCase()}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+
+        showNotification('Term summary exported successfully!', 'success');
+    } catch (error) {
+        showNotification('Export error: ' + error.message, 'error');
+    }
 }
 
 async function loadAnalyticsCharts() {
@@ -1731,12 +2457,12 @@ async function renderStudentHoursForDay(day = new Date()) {
                                 row.sessions.forEach((session, i) => {
                                     const inTime = new Date(session.in).toLocaleTimeString('en-US', {
                                         hour: 'numeric', minute: '2-digit', hour12: true,
-                                        timeZone: 'America/New_York'
+                                        timeZone: labTimezone
                                     });
                                     const outTime = session.closed || !session.running
                                         ? new Date(session.out).toLocaleTimeString('en-US', {
                                             hour: 'numeric', minute: '2-digit', hour12: true,
-                                            timeZone: 'America/New_York'
+                                            timeZone: labTimezone
                                         })
                                         : 'now';
                                     const prefix = row.sessions.length > 1 ? `Session ${i + 1}: ` : '';
@@ -2011,13 +2737,18 @@ async function renderTimeBands({ day = new Date(), startHour = 8, endHour = 20 }
 async function loadFaceIdSection() {
     await refreshFaceServiceStatus();
     await refreshFaceEnrollTable();
+    // Syncing checks new phone captures, which can take a moment
+    refreshFaceSelfEnrollments();
+
+    const reviewerInput = document.getElementById('faceSelfEnrollReviewer');
+    if (reviewerInput && !reviewerInput.value) reviewerInput.value = localStorage.getItem('correctionReviewer') || '';
 
     // Wire refresh button
     const refreshBtn = document.getElementById('refreshFaceStatusBtn');
     if (refreshBtn) {
         refreshBtn.onclick = async () => {
             refreshBtn.disabled = true;
-            await Promise.all([refreshFaceServiceStatus(), refreshFaceEnrollTable()]);
+            await Promise.all([refreshFaceServiceStatus(), refreshFaceEnrollTable(), refreshFaceSelfEnrollments()]);
             refreshBtn.disabled = false;
         };
     }
@@ -2027,11 +2758,54 @@ async function loadFaceIdSection() {
     const filterSelect = document.getElementById('faceFilterSelect');
     if (searchInput) searchInput.oninput = () => renderFaceTable();
     if (filterSelect) filterSelect.onchange = () => renderFaceTable();
+
+    const saveSettingsBtn = document.getElementById('saveFaceIdSettingsBtn');
+    if (saveSettingsBtn) saveSettingsBtn.onclick = () => saveFaceIdSettings();
 }
 
 // Module-level cache for face table data
 let _faceTableStudents = [];
 let _faceTableEnrolled = new Set();
+let _faceTableRisk = new Map(); // ufid -> { threshold, nearest, atRisk, enrolledAt, refreshedAt, refreshCount, gallerySize }
+
+function fillFaceIdSettings(faceId) {
+    const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+    set('faceMatchMargin', faceId.matchMargin);
+    set('faceRefreshMaxDistance', faceId.refresh.maxDistance);
+    set('faceRefreshGallerySize', faceId.refresh.gallerySize);
+    set('faceRefreshInterval', faceId.refresh.minIntervalHours);
+    const enabled = document.getElementById('faceRefreshEnabled');
+    if (enabled) enabled.checked = faceId.refresh.enabled;
+}
+
+// "today", "3 days ago", "5 months ago" for an ISO time
+function faceTemplateAge(iso) {
+    const days = Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
+    if (days < 1) return 'today';
+    if (days < 60) return `${days} day${days === 1 ? '' : 's'} ago`;
+    const months = Math.floor(days / 30);
+    return months < 24 ? `${months} months ago` : `${Math.floor(days / 365)} years ago`;
+}
+
+async function saveFaceIdSettings() {
+    try {
+        const res = await window.electronAPI.updateFaceIdSettings({
+            matchMargin: parseFloat(document.getElementById('faceMatchMargin').value),
+            refresh: {
+                enabled: document.getElementById('faceRefreshEnabled').checked,
+                maxDistance: parseFloat(document.getElementById('faceRefreshMaxDistance').value),
+                gallerySize: parseInt(document.getElementById('faceRefreshGallerySize').value, 10),
+                minIntervalHours: parseFloat(document.getElementById('faceRefreshInterval').value)
+            }
+        });
+        if (!res?.success) throw new Error(res?.error || 'Save failed');
+        fillFaceIdSettings(res.faceId);
+        showNotification('Face ID matching saved', 'success');
+        await refreshFaceEnrollTable();
+    } catch (err) {
+        showNotification('Error saving Face ID matching: ' + err.message, 'error');
+    }
+}
 
 async function refreshFaceServiceStatus() {
     const dot        = document.getElementById('faceServiceDot');
@@ -2089,14 +2863,17 @@ async function refreshFaceEnrollTable() {
     tbody.innerHTML = '<tr><td colspan="4" style="text-align:center;color:#9ca3af;padding:2rem;">Loading…</td></tr>';
 
     try {
-        const [studentsRes, descriptorsRes] = await Promise.all([
+        const [studentsRes, enrollmentRes, riskRes] = await Promise.all([
             window.electronAPI.getStudents(),
-            window.electronAPI.getAllFaceDescriptors(),
+            window.electronAPI.getFaceEnrollment(),
+            window.electronAPI.getFaceCollisionRisk(),
         ]);
 
-        // getStudents() returns a plain array; getAllFaceDescriptors() returns { success, descriptors }
+        // getStudents() returns a plain array; getFaceEnrollment() returns { success, enrolled }
         _faceTableStudents = Array.isArray(studentsRes) ? studentsRes : (studentsRes?.students || []);
-        _faceTableEnrolled = new Set((descriptorsRes?.descriptors || []).map(d => d.ufid));
+        _faceTableEnrolled = new Set(enrollmentRes?.enrolled || []);
+        _faceTableRisk = new Map((riskRes?.students || []).map(r => [r.ufid, r]));
+        if (riskRes?.faceId) fillFaceIdSettings(riskRes.faceId);
 
         // Update summary stats
         const total    = _faceTableStudents.length;
@@ -2106,6 +2883,7 @@ async function refreshFaceEnrollTable() {
         stat('faceStatTotal', total);
         stat('faceStatEnrolled', enrolled);
         stat('faceStatMissing', missing);
+        stat('faceStatAtRisk', [..._faceTableRisk.values()].filter(r => r.atRisk).length);
 
         renderFaceTable();
     } catch (e) {
@@ -2125,6 +2903,7 @@ function renderFaceTable() {
         const enrolled = _faceTableEnrolled.has(s.ufid);
         if (filter === 'enrolled' && !enrolled) return false;
         if (filter === 'missing'  && enrolled)  return false;
+        if (filter === 'atrisk'   && !_faceTableRisk.get(s.ufid)?.atRisk) return false;
         if (search && !s.name?.toLowerCase().includes(search) && !s.ufid?.includes(search)) return false;
         return true;
     });
@@ -2144,6 +2923,17 @@ function renderFaceTable() {
     tbody.innerHTML = '';
     filtered.forEach(student => {
         const enrolled = _faceTableEnrolled.has(student.ufid);
+        const risk = _faceTableRisk.get(student.ufid);
+        const templateAge = risk
+            ? `Enrolled ${risk.enrolledAt ? faceTemplateAge(risk.enrolledAt) : 'before this was tracked'} · `
+                + (risk.refreshCount ? `refreshed ${risk.refreshCount}× (last ${faceTemplateAge(risk.refreshedAt)}, ${risk.gallerySize} kept)` : 'never refreshed')
+            : '';
+        const matchInfo = enrolled && risk ? `
+                <div style="font-size:0.6875rem;color:#9ca3af;margin-top:0.25rem;">Threshold ${risk.threshold.toFixed(2)}${risk.nearest ? ` · nearest ${escapeHtml(risk.nearest.name || risk.nearest.ufid)} (${risk.nearest.distance.toFixed(2)})` : ''}</div>
+                <div style="font-size:0.6875rem;color:#9ca3af;">${templateAge}</div>
+                ${risk.atRisk ? `<span style="display:inline-flex;align-items:center;gap:0.35rem;margin-top:0.25rem;padding:0.125rem 0.5rem;border-radius:20px;font-size:0.6875rem;font-weight:600;background:rgba(239,68,68,0.1);color:#dc2626;">
+                    <i class="fas fa-triangle-exclamation"></i> May be confused with ${escapeHtml(risk.nearest.name || risk.nearest.ufid)}
+                </span>` : ''}` : '';
         const initials = (student.name || '?').split(' ').map(n => n[0] || '').join('').slice(0, 2).toUpperCase();
         const tr = document.createElement('tr');
         tr.innerHTML = `
@@ -2158,7 +2948,7 @@ function renderFaceTable() {
                 <span style="display:inline-flex;align-items:center;gap:0.35rem;padding:0.25rem 0.75rem;border-radius:20px;font-size:0.6875rem;font-weight:600;letter-spacing:0.02em;background:${enrolled ? 'rgba(5,150,105,0.1)' : 'rgba(245,158,11,0.1)'};color:${enrolled ? '#059669' : '#d97706'};">
                     <span style="width:5px;height:5px;border-radius:50%;background:currentColor;flex-shrink:0;"></span>
                     ${enrolled ? 'Enrolled' : 'Not enrolled'}
-                </span>
+                </span>${matchInfo}
             </td>
             <td style="text-align:right;">
                 <div style="display:inline-flex;gap:0.5rem;">
@@ -2167,6 +2957,10 @@ function renderFaceTable() {
                         <i class="fas fa-${enrolled ? 'rotate-right' : 'fingerprint'}"></i>
                         ${enrolled ? 'Re-enroll' : 'Enroll'}
                     </button>
+                    ${student.email ? `<button class="btn btn-sm face-link-btn" data-ufid="${student.ufid}" data-name="${student.name || ''}" title="Email a link to enroll from their phone"
+                        style="background:transparent;color:#0021A5;border:1px solid rgba(0,33,165,0.25);">
+                        <i class="fas fa-mobile-screen"></i> Send link
+                    </button>` : ''}
                     ${enrolled ? `<button class="btn btn-sm face-clear-btn" data-ufid="${student.ufid}" data-name="${student.name || ''}"
                         style="background:transparent;color:#ef4444;border:1px solid rgba(220,38,38,0.25);">
                         <i class="fas fa-trash-can"></i>
@@ -2181,21 +2975,134 @@ function renderFaceTable() {
     tbody.querySelectorAll('.face-enroll-btn').forEach(btn => {
         btn.addEventListener('click', () => openFaceEnrollModal(btn.dataset.ufid, btn.dataset.name));
     });
+    tbody.querySelectorAll('.face-link-btn').forEach(btn => {
+        btn.addEventListener('click', () => sendFaceEnrollmentLink(btn.dataset.ufid, btn.dataset.name));
+    });
     tbody.querySelectorAll('.face-clear-btn').forEach(btn => {
         btn.addEventListener('click', async () => {
             if (!confirm(`Remove Face ID for ${btn.dataset.name}?`)) return;
             await window.electronAPI.clearFaceDescriptor(btn.dataset.ufid);
             showNotification(`Face ID removed for ${btn.dataset.name}`, 'info');
-            _faceTableEnrolled.delete(btn.dataset.ufid);
-            const enrolled = _faceTableEnrolled.size;
-            const stat = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
-            stat('faceStatEnrolled', enrolled);
-            stat('faceStatMissing', _faceTableStudents.length - enrolled);
-            renderFaceTable();
+            // Other students' nearest neighbours may change too
+            await refreshFaceEnrollTable();
         });
     });
 }
 
+// Self-enrollment request statuses (faceEnrollmentService.js)
+const FACE_SELF_ENROLL_STATUS = {
+    invited:   { label: 'Link sent',     color: '#d97706', background: 'rgba(245,158,11,0.1)' },
+    submitted: { label: 'Being checked', color: '#d97706', background: 'rgba(245,158,11,0.1)' },
+    review:    { label: 'Needs review',  color: '#0021A5', background: 'rgba(0,33,165,0.08)' },
+    approved:  { label: 'Approved',      color: '#059669', background: 'rgba(5,150,105,0.1)' },
+    rejected:  { label: 'Rejected',      color: '#dc2626', background: 'rgba(239,68,68,0.1)' },
+    failed:    { label: 'Failed checks', color: '#dc2626', background: 'rgba(239,68,68,0.1)' },
+    expired:   { label: 'Expired',       color: '#9ca3af', background: 'rgba(0,0,0,0.06)' }
+};
+
+async function refreshFaceSelfEnrollments() {
+    const tbody = document.getElementById('faceSelfEnrollTableBody');
+    if (!tbody) return;
+
+    try {
+        const res = await window.electronAPI.getFaceEnrollmentRequests();
+        if (!res?.success) throw new Error(res?.error || 'Failed to load');
+        renderFaceSelfEnrollments(res.requests);
+    } catch (e) {
+        tbody.innerHTML = `<tr><td colspan="4" style="text-align:center;color:#ef4444;padding:2rem;">Error: ${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+function renderFaceSelfEnrollments(requests) {
+    const tbody = document.getElementById('faceSelfEnrollTableBody');
+    if (!tbody) return;
+
+    if (requests.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align:center;color:#9ca3af;padding:2rem;">No self-enrollment requests</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = requests.map(request => {
+        const status = FACE_SELF_ENROLL_STATUS[request.status] || { label: request.status, color: '#9ca3af', background: 'rgba(0,0,0,0.06)' };
+        const analysis = request.analysis || {};
+        const checks = [
+            ...(analysis.failures || []).map(f => `<div style="color:#dc2626;"><i class="fas fa-xmark"></i> ${escapeHtml(f)}</div>`),
+            ...(analysis.warnings || []).map(w => `<div style="color:#d97706;"><i class="fas fa-triangle-exclamation"></i> ${escapeHtml(w)}</div>`)
+        ].join('') || (analysis.passed ? '<div style="color:#059669;"><i class="fas fa-check"></i> All checks passed</div>' : '—');
+        const reviewed = request.reviewedBy
+            ? `<div style="font-size:0.6875rem;color:#9ca3af;margin-top:0.25rem;">by ${escapeHtml(request.reviewedBy)}${request.reviewNote ? `: ${escapeHtml(request.reviewNote)}` : ''}</div>`
+            : '';
+
+        let actions = '';
+        if (request.status === 'review') {
+            actions = `
+                <button class="btn btn-sm btn-primary face-self-approve-btn" data-id="${request.id}"><i class="fas fa-check"></i> Approve</button>
+                <button class="btn btn-sm face-self-reject-btn" data-id="${request.id}" style="background:transparent;color:#ef4444;border:1px solid rgba(220,38,38,0.25);"><i class="fas fa-xmark"></i> Reject</button>`;
+        } else if (request.status === 'invited') {
+            actions = `<button class="btn btn-sm face-self-reject-btn" data-id="${request.id}" style="background:transparent;color:#6b7280;border:1px solid rgba(0,0,0,0.1);">Withdraw link</button>`;
+        }
+
+        return `
+            <tr>
+                <td>
+                    <div style="font-weight:600;">${escapeHtml(request.name)}</div>
+                    <div style="font-size:0.6875rem;color:#9ca3af;">${escapeHtml(request.ufid)} · sent ${new Date(request.createdAt).toLocaleDateString()}</div>
+                </td>
+                <td>
+                    <span style="display:inline-flex;padding:0.25rem 0.75rem;border-radius:20px;font-size:0.6875rem;font-weight:600;background:${status.background};color:${status.color};">${status.label}</span>
+                    ${reviewed}
+                </td>
+                <td style="font-size:0.75rem;">${checks}</td>
+                <td style="text-align:right;"><div style="display:inline-flex;gap:0.5rem;">${actions}</div></td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('.face-self-approve-btn').forEach(btn => {
+        btn.addEventListener('click', () => reviewFaceSelfEnrollment(btn.dataset.id, true));
+    });
+    tbody.querySelectorAll('.face-self-reject-btn').forEach(btn => {
+        btn.addEventListener('click', () => reviewFaceSelfEnrollment(btn.dataset.id, false));
+    });
+}
+
+async function sendFaceEnrollmentLink(ufid, name) {
+    if (!confirm(`Email ${name} a link to enroll Face ID from their phone?`)) return;
+    const invitedBy = document.getElementById('faceSelfEnrollReviewer')?.value.trim() || 'admin';
+    const result = await window.electronAPI.inviteFaceEnrollment(ufid, invitedBy);
+    if (!result.success) {
+        showNotification('Error: ' + result.error, 'error');
+        return;
+    }
+    if (result.emailSent) {
+        showNotification(`Enrollment link emailed to ${name}`, 'success');
+    } else {
+        await navigator.clipboard.writeText(result.link).catch(() => {});
+        showNotification(`The email failed (${result.emailError}); the link was copied so you can send it to ${name}`, 'warning');
+    }
+    await refreshFaceSelfEnrollments();
+}
+
+async function reviewFaceSelfEnrollment(id, approve) {
+    const reviewer = document.getElementById('faceSelfEnrollReviewer')?.value.trim();
+    if (!reviewer) {
+        showNotification('Please enter your name as the reviewer', 'error');
+        return;
+    }
+    localStorage.setItem('correctionReviewer', reviewer);
+    if (!approve && !confirm('Reject this request? The student will need a new link to try again.')) return;
+
+    const result = approve
+        ? await window.electronAPI.approveFaceEnrollment(id, { approvedBy: reviewer })
+        : await window.electronAPI.rejectFaceEnrollment(id, { reviewedBy: reviewer });
+    if (!result.success) {
+        showNotification('Error: ' + result.error, 'error');
+        return;
+    }
+    showNotification(`${approve ? 'Approved' : 'Rejected'} Face ID self-enrollment for ${result.record.name}`, 'success');
+    await Promise.all([refreshFaceSelfEnrollments(), refreshFaceEnrollTable()]);
+}
+
 // Settings Management
 async function loadSettings() {
     try {
@@ -2208,11 +3115,22 @@ async function loadSettings() {
         document.getElementById('smtpPassword').value = emailSettings.password || '';
 
         await loadDropboxSettings();
+        loadStorageSettings(config.storage || {});
+        loadBackupRetention(config.backupRetention || {});
+        loadDataRetention(config.dataRetention || {});
         await loadWebSyncSettings();
         await loadSheetsSettings();
         await loadEncryptionSettings();
+        await loadClosures();
+        await loadLocations();
 
         document.getElementById('labName').value = config.labName || 'University of Florida Lab';
+        labTimezone = config.timezone || labTimezone;
+        document.getElementById('labTimezone').value = labTimezone;
+        const tzOptions = document.getElementById('labTimezoneOptions');
+        if (tzOptions && !tzOptions.children.length && typeof Intl.supportedValuesOf === 'function') {
+            tzOptions.innerHTML = Intl.supportedValuesOf('timeZone').map(tz => `<option value="${tz}">`).join('');
+        }
 
         await updateSettingsStatus();
         await updateSchedulerStatus();
@@ -2288,7 +3206,8 @@ async function refreshDropboxBadges() {
         const dbx = cfg?.dropbox || {};
         const status = await window.electronAPI.getDropboxSyncStatus?.();
 
-        const mode = !dbx.enabled ? 'off' : (dbx.masterMode ? 'pull' : 'push');
+        const mode = !dbx.enabled ? 'off' : (dbx.peerMode ? 'peer' : (dbx.masterMode ? 'pull' : 'push'))
+            + (dbx.enabled && dbx.deltaSync && !dbx.peerMode ? ', delta' : '');
 
         const statusBadge = document.getElementById('dropboxStatus');      // header badge
         const syncBadge = document.getElementById('dropboxSyncStatus');  // "Status: ..."
@@ -2311,6 +3230,9 @@ async function refreshDropboxBadges() {
             if (!dbx.enabled) {
                 syncBadge.textContent = 'Status: Disabled';
                 syncBadge.className = 'badge warning';
+            } else if (dbx.peerMode) {
+                syncBadge.textContent = status?.running ? 'Status: Merging with peers (timer ON)' : 'Status: Merging with peers (timer OFF)';
+                syncBadge.className = 'badge info';
             } else if (dbx.masterMode) {
                 syncBadge.textContent = status?.running ? 'Status: Pulling (timer ON)' : 'Status: Pulling (timer OFF)';
                 syncBadge.className = 'badge info';
@@ -2321,8 +3243,11 @@ async function refreshDropboxBadges() {
         }
 
         if (nextRunSpan) {
-            nextRunSpan.textContent = (dbx.enabled && dbx.masterMode) ? (status?.nextRun || '—') : '—';
+            nextRunSpan.textContent = (dbx.enabled && (dbx.masterMode || dbx.peerMode)) ? (status?.nextRun || '—') : '—';
         }
+
+        const deviceEl = document.getElementById('dropboxDeviceId');
+        if (deviceEl) deviceEl.textContent = `This kiosk: ${status?.deviceId || '—'}`;
     } catch (e) {
         console.error('refreshDropboxBadges error:', e);
     }
@@ -2355,6 +3280,12 @@ async function loadDropboxSettings() {
         const masterEl = document.getElementById('dropboxMasterMode');
         if (masterEl) masterEl.checked = !!d.masterMode;
 
+        const peerEl = document.getElementById('dropboxPeerMode');
+        if (peerEl) peerEl.checked = !!d.peerMode;
+
+        const deltaEl = document.getElementById('dropboxDeltaSync');
+        if (deltaEl) deltaEl.checked = !!d.deltaSync;
+
         const intervalEl = document.getElementById('dropboxSyncInterval');
         if (intervalEl) intervalEl.value = (typeof d.syncIntervalMinutes === 'number' ? d.syncIntervalMinutes : 10);
 
@@ -2649,14 +3580,389 @@ async function refreshDropboxFiles() {
     await listDropboxFiles();
 }
 
+// Storage provider
+const STORAGE_PROVIDER_LABELS = {
+    dropbox: 'Dropbox',
+    local: 'Local folder',
+    s3: 'S3',
+    webdav: 'WebDAV'
+};
+
+function showStorageFields(provider) {
+    document.querySelectorAll('.storage-fields').forEach(el => {
+        el.style.display = el.dataset.provider === provider ? 'block' : 'none';
+    });
+}
+
+function loadStorageSettings(storage) {
+    const provider = storage.provider || 'dropbox';
+    document.getElementById('storageProvider').value = provider;
+    document.getElementById('storageLocalPath').value = storage.local?.path || '';
+    document.getElementById('storageS3Endpoint').value = storage.s3?.endpoint || '';
+    document.getElementById('storageS3Region').value = storage.s3?.region || 'us-east-1';
+    document.getElementById('storageS3Bucket').value = storage.s3?.bucket || '';
+    document.getElementById('storageS3PathStyle').checked = storage.s3?.pathStyle !== false;
+    document.getElementById('storageS3AccessKey').value = storage.s3?.accessKeyId || '';
+    document.getElementById('storageS3SecretKey').value = storage.s3?.secretAccessKey || '';
+    document.getElementById('storageWebdavUrl').value = storage.webdav?.url || '';
+    document.getElementById('storageWebdavUser').value = storage.webdav?.username || '';
+    document.getElementById('storageWebdavPassword').value = storage.webdav?.password || '';
+    document.getElementById('storageProviderStatus').textContent = STORAGE_PROVIDER_LABELS[provider] || provider;
+    showStorageFields(provider);
+}
+
+async function saveStorageSettings() {
+    const value = id => document.getElementById(id).value.trim();
+    try {
+        const res = await window.electronAPI.updateStorageConfig({
+            provider: document.getElementById('storageProvider').value,
+            local: { path: value('storageLocalPath') },
+            s3: {
+                endpoint: value('storageS3Endpoint'),
+                region: value('storageS3Region') || 'us-east-1',
+                bucket: value('storageS3Bucket'),
+                pathStyle: document.getElementById('storageS3PathStyle').checked,
+                accessKeyId: value('storageS3AccessKey'),
+                secretAccessKey: document.getElementById('storageS3SecretKey').value
+            },
+            webdav: {
+                url: value('storageWebdavUrl'),
+                username: value('storageWebdavUser'),
+                password: document.getElementById('storageWebdavPassword').value
+            }
+        });
+        if (!res?.success) throw new Error(res?.error || 'Save failed');
+        loadStorageSettings(res.storage);
+        showNotification(`Backups and sync now use ${STORAGE_PROVIDER_LABELS[res.storage.provider]}`, 'success');
+        // Restart the sync timer against the new provider
+        await window.electronAPI.applyDropboxSyncConfig?.();
+        await refreshDropboxBadges();
+    } catch (err) {
+        showNotification('Error saving storage provider: ' + err.message, 'error');
+    }
+}
+
+async function testStorageConnection() {
+    const msg = document.getElementById('storageMsg');
+    try {
+        msg.textContent = 'Testing connection…';
+        const res = await window.electronAPI.testStorageConnection();
+        if (!res?.success) throw new Error(res?.error || 'Connection failed');
+        msg.textContent = `Connected to ${res.provider}: ${res.user}`;
+        showNotification(`${res.provider} connection OK`, 'success');
+    } catch (err) {
+        msg.textContent = 'Connection failed: ' + err.message;
+        showNotification('Storage connection failed: ' + err.message, 'error');
+    }
+}
+
+// Backup retention
+function loadBackupRetention(policy) {
+    document.getElementById('backupRetentionEnabled').checked = !!policy.enabled;
+    document.getElementById('backupRetentionDaily').value = policy.daily ?? 7;
+    document.getElementById('backupRetentionWeekly').value = policy.weekly ?? 4;
+    document.getElementById('backupRetentionMonthly').value = policy.monthly ?? 6;
+
+    const badge = document.getElementById('backupRetentionStatus');
+    badge.textContent = policy.enabled ? `${policy.daily}d / ${policy.weekly}w / ${policy.monthly}m` : 'Off';
+    badge.className = policy.enabled ? 'badge success' : 'badge';
+}
+
+async function saveBackupRetention() {
+    try {
+        const res = await window.electronAPI.updateBackupRetention({
+            enabled: document.getElementById('backupRetentionEnabled').checked,
+            daily: parseInt(document.getElementById('backupRetentionDaily').value, 10),
+            weekly: parseInt(document.getElementById('backupRetentionWeekly').value, 10),
+            monthly: parseInt(document.getElementById('backupRetentionMonthly').value, 10)
+        });
+        if (!res?.success) throw new Error(res?.error || 'Save failed');
+        loadBackupRetention(res.backupRetention);
+        showNotification('Backup retention saved', 'success');
+    } catch (err) {
+        showNotification('Error saving backup retention: ' + err.message, 'error');
+    }
+}
+
+// What a run prunes (or would prune) in each place
+function describeRetentionRun(res) {
+    const verb = res.local?.dryRun ? 'Would delete' : 'Deleted';
+    const part = (label, r) => {
+        if (!r) return `<div><strong>${label}:</strong> remote backups are off</div>`;
+        if (!r.pruned) return `<div><strong>${label}:</strong> <span style="color: #ef4444;">${escapeHtml(r.error || 'failed')}</span></div>`;
+        const names = r.pruned.length ? `: ${r.pruned.map(escapeHtml).join(', ')}` : '';
+        return `<div><strong>${label}:</strong> keep ${r.kept}, ${verb.toLowerCase()} ${r.pruned.length}${names}</div>`;
+    };
+    return part('Local', res.local) + part(escapeHtml(res.provider || 'Remote'), res.remote);
+}
+
+async function runBackupRetention(dryRun) {
+    const out = document.getElementById('backupRetentionResult');
+    if (!dryRun && !confirm('Delete the backups the retention policy does not keep? This cannot be undone.')) return;
+    try {
+        out.textContent = dryRun ? 'Checking backups…' : 'Pruning backups…';
+        const res = dryRun
+            ? await window.electronAPI.previewBackupRetention()
+            : await window.electronAPI.applyBackupRetention();
+        if (!res?.local) throw new Error(res?.error || 'Retention run failed');
+        out.innerHTML = describeRetentionRun(res);
+        if (!dryRun) showNotification(res.success ? 'Old backups pruned' : 'Some backups could not be pruned', res.success ? 'success' : 'warning');
+    } catch (err) {
+        out.textContent = '';
+        showNotification('Error applying backup retention: ' + err.message, 'error');
+    }
+}
+
+// Data retention (days per data class; empty keeps forever)
+const DATA_RETENTION_FIELDS = {
+    attendance: 'dataRetentionAttendance',
+    logs: 'dataRetentionLogs',
+    pending: 'dataRetentionPending',
+    faceDescriptors: 'dataRetentionFaceDescriptors',
+    backups: 'dataRetentionBackups'
+};
+
+function loadDataRetention(policy) {
+    document.getElementById('dataRetentionEnabled').checked = !!policy.enabled;
+    for (const [dataClass, id] of Object.entries(DATA_RETENTION_FIELDS)) {
+        document.getElementById(id).value = policy[dataClass] ?? '';
+    }
+
+    const badge = document.getElementById('dataRetentionStatus');
+    badge.textContent = policy.enabled ? 'On' : 'Off';
+    badge.className = policy.enabled ? 'badge success' : 'badge';
+}
+
+async function saveDataRetention() {
+    try {
+        const policy = { enabled: document.getElementById('dataRetentionEnabled').checked };
+        for (const [dataClass, id] of Object.entries(DATA_RETENTION_FIELDS)) {
+            policy[dataClass] = parseInt(document.getElementById(id).value, 10) || null;
+        }
+        const res = await window.electronAPI.updateDataRetention(policy);
+        if (!res?.success) throw new Error(res?.error || 'Save failed');
+        loadDataRetention(res.dataRetention);
+        showNotification('Data retention saved', 'success');
+    } catch (err) {
+        showNotification('Error saving data retention: ' + err.message, 'error');
+    }
+}
+
+// What a data retention run removes (or would remove)
+function describeDataRetentionRun(res) {
+    const verb = res.dryRun ? 'Would delete' : 'Deleted';
+    const local = res.local || {};
+    const lines = [
+        `${local.attendance || 0} attendance records`,
+        `${local.logs || 0} log entries`,
+        `${(local.faceDescriptors || []).length} face descriptors`,
+        `${(local.backups || []).length} local backups`
+    ];
+    if (res.pending) lines.push(`${res.pending.local || 0} pending sign-outs${res.pending.cloud != null ? ` (+${res.pending.cloud} in the cloud)` : ''}`);
+    if (res.remoteBackups?.pruned) lines.push(`${res.remoteBackups.pruned.length} remote backups`);
+    const errors = [...(local.errors || []), res.pending?.error, res.remoteBackups?.error].filter(Boolean)
+        .map(e => `<div style="color: #ef4444;">${escapeHtml(e)}</div>`).join('');
+    const report = res.reportFile ? `<div>Signed report: <code>${escapeHtml(res.reportFile)}</code></div>` : '';
+    return `<div><strong>${verb}:</strong> ${lines.map(escapeHtml).join(', ')}</div>${errors}${report}`;
+}
+
+async function runDataRetention(dryRun) {
+    const out = document.getElementById('dataRetentionResult');
+    if (!dryRun && !confirm('Delete everything older than the saved retention policy allows? This cannot be undone.')) return;
+    try {
+        out.textContent = dryRun ? 'Checking data…' : 'Applying data retention…';
+        const res = dryRun
+            ? await window.electronAPI.previewDataRetention()
+            : await window.electronAPI.applyDataRetention();
+        if (!res?.local) throw new Error(res?.error || 'Retention run failed');
+        out.innerHTML = describeDataRetentionRun(res);
+        if (!dryRun) showNotification(res.success ? 'Data retention applied' : 'Data retention finished with errors', res.success ? 'success' : 'warning');
+    } catch (err) {
+        out.textContent = '';
+        showNotification('Error applying data retention: ' + err.message, 'error');
+    }
+}
+
+// Privacy requests (export my data / erase me)
+function readPrivacyUfid() {
+    const ufid = document.getElementById('privacyUfid').value.trim();
+    if (!/^\d{8}$/.test(ufid)) {
+        showNotification('Enter the student\'s 8-digit UFID', 'error');
+        return null;
+    }
+    return ufid;
+}
+
+async function exportStudentData() {
+    const ufid = readPrivacyUfid();
+    if (!ufid) return;
+    try {
+        const result = await window.electronAPI.exportStudentData(ufid);
+        if (!result.success) throw new Error(result.error);
+
+        const blob = new Blob([JSON.stringify(result.signed, null, 2)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `student-data-${ufid}-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+
+        document.getElementById('privacyRequestResult').innerHTML = result.errors.length
+            ? `<div style="color: #ef4444;">Not included: ${result.errors.map(escapeHtml).join('; ')}</div>`
+            : '';
+        showNotification('Student data exported', result.errors.length ? 'warning' : 'success');
+    } catch (error) {
+        showNotification('Export error: ' + error.message, 'error');
+    }
+}
+
+async function eraseStudentData() {
+    const ufid = readPrivacyUfid();
+    if (!ufid) return;
+    const reason = await askDeleteReason('Erase Student',
+        `Erase ${ufid} everywhere: this kiosk, backups, Google Sheets, the web dashboard and the storage provider? This cannot be undone.`,
+        'Erase');
+    if (reason === null) return;
+
+    const out = document.getElementById('privacyRequestResult');
+    try {
+        out.textContent = 'Erasing…';
+        const result = await window.electronAPI.eraseStudentData(ufid, reason);
+        if (!result.ref) throw new Error(result.error || 'Erasure failed');
+
+        const list = (items, color) => items.map(i => `<div style="color: ${color};">${escapeHtml(i)}</div>`).join('');
+        const retained = (result.signed?.report.retained || []).map(r => `Still in ${r.file}: ${r.error}`);
+        out.innerHTML = `<div><strong>Erased</strong> as <code>${escapeHtml(result.ref)}</code>; signed report: `
+            + `<code>${escapeHtml(result.reportFile || '')}</code></div>`
+            + list([...result.errors, ...retained], '#ef4444') + list(result.warnings, '#b45309');
+        document.getElementById('privacyUfid').value = '';
+        showNotification(result.success ? 'Student erased' : 'Student erased with errors', result.success ? 'success' : 'warning');
+        loadStudents();
+    } catch (error) {
+        out.textContent = '';
+        showNotification('Erase error: ' + error.message, 'error');
+    }
+}
+
+// Restore from Dropbox backups
+const BACKUP_FORMAT_LABELS = {
+    json: 'Full (JSON)',
+    sqlite: 'Database (.db)',
+    students: 'Students only',
+    attendance: 'Attendance only'
+};
+let restoreCandidate = null;
+
+async function loadDropboxBackups() {
+    const tbody = document.getElementById('dropboxBackupsBody');
+    if (!tbody) return;
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #64748b;">Loading backups…</td></tr>';
+    hideRestorePreview();
+    try {
+        const res = await window.electronAPI.listDropboxBackups();
+        if (!res?.success) throw new Error(res?.error || 'Failed to list backups');
+        if (!res.backups.length) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #64748b;">No backups in the Dropbox backups folder</td></tr>';
+            return;
+        }
+
+        const count = (n) => (typeof n === 'number' ? n.toLocaleString() : '—');
+        tbody.innerHTML = res.backups.map(b => `
+            <tr>
+                <td style="font-size: 0.875rem;">${new Date(b.takenAt).toLocaleString('en-US', { timeZone: labTimezone })}
+                    <div style="font-size: 0.75rem; color: #64748b; font-family: monospace;">${escapeHtml(b.name)}</div></td>
+                <td>${escapeHtml(BACKUP_FORMAT_LABELS[b.format] || b.format)}</td>
+                <td style="text-align:right;">${count(b.students)}</td>
+                <td style="text-align:right;">${count(b.attendance)}</td>
+                <td style="text-align:right;">${typeof b.size === 'number' ? (b.size / 1024).toFixed(1) + ' KB' : '-'}</td>
+                <td>${b.error
+                    ? `<span class="badge error" title="${escapeHtml(b.error)}">Unreadable</span>`
+                    : `<button class="btn btn-sm btn-secondary restore-preview-btn" data-name="${escapeHtml(b.name)}">Preview</button>`}</td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('.restore-preview-btn').forEach(btn => {
+            btn.addEventListener('click', () => previewDropboxRestore(btn.dataset.name));
+        });
+    } catch (err) {
+        tbody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: #ef4444;">${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+function hideRestorePreview() {
+    restoreCandidate = null;
+    const wrap = document.getElementById('restorePreview');
+    if (wrap) wrap.style.display = 'none';
+}
+
+// One block per part of the data: counts plus the first few records of each kind
+function describeRestoreDiff(label, part, describe) {
+    if (!part) return `<div class="card-help"><strong>${label}:</strong> not in this backup, kept as is</div>`;
+    const list = (title, items, total) => (total
+        ? `<div style="margin-top: 4px;"><em>${title} (${total}):</em> ${items.map(describe).map(escapeHtml).join('; ')}${total > items.length ? '; …' : ''}</div>`
+        : '');
+    return `
+        <div style="margin-bottom: 0.5rem;">
+            <strong>${label}:</strong> ${part.added} brought back, ${part.removed} removed, ${part.changed} changed
+            <div style="font-size: 0.8rem; color: #64748b;">
+                ${list('Brought back', part.samples.added, part.added)}
+                ${list('Removed', part.samples.removed, part.removed)}
+                ${list('Changed', part.samples.changed, part.changed)}
+            </div>
+        </div>`;
+}
+
+async function previewDropboxRestore(name) {
+    try {
+        const res = await window.electronAPI.previewDropboxRestore(name);
+        if (!res?.success) throw new Error(res?.error || 'Preview failed');
+
+        restoreCandidate = res.backup.name;
+        const when = new Date(res.backup.takenAt).toLocaleString('en-US', { timeZone: labTimezone });
+        document.getElementById('restorePreviewTitle').textContent = `Restoring the backup of ${when} would change:`;
+        document.getElementById('restorePreviewBody').innerHTML =
+            describeRestoreDiff('Students', res.diff.students, s => `${s.name} (${s.ufid})`)
+            + describeRestoreDiff('Attendance', res.diff.attendance, r =>
+                `${r.name || r.ufid} ${r.action} ${new Date(r.timestamp).toLocaleString('en-US', { timeZone: labTimezone })}`);
+        document.getElementById('restoreReason').value = '';
+        document.getElementById('restorePreview').style.display = 'block';
+    } catch (err) {
+        showNotification('Error previewing backup: ' + err.message, 'error');
+    }
+}
+
+async function restoreDropboxBackup() {
+    if (!restoreCandidate) return;
+    if (!confirm('Replace the current data with this backup? A safety backup is taken first.')) return;
+
+    const btn = document.getElementById('confirmRestoreBtn');
+    if (btn) btn.disabled = true;
+    try {
+        const reason = document.getElementById('restoreReason')?.value.trim() || '';
+        const res = await window.electronAPI.restoreDropboxBackup(restoreCandidate, reason);
+        if (!res?.success) throw new Error(res?.error || 'Restore failed');
+
+        showNotification(`Restored ${res.students} students and ${res.attendance} attendance records (safety backup: ${res.safetyBackup})`, 'success');
+        if (res.warning) showNotification(res.warning, 'warning');
+        await loadDropboxBackups();
+    } catch (err) {
+        showNotification('Error restoring backup: ' + err.message, 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
 // Live Syncing
 async function saveDropboxMasterSettings() {
     try {
         const masterMode = !!document.getElementById('dropboxMasterMode')?.checked;
+        const peerMode = !!document.getElementById('dropboxPeerMode')?.checked;
+        const deltaSync = !!document.getElementById('dropboxDeltaSync')?.checked;
         const syncIntervalMinutes = Math.max(2, parseInt(document.getElementById('dropboxSyncInterval')?.value || '10', 10));
 
         // Persist new values
-        const res = await window.electronAPI.updateDropboxConfig({ masterMode, syncIntervalMinutes });
+        const res = await window.electronAPI.updateDropboxConfig({ masterMode, peerMode, deltaSync, syncIntervalMinutes });
         if (!res?.success) throw new Error(res?.error || 'Save failed');
 
         // Ask main to immediately (re)apply timers & do one reconcile
@@ -2933,8 +4239,8 @@ async function loadEncryptionSettings() {
             const statusElement = document.getElementById('encryptionStatus');
 
             if (enabled) {
-                statusElement.textContent = `Enabled (${result.algorithm})`;
-                statusElement.className = 'badge success';
+                statusElement.textContent = result.locked ? 'Enabled (locked)' : `Enabled (${result.algorithm})`;
+                statusElement.className = result.locked ? 'badge warning' : 'badge success';
                 document.getElementById('encryptionDisabled').style.display = 'none';
                 document.getElementById('encryptionEnabled').style.display = 'block';
             } else {
@@ -2943,6 +4249,18 @@ async function loadEncryptionSettings() {
                 document.getElementById('encryptionDisabled').style.display = 'block';
                 document.getElementById('encryptionEnabled').style.display = 'none';
             }
+
+            document.querySelectorAll('.encryption-field').forEach(box => {
+                box.checked = (result.fields || []).includes(box.value);
+            });
+            const dbStatus = document.getElementById('encryptionDbStatus');
+            if (dbStatus) {
+                const note = result.locked
+                    ? 'Locked: enter the password and click Test Password to read the encrypted database'
+                    : (result.database?.encrypted ? `Database fields encrypted: ${result.database.fields.join(', ')}` : '');
+                dbStatus.textContent = note;
+                dbStatus.style.display = note ? 'inline-block' : 'none';
+            }
         }
     } catch (error) {
         console.error('Error loading encryption settings:', error);
@@ -3022,32 +4340,89 @@ async function testEncryptionPassword() {
         const result = await window.electronAPI.verifyEncryptionPassword(password);
         if (result.success && result.valid) {
             showNotification('Password is correct!', 'success');
+            await loadEncryptionSettings();
         } else {
             showNotification('Invalid password', 'error');
         }
     } catch (error) {
         showNotification('Error verifying password: ' + error.message, 'error');
     }
-}
-
-async function createEncryptedBackup() {
-    const password = document.getElementById('currentEncryptionPassword').value;
-
-    if (!password) {
-        showNotification('Please enter encryption password', 'error');
+}
+
+async function createEncryptedBackup() {
+    const password = document.getElementById('currentEncryptionPassword').value;
+
+    if (!password) {
+        showNotification('Please enter encryption password', 'error');
+        return;
+    }
+
+    try {
+        showNotification('Creating encrypted backup...', 'info');
+        const result = await window.electronAPI.createEncryptedBackup(password);
+        if (result.success) {
+            showNotification('Encrypted backup created successfully!', 'success');
+        } else {
+            showNotification('Backup failed: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Backup error: ' + error.message, 'error');
+    }
+}
+
+async function saveEncryptionFields() {
+    const fields = [...document.querySelectorAll('.encryption-field')].filter(box => box.checked).map(box => box.value);
+    try {
+        const result = await window.electronAPI.updateEncryptionFields(fields);
+        if (result.success) {
+            showNotification('Encrypted fields saved', 'success');
+            await loadEncryptionSettings();
+        } else {
+            showNotification('Error saving encrypted fields: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving encrypted fields: ' + error.message, 'error');
+    }
+}
+
+async function rotateEncryptionPassword() {
+    const currentPassword = document.getElementById('currentEncryptionPassword').value;
+    const newPassword = document.getElementById('newEncryptionPassword').value;
+    const confirmPassword = document.getElementById('confirmNewEncryptionPassword').value;
+
+    if (!currentPassword) {
+        showNotification('Please enter current encryption password', 'error');
+        return;
+    }
+    if (!newPassword || newPassword.length < 8) {
+        showNotification('New password must be at least 8 characters long', 'error');
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        showNotification('New passwords do not match', 'error');
+        return;
+    }
+    if (!confirm('Re-encrypt student data and encrypted backups with the new password? Other kiosks will need the new password too.')) {
         return;
     }
 
     try {
-        showNotification('Creating encrypted backup...', 'info');
-        const result = await window.electronAPI.createEncryptedBackup(password);
-        if (result.success) {
-            showNotification('Encrypted backup created successfully!', 'success');
-        } else {
-            showNotification('Backup failed: ' + result.error, 'error');
+        showNotification('Rotating encryption password...', 'info');
+        const result = await window.electronAPI.rotateEncryptionPassword(currentPassword, newPassword);
+        if (!result.success) {
+            showNotification('Error rotating password: ' + result.error, 'error');
+            return;
         }
+        ['currentEncryptionPassword', 'newEncryptionPassword', 'confirmNewEncryptionPassword']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        const skipped = result.skipped.length
+            ? ` ${result.skipped.length} backup(s) could not be opened with the current password and were left as they are.`
+            : '';
+        showNotification(`Encryption password rotated: ${result.backups} encrypted backup(s) re-encrypted.${skipped}`,
+            result.skipped.length ? 'warning' : 'success');
+        await loadEncryptionSettings();
     } catch (error) {
-        showNotification('Backup error: ' + error.message, 'error');
+        showNotification('Rotation error: ' + error.message, 'error');
     }
 }
 
@@ -3123,9 +4498,10 @@ async function addStudent() {
 
 
 async function deleteStudent(ufid) {
-    if (confirm('Are you sure you want to remove this student? This action cannot be undone.')) {
+    const reason = await askDeleteReason('Remove Student', 'Move this student to the Trash? Their attendance history is kept, and you can restore them from the Trash.');
+    if (reason !== null) {
         try {
-            const result = await window.electronAPI.removeStudent(ufid);
+            const result = await window.electronAPI.removeStudent(ufid, reason);
             if (result.success) {
                 showNotification('Student removed successfully!', 'success');
                 await loadStudents();
@@ -3140,9 +4516,10 @@ async function deleteStudent(ufid) {
 }
 
 async function deleteRecord(recordId) {
-    if (confirm('Are you sure you want to delete this attendance record?')) {
+    const reason = await askDeleteReason('Delete Attendance Record', 'Move this attendance record to the Trash? You can restore it from the Trash.');
+    if (reason !== null) {
         try {
-            const result = await window.electronAPI.deleteAttendanceRecord(recordId);
+            const result = await window.electronAPI.deleteAttendanceRecord(recordId, reason);
             if (result.success) {
                 showNotification('Record deleted successfully!', 'success');
                 await loadAttendance();
@@ -3159,7 +4536,10 @@ async function deleteRecord(recordId) {
 // Export Functions
 async function exportData() {
     try {
-        const result = await window.electronAPI.generateWeeklyReport();
+        // Follow the location picked on the page the export was started from
+        const filterId = currentSection === 'attendance' ? 'attendanceLocationFilter' : 'dashboardLocationFilter';
+        const locationId = document.getElementById(filterId)?.value || null;
+        const result = await window.electronAPI.generateWeeklyReport({ locationId });
         if (result.success && result.csvContent) {
             // Download to the user's default Downloads folder
             const blob = new Blob([result.csvContent], { type: 'text/csv' });
@@ -3167,7 +4547,7 @@ async function exportData() {
             const a = document.createElement('a');
             const today = new Date().toISOString().split('T')[0];
             a.href = url;
-            a.download = `weekly-report-${today}.csv`;
+            a.download = `weekly-report${locationId ? `-${locationId}` : ''}-${today}.csv`;
             a.click();
             window.URL.revokeObjectURL(url);
 
@@ -3314,12 +4694,13 @@ async function sendWeeklyReportNow() {
 async function saveSystemSettings() {
     try {
         const labName = document.getElementById('labName').value;
-        const result = await window.electronAPI.updateEmailConfig({
-            labName: labName
-        });
+        const timezone = document.getElementById('labTimezone').value.trim();
+        const result = await window.electronAPI.updateSystemSettings({ labName, timezone });
 
         if (result.success) {
-            showNotification('System settings saved successfully!', 'success');
+            showNotification(result.timezoneChanged
+                ? 'System settings saved. Restart the app to move scheduled jobs to the new timezone.'
+                : 'System settings saved successfully!', 'success');
         } else {
             showNotification('Error saving settings: ' + result.error, 'error');
         }
@@ -3328,6 +4709,272 @@ async function saveSystemSettings() {
     }
 }
 
+// Lab closures
+async function loadClosures() {
+    const tbody = document.getElementById('closuresTableBody');
+    if (!tbody) return;
+
+    try {
+        const closures = await window.electronAPI.getClosures();
+        if (!closures.length) {
+            tbody.innerHTML = '<tr><td colspan="4" style="color: var(--text-secondary);">No closures scheduled</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = closures.map(c => `
+            <tr>
+                <td>${c.date}</td>
+                <td>${escapeHtml(c.name)}</td>
+                <td>${c.source === 'ics' ? 'Calendar import' : 'Manual'}</td>
+                <td><button class="btn btn-sm btn-danger closure-remove-btn" data-id="${c.id}">Remove</button></td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('.closure-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => removeClosure(btn.dataset.id));
+        });
+    } catch (error) {
+        showNotification('Error loading closures: ' + error.message, 'error');
+    }
+}
+
+async function addClosure() {
+    const date = document.getElementById('closureStart').value;
+    const endDate = document.getElementById('closureEnd').value || null;
+    const name = document.getElementById('closureName').value.trim();
+
+    if (!date) {
+        showNotification('Pick the first closed date', 'error');
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.addClosure({ date, endDate, name });
+        if (result.success) {
+            showNotification(`Lab closure saved (${result.added} day${result.added === 1 ? '' : 's'})`, 'success');
+            document.getElementById('closureStart').value = '';
+            document.getElementById('closureEnd').value = '';
+            document.getElementById('closureName').value = '';
+            await loadClosures();
+        } else {
+            showNotification('Error saving closure: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving closure: ' + error.message, 'error');
+    }
+}
+
+async function removeClosure(id) {
+    if (!confirm('Remove this closure? The day will count as a normal working day again.')) return;
+
+    try {
+        const result = await window.electronAPI.removeClosure(Number(id));
+        if (result.success) {
+            showNotification('Closure removed', 'success');
+            await loadClosures();
+        } else {
+            showNotification('Error removing closure: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error removing closure: ' + error.message, 'error');
+    }
+}
+
+function importClosuresIcs(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async function (e) {
+        try {
+            const result = await window.electronAPI.importClosuresIcs(e.target.result);
+            if (result.success) {
+                showNotification(`Imported ${result.added} closure date${result.added === 1 ? '' : 's'}`, 'success');
+                await loadClosures();
+            } else {
+                showNotification('Calendar import failed: ' + result.error, 'error');
+            }
+        } catch (error) {
+            showNotification('Calendar import failed: ' + error.message, 'error');
+        } finally {
+            event.target.value = '';
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Locations
+let locationsData = [];
+
+function locationName(id) {
+    const location = locationsData.find(l => l.id === id);
+    return location ? location.name : id;
+}
+
+// Fill every "All locations" filter (keeping its selection) from locationsData
+function populateLocationFilters() {
+    document.querySelectorAll('.location-filter').forEach(select => {
+        const previous = select.value;
+        select.innerHTML = '<option value="">All locations</option>' +
+            locationsData.map(l => `<option value="${l.id}">${escapeHtml(l.name)}</option>`).join('');
+        select.value = locationsData.some(l => l.id === previous) ? previous : '';
+        // A single-location install has nothing to filter
+        select.style.display = locationsData.length > 1 ? '' : 'none';
+    });
+}
+
+async function loadLocationFilters() {
+    try {
+        locationsData = await window.electronAPI.getLocations();
+        populateLocationFilters();
+    } catch (error) {
+        showNotification('Error loading locations: ' + error.message, 'error');
+    }
+}
+
+async function loadLocations() {
+    const tbody = document.getElementById('locationsTableBody');
+    if (!tbody) return;
+
+    try {
+        const [locations, kioskLocation] = await Promise.all([
+            window.electronAPI.getLocations(),
+            window.electronAPI.getKioskLocation()
+        ]);
+        locationsData = locations;
+        populateLocationFilters();
+
+        const kioskSelect = document.getElementById('kioskLocationSelect');
+        kioskSelect.innerHTML = '<option value="">Not bound (all students)</option>' +
+            locations.map(l => `<option value="${l.id}">${escapeHtml(l.name)}</option>`).join('');
+        kioskSelect.value = kioskLocation ? kioskLocation.id : '';
+        document.getElementById('kioskLocationBadge').textContent = kioskLocation ? `Kiosk: ${kioskLocation.name}` : 'All locations';
+
+        if (!locations.length) {
+            tbody.innerHTML = '<tr><td colspan="4" style="color: var(--text-secondary);">No locations yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = locations.map(l => `
+            <tr>
+                <td>${escapeHtml(l.name)}</td>
+                <td style="font-family: monospace; font-size: 0.875rem;">${l.id}</td>
+                <td>${escapeHtml(l.sheetName) || '<span style="color: var(--text-secondary);">Main tab</span>'}</td>
+                <td style="white-space: nowrap;">
+                    <button class="btn btn-sm btn-secondary location-edit-btn" data-id="${l.id}">Edit</button>
+                    <button class="btn btn-sm btn-danger location-remove-btn" data-id="${l.id}">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('.location-edit-btn').forEach(btn => {
+            btn.addEventListener('click', () => editLocation(btn.dataset.id));
+        });
+        tbody.querySelectorAll('.location-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => removeLocation(btn.dataset.id));
+        });
+    } catch (error) {
+        showNotification('Error loading locations: ' + error.message, 'error');
+    }
+}
+
+function editLocation(id) {
+    const location = locationsData.find(l => l.id === id);
+    if (!location) return;
+
+    document.getElementById('locationEditId').value = location.id;
+    document.getElementById('locationName').value = location.name;
+    document.getElementById('locationSheetName').value = location.sheetName || '';
+    document.getElementById('saveLocationBtn').textContent = 'Save Location';
+    document.getElementById('cancelLocationEditBtn').style.display = '';
+}
+
+function resetLocationForm() {
+    ['locationEditId', 'locationName', 'locationSheetName'].forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('saveLocationBtn').textContent = 'Add Location';
+    document.getElementById('cancelLocationEditBtn').style.display = 'none';
+}
+
+async function saveLocation() {
+    const editId = document.getElementById('locationEditId').value;
+    const name = document.getElementById('locationName').value.trim();
+    if (!name) {
+        showNotification('Enter a location name', 'error');
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.saveLocation({
+            id: editId || null,
+            isNew: !editId,
+            name,
+            sheetName: document.getElementById('locationSheetName').value.trim()
+        });
+        if (result.success) {
+            showNotification(`Location saved: ${result.location.name}`, 'success');
+            resetLocationForm();
+            await loadLocations();
+        } else {
+            showNotification('Error saving location: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error saving location: ' + error.message, 'error');
+    }
+}
+
+async function removeLocation(id) {
+    if (!confirm(`Remove ${locationName(id)}? Students lose it from their locations; past attendance keeps it.`)) return;
+
+    try {
+        const result = await window.electronAPI.removeLocation(id);
+        if (result.success) {
+            showNotification('Location removed', 'success');
+            await loadLocations();
+        } else {
+            showNotification('Error removing location: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error removing location: ' + error.message, 'error');
+    }
+}
+
+async function saveKioskLocation() {
+    const locationId = document.getElementById('kioskLocationSelect').value || null;
+
+    try {
+        const result = await window.electronAPI.setKioskLocation(locationId);
+        if (result.success) {
+            showNotification(result.location ? `This kiosk now records attendance for ${result.location.name}` : 'Kiosk location cleared', 'success');
+            await loadLocations();
+        } else {
+            showNotification('Error binding kiosk: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error binding kiosk: ' + error.message, 'error');
+    }
+}
+
+// Location checkboxes in the Edit Student modal
+function renderStudentLocations(selected = []) {
+    const container = document.getElementById('editLocationsList');
+    if (!container) return;
+    if (!locationsData.length) {
+        container.innerHTML = '<span style="color: var(--text-secondary); font-size: 0.875rem;">No locations set up (Settings → Locations)</span>';
+        return;
+    }
+
+    container.innerHTML = locationsData.map(l => `
+        <label style="display: flex; align-items: center; gap: 0.375rem; font-size: 0.875rem;">
+            <input type="checkbox" class="edit-location-checkbox" value="${l.id}" ${selected.includes(l.id) ? 'checked' : ''}>
+            ${escapeHtml(l.name)}
+        </label>
+    `).join('');
+}
+
+function readStudentLocations() {
+    return [...document.querySelectorAll('.edit-location-checkbox:checked')].map(cb => cb.value);
+}
+
 async function changePassword() {
     const newPassword = document.getElementById('newPassword').value;
 
@@ -3539,6 +5186,12 @@ function openAnalytics() {
 
 // Initialization
 document.addEventListener('DOMContentLoaded', function () {
+    window.electronAPI.getConfig().then(cfg => {
+        if (cfg && cfg.timezone) labTimezone = cfg.timezone;
+    }).catch(() => {});
+    loadLocationFilters();
+    updateConflictBadge();
+
     // Setup navigation
     document.querySelectorAll('.nav-item[data-section]').forEach(item => {
         item.addEventListener('click', function () {
@@ -3712,6 +5365,42 @@ document.addEventListener('DOMContentLoaded', function () {
     if (saveDropboxMasterBtn) { saveDropboxMasterBtn.addEventListener('click', (e) => { e.preventDefault(); saveDropboxMasterSettings(); }); }
     if (syncNowBtn) { syncNowBtn.addEventListener('click', (e) => { e.preventDefault(); dropboxSyncNowAction(); }); }
 
+    // Restore from backup
+    const loadBackupsBtn = document.getElementById('loadBackupsBtn');
+    const confirmRestoreBtn = document.getElementById('confirmRestoreBtn');
+    const cancelRestoreBtn = document.getElementById('cancelRestoreBtn');
+    if (loadBackupsBtn) loadBackupsBtn.addEventListener('click', (e) => { e.preventDefault(); loadDropboxBackups(); });
+    if (confirmRestoreBtn) confirmRestoreBtn.addEventListener('click', (e) => { e.preventDefault(); restoreDropboxBackup(); });
+    if (cancelRestoreBtn) cancelRestoreBtn.addEventListener('click', (e) => { e.preventDefault(); hideRestorePreview(); });
+
+    // Storage provider
+    const storageProviderSelect = document.getElementById('storageProvider');
+    const saveStorageBtn = document.getElementById('saveStorageBtn');
+    const testStorageBtn = document.getElementById('testStorageBtn');
+    if (storageProviderSelect) storageProviderSelect.addEventListener('change', () => showStorageFields(storageProviderSelect.value));
+    if (saveStorageBtn) saveStorageBtn.addEventListener('click', (e) => { e.preventDefault(); saveStorageSettings(); });
+    if (testStorageBtn) testStorageBtn.addEventListener('click', (e) => { e.preventDefault(); testStorageConnection(); });
+
+    // Backup retention
+    const saveBackupRetentionBtn = document.getElementById('saveBackupRetentionBtn');
+    const previewBackupRetentionBtn = document.getElementById('previewBackupRetentionBtn');
+    const applyBackupRetentionBtn = document.getElementById('applyBackupRetentionBtn');
+    if (saveBackupRetentionBtn) saveBackupRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); saveBackupRetention(); });
+    if (previewBackupRetentionBtn) previewBackupRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); runBackupRetention(true); });
+    if (applyBackupRetentionBtn) applyBackupRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); runBackupRetention(false); });
+
+    // Data retention and privacy requests
+    const saveDataRetentionBtn = document.getElementById('saveDataRetentionBtn');
+    const previewDataRetentionBtn = document.getElementById('previewDataRetentionBtn');
+    const applyDataRetentionBtn = document.getElementById('applyDataRetentionBtn');
+    const exportStudentDataBtn = document.getElementById('exportStudentDataBtn');
+    const eraseStudentDataBtn = document.getElementById('eraseStudentDataBtn');
+    if (saveDataRetentionBtn) saveDataRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); saveDataRetention(); });
+    if (previewDataRetentionBtn) previewDataRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); runDataRetention(true); });
+    if (applyDataRetentionBtn) applyDataRetentionBtn.addEventListener('click', (e) => { e.preventDefault(); runDataRetention(false); });
+    if (exportStudentDataBtn) exportStudentDataBtn.addEventListener('click', (e) => { e.preventDefault(); exportStudentData(); });
+    if (eraseStudentDataBtn) eraseStudentDataBtn.addEventListener('click', (e) => { e.preventDefault(); eraseStudentData(); });
+
     // Settings buttons – Web Dashboard Sync
     const saveWebSyncBtn = document.getElementById('saveWebSyncBtn');
     const testWebSyncBtn = document.getElementById('testWebSyncBtn');
@@ -3794,6 +5483,8 @@ document.addEventListener('DOMContentLoaded', function () {
     const disableEncryptionBtn = document.getElementById('disableEncryptionBtn');
     const createEncryptedBackupBtn = document.getElementById('createEncryptedBackupBtn');
     const testEncryptionBtn = document.getElementById('testEncryptionBtn');
+    const rotateEncryptionBtn = document.getElementById('rotateEncryptionBtn');
+    const saveEncryptionFieldsBtn = document.getElementById('saveEncryptionFieldsBtn');
 
     if (enableEncryptionBtn) {
         enableEncryptionBtn.addEventListener('click', enableEncryption);
@@ -3807,6 +5498,12 @@ document.addEventListener('DOMContentLoaded', function () {
     if (testEncryptionBtn) {
         testEncryptionBtn.addEventListener('click', testEncryptionPassword);
     }
+    if (rotateEncryptionBtn) {
+        rotateEncryptionBtn.addEventListener('click', rotateEncryptionPassword);
+    }
+    if (saveEncryptionFieldsBtn) {
+        saveEncryptionFieldsBtn.addEventListener('click', saveEncryptionFields);
+    }
 
     // Settings buttons - System
     const saveSystemBtn = document.getElementById('saveSystemBtn');
@@ -3823,6 +5520,40 @@ document.addEventListener('DOMContentLoaded', function () {
         backupDataBtn.addEventListener('click', backupDataNow);
     }
 
+    // Closure controls
+    const addClosureBtn = document.getElementById('addClosureBtn');
+    const closureIcsFile = document.getElementById('closureIcsFile');
+
+    if (addClosureBtn) {
+        addClosureBtn.addEventListener('click', addClosure);
+    }
+    if (closureIcsFile) {
+        closureIcsFile.addEventListener('change', importClosuresIcs);
+    }
+
+    // Location controls
+    const saveLocationBtn = document.getElementById('saveLocationBtn');
+    const cancelLocationEditBtn = document.getElementById('cancelLocationEditBtn');
+    const saveKioskLocationBtn = document.getElementById('saveKioskLocationBtn');
+    const dashboardLocationFilter = document.getElementById('dashboardLocationFilter');
+    const attendanceLocationFilter = document.getElementById('attendanceLocationFilter');
+
+    if (saveLocationBtn) {
+        saveLocationBtn.addEventListener('click', saveLocation);
+    }
+    if (cancelLocationEditBtn) {
+        cancelLocationEditBtn.addEventListener('click', resetLocationForm);
+    }
+    if (saveKioskLocationBtn) {
+        saveKioskLocationBtn.addEventListener('click', saveKioskLocation);
+    }
+    if (dashboardLocationFilter) {
+        dashboardLocationFilter.addEventListener('change', loadDashboard);
+    }
+    if (attendanceLocationFilter) {
+        attendanceLocationFilter.addEventListener('change', applyAttendanceFilters);
+    }
+
     // Scheduler buttons
     const startSchedulerBtn = document.getElementById('startSchedulerBtn');
     const stopSchedulerBtn = document.getElementById('stopSchedulerBtn');
@@ -3838,6 +5569,56 @@ document.addEventListener('DOMContentLoaded', function () {
         testSchedulerBtn.addEventListener('click', startTestScheduler);
     }
 
+    // Audit log buttons
+    const refreshAuditBtn = document.getElementById('refreshAuditBtn');
+    const exportAuditBtn = document.getElementById('exportAuditBtn');
+    const filterAuditBtn = document.getElementById('filterAuditBtn');
+
+    if (refreshAuditBtn) {
+        refreshAuditBtn.addEventListener('click', () => loadAudit(auditCurrentPage));
+    }
+    if (exportAuditBtn) {
+        exportAuditBtn.addEventListener('click', exportAuditLog);
+    }
+    if (filterAuditBtn) {
+        filterAuditBtn.addEventListener('click', () => loadAudit(1));
+    }
+
+    // Academic term controls
+    const saveTermBtn = document.getElementById('saveTermBtn');
+    const cancelTermEditBtn = document.getElementById('cancelTermEditBtn');
+    const termSummarySelect = document.getElementById('termSummarySelect');
+    const exportTermSummaryBtn = document.getElementById('exportTermSummaryBtn');
+
+    if (saveTermBtn) {
+        saveTermBtn.addEventListener('click', saveTerm);
+    }
+    if (cancelTermEditBtn) {
+        cancelTermEditBtn.addEventListener('click', resetTermForm);
+    }
+    if (termSummarySelect) {
+        termSummarySelect.addEventListener('change', loadTermSummary);
+    }
+    if (exportTermSummaryBtn) {
+        exportTermSummaryBtn.addEventListener('click', exportTermSummary);
+    }
+
+    // Trash buttons
+    const refreshTrashBtn = document.getElementById('refreshTrashBtn');
+    if (refreshTrashBtn) {
+        refreshTrashBtn.addEventListener('click', loadTrash);
+    }
+
+    // Sync conflict controls
+    const refreshConflictsBtn = document.getElementById('refreshConflictsBtn');
+    const conflictStatusFilter = document.getElementById('conflictStatusFilter');
+    if (refreshConflictsBtn) {
+        refreshConflictsBtn.addEventListener('click', loadSyncConflicts);
+    }
+    if (conflictStatusFilter) {
+        conflictStatusFilter.addEventListener('change', loadSyncConflicts);
+    }
+
     // Logs buttons
     const refreshLogsBtn = document.getElementById('refreshLogsBtn');
     const exportLogsBtn = document.getElementById('exportLogsBtn');
@@ -3942,6 +5723,8 @@ async function loadPending() {
             statusEl.className = 'badge error';
         }
 
+        await loadCorrections();
+
         // Update sidebar badge
         updatePendingBadge();
     } catch (error) {
@@ -3957,11 +5740,12 @@ function updatePendingStats(stats) {
 }
 
 function updatePendingBadge() {
-    const pending = pendingData.filter(p => p.status === 'pending');
+    const pending = pendingData.filter(p => p.status === 'pending').length +
+        correctionData.filter(c => c.status === 'pending').length;
     const badge = document.getElementById('pendingCount');
     if (badge) {
-        badge.textContent = pending.length;
-        badge.style.display = pending.length > 0 ? 'inline-flex' : 'none';
+        badge.textContent = pending;
+        badge.style.display = pending > 0 ? 'inline-flex' : 'none';
     }
 }
 
@@ -4207,7 +5991,7 @@ function renderOpenSessionsTable() {
                     hour: 'numeric',
                     minute: '2-digit',
                     hour12: true,
-                    timeZone: 'America/New_York'
+                    timeZone: labTimezone
                 })}</td>
                 <td>${hoursElapsed}h</td>
                 <td>
@@ -4322,6 +6106,140 @@ async function testPendingCron() {
     }
 }
 
+// Correction Requests (shown in the Pending Sign-Outs section)
+let correctionData = [];
+let currentReviewingCorrection = null;
+
+async function loadCorrections() {
+    try {
+        const result = await window.electronAPI.getCorrectionRequests();
+        if (!result.success) {
+            showNotification('Error loading correction requests: ' + result.error, 'error');
+            return;
+        }
+
+        correctionData = result.corrections || [];
+        const countEl = document.getElementById('correctionPendingCount');
+        if (countEl) countEl.textContent = result.stats?.pending || 0;
+        renderCorrectionTable();
+    } catch (error) {
+        showNotification('Error loading correction requests: ' + error.message, 'error');
+    }
+}
+
+function formatClockTime(hhmm) {
+    const [h, m] = (hhmm || '00:00').split(':').map(Number);
+    return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+function renderCorrectionTable() {
+    const tbody = document.getElementById('correctionTableBody');
+    if (!tbody) return;
+
+    const filter = document.getElementById('correctionStatusFilter')?.value || 'pending';
+    const filtered = filter === 'all' ? correctionData : correctionData.filter(c => c.status === filter);
+
+    if (filtered.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="7" style="text-align: center; color: #64748b;">${filter === 'pending' ? 'No corrections awaiting review' : 'No requests found'}</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = filtered.map(c => {
+        let statusBadge = '<span class="badge info">Awaiting Review</span>';
+        if (c.status === 'approved') statusBadge = '<span class="badge success">Approved</span>';
+        if (c.status === 'rejected') statusBadge = '<span class="badge error">Rejected</span>';
+
+        const actions = c.status === 'pending' ? `
+            <button class="btn btn-secondary" onclick="openCorrectionReviewModal('${c.id}')" title="Review">
+                <i class="fas fa-gavel"></i>
+            </button>
+        ` : `
+            <span style="color: #64748b; font-size: 0.875rem;" title="${escapeHtml(c.reviewNote || '')}">
+                by ${escapeHtml(c.reviewedBy || 'admin')}
+            </span>
+        `;
+
+        return `
+            <tr>
+                <td>
+                    <div style="font-weight: 500;">${escapeHtml(c.name)}</div>
+                    <div style="font-size: 0.75rem; color: #64748b;">${c.ufid}</div>
+                </td>
+                <td>${c.date}</td>
+                <td>${formatClockTime(c.signInTime)} – ${formatClockTime(c.signOutTime)}</td>
+                <td style="max-width: 240px; font-size: 0.875rem;">${escapeHtml(c.reason)}</td>
+                <td>
+                    <div>${new Date(c.submittedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</div>
+                    <div style="font-size: 0.75rem; color: #64748b;">${c.source === 'web' ? 'Web form' : 'Kiosk'}</div>
+                </td>
+                <td>${statusBadge}</td>
+                <td>${actions}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function openCorrectionReviewModal(id) {
+    const record = correctionData.find(c => c.id === id);
+    if (!record) {
+        showNotification('Correction request not found', 'error');
+        return;
+    }
+
+    currentReviewingCorrection = record;
+
+    document.getElementById('correctionStudentName').textContent = `${record.name} (${record.ufid})`;
+    document.getElementById('correctionDate').textContent = record.date;
+    document.getElementById('correctionReason').textContent = record.reason;
+    document.getElementById('correctionSignInTime').value = record.signInTime;
+    document.getElementById('correctionSignOutTime').value = record.signOutTime;
+    document.getElementById('correctionReviewer').value = localStorage.getItem('correctionReviewer') || '';
+    document.getElementById('correctionNote').value = '';
+
+    document.getElementById('correctionReviewModal').classList.add('active');
+}
+
+function closeCorrectionReviewModal() {
+    document.getElementById('correctionReviewModal').classList.remove('active');
+    currentReviewingCorrection = null;
+}
+
+async function submitCorrectionReview(approve) {
+    if (!currentReviewingCorrection) return;
+
+    const reviewer = document.getElementById('correctionReviewer').value.trim();
+    const note = document.getElementById('correctionNote').value.trim();
+    const signInTime = document.getElementById('correctionSignInTime').value;
+    const signOutTime = document.getElementById('correctionSignOutTime').value;
+
+    if (!reviewer) {
+        showNotification('Please enter your name as the reviewer', 'error');
+        return;
+    }
+    if (approve && (!signInTime || !signOutTime || signOutTime <= signInTime)) {
+        showNotification('Sign-out time must be after sign-in time', 'error');
+        return;
+    }
+    localStorage.setItem('correctionReviewer', reviewer);
+
+    try {
+        const result = approve
+            ? await window.electronAPI.approveCorrectionRequest(currentReviewingCorrection.id, { approvedBy: reviewer, note, signInTime, signOutTime })
+            : await window.electronAPI.rejectCorrectionRequest(currentReviewingCorrection.id, { reviewedBy: reviewer, note });
+
+        if (result.success) {
+            showNotification(`${approve ? 'Approved' : 'Rejected'} correction for ${currentReviewingCorrection.name}`, 'success');
+            closeCorrectionReviewModal();
+            await loadCorrections();
+            updatePendingBadge();
+        } else {
+            showNotification('Error: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error reviewing correction: ' + error.message, 'error');
+    }
+}
+
 // Pending section event listeners (add to DOMContentLoaded)
 document.addEventListener('DOMContentLoaded', function() {
     // Trigger pending processing button
@@ -4358,6 +6276,32 @@ document.addEventListener('DOMContentLoaded', function() {
         submitResolveBtn.addEventListener('click', submitResolvePending);
     }
 
+    // Correction request review
+    const correctionStatusFilter = document.getElementById('correctionStatusFilter');
+    if (correctionStatusFilter) {
+        correctionStatusFilter.addEventListener('change', renderCorrectionTable);
+    }
+
+    const closeCorrectionReviewModalBtn = document.getElementById('closeCorrectionReviewModal');
+    if (closeCorrectionReviewModalBtn) {
+        closeCorrectionReviewModalBtn.addEventListener('click', closeCorrectionReviewModal);
+    }
+
+    const cancelCorrectionReviewBtn = document.getElementById('cancelCorrectionReviewBtn');
+    if (cancelCorrectionReviewBtn) {
+        cancelCorrectionReviewBtn.addEventListener('click', closeCorrectionReviewModal);
+    }
+
+    const approveCorrectionBtn = document.getElementById('approveCorrectionBtn');
+    if (approveCorrectionBtn) {
+        approveCorrectionBtn.addEventListener('click', () => submitCorrectionReview(true));
+    }
+
+    const rejectCorrectionBtn = document.getElementById('rejectCorrectionBtn');
+    if (rejectCorrectionBtn) {
+        rejectCorrectionBtn.addEventListener('click', () => submitCorrectionReview(false));
+    }
+
     // Handle present only checkbox - disable time input when checked
     const markPresentOnly = document.getElementById('markPresentOnly');
     if (markPresentOnly) {
@@ -4506,7 +6450,6 @@ const ENROLL_POSES = [
     { label: 'Turn head slightly left',   yawMin: -Infinity, yawMax: -0.15 },
     { label: 'Turn head slightly right',  yawMin: 0.15, yawMax: Infinity },
 ];
-const ENROLL_MIN_EMBED_DIST = 0.05; // min cosine distance between captures
 const ENROLL_MIN_DET_SCORE  = 0.5;  // minimum face detection confidence
 const ENROLL_MIN_FACE_SIZE  = 80;   // minimum face width in px
 const DWELL_MS              = 800;  // ms the correct pose must be held
@@ -4519,13 +6462,6 @@ function _enrollYaw(kps) {
     return Math.max(-1, Math.min(1, (nx - (lx + rx) / 2) / span * 2.0));
 }
 
-function _enrollCosDist(a, b) {
-    let dot = 0, na = 0, nb = 0;
-    for (let i = 0; i < a.length; i++) { dot += a[i]*b[i]; na += a[i]*a[i]; nb += b[i]*b[i]; }
-    const d = Math.sqrt(na) * Math.sqrt(nb);
-    return d === 0 ? 1 : 1 - dot / d;
-}
-
 function openFaceEnrollModal(ufid, name) {
     const modal = document.getElementById('faceEnrollModal');
     if (!modal) return;
@@ -4752,7 +6688,7 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
     const ctx       = canvas.getContext('2d');
     const offscreen = document.createElement('canvas');
     let active      = true;
-    let samples     = [];       // collected embeddings (one per pose)
+    let captured    = 0;        // samples kept in the main process (one per pose)
     let hasFace     = false;
     let poseOkStart = 0;        // when the correct pose was first detected
 
@@ -4766,12 +6702,14 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
         setTimeout(() => { ring.style.borderColor = ''; ring.style.boxShadow = ''; }, 300);
     }
 
-    function currentPose() { return ENROLL_POSES[samples.length] || ENROLL_POSES[0]; }
+    function currentPose() { return ENROLL_POSES[captured] || ENROLL_POSES[0]; }
+
+    window.electronAPI.faceEnrollReset().catch(() => {});
 
     const detect = async () => {
         if (!active || !document.getElementById('enrollVideo')) return;
 
-        // --- IPC to Python for ArcFace embedding ---
+        // --- IPC to Python for detection (the embedding stays in the main process) ---
         offscreen.width  = video.videoWidth;
         offscreen.height = video.videoHeight;
         offscreen.getContext('2d').drawImage(video, 0, 0);
@@ -4810,7 +6748,7 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
 
             if (poseCorrect) {
                 drawEnrollBox(ctx, x1, y1, faceW, y2 - y1,
-                    samples.length >= ENROLL_SAMPLE_COUNT ? '#34d399' : '#00ff88', face.kps);
+                    captured >= ENROLL_SAMPLE_COUNT ? '#34d399' : '#00ff88', face.kps);
 
                 if (!hasFace || poseOkStart === 0) {
                     hasFace = true; poseOkStart = Date.now();
@@ -4821,37 +6759,30 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
 
                 // Animate ring border during dwell
                 const ring = document.getElementById('enrollScanRing');
-                if (ring && samples.length < ENROLL_SAMPLE_COUNT) {
+                if (ring && captured < ENROLL_SAMPLE_COUNT) {
                     ring.style.borderColor = `rgba(96,165,250,${(0.3 + 0.7 * dwellFraction).toFixed(2)})`;
                     ring.style.boxShadow   = `0 0 0 ${Math.round(dwellFraction * 8)}px rgba(96,165,250,${(0.08 * dwellFraction).toFixed(2)})`;
                 }
 
-                if (samples.length < ENROLL_SAMPLE_COUNT && dwellFraction >= 1) {
-                    const emb = Array.from(face.embedding);
-
-                    // Verify this capture is distinct from previous ones
-                    let tooSimilar = false;
-                    for (const prev of samples) {
-                        if (_enrollCosDist(emb, prev) < ENROLL_MIN_EMBED_DIST) {
-                            tooSimilar = true;
-                            break;
-                        }
-                    }
-                    if (tooSimilar) {
+                if (captured < ENROLL_SAMPLE_COUNT && dwellFraction >= 1) {
+                    // Keep this frame as a sample; main rejects one too close to an earlier capture
+                    let capture = null;
+                    try { capture = await window.electronAPI.faceEnrollCapture(); } catch (_) {}
+                    if (!capture?.success) {
                         poseOkStart = 0;
-                        setEnrollStatus('error', 'Too similar — adjust your pose');
+                        if (capture?.error === 'too_similar') setEnrollStatus('error', 'Too similar — adjust your pose');
                         if (active) enrollAnimFrame = requestAnimationFrame(() => setTimeout(detect, 300));
                         return;
                     }
 
-                    samples.push(emb);
+                    captured = capture.count;
                     poseOkStart = 0;
-                    updateEnrollRing(samples.length);
+                    updateEnrollRing(captured);
                     flashCapture();
 
-                    if (samples.length < ENROLL_SAMPLE_COUNT) {
-                        const nextPose = ENROLL_POSES[samples.length];
-                        setEnrollStatus('success', `${samples.length}/${ENROLL_SAMPLE_COUNT} captured`);
+                    if (captured < ENROLL_SAMPLE_COUNT) {
+                        const nextPose = ENROLL_POSES[captured];
+                        setEnrollStatus('success', `${captured}/${ENROLL_SAMPLE_COUNT} captured`);
                         const sub = document.getElementById('enrollModalSub');
                         if (sub) sub.textContent = nextPose.label;
                         setTimeout(() => {
@@ -4861,7 +6792,7 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
                         setEnrollStatus('scanning', 'Saving enrollment…');
                         active = false;
                         try {
-                            const res = await window.electronAPI.saveFaceDescriptor(ufid, samples);
+                            const res = await window.electronAPI.saveFaceDescriptor(ufid);
                             if (res.success) {
                                 setEnrollStatus('success', `Face ID enrolled for ${name}!`);
                                 showNotification(`Face ID enrolled for ${name}`, 'success');
@@ -4888,10 +6819,10 @@ function runEnrollDetectionLoop(video, canvas, ufid, name) {
             poseOkStart = 0;
             const ring = document.getElementById('enrollScanRing');
             if (ring) { ring.style.borderColor = ''; ring.style.boxShadow = ''; }
-            updateEnrollRing(samples.length);
+            updateEnrollRing(captured);
             const pose = currentPose();
-            setEnrollStatus('scanning', samples.length > 0
-                ? `${samples.length}/${ENROLL_SAMPLE_COUNT} — ${pose.label}`
+            setEnrollStatus('scanning', captured > 0
+                ? `${captured}/${ENROLL_SAMPLE_COUNT} — ${pose.label}`
                 : 'Position face in camera');
         }
 
@@ -4914,6 +6845,7 @@ function closeEnrollModal() {
     if (video) { video.srcObject = null; video.style.display = 'block'; }
     const canvas = document.getElementById('enrollCanvas');
     if (canvas) { const ctx = canvas.getContext('2d'); ctx.clearRect(0,0,canvas.width,canvas.height); }
+    window.electronAPI.faceEnrollReset().catch(() => {});
     // After enrollment, refresh the Face ID table if it's the active section
     if (typeof refreshFaceEnrollTable === 'function') refreshFaceEnrollTable().catch(() => {});
 }
@@ -4,6 +4,10 @@
  * Deployed on Vercel, uses Upstash Redis for storage
  * Handles:
  * - Student sign-out form submissions
+ * - Attendance correction requests (web form; the Electron app syncs them
+ *   through routes/adminData.js)
+ * - Face ID self-enrollment from a phone (capture page; the Electron app
+ *   checks the frames)
  * - Secure web admin dashboard
  */
 
@@ -17,6 +21,7 @@ const { Redis } = require('@upstash/redis');
 // Routes
 const adminRoutes = require('./routes/admin');
 const adminDataRoutes = require('./routes/adminData');
+const { correctionValues, correctionProblem } = require('./services/correctionRules');
 
 // Auth middleware
 const { checkAuth, requireAuth } = require('./middleware/auth');
@@ -58,6 +63,29 @@ const redis = new Redis({
 });
 
 const PENDING_KEY = 'pending_signouts';
+const CORRECTIONS_KEY = 'correction_requests';
+const STUDENTS_KEY = 'students';
+const LAB_TIMEZONE_KEY = 'lab_timezone';
+const FACE_ENROLLMENTS_KEY = 'face_enrollments';
+
+// Enrollment uploads: 3 frames per pose, each a ~480px JPEG. The frames
+// expire on their own if the desktop app never picks them up.
+const ENROLL_FRAMES_PER_POSE = 3;
+const ENROLL_MAX_FRAMES = 9;
+const ENROLL_MAX_FRAME_LENGTH = 300 * 1024;
+const ENROLL_MEDIA_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ENROLL_POSE_LABELS = {
+  front: 'Look straight at the camera',
+  left: 'Turn your head slightly left',
+  right: 'Turn your head slightly right'
+};
+
+// Lab timezone for records created before the app started sending config.timezone
+const DEFAULT_TIMEZONE = process.env.LAB_TIMEZONE || 'America/New_York';
+
+function recordTimezone(record) {
+  return record.timezone || DEFAULT_TIMEZONE;
+}
 
 // ─────────────────────────────────────────────────────────────
 // Helper Functions
@@ -83,6 +111,60 @@ async function savePendingSignouts(data) {
   }
 }
 
+async function getCorrectionRequests() {
+  try {
+    const data = await redis.get(CORRECTIONS_KEY);
+    return data || [];
+  } catch (err) {
+    console.error('Error reading correction requests:', err);
+    return [];
+  }
+}
+
+async function saveCorrectionRequests(data) {
+  try {
+    await redis.set(CORRECTIONS_KEY, data);
+    return true;
+  } catch (err) {
+    console.error('Error saving correction requests:', err);
+    return false;
+  }
+}
+
+async function getFaceEnrollments() {
+  try {
+    const data = await redis.get(FACE_ENROLLMENTS_KEY);
+    return data || [];
+  } catch (err) {
+    console.error('Error reading face enrollments:', err);
+    return [];
+  }
+}
+
+async function saveFaceEnrollments(data) {
+  try {
+    await redis.set(FACE_ENROLLMENTS_KEY, data);
+    return true;
+  } catch (err) {
+    console.error('Error saving face enrollments:', err);
+    return false;
+  }
+}
+
+// Same key as routes/adminData.js, which hands the frames to the desktop app
+function faceEnrollmentMediaKey(id) {
+  return `face_enrollment_media:${id}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 // ─────────────────────────────────────────────────────────────
 // API Routes
 // ─────────────────────────────────────────────────────────────
@@ -150,16 +232,18 @@ app.put('/api/pending/:id', async (req, res) => {
   }
 });
 
-// Delete resolved/expired records older than 7 days (cleanup)
+// Delete resolved/expired records older than ?days (default 7; the desktop
+// app's data retention policy passes its own)
 app.delete('/api/pending/cleanup', async (req, res) => {
   try {
     const pending = await getPendingSignouts();
-    const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const days = Number.parseInt(req.query.days, 10);
+    const cutoff = Date.now() - (Number.isInteger(days) && days > 0 ? days : 7) * 24 * 60 * 60 * 1000;
 
     const filtered = pending.filter(p => {
       if (p.status === 'pending') return true;
       const resolvedAt = new Date(p.resolvedAt).getTime();
-      return resolvedAt > sevenDaysAgo;
+      return resolvedAt > cutoff;
     });
 
     await savePendingSignouts(filtered);
@@ -169,6 +253,65 @@ app.delete('/api/pending/cleanup', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Correction Request Form (Student-facing)
+// ─────────────────────────────────────────────────────────────
+
+// GET: Display correction request form
+app.get('/correction', (req, res) => {
+  res.send(generateCorrectionFormHTML());
+});
+
+// POST: Submit a correction request for admin review
+app.post('/correction', async (req, res) => {
+  const values = correctionValues(req.body);
+
+  try {
+    const timeZone = await redis.get(LAB_TIMEZONE_KEY) || DEFAULT_TIMEZONE;
+    const today = new Date().toLocaleDateString('en-CA', { timeZone }); // YYYY-MM-DD in lab time
+
+    const students = await redis.get(STUDENTS_KEY) || [];
+    const problem = correctionProblem(values, { today, students });
+    if (problem) {
+      return res.send(generateCorrectionFormHTML(values, problem.error));
+    }
+    const student = students.find(s => String(s.ufid) === values.ufid);
+
+    const corrections = await getCorrectionRequests();
+    if (corrections.some(c => c.ufid === values.ufid && c.date === values.date && c.status === 'pending')) {
+      return res.send(generateCorrectionFormHTML(values, 'A correction for this date is already waiting for review.'));
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: `corr-${Date.now()}-${values.ufid}`,
+      ufid: values.ufid,
+      name: student.name,
+      date: values.date,
+      signInTime: values.signInTime,
+      signOutTime: values.signOutTime,
+      timezone: timeZone,
+      reason: values.reason,
+      source: 'web',
+      status: 'pending',
+      submittedAt: now,
+      updatedAt: now,
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewNote: null,
+      attendanceIds: []
+    };
+
+    corrections.push(record);
+    await saveCorrectionRequests(corrections);
+
+    res.send(generateCorrectionSuccessHTML(record));
+  } catch (err) {
+    console.error('Error processing correction request:', err);
+    res.status(500).send(generateErrorHTML('An error occurred while submitting your request. Please try again.'));
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // Sign-Out Form Routes (Student-facing)
 // ─────────────────────────────────────────────────────────────
@@ -228,43 +371,44 @@ app.post('/signout/:token', async (req, res) => {
     }
 
     // Parse and validate the sign-out time
-    // The signInTimestamp is stored in UTC, but we need to work in ET timezone
+    // The signInTimestamp is stored in UTC, but we need to work in the lab's timezone
+    const timeZone = recordTimezone(record);
     const signInDate = new Date(record.signInTimestamp);
     let signOutDate;
 
     if (/^\d{2}:\d{2}$/.test(signOutTime)) {
       const [hours, minutes] = signOutTime.split(':').map(Number);
 
-      // Get the sign-in date components in ET timezone
-      const signInET = new Date(signInDate.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-      const signInYear = signInET.getFullYear();
-      const signInMonth = signInET.getMonth();
-      const signInDay = signInET.getDate();
+      // Get the sign-in date components in lab time
+      const signInLab = new Date(signInDate.toLocaleString('en-US', { timeZone }));
+      const signInYear = signInLab.getFullYear();
+      const signInMonth = signInLab.getMonth();
+      const signInDay = signInLab.getDate();
 
       // Create the sign-out date in UTC by constructing it properly
-      // User input is in ET timezone, so we need to convert to UTC
-      // Use toLocaleString trick to get the ET offset for that specific date
+      // User input is in lab time, so we need to convert to UTC
+      // Use toLocaleString trick to get the lab offset for that specific date
       const tempDate = new Date(Date.UTC(signInYear, signInMonth, signInDay, hours, minutes, 0));
-      const etString = tempDate.toLocaleString('en-US', { timeZone: 'America/New_York' });
+      const labString = tempDate.toLocaleString('en-US', { timeZone });
       const utcString = tempDate.toLocaleString('en-US', { timeZone: 'UTC' });
-      const etOffset = (new Date(utcString) - new Date(etString)) / 60000; // minutes difference
+      const labOffset = (new Date(utcString) - new Date(labString)) / 60000; // minutes difference
 
-      // The user entered time in ET, so create UTC by adding the offset
+      // The user entered time in lab time, so create UTC by adding the offset
       signOutDate = new Date(Date.UTC(signInYear, signInMonth, signInDay, hours, minutes, 0));
-      signOutDate.setMinutes(signOutDate.getMinutes() + etOffset);
+      signOutDate.setMinutes(signOutDate.getMinutes() + labOffset);
     } else {
       signOutDate = new Date(signOutTime);
     }
 
-    // Validation - compare in ET timezone to ensure same calendar day
-    const signInETStr = signInDate.toLocaleDateString('en-US', { timeZone: 'America/New_York' });
-    const signOutETStr = signOutDate.toLocaleDateString('en-US', { timeZone: 'America/New_York' });
+    // Validation - compare in lab time to ensure same calendar day
+    const signInLabStr = signInDate.toLocaleDateString('en-US', { timeZone });
+    const signOutLabStr = signOutDate.toLocaleDateString('en-US', { timeZone });
 
     if (signOutDate <= signInDate) {
       return res.send(generateFormHTML(record, 'Sign-out time must be after your sign-in time.'));
     }
 
-    if (signInETStr !== signOutETStr) {
+    if (signInLabStr !== signOutLabStr) {
       return res.send(generateFormHTML(record, 'Sign-out time must be on the same day as sign-in.'));
     }
 
@@ -286,29 +430,101 @@ app.post('/signout/:token', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Face ID Self-Enrollment Routes (Student-facing)
+// ─────────────────────────────────────────────────────────────
+
+// GET: Capture page for an enrollment link
+app.get('/enroll/:token', async (req, res) => {
+  try {
+    const record = (await getFaceEnrollments()).find(e => e.token === req.params.token);
+    const problem = enrollmentLinkProblem(record);
+    if (problem) {
+      return res.status(record ? 400 : 404).send(generateErrorHTML(problem));
+    }
+
+    res.send(generateEnrollmentHTML(record));
+  } catch (err) {
+    console.error('Error serving enrollment page:', err);
+    res.status(500).send(generateErrorHTML('An error occurred. Please try again.'));
+  }
+});
+
+// POST: Upload the captured frames (JSON, sent by the capture page)
+app.post('/enroll/:token', async (req, res) => {
+  try {
+    const requests = await getFaceEnrollments();
+    const record = requests.find(e => e.token === req.params.token);
+    const problem = enrollmentLinkProblem(record);
+    if (problem) {
+      return res.status(record ? 400 : 404).json({ success: false, error: problem });
+    }
+
+    const frames = Array.isArray(req.body.frames) ? req.body.frames : [];
+    if (frames.length === 0 || frames.length > ENROLL_MAX_FRAMES) {
+      return res.status(400).json({ success: false, error: 'Please capture the poses again.' });
+    }
+    const valid = frames.every(f => f
+      && record.challenge.includes(f.pose)
+      && typeof f.capturedAt === 'string' && !Number.isNaN(Date.parse(f.capturedAt))
+      && typeof f.image === 'string' && f.image.length <= ENROLL_MAX_FRAME_LENGTH && /^[A-Za-z0-9+/]+=*$/.test(f.image));
+    if (!valid) {
+      return res.status(400).json({ success: false, error: 'The photos could not be read. Please try again.' });
+    }
+
+    await redis.set(faceEnrollmentMediaKey(record.id), {
+      frames: frames.map(({ pose, capturedAt, image }) => ({ pose, capturedAt, image }))
+    }, { ex: ENROLL_MEDIA_TTL_SECONDS });
+
+    const now = new Date().toISOString();
+    Object.assign(record, { status: 'submitted', submittedAt: now, updatedAt: now });
+    await saveFaceEnrollments(requests);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error processing enrollment upload:', err);
+    res.status(500).json({ success: false, error: 'An error occurred while uploading. Please try again.' });
+  }
+});
+
+// Why a link can't be used, or null
+function enrollmentLinkProblem(record) {
+  if (!record) return 'Invalid or expired link. This enrollment request was not found.';
+  if (record.status !== 'invited') return 'This enrollment link has already been used.';
+  if (new Date() > new Date(record.expiresAt)) {
+    return 'This enrollment link has expired. Please ask the lab administrator for a new one.';
+  }
+  return null;
+}
+
 // ─────────────────────────────────────────────────────────────
 // HTML Templates
 // ─────────────────────────────────────────────────────────────
 
 function generateFormHTML(record, error = null) {
+  const timeZone = recordTimezone(record);
   const signInTime = new Date(record.signInTimestamp);
   const deadline = new Date(record.deadline);
 
   const signInDisplay = signInTime.toLocaleString('en-US', {
     weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
     hour: 'numeric', minute: '2-digit', hour12: true,
-    timeZone: 'America/New_York'
+    timeZone
   });
 
   const deadlineDisplay = deadline.toLocaleString('en-US', {
     weekday: 'long', month: 'long', day: 'numeric',
     hour: 'numeric', minute: '2-digit', hour12: true,
-    timeZone: 'America/New_York'
+    timeZone
   });
 
+  const zoneLabel = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(deadline)
+    .find(p => p.type === 'timeZoneName').value;
+
   const minTime = signInTime.toLocaleTimeString('en-US', {
     hour: '2-digit', minute: '2-digit', hour12: false,
-    timeZone: 'America/New_York'
+    timeZone
   });
 
   return `
@@ -449,7 +665,7 @@ function generateFormHTML(record, error = null) {
       </div>
       <div class="info-row">
         <span class="info-label">Deadline</span>
-        <span class="info-value">${deadlineDisplay} ET</span>
+        <span class="info-value">${deadlineDisplay} ${zoneLabel}</span>
       </div>
     </div>
 
@@ -473,17 +689,18 @@ function generateFormHTML(record, error = null) {
 }
 
 function generateSuccessHTML(record, hoursWorked) {
+  const timeZone = recordTimezone(record);
   const signInTime = new Date(record.signInTimestamp);
   const signOutTime = new Date(record.submittedSignOutTime);
 
   const signInDisplay = signInTime.toLocaleTimeString('en-US', {
     hour: 'numeric', minute: '2-digit', hour12: true,
-    timeZone: 'America/New_York'
+    timeZone
   });
 
   const signOutDisplay = signOutTime.toLocaleTimeString('en-US', {
     hour: 'numeric', minute: '2-digit', hour12: true,
-    timeZone: 'America/New_York'
+    timeZone
   });
 
   return `
@@ -592,6 +809,328 @@ function generateSuccessHTML(record, hoursWorked) {
   `;
 }
 
+function generateCorrectionFormHTML(values = {}, error = null) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Request Attendance Correction - UF Lab Attendance</title>
+  <style>
+    :root { --uf-blue: #0021A5; --uf-blue-dark: #001A85; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
+      min-height: 100vh;
+      padding: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .card {
+      background: white;
+      border-radius: 16px;
+      padding: 40px;
+      max-width: 500px;
+      width: 100%;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+    }
+    h1 { color: var(--uf-blue); text-align: center; margin-bottom: 10px; font-size: 24px; }
+    .subtitle { color: #64748b; text-align: center; margin-bottom: 25px; }
+    .error {
+      background: #fee2e2;
+      color: #dc2626;
+      padding: 15px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      font-size: 14px;
+    }
+    .form-group { margin-bottom: 18px; }
+    .row { display: flex; gap: 12px; }
+    .row .form-group { flex: 1; }
+    label { display: block; color: #374151; font-weight: 600; margin-bottom: 8px; }
+    input, textarea {
+      width: 100%;
+      padding: 12px 14px;
+      font-size: 16px;
+      font-family: inherit;
+      border: 2px solid #e2e8f0;
+      border-radius: 10px;
+    }
+    input:focus, textarea:focus { outline: none; border-color: var(--uf-blue); }
+    textarea { height: 90px; resize: vertical; }
+    .btn {
+      width: 100%;
+      padding: 16px;
+      background: linear-gradient(135deg, var(--uf-blue), var(--uf-blue-dark));
+      color: white;
+      border: none;
+      border-radius: 10px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Request a Correction</h1>
+    <p class="subtitle">Forgot to sign in? Tell us when you were in the lab. An administrator will review your request.</p>
+
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+
+    <form method="POST" action="/correction">
+      <div class="form-group">
+        <label for="ufid">UF ID</label>
+        <input type="text" id="ufid" name="ufid" inputmode="numeric" maxlength="8" required value="${escapeHtml(values.ufid)}">
+      </div>
+      <div class="form-group">
+        <label for="date">Date</label>
+        <input type="date" id="date" name="date" required value="${escapeHtml(values.date)}">
+      </div>
+      <div class="row">
+        <div class="form-group">
+          <label for="signInTime">From</label>
+          <input type="time" id="signInTime" name="signInTime" required value="${escapeHtml(values.signInTime)}">
+        </div>
+        <div class="form-group">
+          <label for="signOutTime">To</label>
+          <input type="time" id="signOutTime" name="signOutTime" required value="${escapeHtml(values.signOutTime)}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="reason">Reason</label>
+        <textarea id="reason" name="reason" maxlength="300" required>${escapeHtml(values.reason)}</textarea>
+      </div>
+      <button type="submit" class="btn">Submit Request</button>
+    </form>
+  </div>
+</body>
+</html>
+  `;
+}
+
+function generateCorrectionSuccessHTML(record) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Request Submitted - UF Lab Attendance</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
+      min-height: 100vh;
+      padding: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .card {
+      background: white;
+      border-radius: 16px;
+      padding: 40px;
+      max-width: 500px;
+      width: 100%;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+      text-align: center;
+    }
+    h1 { color: #10b981; margin-bottom: 10px; }
+    .subtitle { color: #64748b; margin-bottom: 25px; }
+    .info-box { background: #f8fafc; padding: 20px; border-radius: 10px; text-align: left; color: #0f172a; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Request Submitted</h1>
+    <p class="subtitle">Your request is waiting for admin review.</p>
+    <div class="info-box">
+      <strong>${escapeHtml(record.date)}</strong>, ${escapeHtml(record.signInTime)} – ${escapeHtml(record.signOutTime)}
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+function generateEnrollmentHTML(record) {
+  const poses = record.challenge.map(pose => ({ pose, label: ENROLL_POSE_LABELS[pose] || pose }));
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Set Up Face ID - UF Lab Attendance</title>
+  <style>
+    :root { --uf-blue: #0021A5; --uf-orange: #FA4616; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+      background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
+      min-height: 100vh;
+      padding: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .card {
+      background: white;
+      border-radius: 16px;
+      padding: 30px;
+      max-width: 500px;
+      width: 100%;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+      text-align: center;
+    }
+    h1 { color: var(--uf-blue); font-size: 24px; margin-bottom: 10px; }
+    p { color: #374151; line-height: 1.6; margin-bottom: 15px; }
+    ol { text-align: left; color: #374151; margin: 0 0 20px 20px; line-height: 1.8; }
+    .camera {
+      position: relative;
+      width: 100%;
+      aspect-ratio: 3 / 4;
+      background: #0f172a;
+      border-radius: 12px;
+      overflow: hidden;
+      margin-bottom: 15px;
+      display: none;
+    }
+    .camera video { width: 100%; height: 100%; object-fit: cover; transform: scaleX(-1); }
+    .camera .count {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: white;
+      font-size: 72px;
+      font-weight: 700;
+      text-shadow: 0 2px 8px rgba(0,0,0,0.5);
+    }
+    .prompt { font-size: 18px; font-weight: 600; color: var(--uf-blue); min-height: 28px; }
+    .btn {
+      display: inline-block;
+      background: linear-gradient(135deg, var(--uf-blue), #001A85);
+      color: white;
+      border: none;
+      padding: 14px 32px;
+      border-radius: 8px;
+      font-weight: 600;
+      font-size: 16px;
+      cursor: pointer;
+    }
+    .btn:disabled { opacity: 0.5; cursor: default; }
+    .error { color: #dc2626; }
+    .help { color: #64748b; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Set Up Face ID</h1>
+    <p>Hello <strong>${escapeHtml(record.name)}</strong>. Hold your phone at eye level in good light. You will be asked to:</p>
+    <ol>
+      ${poses.map(p => `<li>${escapeHtml(p.label)}</li>`).join('\n      ')}
+    </ol>
+    <div class="camera" id="camera">
+      <video id="video" autoplay playsinline muted></video>
+      <div class="count" id="count"></div>
+    </div>
+    <p class="prompt" id="prompt"></p>
+    <button class="btn" id="startBtn">Start Camera</button>
+    <p class="help" style="margin-top: 15px;">Your photos are only used to build your Face ID template and are deleted once they have been checked. A lab admin reviews the result before Face ID is turned on for you.</p>
+  </div>
+
+  <script>
+    const POSES = ${JSON.stringify(poses)};
+    const FRAMES_PER_POSE = ${ENROLL_FRAMES_PER_POSE};
+    const FRAME_WIDTH = 480;
+
+    const video = document.getElementById('video');
+    const prompt = document.getElementById('prompt');
+    const count = document.getElementById('count');
+    const startBtn = document.getElementById('startBtn');
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    function showError(message) {
+      prompt.textContent = message;
+      prompt.className = 'prompt error';
+      startBtn.disabled = false;
+      startBtn.textContent = 'Try Again';
+    }
+
+    function grabFrame() {
+      const canvas = document.createElement('canvas');
+      canvas.width = FRAME_WIDTH;
+      canvas.height = Math.round(video.videoHeight * FRAME_WIDTH / video.videoWidth);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.85).split(',')[1];
+    }
+
+    async function capture() {
+      startBtn.disabled = true;
+      prompt.className = 'prompt';
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user', width: { ideal: 640 } }, audio: false });
+      } catch (err) {
+        return showError('The camera could not be opened. Please allow camera access and try again.');
+      }
+
+      const frames = [];
+      try {
+        video.srcObject = stream;
+        document.getElementById('camera').style.display = 'block';
+        await new Promise(resolve => { video.onloadedmetadata = resolve; });
+
+        for (const { pose, label } of POSES) {
+          prompt.textContent = label;
+          for (let n = 3; n > 0; n--) {
+            count.textContent = n;
+            await sleep(1000);
+          }
+          count.textContent = '';
+          for (let i = 0; i < FRAMES_PER_POSE; i++) {
+            frames.push({ pose, capturedAt: new Date().toISOString(), image: grabFrame() });
+            await sleep(300);
+          }
+        }
+      } finally {
+        stream.getTracks().forEach(track => track.stop());
+        document.getElementById('camera').style.display = 'none';
+      }
+
+      prompt.textContent = 'Uploading...';
+      try {
+        const response = await fetch(window.location.pathname, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ frames })
+        });
+        const result = await response.json();
+        if (!result.success) return showError(result.error || 'The upload failed. Please try again.');
+      } catch (err) {
+        return showError('The upload failed. Please check your connection and try again.');
+      }
+
+      startBtn.style.display = 'none';
+      prompt.textContent = 'Thanks! Your photos were uploaded.';
+      document.querySelector('ol').outerHTML = '<p>They will be checked, and a lab admin will turn on Face ID for you once they have reviewed them.</p>';
+    }
+
+    startBtn.addEventListener('click', capture);
+  </script>
+</body>
+</html>
+  `;
+}
+
 function generateErrorHTML(message) {
   return `
 <!DOCTYPE html>
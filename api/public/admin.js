@@ -9,6 +9,7 @@ let currentAttendancePage = 1;
 const PAGE_SIZE = 25;
 let searchDebounceTimer = null;
 let charts = {};
+let labTimezone = 'America/New_York'; // replaced by the synced config.timezone on dashboard load
 let hoursCurrentDate = new Date();
 hoursCurrentDate.setHours(0, 0, 0, 0);
 let matrixWeekStart = getMonday(new Date());
@@ -130,6 +131,9 @@ function switchTab(tabName) {
     case 'pending':
       loadPending();
       break;
+    case 'face-enrollments':
+      loadFaceEnrollments();
+      break;
   }
 }
 
@@ -174,6 +178,7 @@ async function loadDashboard() {
 
     if (data.success) {
       const stats = data.stats;
+      if (data.timezone) labTimezone = data.timezone;
       document.getElementById('stat-total-students').textContent = stats.totalStudents;
       document.getElementById('stat-signed-in').textContent = stats.currentlySignedIn;
       document.getElementById('stat-today-visits').textContent = stats.todaysVisits;
@@ -651,13 +656,16 @@ async function editStudent(ufid) {
 }
 
 async function deleteStudent(ufid) {
-  if (!confirm(`Are you sure you want to delete student ${ufid}?`)) {
+  const reason = prompt(`Delete student ${ufid}? Enter a reason for the audit log (optional):`, '');
+  if (reason === null) {
     return;
   }
 
   try {
     const response = await fetch(`/api/admin/data/students/${ufid}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason })
     });
 
     const data = await response.json();
@@ -736,11 +744,11 @@ function renderAttendanceTable(records) {
       <tbody>
         ${records.map(r => {
           const date = new Date(r.timestamp);
-          const dateStr = date.toLocaleDateString('en-US', { timeZone: 'America/New_York' });
+          const dateStr = date.toLocaleDateString('en-US', { timeZone: labTimezone });
           const timeStr = date.toLocaleTimeString('en-US', {
             hour: '2-digit',
             minute: '2-digit',
-            timeZone: 'America/New_York'
+            timeZone: labTimezone
           });
           const actionClass = r.action === 'signin' ? 'badge-success' : 'badge-warning';
           const statusBadge = r.synthetic
@@ -771,13 +779,16 @@ function renderAttendanceTable(records) {
 }
 
 async function deleteAttendance(id) {
-  if (!confirm('Are you sure you want to delete this record?')) {
+  const reason = prompt('Delete this record? Enter a reason for the audit log (optional):', '');
+  if (reason === null) {
     return;
   }
 
   try {
     const response = await fetch(`/api/admin/data/attendance/${id}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason })
     });
 
     const data = await response.json();
@@ -844,18 +855,18 @@ function renderPendingTable(pending) {
         ${pendingOnly.map(p => {
           const signInDate = new Date(p.signInTimestamp);
           const deadline = new Date(p.deadline);
-          const dateStr = signInDate.toLocaleDateString('en-US', { timeZone: 'America/New_York' });
+          const dateStr = signInDate.toLocaleDateString('en-US', { timeZone: labTimezone });
           const signInTime = signInDate.toLocaleTimeString('en-US', {
             hour: '2-digit',
             minute: '2-digit',
-            timeZone: 'America/New_York'
+            timeZone: labTimezone
           });
           const deadlineStr = deadline.toLocaleString('en-US', {
             month: 'short',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit',
-            timeZone: 'America/New_York'
+            timeZone: labTimezone
           });
           const isOverdue = new Date() > deadline;
 
@@ -903,7 +914,7 @@ function showResolveModal(id) {
           const signInTime = signInDate.toLocaleTimeString('en-US', {
             hour: '2-digit',
             minute: '2-digit',
-            timeZone: 'America/New_York'
+            timeZone: labTimezone
           });
 
           document.getElementById('resolve-info').innerHTML = `
@@ -924,6 +935,112 @@ function closeResolveModal() {
   currentResolvePending = null;
 }
 
+// ─────────────────────────────────────────────────────────────
+// Face ID Self-Enrollment
+// ─────────────────────────────────────────────────────────────
+
+const FACE_ENROLLMENT_BADGES = {
+  invited: ['badge-warning', 'Link sent'],
+  submitted: ['badge-warning', 'Being checked'],
+  review: ['badge-warning', 'Needs review'],
+  approved: ['badge-success', 'Approved'],
+  rejected: ['badge-error', 'Rejected'],
+  failed: ['badge-error', 'Failed checks'],
+  expired: ['badge-error', 'Expired']
+};
+
+async function loadFaceEnrollments() {
+  const container = document.getElementById('face-enrollments-table-container');
+  container.innerHTML = '<div class="loading"><div class="spinner"></div>Loading enrollment requests...</div>';
+
+  try {
+    const response = await fetch('/api/admin/data/face-enrollments');
+    const data = await response.json();
+
+    if (data.success) {
+      renderFaceEnrollmentsTable(data.requests);
+    } else {
+      container.innerHTML = `<div class="loading">Error: ${escapeHtml(data.error)}</div>`;
+    }
+  } catch (error) {
+    console.error('Failed to load face enrollments:', error);
+    container.innerHTML = '<div class="loading">Failed to load enrollment requests</div>';
+  }
+}
+
+function renderFaceEnrollmentsTable(requests) {
+  const container = document.getElementById('face-enrollments-table-container');
+
+  if (requests.length === 0) {
+    container.innerHTML = '<div class="loading">No enrollment requests. Send links from the desktop app\'s Face ID tab.</div>';
+    return;
+  }
+
+  const html = `
+    <table>
+      <thead>
+        <tr>
+          <th>Sent</th>
+          <th>Name</th>
+          <th>Status</th>
+          <th>Checks</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${requests.map(e => {
+          const [badgeClass, label] = FACE_ENROLLMENT_BADGES[e.status] || ['', e.status];
+          const analysis = e.analysis || {};
+          const notes = [...(analysis.failures || []), ...(analysis.warnings || [])];
+          const reviewed = e.reviewedBy ? `<div style="font-size: 12px; opacity: 0.7;">by ${escapeHtml(e.reviewedBy)}</div>` : '';
+
+          return `
+            <tr>
+              <td>${new Date(e.createdAt).toLocaleDateString('en-US', { timeZone: labTimezone })}</td>
+              <td>${escapeHtml(e.name)}</td>
+              <td><span class="badge ${badgeClass}">${label}</span>${reviewed}</td>
+              <td>${notes.length ? notes.map(n => escapeHtml(n)).join('<br>') : (analysis.passed ? 'All passed' : '-')}</td>
+              <td>
+                ${e.status === 'review' ? `
+                  <button class="btn btn-primary btn-sm" onclick="reviewFaceEnrollment('${e.id}', 'approve')">Approve</button>
+                  <button class="btn btn-danger btn-sm" onclick="reviewFaceEnrollment('${e.id}', 'reject')">Reject</button>
+                ` : ''}
+              </td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+
+  container.innerHTML = html;
+}
+
+async function reviewFaceEnrollment(id, action) {
+  const note = action === 'reject' ? prompt('Reason for rejecting (optional):') : '';
+  if (note === null) return;
+
+  try {
+    const response = await fetch(`/api/admin/data/face-enrollments/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, note })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showToast(action === 'approve'
+        ? 'Approved. Face ID turns on at the kiosk\'s next sync.'
+        : 'Enrollment rejected', 'success');
+      loadFaceEnrollments();
+    } else {
+      showToast(data.error || 'Failed to review enrollment', 'error');
+    }
+  } catch (error) {
+    showToast('Failed to review enrollment', 'error');
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // Forms
 // ─────────────────────────────────────────────────────────────
@@ -1090,4 +1207,6 @@ window.deleteAttendance = deleteAttendance;
 window.refreshPending = refreshPending;
 window.showResolveModal = showResolveModal;
 window.closeResolveModal = closeResolveModal;
+window.loadFaceEnrollments = loadFaceEnrollments;
+window.reviewFaceEnrollment = reviewFaceEnrollment;
 window.goToPage = goToPage;
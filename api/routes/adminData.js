@@ -6,19 +6,36 @@
  * - Attendance records
  * - Dashboard statistics
  * - Pending sign-outs management
+ * - Correction requests (synced with the desktop app, which reviews them)
+ * - Face ID self-enrollment requests (synced with the desktop app, which
+ *   checks the captured frames; approved or rejected here or on the desktop)
+ * - Audit entries for web admin changes (pulled into the desktop audit log)
+ * - Data subject requests: export or erase everything held about one student
  *
  * All routes require authentication (except sync endpoints which use API key)
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { Redis } = require('@upstash/redis');
 const { requireAuth } = require('../middleware/auth');
+const { pairSessions, clipSession } = require('../shared/sessions');
+const zone = require('../shared/timezone');
+const { correctionValues, correctionProblem, timesProblem } = require('../services/correctionRules');
 
 // Redis keys
 const STUDENTS_KEY = 'students';
 const ATTENDANCE_KEY = 'attendance';
+const SESSIONS_KEY = 'sessions';
 const PENDING_KEY = 'pending_signouts';
+const CORRECTIONS_KEY = 'correction_requests';
+const LAB_TIMEZONE_KEY = 'lab_timezone';
+const AUDIT_KEY = 'audit_log';
+const FACE_ENROLLMENTS_KEY = 'face_enrollments';
+
+// Lab timezone used until the desktop app syncs its config.timezone
+const DEFAULT_TIMEZONE = process.env.LAB_TIMEZONE || 'America/New_York';
 
 // Initialize Redis
 let redis = null;
@@ -32,6 +49,90 @@ function getRedis() {
   return redis;
 }
 
+// ─────────────────────────────────────────────────────────────
+// Sessions (paired signin/signout, synced from the Electron app)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Load synced sessions, falling back to pairing attendance
+ */
+async function getSessions(r) {
+  const sessions = await r.get(SESSIONS_KEY);
+  if (Array.isArray(sessions)) return sessions;
+  return pairSessions(await r.get(ATTENDANCE_KEY) || []);
+}
+
+/**
+ * Re-pair one student's synced sessions from the attendance left after a
+ * web dashboard change, so the hours views don't count a deleted record
+ * until the next desktop sync
+ */
+async function rebuildStudentSessions(r, ufid, attendance) {
+  const sessions = await r.get(SESSIONS_KEY);
+  if (!Array.isArray(sessions)) return; // Paired from attendance on every read
+
+  const isTheirs = x => String(x.ufid) === String(ufid);
+  const rebuilt = [...sessions.filter(s => !isTheirs(s)), ...pairSessions(attendance.filter(isTheirs))]
+    .sort((a, b) => new Date(a.in) - new Date(b.in));
+  await r.set(SESSIONS_KEY, rebuilt);
+}
+
+// Frames uploaded from an enrollment link, kept until the desktop app has checked them
+function faceEnrollmentMediaKey(id) {
+  return `face_enrollment_media:${id}`;
+}
+
+/**
+ * Lab timezone synced from the Electron app (config.timezone)
+ */
+async function getLabTimezone(r) {
+  const timeZone = await r.get(LAB_TIMEZONE_KEY);
+  return typeof timeZone === 'string' && timeZone ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Append an audit entry for a change made from the web dashboard.
+ * Entries use the desktop audit log's shape and are imported by uid on the
+ * next web sync, so the desktop log also answers "who changed it on the web".
+ */
+async function recordAudit(r, req, change) {
+  const entry = {
+    uid: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    actor: 'web-admin',
+    actorName: req.admin?.username || null,
+    before: null,
+    after: null,
+    reason: null,
+    ...change
+  };
+  await r.rpush(AUDIT_KEY, entry);
+  return entry;
+}
+
+/**
+ * [start, end) of a lab-time calendar day ('YYYY-MM-DD'), for splitting
+ * sessions at lab midnight with clipSession() as the desktop app does
+ */
+function labDayWindow(dateStr, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return {
+    start: zone.zonedTimeToUtc({ year, month, day }, timeZone),
+    end: zone.zonedTimeToUtc({ year, month, day: day + 1 }, timeZone)
+  };
+}
+
+// Hours of a closed session (or its clipped part)
+function sessionHours(session) {
+  return (new Date(session.out) - new Date(session.in)) / (1000 * 60 * 60);
+}
+
+// Reason sent with a DELETE (JSON body or ?reason=)
+function deleteReason(req) {
+  const reason = (req.body && req.body.reason) || req.query.reason || '';
+  return String(reason).trim() || null;
+}
+
 // ─────────────────────────────────────────────────────────────
 // Data Sync API (API key auth - MUST be before requireAuth middleware)
 // ─────────────────────────────────────────────────────────────
@@ -107,6 +208,380 @@ router.post('/sync/attendance', verifyApiKey, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/data/sync/sessions
+ * Sync sessions from Electron app (requires API key)
+ */
+router.post('/sync/sessions', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const { sessions, timezone } = req.body;
+
+    if (!Array.isArray(sessions)) {
+      return res.status(400).json({ success: false, error: 'Sessions array required' });
+    }
+
+    await r.set(SESSIONS_KEY, sessions);
+    if (typeof timezone === 'string' && timezone) {
+      await r.set(LAB_TIMEZONE_KEY, timezone);
+    }
+
+    res.json({ success: true, count: sessions.length });
+  } catch (error) {
+    console.error('Sync sessions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to sync sessions' });
+  }
+});
+
+/**
+ * GET /api/admin/data/sync/audit
+ * Audit entries recorded by the web dashboard (requires API key)
+ * Query: since (ISO timestamp, optional) - only entries after this time
+ */
+router.get('/sync/audit', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const entries = await r.lrange(AUDIT_KEY, 0, -1) || [];
+    const since = req.query.since || '';
+    const filtered = since ? entries.filter(e => e && e.timestamp > since) : entries;
+
+    res.json({ success: true, entries: filtered });
+  } catch (error) {
+    console.error('Sync audit error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get audit entries' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Correction requests (API key auth, used by the desktop app's
+// correctionRequestService.js; students submit through /correction)
+// ─────────────────────────────────────────────────────────────
+
+// Fields the desktop app may change when it reviews a request
+const CORRECTION_UPDATES = ['status', 'signInTime', 'signOutTime', 'reviewedAt', 'reviewedBy', 'reviewNote', 'attendanceIds', 'updatedAt'];
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Why review fields can't be applied, or null
+function correctionUpdateProblem(record) {
+  if (!CORRECTION_STATUSES.includes(record.status)) return 'Unknown status';
+  const times = timesProblem(record.signInTime, record.signOutTime);
+  if (times) return times;
+  if (!Array.isArray(record.attendanceIds)) return 'attendanceIds must be an array';
+  return null;
+}
+
+function applyCorrectionUpdates(record, updates) {
+  const next = { ...record };
+  for (const field of CORRECTION_UPDATES) {
+    if (updates[field] !== undefined) next[field] = updates[field];
+  }
+  return next;
+}
+
+/**
+ * GET /api/admin/data/sync/corrections
+ * All correction requests, for the desktop app to merge (requires API key)
+ */
+router.get('/sync/corrections', verifyApiKey, async (req, res) => {
+  try {
+    const corrections = await getRedis().get(CORRECTIONS_KEY) || [];
+    res.json({ success: true, corrections });
+  } catch (error) {
+    console.error('Sync corrections error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get correction requests' });
+  }
+});
+
+/**
+ * POST /api/admin/data/sync/corrections
+ * Store a request made at a kiosk (checked like the /correction form; a
+ * request reviewed while the kiosk was offline keeps its review)
+ */
+router.post('/sync/corrections', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const body = req.body || {};
+    if (typeof body.id !== 'string' || !body.id) {
+      return res.status(400).json({ success: false, error: 'id is required' });
+    }
+
+    const corrections = await r.get(CORRECTIONS_KEY) || [];
+    const existing = corrections.find(c => c.id === body.id);
+    if (existing) {
+      return res.json({ success: true, message: 'Record already exists', record: existing });
+    }
+
+    const timeZone = await getLabTimezone(r);
+    const students = await r.get(STUDENTS_KEY) || [];
+    const values = correctionValues(body);
+    const problem = correctionProblem(values, { today: new Date().toLocaleDateString('en-CA', { timeZone }), students });
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem.error });
+    }
+
+    const now = new Date().toISOString();
+    const record = applyCorrectionUpdates({
+      id: body.id,
+      ...values,
+      name: students.find(s => String(s.ufid) === values.ufid).name,
+      timezone: typeof body.timezone === 'string' && body.timezone ? body.timezone : timeZone,
+      source: ['kiosk', 'admin'].includes(body.source) ? body.source : 'kiosk',
+      status: 'pending',
+      submittedAt: typeof body.submittedAt === 'string' ? body.submittedAt : now,
+      updatedAt: now,
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewNote: null,
+      attendanceIds: []
+    }, body);
+    const invalid = correctionUpdateProblem(record);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    corrections.push(record);
+    await r.set(CORRECTIONS_KEY, corrections);
+
+    res.json({ success: true, record });
+  } catch (error) {
+    console.error('Create correction error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create correction request' });
+  }
+});
+
+/**
+ * PUT /api/admin/data/sync/corrections/:id
+ * Record the desktop app's review (only the CORRECTION_UPDATES fields)
+ */
+router.put('/sync/corrections/:id', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const corrections = await r.get(CORRECTIONS_KEY) || [];
+    const index = corrections.findIndex(c => c.id === req.params.id);
+
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Record not found' });
+    }
+
+    const record = applyCorrectionUpdates(corrections[index], req.body || {});
+    const invalid = correctionUpdateProblem(record);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    corrections[index] = record;
+    await r.set(CORRECTIONS_KEY, corrections);
+
+    res.json({ success: true, record });
+  } catch (error) {
+    console.error('Update correction error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update correction request' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Face ID self-enrollment (API key auth, used by the desktop app's
+// faceEnrollmentService.js; students upload through /enroll/:token)
+// ─────────────────────────────────────────────────────────────
+
+// Fields the desktop app may change on a request it created
+const FACE_ENROLLMENT_UPDATES = ['status', 'analysis', 'reviewedAt', 'reviewedBy', 'reviewNote', 'updatedAt'];
+
+// The frames are only needed until the desktop app has checked them
+const FACE_ENROLLMENT_MEDIA_STATUSES = ['invited', 'submitted'];
+
+/**
+ * POST /api/admin/data/sync/face-enrollments
+ * Create an enrollment request (its link token and pose order come from the desktop app)
+ */
+router.post('/sync/face-enrollments', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const record = req.body || {};
+
+    if (!record.id || !record.ufid || !record.token || !Array.isArray(record.challenge)) {
+      return res.status(400).json({ success: false, error: 'id, ufid, token and challenge are required' });
+    }
+
+    const requests = await r.get(FACE_ENROLLMENTS_KEY) || [];
+    if (requests.some(e => e.id === record.id)) {
+      return res.status(409).json({ success: false, error: 'Enrollment request already exists' });
+    }
+    requests.unshift(record);
+    await r.set(FACE_ENROLLMENTS_KEY, requests);
+
+    res.json({ success: true, record });
+  } catch (error) {
+    console.error('Create face enrollment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create enrollment request' });
+  }
+});
+
+/**
+ * GET /api/admin/data/sync/face-enrollments
+ * All enrollment requests, for the desktop app to merge (requires API key)
+ */
+router.get('/sync/face-enrollments', verifyApiKey, async (req, res) => {
+  try {
+    const requests = await getRedis().get(FACE_ENROLLMENTS_KEY) || [];
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Sync face enrollments error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get enrollment requests' });
+  }
+});
+
+/**
+ * PUT /api/admin/data/sync/face-enrollments/:id
+ * Update a request from the desktop app; the uploaded frames are deleted once
+ * it has moved past submitted
+ */
+router.put('/sync/face-enrollments/:id', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const requests = await r.get(FACE_ENROLLMENTS_KEY) || [];
+    const record = requests.find(e => e.id === req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Enrollment request not found' });
+    }
+
+    for (const field of FACE_ENROLLMENT_UPDATES) {
+      if (req.body[field] !== undefined) record[field] = req.body[field];
+    }
+    await r.set(FACE_ENROLLMENTS_KEY, requests);
+    if (!FACE_ENROLLMENT_MEDIA_STATUSES.includes(record.status)) {
+      await r.del(faceEnrollmentMediaKey(record.id));
+    }
+
+    res.json({ success: true, record });
+  } catch (error) {
+    console.error('Update face enrollment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update enrollment request' });
+  }
+});
+
+/**
+ * GET /api/admin/data/sync/face-enrollments/:id/media
+ * The frames a student uploaded: [{ pose, capturedAt, image (base64 JPEG) }]
+ */
+router.get('/sync/face-enrollments/:id/media', verifyApiKey, async (req, res) => {
+  try {
+    const media = await getRedis().get(faceEnrollmentMediaKey(req.params.id));
+    if (!media) {
+      return res.status(404).json({ success: false, error: 'No frames uploaded for this request' });
+    }
+    res.json({ success: true, frames: media.frames || [] });
+  } catch (error) {
+    console.error('Get face enrollment media error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get enrollment frames' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Data subject requests (API key auth, sent by the desktop app's
+// "export my data" and "erase me" actions)
+// ─────────────────────────────────────────────────────────────
+
+const theirs = (list, ufid) => (Array.isArray(list) ? list : []).filter(x => x && String(x.ufid) === ufid);
+const notTheirs = (list, ufid) => (Array.isArray(list) ? list : []).filter(x => !(x && String(x.ufid) === ufid));
+
+// Audit entries about a student: their own record or one of theirs (as audit.js in the desktop app)
+function mentionsStudent(entry, ufid) {
+  if (entry.entityType === 'student' && entry.entityId === ufid) return true;
+  return [entry.before, entry.after].some(s => s && typeof s === 'object' && s.ufid != null && String(s.ufid) === ufid);
+}
+
+async function getSubjectData(r, ufid) {
+  const [students, attendance, sessions, pending, corrections, faceEnrollments, audit] = await Promise.all([
+    r.get(STUDENTS_KEY),
+    r.get(ATTENDANCE_KEY),
+    r.get(SESSIONS_KEY),
+    r.get(PENDING_KEY),
+    r.get(CORRECTIONS_KEY),
+    r.get(FACE_ENROLLMENTS_KEY),
+    r.lrange(AUDIT_KEY, 0, -1)
+  ]);
+  return { students, attendance, sessions, pending, corrections, faceEnrollments, audit: audit || [] };
+}
+
+/**
+ * GET /api/admin/data/sync/subject/:ufid
+ * Everything the cloud holds about one student (requires API key)
+ */
+router.get('/sync/subject/:ufid', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const ufid = String(req.params.ufid);
+    const data = await getSubjectData(r, ufid);
+    const faceEnrollments = await Promise.all(theirs(data.faceEnrollments, ufid).map(async ({ token, ...request }) => {
+      const media = await r.get(faceEnrollmentMediaKey(request.id));
+      return { ...request, frames: media ? media.frames || [] : [] };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        students: theirs(data.students, ufid),
+        attendance: theirs(data.attendance, ufid),
+        sessions: theirs(data.sessions, ufid),
+        pendingSignouts: theirs(data.pending, ufid),
+        correctionRequests: theirs(data.corrections, ufid),
+        faceEnrollments,
+        audit: data.audit.filter(e => e && mentionsStudent(e, ufid))
+      }
+    });
+  } catch (error) {
+    console.error('Subject export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export student data' });
+  }
+});
+
+/**
+ * DELETE /api/admin/data/sync/subject/:ufid
+ * Erase one student from every key (requires API key). Audit entries about
+ * them are kept with the UFID replaced by ?ref= (the desktop erasure
+ * reference) and their snapshots and reason dropped.
+ */
+router.delete('/sync/subject/:ufid', verifyApiKey, async (req, res) => {
+  try {
+    const r = getRedis();
+    const ufid = String(req.params.ufid);
+    const ref = String(req.query.ref || 'erased');
+    const data = await getSubjectData(r, ufid);
+
+    const removed = {};
+    for (const [key, list, name] of [
+      [STUDENTS_KEY, data.students, 'students'],
+      [ATTENDANCE_KEY, data.attendance, 'attendance'],
+      [SESSIONS_KEY, data.sessions, 'sessions'],
+      [PENDING_KEY, data.pending, 'pendingSignouts'],
+      [CORRECTIONS_KEY, data.corrections, 'correctionRequests'],
+      [FACE_ENROLLMENTS_KEY, data.faceEnrollments, 'faceEnrollments']
+    ]) {
+      removed[name] = theirs(list, ufid).length;
+      if (removed[name] > 0) await r.set(key, notTheirs(list, ufid));
+    }
+    for (const request of theirs(data.faceEnrollments, ufid)) {
+      await r.del(faceEnrollmentMediaKey(request.id));
+    }
+
+    const audit = data.audit.map(e => (e && mentionsStudent(e, ufid)
+      ? { ...e, entityId: e.entityId === ufid ? ref : e.entityId, before: null, after: null, reason: e.reason ? '[erased]' : null }
+      : e));
+    removed.auditRedacted = data.audit.filter(e => e && mentionsStudent(e, ufid)).length;
+    if (removed.auditRedacted > 0) {
+      await r.del(AUDIT_KEY);
+      if (audit.length > 0) await r.rpush(AUDIT_KEY, ...audit);
+    }
+
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Subject erase error:', error);
+    res.status(500).json({ success: false, error: 'Failed to erase student data' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // Apply auth to all remaining routes
 // ─────────────────────────────────────────────────────────────
@@ -174,6 +649,7 @@ router.post('/students', async (req, res) => {
 
     const students = await r.get(STUDENTS_KEY) || [];
     const existingIndex = students.findIndex(s => s.ufid === student.ufid);
+    const before = existingIndex >= 0 ? { ...students[existingIndex] } : null;
 
     const newStudent = {
       ufid: student.ufid,
@@ -193,6 +669,13 @@ router.post('/students', async (req, res) => {
     }
 
     await r.set(STUDENTS_KEY, students);
+    await recordAudit(r, req, {
+      action: existingIndex >= 0 ? 'student.update' : 'student.create',
+      entityType: 'student',
+      entityId: newStudent.ufid,
+      before,
+      after: newStudent
+    });
 
     res.json({
       success: true,
@@ -215,6 +698,7 @@ router.delete('/students/:ufid', async (req, res) => {
     const { ufid } = req.params;
 
     const students = await r.get(STUDENTS_KEY) || [];
+    const removed = students.find(s => s.ufid === ufid);
     const newStudents = students.filter(s => s.ufid !== ufid);
 
     if (newStudents.length === students.length) {
@@ -222,6 +706,13 @@ router.delete('/students/:ufid', async (req, res) => {
     }
 
     await r.set(STUDENTS_KEY, newStudents);
+    await recordAudit(r, req, {
+      action: 'student.delete',
+      entityType: 'student',
+      entityId: ufid,
+      before: removed,
+      reason: deleteReason(req)
+    });
 
     res.json({ success: true, message: 'Student removed' });
   } catch (error) {
@@ -314,13 +805,23 @@ router.delete('/attendance/:id', async (req, res) => {
     const recordId = parseInt(id) || id;
 
     const attendance = await r.get(ATTENDANCE_KEY) || [];
-    const newAttendance = attendance.filter(r => r.id !== recordId && String(r.id) !== String(id));
+    const isTarget = a => a.id === recordId || String(a.id) === String(id);
+    const removed = attendance.find(isTarget);
+    const newAttendance = attendance.filter(a => !isTarget(a));
 
     if (newAttendance.length === attendance.length) {
       return res.status(404).json({ success: false, error: 'Record not found' });
     }
 
     await r.set(ATTENDANCE_KEY, newAttendance);
+    await rebuildStudentSessions(r, removed.ufid, newAttendance);
+    await recordAudit(r, req, {
+      action: 'attendance.delete',
+      entityType: 'attendance',
+      entityId: String(removed.id),
+      before: removed,
+      reason: deleteReason(req)
+    });
 
     res.json({ success: true, message: 'Record deleted' });
   } catch (error) {
@@ -340,18 +841,19 @@ router.delete('/attendance/:id', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const r = getRedis();
+    const timeZone = await getLabTimezone(r);
     const [students, attendance, pending] = await Promise.all([
       r.get(STUDENTS_KEY) || [],
       r.get(ATTENDANCE_KEY) || [],
       r.get(PENDING_KEY) || []
     ]);
 
-    // Get today's date in ET
+    // Get today's date in lab time
     const now = new Date();
-    const todayET = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const todayStart = new Date(todayET);
+    const todayLab = new Date(now.toLocaleString('en-US', { timeZone }));
+    const todayStart = new Date(todayLab);
     todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date(todayET);
+    const todayEnd = new Date(todayLab);
     todayEnd.setHours(23, 59, 59, 999);
 
     // Today's attendance
@@ -372,7 +874,7 @@ router.get('/stats', async (req, res) => {
     const currentlySignedIn = signInsByUfid.size;
 
     // Weekly stats
-    const weekStart = new Date(todayET);
+    const weekStart = new Date(todayLab);
     weekStart.setDate(weekStart.getDate() - 7);
     const weeklyRecords = attendance.filter(r => new Date(r.timestamp) >= weekStart);
 
@@ -389,7 +891,8 @@ router.get('/stats', async (req, res) => {
         weeklyVisits: new Set(weeklyRecords.filter(r => r.action === 'signin').map(r => r.ufid)).size,
         totalRecords: attendance.length,
         pendingSignouts: pendingCount
-      }
+      },
+      timezone: timeZone
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -404,18 +907,19 @@ router.get('/stats', async (req, res) => {
 router.get('/charts', async (req, res) => {
   try {
     const r = getRedis();
+    const timeZone = await getLabTimezone(r);
     const [students, attendance] = await Promise.all([
       r.get(STUDENTS_KEY) || [],
       r.get(ATTENDANCE_KEY) || []
     ]);
 
-    // Get last 7 days in ET
+    // Get last 7 days in lab time
     const now = new Date();
-    const todayET = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+    const todayLab = new Date(now.toLocaleString('en-US', { timeZone }));
 
     const last7Days = [];
     for (let i = 6; i >= 0; i--) {
-      const date = new Date(todayET);
+      const date = new Date(todayLab);
       date.setDate(date.getDate() - i);
       date.setHours(0, 0, 0, 0);
       last7Days.push(date);
@@ -432,7 +936,7 @@ router.get('/charts', async (req, res) => {
       });
 
       return {
-        date: day.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'America/New_York' }),
+        date: day.toLocaleDateString('en-US', { weekday: 'short', timeZone }),
         fullDate: day.toISOString().split('T')[0],
         signIns: dayRecords.filter(r => r.action === 'signin').length,
         signOuts: dayRecords.filter(r => r.action === 'signout').length
@@ -440,7 +944,7 @@ router.get('/charts', async (req, res) => {
     });
 
     // Top students by sign-ins this week
-    const weekStart = new Date(todayET);
+    const weekStart = new Date(todayLab);
     weekStart.setDate(weekStart.getDate() - 7);
 
     const weeklySignIns = attendance.filter(r =>
@@ -476,9 +980,10 @@ router.get('/charts', async (req, res) => {
 router.get('/student-hours', async (req, res) => {
   try {
     const r = getRedis();
-    const [students, attendance] = await Promise.all([
+    const timeZone = await getLabTimezone(r);
+    const [students, allSessions] = await Promise.all([
       r.get(STUDENTS_KEY) || [],
-      r.get(ATTENDANCE_KEY) || []
+      getSessions(r)
     ]);
 
     // Parse date from query or use today (format: YYYY-MM-DD)
@@ -486,40 +991,36 @@ router.get('/student-hours', async (req, res) => {
     if (req.query.date) {
       targetDateStr = req.query.date; // Expected: "2024-01-15"
     } else {
-      // Get today in ET timezone
+      // Get today in lab timezone
       const now = new Date();
-      targetDateStr = now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' }); // en-CA gives YYYY-MM-DD
+      targetDateStr = now.toLocaleDateString('en-CA', { timeZone }); // en-CA gives YYYY-MM-DD
     }
 
-    // Filter attendance for the target date by comparing date strings in ET
-    const dayRecords = attendance.filter(record => {
-      const ts = new Date(record.timestamp);
-      const recordDateStr = ts.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      return recordDateStr === targetDateStr;
-    }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    // Group by student and calculate hours
-    const studentHours = {};
+    // Group by student and calculate hours: a closed session counts only the
+    // part that falls on the target day, an open one only on the day it began
+    const { start, end } = labDayWindow(targetDateStr, timeZone);
     const studentSessions = {};
-
-    dayRecords.forEach(record => {
-      const ufid = record.ufid;
+    const entryFor = ufid => {
       if (!studentSessions[ufid]) {
         studentSessions[ufid] = { signIn: null, sessions: [] };
       }
+      return studentSessions[ufid];
+    };
 
-      if (record.action === 'signin') {
-        studentSessions[ufid].signIn = new Date(record.timestamp);
-      } else if (record.action === 'signout' && studentSessions[ufid].signIn) {
-        const signOut = new Date(record.timestamp);
-        const hours = (signOut - studentSessions[ufid].signIn) / (1000 * 60 * 60);
-        studentSessions[ufid].sessions.push({
-          in: studentSessions[ufid].signIn.toISOString(),
-          out: signOut.toISOString(),
-          hours: Math.round(hours * 100) / 100
-        });
-        studentSessions[ufid].signIn = null;
+    allSessions.forEach(session => {
+      if (!session.out) {
+        const signIn = new Date(session.in);
+        if (signIn >= start && signIn < end) entryFor(session.ufid).signIn = signIn;
+        return;
       }
+      const part = clipSession(session, start, end);
+      if (!part) return;
+      entryFor(session.ufid).sessions.push({
+        in: part.in,
+        out: part.out,
+        hours: Math.round(sessionHours(part) * 100) / 100,
+        ...((part.startsBefore || part.endsAfter) ? { crossesMidnight: true } : {})
+      });
     });
 
     // Calculate total hours per student
@@ -574,29 +1075,20 @@ router.get('/student-hours', async (req, res) => {
 router.get('/weekly-matrix', async (req, res) => {
   try {
     const r = getRedis();
-    const [students, attendance] = await Promise.all([
+    const timeZone = await getLabTimezone(r);
+    const [students, allSessions] = await Promise.all([
       r.get(STUDENTS_KEY) || [],
-      r.get(ATTENDANCE_KEY) || []
+      getSessions(r)
     ]);
 
-    // Helper to get YYYY-MM-DD in ET timezone
-    const toETDateString = (date) => {
-      return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-    };
-
-    // Helper to get weekday name in ET timezone
-    const toETWeekday = (date) => {
-      return date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'America/New_York' });
-    };
-
-    // Parse week start from query - treat as ET date
+    // Parse week start from query - treat as lab-time date
     let weekStartStr;
     if (req.query.weekStart) {
       weekStartStr = req.query.weekStart; // Already YYYY-MM-DD
     } else {
-      // Get Monday of current week in ET
-      const nowET = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      const [y, m, d] = nowET.split('-').map(Number);
+      // Get Monday of current week in lab time
+      const nowLab = new Date().toLocaleDateString('en-CA', { timeZone });
+      const [y, m, d] = nowLab.split('-').map(Number);
       const tempDate = new Date(y, m - 1, d, 12, 0, 0); // noon to avoid DST issues
       const day = tempDate.getDay();
       const diff = tempDate.getDate() - day + (day === 0 ? -6 : 1);
@@ -604,7 +1096,7 @@ router.get('/weekly-matrix', async (req, res) => {
       weekStartStr = `${tempDate.getFullYear()}-${String(tempDate.getMonth() + 1).padStart(2, '0')}-${String(tempDate.getDate()).padStart(2, '0')}`;
     }
 
-    // Generate 7 date strings (Mon-Sun) in ET
+    // Generate 7 date strings (Mon-Sun) in lab time
     const dayStrings = [];
     const dayLabels = [];
     const [startY, startM, startD] = weekStartStr.split('-').map(Number);
@@ -620,28 +1112,18 @@ router.get('/weekly-matrix', async (req, res) => {
     const studentMap = new Map();
 
     dayStrings.forEach((targetDateStr, dayIdx) => {
-      // Get records for this day by comparing date strings in ET
-      const dayRecords = attendance.filter(record => {
-        const ts = new Date(record.timestamp);
-        const recordDateStr = toETDateString(ts);
-        return recordDateStr === targetDateStr;
-      }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-      // Calculate hours per student for this day
+      // Calculate hours per student for this day from the part of each
+      // closed session that falls on it (split at lab midnight)
+      const { start, end } = labDayWindow(targetDateStr, timeZone);
       const sessions = {};
-      dayRecords.forEach(record => {
-        const ufid = record.ufid;
+      allSessions.forEach(session => {
+        const part = session.out && clipSession(session, start, end);
+        if (!part) return;
+        const ufid = session.ufid;
         if (!sessions[ufid]) {
-          sessions[ufid] = { signIn: null, totalHours: 0 };
-        }
-
-        if (record.action === 'signin') {
-          sessions[ufid].signIn = new Date(record.timestamp);
-        } else if (record.action === 'signout' && sessions[ufid].signIn) {
-          const hours = (new Date(record.timestamp) - sessions[ufid].signIn) / (1000 * 60 * 60);
-          sessions[ufid].totalHours += hours;
-          sessions[ufid].signIn = null;
+          sessions[ufid] = { totalHours: 0 };
         }
+        sessions[ufid].totalHours += sessionHours(part);
       });
 
       // Add to student map
@@ -757,10 +1239,29 @@ router.put('/pending/:id', async (req, res) => {
     );
 
     if (signoutRecord) {
+      const before = { ...signoutRecord };
       signoutRecord.timestamp = record.submittedSignOutTime || record.signInTimestamp;
       signoutRecord.pendingTimestamp = false;
       signoutRecord.resolvedAt = record.resolvedAt;
       await r.set(ATTENDANCE_KEY, attendance);
+      await recordAudit(r, req, {
+        action: 'attendance.update',
+        entityType: 'attendance',
+        entityId: String(signoutRecord.id),
+        before,
+        after: signoutRecord,
+        reason: 'Pending sign-out resolved by web admin'
+      });
+
+      // Keep the synced session in step until the next desktop sync
+      const sessions = await r.get(SESSIONS_KEY);
+      const session = Array.isArray(sessions) && sessions.find(s => s.signoutId === signoutRecord.id);
+      if (session) {
+        session.out = signoutRecord.timestamp;
+        session.pending = false;
+        session.presentOnly = !!presentOnly;
+        await r.set(SESSIONS_KEY, sessions);
+      }
     }
 
     res.json({ success: true, record });
@@ -770,4 +1271,78 @@ router.put('/pending/:id', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Face ID Self-Enrollment
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/data/face-enrollments
+ * Enrollment requests and the desktop app's checks (link tokens are left out)
+ */
+router.get('/face-enrollments', async (req, res) => {
+  try {
+    const r = getRedis();
+    const requests = (await r.get(FACE_ENROLLMENTS_KEY) || []).map(({ token, ...request }) => request);
+
+    res.json({
+      success: true,
+      requests,
+      stats: {
+        total: requests.length,
+        invited: requests.filter(e => e.status === 'invited').length,
+        review: requests.filter(e => e.status === 'review').length,
+        approved: requests.filter(e => e.status === 'approved').length,
+        rejected: requests.filter(e => e.status === 'rejected').length,
+        failed: requests.filter(e => e.status === 'failed').length
+      }
+    });
+  } catch (error) {
+    console.error('Get face enrollments error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get enrollment requests' });
+  }
+});
+
+/**
+ * PUT /api/admin/data/face-enrollments/:id
+ * Approve or reject a checked capture. The desktop app holds the face
+ * template and enrolls the student on its next sync.
+ * Body: { action: 'approve' | 'reject', note }
+ */
+router.put('/face-enrollments/:id', async (req, res) => {
+  try {
+    const r = getRedis();
+    const { action, note } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Action must be approve or reject' });
+    }
+
+    const requests = await r.get(FACE_ENROLLMENTS_KEY) || [];
+    const record = requests.find(e => e.id === req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Enrollment request not found' });
+    }
+    if (record.status !== 'review') {
+      return res.status(400).json({ success: false, error: 'This request is not waiting for review' });
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(record, {
+      status: action === 'approve' ? 'approved' : 'rejected',
+      reviewedAt: now,
+      reviewedBy: req.admin?.username || 'web-admin',
+      reviewNote: String(note || '').trim() || null,
+      updatedAt: now
+    });
+    await r.set(FACE_ENROLLMENTS_KEY, requests);
+
+    const { token, ...request } = record;
+    res.json({ success: true, record: request });
+  } catch (error) {
+    console.error('Review face enrollment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to review enrollment request' });
+  }
+});
+
 module.exports = router;
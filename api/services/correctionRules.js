@@ -0,0 +1,71 @@
+/**
+ * Correction Request Rules
+ *
+ * The checks a correction request must pass before it is stored, shared by
+ * the student-facing /correction form and the desktop app's
+ * /api/admin/data/sync/corrections pushes so both store the same shape
+ */
+
+const UFID_RE = /^\d{8}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_REASON_LENGTH = 300;
+
+/**
+ * The request fields a submission may set, trimmed
+ * @param {Object} body
+ * @returns {Object} { ufid, date, signInTime, signOutTime, reason }
+ */
+function correctionValues(body = {}) {
+  return {
+    ufid: String(body.ufid || '').trim(),
+    date: String(body.date || ''),
+    signInTime: String(body.signInTime || ''),
+    signOutTime: String(body.signOutTime || ''),
+    reason: String(body.reason || '').trim().slice(0, MAX_REASON_LENGTH)
+  };
+}
+
+/**
+ * @param {string} signInTime - 'HH:MM'
+ * @param {string} signOutTime - 'HH:MM'
+ * @returns {string|null} Why the times can't be used, or null
+ */
+function timesProblem(signInTime, signOutTime) {
+  if (!TIME_RE.test(signInTime) || !TIME_RE.test(signOutTime) || signOutTime <= signInTime) {
+    return 'The "to" time must be after the "from" time.';
+  }
+  return null;
+}
+
+/**
+ * Why a submission can't be stored, or null
+ * @param {Object} values - correctionValues() result
+ * @param {Object} context - { today: 'YYYY-MM-DD' in lab time, students: cloud roster }
+ * @returns {Object|null} { error } or null
+ */
+function correctionProblem(values, { today, students }) {
+  if (!UFID_RE.test(values.ufid)) {
+    return { error: 'Please enter your 8-digit UF ID.' };
+  }
+  if (!DATE_RE.test(values.date) || values.date > today) {
+    return { error: 'Please choose a date that is today or earlier.' };
+  }
+  const times = timesProblem(values.signInTime, values.signOutTime);
+  if (times) return { error: times };
+  if (!values.reason) {
+    return { error: 'Please give a reason for the correction.' };
+  }
+  const student = (Array.isArray(students) ? students : []).find(s => String(s.ufid) === values.ufid);
+  if (!student || student.active === false) {
+    return { error: 'UF ID not found. Please check it or ask the lab administrator.' };
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_REASON_LENGTH,
+  correctionValues,
+  timesProblem,
+  correctionProblem
+};
@@ -0,0 +1,146 @@
+/**
+ * Session Pairing - signin/signout → sessions
+ *
+ * One set of pairing rules shared by the SQLite `sessions` table
+ * (databaseManager.js), the JSON-only fallback in data.js and the cloud API
+ * (routes/adminData.js), so every report and screen reads the same hours.
+ * It lives under api/ because the cloud API is deployed from that folder;
+ * the desktop app loads it through the root sessions.js.
+ *
+ * Rules:
+ * - Events are ordered by timestamp; on ties a signin sorts before a signout.
+ * - A repeated signin while a session is open restarts the session (latest open wins).
+ * - A signout with no open session is ignored.
+ * - A signin with no later signout stays open (out = null).
+ * - A session may run past midnight; reports split it per day with clipSession().
+ * - A session belongs to the location of its sign-in.
+ */
+
+/**
+ * Order attendance events chronologically (signin before signout on ties)
+ * @param {Object} a - Attendance record
+ * @param {Object} b - Attendance record
+ * @returns {number}
+ */
+function compareEvents(a, b) {
+    const timeDiff = new Date(a.timestamp) - new Date(b.timestamp);
+    if (timeDiff !== 0) return timeDiff;
+    if (a.action !== b.action) return a.action === 'signin' ? -1 : 1;
+    return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+/**
+ * Describe where a session's sign-out came from
+ * @param {Object|null} signout - The closing signout record
+ * @returns {string} 'open', 'correction', 'pending', 'auto' or 'kiosk'
+ */
+function sessionSource(signout) {
+    if (!signout) return 'open';
+    if (signout.correction) return 'correction';
+    if (signout.pendingRecordId) return 'pending';
+    if (signout.autoSignout || signout.synthetic) return 'auto';
+    return 'kiosk';
+}
+
+/**
+ * Build a session object from a signin and its (optional) signout
+ * @param {Object} signin - Signin record
+ * @param {Object|null} signout - Signout record or null when still open
+ * @returns {Object} Session
+ */
+function buildSession(signin, signout) {
+    return {
+        ufid: signin.ufid,
+        name: signin.name || null,
+        signinId: signin.id,
+        signoutId: signout ? signout.id : null,
+        in: signin.timestamp,
+        out: signout ? signout.timestamp : null,
+        source: sessionSource(signout),
+        synthetic: Boolean(signout && signout.synthetic),
+        presentOnly: Boolean(signout && (signout.presentOnly ||
+            (signout.pendingRecordId && !signout.pendingTimestamp && signout.timestamp === signin.timestamp))),
+        pending: Boolean(signout && signout.pendingTimestamp),
+        pendingRecordId: signout ? (signout.pendingRecordId || null) : null,
+        locationId: signin.locationId || null
+    };
+}
+
+/**
+ * Pair raw attendance records into sessions
+ * @param {Array} records - Attendance records (any students, any order)
+ * @returns {Array} Sessions sorted by sign-in time
+ */
+function pairSessions(records) {
+    const byStudent = new Map();
+    for (const r of records || []) {
+        if (!r || !r.ufid || Number.isNaN(new Date(r.timestamp).getTime())) continue;
+        if (!byStudent.has(r.ufid)) byStudent.set(r.ufid, []);
+        byStudent.get(r.ufid).push(r);
+    }
+
+    const sessions = [];
+    for (const [, events] of byStudent) {
+        events.sort(compareEvents);
+
+        let open = null;
+        for (const ev of events) {
+            if (ev.action === 'signin') {
+                open = ev;
+            } else if (ev.action === 'signout' && open) {
+                sessions.push(buildSession(open, ev));
+                open = null;
+            }
+        }
+        if (open) sessions.push(buildSession(open, null));
+    }
+
+    return sessions.sort((a, b) => new Date(a.in) - new Date(b.in));
+}
+
+/**
+ * Duration of a session in minutes
+ * @param {Object} session - Session with in/out timestamps
+ * @param {Date} [openUntil] - End to use for an open session (omit to count 0)
+ * @returns {number}
+ */
+function sessionMinutes(session, openUntil = null) {
+    const start = new Date(session.in);
+    const end = session.out ? new Date(session.out) : openUntil;
+    if (!end || end <= start) return 0;
+    return (end - start) / 60000;
+}
+
+/**
+ * Portion of a closed session that falls inside the window [start, end).
+ * Used to split sessions that run past midnight across the days they cover.
+ * A zero-length session is kept on the day it started.
+ * @param {Object} session - Session with in/out timestamps
+ * @param {Date} start - Window start (inclusive)
+ * @param {Date} end - Window end (exclusive)
+ * @returns {Object|null} { in, out, startsBefore, endsAfter } or null when outside the window
+ */
+function clipSession(session, start, end) {
+    if (!session.out) return null;
+    const sessionIn = new Date(session.in);
+    const sessionOut = new Date(session.out);
+
+    if (sessionIn >= end || sessionOut < start) return null;
+    if (sessionOut.getTime() === start.getTime() && sessionIn < start) return null;
+
+    const from = sessionIn > start ? sessionIn : start;
+    const to = sessionOut < end ? sessionOut : end;
+    return {
+        in: from.toISOString(),
+        out: to.toISOString(),
+        startsBefore: sessionIn < start,
+        endsAfter: sessionOut > end
+    };
+}
+
+module.exports = {
+    clipSession,
+    compareEvents,
+    pairSessions,
+    sessionMinutes
+};
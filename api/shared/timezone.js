@@ -0,0 +1,226 @@
+/**
+ * Timezone Helpers
+ *
+ * Calendar math (day windows, cutoffs, deadlines, file names, email
+ * timestamps) is done in the lab's configured IANA zone (config.timezone)
+ * rather than the host machine's zone, so every kiosk agrees on what
+ * "today" and "5 PM" mean. Dates are always real instants (UTC inside);
+ * only the calendar interpretation depends on the zone.
+ * Shared with the cloud API (routes/adminData.js) like sessions.js; the
+ * desktop app loads it through the root timezone.js.
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const formatterCache = new Map();
+
+/**
+ * Check that a string is an IANA zone name Intl understands
+ * @param {string} timeZone - e.g. 'America/New_York'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Fall back to the default zone for missing or unknown values
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function resolveTimeZone(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock fields of an instant in a zone
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month is 1-12, weekday 0=Sun
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const p of getFormatter(resolveTimeZone(timeZone)).formatToParts(new Date(date))) {
+        parts[p.type] = p.value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes (east of UTC is positive)
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getOffsetMinutes(date, timeZone) {
+    const d = new Date(date);
+    const p = getZonedParts(d, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - (d.getTime() - d.getUTCMilliseconds())) / 60000);
+}
+
+/**
+ * Instant for a wall-clock time in a zone. Out-of-range fields roll over
+ * (day: 32 is the 1st of next month), like Date.UTC.
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second, ms }
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    const firstOffset = getOffsetMinutes(new Date(wallAsUtc), timeZone);
+    let result = wallAsUtc - firstOffset * 60000;
+
+    // Re-check once: the offset can differ on the other side of a DST change
+    const secondOffset = getOffsetMinutes(new Date(result), timeZone);
+    if (secondOffset !== firstOffset) {
+        result = wallAsUtc - secondOffset * 60000;
+    }
+    return new Date(result);
+}
+
+/**
+ * Midnight (in the zone) of the calendar day containing `date`
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @param {number} [offsetDays=0] - Shift by whole calendar days (e.g. 1 for tomorrow)
+ * @returns {Date}
+ */
+function startOfDay(date, timeZone, offsetDays = 0) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + offsetDays }, timeZone);
+}
+
+/**
+ * Last millisecond (in the zone) of the calendar day containing `date`
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function endOfDay(date, timeZone) {
+    return new Date(startOfDay(date, timeZone, 1).getTime() - 1);
+}
+
+/**
+ * Monday 00:00 (in the zone) of the week containing `date`
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function startOfWeek(date, timeZone) {
+    const { weekday } = getZonedParts(date, timeZone);
+    return startOfDay(date, timeZone, -((weekday + 6) % 7));
+}
+
+/**
+ * Wall-clock time on the same calendar day as `date`
+ * @param {Date|string|number} date
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function atTimeOfDay(date, hour, minute, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour, minute }, timeZone);
+}
+
+/**
+ * Calendar date in the zone as YYYY-MM-DD
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatYmd(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Start of the day a caller means: 'YYYY-MM-DD' is read as that calendar
+ * date in the zone, anything else as an instant falling on the day.
+ * @param {Date|string|number} dateLike
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function parseDay(dateLike, timeZone) {
+    const m = typeof dateLike === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateLike);
+    if (m) {
+        return zonedTimeToUtc({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) }, timeZone);
+    }
+    return startOfDay(new Date(dateLike), timeZone);
+}
+
+/**
+ * Human-readable timestamp in the zone (toLocaleString with the zone applied)
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatInZone(date, timeZone, options = {}) {
+    return new Date(date).toLocaleString('en-US', { ...options, timeZone: resolveTimeZone(timeZone) });
+}
+
+/**
+ * Short zone label for an instant, e.g. 'EST', 'EDT' or 'GMT+5:30'
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function zoneAbbreviation(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: resolveTimeZone(timeZone), timeZoneName: 'short' })
+        .formatToParts(new Date(date))
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value : resolveTimeZone(timeZone);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    resolveTimeZone,
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    startOfDay,
+    endOfDay,
+    startOfWeek,
+    atTimeOfDay,
+    formatYmd,
+    parseDay,
+    formatInZone,
+    zoneAbbreviation
+};
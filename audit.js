@@ -0,0 +1,168 @@
+/**
+ * Audit Trail - helpers for the append-only audit log
+ *
+ * Every attendance and roster mutation is recorded with who made it (actor),
+ * the record before and after the change, and an optional reason. Entries are
+ * never updated or deleted; SQLite enforces this with triggers on audit_log,
+ * the JSON fallback only ever appends lines to audit.jsonl. The one exception
+ * is erasing a student: the entries about them are kept, with their personal
+ * data redacted (redactAuditEntry()).
+ */
+
+const crypto = require('crypto');
+
+// Where a change came from
+const AUDIT_ACTORS = {
+    KIOSK: 'kiosk',
+    ADMIN: 'admin-desktop',
+    WEB_ADMIN: 'web-admin',
+    SYSTEM: 'system'
+};
+
+const ACTOR_LABELS = {
+    [AUDIT_ACTORS.KIOSK]: 'Kiosk',
+    [AUDIT_ACTORS.ADMIN]: 'Admin (desktop)',
+    [AUDIT_ACTORS.WEB_ADMIN]: 'Web admin',
+    [AUDIT_ACTORS.SYSTEM]: 'System'
+};
+
+/**
+ * Build a normalized audit entry
+ * @param {Object} change - { action, entityType, entityId, before, after, actor, actorName, reason, timestamp, uid }
+ *                          action is '<entity>.<verb>', e.g. 'attendance.delete'
+ * @returns {Object} Entry ready to append
+ */
+function createAuditEntry(change = {}) {
+    if (!change.action || !change.entityType) {
+        throw new Error('Audit entries need an action and an entity type');
+    }
+
+    const actor = Object.values(AUDIT_ACTORS).includes(change.actor) ? change.actor : AUDIT_ACTORS.SYSTEM;
+    return {
+        uid: change.uid || crypto.randomUUID(),
+        timestamp: change.timestamp || new Date().toISOString(),
+        actor,
+        actorName: change.actorName || null,
+        action: change.action,
+        entityType: change.entityType,
+        entityId: change.entityId != null ? String(change.entityId) : null,
+        before: change.before ?? null,
+        after: change.after ?? null,
+        reason: change.reason ? String(change.reason).trim() || null : null
+    };
+}
+
+/**
+ * Filter entries in memory (JSON fallback; mirrors DatabaseManager.getAuditLog)
+ * @param {Array} entries - Audit entries in any order
+ * @param {Object} filters - { actor, entityType, action, entityId, search, start, end, offset, limit }
+ * @returns {Object} { entries, totalCount } newest first
+ */
+function filterAuditEntries(entries, filters = {}) {
+    const search = (filters.search || '').toLowerCase();
+    const matches = entries.filter(e => {
+        if (filters.actor && e.actor !== filters.actor) return false;
+        if (filters.entityType && e.entityType !== filters.entityType) return false;
+        if (filters.action && e.action !== filters.action) return false;
+        if (filters.entityId && e.entityId !== String(filters.entityId)) return false;
+        if (filters.start && e.timestamp < filters.start) return false;
+        if (filters.end && e.timestamp >= filters.end) return false;
+        if (search) {
+            const haystack = [e.entityId, e.actorName, e.reason, JSON.stringify(e.before), JSON.stringify(e.after)]
+                .join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+
+    matches.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const offset = filters.offset || 0;
+    const page = filters.limit ? matches.slice(offset, offset + filters.limit) : matches;
+    return { entries: page, totalCount: matches.length };
+}
+
+/**
+ * Short human summary of what changed between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {string} e.g. "name: Ann -> Anne; active: true -> false"
+ */
+function describeChanges(before, after) {
+    if (!before || !after) return '';
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const key of keys) {
+        const from = JSON.stringify(before[key]);
+        const to = JSON.stringify(after[key]);
+        if (from !== to) changes.push(`${key}: ${from ?? '-'} -> ${to ?? '-'}`);
+    }
+    return changes.join('; ');
+}
+
+/**
+ * Whether an entry is about a student: their own record or one of theirs
+ * @param {Object} entry
+ * @param {string} ufid
+ * @returns {boolean}
+ */
+function mentionsStudent(entry, ufid) {
+    if (entry.entityType === 'student' && entry.entityId === String(ufid)) return true;
+    return [entry.before, entry.after].some(snapshot => snapshot && typeof snapshot === 'object'
+        && snapshot.ufid != null && String(snapshot.ufid) === String(ufid));
+}
+
+/**
+ * An entry with a student's personal data taken out: their UFID becomes the
+ * erasure reference, the snapshots are dropped and the reason is blanked
+ * @param {Object} entry
+ * @param {string} ufid
+ * @param {string} ref - Reference of the erasure report
+ * @returns {Object}
+ */
+function redactAuditEntry(entry, ufid, ref) {
+    return {
+        ...entry,
+        entityId: entry.entityId === String(ufid) ? ref : entry.entityId,
+        before: null,
+        after: null,
+        reason: entry.reason ? '[erased]' : null
+    };
+}
+
+function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render entries as CSV (one row per entry, snapshots as JSON)
+ * @param {Array} entries
+ * @returns {string}
+ */
+function auditEntriesToCsv(entries) {
+    const header = ['Timestamp', 'Actor', 'Actor Name', 'Action', 'Entity Type', 'Entity ID', 'Reason', 'Changes', 'Before', 'After'];
+    const rows = entries.map(e => [
+        e.timestamp,
+        ACTOR_LABELS[e.actor] || e.actor,
+        e.actorName,
+        e.action,
+        e.entityType,
+        e.entityId,
+        e.reason,
+        describeChanges(e.before, e.after),
+        e.before != null ? JSON.stringify(e.before) : '',
+        e.after != null ? JSON.stringify(e.after) : ''
+    ].map(csvCell).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    ACTOR_LABELS,
+    AUDIT_ACTORS,
+    auditEntriesToCsv,
+    createAuditEntry,
+    describeChanges,
+    filterAuditEntries,
+    mentionsStudent,
+    redactAuditEntry
+};
@@ -0,0 +1,113 @@
+/**
+ * Backup Restore - reading Dropbox backups back for a point-in-time restore
+ *
+ * The Dropbox backups folder holds three kinds of file:
+ *   backup-<time>.json                  full JSON backup (DataManager.backupData())
+ *   attendance-latest.db, attendance-db-<time>.db
+ *                                       copy of the SQLite database
+ *   students.json.<time>.json, attendance.json.<time>.json
+ *                                       a shared file saved before a sync overwrote
+ *                                       it (one side only; the other is kept on restore)
+ *
+ * <time> is an ISO timestamp with ':' and '.' replaced by '-'.
+ */
+
+const { attendanceKey, sameValue } = require('./peerMerge.js');
+
+const TIME = '(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z)';
+const BACKUP_PATTERNS = [
+    { format: 'json', pattern: new RegExp(`^backup-${TIME}\\.json$`) },
+    { format: 'sqlite', pattern: new RegExp(`^attendance-db-${TIME}\\.db$`) },
+    { format: 'sqlite', pattern: /^attendance-latest\.db$/ },
+    { format: 'students', pattern: new RegExp(`^students\\.json\\.${TIME}\\.json$`) },
+    { format: 'attendance', pattern: new RegExp(`^attendance\\.json\\.${TIME}\\.json$`) }
+];
+
+// Records listed per kind of difference in a preview
+const PREVIEW_SAMPLE_SIZE = 20;
+
+/**
+ * Time a backup was taken, from the timestamp in its file name
+ * @param {string} stamp - e.g. '2026-10-19T02-00-00-000Z'
+ * @returns {string} ISO time
+ */
+function parseFileTime(stamp) {
+    const [date, time] = stamp.split('T');
+    const [h, m, s, ms] = time.replace('Z', '').split('-');
+    return `${date}T${h}:${m}:${s}.${ms}Z`;
+}
+
+/**
+ * Recognize a file of the backups folder
+ * @param {Object} file - { name, path, size, modified } as listed from Dropbox
+ * @returns {Object|null} { name, path, size, modified, format, takenAt }, null if not a backup
+ */
+function describeBackup(file) {
+    for (const { format, pattern } of BACKUP_PATTERNS) {
+        const match = pattern.exec(file.name || '');
+        if (!match) continue;
+        return {
+            name: file.name,
+            path: file.path,
+            size: file.size,
+            modified: file.modified,
+            format,
+            takenAt: match[1] ? parseFileTime(match[1]) : file.modified
+        };
+    }
+    return null;
+}
+
+function sampleStudent(s) {
+    return { ufid: s.ufid, name: s.name || '' };
+}
+
+function sampleRecord(r) {
+    return { ufid: r.ufid, name: r.name || '', action: r.action, timestamp: r.timestamp };
+}
+
+// A record counts as changed when a field the backup has differs from now
+function differs(current, backup) {
+    return Object.keys(backup).some(k => k !== 'id' && !sameValue(current[k], backup[k]));
+}
+
+function diffList(current, backup, keyOf, sample) {
+    const now = new Map((current || []).map(r => [keyOf(r), r]));
+    const then = new Map((backup || []).map(r => [keyOf(r), r]));
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const [key, record] of then) {
+        if (!now.has(key)) added.push(record);
+        else if (differs(now.get(key), record)) changed.push(record);
+    }
+    for (const [key, record] of now) {
+        if (!then.has(key)) removed.push(record);
+    }
+    const pick = list => list.slice(0, PREVIEW_SAMPLE_SIZE).map(sample);
+    return {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        samples: { added: pick(added), removed: pick(removed), changed: pick(changed) }
+    };
+}
+
+/**
+ * What restoring a backup would do to the current data
+ * @param {Object} current - { students, attendance } now (trash included)
+ * @param {Object} backup - { students, attendance } from the backup (null = not in it, kept)
+ * @returns {Object} { students, attendance } each { added, removed, changed, samples } or null
+ */
+function diffBackup(current, backup) {
+    return {
+        students: backup.students ? diffList(current.students, backup.students, s => s.ufid, sampleStudent) : null,
+        attendance: backup.attendance ? diffList(current.attendance, backup.attendance, attendanceKey, sampleRecord) : null
+    };
+}
+
+module.exports = {
+    describeBackup,
+    diffBackup,
+    parseFileTime
+};
@@ -0,0 +1,103 @@
+/**
+ * Backup Retention - which backups to keep (N daily, M weekly, K monthly)
+ *
+ * Backups are grouped into series by file name with the timestamp taken out
+ * ('backup-<time>.json', 'attendance-db-<time>.db', ...), and each series is
+ * thinned on its own: the newest backup of each of the last N days, M weeks
+ * and K months (lab timezone, weeks start Monday) is kept, everything else is
+ * pruned. Files without a timestamp (attendance-latest.db) are never pruned.
+ */
+
+const zone = require('./timezone.js');
+const { parseFileTime } = require('./backupRestore.js');
+
+const TIMESTAMP_PATTERN = /^(.*?)(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(.*)$/;
+
+const DEFAULT_POLICY = { enabled: false, daily: 7, weekly: 4, monthly: 6 };
+
+/**
+ * Fill in a retention policy (at least one daily backup is always kept)
+ * @param {Object} policy - { enabled, daily, weekly, monthly }
+ * @returns {Object}
+ */
+function normalizePolicy(policy = {}) {
+    const count = (value, fallback, min) => {
+        const n = Number.parseInt(value, 10);
+        return Number.isInteger(n) && n >= min ? n : fallback;
+    };
+    return {
+        enabled: typeof policy.enabled === 'boolean' ? policy.enabled : DEFAULT_POLICY.enabled,
+        daily: count(policy.daily, DEFAULT_POLICY.daily, 1),
+        weekly: count(policy.weekly, DEFAULT_POLICY.weekly, 0),
+        monthly: count(policy.monthly, DEFAULT_POLICY.monthly, 0)
+    };
+}
+
+function describeFile(file) {
+    const match = TIMESTAMP_PATTERN.exec(file.name || '');
+    return match ? { ...file, series: `${match[1]}*${match[3]}`, takenAt: parseFileTime(match[2]) } : null;
+}
+
+/**
+ * Split backup files into those a policy keeps and those it prunes
+ * @param {Array} files - [{ name, ... }] (other fields are passed through)
+ * @param {Object} policy - normalizePolicy() result
+ * @param {string} timeZone - Lab timezone for day/week/month boundaries
+ * @returns {Object} { keep, prune } newest first; untimestamped files are in neither
+ */
+function planRetention(files, policy, timeZone) {
+    const buckets = [
+        [policy.daily, date => zone.formatYmd(date, timeZone)],
+        [policy.weekly, date => zone.formatYmd(zone.startOfWeek(date, timeZone), timeZone)],
+        [policy.monthly, date => zone.formatYmd(date, timeZone).slice(0, 7)]
+    ];
+
+    const series = new Map();
+    for (const backup of files.map(describeFile).filter(Boolean)) {
+        if (!series.has(backup.series)) series.set(backup.series, []);
+        series.get(backup.series).push(backup);
+    }
+
+    const keep = [];
+    const prune = [];
+    for (const backups of series.values()) {
+        backups.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+        const kept = new Set();
+        for (const [count, bucketOf] of buckets) {
+            const seen = new Set();
+            for (const backup of backups) {
+                const bucket = bucketOf(new Date(backup.takenAt));
+                if (seen.has(bucket)) continue;
+                if (seen.size >= count) break;
+                seen.add(bucket);
+                kept.add(backup);
+            }
+        }
+        backups.forEach(b => (kept.has(b) ? keep : prune).push(b));
+    }
+
+    const newestFirst = (a, b) => b.takenAt.localeCompare(a.takenAt);
+    return { keep: keep.sort(newestFirst), prune: prune.sort(newestFirst) };
+}
+
+/**
+ * Split backup files into those taken before a cutoff and the rest (the data
+ * retention policy's maximum age, see dataRetention.js)
+ * @param {Array} files - [{ name, ... }]
+ * @param {string} cutoff - ISO time
+ * @returns {Object} { keep, prune } newest first; untimestamped files are in neither
+ */
+function planMaxAge(files, cutoff) {
+    const backups = files.map(describeFile).filter(Boolean).sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+    return {
+        keep: backups.filter(b => b.takenAt >= cutoff),
+        prune: backups.filter(b => b.takenAt < cutoff)
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    normalizePolicy,
+    planRetention,
+    planMaxAge
+};
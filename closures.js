@@ -0,0 +1,168 @@
+/**
+ * Lab Closures - holiday/closure calendar helpers
+ *
+ * Closures are stored one row per calendar date ('YYYY-MM-DD' in the lab
+ * timezone). Multi-day closures and .ics events are expanded into dates here
+ * so lookups from reports stay a simple date match.
+ */
+
+const YMD_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Check a 'YYYY-MM-DD' string names a real calendar date
+ * @param {string} ymd
+ * @returns {boolean}
+ */
+function isValidYmd(ymd) {
+    const m = typeof ymd === 'string' && YMD_RE.exec(ymd);
+    if (!m) return false;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by whole days (pure calendar math, no timezone)
+ * @param {string} ymd
+ * @param {number} days
+ * @returns {string}
+ */
+function addDaysYmd(ymd, days) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week for a 'YYYY-MM-DD' date
+ * @param {string} ymd
+ * @returns {number} 0=Sun ... 6=Sat
+ */
+function weekdayOfYmd(ymd) {
+    const [y, m, d] = ymd.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Every date from start to end inclusive
+ * @param {string} start - 'YYYY-MM-DD'
+ * @param {string} [end] - 'YYYY-MM-DD' (defaults to start)
+ * @returns {Array<string>}
+ */
+function expandDateRange(start, end = start) {
+    const dates = [];
+    for (let d = start; d <= end && dates.length < 366; d = addDaysYmd(d, 1)) {
+        dates.push(d);
+    }
+    return dates;
+}
+
+/**
+ * Count closed Monday-Friday dates among the given closures
+ * @param {Array<Object>} closures - Closure rows with a `date` field
+ * @returns {number}
+ */
+function countClosedWeekdays(closures) {
+    const dates = new Set((closures || []).map(c => c.date));
+    let count = 0;
+    for (const d of dates) {
+        const wd = weekdayOfYmd(d);
+        if (wd >= 1 && wd <= 5) count++;
+    }
+    return count;
+}
+
+/**
+ * Scale weekly expected hours to the open weekdays of a short week
+ * @param {number} expectedHours - Full-week expectation
+ * @param {number} closedWeekdays - Closed Monday-Friday dates that week
+ * @returns {number}
+ */
+function prorateExpectedHours(expectedHours, closedWeekdays) {
+    const openDays = Math.max(0, 5 - closedWeekdays);
+    return Math.round((Number(expectedHours || 0) * openDays / 5) * 100) / 100;
+}
+
+function unescapeIcsText(value) {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+function icsDate(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Parse VEVENTs from an iCalendar (.ics) file into closure dates.
+ * All-day events use DTEND as exclusive (RFC 5545); timed events cover the
+ * calendar dates of their start through end. Recurrence rules are not expanded.
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} [{ date, name, uid }]
+ */
+function parseIcs(text) {
+    const lines = String(text || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '') // unfold continuation lines
+        .split('\n');
+
+    const closures = [];
+    let event = null;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (event && event.start) {
+                let end = event.start;
+                if (event.end) {
+                    end = event.allDay ? addDaysYmd(event.end, -1) : event.end;
+                }
+                if (end < event.start) end = event.start;
+                for (const date of expandDateRange(event.start, end)) {
+                    closures.push({ date, name: event.name || 'Closed', uid: event.uid || null });
+                }
+            }
+            event = null;
+            continue;
+        }
+        if (!event) continue;
+
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+        const [prop, ...params] = line.slice(0, sep).split(';');
+        const value = line.slice(sep + 1);
+
+        switch (prop.toUpperCase()) {
+            case 'DTSTART':
+                event.start = icsDate(value);
+                event.allDay = params.some(p => p.toUpperCase() === 'VALUE=DATE') || /^\d{8}$/.test(value);
+                break;
+            case 'DTEND':
+                event.end = icsDate(value);
+                break;
+            case 'SUMMARY':
+                event.name = unescapeIcsText(value);
+                break;
+            case 'UID':
+                event.uid = value.trim();
+                break;
+            default:
+                break;
+        }
+    }
+
+    return closures.filter(c => isValidYmd(c.date));
+}
+
+module.exports = {
+    addDaysYmd,
+    countClosedWeekdays,
+    expandDateRange,
+    isValidYmd,
+    parseIcs,
+    prorateExpectedHours,
+    weekdayOfYmd
+};
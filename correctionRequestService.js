@@ -0,0 +1,388 @@
+/**
+ * Correction Request Service
+ *
+ * Handles "I was here from X to Y on date Z" requests from students who
+ * forgot to sign in at all:
+ * - Students submit from the kiosk or the cloud API web form
+ * - Requests queue for admin review (synced with the cloud API)
+ * - Approval writes a flagged signin/signout pair (correction, approver, reason)
+ *   that flows into sessions, daily summaries and Sheets like any other session
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zone = require('./timezone.js');
+const { isValidYmd } = require('./closures.js');
+const { AUDIT_ACTORS } = require('./audit.js');
+
+// Same cloud API that serves the pending sign-out form (config.webSync.apiUrl
+// when set)
+const API_BASE_URL = process.env.PENDING_API_URL || 'https://smile-lab-attendance-app.vercel.app/';
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class CorrectionRequestService {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    this.apiBaseUrl = API_BASE_URL;
+    this.correctionsFile = path.join(dataManager.dataDir, 'correctionRequests.json');
+    this.initializeData();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Data Layer (Local cache + Cloud sync)
+  // ─────────────────────────────────────────────────────────────
+
+  initializeData() {
+    if (!fs.existsSync(this.correctionsFile)) {
+      fs.writeFileSync(this.correctionsFile, '[]', 'utf8');
+    }
+  }
+
+  getLocalCorrections() {
+    try {
+      return JSON.parse(fs.readFileSync(this.correctionsFile, 'utf8'));
+    } catch (err) {
+      console.error('Error reading local correction requests:', err);
+      return [];
+    }
+  }
+
+  saveLocalCorrections(data) {
+    try {
+      fs.writeFileSync(this.correctionsFile, JSON.stringify(data, null, 2), 'utf8');
+      return true;
+    } catch (err) {
+      console.error('Error saving local correction requests:', err);
+      return false;
+    }
+  }
+
+  /**
+   * URL of the cloud API's correction sync routes, which need the web sync
+   * API key: requests carry student names and decide what attendance is written
+   * @param {string} [route] - e.g. '/<id>'
+   * @returns {Object} { url, headers }
+   */
+  cloudEndpoint(route = '') {
+    const webSync = this.dataManager.getConfig().webSync || {};
+    const baseUrl = (webSync.apiUrl || this.apiBaseUrl).replace(/\/$/, '');
+    return {
+      url: `${baseUrl}/api/admin/data/sync/corrections${route}`,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': webSync.apiKey || '' }
+    };
+  }
+
+  async pushToCloud(record) {
+    try {
+      const { url, headers } = this.cloudEndpoint();
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(record)
+      });
+      return await response.json();
+    } catch (err) {
+      console.error('Error pushing correction to cloud:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  async updateInCloud(id, updates) {
+    try {
+      const { url, headers } = this.cloudEndpoint(`/${encodeURIComponent(id)}`);
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(updates)
+      });
+      return await response.json();
+    } catch (err) {
+      console.error('Error updating correction in cloud:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Merge local and cloud requests. Web submissions only exist in the cloud;
+   * kiosk submissions made while offline and reviews not yet pushed only exist
+   * locally, so the newer copy (by updatedAt) of each request wins and is sent
+   * back to the side that is behind.
+   * @returns {Array} Merged requests
+   */
+  async syncWithCloud() {
+    const local = this.getLocalCorrections();
+
+    let cloud;
+    try {
+      const { url, headers } = this.cloudEndpoint();
+      const response = await fetch(url, { headers });
+      const result = await response.json();
+      if (!result.success) return local;
+      cloud = result.corrections || [];
+    } catch (err) {
+      console.error('Error fetching corrections from cloud:', err);
+      return local;
+    }
+
+    const byId = new Map(cloud.map(r => [r.id, r]));
+    for (const record of local) {
+      const remote = byId.get(record.id);
+      if (!remote) {
+        await this.pushToCloud(record);
+        byId.set(record.id, record);
+      } else if ((record.updatedAt || '') > (remote.updatedAt || '')) {
+        await this.updateInCloud(record.id, record);
+        byId.set(record.id, record);
+      }
+    }
+
+    const merged = [...byId.values()].sort((a, b) => (b.submittedAt || '').localeCompare(a.submittedAt || ''));
+    this.saveLocalCorrections(merged);
+    return merged;
+  }
+
+  async getCorrectionRequests() {
+    return await this.syncWithCloud();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Request Management
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Lab timezone (config.timezone) used to read the submitted wall-clock times
+   */
+  getTimezone() {
+    return this.dataManager.getTimezone();
+  }
+
+  /**
+   * Turn a request's date and 'HH:MM' times into sign-in/sign-out instants
+   * @param {Object} request - { date, signInTime, signOutTime, timezone }
+   * @param {Date} [now] - Reference time (corrections can't be in the future)
+   * @returns {Object} { signIn, signOut } or { error }
+   */
+  resolveTimes({ date, signInTime, signOutTime, timezone }, now = new Date()) {
+    if (!isValidYmd(date)) return { error: 'Date must be in YYYY-MM-DD format' };
+    if (!TIME_RE.test(signInTime || '') || !TIME_RE.test(signOutTime || '')) {
+      return { error: 'Times must be in HH:MM format' };
+    }
+    if (signOutTime <= signInTime) return { error: 'Sign-out time must be after sign-in time' };
+
+    const timeZone = zone.resolveTimeZone(timezone || this.getTimezone());
+    const dayStart = zone.parseDay(date, timeZone);
+    const [inH, inM] = signInTime.split(':').map(Number);
+    const [outH, outM] = signOutTime.split(':').map(Number);
+    const signIn = zone.atTimeOfDay(dayStart, inH, inM, timeZone);
+    const signOut = zone.atTimeOfDay(dayStart, outH, outM, timeZone);
+
+    if (signOut > now) return { error: 'Corrections can only be requested for past times' };
+    return { signIn, signOut };
+  }
+
+  /**
+   * Submit a correction request (kiosk or admin on a student's behalf)
+   * @param {Object} request - { ufid, date, signInTime, signOutTime, reason, source }
+   * @returns {Object} - { success, record?, error? }
+   */
+  async submitCorrectionRequest({ ufid, date, signInTime, signOutTime, reason, source = 'kiosk' }) {
+    try {
+      const student = this.dataManager.getStudents().find(s => s.ufid === ufid);
+      if (!student || student.active === false) {
+        return { success: false, error: 'UF ID not found or inactive' };
+      }
+      if (!reason || !String(reason).trim()) {
+        return { success: false, error: 'Please give a reason for the correction' };
+      }
+
+      const times = this.resolveTimes({ date, signInTime, signOutTime });
+      if (times.error) return { success: false, error: times.error };
+
+      const pending = this.getLocalCorrections().find(r =>
+        r.ufid === ufid && r.date === date && r.status === 'pending'
+      );
+      if (pending) {
+        return { success: false, error: 'A correction for this date is already waiting for review' };
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        id: `corr-${Date.now()}-${ufid}`,
+        ufid,
+        name: student.name,
+        date,
+        signInTime,
+        signOutTime,
+        timezone: this.getTimezone(),
+        reason: String(reason).trim(),
+        source,
+        status: 'pending',
+        submittedAt: now,
+        updatedAt: now,
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewNote: null,
+        attendanceIds: []
+      };
+
+      const corrections = this.getLocalCorrections();
+      corrections.unshift(record);
+      this.saveLocalCorrections(corrections);
+
+      const cloudResult = await this.pushToCloud(record);
+      if (!cloudResult.success) {
+        console.error('Failed to push correction to cloud:', cloudResult.error);
+      }
+
+      this.dataManager.logger?.info('correction',
+        `Correction requested by ${student.name} (${ufid}) for ${date} ${signInTime}-${signOutTime}`, 'system');
+
+      return { success: true, record };
+    } catch (err) {
+      console.error('Error submitting correction request:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Approve a request: write the flagged signin/signout pair
+   * @param {string} id - Correction request ID
+   * @param {Object} review - { approvedBy, note, signInTime?, signOutTime? } (times override the request)
+   * @returns {Object} - { success, record?, error? }
+   */
+  async approveCorrectionRequest(id, { approvedBy = 'admin', note = '', signInTime, signOutTime } = {}) {
+    try {
+      const corrections = await this.getCorrectionRequests();
+      const record = corrections.find(r => r.id === id);
+
+      if (!record) return { success: false, error: 'Correction request not found' };
+      if (record.status !== 'pending') return { success: false, error: 'This request has already been reviewed' };
+
+      const finalIn = signInTime || record.signInTime;
+      const finalOut = signOutTime || record.signOutTime;
+      const times = this.resolveTimes({ ...record, signInTime: finalIn, signOutTime: finalOut });
+      if (times.error) return { success: false, error: times.error };
+
+      const overlapping = this.dataManager.getSessions(times.signIn, times.signOut, { ufid: record.ufid })
+        .filter(s => new Date(s.in) < times.signOut && (!s.out || new Date(s.out) > times.signIn));
+      if (overlapping.length > 0) {
+        return { success: false, error: 'The requested time overlaps a session already on record' };
+      }
+
+      const flags = {
+        correction: true,
+        correctionRequestId: record.id,
+        approvedBy: approvedBy || 'admin',
+        correctionReason: record.reason
+      };
+      const baseId = Date.now();
+      const signin = {
+        id: baseId,
+        ufid: record.ufid,
+        name: record.name,
+        action: 'signin',
+        timestamp: times.signIn.toISOString(),
+        ...flags
+      };
+      const signout = { ...signin, id: baseId + 1, action: 'signout', timestamp: times.signOut.toISOString() };
+
+      const audit = { actor: AUDIT_ACTORS.ADMIN, actorName: flags.approvedBy, reason: `Correction request: ${record.reason}` };
+      const inResult = this.dataManager.addAttendanceRecord(signin, audit);
+      if (!inResult.success) return { success: false, error: inResult.error };
+      const outResult = this.dataManager.addAttendanceRecord(signout, audit);
+      if (!outResult.success) {
+        // Take the signin back out so it isn't left open and a retry doesn't add a second one
+        const rollback = { ...audit, reason: `Correction request not applied: ${outResult.error}` };
+        this.dataManager.deleteAttendanceRecord(signin.id, rollback);
+        this.dataManager.purgeAttendanceRecord(signin.id, rollback);
+        return { success: false, error: outResult.error };
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(record, {
+        status: 'approved',
+        signInTime: finalIn,
+        signOutTime: finalOut,
+        reviewedAt: now,
+        reviewedBy: flags.approvedBy,
+        reviewNote: note || null,
+        attendanceIds: [signin.id, signout.id],
+        updatedAt: now
+      });
+
+      this.saveLocalCorrections(corrections);
+      await this.updateInCloud(id, record);
+
+      this.dataManager.logger?.info('correction',
+        `${flags.approvedBy} approved correction for ${record.name} on ${record.date} ${finalIn}-${finalOut}`, 'admin');
+
+      return { success: true, record };
+    } catch (err) {
+      console.error('Error approving correction request:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Reject a request (nothing is written to attendance)
+   * @param {string} id - Correction request ID
+   * @param {Object} review - { reviewedBy, note }
+   * @returns {Object} - { success, record?, error? }
+   */
+  async rejectCorrectionRequest(id, { reviewedBy = 'admin', note = '' } = {}) {
+    try {
+      const corrections = await this.getCorrectionRequests();
+      const record = corrections.find(r => r.id === id);
+
+      if (!record) return { success: false, error: 'Correction request not found' };
+      if (record.status !== 'pending') return { success: false, error: 'This request has already been reviewed' };
+
+      const now = new Date().toISOString();
+      Object.assign(record, {
+        status: 'rejected',
+        reviewedAt: now,
+        reviewedBy: reviewedBy || 'admin',
+        reviewNote: note || null,
+        updatedAt: now
+      });
+
+      this.saveLocalCorrections(corrections);
+      await this.updateInCloud(id, record);
+
+      this.dataManager.logger?.info('correction',
+        `${record.reviewedBy} rejected correction for ${record.name} on ${record.date}`, 'admin');
+
+      return { success: true, record };
+    } catch (err) {
+      console.error('Error rejecting correction request:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * A student's requests in the local cache (the cloud copy goes with the
+   * cloud API's subject erasure, which must run first: syncWithCloud() pushes
+   * local requests the cloud lacks)
+   * @param {string} ufid
+   * @param {Object} [options] - { remove } true to delete them
+   * @returns {Array} The requests
+   */
+  localRecordsOf(ufid, { remove = false } = {}) {
+    const records = this.getLocalCorrections();
+    const theirs = records.filter(r => r.ufid === ufid);
+    if (remove && theirs.length > 0) this.saveLocalCorrections(records.filter(r => r.ufid !== ufid));
+    return theirs;
+  }
+
+  getCorrectionStats(corrections = this.getLocalCorrections()) {
+    return {
+      total: corrections.length,
+      pending: corrections.filter(r => r.status === 'pending').length,
+      approved: corrections.filter(r => r.status === 'approved').length,
+      rejected: corrections.filter(r => r.status === 'rejected').length
+    };
+  }
+}
+
+module.exports = CorrectionRequestService;
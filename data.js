@@ -17,10 +17,17 @@
  *
  *   DROPBOX PULL (master mode):
  *   Dropbox ──→ JSON ──→ reloadFromJson() ──→ SQLite rebuilt
+ *   (delta sync: snapshot + journals ──→ JSON ──→ reloadFromJson(), see syncJournal.js)
  *
  *   DROPBOX PUSH:
  *   SQLite ──→ exportToJson() ──→ Upload JSON to Dropbox
  *
+ *   DROPBOX PEER SYNC (several kiosks):
+ *   SQLite + peers' change logs ──→ merge (peerMerge.js) ──→ JSON ──→ reloadFromJson()
+ *
+ *   (Dropbox here stands for the storage provider picked in Settings: Dropbox,
+ *   a local/network folder, S3 or WebDAV, see storageProvider.js)
+ *
  * Key Principles:
  * 1. SQLite is the SINGLE SOURCE OF TRUTH for all operations
  * 2. JSON files are BACKUP exports for Dropbox compatibility
@@ -34,10 +41,34 @@ const path = require('path');
 const crypto = require('crypto');
 const Logger = require('./logger.js');
 const DatabaseManager = require('./databaseManager.js');
+const { pairSessions, clipSession } = require('./sessions.js');
+const zone = require('./timezone.js');
+const closureCalendar = require('./closures.js');
+const shiftSchedule = require('./shifts.js');
+const membership = require('./membership.js');
+const termCalendar = require('./terms.js');
+const labLocations = require('./locations.js');
+const peerMerge = require('./peerMerge.js');
+const syncJournal = require('./syncJournal.js');
+const backupRetention = require('./backupRetention.js');
+const dataRetention = require('./dataRetention.js');
+const { PROVIDERS, normalizeStorageConfig } = require('./storageProvider.js');
+const auditTrail = require('./audit.js');
+const EncryptionService = require('./encryptionService.js');
+const faceMatching = require('./faceMatcher.js');
+const { AUDIT_ACTORS } = auditTrail;
 
 // Storage modes: 'json' (legacy), 'sqlite' (new), 'hybrid' (sqlite + json backup)
 const STORAGE_MODE = process.env.STORAGE_MODE || 'hybrid';
 
+// Open sessions younger than this are treated as possibly running past midnight:
+// end-of-day jobs leave them open instead of auto-closing them.
+const OVERNIGHT_GRACE_HOURS = 4;
+
+// Fields whose change is worth an audit entry when a pending sign-out is resolved
+// (cloud sync re-applies resolutions it has already seen; those are skipped)
+const PENDING_RESOLUTION_FIELDS = ['timestamp', 'synthetic', 'presentOnly', 'pendingTimestamp'];
+
 let electronApp = null;
 try {
     // This require will work only in Electron's main process.
@@ -141,13 +172,15 @@ function computeDaysAttendedFromPairs(records) {
 class DataManager {
     constructor() {
         // const baseDataDir = app?.getPath('userData') || path.join(__dirname, 'data');
-        this.dataDir = resolveDataDir();
+        this.setDataDir(resolveDataDir());
         // this.dataDir = path.join(baseDataDir, 'data');
-        this.attendanceFile = path.join(this.dataDir, 'attendance.json');
-        this.studentsFile = path.join(this.dataDir, 'students.json');
-        this.configFile = path.join(this.dataDir, 'config.json');
+        this.recordSeq = 0;
         this.encryptionEnabled = false;
         this.encryptionPassword = null;
+        this.encryptionService = new EncryptionService(this);
+        this.fieldKeyCache = new Map();
+        this.keyStore = null;
+        this.faceMatcher = new faceMatching.FaceMatcher();
 
         // Storage mode: 'json', 'sqlite', or 'hybrid' (default)
         this.storageMode = STORAGE_MODE;
@@ -166,6 +199,29 @@ class DataManager {
         this.logger.info('system', `DataManager initialized (storage mode: ${this.storageMode})`, 'system');
     }
 
+    /**
+     * Point every data file (and the system log) at one directory
+     * @param {string} dataDir
+     */
+    setDataDir(dataDir) {
+        this.dataDir = dataDir;
+        this.attendanceFile = path.join(dataDir, 'attendance.json');
+        this.studentsFile = path.join(dataDir, 'students.json');
+        this.configFile = path.join(dataDir, 'config.json');
+        this.closuresFile = path.join(dataDir, 'closures.json');
+        this.termsFile = path.join(dataDir, 'terms.json');
+        this.locationsFile = path.join(dataDir, 'locations.json');
+        this.auditFile = path.join(dataDir, 'audit.jsonl');
+        this.syncStateFile = path.join(dataDir, 'sync-state.json');
+        this.conflictsFile = path.join(dataDir, 'sync-conflicts.json');
+        this.journalDir = path.join(dataDir, 'journal');
+        this.journalStateFile = path.join(dataDir, 'journal-state.json');
+        this.restoreCacheDir = path.join(dataDir, 'restore-cache');
+        this.privacyReportsDir = path.join(dataDir, 'privacy-reports');
+        this.signingKeyFile = path.join(dataDir, 'report-signing-key.pem');
+        if (this.logger) this.logger.logFile = path.join(dataDir, 'system.log');
+    }
+
     /**
      * Async initialization - call this after construction to set up SQLite
      * @returns {Promise<void>}
@@ -192,6 +248,7 @@ class DataManager {
 
             if (success) {
                 this.logger?.info('system', 'SQLite database initialized', 'system');
+                this.applyDatabaseEncryption();
 
                 // Check Dropbox master mode setting
                 const config = this.getConfig();
@@ -312,18 +369,36 @@ class DataManager {
      * Reload SQLite database from JSON files
      * Clears all SQLite data and re-imports from JSON
      * Used after Dropbox pull in master mode
+     * @param {Object} [options] - { fromJournal } false when the JSON files were
+     *   just written on purpose (merge, restore) and must not be rebuilt
      * @returns {Object} { success, students, attendance }
      */
-    async reloadFromJson() {
+    async reloadFromJson({ fromJournal = true } = {}) {
+        // Pulling kiosks on delta sync rebuild the JSON files from snapshot + journals first
+        if (fromJournal && this.usesJournalRebuild()) {
+            const rebuilt = this.rebuildFromJournal();
+            if (!rebuilt.success) {
+                this.logger?.warning('dropbox', `Journal rebuild failed, using JSON as is: ${rebuilt.error}`, 'system');
+            }
+        }
+
         if (!this.useSqlite || !this.dbManager) {
             return { success: false, error: 'SQLite not enabled' };
         }
+        // Encrypted JSON cannot be read yet, and plain rows must not land in an encrypted database
+        if (this.isEncryptionLocked()) {
+            this.logger?.warning('system', 'Encryption is locked - SQLite not reloaded from JSON', 'system');
+            return { success: false, error: 'Encryption is locked' };
+        }
 
         try {
             this.logger?.info('system', 'Reloading SQLite from JSON files...', 'system');
             this.logger?.info('system', `Students file: ${this.studentsFile}`, 'system');
             this.logger?.info('system', `Attendance file: ${this.attendanceFile}`, 'system');
 
+            // Face templates are not in the JSON export; keep them across the rebuild
+            const faceTemplates = this.dbManager.getStoredFaceTemplates();
+
             // Clear existing SQLite data
             const clearResult = this.dbManager.clearAllTables();
             if (!clearResult.success) {
@@ -334,6 +409,7 @@ class DataManager {
 
             // Re-import from JSON
             const migrateResult = this.migrateJsonToSqlite();
+            this.dbManager.restoreFaceTemplates(faceTemplates);
 
             // Get counts for verification
             const stats = this.dbManager.getStats();
@@ -367,12 +443,12 @@ class DataManager {
 
         try {
             // Export students
-            const students = this.dbManager.getStudents();
+            const students = this.dbManager.getStudents({ includeDeleted: true });
             const studentsToSave = this.encryptSensitiveFields(students, ['name', 'email']);
             fs.writeFileSync(this.studentsFile, JSON.stringify(studentsToSave, null, 2));
 
             // Export attendance
-            const attendance = this.dbManager.getAttendance();
+            const attendance = this.dbManager.getAttendance({ includeDeleted: true });
             const attendanceToSave = this.encryptSensitiveFields(attendance, ['name']);
             fs.writeFileSync(this.attendanceFile, JSON.stringify(attendanceToSave, null, 2));
 
@@ -398,7 +474,7 @@ class DataManager {
         }
 
         try {
-            const students = this.dbManager.getStudents();
+            const students = this.dbManager.getStudents({ includeDeleted: true });
             const studentsToSave = this.encryptSensitiveFields(students, ['name', 'email']);
             fs.writeFileSync(this.studentsFile, JSON.stringify(studentsToSave, null, 2));
             return { success: true, count: students.length };
@@ -417,7 +493,7 @@ class DataManager {
         }
 
         try {
-            const attendance = this.dbManager.getAttendance();
+            const attendance = this.dbManager.getAttendance({ includeDeleted: true });
             const attendanceToSave = this.encryptSensitiveFields(attendance, ['name']);
             fs.writeFileSync(this.attendanceFile, JSON.stringify(attendanceToSave, null, 2));
             return { success: true, count: attendance.length };
@@ -444,6 +520,7 @@ class DataManager {
             const defaultConfig = {
                 adminPassword: this.hashPassword('admin123'),
                 labName: 'University of Florida Lab',
+                timezone: zone.DEFAULT_TIMEZONE,
                 emailSettings: {
                     enabled: true,
                     smtp: '',
@@ -530,6 +607,44 @@ class DataManager {
         if (typeof cfg.googleSheets.spreadsheetId !== 'string') cfg.googleSheets.spreadsheetId = '';
         if (typeof cfg.googleSheets.sheetName !== 'string') cfg.googleSheets.sheetName = 'Attendance';
 
+        // Lab timezone (IANA name) used for every day boundary, cutoff and schedule
+        if (!zone.isValidTimeZone(cfg.timezone)) cfg.timezone = zone.DEFAULT_TIMEZONE;
+
+        // The location this kiosk is bound to (per device: config.json is not synced)
+        cfg.kiosk = cfg.kiosk || {};
+        if (typeof cfg.kiosk.locationId !== 'string') cfg.kiosk.locationId = null;
+
+        // This kiosk's identity for multi-kiosk sync (generated on first use, never synced)
+        cfg.device = cfg.device || {};
+        if (typeof cfg.device.id !== 'string') cfg.device.id = null;
+        if (typeof cfg.dropbox.peerMode !== 'boolean') cfg.dropbox.peerMode = false;
+
+        // Delta sync: push/pull change journals instead of whole files (see syncJournal.js)
+        if (typeof cfg.dropbox.deltaSync !== 'boolean') cfg.dropbox.deltaSync = false;
+        if (!Number.isInteger(cfg.dropbox.journalCompactDays) || cfg.dropbox.journalCompactDays < 1) {
+            cfg.dropbox.journalCompactDays = 7;
+        }
+
+        // How many daily/weekly/monthly backups to keep, locally and on Dropbox
+        cfg.backupRetention = backupRetention.normalizePolicy(cfg.backupRetention);
+
+        // Maximum age per data class, applied nightly when enabled (see dataRetention.js)
+        cfg.dataRetention = dataRetention.normalizePolicy(cfg.dataRetention);
+
+        // Face ID matching: how far the runner-up must trail a match, and template
+        // refresh from confident sign-ins (see faceMatcher.js)
+        cfg.faceId = faceMatching.normalizeSettings(cfg.faceId);
+
+        // Where backups and sync go; the settings in cfg.dropbox apply to every provider
+        cfg.storage = normalizeStorageConfig(cfg.storage);
+
+        // Fields encrypted in attendance.db while encryption is on (all of them by default)
+        cfg.encryption = cfg.encryption || {};
+        if (typeof cfg.encryption.enabled !== 'boolean') cfg.encryption.enabled = false;
+        cfg.encryption.fields = Array.isArray(cfg.encryption.fields)
+            ? DatabaseManager.ENCRYPTABLE_FIELDS.filter(f => cfg.encryption.fields.includes(f))
+            : [...DatabaseManager.ENCRYPTABLE_FIELDS];
+
         return cfg;
     }
 
@@ -697,6 +812,14 @@ class DataManager {
         }
     }
 
+    /**
+     * The lab's configured IANA timezone (config.timezone)
+     * @returns {string}
+     */
+    getTimezone() {
+        return this.getConfig().timezone;
+    }
+
     getConfig() {
         try {
             const data = fs.readFileSync(this.configFile, 'utf8');
@@ -710,50 +833,213 @@ class DataManager {
         }
     }
 
-    // Encryption methods
+    // Encryption methods (file bodies in the versioned format, see encryptionService.js)
     encrypt(data, password) {
-        try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const iv = crypto.randomBytes(16);
-            const cipher = crypto.createCipher(algorithm, key);
-            let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-
-            if (this.logger) {
+        const result = this.encryptionService.encrypt(data, password);
+        if (this.logger) {
+            if (result.success) {
                 this.logger.info('encryption', 'Data encrypted successfully', 'system');
+            } else {
+                this.logger.error('encryption', `Encryption failed: ${result.error}`, 'system');
             }
+        }
+        return result;
+    }
 
-            return { success: true, data: iv.toString('hex') + ':' + encrypted };
-        } catch (error) {
-            if (this.logger) {
-                this.logger.error('encryption', `Encryption failed: ${error.message}`, 'system');
+    // Reads every format version, including headerless files from older releases
+    decrypt(encryptedData, password) {
+        const result = this.encryptionService.decrypt(encryptedData, password);
+        if (this.logger) {
+            if (result.success) {
+                this.logger.info('encryption', `Data decrypted successfully (format v${result.version})`, 'system');
+            } else {
+                this.logger.error('encryption', 'Decryption failed - invalid password or corrupted data', 'system');
             }
-            return { success: false, error: error.message };
         }
+        return result;
     }
 
-    decrypt(encryptedData, password) {
+    /**
+     * config.encryption, with this install's random salt (created on first
+     * use for installs that predate it)
+     * @returns {Object}
+     */
+    getEncryptionSettings() {
+        const config = this.getConfig();
+        if (!config.encryption.salt) {
+            config.encryption.salt = this.encryptionService.generateSalt();
+            config.encryption.iterations = EncryptionService.KDF_ITERATIONS;
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+        }
+        return config.encryption;
+    }
+
+    /**
+     * Field key for a salt (this install's, or the one another kiosk wrote a
+     * value with), derived once per salt and password
+     * @param {string} salt
+     * @param {string} [password]
+     * @returns {Buffer|null}
+     */
+    keyForSalt(salt, password = this.encryptionPassword) {
+        if (!salt || !password) return null;
+        const iterations = this.getConfig().encryption.iterations || EncryptionService.KDF_ITERATIONS;
+        const cacheKey = `${salt}:${iterations}`;
+        const cached = this.fieldKeyCache.get(cacheKey);
+        if (cached && cached.password === password) return cached.key;
+
+        const key = this.encryptionService.deriveKey(password, salt, iterations);
+        this.fieldKeyCache.set(cacheKey, { password, key });
+        return key;
+    }
+
+    /**
+     * Field codec for the current password (null while encryption is off or
+     * locked); see EncryptionService.createFieldCodec
+     * @returns {Object|null}
+     */
+    createFieldCodec() {
+        const password = this.encryptionPassword;
+        if (!this.encryptionEnabled || !password) return null;
+        const settings = this.getEncryptionSettings();
+        return this.encryptionService.createFieldCodec({
+            key: this.keyForSalt(settings.salt, password),
+            salt: settings.salt,
+            fields: settings.fields,
+            keyForSalt: salt => this.keyForSalt(salt, password)
+        });
+    }
+
+    encryptField(value, codec) {
         try {
-            const algorithm = 'aes-256-cbc';
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const textParts = encryptedData.split(':');
-            const iv = Buffer.from(textParts.shift(), 'hex');
-            const encryptedText = textParts.join(':');
-            const decipher = crypto.createDecipher(algorithm, key);
-            let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
+            return { success: true, data: codec.encrypt(value) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-            if (this.logger) {
-                this.logger.info('encryption', 'Data decrypted successfully', 'system');
+    // 'v2:' values use a field key; older ones the password directly
+    decryptField(value, codec) {
+        if (codec.isEncrypted(value)) {
+            try {
+                return { success: true, data: codec.decrypt(value) };
+            } catch (error) {
+                return { success: false, error: error.message };
             }
+        }
+        return this.encryptionService.decrypt(value, this.encryptionPassword);
+    }
+
+    /**
+     * Keep the encryption password in the OS keychain so the database can
+     * be read after a restart. The store is { isAvailable(), seal(text) ->
+     * string, open(string) -> text } (Electron safeStorage in main.js).
+     * @param {Object|null} keyStore
+     */
+    setKeyStore(keyStore) {
+        this.keyStore = keyStore;
+        const settings = this.getConfig().encryption;
+        if (!this.encryptionEnabled || this.encryptionPassword || !settings.sealedPassword || !keyStore?.isAvailable()) return;
+        try {
+            this.encryptionPassword = keyStore.open(settings.sealedPassword);
+            this.logger?.info('encryption', 'Encryption unlocked from the system keychain', 'system');
+        } catch (error) {
+            this.logger?.warning('encryption', `Could not unseal the encryption password: ${error.message}`, 'system');
+        }
+    }
+
+    // Store (or drop) the sealed password in config.encryption.sealedPassword
+    sealEncryptionPassword() {
+        const config = this.getConfig();
+        delete config.encryption.sealedPassword;
+        if (config.encryption.enabled && this.encryptionPassword && this.keyStore?.isAvailable()) {
+            config.encryption.sealedPassword = this.keyStore.seal(this.encryptionPassword);
+        }
+        fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+    }
+
+    /**
+     * Enter the encryption password after a restart without a keychain
+     * @param {string} password
+     * @returns {Object} { success }
+     */
+    unlockEncryption(password) {
+        if (!this.verifyEncryptionPassword(password)) return { success: false, error: 'Invalid password' };
+        this.encryptionPassword = password;
+        this.sealEncryptionPassword();
+        // Rows written while locked are plain text: encode them all
+        this.applyDatabaseEncryption(null, { force: true });
+        return { success: true };
+    }
+
+    // Encryption is on but its password has not been entered since the restart
+    isEncryptionLocked() {
+        return Boolean(this.encryptionEnabled && !this.encryptionPassword);
+    }
+
+    /**
+     * Bring attendance.db to the current field encryption: encrypt, decrypt
+     * or re-key the stored fields as needed. While encryption is on but
+     * locked (no password yet) rows are left as stored and the database is
+     * marked for a full re-encode on unlock; see databaseExportProblem.
+     * @param {Object|null} previousCodec - codec the stored fields were written with, if it changed
+     * @param {Object} [options] - { force } rewrite even when the codec did not change
+     * @returns {Object} { success, rewritten }
+     */
+    applyDatabaseEncryption(previousCodec = null, options = {}) {
+        if (!this.dbManager || !this.dbManager.isReady()) return { success: false, error: 'SQLite not available' };
+
+        const codec = this.createFieldCodec();
+        if (this.isEncryptionLocked()) {
+            this.logger?.warning('encryption', 'Encryption is locked: database fields stay as stored until the password is entered', 'system');
+            this.dbManager.markFieldEncryptionStale();
+            return { success: false, error: 'Encryption is locked' };
+        }
+
+        const result = this.dbManager.setFieldEncryption(codec, { reader: previousCodec, force: options.force });
+        if (!result.success) {
+            this.logger?.error('encryption', `Database field encryption failed: ${result.error}`, 'system');
+        } else if (result.rewritten) {
+            this.logger?.info('encryption',
+                `Database fields ${codec ? `encrypted (${codec.fields.join(', ')})` : 'decrypted'}: ${result.rewritten} row(s)`, 'system');
+        }
+        return result;
+    }
+
+    /**
+     * Why attendance.db must not be uploaded or backed up right now: while
+     * encryption is locked, sign-ins write names as plain text, and they
+     * stay that way until the unlock re-encodes them
+     * @returns {string|null}
+     */
+    databaseExportProblem() {
+        if (!this.dbManager || !this.dbManager.isReady()) return null;
+        if (this.isEncryptionLocked()) return 'Encryption is locked: enter the password before uploading the database';
+        if (!this.dbManager.isFieldEncryptionCurrent()) return 'Database fields are not yet re-encoded for the current encryption settings';
+        return null;
+    }
+
+    /**
+     * Choose which fields are encrypted in attendance.db
+     * @param {Array<string>} fields - Subset of DatabaseManager.ENCRYPTABLE_FIELDS
+     * @returns {Object} { success, fields }
+     */
+    updateEncryptionFields(fields = []) {
+        try {
+            const unknown = fields.filter(f => !DatabaseManager.ENCRYPTABLE_FIELDS.includes(f));
+            if (unknown.length) return { success: false, error: `Unknown field(s): ${unknown.join(', ')}` };
+
+            const previousCodec = this.createFieldCodec();
+            const config = this.getConfig();
+            config.encryption.fields = DatabaseManager.ENCRYPTABLE_FIELDS.filter(f => fields.includes(f));
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            this.logger?.info('encryption', `Database encrypted fields: ${config.encryption.fields.join(', ') || 'none'}`, 'admin');
 
-            return { success: true, data: JSON.parse(decrypted) };
+            const applied = this.applyDatabaseEncryption(previousCodec);
+            return { success: true, fields: config.encryption.fields, rewritten: applied.rewritten || 0 };
         } catch (error) {
-            if (this.logger) {
-                this.logger.error('encryption', 'Decryption failed - invalid password or corrupted data', 'system');
-            }
-            return { success: false, error: 'Invalid password or corrupted data' };
+            this.logger?.error('encryption', `Failed to update encrypted fields: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
         }
     }
 
@@ -763,12 +1049,19 @@ class DataManager {
                 this.logger.info('encryption', `Updating encryption settings: ${enabled ? 'enabling' : 'disabling'}`, 'admin');
             }
 
+            const previousCodec = this.createFieldCodec();
             const config = this.getConfig();
+            const previous = config.encryption || {};
             config.encryption = {
                 enabled: enabled,
                 algorithm: 'AES-256',
+                // Per-install salt for the field key; kept so data encrypted earlier stays readable
+                salt: previous.salt || this.encryptionService.generateSalt(),
+                iterations: previous.iterations || EncryptionService.KDF_ITERATIONS,
+                fields: previous.fields,
                 lastUpdated: new Date().toISOString()
             };
+            if (previous.lastRotated) config.encryption.lastRotated = previous.lastRotated;
 
             if (enabled && password) {
                 config.encryption.passwordHash = this.hashPassword(password);
@@ -780,6 +1073,8 @@ class DataManager {
 
             fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
             this.encryptionEnabled = enabled;
+            this.sealEncryptionPassword();
+            this.applyDatabaseEncryption(previousCodec);
 
             if (this.logger) {
                 this.logger.info('encryption', `Encryption settings updated successfully: ${enabled ? 'enabled' : 'disabled'}`, 'admin');
@@ -829,12 +1124,13 @@ class DataManager {
         }
 
         try {
+            const codec = this.createFieldCodec();
             if (Array.isArray(data)) {
                 return data.map(item => {
                     const encrypted = { ...item };
                     fields.forEach(field => {
                         if (encrypted[field]) {
-                            const result = this.encrypt(encrypted[field], this.encryptionPassword);
+                            const result = this.encryptField(encrypted[field], codec);
                             if (result.success) {
                                 encrypted[field] = result.data;
                                 encrypted[field + '_encrypted'] = true;
@@ -847,7 +1143,7 @@ class DataManager {
                 const encrypted = { ...data };
                 fields.forEach(field => {
                     if (encrypted[field]) {
-                        const result = this.encrypt(encrypted[field], this.encryptionPassword);
+                        const result = this.encryptField(encrypted[field], codec);
                         if (result.success) {
                             encrypted[field] = result.data;
                             encrypted[field + '_encrypted'] = true;
@@ -870,12 +1166,13 @@ class DataManager {
         }
 
         try {
+            const codec = this.createFieldCodec();
             if (Array.isArray(data)) {
                 return data.map(item => {
                     const decrypted = { ...item };
                     fields.forEach(field => {
                         if (decrypted[field] && decrypted[field + '_encrypted']) {
-                            const result = this.decrypt(decrypted[field], this.encryptionPassword);
+                            const result = this.decryptField(decrypted[field], codec);
                             if (result.success) {
                                 decrypted[field] = result.data;
                                 delete decrypted[field + '_encrypted'];
@@ -888,7 +1185,7 @@ class DataManager {
                 const decrypted = { ...data };
                 fields.forEach(field => {
                     if (decrypted[field] && decrypted[field + '_encrypted']) {
-                        const result = this.decrypt(decrypted[field], this.encryptionPassword);
+                        const result = this.decryptField(decrypted[field], codec);
                         if (result.success) {
                             decrypted[field] = result.data;
                             delete decrypted[field + '_encrypted'];
@@ -905,22 +1202,30 @@ class DataManager {
         }
     }
 
-    addStudent(ufid, name, email = '', meta = {}) {
+    addStudent(ufid, name, email = '', meta = {}, audit = {}) {
         try {
             if (this.logger) {
                 this.logger.info('student', `Adding student: ${name} (${ufid})`, 'admin');
             }
 
+            const previous = this.findStudent(ufid);
+
             let student = {
                 ufid,
                 name,
                 email,
-                active: true,
+                ...membership.resolveMembership({}, {
+                    status: meta.status,
+                    startDate: meta.startDate,
+                    endDate: meta.endDate
+                }, zone.formatYmd(new Date(), this.getTimezone())),
                 addedDate: new Date().toISOString(),
                 role: meta.role || 'volunteer',
                 expectedHoursPerWeek: Number(meta.expectedHoursPerWeek ?? 0),
                 expectedDaysPerWeek: Number(meta.expectedDaysPerWeek ?? 0),
                 weeklyWarningStreak: 0,
+                shifts: shiftSchedule.normalizeShifts(meta.shifts),
+                locations: this.resolveStudentLocations(meta.locations),
             };
 
             // SQLite-first: Write to SQLite (source of truth)
@@ -934,8 +1239,8 @@ class DataManager {
                 // Export to JSON as backup (async-safe, non-blocking)
                 this.exportStudentsToJson();
             } else {
-                // Fallback: JSON-only mode (legacy)
-                const students = this.getStudents();
+                // Fallback: JSON-only mode (legacy); re-adding a trashed UFID replaces it
+                const students = this.getStudents({ includeDeleted: true });
                 const existingIndex = students.findIndex(s => s.ufid === ufid);
                 if (existingIndex !== -1) {
                     if (this.logger) {
@@ -954,6 +1259,16 @@ class DataManager {
                 this.logger.info('student', `Student added/updated successfully: ${name} (${ufid})`, 'admin');
             }
 
+            this.recordAudit({
+                action: previous ? 'student.update' : 'student.create',
+                entityType: 'student',
+                entityId: ufid,
+                before: previous,
+                after: student,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+
             return { success: true, student };
         } catch (error) {
             if (this.logger) {
@@ -963,26 +1278,35 @@ class DataManager {
         }
     }
 
-    getStudents() {
+    /**
+     * Get the roster
+     * @param {Object} options - { includeDeleted } (trashed students are hidden by default)
+     * @returns {Array} Students
+     */
+    getStudents(options = {}) {
         try {
             // Use SQLite if available
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
-                return this.dbManager.getStudents();
+                return this.dbManager.getStudents({ includeDeleted: options.includeDeleted });
             }
 
             // Fallback to JSON
             if (!fs.existsSync(this.studentsFile)) return [];
 
             const encrypted = JSON.parse(fs.readFileSync(this.studentsFile, 'utf8'));
-            const students = this.decryptSensitiveFields(encrypted, ['name', 'email']);
+            const students = this.decryptSensitiveFields(encrypted, ['name', 'email'])
+                .filter(s => options.includeDeleted || !s.deletedAt);
 
             // Normalize old records (backwards compatible)
             return students.map(s => ({
                 ...s,
+                ...membership.normalizeMembership(s),
                 role: (s.role || 'volunteer').toLowerCase(),
                 expectedHoursPerWeek: Number(s.expectedHoursPerWeek ?? 0),
                 expectedDaysPerWeek: Number(s.expectedDaysPerWeek ?? 0),
                 weeklyWarningStreak: Number(s.weeklyWarningStreak ?? 0),
+                shifts: shiftSchedule.normalizeShifts(s.shifts),
+                locations: labLocations.normalizeLocationIds(s.locations),
             }));
         } catch (error) {
             console.error('Error loading students:', error);
@@ -994,7 +1318,7 @@ class DataManager {
      * Get students with pagination and filtering (for admin UI)
      * @param {number} offset - Offset for pagination
      * @param {number} limit - Number of records to return
-     * @param {Object} filters - { search, status }
+     * @param {Object} filters - { search, status, locationId }
      * @returns {Object} { students, totalCount }
      */
     getStudentsPaginated(offset, limit, filters = {}) {
@@ -1004,7 +1328,7 @@ class DataManager {
 
         // Fallback: filter in memory
         let students = this.getStudents();
-        const { search = '', status = '' } = filters;
+        const { search = '', status = '', locationId = '' } = filters;
 
         if (search) {
             const searchLower = search.toLowerCase();
@@ -1015,10 +1339,14 @@ class DataManager {
             );
         }
 
-        if (status === 'active') {
-            students = students.filter(s => s.active);
-        } else if (status === 'inactive') {
+        if (status === 'inactive') {
             students = students.filter(s => !s.active);
+        } else if (status) {
+            students = students.filter(s => s.status === status);
+        }
+
+        if (locationId) {
+            students = students.filter(s => labLocations.belongsToLocation(s, locationId));
         }
 
         const totalCount = students.length;
@@ -1028,8 +1356,20 @@ class DataManager {
     }
 
 
-    updateStudent(ufid, updates = {}) {
+    updateStudent(ufid, updates = {}, audit = {}) {
         try {
+            // No-op saves (e.g. an unchanged warning streak) are not audited
+            const auditUpdate = (before, after) => auditTrail.describeChanges(before, after) && this.recordAudit({
+                action: 'student.update',
+                entityType: 'student',
+                entityId: ufid,
+                before,
+                after,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            const today = zone.formatYmd(new Date(), this.getTimezone());
+
             // SQLite-first: Update in SQLite (source of truth)
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
                 const existing = this.dbManager.getStudentByUfid(ufid);
@@ -1041,11 +1381,15 @@ class DataManager {
                     ...existing,
                     name: updates.name ?? existing.name,
                     email: updates.email ?? existing.email,
-                    active: (typeof updates.active === 'boolean') ? updates.active : existing.active,
+                    ...membership.resolveMembership(existing, updates, today),
                     role: (updates.role ?? existing.role ?? 'volunteer').toLowerCase(),
                     expectedHoursPerWeek: Number(updates.expectedHoursPerWeek ?? existing.expectedHoursPerWeek ?? 0),
                     expectedDaysPerWeek: Number(updates.expectedDaysPerWeek ?? existing.expectedDaysPerWeek ?? 0),
                     weeklyWarningStreak: Number(updates.weeklyWarningStreak ?? existing.weeklyWarningStreak ?? 0),
+                    shifts: shiftSchedule.normalizeShifts(updates.shifts ?? existing.shifts),
+                    locations: updates.locations !== undefined
+                        ? this.resolveStudentLocations(updates.locations)
+                        : existing.locations,
                 };
 
                 const result = this.dbManager.upsertStudent(updatedStudent);
@@ -1055,12 +1399,13 @@ class DataManager {
 
                 // Export to JSON as backup
                 this.exportStudentsToJson();
+                auditUpdate(existing, result.student);
                 return { success: true, student: result.student };
             }
 
             // Fallback: JSON-only mode (legacy)
-            const students = this.getStudents();
-            const idx = students.findIndex(s => s.ufid === ufid);
+            const students = this.getStudents({ includeDeleted: true });
+            const idx = students.findIndex(s => s.ufid === ufid && !s.deletedAt);
             if (idx === -1) return { success: false, error: 'Student not found' };
 
             const prev = students[idx];
@@ -1069,17 +1414,22 @@ class DataManager {
                 ...prev,
                 name: updates.name ?? prev.name,
                 email: updates.email ?? prev.email,
-                active: (typeof updates.active === 'boolean') ? updates.active : prev.active,
+                ...membership.resolveMembership(prev, updates, today),
 
                 role: (updates.role ?? prev.role ?? 'volunteer').toLowerCase(),
                 expectedHoursPerWeek: Number(updates.expectedHoursPerWeek ?? prev.expectedHoursPerWeek ?? 0),
                 expectedDaysPerWeek: Number(updates.expectedDaysPerWeek ?? prev.expectedDaysPerWeek ?? 0),
                 weeklyWarningStreak: Number(updates.weeklyWarningStreak ?? prev.weeklyWarningStreak ?? 0),
+                shifts: shiftSchedule.normalizeShifts(updates.shifts ?? prev.shifts),
+                locations: updates.locations !== undefined
+                    ? this.resolveStudentLocations(updates.locations)
+                    : labLocations.normalizeLocationIds(prev.locations),
             };
 
             const dataToSave = this.encryptSensitiveFields(students, ['name', 'email']);
             fs.writeFileSync(this.studentsFile, JSON.stringify(dataToSave, null, 2));
 
+            auditUpdate(prev, students[idx]);
             return { success: true, student: students[idx] };
         } catch (e) {
             return { success: false, error: e.message };
@@ -1087,12 +1437,23 @@ class DataManager {
     }
 
 
-    removeStudent(ufid) {
+    removeStudent(ufid, audit = {}) {
         try {
             if (this.logger) {
                 this.logger.info('student', `Removing student with UFID: ${ufid}`, 'admin');
             }
 
+            const previous = this.findStudent(ufid);
+            const auditRemoval = () => this.recordAudit({
+                action: 'student.delete',
+                entityType: 'student',
+                entityId: ufid,
+                before: previous,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+
+            // Students go to the trash; their attendance history stays put
             // SQLite-first: Delete from SQLite (source of truth)
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
                 const result = this.dbManager.removeStudent(ufid);
@@ -1109,28 +1470,30 @@ class DataManager {
 
                 // Export to JSON as backup
                 this.exportStudentsToJson();
+                auditRemoval();
                 return { success: true };
             }
 
             // Fallback: JSON-only mode (legacy)
-            const students = this.getStudents();
-            const studentToRemove = students.find(s => s.ufid === ufid);
-            const filteredStudents = students.filter(s => s.ufid !== ufid);
+            const students = this.getStudents({ includeDeleted: true });
+            const studentToRemove = students.find(s => s.ufid === ufid && !s.deletedAt);
 
-            if (students.length === filteredStudents.length) {
+            if (!studentToRemove) {
                 if (this.logger) {
                     this.logger.warning('student', `Student not found for removal: ${ufid}`, 'admin');
                 }
                 return { success: false, error: 'Student not found' };
             }
+            studentToRemove.deletedAt = new Date().toISOString();
 
-            let dataToSave = this.encryptSensitiveFields(filteredStudents, ['name', 'email']);
+            let dataToSave = this.encryptSensitiveFields(students, ['name', 'email']);
             fs.writeFileSync(this.studentsFile, JSON.stringify(dataToSave, null, 2));
 
             if (this.logger) {
                 this.logger.info('student', `Student removed successfully: ${studentToRemove?.name || 'Unknown'} (${ufid})`, 'admin');
             }
 
+            auditRemoval();
             return { success: true };
         } catch (error) {
             if (this.logger) {
@@ -1178,11 +1541,16 @@ class DataManager {
         }
     }
 
-    getAttendance() {
+    /**
+     * Get attendance records
+     * @param {Object} options - { includeDeleted } (trashed records are hidden by default)
+     * @returns {Array} Attendance records
+     */
+    getAttendance(options = {}) {
         try {
             // Use SQLite if available
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
-                const attendance = this.dbManager.getAttendance();
+                const attendance = this.dbManager.getAttendance({ includeDeleted: options.includeDeleted });
                 if (this.logger) {
                     this.logger.info('attendance', `Retrieved ${attendance.length} attendance records from SQLite`, 'system');
                 }
@@ -1192,7 +1560,8 @@ class DataManager {
             // Fallback to JSON
             const data = fs.readFileSync(this.attendanceFile, 'utf8');
             let attendance = JSON.parse(data);
-            const decryptedAttendance = this.decryptSensitiveFields(attendance, ['name']);
+            const decryptedAttendance = this.decryptSensitiveFields(attendance, ['name'])
+                .filter(r => options.includeDeleted || !r.deletedAt);
 
             if (this.logger) {
                 this.logger.info('attendance', `Retrieved ${decryptedAttendance.length} attendance records`, 'system');
@@ -1209,12 +1578,15 @@ class DataManager {
 
     /**
      * Get the N most recent sign-in records (for the left panel ticker).
+     * Kiosks bound to a location only see that location's sign-ins.
      * @param {number} n - Max records to return
      * @returns {Array<{ ufid, name, timestamp }>}
      */
     getRecentSignins(n = 4) {
         try {
-            const records = this.getAttendance();
+            const kioskLocation = this.getKioskLocation();
+            const records = this.getAttendance()
+                .filter(r => !kioskLocation || labLocations.atLocation(r, kioskLocation.id));
             return records
                 .filter(r => r.action === 'signin' || r.signIn)
                 .sort((a, b) => new Date(b.timestamp || b.signIn) - new Date(a.timestamp || a.signIn))
@@ -1229,25 +1601,35 @@ class DataManager {
      * Get attendance records with pagination (for admin UI)
      * @param {number} offset - Offset for pagination
      * @param {number} limit - Number of records to return
-     * @param {Object} filters - { ufid, date, action }
+     * @param {Object} filters - { ufid, date, action, locationId }
      * @returns {Object} { records, totalCount }
      */
     getAttendancePaginated(offset, limit, filters = {}) {
         if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+            if (filters.date) {
+                // Resolve the day in the lab timezone rather than the host's
+                const { dayStart, dayEnd } = this.getDayWindow(filters.date);
+                return this.dbManager.getAttendancePaginated(offset, limit, { ...filters, start: dayStart, end: dayEnd });
+            }
             return this.dbManager.getAttendancePaginated(offset, limit, filters);
         }
 
         // Fallback: filter in memory
         let records = this.getAttendance();
-        const { ufid = '', date = null, action = '' } = filters;
+        const { ufid = '', date = null, action = '', locationId = '' } = filters;
 
         if (ufid) {
             records = records.filter(r => r.ufid === ufid);
         }
 
+        if (locationId) {
+            records = records.filter(r => labLocations.atLocation(r, locationId));
+        }
+
         if (date) {
-            const targetDate = new Date(date).toDateString();
-            records = records.filter(r => new Date(r.timestamp).toDateString() === targetDate);
+            const timeZone = this.getTimezone();
+            const targetDate = zone.formatYmd(zone.parseDay(date, timeZone), timeZone);
+            records = records.filter(r => zone.formatYmd(r.timestamp, timeZone) === targetDate);
         }
 
         if (action && ['signin', 'signout'].includes(action)) {
@@ -1300,7 +1682,7 @@ class DataManager {
         }
     }
 
-    addAttendanceWithValidation(ufid, name, action) {
+    addAttendanceWithValidation(ufid, name, action, audit = {}) {
         try {
             if (this.logger) {
                 this.logger.info('attendance', `Processing ${action} for UFID: ${ufid}`, 'system');
@@ -1318,6 +1700,20 @@ class DataManager {
                 };
             }
 
+            // A kiosk bound to a location only accepts that location's students
+            const kioskLocation = this.getKioskLocation();
+            if (kioskLocation && !labLocations.belongsToLocation(authorizedStudent, kioskLocation.id)) {
+                if (this.logger) {
+                    this.logger.warning('attendance', `${authorizedStudent.name} (${ufid}) is not a member of ${kioskLocation.name}`, 'system');
+                }
+                return {
+                    success: false,
+                    error: `${authorizedStudent.name} is not registered for ${kioskLocation.name}. Please contact admin.`,
+                    unauthorized: true,
+                    wrongLocation: true
+                };
+            }
+
             const currentStatus = this.getCurrentStatus(ufid);
 
             if (action === 'signin') {
@@ -1355,10 +1751,12 @@ class DataManager {
 
             const record = {
                 id: Date.now(),
+                uid: this.nextRecordUid(),
                 ufid: ufid,
                 name: authorizedStudent.name,
                 action: action,
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+                ...(kioskLocation ? { locationId: kioskLocation.id } : {})
             };
 
             // SQLite-first: Write to SQLite (source of truth)
@@ -1379,7 +1777,7 @@ class DataManager {
                 }
             } else {
                 // Fallback: JSON-only mode (legacy)
-                const attendance = this.getAttendance();
+                const attendance = this.getAttendance({ includeDeleted: true });
                 attendance.push(record);
                 let dataToSave = this.encryptSensitiveFields(attendance, ['name']);
                 fs.writeFileSync(this.attendanceFile, JSON.stringify(dataToSave, null, 2));
@@ -1389,6 +1787,15 @@ class DataManager {
                 this.logger.info('attendance', `${action} successful for ${authorizedStudent.name} (${ufid})`, 'system');
             }
 
+            this.recordAudit({
+                action: 'attendance.create',
+                entityType: 'attendance',
+                entityId: record.id,
+                after: record,
+                actor: AUDIT_ACTORS.KIOSK,
+                ...audit
+            });
+
             return { success: true, record, studentName: authorizedStudent.name };
         } catch (error) {
             if (this.logger) {
@@ -1398,14 +1805,25 @@ class DataManager {
         }
     }
 
-    deleteAttendanceRecord(recordId) {
+    deleteAttendanceRecord(recordId, audit = {}) {
         try {
             if (this.logger) {
                 this.logger.info('attendance', `Deleting attendance record: ${recordId}`, 'admin');
             }
 
+            const auditDeletion = (before) => this.recordAudit({
+                action: 'attendance.delete',
+                entityType: 'attendance',
+                entityId: recordId,
+                before,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+
+            // Records go to the trash until purged
             // SQLite-first: Delete from SQLite (source of truth)
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const existing = this.dbManager.getAttendanceById(recordId);
                 const result = this.dbManager.deleteAttendanceRecord(recordId);
                 if (!result.success) {
                     if (this.logger) {
@@ -1420,22 +1838,24 @@ class DataManager {
 
                 // Export to JSON as backup
                 this.exportAttendanceToJson();
+                auditDeletion(existing);
                 return { success: true };
             }
 
             // Fallback: JSON-only mode (legacy)
-            const attendance = this.getAttendance();
-            const recordToDelete = attendance.find(record => record.id === recordId);
-            const filteredAttendance = attendance.filter(record => record.id !== recordId);
+            const attendance = this.getAttendance({ includeDeleted: true });
+            const recordToDelete = attendance.find(record => record.id === recordId && !record.deletedAt);
 
-            if (attendance.length === filteredAttendance.length) {
+            if (!recordToDelete) {
                 if (this.logger) {
                     this.logger.warning('attendance', `Attendance record not found for deletion: ${recordId}`, 'admin');
                 }
                 return { success: false, error: 'Record not found' };
             }
+            const before = { ...recordToDelete };
+            recordToDelete.deletedAt = new Date().toISOString();
 
-            let dataToSave = this.encryptSensitiveFields(filteredAttendance, ['name']);
+            let dataToSave = this.encryptSensitiveFields(attendance, ['name']);
             fs.writeFileSync(this.attendanceFile, JSON.stringify(dataToSave, null, 2));
 
             if (this.logger) {
@@ -1443,6 +1863,7 @@ class DataManager {
                 this.logger.info('attendance', `Attendance record deleted: ${studentInfo} - ${recordToDelete?.action} at ${recordToDelete?.timestamp}`, 'admin');
             }
 
+            auditDeletion(before);
             return { success: true };
         } catch (error) {
             if (this.logger) {
@@ -1457,10 +1878,22 @@ class DataManager {
      * Used when a pending signout is resolved to update the temporary record
      * @param {string} pendingRecordId - The pending record ID to find
      * @param {Object} updates - The fields to update (e.g., timestamp)
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: system)
      * @returns {Object} - { success, record?, error? }
      */
-    updateAttendanceByPendingId(pendingRecordId, updates) {
+    updateAttendanceByPendingId(pendingRecordId, updates, audit = {}) {
         try {
+            const before = this.getAttendance().find(r => r.pendingRecordId === pendingRecordId) || null;
+            const auditResolution = (after) => PENDING_RESOLUTION_FIELDS.some(k => (before?.[k] || false) !== (after[k] || false)) && this.recordAudit({
+                action: 'attendance.update',
+                entityType: 'attendance',
+                entityId: after.id,
+                before,
+                after,
+                actor: AUDIT_ACTORS.SYSTEM,
+                ...audit
+            });
+
             // SQLite-first: Update in SQLite (source of truth)
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
                 const result = this.dbManager.updateAttendanceByPendingId(pendingRecordId, {
@@ -1483,12 +1916,13 @@ class DataManager {
 
                 // Export to JSON as backup
                 this.exportAttendanceToJson();
+                auditResolution(result.record);
                 return { success: true, record: result.record };
             }
 
             // Fallback: JSON-only mode (legacy)
-            const attendance = this.getAttendance();
-            const idx = attendance.findIndex(r => r.pendingRecordId === pendingRecordId);
+            const attendance = this.getAttendance({ includeDeleted: true });
+            const idx = attendance.findIndex(r => r.pendingRecordId === pendingRecordId && !r.deletedAt);
 
             if (idx === -1) {
                 if (this.logger) {
@@ -1513,6 +1947,7 @@ class DataManager {
                     `Updated pending attendance record for ${oldRecord.name}: ${oldRecord.timestamp} -> ${attendance[idx].timestamp}`, 'system');
             }
 
+            auditResolution(attendance[idx]);
             return { success: true, record: attendance[idx] };
         } catch (error) {
             if (this.logger) {
@@ -1531,13 +1966,14 @@ class DataManager {
     findSignoutForSignin(ufid, signInTimestamp) {
         try {
             const attendance = this.getAttendance();
-            const signInDate = new Date(signInTimestamp).toDateString();
+            const timeZone = this.getTimezone();
+            const signInDate = zone.formatYmd(signInTimestamp, timeZone);
 
             // Find signout records for this UFID on the same day as the signin
             const signouts = attendance.filter(r =>
                 r.ufid === ufid &&
                 r.action === 'signout' &&
-                new Date(r.timestamp).toDateString() === signInDate
+                zone.formatYmd(r.timestamp, timeZone) === signInDate
             );
 
             // Return the first matching signout (there should typically be one)
@@ -1553,10 +1989,21 @@ class DataManager {
     /**
      * Add a new attendance record directly (used by pending signout service)
      * @param {Object} record - The attendance record to add
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: system)
      * @returns {Object} - { success, record?, error? }
      */
-    addAttendanceRecord(record) {
+    addAttendanceRecord(record, audit = {}) {
         try {
+            if (!record.uid) record.uid = this.nextRecordUid();
+            const auditCreation = () => this.recordAudit({
+                action: 'attendance.create',
+                entityType: 'attendance',
+                entityId: record.id,
+                after: record,
+                actor: AUDIT_ACTORS.SYSTEM,
+                ...audit
+            });
+
             // SQLite-first: Write to SQLite (source of truth)
             if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
                 const result = this.dbManager.addAttendanceRecord(record);
@@ -1572,11 +2019,12 @@ class DataManager {
                         `Added attendance record: ${record.name || record.ufid} - ${record.action} at ${record.timestamp}`, 'system');
                 }
 
+                auditCreation();
                 return { success: true, record };
             }
 
             // Fallback: JSON-only mode (legacy)
-            const attendance = this.getAttendance();
+            const attendance = this.getAttendance({ includeDeleted: true });
             attendance.push(record);
             const dataToSave = this.encryptSensitiveFields(attendance, ['name']);
             fs.writeFileSync(this.attendanceFile, JSON.stringify(dataToSave, null, 2));
@@ -1586,6 +2034,7 @@ class DataManager {
                     `Added attendance record: ${record.name || record.ufid} - ${record.action} at ${record.timestamp}`, 'system');
             }
 
+            auditCreation();
             return { success: true, record };
         } catch (error) {
             if (this.logger) {
@@ -1643,9 +2092,10 @@ class DataManager {
     getTodaysAttendance() {
         try {
             const attendance = this.getAttendance();
-            const today = new Date().toDateString();
+            const timeZone = this.getTimezone();
+            const today = zone.formatYmd(new Date(), timeZone);
             const todaysAttendance = attendance.filter(record =>
-                new Date(record.timestamp).toDateString() === today
+                zone.formatYmd(record.timestamp, timeZone) === today
             );
 
             if (this.logger) {
@@ -1662,146 +2112,1396 @@ class DataManager {
     }
 
     getAttendanceForDate(dateLike) {
-        const target = new Date(dateLike);
-        const dayStart = new Date(target.getFullYear(), target.getMonth(), target.getDate(), 0, 0, 0, 0);
-        const dayEnd = new Date(target.getFullYear(), target.getMonth(), target.getDate(), 23, 59, 59, 999);
-
+        const { dayStart, dayEnd } = this.getDayWindow(dateLike);
         return this.getAttendance().filter(r => {
             const t = new Date(r.timestamp);
             return t >= dayStart && t <= dayEnd;
         });
     }
 
-    getAttendanceForDate(dateLike) {
-        const target = new Date(dateLike);
-        const dayStart = new Date(target.getFullYear(), target.getMonth(), target.getDate(), 0, 0, 0, 0);
-        const dayEnd = new Date(target.getFullYear(), target.getMonth(), target.getDate(), 23, 59, 59, 999);
-        return this.getAttendance().filter(r => {
-            const t = new Date(r.timestamp);
-            return t >= dayStart && t <= dayEnd;
-        });
+    /**
+     * Get sessions (paired signin/signout) overlapping a time window.
+     * SQLite reads the stored sessions table; JSON mode pairs with the same rules.
+     * @param {Date|string|null} start - Window start (null for unbounded)
+     * @param {Date|string|null} end - Window end (null for unbounded)
+     * @param {Object} options - { ufid, locationId }
+     * @returns {Array} Sessions { ufid, name, in, out, source, synthetic, presentOnly, pending, locationId, ... }
+     */
+    getSessions(start = null, end = null, options = {}) {
+        const { ufid = null, locationId = null } = options;
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getSessions({ start, end, ufid, locationId });
+            }
+
+            const startDate = start ? new Date(start) : null;
+            const endDate = end ? new Date(end) : null;
+            const records = ufid
+                ? this.getAttendance().filter(r => r.ufid === ufid)
+                : this.getAttendance();
+
+            return pairSessions(records).filter(s => {
+                if (!labLocations.atLocation(s, locationId)) return false;
+                if (endDate && new Date(s.in) > endDate) return false;
+                if (startDate && s.out && new Date(s.out) < startDate) return false;
+                return true;
+            });
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('attendance', `Error retrieving sessions: ${error.message}`, 'system');
+            }
+            return [];
+        }
     }
 
     /**
      * Get students who have open sessions (signed in but not signed out) for a given date.
      * Used by the pending sign-out feature to identify students who need reminder emails.
      * @param {string|Date} dateLike - The date to check
+     * @param {Object} options - { excludeOvernight, now } — skip sessions still within the overnight grace
      * @returns {Array} - Array of sign-in records that don't have matching sign-outs
      */
-    getOpenSessionsForDate(dateLike) {
-        const records = this.getAttendanceForDate(dateLike);
-        const byStudent = new Map();
+    getOpenSessionsForDate(dateLike, options = {}) {
+        const { excludeOvernight = false, now = new Date() } = options;
+        const { dayEnd } = this.getDayWindow(dateLike);
+
+        // Any session still open by the end of the day, including ones carried over
+        // from an earlier day (e.g. a late sign-in that was left open overnight)
+        return this.getSessions(null, dayEnd)
+            .filter(s => !s.out)
+            .filter(s => !excludeOvernight || !this.isWithinOvernightGrace(s, now))
+            .map(s => ({
+                id: s.signinId,
+                ufid: s.ufid,
+                name: s.name,
+                action: 'signin',
+                timestamp: s.in
+            }));
+    }
 
-        // Group by student
-        for (const r of records) {
-            if (!byStudent.has(r.ufid)) {
-                byStudent.set(r.ufid, []);
-            }
-            byStudent.get(r.ufid).push(r);
-        }
+    /**
+     * Whether an open session started recently enough that it may legitimately
+     * run past midnight (see OVERNIGHT_GRACE_HOURS)
+     * @param {Object} session - Session with an `in` timestamp
+     * @param {Date} now - Reference time
+     * @returns {boolean}
+     */
+    isWithinOvernightGrace(session, now = new Date()) {
+        const ageMs = new Date(now) - new Date(session.in);
+        return ageMs >= 0 && ageMs < OVERNIGHT_GRACE_HOURS * 60 * 60 * 1000;
+    }
 
-        const openSessions = [];
+    /**
+     * Calendar day containing `dateLike` in the lab timezone.
+     * A 'YYYY-MM-DD' string is read as that date in the lab timezone.
+     * @param {Date|string} dateLike - Any instant on the day, or a YYYY-MM-DD string
+     * @returns {{dayStart: Date, dayEnd: Date, nextDayStart: Date, timeZone: string}}
+     */
+    getDayWindow(dateLike) {
+        const timeZone = this.getTimezone();
+        const dayStart = zone.parseDay(dateLike, timeZone);
+        const nextDayStart = zone.startOfDay(dayStart, timeZone, 1);
+        return { dayStart, dayEnd: new Date(nextDayStart.getTime() - 1), nextDayStart, timeZone };
+    }
 
-        for (const [ufid, events] of byStudent) {
-            // Sort by timestamp, with signin before signout for same timestamp
-            events.sort((a, b) => {
-                const timeDiff = new Date(a.timestamp) - new Date(b.timestamp);
-                if (timeDiff !== 0) return timeDiff;
-                // Same timestamp: signin comes before signout
-                if (a.action === 'signin' && b.action === 'signout') return -1;
-                if (a.action === 'signout' && b.action === 'signin') return 1;
-                return 0;
-            });
+    // ==================== LAB CLOSURES ====================
 
-            // Find the last sign-in without a matching sign-out
-            let lastSignIn = null;
-            for (const e of events) {
-                if (e.action === 'signin') {
-                    lastSignIn = e;
-                } else if (e.action === 'signout') {
-                    lastSignIn = null; // Session closed
-                }
+    /**
+     * Get lab closures (holidays, shutdowns), optionally within a date range
+     * @param {string|null} start - 'YYYY-MM-DD' inclusive (null for unbounded)
+     * @param {string|null} end - 'YYYY-MM-DD' inclusive (null for unbounded)
+     * @returns {Array} [{ id, date, name, source, uid }]
+     */
+    getClosures(start = null, end = null) {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getClosures({ start, end });
             }
 
-            if (lastSignIn) {
-                openSessions.push(lastSignIn);
+            return this.readClosuresFile()
+                .filter(c => (!start || c.date >= start) && (!end || c.date <= end))
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('closures', `Error retrieving closures: ${error.message}`, 'system');
             }
+            return [];
         }
+    }
 
-        return openSessions;
+    /**
+     * The closure covering a calendar day in the lab timezone, if any
+     * @param {Date|string} dateLike - Any instant on the day, or a YYYY-MM-DD string
+     * @returns {Object|null}
+     */
+    getClosureForDate(dateLike) {
+        const { dayStart, timeZone } = this.getDayWindow(dateLike);
+        const ymd = zone.formatYmd(dayStart, timeZone);
+        return this.getClosures(ymd, ymd)[0] || null;
     }
 
     /**
-     * Hybrid policy:
-     * - If a student never logs out -> treat sign-out as 5:00 PM for the *daily summary* (no record is written)
-     * - If they do log out after 5 PM -> respect their actual sign-out (no cap)
-     * Pass options.closeOpenAtHour = 17 to cap, or options.autoWriteSignOutAtHour = 17 to also persist a synthetic row.
+     * Students whose recurring shift covers the given moment ("expected in the lab now").
+     * Nobody is expected on a closure day.
+     * @param {Date} now - Reference time
+     * @returns {Array} [{ ufid, name, shift, label, start, end, present, status, arrivedAt, minutesLate }]
      */
-    computeDailySummary(dateLike, options = {}) {
-        const {
-            closeOpenAtHour = 17,
-            autoWriteSignOutAtHour = null,
-            // NEW: hybrid policy options (optional)
-            autoPolicy = null // { cutoffHour: 17, eodHour: 23, eodMinute: 59, after5Minutes: 60 }
-        } = options;
+    getExpectedNow(now = new Date()) {
+        const { dayStart, timeZone } = this.getDayWindow(now);
+        if (this.getClosureForDate(dayStart)) return [];
 
-        const records = this.getAttendanceForDate(dateLike)
-            .slice()
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const weekday = zone.getZonedParts(now, timeZone).weekday;
+        const sessions = this.getSessions(dayStart, now);
+        const isIn = (ufid) => sessions.some(s => s.ufid === ufid && new Date(s.in) <= now && (!s.out || new Date(s.out) > now));
+        const expected = [];
 
-        const students = this.getStudents();
-        const nameOf = (ufid) => (students.find(s => s.ufid === ufid)?.name || 'Unknown');
+        for (const student of this.getStudents()) {
+            if (student.active === false) continue;
 
-        // bucket per student
-        const byStudent = new Map();
-        for (const r of records) {
-            if (!byStudent.has(r.ufid)) {
-                byStudent.set(r.ufid, { ufid: r.ufid, name: nameOf(r.ufid), events: [] });
+            for (const shift of (student.shifts || []).filter(sh => sh.day === weekday)) {
+                const window = shiftSchedule.shiftWindow(shift, dayStart, timeZone);
+                if (now < window.start || now >= window.end) continue;
+
+                const result = shiftSchedule.evaluateShift(window, sessions.filter(s => s.ufid === student.ufid), now);
+                expected.push({
+                    ufid: student.ufid,
+                    name: student.name,
+                    shift,
+                    label: shiftSchedule.formatShift(shift),
+                    start: window.start.toISOString(),
+                    end: window.end.toISOString(),
+                    present: isIn(student.ufid),
+                    ...result
+                });
             }
-            byStudent.get(r.ufid).events.push(r);
         }
 
-        // mk cutoff ISO for this calendar day
-        const day = new Date(dateLike);
-        const cutoffISO = (h, m = 0) =>
-            new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m, 0, 0).toISOString();
+        return expected.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    }
 
+    /**
+     * Close the lab for a date or an inclusive date range
+     * @param {Object} closure - { date, endDate, name } with dates as 'YYYY-MM-DD'
+     * @returns {Object} { success, added } or { success: false, error }
+     */
+    addClosure({ date, endDate = null, name = '', source = 'manual', uid = null } = {}) {
+        if (!closureCalendar.isValidYmd(date) || (endDate && !closureCalendar.isValidYmd(endDate))) {
+            return { success: false, error: 'Dates must be in YYYY-MM-DD format' };
+        }
+        if (endDate && endDate < date) {
+            return { success: false, error: 'End date must be on or after the start date' };
+        }
 
-        const summaries = [];
+        const dates = closureCalendar.expandDateRange(date, endDate || date);
+        const result = this.saveClosures(dates.map(d => ({ date: d, name: (name || '').trim() || 'Closed', source, uid })));
+        if (result.success && this.logger) {
+            this.logger.info('closures', `Lab closed ${dates[0]}${dates.length > 1 ? ` to ${dates[dates.length - 1]}` : ''} (${name || 'Closed'})`, 'admin');
+        }
+        return result;
+    }
 
-        for (const [, entry] of byStudent) {
-            const evs = entry.events;
-            const sessions = [];
-            let open = null;
+    /**
+     * Import closures from the contents of an iCalendar (.ics) file
+     * @param {string} icsText - File contents
+     * @returns {Object} { success, added } or { success: false, error }
+     */
+    importClosuresFromIcs(icsText) {
+        const parsed = closureCalendar.parseIcs(icsText);
+        if (parsed.length === 0) {
+            return { success: false, error: 'No events found in calendar file' };
+        }
 
-            // pair ALL sessions in order
-            for (const ev of evs) {
-                if (ev.action === 'signin') {
-                    // if double signin without signout in between, keep latest as the start
-                    open = ev;
-                } else if (ev.action === 'signout') {
-                    if (open) {
-                        sessions.push({ in: open.timestamp, out: ev.timestamp, closed: true });
-                        open = null;
-                    }
+        const result = this.saveClosures(parsed.map(c => ({ ...c, source: 'ics' })));
+        if (result.success && this.logger) {
+            this.logger.info('closures', `Imported ${result.added} closure dates from calendar file`, 'admin');
+        }
+        return result;
+    }
+
+    /**
+     * Remove a closure by id
+     * @param {number} id - Closure id
+     * @returns {Object} { success }
+     */
+    removeClosure(id) {
+        try {
+            let result;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                result = this.dbManager.deleteClosure(Number(id));
+            } else {
+                const closures = this.readClosuresFile();
+                const remaining = closures.filter(c => c.id !== Number(id));
+                if (remaining.length === closures.length) return { success: false, error: 'Closure not found' };
+                fs.writeFileSync(this.closuresFile, JSON.stringify(remaining, null, 2));
+                result = { success: true };
+            }
+
+            if (result.success && this.logger) {
+                this.logger.info('closures', `Closure ${id} removed`, 'admin');
+            }
+            return result;
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('closures', `Error removing closure: ${error.message}`, 'admin');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Upsert closure dates (an existing date keeps its id and takes the new name)
+     * @param {Array} closures - [{ date, name, source, uid }]
+     * @returns {Object} { success, added }
+     */
+    saveClosures(closures) {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                for (const c of closures) {
+                    const res = this.dbManager.upsertClosure(c);
+                    if (!res.success) return res;
                 }
+                return { success: true, added: closures.length };
             }
 
-            let autoclosed = false;
+            const existing = this.readClosuresFile();
+            let nextId = existing.reduce((max, c) => Math.max(max, c.id || 0), 0) + 1;
+            for (const c of closures) {
+                const match = existing.find(e => e.date === c.date);
+                if (match) {
+                    Object.assign(match, { name: c.name, source: c.source || 'manual', uid: c.uid || null });
+                } else {
+                    existing.push({
+                        id: nextId++,
+                        date: c.date,
+                        name: c.name || 'Closed',
+                        source: c.source || 'manual',
+                        uid: c.uid || null,
+                        createdAt: new Date().toISOString()
+                    });
+                }
+            }
+            fs.writeFileSync(this.closuresFile, JSON.stringify(existing, null, 2));
+            return { success: true, added: closures.length };
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('closures', `Error saving closures: ${error.message}`, 'admin');
+            }
+            return { success: false, error: error.message };
+        }
+    }
 
-            // handle one remaining open session (no signout that day)
-            // in the block that handles a remaining open session:
-            if (open) {
-                // --- NEW HYBRID BEHAVIOR ---
-                if (autoPolicy) {
-                    const cutoff = new Date(cutoffISO(autoPolicy.cutoffHour ?? 17, 0)); // 5:00 PM default
-                    const eod = new Date(cutoffISO(autoPolicy.eodHour ?? 23, autoPolicy.eodMinute ?? 59)); // 11:59 PM default
-                    const openedAt = new Date(open.timestamp);
+    readClosuresFile() {
+        if (!fs.existsSync(this.closuresFile)) return [];
+        const data = JSON.parse(fs.readFileSync(this.closuresFile, 'utf8'));
+        return Array.isArray(data) ? data : [];
+    }
 
-                    let effectiveOut;
-                    if (openedAt < cutoff) {
-                        // signed in before 5 PM -> synthetic out at 5 PM
-                        effectiveOut = cutoff;
+    // ==================== ACADEMIC TERMS ====================
+
+    /**
+     * Get academic terms (Fall/Spring/Summer)
+     * @returns {Array} [{ id, name, startDate, endDate, defaultExpectations }] sorted by start date
+     */
+    getTerms() {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getTerms();
+            }
+
+            return this.readTermsFile().terms
+                .map(t => ({ ...t, defaultExpectations: termCalendar.normalizeDefaultExpectations(t.defaultExpectations) }))
+                .sort((a, b) => a.startDate.localeCompare(b.startDate));
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('terms', `Error retrieving terms: ${error.message}`, 'system');
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Add a term, or update it when `id` is set. Terms may not overlap.
+     * @param {Object} term - { id, name, startDate, endDate, defaultExpectations } with dates as 'YYYY-MM-DD'
+     * @returns {Object} { success, term } or { success: false, error }
+     */
+    saveTerm(term = {}) {
+        const cleaned = {
+            id: term.id ? Number(term.id) : null,
+            name: String(term.name || '').trim(),
+            startDate: term.startDate,
+            endDate: term.endDate,
+            defaultExpectations: termCalendar.normalizeDefaultExpectations(term.defaultExpectations)
+        };
+        const invalid = termCalendar.validateTerm(cleaned, this.getTerms());
+        if (invalid) return { success: false, error: invalid };
+
+        try {
+            let result;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                result = this.dbManager.upsertTerm(cleaned);
+            } else {
+                const data = this.readTermsFile();
+                if (cleaned.id) {
+                    const idx = data.terms.findIndex(t => t.id === cleaned.id);
+                    if (idx === -1) return { success: false, error: 'Term not found' };
+                    data.terms[idx] = { ...data.terms[idx], ...cleaned };
+                    result = { success: true, term: data.terms[idx] };
+                } else {
+                    const id = data.terms.reduce((max, t) => Math.max(max, t.id || 0), 0) + 1;
+                    const saved = { ...cleaned, id, createdAt: new Date().toISOString() };
+                    data.terms.push(saved);
+                    result = { success: true, term: saved };
+                }
+                fs.writeFileSync(this.termsFile, JSON.stringify(data, null, 2));
+            }
+
+            if (result.success && this.logger) {
+                this.logger.info('terms', `Term saved: ${cleaned.name} (${cleaned.startDate} to ${cleaned.endDate})`, 'admin');
+            }
+            return result;
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('terms', `Error saving term: ${error.message}`, 'admin');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a term and the per-student expectations set for it
+     * @param {number} id - Term id
+     * @returns {Object} { success }
+     */
+    removeTerm(id) {
+        try {
+            let result;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                result = this.dbManager.deleteTerm(Number(id));
+            } else {
+                const data = this.readTermsFile();
+                const remaining = data.terms.filter(t => t.id !== Number(id));
+                if (remaining.length === data.terms.length) return { success: false, error: 'Term not found' };
+                data.terms = remaining;
+                data.studentExpectations = data.studentExpectations.filter(e => e.termId !== Number(id));
+                fs.writeFileSync(this.termsFile, JSON.stringify(data, null, 2));
+                result = { success: true };
+            }
+
+            if (result.success && this.logger) {
+                this.logger.info('terms', `Term ${id} removed`, 'admin');
+            }
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Per-student expectation overrides, optionally for one term
+     * @param {number|null} termId
+     * @returns {Array} [{ ufid, termId, expectedHoursPerWeek, expectedDaysPerWeek }]
+     */
+    getStudentTermExpectations(termId = null) {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getStudentTermExpectations(termId != null ? Number(termId) : null);
+            }
+            return this.readTermsFile().studentExpectations
+                .filter(e => termId == null || e.termId === Number(termId));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Set a student's expected hours/days for one term (null clears the
+     * override so the term's role default applies again)
+     * @param {string} ufid
+     * @param {number} termId
+     * @param {Object|null} expectation - { expectedHoursPerWeek, expectedDaysPerWeek }
+     * @returns {Object} { success }
+     */
+    setStudentTermExpectation(ufid, termId, expectation) {
+        termId = Number(termId);
+        if (!this.getTerms().some(t => t.id === termId)) return { success: false, error: 'Term not found' };
+        if (!this.findStudent(ufid)) return { success: false, error: 'Student not found' };
+
+        try {
+            const value = expectation ? {
+                expectedHoursPerWeek: Math.max(0, Number(expectation.expectedHoursPerWeek || 0)),
+                expectedDaysPerWeek: Math.max(0, Math.min(7, Number(expectation.expectedDaysPerWeek || 0)))
+            } : null;
+
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.setStudentTermExpectation(ufid, termId, value);
+                if (!result.success) return result;
+            } else {
+                const data = this.readTermsFile();
+                data.studentExpectations = data.studentExpectations.filter(e => !(e.ufid === ufid && e.termId === termId));
+                if (value) data.studentExpectations.push({ ufid, termId, ...value });
+                fs.writeFileSync(this.termsFile, JSON.stringify(data, null, 2));
+            }
+
+            if (this.logger) {
+                this.logger.info('terms', value
+                    ? `Term ${termId} expectations for ${ufid}: ${value.expectedHoursPerWeek} h / ${value.expectedDaysPerWeek} days`
+                    : `Term ${termId} expectations for ${ufid} reset to the role default`, 'admin');
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Term summary: hours, weeks met/missed and streaks per student, built from
+     * the weekly reports of every Monday-Sunday week overlapping the term
+     * @param {number} termId
+     * @param {Date} [now] - Weeks that have not ended by now are not judged
+     * @returns {Object} { success, term, weeks, students } or { success: false, error }
+     */
+    computeTermSummary(termId, now = new Date()) {
+        const term = this.getTerms().find(t => t.id === Number(termId));
+        if (!term) return { success: false, error: 'Term not found' };
+
+        const timeZone = this.getTimezone();
+        const today = zone.formatYmd(now, timeZone);
+        const byStudent = new Map();
+        const weeks = [];
+
+        for (const weekStart of termCalendar.termWeekStarts(term)) {
+            if (weekStart > today) break;
+            const report = this.generateWeeklyReport(zone.parseDay(weekStart, timeZone));
+            if (!report) continue;
+
+            const complete = closureCalendar.addDaysYmd(weekStart, 7) <= today;
+            weeks.push({ weekStart, complete });
+            for (const [ufid, rep] of Object.entries(report.studentReports)) {
+                // The latest week's report carries the current name/status/expectation
+                const entry = byStudent.get(ufid) || { weeks: [] };
+                byStudent.set(ufid, { ...entry, rep });
+                entry.weeks.push({
+                    weekStart,
+                    totalHours: rep.totalHours,
+                    expectedHours: rep.expectedHoursPerWeek,
+                    complete
+                });
+            }
+        }
+
+        const students = [...byStudent.entries()].map(([ufid, { rep, weeks: studentWeeks }]) => ({
+            ufid,
+            name: rep.name,
+            role: rep.role,
+            status: rep.status,
+            expectedHoursPerWeek: rep.fullWeekExpectedHours,
+            expectedDaysPerWeek: rep.fullWeekExpectedDays,
+            expectationSource: rep.expectationSource,
+            ...termCalendar.summarizeWeeks(studentWeeks),
+            weeks: studentWeeks
+        })).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        return { success: true, term, weeks, students };
+    }
+
+    /**
+     * Term summary as CSV
+     * @param {number} termId
+     * @returns {Object} { success, csv, term } or { success: false, error }
+     */
+    exportTermSummaryCsv(termId) {
+        const summary = this.computeTermSummary(termId);
+        if (!summary.success) return summary;
+        return { success: true, term: summary.term, csv: termCalendar.termSummaryToCsv(summary) };
+    }
+
+    readTermsFile() {
+        if (!fs.existsSync(this.termsFile)) return { terms: [], studentExpectations: [] };
+        const data = JSON.parse(fs.readFileSync(this.termsFile, 'utf8'));
+        return {
+            terms: Array.isArray(data.terms) ? data.terms : [],
+            studentExpectations: Array.isArray(data.studentExpectations) ? data.studentExpectations : []
+        };
+    }
+
+    // ==================== LOCATIONS ====================
+    // Labs/rooms sharing this installation (see locations.js); stored in SQLite,
+    // or locations.json in JSON-only mode
+
+    /**
+     * All locations
+     * @returns {Array} [{ id, name, sheetName }]
+     */
+    getLocations() {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getLocations();
+            }
+            return this.readLocationsFile();
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('locations', `Error reading locations: ${error.message}`, 'admin');
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Add a location, or update the one with the same id
+     * @param {Object} location - { id, name, sheetName, isNew } (id defaults to a slug of the name)
+     * @returns {Object} { success, location } or { success: false, error }
+     */
+    saveLocation(location = {}) {
+        const isNew = location.isNew !== false;
+        const cleaned = {
+            id: location.id ? String(location.id).trim().toLowerCase() : labLocations.slugifyLocationId(location.name),
+            name: String(location.name || '').trim(),
+            sheetName: String(location.sheetName || '').trim()
+        };
+        const existing = this.getLocations();
+        if (!isNew && !existing.some(l => l.id === cleaned.id)) return { success: false, error: 'Location not found' };
+        const invalid = labLocations.validateLocation(cleaned, existing, isNew);
+        if (invalid) return { success: false, error: invalid };
+
+        try {
+            let result;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                result = this.dbManager.upsertLocation(cleaned);
+            } else {
+                const locations = existing.filter(l => l.id !== cleaned.id);
+                const previous = existing.find(l => l.id === cleaned.id);
+                const saved = { ...cleaned, createdAt: previous ? previous.createdAt : new Date().toISOString() };
+                locations.push(saved);
+                locations.sort((a, b) => a.name.localeCompare(b.name));
+                fs.writeFileSync(this.locationsFile, JSON.stringify(locations, null, 2));
+                result = { success: true, location: saved };
+            }
+
+            if (result.success && this.logger) {
+                this.logger.info('locations', `Location saved: ${cleaned.name} (${cleaned.id})`, 'admin');
+            }
+            return result;
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('locations', `Error saving location: ${error.message}`, 'admin');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a location. Students lose it from their lists; attendance keeps
+     * its location id. A kiosk bound to it becomes unbound.
+     * @param {string} id - Location id
+     * @returns {Object} { success }
+     */
+    removeLocation(id) {
+        try {
+            let result;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                result = this.dbManager.deleteLocation(id);
+                if (result.success) this.exportStudentsToJson();
+            } else {
+                const locations = this.readLocationsFile();
+                if (!locations.some(l => l.id === id)) return { success: false, error: 'Location not found' };
+                fs.writeFileSync(this.locationsFile, JSON.stringify(locations.filter(l => l.id !== id), null, 2));
+
+                const students = this.getStudents({ includeDeleted: true });
+                let studentsUpdated = 0;
+                for (const student of students) {
+                    if (!student.locations || !student.locations.includes(id)) continue;
+                    student.locations = student.locations.filter(l => l !== id);
+                    studentsUpdated++;
+                }
+                if (studentsUpdated) {
+                    const dataToSave = this.encryptSensitiveFields(students, ['name', 'email']);
+                    fs.writeFileSync(this.studentsFile, JSON.stringify(dataToSave, null, 2));
+                }
+                result = { success: true, studentsUpdated };
+            }
+
+            if (result.success) {
+                if (this.getConfig().kiosk.locationId === id) this.setKioskLocation(null);
+                if (this.logger) {
+                    this.logger.info('locations', `Location ${id} removed`, 'admin');
+                }
+            }
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The location this kiosk is bound to
+     * @returns {Object|null} Location, or null when unbound (accepts every student)
+     */
+    getKioskLocation() {
+        const locationId = this.getConfig().kiosk?.locationId;
+        if (!locationId) return null;
+        return this.getLocations().find(l => l.id === locationId) || null;
+    }
+
+    /**
+     * Bind this kiosk to a location (null unbinds it)
+     * @param {string|null} locationId
+     * @returns {Object} { success, location }
+     */
+    setKioskLocation(locationId) {
+        const location = locationId ? this.getLocations().find(l => l.id === locationId) : null;
+        if (locationId && !location) return { success: false, error: 'Location not found' };
+
+        try {
+            const config = this.getConfig();
+            config.kiosk = { ...(config.kiosk || {}), locationId: location ? location.id : null };
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+
+            if (this.logger) {
+                this.logger.info('locations', location ? `Kiosk bound to ${location.name}` : 'Kiosk location cleared', 'admin');
+            }
+            return { success: true, location };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check a student's location list against the configured locations
+     * @param {Array|string|null} raw
+     * @returns {Array<string>}
+     * @throws {Error} On an unknown location id
+     */
+    resolveStudentLocations(raw) {
+        const ids = labLocations.normalizeLocationIds(raw);
+        if (!ids.length) return ids;
+
+        const known = new Set(this.getLocations().map(l => l.id));
+        const unknown = ids.find(id => !known.has(id));
+        if (unknown) throw new Error(`Unknown location: ${unknown}`);
+        return ids;
+    }
+
+    readLocationsFile() {
+        if (!fs.existsSync(this.locationsFile)) return [];
+        const data = JSON.parse(fs.readFileSync(this.locationsFile, 'utf8'));
+        return Array.isArray(data) ? data : [];
+    }
+
+    // ==================== PEER SYNC ====================
+    // Several kiosks share one Dropbox folder as peers (see peerMerge.js).
+    // sync-state.json holds the stamped result of this kiosk's last sync; it
+    // is local bookkeeping and never uploaded.
+
+    /**
+     * This kiosk's device id (created and saved to config.json on first use)
+     * @returns {string}
+     */
+    getDeviceId() {
+        if (this.deviceId) return this.deviceId;
+
+        const config = this.getConfig();
+        if (!config.device.id) {
+            config.device.id = peerMerge.createDeviceId();
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            if (this.logger) {
+                this.logger.info('system', `Device id created: ${config.device.id}`, 'system');
+            }
+        }
+        this.deviceId = config.device.id;
+        return this.deviceId;
+    }
+
+    /**
+     * Globally unique id for a new attendance record (device id + time + counter)
+     * @returns {string}
+     */
+    nextRecordUid() {
+        return `${this.getDeviceId()}-${Date.now().toString(36)}-${(this.recordSeq++).toString(36)}`;
+    }
+
+    /**
+     * Everything a peer sync merges, trash included
+     * @returns {Object} { students, attendance }
+     */
+    getSyncSnapshot() {
+        return {
+            students: this.getStudents({ includeDeleted: true }),
+            attendance: this.getAttendance({ includeDeleted: true })
+        };
+    }
+
+    readSyncState() {
+        if (!fs.existsSync(this.syncStateFile)) return null;
+        try {
+            const state = JSON.parse(fs.readFileSync(this.syncStateFile, 'utf8'));
+            return {
+                students: this.decryptSensitiveFields(state.students || [], ['name', 'email']),
+                attendance: this.decryptSensitiveFields(state.attendance || [], ['name'])
+            };
+        } catch (error) {
+            this.logger?.warning('dropbox', `Ignoring unreadable sync state: ${error.message}`, 'system');
+            return null;
+        }
+    }
+
+    saveSyncState(state) {
+        const data = {
+            savedAt: new Date().toISOString(),
+            students: this.encryptSensitiveFields(state.students || [], ['name', 'email']),
+            attendance: this.encryptSensitiveFields(state.attendance || [], ['name'])
+        };
+        fs.writeFileSync(this.syncStateFile, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Replace local students and attendance with a merged result
+     * (SQLite is rebuilt from the JSON files; face descriptors are kept)
+     * @param {Object} data - { students, attendance }
+     * @returns {Promise<Object>} { success, students, attendance }
+     */
+    async applySyncedData(data) {
+        try {
+            const students = this.encryptSensitiveFields(data.students, ['name', 'email']);
+            const attendance = this.encryptSensitiveFields(data.attendance, ['name']);
+            fs.writeFileSync(this.studentsFile, JSON.stringify(students, null, 2));
+            fs.writeFileSync(this.attendanceFile, JSON.stringify(attendance, null, 2));
+
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return await this.reloadFromJson({ fromJournal: false });
+            }
+            return { success: true, students: data.students.length, attendance: data.attendance.length };
+        } catch (error) {
+            this.logger?.error('dropbox', `Failed to apply synced data: ${error.message}`, 'system');
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== SYNC CONFLICTS ====================
+    // Edits made on two kiosks (or a newer Dropbox roster) that a merge would
+    // settle silently. Until an admin picks a side, sync keeps the local one.
+    // Stored per device in sync-conflicts.json; resolved ones are kept 90 days.
+
+    /**
+     * Sync conflicts, newest first
+     * @param {Object} filters - { status: 'open'|'resolved' } (all when omitted)
+     * @returns {Array}
+     */
+    getSyncConflicts(filters = {}) {
+        return this.readConflictsFile()
+            .filter(c => !filters.status || c.status === filters.status)
+            .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+    }
+
+    /**
+     * Store conflicts found by a merge (already reported ones are skipped,
+     * unless the remote side has changed since)
+     * @param {Array} conflicts - From peerMerge.findConflicts / diffStudents
+     * @param {string} source - 'peer' or 'merge' (legacy students.json merge)
+     * @returns {number} Conflicts newly reported
+     */
+    recordSyncConflicts(conflicts, source) {
+        if (!conflicts.length) return 0;
+
+        const known = new Map(this.readConflictsFile().map(c => [c.id, c]));
+        let reported = 0;
+        for (const conflict of conflicts) {
+            const previous = known.get(conflict.id);
+            if (previous && peerMerge.sameValue(previous.remote, conflict.remote)) continue;
+            known.set(conflict.id, {
+                ...conflict,
+                source,
+                detectedAt: new Date().toISOString(),
+                status: 'open',
+                resolution: null,
+                resolvedAt: null
+            });
+            reported++;
+        }
+
+        if (reported) {
+            this.saveConflictsFile(Array.from(known.values()));
+            this.logger?.warning('dropbox', `${reported} sync conflict(s) need review`, 'system');
+        }
+        return reported;
+    }
+
+    /**
+     * Settle a conflict
+     * Edit conflicts take 'local' (republished so other kiosks adopt it on the
+     * next sync) or 'remote' (applied here now); duplicate/contradicting
+     * records take 'local' or 'remote' (the other record goes to the trash)
+     * or 'both'
+     * @param {string} id - Conflict id
+     * @param {string} choice - 'local' | 'remote' | 'both'
+     * @param {Object} [audit] - { actor, actorName, reason }
+     * @returns {Object} { success, conflict }
+     */
+    resolveSyncConflict(id, choice, audit = {}) {
+        try {
+            const conflicts = this.readConflictsFile();
+            const conflict = conflicts.find(c => c.id === id);
+            if (!conflict) return { success: false, error: 'Conflict not found' };
+            if (conflict.status !== 'open') return { success: false, error: 'Conflict already resolved' };
+
+            const isPair = conflict.type === 'attendance-duplicate' || conflict.type === 'attendance-contradiction';
+            const choices = isPair ? ['local', 'remote', 'both'] : ['local', 'remote'];
+            if (!choices.includes(choice)) return { success: false, error: `Invalid choice: ${choice}` };
+
+            const result = isPair
+                ? this.resolveRecordPair(conflict, choice, audit)
+                : this.resolveEditConflict(conflict, choice, audit);
+            if (!result.success) return result;
+
+            Object.assign(conflict, { status: 'resolved', resolution: choice, resolvedAt: new Date().toISOString() });
+            this.saveConflictsFile(conflicts);
+
+            const entityType = conflict.type === 'student-field' ? 'student' : 'attendance';
+            this.recordAudit({
+                action: `${entityType}.conflict_resolve`,
+                entityType,
+                entityId: conflict.key,
+                before: { field: conflict.field || null, local: conflict.local, remote: conflict.remote },
+                after: { choice },
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+
+            if (this.logger) {
+                this.logger.info('dropbox', `Sync conflict ${conflict.id} resolved: kept ${choice}`, 'admin');
+            }
+            return { success: true, conflict };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    resolveEditConflict(conflict, choice, audit) {
+        if (choice === 'local') {
+            // Pretend the last sync saw the remote side, so ours reads as a fresh edit
+            const state = this.readSyncState();
+            if (state) {
+                if (conflict.type === 'student-field') {
+                    const student = state.students.find(s => s.ufid === conflict.key);
+                    if (student) student[conflict.field] = conflict.remote;
+                } else {
+                    const index = state.attendance.findIndex(r => r.uid === conflict.key);
+                    if (index !== -1) state.attendance[index] = { ...conflict.remote, id: state.attendance[index].id };
+                }
+                this.saveSyncState(state);
+            }
+            return { success: true };
+        }
+
+        if (conflict.type === 'student-field') {
+            if (conflict.field === 'deletedAt') {
+                return conflict.remote ? this.removeStudent(conflict.key, audit) : this.restoreStudent(conflict.key, audit);
+            }
+            return this.updateStudent(conflict.key, { [conflict.field]: conflict.remote }, audit);
+        }
+
+        const local = this.findAttendanceByUid(conflict.key);
+        if (!local) return { success: false, error: 'Record not found' };
+        if (conflict.remote.purged) {
+            if (!local.deletedAt) this.deleteAttendanceRecord(local.id, audit);
+            return this.purgeAttendanceRecord(local.id, audit);
+        }
+        return this.replaceAttendanceRecord({ ...conflict.remote, id: local.id });
+    }
+
+    resolveRecordPair(conflict, choice, audit) {
+        if (choice === 'both') return { success: true };
+
+        const drop = this.findAttendanceByUid(choice === 'local' ? conflict.remote.uid : conflict.local.uid);
+        if (!drop) return { success: false, error: 'Record not found' };
+        if (drop.deletedAt) return { success: true };
+        return this.deleteAttendanceRecord(drop.id, { reason: 'Duplicate from another kiosk', ...audit });
+    }
+
+    findAttendanceByUid(uid) {
+        return this.getAttendance({ includeDeleted: true }).find(r => r.uid === uid) || null;
+    }
+
+    /**
+     * Overwrite an attendance record with another copy of it (same id)
+     * @param {Object} record
+     * @returns {Object} { success }
+     */
+    replaceAttendanceRecord(record) {
+        if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+            const result = this.dbManager.importAttendance([record]);
+            if (!result.success) return { success: false, error: result.errors.map(e => e.error).join(', ') };
+            this.exportAttendanceToJson();
+            return { success: true };
+        }
+
+        const attendance = this.getAttendance({ includeDeleted: true });
+        const index = attendance.findIndex(r => r.id === record.id);
+        if (index === -1) return { success: false, error: 'Record not found' };
+        attendance[index] = record;
+        fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(attendance, ['name']), null, 2));
+        return { success: true };
+    }
+
+    readConflictsFile() {
+        if (!fs.existsSync(this.conflictsFile)) return [];
+        try {
+            const data = JSON.parse(fs.readFileSync(this.conflictsFile, 'utf8'));
+            return Array.isArray(data) ? data : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    saveConflictsFile(conflicts) {
+        const cutoff = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+        const kept = conflicts.filter(c => c.status === 'open' || (c.resolvedAt || '') >= cutoff);
+        fs.writeFileSync(this.conflictsFile, JSON.stringify(kept, null, 2));
+    }
+
+    // ==================== JOURNAL SYNC ====================
+    // Delta sync for push/pull kiosks (see syncJournal.js). journal/ holds the
+    // segments this kiosk wrote (pushing) or mirrored from Dropbox (pulling);
+    // journal-state.json holds what was last pushed and which remote files
+    // the mirror already has. Both are local bookkeeping.
+
+    readJournalState() {
+        if (!fs.existsSync(this.journalStateFile)) return {};
+        try {
+            const state = JSON.parse(fs.readFileSync(this.journalStateFile, 'utf8'));
+            return state && typeof state === 'object' ? state : {};
+        } catch (error) {
+            this.logger?.warning('dropbox', `Ignoring unreadable journal state: ${error.message}`, 'system');
+            return {};
+        }
+    }
+
+    /**
+     * Update one side of the journal state
+     * @param {string} side - 'push' or 'pull'
+     * @param {Object|null} value
+     */
+    saveJournalState(side, value) {
+        const state = this.readJournalState();
+        state[side] = value;
+        fs.writeFileSync(this.journalStateFile, JSON.stringify(state, null, 2));
+    }
+
+    /**
+     * Whether reloadFromJson() rebuilds from the mirrored journal: delta sync
+     * on a pulling (master mode) kiosk that has a snapshot
+     * @returns {boolean}
+     */
+    usesJournalRebuild() {
+        const d = this.getConfig().dropbox || {};
+        return !!(d.deltaSync && d.masterMode && !d.peerMode)
+            && fs.existsSync(path.join(this.journalDir, syncJournal.SNAPSHOT_FILE));
+    }
+
+    /**
+     * Rewrite students.json/attendance.json from journal/snapshot.json plus
+     * every journal segment after it
+     * @returns {Object} { success, students, attendance, events }
+     */
+    rebuildFromJournal() {
+        try {
+            const snapshotPath = path.join(this.journalDir, syncJournal.SNAPSHOT_FILE);
+            if (!fs.existsSync(snapshotPath)) return { success: false, error: 'No journal snapshot' };
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+
+            const events = fs.readdirSync(this.journalDir)
+                .filter(name => syncJournal.parseSegmentName(name))
+                .sort()
+                .flatMap(name => syncJournal.parseNdjson(fs.readFileSync(path.join(this.journalDir, name), 'utf8')));
+            const state = syncJournal.replay(snapshot, events);
+
+            fs.writeFileSync(this.studentsFile, JSON.stringify(state.students, null, 2));
+            fs.writeFileSync(this.attendanceFile, JSON.stringify(state.attendance, null, 2));
+            this.logger?.info('dropbox',
+                `Rebuilt from journal: snapshot of ${snapshot.createdAt} + ${events.length} events`, 'system');
+            return { success: true, students: state.students.length, attendance: state.attendance.length, events: events.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== TRASH ====================
+
+    /**
+     * Everything soft-deleted, most recently deleted first
+     * @returns {Object} { students, attendance }
+     */
+    getTrash() {
+        if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+            return this.dbManager.getTrash();
+        }
+
+        const byDeletedAt = (a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt));
+        return {
+            students: this.getStudents({ includeDeleted: true }).filter(s => s.deletedAt).sort(byDeletedAt),
+            attendance: this.getAttendance({ includeDeleted: true }).filter(r => r.deletedAt).sort(byDeletedAt)
+        };
+    }
+
+    /**
+     * Restore a trashed student
+     * @param {string} ufid
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: admin)
+     * @returns {Object} { success, student?, error? }
+     */
+    restoreStudent(ufid, audit = {}) {
+        try {
+            let student;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.restoreStudent(ufid);
+                if (!result.success) return result;
+                student = result.student;
+                this.exportStudentsToJson();
+            } else {
+                const students = this.getStudents({ includeDeleted: true });
+                const idx = students.findIndex(s => s.ufid === ufid && s.deletedAt);
+                if (idx === -1) return { success: false, error: 'Student not found in trash' };
+
+                const { deletedAt, ...restored } = students[idx];
+                students[idx] = student = restored;
+                fs.writeFileSync(this.studentsFile, JSON.stringify(this.encryptSensitiveFields(students, ['name', 'email']), null, 2));
+            }
+
+            this.logger?.info('student', `Student restored from trash: ${student.name} (${ufid})`, 'admin');
+            this.recordAudit({
+                action: 'student.restore',
+                entityType: 'student',
+                entityId: ufid,
+                after: student,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            return { success: true, student };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permanently delete a trashed student. Their attendance records are kept.
+     * @param {string} ufid
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: admin)
+     * @returns {Object} { success, error? }
+     */
+    purgeStudent(ufid, audit = {}) {
+        try {
+            const students = this.getStudents({ includeDeleted: true });
+            const trashed = students.find(s => s.ufid === ufid && s.deletedAt);
+            if (!trashed) return { success: false, error: 'Student not found in trash' };
+
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.purgeStudent(ufid);
+                if (!result.success) return result;
+                this.exportStudentsToJson();
+            } else {
+                const remaining = students.filter(s => s !== trashed);
+                fs.writeFileSync(this.studentsFile, JSON.stringify(this.encryptSensitiveFields(remaining, ['name', 'email']), null, 2));
+            }
+
+            this.logger?.info('student', `Student permanently deleted: ${trashed.name} (${ufid})`, 'admin');
+            this.recordAudit({
+                action: 'student.purge',
+                entityType: 'student',
+                entityId: ufid,
+                before: trashed,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Restore a trashed attendance record
+     * @param {number} recordId
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: admin)
+     * @returns {Object} { success, record?, error? }
+     */
+    restoreAttendanceRecord(recordId, audit = {}) {
+        try {
+            let record;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.restoreAttendanceRecord(recordId);
+                if (!result.success) return result;
+                record = result.record;
+                this.exportAttendanceToJson();
+            } else {
+                const attendance = this.getAttendance({ includeDeleted: true });
+                const idx = attendance.findIndex(r => r.id === recordId && r.deletedAt);
+                if (idx === -1) return { success: false, error: 'Record not found in trash' };
+
+                const { deletedAt, ...restored } = attendance[idx];
+                attendance[idx] = record = restored;
+                fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(attendance, ['name']), null, 2));
+            }
+
+            this.logger?.info('attendance', `Attendance record restored from trash: ${recordId}`, 'admin');
+            this.recordAudit({
+                action: 'attendance.restore',
+                entityType: 'attendance',
+                entityId: recordId,
+                after: record,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            return { success: true, record };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permanently delete a trashed attendance record
+     * @param {number} recordId
+     * @param {Object} [audit] - { actor, actorName, reason } for the audit log (default: admin)
+     * @returns {Object} { success, error? }
+     */
+    purgeAttendanceRecord(recordId, audit = {}) {
+        try {
+            const attendance = this.getAttendance({ includeDeleted: true });
+            const trashed = attendance.find(r => r.id === recordId && r.deletedAt);
+            if (!trashed) return { success: false, error: 'Record not found in trash' };
+
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.purgeAttendanceRecord(recordId);
+                if (!result.success) return result;
+                this.exportAttendanceToJson();
+            } else {
+                const remaining = attendance.filter(r => r !== trashed);
+                fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(remaining, ['name']), null, 2));
+            }
+
+            this.logger?.info('attendance', `Attendance record permanently deleted: ${recordId}`, 'admin');
+            this.recordAudit({
+                action: 'attendance.purge',
+                entityType: 'attendance',
+                entityId: recordId,
+                before: trashed,
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== AUDIT LOG ====================
+
+    /**
+     * Look up one student without the authorization (active) filter
+     * @param {string} ufid
+     * @returns {Object|null}
+     */
+    findStudent(ufid) {
+        if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+            return this.dbManager.getStudentByUfid(ufid);
+        }
+        return this.getStudents().find(s => s.ufid === ufid) || null;
+    }
+
+    /**
+     * Append an entry to the audit log. Never throws: a failed audit write is
+     * logged but must not undo or block the change it describes.
+     * @param {Object} change - { action, entityType, entityId, before, after, actor, actorName, reason }
+     * @returns {Object|null} The stored entry
+     */
+    recordAudit(change) {
+        try {
+            const entry = auditTrail.createAuditEntry(change);
+            this.appendAuditEntry(entry);
+            return entry;
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('audit', `Failed to record ${change.action} for ${change.entityId}: ${error.message}`, 'system');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store an already-built entry (skipped if its uid is already logged)
+     * @param {Object} entry
+     * @returns {boolean} True if the entry was new
+     */
+    appendAuditEntry(entry) {
+        if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+            const result = this.dbManager.addAuditEntry(entry);
+            if (!result.success) throw new Error(result.error);
+            return result.inserted;
+        }
+
+        if (this.readAuditFile().some(e => e.uid === entry.uid)) return false;
+        fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n');
+        return true;
+    }
+
+    readAuditFile() {
+        if (!fs.existsSync(this.auditFile)) return [];
+        return fs.readFileSync(this.auditFile, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Get audit entries, newest first
+     * @param {Object} filters - { actor, entityType, action, entityId, search, offset, limit } plus either
+     *                           startDate/endDate ('YYYY-MM-DD' lab days, inclusive) or start/end (ISO)
+     * @returns {Object} { entries, totalCount }
+     */
+    getAuditLog(filters = {}) {
+        try {
+            const timeZone = this.getTimezone();
+            const { startDate, endDate, ...rest } = filters;
+            filters = { ...rest };
+            if (closureCalendar.isValidYmd(startDate)) {
+                filters.start = zone.parseDay(startDate, timeZone).toISOString();
+            }
+            if (closureCalendar.isValidYmd(endDate)) {
+                filters.end = zone.parseDay(closureCalendar.addDaysYmd(endDate, 1), timeZone).toISOString();
+            }
+
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                return this.dbManager.getAuditLog(filters);
+            }
+            return auditTrail.filterAuditEntries(this.readAuditFile(), filters);
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('audit', `Error reading audit log: ${error.message}`, 'admin');
+            }
+            return { entries: [], totalCount: 0 };
+        }
+    }
+
+    /**
+     * Import entries recorded elsewhere (web admin) into the local log
+     * @param {Array} entries - Entries that already carry a uid
+     * @returns {Object} { success, imported }
+     */
+    importAuditEntries(entries = []) {
+        let imported = 0;
+        try {
+            for (const raw of entries) {
+                if (!raw || !raw.uid) continue;
+                if (this.appendAuditEntry(auditTrail.createAuditEntry(raw))) imported++;
+            }
+            if (imported > 0 && this.logger) {
+                this.logger.info('audit', `Imported ${imported} audit entries from the web dashboard`, 'system');
+            }
+            return { success: true, imported };
+        } catch (error) {
+            return { success: false, imported, error: error.message };
+        }
+    }
+
+    /**
+     * Export the filtered audit log as CSV
+     * @param {Object} filters - Same as getAuditLog (offset/limit ignored)
+     * @returns {string}
+     */
+    exportAuditCsv(filters = {}) {
+        const { entries } = this.getAuditLog({ ...filters, offset: 0, limit: null });
+        return auditTrail.auditEntriesToCsv(entries);
+    }
+
+    /**
+     * Bucket the sessions that overlap a calendar day by student.
+     * Sessions that cross midnight appear on every day they touch; callers
+     * clip them to the day with clipSession().
+     * @param {Date|string} day - Any time on the target day
+     * @param {Function} nameOf - ufid -> display name
+     * @returns {Map<string, {ufid, name, sessions}>}
+     */
+    groupSessionsByStudent(day, nameOf) {
+        const { dayStart, dayEnd } = this.getDayWindow(day);
+
+        const byStudent = new Map();
+        for (const s of this.getSessions(dayStart, dayEnd)) {
+            if (!byStudent.has(s.ufid)) {
+                byStudent.set(s.ufid, { ufid: s.ufid, name: nameOf(s.ufid), sessions: [] });
+            }
+            byStudent.get(s.ufid).sessions.push(s);
+        }
+        return byStudent;
+    }
+
+    /**
+     * Hybrid policy:
+     * - If a student never logs out -> treat sign-out as 5:00 PM for the *daily summary* (no record is written)
+     * - If they do log out after 5 PM -> respect their actual sign-out (no cap)
+     * Pass options.closeOpenAtHour = 17 to cap, or options.autoWriteSignOutAtHour = 17 to also persist a synthetic row.
+     */
+    computeDailySummary(dateLike, options = {}) {
+        const {
+            closeOpenAtHour = 17,
+            autoWriteSignOutAtHour = null,
+            // NEW: hybrid policy options (optional)
+            autoPolicy = null // { cutoffHour: 17, eodHour: 23, eodMinute: 59, after5Minutes: 60 }
+        } = options;
+
+        const students = this.getStudents();
+        const nameOf = (ufid) => (students.find(s => s.ufid === ufid)?.name || 'Unknown');
+
+        // mk cutoff ISO for this calendar day (in the lab timezone)
+        const { dayStart, nextDayStart, timeZone } = this.getDayWindow(dateLike);
+        const cutoffISO = (h, m = 0) => zone.atTimeOfDay(dayStart, h, m, timeZone).toISOString();
+        const now = new Date();
+
+        // closure days mark no-shows "Closed" instead of absent
+        const closure = this.getClosureForDate(dayStart);
+
+        // bucket the sessions touching this day per student
+        const byStudent = this.groupSessionsByStudent(dayStart, nameOf);
+
+        const summaries = [];
+
+        for (const [, entry] of byStudent) {
+            const sessions = [];
+            let open = null;
+
+            for (const s of entry.sessions) {
+                if (s.out) {
+                    // only the part of the session that falls on this day counts here
+                    const part = clipSession(s, dayStart, nextDayStart);
+                    if (!part) continue;
+                    sessions.push({
+                        in: part.in,
+                        out: part.out,
+                        closed: true,
+                        ...((part.startsBefore || part.endsAfter) ? { crossesMidnight: true } : {}),
+                        ...(s.source === 'correction' ? { correction: true } : {})
+                    });
+                } else if (new Date(s.in) >= dayStart) {
+                    // open sessions carried over from an earlier day belong to that day's policy
+                    open = s;
+                }
+            }
+
+            let autoclosed = false;
+
+            // handle one remaining open session (no signout that day)
+            // never auto-write a sign-out for a late session that may still be running past midnight
+            const mayRunOvernight = open && this.isWithinOvernightGrace(open, now);
+            if (open && mayRunOvernight && (autoPolicy || autoWriteSignOutAtHour != null)) {
+                sessions.push({ in: open.in, out: null, closed: false });
+            } else if (open) {
+                // --- NEW HYBRID BEHAVIOR ---
+                if (autoPolicy) {
+                    const cutoff = new Date(cutoffISO(autoPolicy.cutoffHour ?? 17, 0)); // 5:00 PM default
+                    const eod = new Date(cutoffISO(autoPolicy.eodHour ?? 23, autoPolicy.eodMinute ?? 59)); // 11:59 PM default
+                    const openedAt = new Date(open.in);
+
+                    let effectiveOut;
+                    if (openedAt < cutoff) {
+                        // signed in before 5 PM -> synthetic out at 5 PM
+                        effectiveOut = cutoff;
                     } else {
                         // signed in at/after 5 PM -> synthetic out at min(open + after5Minutes, eod)
                         const afterMins = (autoPolicy.after5Minutes ?? 60);
@@ -1821,13 +3521,13 @@ class DataManager {
                     // Use SQLite-first pattern via addAttendanceRecord
                     this.addAttendanceRecord(syntheticOut);
 
-                    sessions.push({ in: open.timestamp, out: syntheticOut.timestamp, closed: true, syntheticOut: true });
+                    sessions.push({ in: open.in, out: syntheticOut.timestamp, closed: true, syntheticOut: true });
                     autoclosed = true;
 
                 } else if (autoWriteSignOutAtHour != null) {
                     // existing behavior (single cutoff hour)
                     const cutoff = new Date(cutoffISO(autoWriteSignOutAtHour));
-                    const openedAt = new Date(open.timestamp);
+                    const openedAt = new Date(open.in);
                     const effectiveOut = (openedAt > cutoff ? openedAt : cutoff).toISOString(); // small safety
 
                     const syntheticOut = {
@@ -1842,18 +3542,18 @@ class DataManager {
                     // Use SQLite-first pattern via addAttendanceRecord
                     this.addAttendanceRecord(syntheticOut);
 
-                    sessions.push({ in: open.timestamp, out: syntheticOut.timestamp, closed: true, syntheticOut: true });
+                    sessions.push({ in: open.in, out: syntheticOut.timestamp, closed: true, syntheticOut: true });
                     autoclosed = true;
 
                 } else if (closeOpenAtHour != null) {
                     // existing cap-only mode (no write)
                     const cutoff = new Date(cutoffISO(closeOpenAtHour));
-                    const openedAt = new Date(open.timestamp);
+                    const openedAt = new Date(open.in);
                     const effectiveOut = (openedAt > cutoff ? openedAt : cutoff).toISOString();
 
-                    sessions.push({ in: open.timestamp, out: effectiveOut, closed: false, cappedAtHour: closeOpenAtHour });
+                    sessions.push({ in: open.in, out: effectiveOut, closed: false, cappedAtHour: closeOpenAtHour });
                 } else {
-                    sessions.push({ in: open.timestamp, out: null, closed: false });
+                    sessions.push({ in: open.in, out: null, closed: false });
                 }
             }
 
@@ -1875,7 +3575,8 @@ class DataManager {
                 totalMinutes: Math.round(totalMin),
                 totalHours,
                 autoclosed,
-                absent: totalMin === 0 // mark absent if no minutes today
+                absent: totalMin === 0 && !closure, // mark absent if no minutes today
+                closed: totalMin === 0 && !!closure
             });
         }
 
@@ -1889,15 +3590,16 @@ class DataManager {
                     totalMinutes: 0,
                     totalHours: 0,
                     autoclosed: false,
-                    absent: true
+                    absent: !closure,
+                    closed: !!closure
                 });
             }
         }
 
         summaries.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-        const dateOnly = new Date(day.getFullYear(), day.getMonth(), day.getDate()).toISOString();
+        const dateOnly = dayStart.toISOString();
 
-        return { date: dateOnly, summaries };
+        return { date: dateOnly, summaries, closure };
     }
 
     computeHoursWorkedToday(dateLike) {
@@ -1909,28 +3611,14 @@ class DataManager {
         const closeOpenAtHour = null;
         // } = options;
 
-        const records = this.getAttendanceForDate(dateLike)
-            .slice()
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
         const students = this.getStudents();
         const nameOf = (ufid) => (students.find(s => s.ufid === ufid)?.name || 'Unknown');
 
-        // Bucket events by student
-        const byStudent = new Map();
-        for (const r of records) {
-            if (!byStudent.has(r.ufid)) {
-                byStudent.set(r.ufid, { ufid: r.ufid, name: nameOf(r.ufid), events: [] });
-            }
-            byStudent.get(r.ufid).events.push(r);
-        }
-
-        // Day boundaries/cutoffs (same day as dateLike)
-        const day = new Date(dateLike);
-        const startOfDay = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, 0, 0, 0);
-        const endOfDay = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999);
+        // Day boundaries/cutoffs (same day as dateLike, in the lab timezone)
+        const { dayStart: startOfDay, dayEnd: endOfDay, nextDayStart, timeZone } = this.getDayWindow(dateLike);
+        const byStudent = this.groupSessionsByStudent(startOfDay, nameOf);
 
-        const cutoffAtHour = (h) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, 0, 0, 0);
+        const cutoffAtHour = (h) => zone.atTimeOfDay(startOfDay, h, 0, timeZone);
 
         // "Now" should not exceed end of the target day
         let effectiveNow = new Date(now);
@@ -1943,25 +3631,20 @@ class DataManager {
         const summaries = [];
 
         for (const [, entry] of byStudent) {
-            const evs = entry.events;
-
             const sessions = [];
             let open = null;
 
-            // Pair sessions in order (same as your daily summary logic)
-            for (const ev of evs) {
-                if (ev.action === 'signin') {
-                    // double signin replaces open start
-                    open = ev;
-                } else if (ev.action === 'signout') {
-                    if (open) {
-                        sessions.push({ in: open.timestamp, out: ev.timestamp, closed: true });
-                        open = null;
-                    }
+            for (const s of entry.sessions) {
+                if (s.out) {
+                    const part = clipSession(s, startOfDay, nextDayStart);
+                    if (part) sessions.push({ in: part.in, out: part.out, closed: true });
+                } else {
+                    open = s;
                 }
             }
 
             // If still signed in, count until current time (optionally capped)
+            // A session carried over from yesterday counts from midnight
             if (open) {
                 let out = effectiveNow;
 
@@ -1971,10 +3654,10 @@ class DataManager {
                 }
 
                 // Prevent negative durations if something weird happens
-                const openedAt = new Date(open.timestamp);
+                const openedAt = new Date(open.in) > startOfDay ? new Date(open.in) : startOfDay;
                 if (out < openedAt) out = openedAt;
 
-                sessions.push({ in: open.timestamp, out: out.toISOString(), closed: false, running: true });
+                sessions.push({ in: openedAt.toISOString(), out: out.toISOString(), closed: false, running: true });
             }
 
             // Sum minutes across sessions
@@ -2017,7 +3700,7 @@ class DataManager {
         const totalMinutesAll = summaries.reduce((acc, x) => acc + (x.totalMinutes || 0), 0);
         const totalHoursAll = Math.round((totalMinutesAll / 60) * 100) / 100;
 
-        const dateOnly = new Date(day.getFullYear(), day.getMonth(), day.getDate()).toISOString();
+        const dateOnly = startOfDay.toISOString();
 
         return {
             date: dateOnly,
@@ -2035,31 +3718,27 @@ class DataManager {
         if (!student) return { error: 'Student not found' };
 
         const now = new Date();
-
-        // Monday of current week (local time)
-        const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-        const dow = weekStart.getDay(); // 0=Sun
-        weekStart.setDate(weekStart.getDate() - (dow === 0 ? 6 : dow - 1));
-
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-
-        const records = this.dbManager.getStudentAttendanceForRange(ufid, weekStart, now);
-
-        const pairSessions = (evs, effectiveNow) => {
-            const sessions = [];
-            let open = null;
-            for (const ev of evs) {
-                if (ev.action === 'signin') {
-                    open = ev;
-                } else if (ev.action === 'signout' && open) {
-                    sessions.push({ in: open.timestamp, out: ev.timestamp, running: false });
-                    open = null;
+        const timeZone = this.getTimezone();
+
+        // Monday of current week (lab timezone)
+        const weekStart = zone.startOfWeek(now, timeZone);
+
+        const studentSessions = this.getSessions(weekStart, now, { ufid });
+
+        // Split sessions at midnight so each day only shows its own part
+        const sessionsForDay = (dayStart, dayEnd, effectiveNow) => {
+            const nextDayStart = new Date(dayEnd.getTime() + 1);
+            const daySessions = [];
+            for (const s of studentSessions) {
+                if (s.out) {
+                    const part = clipSession(s, dayStart, nextDayStart);
+                    if (part) daySessions.push({ in: part.in, out: part.out, running: false });
+                } else if (new Date(s.in) <= dayEnd) {
+                    const from = new Date(s.in) > dayStart ? new Date(s.in) : dayStart;
+                    daySessions.push({ in: from.toISOString(), out: effectiveNow.toISOString(), running: true });
                 }
             }
-            if (open) {
-                sessions.push({ in: open.timestamp, out: effectiveNow.toISOString(), running: true });
-            }
-            return sessions;
+            return daySessions;
         };
 
         const sumMinutes = (sessions) =>
@@ -2069,19 +3748,14 @@ class DataManager {
         const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
         const weekDays = [];
         for (let i = 0; i < 7; i++) {
-            const dayStart = new Date(weekStart);
-            dayStart.setDate(weekStart.getDate() + i);
+            const dayStart = zone.startOfDay(weekStart, timeZone, i);
             if (dayStart > now) break;
-            const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate(), 23, 59, 59, 999);
+            const dayEnd = zone.endOfDay(dayStart, timeZone);
             const effectiveEnd = dayEnd > now ? now : dayEnd;
-            const dayRecs = records.filter(r => {
-                const t = new Date(r.timestamp);
-                return t >= dayStart && t <= dayEnd;
-            });
-            const daySessions = pairSessions(dayRecs, effectiveEnd);
+            const daySessions = sessionsForDay(dayStart, dayEnd, effectiveEnd);
             const dayMinutes = Math.round(sumMinutes(daySessions));
             weekDays.push({
-                label: DAY_LABELS[dayStart.getDay()],
+                label: DAY_LABELS[zone.getZonedParts(dayStart, timeZone).weekday],
                 date: dayStart.toISOString(),
                 minutes: dayMinutes,
                 sessions: daySessions
@@ -2125,7 +3799,9 @@ class DataManager {
 
             summaries.forEach(s => {
                 let notes = '';
-                if (s.absent || s.totalMinutes === 0) {
+                if (s.closed) {
+                    notes = 'Closed'; // Lab closure, not an absence
+                } else if (s.absent || s.totalMinutes === 0) {
                     notes = 'A'; // Absent marker
                 } else if (s.sessions.some(x => !x.closed)) {
                     notes = 'Open session';
@@ -2135,7 +3811,7 @@ class DataManager {
 
                 const sessionStr = s.sessions.map(x => {
                     if (!x.out) return `${x.in} → (open)`;
-                    return `${x.in} → ${x.out}${x.syntheticOut ? ' [auto]' : ''}`;
+                    return `${x.in} → ${x.out}${x.syntheticOut ? ' [auto]' : ''}${x.correction ? ' [correction]' : ''}${x.crossesMidnight ? ' [overnight]' : ''}`;
                 }).join(' | ');
 
                 rows.push([
@@ -2152,11 +3828,8 @@ class DataManager {
             const reportsDir = path.join(this.dataDir, 'reports');
             if (!fs.existsSync(reportsDir)) fs.mkdirSync(reportsDir, { recursive: true });
 
-            const d = new Date(dateLike);
-            const yyyy = d.getFullYear();
-            const mm = String(d.getMonth() + 1).padStart(2, '0');
-            const dd = String(d.getDate()).padStart(2, '0');
-            const filePath = path.join(reportsDir, `daily-${yyyy}-${mm}-${dd}.csv`);
+            const { dayStart, timeZone } = this.getDayWindow(dateLike);
+            const filePath = path.join(reportsDir, `daily-${zone.formatYmd(dayStart, timeZone)}.csv`);
             fs.writeFileSync(filePath, csv);
 
             if (this.logger) this.logger.info('report', `Daily summary saved: ${path.basename(filePath)}`, 'admin');
@@ -2179,7 +3852,7 @@ class DataManager {
             }
 
             // Fallback: JSON-only mode
-            const attendance = this.getAttendance(); // decrypted array
+            const attendance = this.getAttendance({ includeDeleted: true }); // decrypted array
             const sorted = attendance.slice().sort((a, b) => {
                 const ta = new Date(a.timestamp).getTime() || 0;
                 const tb = new Date(b.timestamp).getTime() || 0;
@@ -2208,9 +3881,10 @@ class DataManager {
 
             const attendance = this.getAttendance();
             const students = this.getStudents();
-            const today = new Date().toDateString();
+            const timeZone = this.getTimezone();
+            const today = zone.formatYmd(new Date(), timeZone);
             const todayAttendance = attendance.filter(record =>
-                new Date(record.timestamp).toDateString() === today
+                zone.formatYmd(record.timestamp, timeZone) === today
             );
 
             const signIns = todayAttendance.filter(r => r.action === 'signin').length;
@@ -2238,16 +3912,29 @@ class DataManager {
         }
     }
 
-    getEnhancedStats() {
+    /**
+     * Dashboard statistics, optionally for one location
+     * @param {Object} [options] - { locationId } (students of that location,
+     *   attendance taken there, people whose open session started there)
+     * @returns {Object} Stats
+     */
+    getEnhancedStats(options = {}) {
+        const { locationId = null } = options;
         try {
             if (this.logger) {
                 this.logger.info('stats', 'Generating enhanced statistics', 'admin');
             }
 
-            const attendance = this.getAttendance();
-            const students = this.getStudents();
-            const currentlySignedIn = this.getCurrentlySignedIn();
-            const todaysAttendance = this.getTodaysAttendance();
+            const attendance = this.getAttendance().filter(r => labLocations.atLocation(r, locationId));
+            const students = this.getStudents().filter(s => labLocations.belongsToLocation(s, locationId));
+            const todaysAttendance = this.getTodaysAttendance().filter(r => labLocations.atLocation(r, locationId));
+            let currentlySignedIn = this.getCurrentlySignedIn();
+            if (locationId) {
+                const presentHere = new Set(this.getSessions(null, new Date(), { locationId })
+                    .filter(s => !s.out)
+                    .map(s => s.ufid));
+                currentlySignedIn = currentlySignedIn.filter(s => presentHere.has(s.ufid));
+            }
 
             const signIns = todaysAttendance.filter(r => r.action === 'signin').length;
             const signOuts = todaysAttendance.filter(r => r.action === 'signout').length;
@@ -2305,82 +3992,98 @@ class DataManager {
         }
     }
 
-    generateWeeklyReport() {
+    /**
+     * Weekly report for the Monday-Sunday lab week containing `weekOf`
+     * Students are included for the weeks they were members; expectations
+     * are prorated to their membership days and closures.
+     * @param {Date|string} [weekOf] - Any moment in the week (default: now)
+     * @param {Object} [options] - { locationId } to report one location: its
+     *   students, and only the hours and records taken there
+     * @returns {Object|null} Report data
+     */
+    generateWeeklyReport(weekOf = new Date(), options = {}) {
+        const { locationId = null } = options;
         try {
             if (this.logger) {
                 this.logger.info('report', 'Generating weekly report data', 'admin');
             }
 
-            // ---------- Helpers (local, consistent with UI-like week logic) ----------
-            const startOfWeek = (d) => {
-                const x = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-                const day = (x.getDay() + 6) % 7; // Monday = 0
-                x.setDate(x.getDate() - day);
-                x.setHours(0, 0, 0, 0);
-                return x;
-            };
-
-            const addDays = (d, n) => {
-                const x = new Date(d);
-                x.setDate(x.getDate() + n);
-                return x;
-            };
-
-            const startOfDayLocal = (d) => {
-                const x = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-                x.setHours(0, 0, 0, 0);
-                return x;
-            };
+            // ---------- Helpers (lab timezone, consistent with UI-like week logic) ----------
+            const timeZone = this.getTimezone();
 
-            // Pair signins->signouts within ONE DAY for ONE STUDENT
-            // Ignores extra signins/signouts safely.
-            const computeTotalHoursFromEvents = (events) => {
-                const sorted = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            // Closed session hours falling inside [dayStart, dayEnd) — sessions
+            // that cross midnight contribute to each day they cover
+            const computeTotalHoursFromSessions = (sessions, dayStart, dayEnd) => {
                 let totalMs = 0;
-                let openIn = null;
-
-                for (const e of sorted) {
-                    const t = new Date(e.timestamp);
-                    if (Number.isNaN(t.getTime())) continue;
-
-                    if (e.action === 'signin') {
-                        if (!openIn) openIn = t; // keep first open signin
-                    } else if (e.action === 'signout') {
-                        if (openIn && t > openIn) {
-                            totalMs += (t - openIn);
-                        }
-                        openIn = null; // close even if invalid ordering
-                    }
+                for (const s of sessions) {
+                    const part = clipSession(s, dayStart, dayEnd);
+                    if (part) totalMs += new Date(part.out) - new Date(part.in);
                 }
-
                 return totalMs / (1000 * 60 * 60);
             };
 
             // ---------- Define week range: Mon 00:00 → next Mon 00:00 ----------
             const now = new Date();
-            const weekStart = startOfWeek(now);
-            const weekEndExclusive = startOfDayLocal(addDays(weekStart, 7)); // next Monday 00:00
+            const weekStart = zone.startOfWeek(new Date(weekOf), timeZone);
+            const weekEndExclusive = zone.startOfDay(weekStart, timeZone, 7); // next Monday 00:00
 
             // Return metadata: startDate/endDate (inclusive-ish) like before
             const startDate = new Date(weekStart);
             const endDate = new Date(weekEndExclusive);
 
             // Fetch attendance for that exact week
-            const weeklyAttendance = this.getAttendanceByDateRange(startDate, endDate);
+            const weeklyAttendance = this.getAttendanceByDateRange(startDate, endDate)
+                .filter(r => labLocations.atLocation(r, locationId));
 
-            // Students (ensure getStudents() already normalizes role/expected fields)
-            const students = this.getStudents();
+            const weeklySessions = this.getSessions(startDate, endDate, { locationId });
+            const location = locationId ? (this.getLocations().find(l => l.id === locationId) || { id: locationId, name: locationId }) : null;
+
+            // Closures this week prorate expected hours (Mon-Fri are working days)
+            const closures = this.getClosures(
+                zone.formatYmd(weekStart, timeZone),
+                zone.formatYmd(zone.startOfDay(weekStart, timeZone, 6), timeZone)
+            );
+            const closedWeekdays = closureCalendar.countClosedWeekdays(closures);
+            const closedDates = new Set(closures.map(c => c.date));
+            const weekStartYmd = zone.formatYmd(weekStart, timeZone);
+            const weekEndYmd = closureCalendar.addDaysYmd(weekStartYmd, 6);
+
+            // Students who were members at some point this week, alumni included
+            // (ensure getStudents() already normalizes role/expected fields)
+            const students = this.getStudents()
+                .filter(student => membership.overlapsRange(student, weekStartYmd, weekEndYmd))
+                .filter(student => labLocations.belongsToLocation(student, locationId));
+
+            // The term this week falls in sets the expectations (student override > role default > student record)
+            const term = termCalendar.findTerm(this.getTerms(), weekStartYmd, weekEndYmd);
+            const termOverrides = term ? this.getStudentTermExpectations(term.id) : [];
 
             // ---------- Initialize reports ----------
             const studentReports = {};
             students.forEach(student => {
+                const expectation = termCalendar.expectationsFor(student, term, termOverrides);
+                // Weekdays the student was expected in: member, not on leave, lab open
+                const expectedWeekdays = membership.countExpectedWeekdays(student, weekStartYmd, weekEndYmd, closedDates);
                 studentReports[student.ufid] = {
                     name: student.name,
                     email: student.email,
 
                     role: (student.role || 'volunteer').toLowerCase(),
-                    expectedHoursPerWeek: Number(student.expectedHoursPerWeek ?? 0),
-                    expectedDaysPerWeek: Number(student.expectedDaysPerWeek ?? 0),
+                    status: student.status,
+                    startDate: student.startDate,
+                    endDate: student.endDate,
+                    expectedHoursPerWeek: closureCalendar.prorateExpectedHours(expectation.expectedHoursPerWeek, 5 - expectedWeekdays),
+                    expectedDaysPerWeek: Math.min(expectation.expectedDaysPerWeek, expectedWeekdays),
+                    fullWeekExpectedHours: expectation.expectedHoursPerWeek,
+                    fullWeekExpectedDays: expectation.expectedDaysPerWeek,
+                    expectationSource: expectation.source,
+
+                    // recurring shift commitments vs. what happened this week
+                    shiftResults: [],
+                    scheduledHours: 0,
+                    shiftHoursAttended: 0,
+                    noShows: 0,
+                    lateArrivals: 0,
 
                     signIns: 0,
                     signOuts: 0,
@@ -2406,26 +4109,22 @@ class DataManager {
             });
 
             // ---------- Compute hours/day-attended by summing daily totals ----------
-            // Build list of 7 local day windows (Mon..Sun)
-            const days = Array.from({ length: 7 }, (_, i) => startOfDayLocal(addDays(weekStart, i)));
+            // Build list of 7 day windows in the lab timezone (Mon..Sun)
+            const days = Array.from({ length: 7 }, (_, i) => zone.startOfDay(weekStart, timeZone, i));
 
             Object.keys(studentReports).forEach(ufid => {
                 const rep = studentReports[ufid];
-                if (!rep.sessions.length) return;
+                const studentSessions = weeklySessions.filter(s => s.ufid === ufid);
+                if (!rep.sessions.length && !studentSessions.length) return;
 
                 let weekHours = 0;
                 let daysAttended = 0;
 
-                // For each day, filter that student's events into the day's window
+                // For each day, total the part of each session inside the day's window
                 for (const dayStart of days) {
-                    const dayEnd = startOfDayLocal(addDays(dayStart, 1));
-
-                    const dayEvents = rep.sessions.filter(r => {
-                        const t = new Date(r.timestamp);
-                        return !Number.isNaN(t.getTime()) && t >= dayStart && t < dayEnd;
-                    });
+                    const dayEnd = zone.startOfDay(dayStart, timeZone, 1);
 
-                    const dailyHours = computeTotalHoursFromEvents(dayEvents);
+                    const dailyHours = computeTotalHoursFromSessions(studentSessions, dayStart, dayEnd);
 
                     weekHours += dailyHours;
                     if (dailyHours > 0) daysAttended += 1; // non-zero days only (no strict threshold)
@@ -2435,6 +4134,38 @@ class DataManager {
                 rep.daysAttended = daysAttended;
             });
 
+            // ---------- Scheduled shifts vs. actual ----------
+            students.forEach(student => {
+                const rep = studentReports[student.ufid];
+                if (!rep || !student.shifts || !student.shifts.length) return;
+                if (student.status === membership.STUDENT_STATUSES.ON_LEAVE) return;
+                const studentSessions = weeklySessions.filter(s => s.ufid === student.ufid);
+
+                for (const dayStart of days) {
+                    const date = zone.formatYmd(dayStart, timeZone);
+                    const weekday = zone.getZonedParts(dayStart, timeZone).weekday;
+                    if (!membership.isMemberOn(student, date)) continue;
+
+                    for (const shift of student.shifts.filter(sh => sh.day === weekday)) {
+                        const scheduledHours = shiftSchedule.shiftHours(shift);
+                        const result = closedDates.has(date)
+                            ? { status: 'closed', arrivedAt: null, minutesLate: null, attendedHours: 0 }
+                            : shiftSchedule.evaluateShift(shiftSchedule.shiftWindow(shift, dayStart, timeZone), studentSessions, now);
+
+                        rep.shiftResults.push({ ...shift, date, label: shiftSchedule.formatShift(shift), scheduledHours, ...result });
+                        if (result.status === 'closed') continue;
+
+                        rep.scheduledHours += scheduledHours;
+                        rep.shiftHoursAttended += result.attendedHours;
+                        if (result.status === 'no_show') rep.noShows++;
+                        if (result.status === 'late') rep.lateArrivals++;
+                    }
+                }
+
+                rep.scheduledHours = Math.round(rep.scheduledHours * 100) / 100;
+                rep.shiftHoursAttended = Math.round(rep.shiftHoursAttended * 100) / 100;
+            });
+
             // Students with activity: any signins OR any hours
             const activeStudents = Object.values(studentReports)
                 .filter(s => (s.signIns > 0) || (s.totalHours > 0))
@@ -2453,6 +4184,10 @@ class DataManager {
                 endDate: endDate.toISOString(),
                 totalRecords: weeklyAttendance.length,
                 studentsWithActivity: activeStudents,
+                term: term ? { id: term.id, name: term.name } : null,
+                location: location ? { id: location.id, name: location.name } : null,
+                closures,
+                closedWeekdays,
                 studentReports: studentReports,
                 rawAttendance: weeklyAttendance
             };
@@ -2471,20 +4206,26 @@ class DataManager {
                 this.logger.info('report', 'Converting report data to CSV format', 'admin');
             }
 
-            const headers = ['UF ID', 'Name', 'Sign Ins', 'Sign Outs', 'Total Hours', 'Email'];
+            const headers = ['UF ID', 'Name', 'Sign Ins', 'Sign Outs', 'Total Hours', 'Email',
+                'Scheduled Hours', 'Shift Hours Attended', 'No-Shows', 'Late Arrivals', 'Status'];
             const rows = [headers];
 
             let activeRecords = 0;
             Object.keys(reportData.studentReports).forEach(ufid => {
                 const student = reportData.studentReports[ufid];
-                if (student.signIns > 0 || student.signOuts > 0) {
+                if (student.signIns > 0 || student.signOuts > 0 || student.scheduledHours > 0) {
                     rows.push([
                         ufid,
                         student.name,
                         student.signIns,
                         student.signOuts,
                         student.totalHours,
-                        student.email || ''
+                        student.email || '',
+                        student.scheduledHours || 0,
+                        student.shiftHoursAttended || 0,
+                        student.noShows || 0,
+                        student.lateArrivals || 0,
+                        membership.STATUS_LABELS[student.status] || ''
                     ]);
                     activeRecords++;
                 }
@@ -2503,13 +4244,18 @@ class DataManager {
         }
     }
 
-    saveWeeklyReportToFile() {
+    /**
+     * Write this week's report CSV to data/reports
+     * @param {Object} [options] - { locationId } for a single location's report
+     * @returns {Object} { success, filePath, reportData, csvContent }
+     */
+    saveWeeklyReportToFile(options = {}) {
         try {
             if (this.logger) {
                 this.logger.info('report', 'Saving weekly report to file', 'admin');
             }
 
-            const reportData = this.generateWeeklyReport();
+            const reportData = this.generateWeeklyReport(new Date(), options);
             if (!reportData) {
                 return { success: false, error: 'Failed to generate report data' };
             }
@@ -2524,7 +4270,8 @@ class DataManager {
                 }
             }
 
-            const fileName = `weekly-report-${new Date().toISOString().split('T')[0]}.csv`;
+            const suffix = reportData.location ? `-${reportData.location.id}` : '';
+            const fileName = `weekly-report${suffix}-${zone.formatYmd(new Date(), this.getTimezone())}.csv`;
             const filePath = path.join(reportsDir, fileName);
 
             fs.writeFileSync(filePath, csvContent);
@@ -2682,19 +4429,58 @@ class DataManager {
             fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
 
             if (this.logger) {
-                this.logger.info('config', 'Web sync configuration updated successfully', 'admin');
+                this.logger.info('config', 'Web sync configuration updated successfully', 'admin');
+            }
+
+            return { success: true };
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('config', `Error updating web sync config: ${error.message}`, 'admin');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+
+    /**
+     * Update lab name and timezone (config.timezone must be an IANA zone name)
+     * @param {Object} settings - { labName, timezone }
+     * @returns {Object} { success, timezoneChanged } or { success: false, error }
+     */
+    updateSystemSettings(settings = {}) {
+        try {
+            const config = this.getConfig();
+            const prevTimezone = config.timezone;
+
+            if (settings.timezone !== undefined && !zone.isValidTimeZone(settings.timezone)) {
+                return { success: false, error: `Unknown timezone: ${settings.timezone}` };
+            }
+
+            if (typeof settings.labName === 'string' && settings.labName.trim()) {
+                config.labName = settings.labName.trim();
+            }
+            if (settings.timezone !== undefined) {
+                config.timezone = settings.timezone;
+            }
+
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+
+            const timezoneChanged = config.timezone !== prevTimezone;
+            if (this.logger) {
+                this.logger.info('config', timezoneChanged
+                    ? `Lab timezone changed from ${prevTimezone} to ${config.timezone}`
+                    : 'System settings updated', 'admin');
             }
 
-            return { success: true };
+            return { success: true, timezoneChanged };
         } catch (error) {
             if (this.logger) {
-                this.logger.error('config', `Error updating web sync config: ${error.message}`, 'admin');
+                this.logger.error('config', `Error updating system settings: ${error.message}`, 'admin');
             }
             return { success: false, error: error.message };
         }
     }
 
-
     backupData() {
         try {
             if (this.logger) {
@@ -2702,8 +4488,8 @@ class DataManager {
             }
 
             const backupData = {
-                attendance: this.getAttendance(),
-                students: this.getStudents(),
+                attendance: this.getAttendance({ includeDeleted: true }),
+                students: this.getStudents({ includeDeleted: true }),
                 config: this.getConfig(),
                 backupDate: new Date().toISOString()
             };
@@ -2741,8 +4527,8 @@ class DataManager {
             }
 
             const backupData = {
-                attendance: this.getAttendance(),
-                students: this.getStudents(),
+                attendance: this.getAttendance({ includeDeleted: true }),
+                students: this.getStudents({ includeDeleted: true }),
                 config: this.getConfig(),
                 backupDate: new Date().toISOString(),
                 encrypted: true
@@ -2770,7 +4556,7 @@ class DataManager {
                 this.logger.info('backup', `Encrypted backup created successfully: ${path.basename(backupFile)}`, 'admin');
             }
 
-            return { success: true, backupFile, encrypted: true };
+            return { success: true, backupFile, encrypted: true, version: EncryptionService.FORMAT_VERSION };
         } catch (error) {
             if (this.logger) {
                 this.logger.error('backup', `Error creating encrypted backup: ${error.message}`, 'admin');
@@ -2779,6 +4565,619 @@ class DataManager {
         }
     }
 
+    /**
+     * Change the encryption password: re-encrypt the sensitive fields of the
+     * JSON files and attendance.db (with a fresh install salt) and every
+     * encrypted backup in data/backups (in the current format). Nothing is written unless every
+     * encrypted field opens with the current password; backups that do not
+     * (made with some other password) are left as they are and reported.
+     * @param {string} currentPassword
+     * @param {string} newPassword
+     * @param {Object} audit - { actorName, reason }
+     * @returns {Object} { success, students, attendance, backups, skipped: [{ file, error }] }
+     */
+    rotateEncryptionPassword(currentPassword, newPassword, audit = {}) {
+        try {
+            const config = this.getConfig();
+            if (!config.encryption?.enabled) return { success: false, error: 'Encryption is not enabled' };
+            if (!this.verifyEncryptionPassword(currentPassword)) {
+                return { success: false, error: 'Current encryption password is incorrect' };
+            }
+            if (!newPassword || String(newPassword).length < 8) {
+                return { success: false, error: 'New password must be at least 8 characters long' };
+            }
+            if (newPassword === currentPassword) {
+                return { success: false, error: 'New password must differ from the current one' };
+            }
+
+            this.logger?.info('encryption', 'Rotating encryption password', 'admin');
+
+            // Decrypt everything with the current password first
+            this.encryptionPassword = currentPassword;
+            this.encryptionEnabled = true;
+            const previousCodec = this.createFieldCodec();
+            const readJson = (file, fallback) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback);
+            const students = this.decryptSensitiveFields(readJson(this.studentsFile, []), ['name', 'email']);
+            const attendance = this.decryptSensitiveFields(readJson(this.attendanceFile, []), ['name']);
+            const syncState = this.readSyncState();
+
+            const stillEncrypted = [...students, ...attendance, ...(syncState ? [...syncState.students, ...syncState.attendance] : [])]
+                .filter(r => Object.keys(r).some(k => k.endsWith('_encrypted'))).length;
+            if (stillEncrypted) {
+                return { success: false, error: `${stillEncrypted} record(s) could not be decrypted with the current password; nothing was changed` };
+            }
+
+            const backupDir = path.join(this.dataDir, 'backups');
+            const backups = [];
+            const skipped = [];
+            const encryptedFiles = fs.existsSync(backupDir)
+                ? fs.readdirSync(backupDir).filter(name => /\.(enc|encrypted)$/.test(name))
+                : [];
+            encryptedFiles.forEach(name => {
+                const file = path.join(backupDir, name);
+                const result = this.encryptionService.reencrypt(fs.readFileSync(file, 'utf8'), currentPassword, newPassword);
+                if (result.success) backups.push({ file, content: result.data });
+                else skipped.push({ file: name, error: result.error });
+            });
+
+            // Switch to the new password and a new salt, then write everything back
+            config.encryption = {
+                ...config.encryption,
+                passwordHash: this.hashPassword(newPassword),
+                salt: this.encryptionService.generateSalt(),
+                iterations: EncryptionService.KDF_ITERATIONS,
+                lastUpdated: new Date().toISOString(),
+                lastRotated: new Date().toISOString()
+            };
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            this.encryptionPassword = newPassword;
+
+            fs.writeFileSync(this.studentsFile, JSON.stringify(this.encryptSensitiveFields(students, ['name', 'email']), null, 2));
+            fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(attendance, ['name']), null, 2));
+            if (syncState) this.saveSyncState(syncState);
+            backups.forEach(b => fs.writeFileSync(b.file, b.content));
+            this.sealEncryptionPassword();
+            this.applyDatabaseEncryption(previousCodec);
+
+            this.recordAudit({
+                action: 'encryption.rotate',
+                entityType: 'config',
+                entityId: 'encryption',
+                after: { students: students.length, attendance: attendance.length, backups: backups.length, skipped: skipped.length },
+                actor: AUDIT_ACTORS.ADMIN,
+                ...audit
+            });
+            this.logger?.info('encryption',
+                `Encryption password rotated (${backups.length} backup(s) re-encrypted, ${skipped.length} skipped)`, 'admin');
+
+            return { success: true, students: students.length, attendance: attendance.length, backups: backups.length, skipped };
+        } catch (error) {
+            this.logger?.error('encryption', `Encryption password rotation failed: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Pick the storage provider for backups and sync and save its settings.
+     * Picking one other than Dropbox turns backups and sync on, as saving
+     * Dropbox credentials does.
+     * @param {Object} storage - { provider, local, s3, webdav } (blocks are merged)
+     * @returns {Object} { success, storage }
+     */
+    updateStorageConfig(storage = {}) {
+        try {
+            if (storage.provider !== undefined && !PROVIDERS.includes(storage.provider)) {
+                return { success: false, error: `Unknown storage provider: ${storage.provider}` };
+            }
+            const config = this.getConfig();
+            const prev = config.storage;
+            config.storage = normalizeStorageConfig({
+                provider: storage.provider ?? prev.provider,
+                local: { ...prev.local, ...storage.local },
+                s3: { ...prev.s3, ...storage.s3 },
+                webdav: { ...prev.webdav, ...storage.webdav }
+            });
+            if (config.storage.provider !== 'dropbox') config.dropbox.enabled = true;
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            this.logger?.info('config', `Storage provider set to ${config.storage.provider}`, 'admin');
+            return { success: true, storage: config.storage };
+        } catch (error) {
+            this.logger?.error('config', `Error updating storage config: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save the backup retention policy (see backupRetention.js)
+     * @param {Object} policy - { enabled, daily, weekly, monthly }
+     * @returns {Object} { success, backupRetention }
+     */
+    updateBackupRetention(policy = {}) {
+        try {
+            const config = this.getConfig();
+            config.backupRetention = backupRetention.normalizePolicy({ ...config.backupRetention, ...policy });
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            this.logger?.info('config', `Backup retention set to ${config.backupRetention.daily} daily, `
+                + `${config.backupRetention.weekly} weekly, ${config.backupRetention.monthly} monthly `
+                + `(${config.backupRetention.enabled ? 'on' : 'off'})`, 'admin');
+            return { success: true, backupRetention: config.backupRetention };
+        } catch (error) {
+            this.logger?.error('config', `Error updating backup retention: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply the retention policy to data/backups
+     * @param {Object} [options] - { dryRun } true to only report what would go,
+     *   { olderThan } an ISO time to prune every backup taken before instead
+     * @returns {Object} { success, dryRun, kept, pruned: [names] }
+     */
+    pruneLocalBackups({ dryRun = false, olderThan = null } = {}) {
+        try {
+            const backupDir = path.join(this.dataDir, 'backups');
+            const files = (fs.existsSync(backupDir) ? fs.readdirSync(backupDir) : []).map(name => ({ name }));
+            const config = this.getConfig();
+            const plan = olderThan
+                ? backupRetention.planMaxAge(files, olderThan)
+                : backupRetention.planRetention(files, config.backupRetention, config.timezone);
+
+            if (!dryRun) {
+                plan.prune.forEach(b => fs.rmSync(path.join(backupDir, b.name), { force: true }));
+                if (plan.prune.length > 0) {
+                    this.logger?.info('backup', `Pruned ${plan.prune.length} local backups: ${plan.prune.map(b => b.name).join(', ')}`, 'system');
+                }
+            }
+            return { success: true, dryRun, kept: plan.keep.length, pruned: plan.prune.map(b => b.name) };
+        } catch (error) {
+            this.logger?.error('backup', `Error pruning local backups: ${error.message}`, 'system');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Read students and attendance out of a downloaded backup (see backupRestore.js)
+     * @param {string} filePath - Local copy of the backup
+     * @param {string} format - 'json', 'sqlite', 'students' or 'attendance'
+     * @returns {Promise<Object>} { success, students, attendance } (null for a part the backup lacks)
+     */
+    async readBackupFile(filePath, format) {
+        try {
+            if (format === 'sqlite') {
+                // Opened from a scratch copy: initialize() migrates the schema in place
+                const scratchDir = path.join(this.restoreCacheDir, 'open-db');
+                fs.rmSync(scratchDir, { recursive: true, force: true });
+                fs.mkdirSync(scratchDir, { recursive: true });
+                fs.copyFileSync(filePath, path.join(scratchDir, 'attendance.db'));
+                const db = new DatabaseManager({ dataDir: scratchDir });
+                try {
+                    if (!(await db.initialize())) return { success: false, error: 'Not a readable SQLite database' };
+                    return {
+                        success: true,
+                        students: db.getStudents({ includeDeleted: true }),
+                        attendance: db.getAttendance({ includeDeleted: true })
+                    };
+                } finally {
+                    db.close();
+                    fs.rmSync(scratchDir, { recursive: true, force: true });
+                }
+            }
+
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const students = format === 'json' ? data.students : (format === 'students' ? data : null);
+            const attendance = format === 'json' ? data.attendance : (format === 'attendance' ? data : null);
+            if ((students && !Array.isArray(students)) || (attendance && !Array.isArray(attendance)) || (!students && !attendance)) {
+                return { success: false, error: 'Not a students/attendance backup' };
+            }
+            return {
+                success: true,
+                students: students ? this.decryptSensitiveFields(students, ['name', 'email']) : null,
+                attendance: attendance ? this.decryptSensitiveFields(attendance, ['name']) : null
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Replace students and/or attendance with a backup's, after taking a safety
+     * backup of the current data. A part the backup lacks is kept as it is.
+     * @param {Object} snapshot - { students, attendance } (either may be null)
+     * @param {Object} audit - { actor, actorName, reason, source (backup name) }
+     * @returns {Promise<Object>} { success, students, attendance, safetyBackup }
+     */
+    async restoreSnapshot(snapshot, audit = {}) {
+        try {
+            const current = this.getSyncSnapshot();
+            const safety = this.backupData();
+            if (!safety.success) return { success: false, error: `Safety backup failed: ${safety.error}` };
+
+            const restored = {
+                students: snapshot.students || current.students,
+                attendance: snapshot.attendance || current.attendance
+            };
+            const applied = await this.applySyncedData(restored);
+            if (!applied.success) return applied;
+
+            const { source, ...who } = audit;
+            this.recordAudit({
+                action: 'data.restore',
+                entityType: 'data',
+                entityId: source || null,
+                before: { students: current.students.length, attendance: current.attendance.length },
+                after: { students: restored.students.length, attendance: restored.attendance.length },
+                actor: AUDIT_ACTORS.ADMIN,
+                ...who
+            });
+            this.logger?.info('backup',
+                `Restored ${source || 'backup'} (safety backup ${path.basename(safety.backupFile)})`, 'admin');
+
+            return {
+                success: true,
+                students: restored.students.length,
+                attendance: restored.attendance.length,
+                safetyBackup: safety.backupFile
+            };
+        } catch (error) {
+            this.logger?.error('backup', `Restore failed: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== DATA RETENTION AND ERASURE ====================
+    // How long each class of data is kept (see dataRetention.js), and the
+    // per-student "export my data" / "erase me" requests. This section covers
+    // what lives on this kiosk; main.js adds pending sign-outs, corrections,
+    // Sheets, the cloud API and remote storage.
+
+    /**
+     * Save the data retention policy (see dataRetention.js)
+     * @param {Object} policy - { enabled, attendance, logs, pending, faceDescriptors, backups } (days, null keeps forever)
+     * @returns {Object} { success, dataRetention }
+     */
+    updateDataRetention(policy = {}) {
+        try {
+            const config = this.getConfig();
+            config.dataRetention = dataRetention.normalizePolicy({ ...config.dataRetention, ...policy });
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            const ages = dataRetention.DATA_CLASSES
+                .map(c => `${c} ${config.dataRetention[c] ? `${config.dataRetention[c]} days` : 'forever'}`);
+            this.logger?.info('config', `Data retention set to ${ages.join(', ')} (${config.dataRetention.enabled ? 'on' : 'off'})`, 'admin');
+            return { success: true, dataRetention: config.dataRetention };
+        } catch (error) {
+            this.logger?.error('config', `Error updating data retention: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete attendance older than a cutoff, trash included
+     * @param {string} cutoff - ISO time
+     * @param {Object} [options] - { dryRun } true to only count
+     * @returns {Object} { success, attendance }
+     */
+    purgeAttendanceBefore(cutoff, { dryRun = false } = {}) {
+        try {
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const result = this.dbManager.purgeAttendanceBefore(cutoff, { dryRun });
+                if (result.success && !dryRun && result.attendance > 0) this.exportAttendanceToJson();
+                return result;
+            }
+
+            const attendance = this.getAttendance({ includeDeleted: true });
+            const kept = attendance.filter(r => !(r.timestamp < cutoff));
+            if (!dryRun && kept.length !== attendance.length) {
+                fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(kept, ['name']), null, 2));
+            }
+            return { success: true, attendance: attendance.length - kept.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply the data retention policy to this kiosk: attendance, log entries,
+     * face descriptors and the backups in data/backups older than their class
+     * allows (pending sign-outs and remote backups: enforceDataRetention() in main.js)
+     * @param {Object} [options] - { dryRun } true to only report what would go, { now }
+     * @returns {Object} { success, dryRun, cutoffs, attendance, logs, faceDescriptors: [ufids], backups: [names], errors }
+     */
+    applyDataRetention({ dryRun = false, now = new Date() } = {}) {
+        const policy = this.getConfig().dataRetention;
+        const cutoffs = Object.fromEntries(dataRetention.DATA_CLASSES.map(c => [c, dataRetention.cutoffFor(policy, c, now)]));
+        const result = { success: true, dryRun, cutoffs, attendance: 0, logs: 0, faceDescriptors: [], backups: [], errors: [] };
+
+        if (cutoffs.attendance) {
+            const purged = this.purgeAttendanceBefore(cutoffs.attendance, { dryRun });
+            if (purged.success) result.attendance = purged.attendance;
+            else result.errors.push(`attendance: ${purged.error}`);
+        }
+        if (cutoffs.logs && this.logger) {
+            const pruned = this.logger.removeOlderThan(cutoffs.logs, { dryRun });
+            if (pruned.success) result.logs = pruned.removed;
+            else result.errors.push(`logs: ${pruned.error}`);
+        }
+        if (cutoffs.faceDescriptors && this.dbManager && this.dbManager.isReady()) {
+            result.faceDescriptors = this.dbManager.getStaleFaceDescriptors(cutoffs.faceDescriptors);
+            if (!dryRun) {
+                result.faceDescriptors.forEach(ufid => this.clearFaceDescriptor(ufid, { actor: AUDIT_ACTORS.SYSTEM, reason: 'Data retention' }));
+            }
+        }
+        if (cutoffs.backups) {
+            const pruned = this.pruneLocalBackups({ dryRun, olderThan: cutoffs.backups });
+            if (pruned.success) result.backups = pruned.pruned;
+            else result.errors.push(`backups: ${pruned.error}`);
+        }
+
+        if (!dryRun) {
+            this.logger?.info('retention', `Retention removed ${result.attendance} attendance records, ${result.logs} log entries, `
+                + `${result.faceDescriptors.length} face descriptors, ${result.backups.length} local backups`, 'system');
+        }
+        result.success = result.errors.length === 0;
+        result.error = result.errors[0];
+        return result;
+    }
+
+    /**
+     * Everything this kiosk holds about a student ("export my data")
+     * @param {string} ufid
+     * @returns {Object} { success, data: { student, attendance, sessions, termExpectations, faceDescriptor, faceGallery, audit } }
+     */
+    getStudentDataExport(ufid) {
+        ufid = String(ufid);
+        try {
+            const student = this.getStudents({ includeDeleted: true }).find(s => s.ufid === ufid) || null;
+            const attendance = this.getAttendance({ includeDeleted: true }).filter(r => r.ufid === ufid);
+            if (!student && attendance.length === 0) return { success: false, error: 'Student not found' };
+
+            return {
+                success: true,
+                data: {
+                    student,
+                    attendance,
+                    sessions: this.getSessions(null, null, { ufid }),
+                    termExpectations: this.getStudentTermExpectations().filter(e => e.ufid === ufid),
+                    faceDescriptor: this.dbManager && this.dbManager.isReady() ? this.dbManager.getFaceDescriptor(ufid) : null,
+                    faceGallery: this.dbManager && this.dbManager.isReady() ? this.dbManager.getFaceTemplate(ufid)?.gallery || [] : [],
+                    audit: this.getAuditLog({ search: ufid }).entries.filter(e => auditTrail.mentionsStudent(e, ufid))
+                }
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Erase a student from this kiosk ("erase me"): the database or JSON files
+     * (record, attendance, sessions, term expectations, face descriptor), the
+     * audit log (their entries are redacted, not deleted), sync state and
+     * conflicts, log lines naming them, the backups in data/backups, the
+     * restore cache and the local journal (the next push compacts)
+     * @param {string} ufid
+     * @returns {Promise<Object>} { success, ref, removed, backups: { scrubbed, retained: [{ file, error }] } }
+     */
+    async eraseStudentData(ufid) {
+        ufid = String(ufid);
+        const ref = `erased-${crypto.randomBytes(6).toString('hex')}`;
+        try {
+            const student = this.getStudents({ includeDeleted: true }).find(s => s.ufid === ufid) || null;
+            let removed;
+            if (this.useSqlite && this.dbManager && this.dbManager.isReady()) {
+                const erased = this.dbManager.eraseStudent(ufid, ref);
+                if (!erased.success) return erased;
+                removed = erased.removed;
+                const exported = this.exportToJson();
+                if (!exported.success) return exported;
+            } else {
+                removed = this.eraseStudentFromJson(ufid);
+            }
+            removed.auditRedacted = (removed.auditRedacted || 0) + this.redactAuditFile(ufid, ref);
+            removed.syncRecords = this.eraseFromSyncState(ufid);
+
+            const logs = this.logger ? this.logger.removeMentions([ufid, student?.name, student?.email]) : { removed: 0 };
+            removed.logLines = logs.removed || 0;
+
+            const backups = await this.scrubLocalBackups(ufid, ref);
+            fs.rmSync(this.restoreCacheDir, { recursive: true, force: true });
+            this.resetJournal();
+
+            this.logger?.info('privacy', `Erased a student (${ref}) from this kiosk`, 'admin');
+            return { success: true, ref, removed, backups };
+        } catch (error) {
+            this.logger?.error('privacy', `Erasure ${ref} failed: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    // JSON mode: take a student out of students.json, attendance.json and terms.json
+    eraseStudentFromJson(ufid) {
+        const students = this.getStudents({ includeDeleted: true });
+        const attendance = this.getAttendance({ includeDeleted: true });
+        const keptStudents = dataRetention.withoutStudent(students, ufid).data;
+        const keptAttendance = dataRetention.withoutStudent(attendance, ufid).data;
+        fs.writeFileSync(this.studentsFile, JSON.stringify(this.encryptSensitiveFields(keptStudents, ['name', 'email']), null, 2));
+        fs.writeFileSync(this.attendanceFile, JSON.stringify(this.encryptSensitiveFields(keptAttendance, ['name']), null, 2));
+
+        let termExpectations = 0;
+        if (fs.existsSync(this.termsFile)) {
+            const data = this.readTermsFile();
+            const kept = dataRetention.withoutStudent(data.studentExpectations, ufid);
+            termExpectations = kept.removed;
+            if (kept.removed) fs.writeFileSync(this.termsFile, JSON.stringify({ ...data, studentExpectations: kept.data }, null, 2));
+        }
+        return {
+            students: students.length - keptStudents.length,
+            attendance: attendance.length - keptAttendance.length,
+            termExpectations
+        };
+    }
+
+    // Rewrite audit.jsonl with a student's entries redacted (SQLite mode may still have one from before the migration)
+    redactAuditFile(ufid, ref) {
+        const entries = this.readAuditFile();
+        let redacted = 0;
+        const lines = entries.map(entry => {
+            if (!auditTrail.mentionsStudent(entry, ufid)) return JSON.stringify(entry);
+            redacted++;
+            return JSON.stringify(auditTrail.redactAuditEntry(entry, ufid, ref));
+        });
+        if (redacted > 0) fs.writeFileSync(this.auditFile, lines.join('\n') + '\n');
+        return redacted;
+    }
+
+    // Take a student out of the peer sync base and the sync conflicts
+    eraseFromSyncState(ufid) {
+        let removed = 0;
+        const state = this.readSyncState();
+        if (state) {
+            const scrubbed = dataRetention.withoutStudent(state, ufid);
+            removed += scrubbed.removed;
+            if (scrubbed.removed) this.saveSyncState(scrubbed.data);
+        }
+
+        const conflicts = this.readConflictsFile();
+        const kept = conflicts.filter(c => c.key !== ufid
+            && !dataRetention.withoutStudent([c.local, c.remote].filter(Boolean), ufid).removed);
+        removed += conflicts.length - kept.length;
+        if (kept.length !== conflicts.length) fs.writeFileSync(this.conflictsFile, JSON.stringify(kept, null, 2));
+        return removed;
+    }
+
+    // Drop the local journal and what was last pushed (its hashes are keyed by
+    // UFID), keeping the sequence so the next push compacts from where it was
+    resetJournal() {
+        fs.rmSync(this.journalDir, { recursive: true, force: true });
+        if (!fs.existsSync(this.journalStateFile)) return;
+        const { push } = this.readJournalState();
+        fs.writeFileSync(this.journalStateFile, JSON.stringify(push ? {
+            push: { device: push.device, seq: push.seq, compactedAt: new Date(0).toISOString(), segment: null, hashes: {} }
+        } : {}, null, 2));
+    }
+
+    /**
+     * A backup with a student taken out
+     * @param {Buffer} buf - Backup contents
+     * @param {string} format - dataRetention.backupFormat() of its name
+     * @param {string} ufid
+     * @param {string} ref - Erasure reference (replaces the UFID in a database backup's audit log)
+     * @returns {Promise<Object>} { success, removed, buf } (buf unchanged when nothing was removed)
+     */
+    async scrubBackup(buf, format, ufid, ref) {
+        try {
+            if (format === 'sqlite') {
+                const scratchDir = path.join(this.restoreCacheDir, 'scrub-db');
+                const dbFile = path.join(scratchDir, 'attendance.db');
+                fs.rmSync(scratchDir, { recursive: true, force: true });
+                fs.mkdirSync(scratchDir, { recursive: true });
+                fs.writeFileSync(dbFile, buf);
+                const db = new DatabaseManager({ dataDir: scratchDir });
+                try {
+                    if (!(await db.initialize())) return { success: false, error: 'Not a readable SQLite database' };
+                    const erased = db.eraseStudent(ufid, ref);
+                    if (!erased.success) return erased;
+                    const removed = Object.values(erased.removed).reduce((sum, n) => sum + n, 0);
+                    db.close();
+                    return { success: true, removed, buf: removed ? fs.readFileSync(dbFile) : buf };
+                } finally {
+                    db.close();
+                    fs.rmSync(scratchDir, { recursive: true, force: true });
+                }
+            }
+
+            if (format === 'encrypted') {
+                if (!this.encryptionPassword) return { success: false, error: 'Encrypted backup and encryption is locked' };
+                const opened = this.encryptionService.decrypt(buf.toString('utf8'), this.encryptionPassword);
+                if (!opened.success) return { success: false, error: opened.error };
+                const { data, removed } = dataRetention.withoutStudent(opened.data, ufid);
+                if (!removed) return { success: true, removed, buf };
+                const sealed = this.encryptionService.encrypt(data, this.encryptionPassword);
+                if (!sealed.success) return sealed;
+                return { success: true, removed, buf: Buffer.from(sealed.data) };
+            }
+
+            const { data, removed } = dataRetention.withoutStudent(JSON.parse(buf.toString('utf8')), ufid);
+            return { success: true, removed, buf: removed ? Buffer.from(JSON.stringify(data, null, 2)) : buf };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Scrub a student out of every backup in data/backups
+     * @returns {Promise<Object>} { scrubbed: [names], retained: [{ file, error }] } retained ones still hold them
+     */
+    async scrubLocalBackups(ufid, ref) {
+        const backupDir = path.join(this.dataDir, 'backups');
+        const scrubbed = [];
+        const retained = [];
+        for (const name of fs.existsSync(backupDir) ? fs.readdirSync(backupDir) : []) {
+            const format = dataRetention.backupFormat(name);
+            if (!format) continue;
+            const file = path.join(backupDir, name);
+            const result = await this.scrubBackup(fs.readFileSync(file), format, ufid, ref);
+            if (!result.success) retained.push({ file: name, error: result.error });
+            else if (result.removed) {
+                fs.writeFileSync(file, result.buf);
+                scrubbed.push(name);
+            }
+        }
+        return { scrubbed, retained };
+    }
+
+    // This install's report signing key, created on first use (never synced or backed up)
+    getReportSigningKey() {
+        if (!fs.existsSync(this.signingKeyFile)) {
+            fs.writeFileSync(this.signingKeyFile, dataRetention.generateSigningKey(), { mode: 0o600 });
+        }
+        return fs.readFileSync(this.signingKeyFile, 'utf8');
+    }
+
+    /**
+     * Sign a retention, export or erasure report
+     * @param {string} kind - 'retention', 'export' or 'erasure'
+     * @param {Object} report
+     * @returns {Object} dataRetention.signReport() result
+     */
+    signPrivacyReport(kind, report) {
+        return dataRetention.signReport({
+            kind,
+            createdAt: new Date().toISOString(),
+            device: this.getDeviceId(),
+            ...report
+        }, this.getReportSigningKey());
+    }
+
+    /**
+     * Sign a retention or erasure report, keep it in data/privacy-reports and
+     * audit it (exports are not kept: they hold the student's data)
+     * @param {string} kind - 'retention' or 'erasure'
+     * @param {Object} report - For an erasure, { ref, ... } (never the UFID)
+     * @param {Object} audit - { actor, actorName, reason }
+     * @returns {Object} { success, signed, reportFile }
+     */
+    recordPrivacyReport(kind, report, audit = {}) {
+        try {
+            const signed = this.signPrivacyReport(kind, report);
+            fs.mkdirSync(this.privacyReportsDir, { recursive: true });
+            const reportFile = path.join(this.privacyReportsDir,
+                `${kind}-${signed.report.createdAt.replace(/[:.]/g, '-')}.json`);
+            fs.writeFileSync(reportFile, JSON.stringify(signed, null, 2));
+
+            this.recordAudit({
+                action: kind === 'erasure' ? 'privacy.erase' : 'retention.purge',
+                entityType: kind === 'erasure' ? 'student' : 'data',
+                entityId: kind === 'erasure' ? report.ref : null,
+                after: { report: path.basename(reportFile) },
+                actor: kind === 'erasure' ? AUDIT_ACTORS.ADMIN : AUDIT_ACTORS.SYSTEM,
+                ...audit
+            });
+            return { success: true, signed, reportFile };
+        } catch (error) {
+            this.logger?.error('privacy', `Failed to record ${kind} report: ${error.message}`, 'system');
+            return { success: false, error: error.message };
+        }
+    }
+
     ensureDataDir() {
         if (!fs.existsSync(this.dataDir)) {
             fs.mkdirSync(this.dataDir, { recursive: true });
@@ -2821,9 +5220,13 @@ class DataManager {
 
     // ==================== FACE DESCRIPTOR METHODS ====================
 
-    saveFaceDescriptor(ufid, descriptor) {
+    saveFaceDescriptor(ufid, descriptor, audit = {}) {
         if (this.dbManager && this.dbManager.isReady()) {
-            return this.dbManager.saveFaceDescriptor(ufid, descriptor);
+            const saved = this.dbManager.saveFaceDescriptor(ufid, descriptor);
+            if (saved) {
+                this.recordAudit({ action: 'student.face_enroll', entityType: 'student', entityId: ufid, actor: AUDIT_ACTORS.ADMIN, ...audit });
+            }
+            return saved;
         }
         return false;
     }
@@ -2835,9 +5238,149 @@ class DataManager {
         return [];
     }
 
-    clearFaceDescriptor(ufid) {
+    /**
+     * The face matcher, with its gallery reloaded if face templates or the
+     * roster changed since it was last loaded
+     * @returns {FaceMatcher}
+     */
+    getFaceMatcher() {
+        if (!this.dbManager || !this.dbManager.isReady()) {
+            this.faceMatcher.load([]);
+            return this.faceMatcher;
+        }
+        const stamp = this.dbManager.getChangeStamp();
+        if (!this.faceMatcher.isCurrent(stamp)) {
+            this.faceMatcher.margin = this.getConfig().faceId.matchMargin;
+            this.faceMatcher.load(this.dbManager.getAllFaceDescriptors(), stamp);
+        }
+        return this.faceMatcher;
+    }
+
+    /**
+     * Save the Face ID matching settings
+     * @param {Object} settings - { matchMargin, refresh } (refresh is merged
+     *   into the saved policy)
+     * @returns {Object} { success, faceId, error }
+     */
+    updateFaceIdSettings(settings = {}) {
+        try {
+            const config = this.getConfig();
+            config.faceId = faceMatching.normalizeSettings({
+                ...config.faceId,
+                ...settings,
+                refresh: { ...config.faceId.refresh, ...settings.refresh }
+            });
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+            this.faceMatcher.margin = config.faceId.matchMargin;
+            const { refresh } = config.faceId;
+            this.logger?.info('config', `Face ID match margin set to ${config.faceId.matchMargin}, template refresh `
+                + (refresh.enabled ? `on (distance ≤ ${refresh.maxDistance}, ${refresh.gallerySize} kept)` : 'off'), 'admin');
+            return { success: true, faceId: config.faceId };
+        } catch (error) {
+            this.logger?.error('config', `Error updating Face ID settings: ${error.message}`, 'admin');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Enrolled students with their match threshold and the student whose
+     * templates are nearest theirs, flagged when the two could be confused,
+     * and how old their templates are
+     * @returns {Array<Object>} { ufid, name, threshold, nearest, atRisk,
+     *   enrolledAt, refreshedAt, refreshCount, gallerySize }
+     */
+    getFaceCollisionRisk() {
+        const ages = new Map(this.dbManager && this.dbManager.isReady()
+            ? this.dbManager.getFaceTemplateAges().map(a => [a.ufid, a])
+            : []);
+        return this.getFaceMatcher().collisionRisk().map(risk => {
+            const { enrolledAt = null, refreshedAt = null, refreshCount = 0, gallerySize = 0 } = ages.get(risk.ufid) || {};
+            return { ...risk, enrolledAt, refreshedAt, refreshCount, gallerySize };
+        });
+    }
+
+    /**
+     * Add a confidently matched face to the student's refresh gallery, when
+     * the refresh policy (config.faceId.refresh) allows it. Called after a
+     * Face ID sign-in, which the kiosk only offers once liveness has passed.
+     * @param {string} ufid
+     * @param {number[]} embedding - the face that was matched
+     * @param {number} distance - its match distance
+     * @returns {Object} { success, refreshed, reason, error } reason says why
+     *   not (see faceMatcher.planTemplateRefresh)
+     */
+    refreshFaceTemplate(ufid, embedding, distance) {
+        try {
+            if (!this.dbManager || !this.dbManager.isReady()) return { success: false, error: 'Database not ready' };
+            const template = this.dbManager.getFaceTemplate(ufid);
+            if (!template) return { success: false, error: 'Student is not enrolled' };
+
+            const plan = faceMatching.planTemplateRefresh(template, embedding, distance, this.getConfig().faceId.refresh);
+            if (!plan.refresh) return { success: true, refreshed: false, reason: plan.reason };
+
+            this.dbManager.saveFaceGallery(ufid, plan.gallery);
+            this.recordAudit({
+                action: 'student.face_refresh',
+                entityType: 'student',
+                entityId: ufid,
+                actor: AUDIT_ACTORS.SYSTEM,
+                after: { distance: Math.round(distance * 1000) / 1000, gallerySize: plan.gallery.length }
+            });
+            this.logger?.info('face', `Face ID templates refreshed for ${ufid} (distance ${distance.toFixed(3)}, `
+                + `${plan.gallery.length} in gallery)`, 'system');
+            return { success: true, refreshed: true, reason: null };
+        } catch (error) {
+            this.logger?.error('face', `Face ID template refresh failed for ${ufid}: ${error.message}`, 'system');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Identify a face embedding against the enrolled students
+     * @param {number[]} embedding
+     * @param {Object} [options] - { k } number of candidates
+     * @returns {Object} { match, candidates, ambiguous, threshold, margin } (see FaceMatcher.identify)
+     */
+    identifyFace(embedding, options = {}) {
+        return this.getFaceMatcher().identify(embedding, options);
+    }
+
+    /**
+     * UFIDs of the students Face ID can recognize
+     * @returns {string[]}
+     */
+    getFaceEnrolledUfids() {
+        return this.getFaceMatcher().getEnrolledUfids();
+    }
+
+    /**
+     * Encode a descriptor the way students.face_descriptor stores it
+     * (encrypted when face descriptors are), for one kept elsewhere until it
+     * is saved, like a self-enrollment waiting for review
+     * @param {Array} descriptor
+     * @returns {string|null} null when the database is not ready
+     */
+    encodeFaceDescriptor(descriptor) {
+        if (!this.dbManager || !this.dbManager.isReady()) return null;
+        return this.dbManager.encodeDescriptor(descriptor);
+    }
+
+    /**
+     * @param {string} stored - encodeFaceDescriptor() result
+     * @returns {Array|null} null when it cannot be read (e.g. the key changed)
+     */
+    decodeFaceDescriptor(stored) {
+        if (!stored || !this.dbManager || !this.dbManager.isReady()) return null;
+        return this.dbManager.readDescriptor(stored);
+    }
+
+    clearFaceDescriptor(ufid, audit = {}) {
         if (this.dbManager && this.dbManager.isReady()) {
-            return this.dbManager.clearFaceDescriptor(ufid);
+            const cleared = this.dbManager.clearFaceDescriptor(ufid);
+            if (cleared) {
+                this.recordAudit({ action: 'student.face_clear', entityType: 'student', entityId: ufid, actor: AUDIT_ACTORS.ADMIN, ...audit });
+            }
+            return cleared;
         }
         return false;
     }
@@ -0,0 +1,166 @@
+/**
+ * Data Retention - how long each kind of data is kept, and signed reports
+ *
+ * A policy (config.dataRetention) sets a maximum age in days per data class;
+ * null keeps that class forever:
+ *   attendance       attendance records, by timestamp
+ *   logs             system.log entries (rotated files included)
+ *   pending          resolved or expired pending sign-outs, by resolvedAt
+ *   faceDescriptors  face descriptors of students not seen for that long
+ *   backups          local and remote backup files, by the time in their name
+ * The nightly job in main.js applies it when enabled.
+ *
+ * Retention runs and per-student exports and erasures write a report signed
+ * with the install's Ed25519 key. The report carries the public key, so a copy
+ * handed to a student or an auditor can be checked with verifyReport().
+ */
+
+const crypto = require('crypto');
+const { canonical } = require('./peerMerge.js');
+const syncJournal = require('./syncJournal.js');
+const { describeBackup } = require('./backupRestore.js');
+
+const DATA_CLASSES = ['attendance', 'logs', 'pending', 'faceDescriptors', 'backups'];
+
+const DEFAULT_POLICY = {
+    enabled: false,
+    attendance: null,
+    logs: 365,
+    pending: 90,
+    faceDescriptors: 365,
+    backups: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill in a retention policy
+ * @param {Object} policy - { enabled, <data class>: days or null }
+ * @returns {Object}
+ */
+function normalizePolicy(policy = {}) {
+    const normalized = {
+        enabled: typeof policy.enabled === 'boolean' ? policy.enabled : DEFAULT_POLICY.enabled
+    };
+    for (const dataClass of DATA_CLASSES) {
+        const value = policy[dataClass] === undefined ? DEFAULT_POLICY[dataClass] : policy[dataClass];
+        const days = Number.parseInt(value, 10);
+        normalized[dataClass] = Number.isInteger(days) && days > 0 ? days : null;
+    }
+    return normalized;
+}
+
+/**
+ * Oldest time a data class keeps
+ * @param {Object} policy - normalizePolicy() result
+ * @param {string} dataClass
+ * @param {Date} [now]
+ * @returns {string|null} ISO time (older data goes), null when kept forever
+ */
+function cutoffFor(policy, dataClass, now = new Date()) {
+    const days = policy[dataClass];
+    return days ? new Date(now.getTime() - days * DAY_MS).toISOString() : null;
+}
+
+/**
+ * Format of a backup file, for scrubbing a student out of it
+ * @param {string} name
+ * @returns {string|null} A describeBackup() format, 'encrypted' for an
+ *   encrypted backup, null when not a backup
+ */
+function backupFormat(name) {
+    const known = describeBackup({ name });
+    if (known) return known.format;
+    return /^encrypted-backup-.*\.enc$/.test(name || '') ? 'encrypted' : null;
+}
+
+/**
+ * Data with a student taken out: a list of records, or an object holding
+ * students/attendance lists (JSON backups, sync state, journal snapshots and
+ * peer change logs)
+ * @param {Array|Object} data
+ * @param {string} ufid
+ * @returns {Object} { data, removed } removed counts the records taken out
+ */
+function withoutStudent(data, ufid) {
+    const keep = record => !(record && record.ufid != null && String(record.ufid) === String(ufid));
+    if (Array.isArray(data)) {
+        const kept = data.filter(keep);
+        return { data: kept, removed: data.length - kept.length };
+    }
+
+    const scrubbed = { ...data };
+    let removed = 0;
+    for (const key of ['students', 'attendance']) {
+        if (!Array.isArray(data[key])) continue;
+        scrubbed[key] = data[key].filter(keep);
+        removed += data[key].length - scrubbed[key].length;
+    }
+    return { data: scrubbed, removed };
+}
+
+/**
+ * A journal segment with a student's events taken out
+ * @param {string} text - NDJSON segment
+ * @param {string} ufid
+ * @returns {Object} { text, removed }
+ */
+function segmentWithoutStudent(text, ufid) {
+    const events = syncJournal.parseNdjson(text);
+    const kept = events.filter(e => !(e.entity === 'student' && e.key === String(ufid))
+        && !(e.data && String(e.data.ufid) === String(ufid)));
+    return { text: syncJournal.toNdjson(kept), removed: events.length - kept.length };
+}
+
+/**
+ * New Ed25519 signing key
+ * @returns {string} PKCS#8 PEM private key
+ */
+function generateSigningKey() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+/**
+ * Sign a report
+ * @param {Object} report
+ * @param {string} privateKeyPem
+ * @returns {Object} { report, signature: { algorithm, publicKey, value } }
+ */
+function signReport(report, privateKeyPem) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    const value = crypto.sign(null, Buffer.from(canonical(report)), privateKey).toString('base64');
+    return { report, signature: { algorithm: 'ed25519', publicKey, value } };
+}
+
+/**
+ * Check a signed report against the public key it carries (pass the
+ * install's public key to also check who signed it)
+ * @param {Object} signed - signReport() result
+ * @param {string} [publicKeyPem]
+ * @returns {boolean}
+ */
+function verifyReport(signed, publicKeyPem = null) {
+    try {
+        const { report, signature } = signed || {};
+        if (!report || !signature || signature.algorithm !== 'ed25519') return false;
+        if (publicKeyPem && publicKeyPem.trim() !== String(signature.publicKey).trim()) return false;
+        return crypto.verify(null, Buffer.from(canonical(report)), signature.publicKey, Buffer.from(signature.value, 'base64'));
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    DATA_CLASSES,
+    DEFAULT_POLICY,
+    normalizePolicy,
+    cutoffFor,
+    backupFormat,
+    withoutStudent,
+    segmentWithoutStudent,
+    generateSigningKey,
+    signReport,
+    verifyReport
+};
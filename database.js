@@ -178,6 +178,15 @@ class SQLiteDatabase {
             // Table might not exist yet
         }
 
+        // A migration that stopped part-way may already have added some of its columns
+        const addColumn = (table, column) => {
+            try {
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+            } catch (e) {
+                // Column might already exist
+            }
+        };
+
         const migrations = [
             // Migration 1: Initial schema (already created above)
             {
@@ -214,6 +223,254 @@ class SQLiteDatabase {
                         // Column might already exist
                     }
                 }
+            },
+            // Migration 5: Sessions table derived from signin/signout pairs
+            // (rows are rebuilt by DatabaseManager on initialize when empty)
+            {
+                version: 5,
+                up: () => {
+                    try {
+                        this.db.run('ALTER TABLE attendance ADD COLUMN present_only INTEGER DEFAULT 0');
+                    } catch (e) {
+                        // Column might already exist
+                    }
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS sessions (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            ufid TEXT NOT NULL,
+                            signin_id INTEGER NOT NULL UNIQUE,
+                            signout_id INTEGER,
+                            signin_at TEXT NOT NULL,
+                            signout_at TEXT,
+                            source TEXT NOT NULL DEFAULT 'kiosk',
+                            synthetic INTEGER DEFAULT 0,
+                            present_only INTEGER DEFAULT 0,
+                            pending INTEGER DEFAULT 0,
+                            pending_record_id TEXT
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_sessions_ufid_signin ON sessions(ufid, signin_at)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_sessions_signin ON sessions(signin_at)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_sessions_signout ON sessions(signout_at)');
+                }
+            },
+            // Migration 6: Lab closures / holiday calendar (one row per lab-time date)
+            {
+                version: 6,
+                up: () => {
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS closures (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            date TEXT NOT NULL UNIQUE,
+                            name TEXT NOT NULL,
+                            source TEXT NOT NULL DEFAULT 'manual',
+                            uid TEXT,
+                            created_at TEXT
+                        )
+                    `);
+                }
+            },
+            // Migration 7: Recurring weekly shifts per student (JSON array)
+            {
+                version: 7,
+                up: () => {
+                    try {
+                        this.db.run('ALTER TABLE students ADD COLUMN shifts TEXT');
+                    } catch (e) {
+                        // Column might already exist
+                    }
+                }
+            },
+            // Migration 8: Approved correction requests write flagged attendance rows
+            {
+                version: 8,
+                up: () => {
+                    const columns = [
+                        'correction INTEGER DEFAULT 0',
+                        'correction_request_id TEXT',
+                        'approved_by TEXT',
+                        'correction_reason TEXT'
+                    ];
+                    for (const column of columns) {
+                        try {
+                            this.db.run(`ALTER TABLE attendance ADD COLUMN ${column}`);
+                        } catch (e) {
+                            // Column might already exist
+                        }
+                    }
+                }
+            },
+            // Migration 9: Append-only audit trail for attendance and roster changes
+            // (triggers reject UPDATE/DELETE so entries can't be rewritten after the fact)
+            {
+                version: 9,
+                up: () => {
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS audit_log (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            uid TEXT UNIQUE,
+                            timestamp TEXT NOT NULL,
+                            actor TEXT NOT NULL,
+                            actor_name TEXT,
+                            action TEXT NOT NULL,
+                            entity_type TEXT NOT NULL,
+                            entity_id TEXT,
+                            before_json TEXT,
+                            after_json TEXT,
+                            reason TEXT
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id)');
+                    this.db.run(`
+                        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+                    `);
+                    this.db.run(`
+                        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+                    `);
+                }
+            },
+            // Migration 10: Soft delete (deleted_at) for students and attendance.
+            // Attendance is rebuilt without its ON DELETE CASCADE foreign key so
+            // purging a student from the trash never takes their history with it.
+            {
+                version: 10,
+                up: () => {
+                    try {
+                        this.db.run('ALTER TABLE students ADD COLUMN deleted_at TEXT');
+                    } catch (e) {
+                        // Column might already exist
+                    }
+
+                    const columns = `id, ufid, name, action, timestamp, synthetic, pending_timestamp,
+                                     pending_record_id, resolved_at, auto_signout, present_only,
+                                     correction, correction_request_id, approved_by, correction_reason`;
+                    this.db.run(`
+                        CREATE TABLE attendance_new (
+                            id INTEGER PRIMARY KEY,
+                            ufid TEXT NOT NULL,
+                            name TEXT,
+                            action TEXT NOT NULL CHECK(action IN ('signin', 'signout')),
+                            timestamp TEXT NOT NULL,
+                            synthetic INTEGER DEFAULT 0,
+                            pending_timestamp INTEGER DEFAULT 0,
+                            pending_record_id TEXT,
+                            resolved_at TEXT,
+                            auto_signout INTEGER DEFAULT 0,
+                            present_only INTEGER DEFAULT 0,
+                            correction INTEGER DEFAULT 0,
+                            correction_request_id TEXT,
+                            approved_by TEXT,
+                            correction_reason TEXT,
+                            deleted_at TEXT
+                        )
+                    `);
+                    this.db.run(`INSERT INTO attendance_new (${columns}) SELECT ${columns} FROM attendance`);
+                    this.db.run('DROP TABLE attendance');
+                    this.db.run('ALTER TABLE attendance_new RENAME TO attendance');
+
+                    // Indexes went with the old table
+                    this.createIndexes();
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_attendance_deleted ON attendance(deleted_at)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_students_deleted ON students(deleted_at)');
+                }
+            },
+            // Migration 11: Student lifecycle (active -> on_leave -> alumni) with membership dates
+            {
+                version: 11,
+                up: () => {
+                    const columns = ["status TEXT DEFAULT 'active'", 'start_date TEXT', 'end_date TEXT'];
+                    for (const column of columns) {
+                        try {
+                            this.db.run(`ALTER TABLE students ADD COLUMN ${column}`);
+                        } catch (e) {
+                            // Column might already exist
+                        }
+                    }
+                    // Deactivated students keep their history as "on leave"
+                    this.db.run("UPDATE students SET status = CASE WHEN active = 0 THEN 'on_leave' ELSE 'active' END");
+                }
+            },
+            // Migration 12: Academic terms with per-role defaults and per-student expectations
+            {
+                version: 12,
+                up: () => {
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS terms (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            name TEXT NOT NULL,
+                            start_date TEXT NOT NULL,
+                            end_date TEXT NOT NULL,
+                            default_expectations TEXT,
+                            created_at TEXT
+                        )
+                    `);
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS student_term_expectations (
+                            ufid TEXT NOT NULL,
+                            term_id INTEGER NOT NULL,
+                            expected_hours_per_week REAL DEFAULT 0,
+                            expected_days_per_week INTEGER DEFAULT 0,
+                            PRIMARY KEY (ufid, term_id)
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_terms_dates ON terms(start_date, end_date)');
+                }
+            },
+            // Migration 13: Locations (labs/rooms) for students, attendance and sessions
+            {
+                version: 13,
+                up: () => {
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS locations (
+                            id TEXT PRIMARY KEY,
+                            name TEXT NOT NULL,
+                            sheet_name TEXT,
+                            created_at TEXT
+                        )
+                    `);
+                    addColumn('students', "locations TEXT DEFAULT '[]'");
+                    addColumn('attendance', 'location_id TEXT');
+                    addColumn('sessions', 'location_id TEXT');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_attendance_location ON attendance(location_id, timestamp)');
+                }
+            },
+            // Migration 14: Globally unique attendance ids for multi-kiosk sync
+            {
+                version: 14,
+                up: () => {
+                    addColumn('attendance', 'uid TEXT');
+                    this.db.run("UPDATE attendance SET uid = 'legacy-' || id WHERE uid IS NULL");
+                    this.db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_uid ON attendance(uid)');
+                }
+            },
+            // Migration 15: Blind indexes for searching encrypted names and emails
+            {
+                version: 15,
+                up: () => {
+                    addColumn('students', 'name_index TEXT');
+                    addColumn('students', 'email_index TEXT');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_students_email_index ON students(email_index)');
+                }
+            },
+            // Migration 16: Per-student Face ID match thresholds
+            {
+                version: 16,
+                up: () => {
+                    addColumn('students', 'face_threshold REAL');
+                }
+            },
+            // Migration 17: Rolling Face ID gallery refreshed from confident sign-ins
+            {
+                version: 17,
+                up: () => {
+                    addColumn('students', 'face_gallery TEXT');
+                    addColumn('students', 'face_enrolled_at TEXT');
+                    addColumn('students', 'face_refreshed_at TEXT');
+                    addColumn('students', 'face_refresh_count INTEGER DEFAULT 0');
+                }
             }
         ];
 
@@ -337,13 +594,28 @@ class SQLiteDatabase {
             return { error: 'Database not initialized' };
         }
 
-        const studentCount = this.get('SELECT COUNT(*) as count FROM students');
-        const attendanceCount = this.get('SELECT COUNT(*) as count FROM attendance');
+        const studentCount = this.get('SELECT COUNT(*) as count FROM students WHERE deleted_at IS NULL');
+        const attendanceCount = this.get('SELECT COUNT(*) as count FROM attendance WHERE deleted_at IS NULL');
+        const trashCount = this.get(`
+            SELECT (SELECT COUNT(*) FROM students WHERE deleted_at IS NOT NULL) +
+                   (SELECT COUNT(*) FROM attendance WHERE deleted_at IS NOT NULL) as count
+        `);
+        const sessionCount = this.get('SELECT COUNT(*) as count FROM sessions');
+        const closureCount = this.get('SELECT COUNT(*) as count FROM closures');
+        const termCount = this.get('SELECT COUNT(*) as count FROM terms');
+        const locationCount = this.get('SELECT COUNT(*) as count FROM locations');
+        const auditCount = this.get('SELECT COUNT(*) as count FROM audit_log');
         const configCount = this.get('SELECT COUNT(*) as count FROM config');
 
         return {
             students: studentCount ? studentCount.count : 0,
             attendance: attendanceCount ? attendanceCount.count : 0,
+            sessions: sessionCount ? sessionCount.count : 0,
+            closures: closureCount ? closureCount.count : 0,
+            terms: termCount ? termCount.count : 0,
+            locations: locationCount ? locationCount.count : 0,
+            auditLog: auditCount ? auditCount.count : 0,
+            trash: trashCount ? trashCount.count : 0,
             config: configCount ? configCount.count : 0,
             dbPath: this.dbPath,
             dbSize: fs.existsSync(this.dbPath) ? fs.statSync(this.dbPath).size : 0
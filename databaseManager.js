@@ -5,6 +5,110 @@
  */
 
 const SQLiteDatabase = require('./database.js');
+const { pairSessions } = require('./sessions.js');
+const { normalizeShifts } = require('./shifts.js');
+const { normalizeMembership } = require('./membership.js');
+const { normalizeDefaultExpectations } = require('./terms.js');
+const { normalizeLocationIds } = require('./locations.js');
+const { mentionsStudent, redactAuditEntry } = require('./audit.js');
+const { enrollmentThreshold } = require('./faceMatcher.js');
+
+// Columns read back for every attendance query (aliased to record field names)
+const ATTENDANCE_COLUMNS = `
+    id, uid, ufid, name, action, timestamp, synthetic,
+    pending_timestamp as pendingTimestamp,
+    pending_record_id as pendingRecordId,
+    resolved_at as resolvedAt,
+    auto_signout as autoSignout,
+    present_only as presentOnly,
+    correction,
+    correction_request_id as correctionRequestId,
+    approved_by as approvedBy,
+    correction_reason as correctionReason,
+    location_id as locationId,
+    deleted_at as deletedAt
+`;
+
+// Columns read back for every student query
+const STUDENT_COLUMNS = `
+    ufid, name, email, active, role,
+    expected_hours_per_week as expectedHoursPerWeek,
+    expected_days_per_week as expectedDaysPerWeek,
+    added_date as addedDate,
+    weekly_warning_streak as weeklyWarningStreak,
+    shifts,
+    status,
+    start_date as startDate,
+    end_date as endDate,
+    locations,
+    deleted_at as deletedAt
+`;
+
+// Trashed rows (soft-deleted) are hidden unless a query asks for them
+const NOT_DELETED = 'deleted_at IS NULL';
+
+// Fields that can be encrypted at rest (config.encryption.fields). 'name'
+// covers students.name and the copy in attendance.name.
+const ENCRYPTABLE_FIELDS = ['name', 'email', 'faceDescriptor'];
+
+// config table key recording which codec the stored fields are written with
+const FIELD_ENCRYPTION_KEY = 'field_encryption';
+// Marker while rows may hold plain text that the next unlock must encode
+const STALE_FIELD_ENCRYPTION = 'stale';
+
+// Put back after an erasure lifts it to redact entries (see database.js migration 9)
+const AUDIT_NO_UPDATE_TRIGGER = `
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+`;
+
+/**
+ * Convert an attendance row into a record (SQLite stores flags as 0/1)
+ * @param {Object} row - Row selected with ATTENDANCE_COLUMNS
+ * @returns {Object} Attendance record
+ */
+function toAttendanceRecord({ deletedAt, locationId, ...row }) {
+    return {
+        ...row,
+        synthetic: Boolean(row.synthetic),
+        pendingTimestamp: Boolean(row.pendingTimestamp),
+        autoSignout: Boolean(row.autoSignout),
+        presentOnly: Boolean(row.presentOnly),
+        correction: Boolean(row.correction),
+        ...(locationId ? { locationId } : {}),
+        ...(deletedAt ? { deletedAt } : {})
+    };
+}
+
+/**
+ * Convert a student row into a student object
+ * @param {Object} row - Row selected with STUDENT_COLUMNS
+ * @returns {Object} Student
+ */
+function toStudentRecord({ deletedAt, ...row }) {
+    return {
+        ...row,
+        ...normalizeMembership({ ...row, active: Boolean(row.active) }),
+        role: (row.role || 'volunteer').toLowerCase(),
+        expectedHoursPerWeek: Number(row.expectedHoursPerWeek || 0),
+        expectedDaysPerWeek: Number(row.expectedDaysPerWeek || 0),
+        weeklyWarningStreak: Number(row.weeklyWarningStreak || 0),
+        shifts: normalizeShifts(row.shifts),
+        locations: normalizeLocationIds(row.locations),
+        ...(deletedAt ? { deletedAt } : {})
+    };
+}
+
+// Bumped on every write the face matcher's gallery depends on, across
+// instances so a reopened database never reuses an old stamp
+let faceRevisions = 0;
+
+// Binary order, as SQLite's ORDER BY name
+function byName(a, b) {
+    const x = a.name || '';
+    const y = b.name || '';
+    return x < y ? -1 : (x > y ? 1 : 0);
+}
 
 /**
  * DatabaseManager class for efficient data operations
@@ -13,6 +117,8 @@ class DatabaseManager {
     constructor(options = {}) {
         this.sqliteDb = new SQLiteDatabase(options);
         this.initialized = false;
+        this.fieldCodec = null;
+        this.faceRevision = 0;
     }
 
     /**
@@ -22,6 +128,19 @@ class DatabaseManager {
     async initialize() {
         const result = await this.sqliteDb.initialize();
         this.initialized = result;
+        this.touchFaces();
+
+        // Backfill sessions for databases created before the sessions table existed
+        if (result && this.getSessionCount() === 0 && this.getAttendanceCount() > 0) {
+            this.rebuildAllSessions();
+        }
+
+        // A database file replaced under us (e.g. downloaded from another kiosk)
+        // is brought to this kiosk's field encryption
+        if (result && this.fieldCodec) {
+            this.setFieldEncryption(this.fieldCodec);
+        }
+
         return result;
     }
 
@@ -41,58 +160,218 @@ class DatabaseManager {
         return this.sqliteDb.getDb();
     }
 
+    // ==================== FIELD ENCRYPTION ====================
+    // With a codec set (see EncryptionService.createFieldCodec), the fields it
+    // names are stored encrypted and decrypted on read. Names and emails are
+    // then found through blind index columns (students.name_index and
+    // email_index) instead of LIKE, and name ordering happens after decryption.
+
+    /**
+     * Set the field codec and, when the stored fields were written with a
+     * different one (or none), rewrite every row with it
+     * @param {Object|null} codec - null stores every field in plain text
+     * @param {Object} options - { reader } codec able to read the current values
+     *                           (defaults to the previous codec), { force } rewrite
+     *                           even when the stored fields already use this codec
+     * @returns {Object} { success, rewritten }
+     */
+    setFieldEncryption(codec, options = {}) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        const reader = options.reader || this.fieldCodec || codec;
+        this.fieldCodec = codec;
+        const marker = codec ? codec.id : 'none';
+        const current = this.sqliteDb.get('SELECT value FROM config WHERE key = ?', [FIELD_ENCRYPTION_KEY]);
+        if (!options.force && (current ? current.value : 'none') === marker) return { success: true, rewritten: 0 };
+
+        try {
+            return this.rewriteEncryptedFields(reader, marker);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Note that fields may now be written as plain text (encryption is on
+     * but locked), so the next unlock re-encodes every row, even after a
+     * restart, and the file is not uploaded until it has
+     */
+    markFieldEncryptionStale() {
+        if (!this.isReady()) return;
+        this.fieldCodec = null;
+        const current = this.sqliteDb.get('SELECT value FROM config WHERE key = ?', [FIELD_ENCRYPTION_KEY]);
+        if (current && current.value === STALE_FIELD_ENCRYPTION) return;
+        this.getDb().run('INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)', [FIELD_ENCRYPTION_KEY, STALE_FIELD_ENCRYPTION]);
+        this.sqliteDb.save();
+    }
+
+    // Whether every stored field was written with the current codec
+    isFieldEncryptionCurrent() {
+        if (!this.isReady()) return false;
+        const current = this.sqliteDb.get('SELECT value FROM config WHERE key = ?', [FIELD_ENCRYPTION_KEY]);
+        return (current ? current.value : 'none') === (this.fieldCodec ? this.fieldCodec.id : 'none');
+    }
+
+    /**
+     * Field encryption state
+     * @returns {Object} { encrypted, fields }
+     */
+    getFieldEncryptionStatus() {
+        return {
+            encrypted: Boolean(this.fieldCodec),
+            fields: this.fieldCodec ? [...this.fieldCodec.fields] : []
+        };
+    }
+
+    // Re-encode every row's fields; nothing is written unless all of them decrypt
+    rewriteEncryptedFields(reader, marker) {
+        const decode = value => (value && reader && reader.isEncrypted(value) ? reader.decrypt(value) : value);
+        const students = this.sqliteDb.all('SELECT ufid, name, email, face_descriptor, face_gallery FROM students').map(row => ({
+            ufid: row.ufid,
+            name: decode(row.name),
+            email: decode(row.email),
+            faceDescriptor: row.face_descriptor ? this.parseDescriptor(row.face_descriptor, reader) : null,
+            faceGallery: row.face_gallery ? this.parseDescriptor(row.face_gallery, reader) : null
+        }));
+        const attendance = this.sqliteDb.all('SELECT id, name FROM attendance WHERE name IS NOT NULL')
+            .map(row => ({ id: row.id, name: decode(row.name) }));
+
+        const db = this.getDb();
+        for (const s of students) {
+            const fields = this.encodeStudentFields(s);
+            db.run(`
+                UPDATE students SET name = ?, email = ?, name_index = ?, email_index = ?, face_descriptor = ?, face_gallery = ?
+                WHERE ufid = ?
+            `, [
+                fields.name,
+                fields.email,
+                fields.nameIndex,
+                fields.emailIndex,
+                s.faceDescriptor ? this.encodeDescriptor(s.faceDescriptor) : null,
+                s.faceGallery ? this.encodeDescriptor(s.faceGallery) : null,
+                s.ufid
+            ]);
+        }
+        for (const r of attendance) {
+            db.run('UPDATE attendance SET name = ? WHERE id = ?', [this.encodeField('name', r.name), r.id]);
+        }
+        db.run('INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)', [FIELD_ENCRYPTION_KEY, marker]);
+        this.sqliteDb.save();
+        this.touchFaces();
+
+        return { success: true, rewritten: students.length + attendance.length };
+    }
+
+    encodeField(field, value) {
+        if (value === null || value === undefined || value === '') return value ?? null;
+        return this.fieldCodec && this.fieldCodec.encrypts(field) ? this.fieldCodec.encrypt(value) : value;
+    }
+
+    // Undecryptable values (written under another password) are returned as stored
+    decodeField(value) {
+        if (!value || !this.fieldCodec || !this.fieldCodec.isEncrypted(value)) return value;
+        try {
+            return this.fieldCodec.decrypt(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Stored name/email columns of a student, with their blind indexes
+     * @param {Object} student - { name, email }
+     * @returns {Object} { name, email, nameIndex, emailIndex }
+     */
+    encodeStudentFields(student) {
+        const codec = this.fieldCodec;
+        return {
+            name: this.encodeField('name', student.name),
+            email: this.encodeField('email', student.email || null),
+            nameIndex: codec && codec.encrypts('name') ? codec.nameIndex(student.name) : null,
+            emailIndex: codec && codec.encrypts('email') ? codec.emailIndex(student.email) : null
+        };
+    }
+
+    // A string is an already-stored value that could not be decrypted: kept as is
+    encodeDescriptor(descriptor) {
+        if (typeof descriptor === 'string') return descriptor;
+        const values = Array.from(descriptor);
+        return this.fieldCodec && this.fieldCodec.encrypts('faceDescriptor')
+            ? this.fieldCodec.encrypt(values)
+            : JSON.stringify(values);
+    }
+
+    parseDescriptor(stored, codec = this.fieldCodec) {
+        if (codec && codec.isEncrypted(stored)) return codec.decrypt(stored);
+        return JSON.parse(stored);
+    }
+
+    // Descriptor of a row, or null when it cannot be decrypted
+    readDescriptor(stored) {
+        try {
+            return this.parseDescriptor(stored);
+        } catch {
+            return null;
+        }
+    }
+
+    toStudent(row) {
+        return toStudentRecord({ ...row, name: this.decodeField(row.name), email: this.decodeField(row.email) });
+    }
+
+    toAttendance(row) {
+        return toAttendanceRecord({ ...row, name: this.decodeField(row.name) });
+    }
+
+    // Encrypted names cannot be ordered by SQLite
+    sortsNamesInMemory() {
+        return Boolean(this.fieldCodec && this.fieldCodec.encrypts('name'));
+    }
+
     // ==================== STUDENT OPERATIONS ====================
 
     /**
      * Get student by UFID - O(1) primary key lookup
      * @param {string} ufid - Student UFID
+     * @param {Object} options - { includeDeleted } (trashed students are skipped by default)
      * @returns {Object|null} Student object or null
      */
-    getStudentByUfid(ufid) {
+    getStudentByUfid(ufid, options = {}) {
         if (!this.isReady()) return null;
 
         const row = this.sqliteDb.get(`
-            SELECT ufid, name, email, active, role,
-                   expected_hours_per_week as expectedHoursPerWeek,
-                   expected_days_per_week as expectedDaysPerWeek,
-                   added_date as addedDate,
-                   weekly_warning_streak as weeklyWarningStreak
-            FROM students WHERE ufid = ?
+            SELECT ${STUDENT_COLUMNS}
+            FROM students WHERE ufid = ? ${options.includeDeleted ? '' : `AND ${NOT_DELETED}`}
         `, [ufid]);
 
-        if (!row) return null;
-
-        return {
-            ...row,
-            active: Boolean(row.active),
-            role: (row.role || 'volunteer').toLowerCase(),
-            expectedHoursPerWeek: Number(row.expectedHoursPerWeek || 0),
-            expectedDaysPerWeek: Number(row.expectedDaysPerWeek || 0),
-            weeklyWarningStreak: Number(row.weeklyWarningStreak || 0)
-        };
+        return row ? this.toStudent(row) : null;
     }
 
     /**
      * Get all students with optional pagination
-     * @param {Object} options - { offset, limit, activeOnly }
+     * @param {Object} options - { offset, limit, activeOnly, includeDeleted }
      * @returns {Array} Array of student objects
      */
     getStudents(options = {}) {
         if (!this.isReady()) return [];
 
-        const { offset = 0, limit = null, activeOnly = false } = options;
+        const { offset = 0, limit = null, activeOnly = false, includeDeleted = false } = options;
+        const conditions = [];
+        if (!includeDeleted) conditions.push(NOT_DELETED);
+        if (activeOnly) conditions.push('active = 1');
 
         let sql = `
-            SELECT ufid, name, email, active, role,
-                   expected_hours_per_week as expectedHoursPerWeek,
-                   expected_days_per_week as expectedDaysPerWeek,
-                   added_date as addedDate,
-                   weekly_warning_streak as weeklyWarningStreak
+            SELECT ${STUDENT_COLUMNS}
             FROM students
         `;
 
-        if (activeOnly) {
-            sql += ' WHERE active = 1';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        if (this.sortsNamesInMemory()) {
+            const students = this.sqliteDb.all(sql).map(row => this.toStudent(row)).sort(byName);
+            return limit !== null ? students.slice(offset, offset + limit) : students;
         }
 
         sql += ' ORDER BY name ASC';
@@ -101,40 +380,38 @@ class DatabaseManager {
             sql += ` LIMIT ${limit} OFFSET ${offset}`;
         }
 
-        const rows = this.sqliteDb.all(sql);
-
-        return rows.map(row => ({
-            ...row,
-            active: Boolean(row.active),
-            role: (row.role || 'volunteer').toLowerCase(),
-            expectedHoursPerWeek: Number(row.expectedHoursPerWeek || 0),
-            expectedDaysPerWeek: Number(row.expectedDaysPerWeek || 0),
-            weeklyWarningStreak: Number(row.weeklyWarningStreak || 0)
-        }));
+        return this.sqliteDb.all(sql).map(row => this.toStudent(row));
     }
 
     /**
      * Get students with pagination and filtering
      * @param {number} offset - Offset for pagination
      * @param {number} limit - Number of records to return
-     * @param {Object} filters - { search, status }
+     * @param {Object} filters - { search, status, locationId }
      * @returns {Object} { students, totalCount }
      */
     getStudentsPaginated(offset, limit, filters = {}) {
         if (!this.isReady()) return { students: [], totalCount: 0 };
 
-        const { search = '', status = '' } = filters;
+        const { search = '', status = '', locationId = '' } = filters;
         let whereClause = '';
-        const conditions = [];
+        const conditions = [NOT_DELETED];
 
-        if (search) {
+        if (search && this.fieldCodec) {
+            conditions.push(this.encryptedSearchCondition(search));
+        } else if (search) {
             conditions.push(`(name LIKE '%${search.replace(/'/g, "''")}%' OR ufid LIKE '%${search.replace(/'/g, "''")}%' OR email LIKE '%${search.replace(/'/g, "''")}%')`);
         }
 
-        if (status === 'active') {
-            conditions.push('active = 1');
-        } else if (status === 'inactive') {
+        if (status === 'inactive') {
             conditions.push('active = 0');
+        } else if (status) {
+            conditions.push(`status = '${status.replace(/'/g, "''")}'`);
+        }
+
+        // Students with no locations listed belong to every location
+        if (locationId) {
+            conditions.push(`(locations IS NULL OR locations = '[]' OR locations LIKE '%"${locationId.replace(/['"%_]/g, '')}"%')`);
         }
 
         if (conditions.length > 0) {
@@ -145,33 +422,55 @@ class DatabaseManager {
         const countResult = this.sqliteDb.get(`SELECT COUNT(*) as count FROM students ${whereClause}`);
         const totalCount = countResult ? countResult.count : 0;
 
+        if (this.sortsNamesInMemory()) {
+            const all = this.sqliteDb.all(`SELECT ${STUDENT_COLUMNS} FROM students ${whereClause}`)
+                .map(row => this.toStudent(row))
+                .sort(byName);
+            return { students: all.slice(offset, offset + limit), totalCount };
+        }
+
         // Get paginated results
         const sql = `
-            SELECT ufid, name, email, active, role,
-                   expected_hours_per_week as expectedHoursPerWeek,
-                   expected_days_per_week as expectedDaysPerWeek,
-                   added_date as addedDate,
-                   weekly_warning_streak as weeklyWarningStreak
+            SELECT ${STUDENT_COLUMNS}
             FROM students
             ${whereClause}
             ORDER BY name ASC
             LIMIT ${limit} OFFSET ${offset}
         `;
 
-        const rows = this.sqliteDb.all(sql);
-
-        const students = rows.map(row => ({
-            ...row,
-            active: Boolean(row.active),
-            role: (row.role || 'volunteer').toLowerCase(),
-            expectedHoursPerWeek: Number(row.expectedHoursPerWeek || 0),
-            expectedDaysPerWeek: Number(row.expectedDaysPerWeek || 0),
-            weeklyWarningStreak: Number(row.weeklyWarningStreak || 0)
-        }));
+        const students = this.sqliteDb.all(sql).map(row => this.toStudent(row));
 
         return { students, totalCount };
     }
 
+    /**
+     * Search condition when fields are encrypted: UFID substring, plain
+     * columns as before, and encrypted names (start of any word) or emails
+     * (whole address) through their blind indexes
+     * @param {string} search
+     * @returns {string} SQL condition
+     */
+    encryptedSearchCondition(search) {
+        const codec = this.fieldCodec;
+        const like = value => `'%${String(value).replace(/'/g, "''")}%'`;
+        const options = [`ufid LIKE ${like(search)}`];
+
+        if (codec.encrypts('name')) {
+            const terms = codec.nameTerms(search);
+            if (terms.length) options.push(`(${terms.map(t => `name_index LIKE '% ${t} %'`).join(' AND ')})`);
+        } else {
+            options.push(`name LIKE ${like(search)}`);
+        }
+
+        if (codec.encrypts('email')) {
+            options.push(`email_index = '${codec.emailIndex(search)}'`);
+        } else {
+            options.push(`email LIKE ${like(search)}`);
+        }
+
+        return `(${options.join(' OR ')})`;
+    }
+
     /**
      * Get total student count
      * @param {boolean} activeOnly - Count only active students
@@ -181,8 +480,8 @@ class DatabaseManager {
         if (!this.isReady()) return 0;
 
         const sql = activeOnly
-            ? 'SELECT COUNT(*) as count FROM students WHERE active = 1'
-            : 'SELECT COUNT(*) as count FROM students';
+            ? `SELECT COUNT(*) as count FROM students WHERE active = 1 AND ${NOT_DELETED}`
+            : `SELECT COUNT(*) as count FROM students WHERE ${NOT_DELETED}`;
 
         const result = this.sqliteDb.get(sql);
         return result ? result.count : 0;
@@ -197,22 +496,33 @@ class DatabaseManager {
         if (!this.isReady()) return { success: false, error: 'Database not ready' };
 
         try {
+            const membership = normalizeMembership(student);
+            const fields = this.encodeStudentFields(student);
             this.sqliteDb.run(`
                 INSERT OR REPLACE INTO students (ufid, name, email, active, role,
                                      expected_hours_per_week, expected_days_per_week, added_date,
-                                     weekly_warning_streak)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                                     weekly_warning_streak, shifts, status, start_date, end_date, locations,
+                                     name_index, email_index)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 student.ufid,
-                student.name,
-                student.email || null,
-                student.active !== false ? 1 : 0,
+                fields.name,
+                fields.email,
+                membership.active ? 1 : 0,
                 (student.role || 'volunteer').toLowerCase(),
                 Number(student.expectedHoursPerWeek || 0),
                 Number(student.expectedDaysPerWeek || 0),
                 student.addedDate || new Date().toISOString(),
-                Number(student.weeklyWarningStreak || 0)
+                Number(student.weeklyWarningStreak || 0),
+                JSON.stringify(normalizeShifts(student.shifts)),
+                membership.status,
+                membership.startDate,
+                membership.endDate,
+                JSON.stringify(normalizeLocationIds(student.locations)),
+                fields.nameIndex,
+                fields.emailIndex
             ]);
+            this.touchFaces();
 
             return { success: true, student: this.getStudentByUfid(student.ufid) };
         } catch (error) {
@@ -242,7 +552,7 @@ class DatabaseManager {
     }
 
     /**
-     * Remove a student
+     * Move a student to the trash (their attendance history is kept)
      * @param {string} ufid - Student UFID
      * @returns {Object} { success }
      */
@@ -255,7 +565,51 @@ class DatabaseManager {
                 return { success: false, error: 'Student not found' };
             }
 
-            this.sqliteDb.run('DELETE FROM students WHERE ufid = ?', [ufid]);
+            this.sqliteDb.run('UPDATE students SET deleted_at = ? WHERE ufid = ?', [new Date().toISOString(), ufid]);
+            this.touchFaces();
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Bring a trashed student back onto the roster
+     * @param {string} ufid - Student UFID
+     * @returns {Object} { success, student }
+     */
+    restoreStudent(ufid) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.getStudentByUfid(ufid, { includeDeleted: true });
+            if (!existing || !existing.deletedAt) {
+                return { success: false, error: 'Student not found in trash' };
+            }
+
+            this.sqliteDb.run('UPDATE students SET deleted_at = NULL WHERE ufid = ?', [ufid]);
+            this.touchFaces();
+            return { success: true, student: this.getStudentByUfid(ufid) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permanently delete a trashed student (attendance rows are left alone)
+     * @param {string} ufid - Student UFID
+     * @returns {Object} { success }
+     */
+    purgeStudent(ufid) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.getStudentByUfid(ufid, { includeDeleted: true });
+            if (!existing || !existing.deletedAt) {
+                return { success: false, error: 'Student not found in trash' };
+            }
+
+            this.sqliteDb.run('DELETE FROM students WHERE ufid = ? AND deleted_at IS NOT NULL', [ufid]);
             return { success: true };
         } catch (error) {
             return { success: false, error: error.message };
@@ -284,7 +638,7 @@ class DatabaseManager {
 
         const row = this.sqliteDb.get(`
             SELECT action FROM attendance
-            WHERE ufid = ?
+            WHERE ufid = ? AND ${NOT_DELETED}
             ORDER BY timestamp DESC, id DESC
             LIMIT 1
         `, [ufid]);
@@ -309,22 +663,13 @@ class DatabaseManager {
         endDate.setHours(23, 59, 59, 999);
 
         const rows = this.sqliteDb.all(`
-            SELECT id, ufid, name, action, timestamp, synthetic,
-                   pending_timestamp as pendingTimestamp,
-                   pending_record_id as pendingRecordId,
-                   resolved_at as resolvedAt,
-                   auto_signout as autoSignout
+            SELECT ${ATTENDANCE_COLUMNS}
             FROM attendance
-            WHERE timestamp >= ? AND timestamp <= ?
+            WHERE timestamp >= ? AND timestamp <= ? AND ${NOT_DELETED}
             ORDER BY timestamp ASC, id ASC
         `, [startDate.toISOString(), endDate.toISOString()]);
 
-        return rows.map(row => ({
-            ...row,
-            synthetic: Boolean(row.synthetic),
-            pendingTimestamp: Boolean(row.pendingTimestamp),
-            autoSignout: Boolean(row.autoSignout)
-        }));
+        return rows.map(row => this.toAttendance(row));
     }
 
     getStudentAttendanceForRange(ufid, start, end) {
@@ -334,21 +679,12 @@ class DatabaseManager {
         startDate.setHours(0, 0, 0, 0);
         endDate.setHours(23, 59, 59, 999);
         const rows = this.sqliteDb.all(`
-            SELECT id, ufid, name, action, timestamp, synthetic,
-                   pending_timestamp as pendingTimestamp,
-                   pending_record_id as pendingRecordId,
-                   resolved_at as resolvedAt,
-                   auto_signout as autoSignout
+            SELECT ${ATTENDANCE_COLUMNS}
             FROM attendance
-            WHERE ufid = ? AND timestamp >= ? AND timestamp <= ?
+            WHERE ufid = ? AND timestamp >= ? AND timestamp <= ? AND ${NOT_DELETED}
             ORDER BY timestamp ASC, id ASC
         `, [ufid, startDate.toISOString(), endDate.toISOString()]);
-        return rows.map(row => ({
-            ...row,
-            synthetic: Boolean(row.synthetic),
-            pendingTimestamp: Boolean(row.pendingTimestamp),
-            autoSignout: Boolean(row.autoSignout)
-        }));
+        return rows.map(row => this.toAttendance(row));
     }
 
     /**
@@ -365,21 +701,18 @@ class DatabaseManager {
 
     /**
      * Get all attendance records with optional pagination
-     * @param {Object} options - { offset, limit }
+     * @param {Object} options - { offset, limit, includeDeleted }
      * @returns {Array} Attendance records
      */
     getAttendance(options = {}) {
         if (!this.isReady()) return [];
 
-        const { offset = 0, limit = null } = options;
+        const { offset = 0, limit = null, includeDeleted = false } = options;
 
         let sql = `
-            SELECT id, ufid, name, action, timestamp, synthetic,
-                   pending_timestamp as pendingTimestamp,
-                   pending_record_id as pendingRecordId,
-                   resolved_at as resolvedAt,
-                   auto_signout as autoSignout
+            SELECT ${ATTENDANCE_COLUMNS}
             FROM attendance
+            ${includeDeleted ? '' : `WHERE ${NOT_DELETED}`}
             ORDER BY timestamp ASC, id ASC
         `;
 
@@ -389,32 +722,29 @@ class DatabaseManager {
 
         const rows = this.sqliteDb.all(sql);
 
-        return rows.map(row => ({
-            ...row,
-            synthetic: Boolean(row.synthetic),
-            pendingTimestamp: Boolean(row.pendingTimestamp),
-            autoSignout: Boolean(row.autoSignout)
-        }));
+        return rows.map(row => this.toAttendance(row));
     }
 
     /**
      * Get attendance records with pagination and filtering
      * @param {number} offset - Offset for pagination
      * @param {number} limit - Number of records to return
-     * @param {Object} filters - { ufid, date, action }
+     * @param {Object} filters - { ufid, date, start, end, action, locationId } (start/end take precedence over date)
      * @returns {Object} { records, totalCount }
      */
     getAttendancePaginated(offset, limit, filters = {}) {
         if (!this.isReady()) return { records: [], totalCount: 0 };
 
-        const { ufid = '', date = null, action = '' } = filters;
-        const conditions = [];
+        const { ufid = '', date = null, start = null, end = null, action = '', locationId = '' } = filters;
+        const conditions = [NOT_DELETED];
 
         if (ufid) {
             conditions.push(`ufid = '${ufid.replace(/'/g, "''")}'`);
         }
 
-        if (date) {
+        if (start && end) {
+            conditions.push(`timestamp >= '${new Date(start).toISOString()}' AND timestamp <= '${new Date(end).toISOString()}'`);
+        } else if (date) {
             const targetDate = new Date(date);
             const dayStart = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 0, 0, 0, 0);
             const dayEnd = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 23, 59, 59, 999);
@@ -425,6 +755,10 @@ class DatabaseManager {
             conditions.push(`action = '${action}'`);
         }
 
+        if (locationId) {
+            conditions.push(`location_id = '${locationId.replace(/'/g, "''")}'`);
+        }
+
         const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
 
         // Get total count
@@ -433,11 +767,7 @@ class DatabaseManager {
 
         // Get paginated results
         const sql = `
-            SELECT id, ufid, name, action, timestamp, synthetic,
-                   pending_timestamp as pendingTimestamp,
-                   pending_record_id as pendingRecordId,
-                   resolved_at as resolvedAt,
-                   auto_signout as autoSignout
+            SELECT ${ATTENDANCE_COLUMNS}
             FROM attendance
             ${whereClause}
             ORDER BY timestamp DESC, id DESC
@@ -446,12 +776,7 @@ class DatabaseManager {
 
         const rows = this.sqliteDb.all(sql);
 
-        const records = rows.map(row => ({
-            ...row,
-            synthetic: Boolean(row.synthetic),
-            pendingTimestamp: Boolean(row.pendingTimestamp),
-            autoSignout: Boolean(row.autoSignout)
-        }));
+        const records = rows.map(row => this.toAttendance(row));
 
         return { records, totalCount };
     }
@@ -463,7 +788,7 @@ class DatabaseManager {
     getAttendanceCount() {
         if (!this.isReady()) return 0;
 
-        const result = this.sqliteDb.get('SELECT COUNT(*) as count FROM attendance');
+        const result = this.sqliteDb.get(`SELECT COUNT(*) as count FROM attendance WHERE ${NOT_DELETED}`);
         return result ? result.count : 0;
     }
 
@@ -477,32 +802,46 @@ class DatabaseManager {
 
         try {
             const id = record.id || Date.now();
-
-            this.sqliteDb.run(`
-                INSERT INTO attendance (id, ufid, name, action, timestamp, synthetic,
-                                        pending_timestamp, pending_record_id, resolved_at, auto_signout)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            const uid = record.uid || `legacy-${id}`;
+            const timestamp = record.timestamp || new Date().toISOString();
+
+            this.getDb().run(`
+                INSERT INTO attendance (id, uid, ufid, name, action, timestamp, synthetic,
+                                        pending_timestamp, pending_record_id, resolved_at, auto_signout,
+                                        present_only, correction, correction_request_id, approved_by,
+                                        correction_reason, location_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 id,
+                uid,
                 record.ufid,
-                record.name || null,
+                this.encodeField('name', record.name || null),
                 record.action,
-                record.timestamp || new Date().toISOString(),
+                timestamp,
                 record.synthetic ? 1 : 0,
                 record.pendingTimestamp ? 1 : 0,
                 record.pendingRecordId || null,
                 record.resolvedAt || null,
-                record.autoSignout ? 1 : 0
+                record.autoSignout ? 1 : 0,
+                record.presentOnly ? 1 : 0,
+                record.correction ? 1 : 0,
+                record.correctionRequestId || null,
+                record.approvedBy || null,
+                record.correctionReason || null,
+                record.locationId || null
             ]);
 
-            return { success: true, record: { ...record, id } };
+            this.repairSessionsSince(record.ufid, timestamp);
+            this.sqliteDb.save();
+
+            return { success: true, record: { ...record, id, uid } };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Delete an attendance record
+     * Move an attendance record to the trash
      * @param {number} recordId - Record ID
      * @returns {Object} { success }
      */
@@ -515,13 +854,80 @@ class DatabaseManager {
                 return { success: false, error: 'Record not found' };
             }
 
-            this.sqliteDb.run('DELETE FROM attendance WHERE id = ?', [recordId]);
+            this.getDb().run('UPDATE attendance SET deleted_at = ? WHERE id = ?', [new Date().toISOString(), recordId]);
+            this.repairSessionsSince(existing.ufid, existing.timestamp);
+            this.sqliteDb.save();
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Bring a trashed attendance record back
+     * @param {number} recordId - Record ID
+     * @returns {Object} { success, record }
+     */
+    restoreAttendanceRecord(recordId) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.getAttendanceById(recordId, { includeDeleted: true });
+            if (!existing || !existing.deletedAt) {
+                return { success: false, error: 'Record not found in trash' };
+            }
+
+            this.getDb().run('UPDATE attendance SET deleted_at = NULL WHERE id = ?', [recordId]);
+            this.repairSessionsSince(existing.ufid, existing.timestamp);
+            this.sqliteDb.save();
+            return { success: true, record: this.getAttendanceById(recordId) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permanently delete a trashed attendance record
+     * @param {number} recordId - Record ID
+     * @returns {Object} { success }
+     */
+    purgeAttendanceRecord(recordId) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.getAttendanceById(recordId, { includeDeleted: true });
+            if (!existing || !existing.deletedAt) {
+                return { success: false, error: 'Record not found in trash' };
+            }
+
+            this.sqliteDb.run('DELETE FROM attendance WHERE id = ? AND deleted_at IS NOT NULL', [recordId]);
             return { success: true };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Everything currently in the trash, most recently deleted first
+     * @returns {Object} { students, attendance }
+     */
+    getTrash() {
+        if (!this.isReady()) return { students: [], attendance: [] };
+
+        const students = this.sqliteDb.all(`
+            SELECT ${STUDENT_COLUMNS} FROM students
+            WHERE deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC
+        `).map(row => this.toStudent(row));
+        const attendance = this.sqliteDb.all(`
+            SELECT ${ATTENDANCE_COLUMNS} FROM attendance
+            WHERE deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC, id DESC
+        `).map(row => this.toAttendance(row));
+
+        return { students, attendance };
+    }
+
     /**
      * Update attendance record by pending ID
      * @param {string} pendingRecordId - Pending record ID
@@ -534,7 +940,7 @@ class DatabaseManager {
         try {
             // Find the record
             const existing = this.sqliteDb.get(`
-                SELECT * FROM attendance WHERE pending_record_id = ?
+                SELECT * FROM attendance WHERE pending_record_id = ? AND ${NOT_DELETED}
             `, [pendingRecordId]);
 
             if (!existing) {
@@ -542,18 +948,26 @@ class DatabaseManager {
             }
 
             // Update the record
-            this.sqliteDb.run(`
+            const timestamp = updates.timestamp || existing.timestamp;
+            this.getDb().run(`
                 UPDATE attendance
                 SET timestamp = ?,
                     pending_timestamp = 0,
-                    resolved_at = ?
+                    resolved_at = ?,
+                    synthetic = ?,
+                    present_only = ?
                 WHERE pending_record_id = ?
             `, [
-                updates.timestamp || existing.timestamp,
+                timestamp,
                 updates.resolvedAt || new Date().toISOString(),
+                updates.synthetic !== undefined ? (updates.synthetic ? 1 : 0) : existing.synthetic,
+                updates.presentOnly !== undefined ? (updates.presentOnly ? 1 : 0) : (existing.present_only || 0),
                 pendingRecordId
             ]);
 
+            this.repairSessionsSince(existing.ufid, timestamp < existing.timestamp ? timestamp : existing.timestamp);
+            this.sqliteDb.save();
+
             return {
                 success: true,
                 record: this.getAttendanceById(existing.id)
@@ -566,28 +980,20 @@ class DatabaseManager {
     /**
      * Get attendance record by ID
      * @param {number} id - Record ID
+     * @param {Object} options - { includeDeleted } (trashed records are skipped by default)
      * @returns {Object|null} Record or null
      */
-    getAttendanceById(id) {
+    getAttendanceById(id, options = {}) {
         if (!this.isReady()) return null;
 
         const row = this.sqliteDb.get(`
-            SELECT id, ufid, name, action, timestamp, synthetic,
-                   pending_timestamp as pendingTimestamp,
-                   pending_record_id as pendingRecordId,
-                   resolved_at as resolvedAt,
-                   auto_signout as autoSignout
-            FROM attendance WHERE id = ?
+            SELECT ${ATTENDANCE_COLUMNS}
+            FROM attendance WHERE id = ? ${options.includeDeleted ? '' : `AND ${NOT_DELETED}`}
         `, [id]);
 
         if (!row) return null;
 
-        return {
-            ...row,
-            synthetic: Boolean(row.synthetic),
-            pendingTimestamp: Boolean(row.pendingTimestamp),
-            autoSignout: Boolean(row.autoSignout)
-        };
+        return this.toAttendance(row);
     }
 
     /**
@@ -603,21 +1009,24 @@ class DatabaseManager {
         const dayEnd = new Date(target.getFullYear(), target.getMonth(), target.getDate(), 23, 59, 59, 999);
 
         // Use a subquery to find open sessions efficiently
-        return this.sqliteDb.all(`
+        const rows = this.sqliteDb.all(`
             SELECT a.id, a.ufid, a.name, a.action, a.timestamp
             FROM attendance a
             WHERE a.action = 'signin'
+              AND a.deleted_at IS NULL
               AND a.timestamp >= ?
               AND a.timestamp <= ?
               AND NOT EXISTS (
                   SELECT 1 FROM attendance b
                   WHERE b.ufid = a.ufid
+                    AND b.deleted_at IS NULL
                     AND b.action = 'signout'
                     AND b.timestamp >= a.timestamp
                     AND b.timestamp <= ?
               )
             ORDER BY a.timestamp DESC
         `, [dayStart.toISOString(), dayEnd.toISOString(), dayEnd.toISOString()]);
+        return rows.map(row => ({ ...row, name: this.decodeField(row.name) }));
     }
 
     /**
@@ -634,7 +1043,7 @@ class DatabaseManager {
         for (const student of students) {
             const lastAction = this.sqliteDb.get(`
                 SELECT action, timestamp FROM attendance
-                WHERE ufid = ?
+                WHERE ufid = ? AND ${NOT_DELETED}
                 ORDER BY timestamp DESC, id DESC
                 LIMIT 1
             `, [student.ufid]);
@@ -670,74 +1079,649 @@ class DatabaseManager {
         return { success: true, count };
     }
 
-    // ==================== BULK OPERATIONS ====================
+    // ==================== SESSION OPERATIONS ====================
 
     /**
-     * Import students from array (for migration)
-     * @param {Array} students - Array of student objects
-     * @returns {Object} { success, imported, errors }
+     * Replace the stored sessions for the given students with freshly paired ones.
+     * Sessions are derived data: attendance stays the source of truth. Rows
+     * are left for the caller to save.
+     * @param {Array<string>|null} ufids - Students to rebuild, or null for everyone
+     * @returns {number} Number of sessions written
      */
-    importStudents(students) {
-        if (!this.isReady()) return { success: false, error: 'Database not ready' };
-
-        let imported = 0;
-        const errors = [];
-
-        for (const s of students) {
-            try {
-                this.sqliteDb.run(`
-                    INSERT OR REPLACE INTO students (ufid, name, email, active, role,
-                                                    expected_hours_per_week, expected_days_per_week, added_date,
-                                                    weekly_warning_streak)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    s.ufid,
-                    s.name,
-                    s.email || null,
-                    s.active !== false ? 1 : 0,
-                    (s.role || 'volunteer').toLowerCase(),
-                    Number(s.expectedHoursPerWeek || 0),
-                    Number(s.expectedDaysPerWeek || 0),
-                    s.addedDate || new Date().toISOString(),
-                    Number(s.weeklyWarningStreak || 0)
-                ]);
-                imported++;
-            } catch (error) {
-                errors.push({ ufid: s.ufid, error: error.message });
+    writeSessions(ufids) {
+        const db = this.getDb();
+        let records;
+
+        if (ufids === null) {
+            db.run('DELETE FROM sessions');
+            records = this.getAttendance();
+        } else {
+            records = [];
+            for (const ufid of ufids) {
+                db.run('DELETE FROM sessions WHERE ufid = ?', [ufid]);
+                records.push(...this.sqliteDb.all(`
+                    SELECT ${ATTENDANCE_COLUMNS}
+                    FROM attendance WHERE ufid = ? AND ${NOT_DELETED}
+                `, [ufid]).map(row => this.toAttendance(row)));
             }
         }
 
-        return { success: errors.length === 0, imported, errors };
+        return this.insertSessions(pairSessions(records));
     }
 
     /**
-     * Import attendance records from array (for migration)
-     * @param {Array} records - Array of attendance records
-     * @returns {Object} { success, imported, errors }
+     * Re-pair one student's sessions after an attendance change at `since`.
+     * Nothing is open after a closing sign-out, so only the sessions after
+     * the last one closed before `since` can change and are re-paired; the
+     * rest of the history is left alone. Rows are left for the caller to save.
+     * @param {string} ufid - Student UFID
+     * @param {string} since - ISO time of the earliest event the change touched
+     * @returns {number} Number of sessions written
      */
-    importAttendance(records) {
-        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+    repairSessionsSince(ufid, since) {
+        const boundary = this.sqliteDb.get(`
+            SELECT MAX(signout_at) AS at FROM sessions
+            WHERE ufid = ? AND signout_at IS NOT NULL AND signout_at < ?
+        `, [ufid, since]).at;
+        if (!boundary) return this.writeSessions([ufid]);
+
+        this.getDb().run('DELETE FROM sessions WHERE ufid = ? AND signin_at > ?', [ufid, boundary]);
+        const records = this.sqliteDb.all(`
+            SELECT ${ATTENDANCE_COLUMNS}
+            FROM attendance WHERE ufid = ? AND timestamp > ? AND ${NOT_DELETED}
+        `, [ufid, boundary]).map(row => this.toAttendance(row));
+        return this.insertSessions(pairSessions(records));
+    }
 
-        let imported = 0;
-        const errors = [];
+    // Store paired sessions (see writeSessions); returns how many
+    insertSessions(sessions) {
+        const db = this.getDb();
+        for (const s of sessions) {
+            db.run(`
+                INSERT INTO sessions (ufid, signin_id, signout_id, signin_at, signout_at, source,
+                                      synthetic, present_only, pending, pending_record_id, location_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                s.ufid,
+                s.signinId,
+                s.signoutId,
+                s.in,
+                s.out,
+                s.source,
+                s.synthetic ? 1 : 0,
+                s.presentOnly ? 1 : 0,
+                s.pending ? 1 : 0,
+                s.pendingRecordId,
+                s.locationId
+            ]);
+        }
+        return sessions.length;
+    }
 
-        for (const r of records) {
-            try {
-                this.sqliteDb.run(`
-                    INSERT OR REPLACE INTO attendance (id, ufid, name, action, timestamp, synthetic,
-                                                       pending_timestamp, pending_record_id, resolved_at, auto_signout)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    r.id,
-                    r.ufid,
-                    r.name || null,
-                    r.action,
-                    r.timestamp,
+    /**
+     * Re-pair one student's attendance into the sessions table
+     * @param {string} ufid - Student UFID
+     * @returns {Object} { success, count }
+     */
+    rebuildSessionsForStudent(ufid) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const count = this.writeSessions([ufid]);
+            this.sqliteDb.save();
+            return { success: true, count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Rebuild the whole sessions table from attendance
+     * @returns {Object} { success, count }
+     */
+    rebuildAllSessions() {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const count = this.writeSessions(null);
+            this.sqliteDb.save();
+            return { success: true, count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get sessions overlapping a time window (open sessions overlap any later window)
+     * @param {Object} options - { start, end, ufid, locationId } (all optional)
+     * @returns {Array} Sessions sorted by sign-in time
+     */
+    getSessions(options = {}) {
+        if (!this.isReady()) return [];
+
+        const { start = null, end = null, ufid = null, locationId = null } = options;
+        const conditions = [];
+        const params = [];
+
+        if (ufid) {
+            conditions.push('s.ufid = ?');
+            params.push(ufid);
+        }
+        if (locationId) {
+            conditions.push('s.location_id = ?');
+            params.push(locationId);
+        }
+        if (end) {
+            conditions.push('s.signin_at <= ?');
+            params.push(new Date(end).toISOString());
+        }
+        if (start) {
+            conditions.push('(s.signout_at IS NULL OR s.signout_at >= ?)');
+            params.push(new Date(start).toISOString());
+        }
+
+        const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        const rows = this.sqliteDb.all(`
+            SELECT s.ufid, a.name,
+                   s.signin_id as signinId,
+                   s.signout_id as signoutId,
+                   s.signin_at as "in",
+                   s.signout_at as "out",
+                   s.source, s.synthetic,
+                   s.present_only as presentOnly,
+                   s.pending,
+                   s.pending_record_id as pendingRecordId,
+                   s.location_id as locationId
+            FROM sessions s
+            LEFT JOIN attendance a ON a.id = s.signin_id
+            ${whereClause}
+            ORDER BY s.signin_at ASC, s.signin_id ASC
+        `, params);
+
+        return rows.map(row => ({
+            ...row,
+            name: this.decodeField(row.name),
+            synthetic: Boolean(row.synthetic),
+            presentOnly: Boolean(row.presentOnly),
+            pending: Boolean(row.pending)
+        }));
+    }
+
+    /**
+     * Get total session count
+     * @returns {number}
+     */
+    getSessionCount() {
+        if (!this.isReady()) return 0;
+
+        const result = this.sqliteDb.get('SELECT COUNT(*) as count FROM sessions');
+        return result ? result.count : 0;
+    }
+
+    // ==================== CLOSURE OPERATIONS ====================
+
+    /**
+     * Get lab closures, optionally limited to a date range
+     * @param {Object} options - { start, end } as 'YYYY-MM-DD' (inclusive, optional)
+     * @returns {Array} Closures sorted by date
+     */
+    getClosures(options = {}) {
+        if (!this.isReady()) return [];
+
+        const { start = null, end = null } = options;
+        const conditions = [];
+        const params = [];
+
+        if (start) {
+            conditions.push('date >= ?');
+            params.push(start);
+        }
+        if (end) {
+            conditions.push('date <= ?');
+            params.push(end);
+        }
+
+        const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        return this.sqliteDb.all(`
+            SELECT id, date, name, source, uid, created_at as createdAt
+            FROM closures
+            ${whereClause}
+            ORDER BY date ASC
+        `, params);
+    }
+
+    /**
+     * Insert a closure date, or rename it if the date is already closed
+     * @param {Object} closure - { date, name, source, uid }
+     * @returns {Object} { success }
+     */
+    upsertClosure(closure) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            this.sqliteDb.run(`
+                INSERT INTO closures (date, name, source, uid, created_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(date) DO UPDATE SET name = excluded.name, source = excluded.source, uid = excluded.uid
+            `, [
+                closure.date,
+                closure.name || 'Closed',
+                closure.source || 'manual',
+                closure.uid || null,
+                closure.createdAt || new Date().toISOString()
+            ]);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a closure by id
+     * @param {number} id - Closure id
+     * @returns {Object} { success }
+     */
+    deleteClosure(id) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.sqliteDb.get('SELECT id FROM closures WHERE id = ?', [id]);
+            if (!existing) return { success: false, error: 'Closure not found' };
+            this.sqliteDb.run('DELETE FROM closures WHERE id = ?', [id]);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== TERM OPERATIONS ====================
+
+    /**
+     * Get all academic terms
+     * @returns {Array} Terms sorted by start date
+     */
+    getTerms() {
+        if (!this.isReady()) return [];
+
+        return this.sqliteDb.all(`
+            SELECT id, name, start_date as startDate, end_date as endDate,
+                   default_expectations as defaultExpectations, created_at as createdAt
+            FROM terms
+            ORDER BY start_date ASC
+        `).map(row => ({ ...row, defaultExpectations: normalizeDefaultExpectations(row.defaultExpectations) }));
+    }
+
+    /**
+     * Insert a term, or update it when it has an id
+     * @param {Object} term - { id, name, startDate, endDate, defaultExpectations }
+     * @returns {Object} { success, term }
+     */
+    upsertTerm(term) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const params = [
+                term.name,
+                term.startDate,
+                term.endDate,
+                JSON.stringify(normalizeDefaultExpectations(term.defaultExpectations))
+            ];
+            let id = term.id;
+            if (id) {
+                if (!this.sqliteDb.get('SELECT id FROM terms WHERE id = ?', [id])) {
+                    return { success: false, error: 'Term not found' };
+                }
+                this.sqliteDb.run(`
+                    UPDATE terms SET name = ?, start_date = ?, end_date = ?, default_expectations = ?
+                    WHERE id = ?
+                `, [...params, id]);
+            } else {
+                this.sqliteDb.run(`
+                    INSERT INTO terms (name, start_date, end_date, default_expectations, created_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [...params, new Date().toISOString()]);
+                id = this.sqliteDb.get('SELECT MAX(id) as id FROM terms').id;
+            }
+            return { success: true, term: this.getTerms().find(t => t.id === id) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a term and the per-student expectations set for it
+     * @param {number} id - Term id
+     * @returns {Object} { success }
+     */
+    deleteTerm(id) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            if (!this.sqliteDb.get('SELECT id FROM terms WHERE id = ?', [id])) {
+                return { success: false, error: 'Term not found' };
+            }
+            this.sqliteDb.run('DELETE FROM student_term_expectations WHERE term_id = ?', [id]);
+            this.sqliteDb.run('DELETE FROM terms WHERE id = ?', [id]);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Per-student expectation overrides, optionally for one term
+     * @param {number|null} termId
+     * @returns {Array} [{ ufid, termId, expectedHoursPerWeek, expectedDaysPerWeek }]
+     */
+    getStudentTermExpectations(termId = null) {
+        if (!this.isReady()) return [];
+
+        return this.sqliteDb.all(`
+            SELECT ufid, term_id as termId,
+                   expected_hours_per_week as expectedHoursPerWeek,
+                   expected_days_per_week as expectedDaysPerWeek
+            FROM student_term_expectations
+            ${termId != null ? 'WHERE term_id = ?' : ''}
+        `, termId != null ? [termId] : []);
+    }
+
+    /**
+     * Set (or clear, with null) a student's expectations for a term
+     * @param {string} ufid
+     * @param {number} termId
+     * @param {Object|null} expectation - { expectedHoursPerWeek, expectedDaysPerWeek }
+     * @returns {Object} { success }
+     */
+    setStudentTermExpectation(ufid, termId, expectation) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            if (!expectation) {
+                this.sqliteDb.run('DELETE FROM student_term_expectations WHERE ufid = ? AND term_id = ?', [ufid, termId]);
+                return { success: true };
+            }
+            this.sqliteDb.run(`
+                INSERT OR REPLACE INTO student_term_expectations
+                    (ufid, term_id, expected_hours_per_week, expected_days_per_week)
+                VALUES (?, ?, ?, ?)
+            `, [ufid, termId, Number(expectation.expectedHoursPerWeek || 0), Number(expectation.expectedDaysPerWeek || 0)]);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== LOCATION OPERATIONS ====================
+
+    /**
+     * Get all locations
+     * @returns {Array} Locations sorted by name
+     */
+    getLocations() {
+        if (!this.isReady()) return [];
+
+        return this.sqliteDb.all(`
+            SELECT id, name, sheet_name as sheetName, created_at as createdAt
+            FROM locations
+            ORDER BY name ASC
+        `).map(row => ({ ...row, sheetName: row.sheetName || '' }));
+    }
+
+    /**
+     * Insert or update a location
+     * @param {Object} location - { id, name, sheetName }
+     * @returns {Object} { success, location }
+     */
+    upsertLocation(location) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const existing = this.sqliteDb.get('SELECT created_at FROM locations WHERE id = ?', [location.id]);
+            this.sqliteDb.run(`
+                INSERT OR REPLACE INTO locations (id, name, sheet_name, created_at)
+                VALUES (?, ?, ?, ?)
+            `, [
+                location.id,
+                location.name,
+                location.sheetName || null,
+                existing ? existing.created_at : new Date().toISOString()
+            ]);
+            return { success: true, location: this.getLocations().find(l => l.id === location.id) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a location and drop it from students' location lists.
+     * Attendance rows keep their location id for history.
+     * @param {string} id - Location id
+     * @returns {Object} { success, studentsUpdated }
+     */
+    deleteLocation(id) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            if (!this.sqliteDb.get('SELECT id FROM locations WHERE id = ?', [id])) {
+                return { success: false, error: 'Location not found' };
+            }
+
+            let studentsUpdated = 0;
+            const rows = this.sqliteDb.all('SELECT ufid, locations FROM students WHERE locations LIKE ?', [`%"${id}"%`]);
+            for (const row of rows) {
+                const remaining = normalizeLocationIds(row.locations).filter(l => l !== id);
+                this.sqliteDb.run('UPDATE students SET locations = ? WHERE ufid = ?', [JSON.stringify(remaining), row.ufid]);
+                studentsUpdated++;
+            }
+
+            this.sqliteDb.run('DELETE FROM locations WHERE id = ?', [id]);
+            return { success: true, studentsUpdated };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==================== AUDIT LOG OPERATIONS ====================
+
+    /**
+     * Append an audit entry (an entry whose uid is already logged, e.g. a
+     * re-imported web admin entry, is skipped)
+     * @param {Object} entry - Normalized entry from audit.js createAuditEntry
+     * @returns {Object} { success, inserted }
+     */
+    addAuditEntry(entry) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            if (this.sqliteDb.get('SELECT id FROM audit_log WHERE uid = ?', [entry.uid])) {
+                return { success: true, inserted: false };
+            }
+            this.sqliteDb.run(`
+                INSERT INTO audit_log (uid, timestamp, actor, actor_name, action, entity_type,
+                                                 entity_id, before_json, after_json, reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.uid,
+                entry.timestamp,
+                entry.actor,
+                entry.actorName || null,
+                entry.action,
+                entry.entityType,
+                entry.entityId != null ? String(entry.entityId) : null,
+                entry.before != null ? JSON.stringify(entry.before) : null,
+                entry.after != null ? JSON.stringify(entry.after) : null,
+                entry.reason || null
+            ]);
+            return { success: true, inserted: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get audit entries, newest first
+     * @param {Object} filters - { actor, entityType, action, entityId, search, start, end, offset, limit }
+     *                           (start/end are ISO timestamps, end exclusive)
+     * @returns {Object} { entries, totalCount }
+     */
+    getAuditLog(filters = {}) {
+        if (!this.isReady()) return { entries: [], totalCount: 0 };
+
+        const conditions = [];
+        const params = [];
+
+        if (filters.actor) {
+            conditions.push('actor = ?');
+            params.push(filters.actor);
+        }
+        if (filters.entityType) {
+            conditions.push('entity_type = ?');
+            params.push(filters.entityType);
+        }
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.entityId) {
+            conditions.push('entity_id = ?');
+            params.push(String(filters.entityId));
+        }
+        if (filters.search) {
+            conditions.push('(entity_id LIKE ? OR actor_name LIKE ? OR reason LIKE ? OR before_json LIKE ? OR after_json LIKE ?)');
+            const term = `%${filters.search}%`;
+            params.push(term, term, term, term, term);
+        }
+        if (filters.start) {
+            conditions.push('timestamp >= ?');
+            params.push(filters.start);
+        }
+        if (filters.end) {
+            conditions.push('timestamp < ?');
+            params.push(filters.end);
+        }
+
+        const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        const countResult = this.sqliteDb.get(`SELECT COUNT(*) as total FROM audit_log ${whereClause}`, params);
+        const limitClause = filters.limit ? 'LIMIT ? OFFSET ?' : '';
+        const pageParams = filters.limit ? [...params, filters.limit, filters.offset || 0] : params;
+
+        const rows = this.sqliteDb.all(`
+            SELECT id, uid, timestamp, actor, actor_name as actorName, action,
+                   entity_type as entityType, entity_id as entityId,
+                   before_json as beforeJson, after_json as afterJson, reason
+            FROM audit_log
+            ${whereClause}
+            ORDER BY timestamp DESC, id DESC
+            ${limitClause}
+        `, pageParams);
+
+        const entries = rows.map(({ beforeJson, afterJson, ...row }) => ({
+            ...row,
+            before: beforeJson ? JSON.parse(beforeJson) : null,
+            after: afterJson ? JSON.parse(afterJson) : null
+        }));
+
+        return { entries, totalCount: countResult ? countResult.total : 0 };
+    }
+
+    // ==================== BULK OPERATIONS ====================
+
+    /**
+     * Import students from array (for migration)
+     * @param {Array} students - Array of student objects
+     * @returns {Object} { success, imported, errors }
+     */
+    importStudents(students) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        let imported = 0;
+        const errors = [];
+        const db = this.getDb();
+
+        for (const s of students) {
+            try {
+                const membership = normalizeMembership(s);
+                const fields = this.encodeStudentFields(s);
+                db.run(`
+                    INSERT OR REPLACE INTO students (ufid, name, email, active, role,
+                                                    expected_hours_per_week, expected_days_per_week, added_date,
+                                                    weekly_warning_streak, shifts, status, start_date, end_date,
+                                                    locations, deleted_at, name_index, email_index)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    s.ufid,
+                    fields.name,
+                    fields.email,
+                    membership.active ? 1 : 0,
+                    (s.role || 'volunteer').toLowerCase(),
+                    Number(s.expectedHoursPerWeek || 0),
+                    Number(s.expectedDaysPerWeek || 0),
+                    s.addedDate || new Date().toISOString(),
+                    Number(s.weeklyWarningStreak || 0),
+                    JSON.stringify(normalizeShifts(s.shifts)),
+                    membership.status,
+                    membership.startDate,
+                    membership.endDate,
+                    JSON.stringify(normalizeLocationIds(s.locations)),
+                    s.deletedAt || null,
+                    fields.nameIndex,
+                    fields.emailIndex
+                ]);
+                imported++;
+            } catch (error) {
+                errors.push({ ufid: s.ufid, error: error.message });
+            }
+        }
+
+        if (imported > 0) {
+            this.touchFaces();
+            this.sqliteDb.save();
+        }
+
+        return { success: errors.length === 0, imported, errors };
+    }
+
+    /**
+     * Import attendance records from array (for migration)
+     * @param {Array} records - Array of attendance records
+     * @returns {Object} { success, imported, errors }
+     */
+    importAttendance(records) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        let imported = 0;
+        const errors = [];
+
+        for (const r of records) {
+            try {
+                this.sqliteDb.run(`
+                    INSERT OR REPLACE INTO attendance (id, uid, ufid, name, action, timestamp, synthetic,
+                                                       pending_timestamp, pending_record_id, resolved_at, auto_signout,
+                                                       present_only, correction, correction_request_id, approved_by,
+                                                       correction_reason, location_id, deleted_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    r.id,
+                    r.uid || `legacy-${r.id}`,
+                    r.ufid,
+                    this.encodeField('name', r.name || null),
+                    r.action,
+                    r.timestamp,
                     r.synthetic ? 1 : 0,
                     r.pendingTimestamp ? 1 : 0,
                     r.pendingRecordId || null,
                     r.resolvedAt || null,
-                    r.autoSignout ? 1 : 0
+                    r.autoSignout ? 1 : 0,
+                    r.presentOnly ? 1 : 0,
+                    r.correction ? 1 : 0,
+                    r.correctionRequestId || null,
+                    r.approvedBy || null,
+                    r.correctionReason || null,
+                    r.locationId || null,
+                    r.deletedAt || null
                 ]);
                 imported++;
             } catch (error) {
@@ -745,6 +1729,8 @@ class DatabaseManager {
             }
         }
 
+        this.rebuildAllSessions();
+
         return { success: errors.length === 0, imported, errors };
     }
 
@@ -753,7 +1739,7 @@ class DatabaseManager {
      * @returns {Array} Students array
      */
     exportStudents() {
-        return this.getStudents();
+        return this.getStudents({ includeDeleted: true });
     }
 
     /**
@@ -761,7 +1747,7 @@ class DatabaseManager {
      * @returns {Array} Attendance array
      */
     exportAttendance() {
-        return this.getAttendance();
+        return this.getAttendance({ includeDeleted: true });
     }
 
     /**
@@ -773,9 +1759,11 @@ class DatabaseManager {
         if (!this.isReady()) return { success: false, error: 'Database not ready' };
 
         try {
+            this.sqliteDb.run('DELETE FROM sessions');
             this.sqliteDb.run('DELETE FROM attendance');
             this.sqliteDb.run('DELETE FROM students');
-            return { success: true, cleared: { students: true, attendance: true } };
+            this.touchFaces();
+            return { success: true, cleared: { students: true, attendance: true, sessions: true } };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -800,17 +1788,20 @@ class DatabaseManager {
     // ==================== FACE DESCRIPTOR OPERATIONS ====================
 
     /**
-     * Save face descriptor for a student
+     * Save face descriptor for a student, with the match threshold its
+     * samples give (see faceMatcher.js). A new enrollment starts a new
+     * refresh gallery.
      * @param {string} ufid
-     * @param {number[]} descriptor - 128-dim float array
+     * @param {Array} descriptor - one embedding or a list of enrollment samples
      */
     saveFaceDescriptor(ufid, descriptor) {
         if (!this.isReady()) return false;
-        const json = JSON.stringify(Array.from(descriptor));
-        this.sqliteDb.run(
-            'UPDATE students SET face_descriptor = ? WHERE ufid = ?',
-            [json, ufid]
-        );
+        this.getDb().run(`
+            UPDATE students SET face_descriptor = ?, face_threshold = ?, face_gallery = NULL,
+                face_enrolled_at = ?, face_refreshed_at = NULL, face_refresh_count = 0
+            WHERE ufid = ?
+        `, [this.encodeDescriptor(descriptor), enrollmentThreshold(descriptor), new Date().toISOString(), ufid]);
+        this.touchFaces();
         this.sqliteDb.save();
         return true;
     }
@@ -827,38 +1818,243 @@ class DatabaseManager {
             [ufid]
         );
         if (!row || !row.face_descriptor) return null;
-        return JSON.parse(row.face_descriptor);
+        return this.readDescriptor(row.face_descriptor);
+    }
+
+    /**
+     * A student's enrollment samples with their refresh gallery
+     * @param {string} ufid
+     * @returns {Object|null} { descriptor, gallery, threshold, enrolledAt,
+     *   refreshedAt, refreshCount }, null when not enrolled or undecryptable
+     */
+    getFaceTemplate(ufid) {
+        if (!this.isReady()) return null;
+        const row = this.sqliteDb.get(`
+            SELECT face_descriptor, face_gallery, face_threshold, face_enrolled_at, face_refreshed_at, face_refresh_count
+            FROM students WHERE ufid = ?
+        `, [ufid]);
+        const descriptor = row && row.face_descriptor ? this.readDescriptor(row.face_descriptor) : null;
+        if (!descriptor) return null;
+        return {
+            descriptor,
+            gallery: row.face_gallery ? this.readDescriptor(row.face_gallery) || [] : [],
+            threshold: row.face_threshold,
+            enrolledAt: row.face_enrolled_at,
+            refreshedAt: row.face_refreshed_at,
+            refreshCount: row.face_refresh_count || 0
+        };
+    }
+
+    /**
+     * Replace a student's refresh gallery and count the refresh
+     * @param {string} ufid
+     * @param {Array<number[]>} gallery - recent embeddings, oldest first
+     */
+    saveFaceGallery(ufid, gallery) {
+        if (!this.isReady()) return false;
+        this.getDb().run(`
+            UPDATE students SET face_gallery = ?, face_refreshed_at = ?, face_refresh_count = COALESCE(face_refresh_count, 0) + 1
+            WHERE ufid = ? AND face_descriptor IS NOT NULL
+        `, [this.encodeDescriptor(gallery), new Date().toISOString(), ufid]);
+        this.touchFaces();
+        this.sqliteDb.save();
+        return true;
     }
 
     /**
      * Get all students with enrolled face descriptors
-     * @returns {Array<{ufid, name, descriptor}>}
+     * @returns {Array<{ufid, name, descriptor, gallery, threshold}>} threshold
+     *   is null for single-sample enrollments; gallery is [] until refreshed
      */
     getAllFaceDescriptors() {
         if (!this.isReady()) return [];
         const rows = this.sqliteDb.all(
-            'SELECT ufid, name, face_descriptor FROM students WHERE face_descriptor IS NOT NULL AND active = 1'
+            'SELECT ufid, name, face_descriptor, face_gallery, face_threshold FROM students WHERE face_descriptor IS NOT NULL AND active = 1 AND deleted_at IS NULL'
         );
-        return rows.map(r => ({
+        return rows
+            .map(r => ({
+                ufid: r.ufid,
+                name: this.decodeField(r.name),
+                descriptor: this.readDescriptor(r.face_descriptor),
+                gallery: r.face_gallery ? this.readDescriptor(r.face_gallery) || [] : [],
+                threshold: r.face_threshold
+            }))
+            .filter(r => r.descriptor);
+    }
+
+    /**
+     * How old each student's templates are (admin Face ID tab)
+     * @returns {Array<Object>} { ufid, enrolledAt, refreshedAt, refreshCount,
+     *   gallerySize }; enrolledAt is null for enrollments made before it was kept
+     */
+    getFaceTemplateAges() {
+        if (!this.isReady()) return [];
+        return this.sqliteDb.all(`
+            SELECT ufid, face_gallery, face_enrolled_at, face_refreshed_at, face_refresh_count
+            FROM students WHERE face_descriptor IS NOT NULL
+        `).map(r => ({
             ufid: r.ufid,
-            name: r.name,
-            descriptor: JSON.parse(r.face_descriptor)
+            enrolledAt: r.face_enrolled_at,
+            refreshedAt: r.face_refreshed_at,
+            refreshCount: r.face_refresh_count || 0,
+            gallerySize: r.face_gallery ? (this.readDescriptor(r.face_gallery) || []).length : 0
         }));
     }
 
     /**
-     * Clear face descriptor for a student
+     * Face ID columns of every student (inactive and trashed included), as
+     * stored, so they can be put back after the tables are rebuilt from JSON
+     * @returns {Array<Object>} rows for restoreFaceTemplates()
+     */
+    getStoredFaceTemplates() {
+        if (!this.isReady()) return [];
+        return this.sqliteDb.all(`
+            SELECT ufid, face_descriptor, face_threshold, face_gallery, face_enrolled_at, face_refreshed_at, face_refresh_count
+            FROM students WHERE face_descriptor IS NOT NULL
+        `);
+    }
+
+    /**
+     * Put back getStoredFaceTemplates() rows (students no longer present are skipped)
+     * @param {Array<Object>} rows
+     */
+    restoreFaceTemplates(rows) {
+        if (!this.isReady() || !rows.length) return false;
+        const db = this.getDb();
+        for (const r of rows) {
+            db.run(`
+                UPDATE students SET face_descriptor = ?, face_threshold = ?, face_gallery = ?,
+                    face_enrolled_at = ?, face_refreshed_at = ?, face_refresh_count = ?
+                WHERE ufid = ?
+            `, [r.face_descriptor, r.face_threshold, r.face_gallery, r.face_enrolled_at, r.face_refreshed_at, r.face_refresh_count, r.ufid]);
+        }
+        this.touchFaces();
+        this.sqliteDb.save();
+        return true;
+    }
+
+    /**
+     * Changes whenever face templates or the roster they are matched against
+     * are written, or the field encryption changes, for the face matcher's
+     * cached gallery; attendance and audit writes leave it alone
+     * @returns {string}
+     */
+    getChangeStamp() {
+        return `${this.faceRevision}:${this.fieldCodec ? this.fieldCodec.id : 'none'}`;
+    }
+
+    // Invalidate getChangeStamp()
+    touchFaces() {
+        this.faceRevision = ++faceRevisions;
+    }
+
+    /**
+     * Clear face descriptor (and refresh gallery) for a student
      * @param {string} ufid
      */
     clearFaceDescriptor(ufid) {
         if (!this.isReady()) return false;
-        this.sqliteDb.run(
-            'UPDATE students SET face_descriptor = NULL WHERE ufid = ?',
-            [ufid]
-        );
+        this.getDb().run(`
+            UPDATE students SET face_descriptor = NULL, face_threshold = NULL, face_gallery = NULL,
+                face_enrolled_at = NULL, face_refreshed_at = NULL, face_refresh_count = 0
+            WHERE ufid = ?
+        `, [ufid]);
+        this.touchFaces();
         this.sqliteDb.save();
         return true;
     }
+
+    // ==================== RETENTION AND ERASURE ====================
+
+    /**
+     * Delete attendance older than a cutoff (trash included) and re-pair the
+     * sessions of the students it belonged to
+     * @param {string} cutoff - ISO time
+     * @param {Object} [options] - { dryRun } true to only count
+     * @returns {Object} { success, attendance }
+     */
+    purgeAttendanceBefore(cutoff, { dryRun = false } = {}) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const { count } = this.sqliteDb.get('SELECT COUNT(*) AS count FROM attendance WHERE timestamp < ?', [cutoff]);
+            if (!dryRun && count > 0) {
+                const ufids = this.sqliteDb.all('SELECT DISTINCT ufid FROM attendance WHERE timestamp < ?', [cutoff]).map(r => r.ufid);
+                this.getDb().run('DELETE FROM attendance WHERE timestamp < ?', [cutoff]);
+                this.writeSessions(ufids);
+                this.sqliteDb.save();
+            }
+            return { success: true, attendance: count };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Students with a face descriptor not seen since a cutoff: no attendance
+     * after it or, never seen, added before it
+     * @param {string} cutoff - ISO time
+     * @returns {Array<string>} UFIDs
+     */
+    getStaleFaceDescriptors(cutoff) {
+        if (!this.isReady()) return [];
+        return this.sqliteDb.all(`
+            SELECT s.ufid FROM students s
+            WHERE s.face_descriptor IS NOT NULL
+              AND COALESCE((SELECT MAX(a.timestamp) FROM attendance a WHERE a.ufid = s.ufid), s.added_date, '') < ?
+        `, [cutoff]).map(r => r.ufid);
+    }
+
+    /**
+     * Erase a student: their record, attendance (trash included), sessions and
+     * term expectations go, and their audit entries are redacted. The file is
+     * vacuumed so deleted rows do not linger in free pages.
+     * @param {string} ufid
+     * @param {string} ref - Erasure reference that replaces the UFID in the audit log
+     * @returns {Object} { success, removed: { students, attendance, sessions, termExpectations, auditRedacted } }
+     */
+    eraseStudent(ufid, ref) {
+        if (!this.isReady()) return { success: false, error: 'Database not ready' };
+
+        try {
+            const db = this.getDb();
+            const tables = { students: 'students', attendance: 'attendance', sessions: 'sessions', termExpectations: 'student_term_expectations' };
+            const removed = {};
+            for (const [key, table] of Object.entries(tables)) {
+                removed[key] = this.sqliteDb.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ufid = ?`, [ufid]).count;
+                db.run(`DELETE FROM ${table} WHERE ufid = ?`, [ufid]);
+            }
+            removed.auditRedacted = this.redactAuditEntries(ufid, ref);
+            this.touchFaces();
+
+            db.run('VACUUM');
+            this.sqliteDb.save();
+            return { success: true, removed };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Redact the audit entries about a student, lifting the append-only trigger for the rewrite only
+    redactAuditEntries(ufid, ref) {
+        const db = this.getDb();
+        const entries = this.getAuditLog({ search: String(ufid) }).entries.filter(e => mentionsStudent(e, ufid));
+        if (entries.length === 0) return 0;
+
+        db.run('DROP TRIGGER IF EXISTS audit_log_no_update');
+        try {
+            for (const entry of entries) {
+                const redacted = redactAuditEntry(entry, ufid, ref);
+                db.run('UPDATE audit_log SET entity_id = ?, before_json = NULL, after_json = NULL, reason = ? WHERE id = ?',
+                    [redacted.entityId, redacted.reason, entry.id]);
+            }
+        } finally {
+            db.run(AUDIT_NO_UPDATE_TRIGGER);
+        }
+        return entries.length;
+    }
 }
 
+DatabaseManager.ENCRYPTABLE_FIELDS = ENCRYPTABLE_FIELDS;
+
 module.exports = DatabaseManager;
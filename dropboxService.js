@@ -2,11 +2,10 @@
 const { Dropbox, DropboxAuth } = require('dropbox');
 // const { shell } = require('electron');
 const fs = require('fs');
-const path = require('path');
 const http = require('http');
 const { URL } = require('url');
 const querystring = require('querystring');
-const crypto = require('crypto');
+const { StorageProvider } = require('./storageProvider.js');
 
 let shellOpenExternal = null;
 try {
@@ -14,31 +13,10 @@ try {
     shellOpenExternal = require('electron').shell.openExternal;
 } catch { }
 
-function sha256(buf) {
-    const h = crypto.createHash('sha256');
-    h.update(buf);
-    return h.digest('hex');
-}
-
-function readJsonSafe(p) {
-    if (!fs.existsSync(p)) return null;
-    try { return JSON.parse(fs.readFileSync(p, 'utf8')); }
-    catch { return null; }
-}
-
-function writeJsonAtomic(p, obj) {
-    const tmp = p + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
-    fs.renameSync(tmp, p); // atomic on most platforms
-}
-
-// Only these files are team-shared (skip config.json)
-const SYNC_FILES = ['students.json', 'attendance.json'];
-const SQLITE_FILE = 'attendance.db';
-
-class DropboxService {
+// Dropbox storage provider (see storageProvider.js for backups and sync)
+class DropboxService extends StorageProvider {
     constructor(dataManager) {
-        this.dataManager = dataManager;
+        super(dataManager, { id: 'dropbox', label: 'Dropbox' });
         this.dropbox = null;
     }
 
@@ -61,26 +39,6 @@ class DropboxService {
         return config.dropbox;
     }
 
-    // -------------------------
-    // Folder helpers (match UI)
-    // -------------------------
-    getBaseFolder() {
-        // Prefer user-configured folder from config; UI defaults to /UF_Lab_Reports
-        const cfg = this.dataManager.getConfig?.() || {};
-        const d = cfg.dropbox || {};
-        return (d.folder && d.folder.trim()) || '/UF-Lab-Attendance';
-    }
-
-    getDataFolder() {
-        // Keep files right in base or under /data.
-        // If you prefer root, return this.getBaseFolder() instead.
-        return `${this.getBaseFolder()}/data`;
-    }
-
-    getBackupsFolder() {
-        return `${this.getBaseFolder()}/backups`;
-    }
-
     // -----------
     // Initialize
     // -----------
@@ -121,6 +79,14 @@ class DropboxService {
         return { success: false, error: 'Dropbox not configured' };
     }
 
+    ensureConnected() {
+        return !!this.dropbox || this.initializeFromConfig().success;
+    }
+
+    errorMessage(error) {
+        return error?.error?.error_summary || error?.message || String(error);
+    }
+
     // ---------------------------------------------------------
     // One-time OAuth flow to obtain & save a REFRESH TOKEN
     // ---------------------------------------------------------
@@ -426,17 +392,6 @@ class DropboxService {
         }
     }
 
-    async createDefaultFolders() {
-        // Keep backward compatibility with UI buttons
-        const a = await this.ensureFolder(this.getBaseFolder());
-        if (!a.success) return a;
-        const b = await this.ensureFolder(this.getBackupsFolder());
-        if (!b.success) return b;
-        const c = await this.ensureFolder(this.getDataFolder());
-        if (!c.success) return c;
-        return { success: true, created: (a.created || b.created || c.created) };
-    }
-
     async uploadFile(localPath, dropboxPath) {
         if (!this.dropbox) {
             const init = this.initializeFromConfig();
@@ -483,132 +438,6 @@ class DropboxService {
         }
     }
 
-    async uploadWeeklyReport() {
-        try {
-            const config = this.dataManager.getConfig();
-            if (!config.dropbox || !config.dropbox.enabled) {
-                return { success: false, error: 'Dropbox not enabled' };
-            }
-
-            const init = this.initializeFromConfig();
-            if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-
-            const reportResult = this.dataManager.saveWeeklyReportToFile();
-            if (!reportResult.success) {
-                return { success: false, error: 'Failed to generate report' };
-            }
-
-            const parent = this.getBaseFolder();
-            const ensured = await this.ensureFolder(parent);
-            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
-
-            const fileName = path.basename(reportResult.filePath);
-            const dropboxPath = `${parent}/${fileName}`;
-
-            const uploadResult = await this.uploadFile(reportResult.filePath, dropboxPath);
-            if (uploadResult.success) {
-                return {
-                    success: true,
-                    message: 'Weekly report uploaded to Dropbox',
-                    path: uploadResult.path,
-                    localPath: reportResult.filePath
-                };
-            } else {
-                return uploadResult;
-            }
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-
-    async backupToDropbox() {
-        try {
-            const config = this.dataManager.getConfig();
-            if (!config.dropbox || !config.dropbox.enabled) {
-                return { success: false, error: 'Dropbox not enabled' };
-            }
-
-            const init = this.initializeFromConfig();
-            if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-
-            const backupResult = this.dataManager.backupData();
-            if (!backupResult.success) {
-                return { success: false, error: 'Failed to create backup' };
-            }
-
-            const parent = this.getBackupsFolder();
-            const ensured = await this.ensureFolder(parent);
-            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
-
-            const fileName = path.basename(backupResult.backupFile);
-            const dropboxPath = `${parent}/${fileName}`;
-
-            const uploadResult = await this.uploadFile(backupResult.backupFile, dropboxPath);
-            if (uploadResult.success) {
-                return {
-                    success: true,
-                    message: 'Data backup uploaded to Dropbox',
-                    path: uploadResult.path,
-                    localPath: backupResult.backupFile
-                };
-            } else {
-                return uploadResult;
-            }
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-
-    /**
-     * Upload the SQLite database file to Dropbox for real-time sync
-     * This uploads the attendance.db file directly to the backups folder
-     */
-    async backupDatabaseToDropbox() {
-        try {
-            const config = this.dataManager.getConfig();
-            if (!config.dropbox || !config.dropbox.enabled) {
-                return { success: false, error: 'Dropbox not enabled' };
-            }
-
-            const init = this.initializeFromConfig();
-            if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-
-            // Get the database file path
-            const dbPath = path.join(this.dataManager.dataDir, 'attendance.db');
-            if (!fs.existsSync(dbPath)) {
-                return { success: false, error: 'Database file not found' };
-            }
-
-            const parent = this.getBackupsFolder();
-            const ensured = await this.ensureFolder(parent);
-            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
-
-            // Upload with timestamp for versioning, and also a "latest" copy
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const timestampedPath = `${parent}/attendance-db-${timestamp}.db`;
-            const latestPath = `${parent}/attendance-latest.db`;
-
-            // Upload the timestamped version
-            const uploadResult = await this.uploadFile(dbPath, latestPath);
-            if (uploadResult.success) {
-                if (this.logger) {
-                    this.logger.info('dropbox', `Database backup uploaded: ${latestPath}`, 'system');
-                }
-                return {
-                    success: true,
-                    message: 'Database backup uploaded to Dropbox',
-                    path: latestPath
-                };
-            } else {
-                return uploadResult;
-            }
-        } catch (error) {
-            if (this.logger) {
-                this.logger.error('dropbox', `Database backup error: ${error.message}`, 'system');
-            }
-            return { success: false, error: error.message };
-        }
-    }
 
     async listFiles(folderPath = '', { recursive = false } = {}) {
         if (!this.dropbox) {
@@ -702,23 +531,8 @@ class DropboxService {
         }
     }
 
-    // -------------
-    // Low-level helpers for live syncing
-    // -------------
-    async ensureDefaultFolders() {
-        if (!this.dropbox) return { success: false, error: 'not initialized' };
-        const root = this.getBaseFolder();
-        const data = this.getDataFolder();
-        const backups = this.getBackupsFolder();
-        const mk = async (p) => {
-            try { await this.dropbox.filesCreateFolderV2({ path: p }); }
-            catch (e) {
-                if (String(e?.error?.error_summary || '').includes('conflict/folder')) return;
-                throw e;
-            }
-        };
-        await mk(root); await mk(data); await mk(backups);
-        return { success: true };
+    async deleteFile(dropboxPath) {
+        await this.dropbox.filesDeleteV2({ path: dropboxPath });
     }
 
     async getMeta(pathLower) {
@@ -729,74 +543,6 @@ class DropboxService {
         }
     }
 
-    /**
-     * Detect what data format exists on Dropbox
-     * @returns {Promise<Object>} { format: 'sqlite' | 'json' | 'none', hasSqlite, hasJson }
-     */
-    async detectDropboxDataFormat() {
-        if (!this.dropbox) {
-            const init = this.initializeFromConfig();
-            if (!init.success) return { format: 'none', hasSqlite: false, hasJson: false, error: init.error };
-        }
-
-        try {
-            const sqlitePath = `${this.getDataFolder()}/${SQLITE_FILE}`;
-            const jsonPath = `${this.getDataFolder()}/attendance.json`;
-
-            const [sqliteMeta, jsonMeta] = await Promise.all([
-                this.getMeta(sqlitePath),
-                this.getMeta(jsonPath)
-            ]);
-
-            const hasSqlite = !!sqliteMeta;
-            const hasJson = !!jsonMeta;
-
-            // Prefer SQLite if it exists
-            const format = hasSqlite ? 'sqlite' : (hasJson ? 'json' : 'none');
-
-            return { format, hasSqlite, hasJson };
-        } catch (error) {
-            return { format: 'none', hasSqlite: false, hasJson: false, error: error.message };
-        }
-    }
-
-    /**
-     * Download SQLite database from Dropbox
-     * @param {string} localPath - Local path to save the file
-     * @returns {Promise<Object>} { success, localPath, size }
-     */
-    async downloadSqliteDb(localPath) {
-        if (!this.dropbox) {
-            const init = this.initializeFromConfig();
-            if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-        }
-
-        try {
-            const dropboxPath = `${this.getDataFolder()}/${SQLITE_FILE}`;
-            return await this.downloadFile(dropboxPath, localPath);
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-
-    /**
-     * Upload SQLite database to Dropbox
-     * @param {string} localPath - Local path of the database file
-     * @returns {Promise<Object>} { success, path, size }
-     */
-    async uploadSqliteDb(localPath) {
-        if (!this.dropbox) {
-            const init = this.initializeFromConfig();
-            if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-        }
-
-        try {
-            const dropboxPath = `${this.getDataFolder()}/${SQLITE_FILE}`;
-            return await this.uploadFile(localPath, dropboxPath);
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
 
     async downloadBuffer(dropboxPath) {
         const r = await this.dropbox.filesDownload({ path: dropboxPath });
@@ -824,161 +570,21 @@ class DropboxService {
         });
     }
 
-    async backupRemoteBeforeOverwrite(fileName, remoteMeta) {
-        try {
-            const ts = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = `${this.getBackupsFolder()}/${fileName}.${ts}.json`;
-            const { buf } = await this.downloadBuffer(`${this.getDataFolder()}/${fileName}`);
-            await this.uploadBuffer(backupPath, buf);
-        } catch {
-            // best-effort; do not fail sync because backup failed
-        }
+    // Names from before other storage providers existed
+    backupToDropbox() {
+        return this.uploadBackup();
     }
 
-    // Merge attendance: append-safe dedupe
-    mergeAttendance(localArr, remoteArr) {
-        const key = (r) => (r.id != null ? `id:${r.id}` : `k:${r.ufid}|${r.timestamp}|${r.action}`);
-        const map = new Map();
-        (remoteArr || []).forEach(r => map.set(key(r), r));
-        (localArr || []).forEach(r => map.set(key(r), r)); // local wins on same key
-        // Stable-ish order by timestamp
-        return Array.from(map.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    backupDatabaseToDropbox() {
+        return this.uploadDatabaseBackup();
     }
 
-    // Students: newest file wins (mtime), simple replace
-    chooseStudents(localArr, remoteArr, newerSide) {
-        return newerSide === 'remote' ? (remoteArr || []) : (localArr || []);
+    pruneDropboxBackups(options) {
+        return this.pruneBackups(options);
     }
 
-    // -----------------------------------------------------------------
-    // Two-way reconcile (kept for future/advanced use; not used by mode)
-    // -----------------------------------------------------------------
-    async syncOne(fileName, localPath, mode = 'merge') {
-        const dropboxPath = `${this.getDataFolder()}/${fileName}`;
-        const remoteMeta = await this.getMeta(dropboxPath);
-        const localExists = fs.existsSync(localPath);
-        const remoteExists = !!remoteMeta;
-
-        if (mode === 'pull') {
-            if (!remoteExists) return { file: fileName, action: 'skip-remote-missing' };
-            const { buf } = await this.downloadBuffer(dropboxPath);
-            writeJsonAtomic(localPath, JSON.parse(buf.toString('utf8') || '[]'));
-            return { file: fileName, action: 'pull' };
-        }
-
-        if (mode === 'push') {
-            if (!localExists) return { file: fileName, action: 'skip-local-missing' };
-            const buf = fs.readFileSync(localPath);
-            await this.uploadBuffer(dropboxPath, buf);
-            return { file: fileName, action: 'push' };
-        }
-
-        // MERGE mode (legacy behavior)
-        if (!localExists && !remoteExists) return { file: fileName, action: 'skip-none' };
-
-        if (remoteExists && !localExists) {
-            // pull
-            const { buf } = await this.downloadBuffer(dropboxPath);
-            writeJsonAtomic(localPath, JSON.parse(buf.toString('utf8')));
-            return { file: fileName, action: 'pull-new' };
-        }
-
-        if (!remoteExists && localExists) {
-            // push
-            const buf = fs.readFileSync(localPath);
-            await this.uploadBuffer(dropboxPath, buf);
-            return { file: fileName, action: 'push-new' };
-        }
-
-        // both exist: decide by mtime/hash; attendance gets merge
-        const localBuf = fs.readFileSync(localPath);
-        const localHash = sha256(localBuf);
-        const { buf: remoteBuf, serverModified } = await this.downloadBuffer(dropboxPath);
-        const remoteHash = sha256(remoteBuf);
-
-        if (localHash === remoteHash) return { file: fileName, action: 'noop' };
-
-        const localMtime = fs.statSync(localPath).mtimeMs;
-        const remoteMtime = new Date(serverModified).getTime();
-        const newer = remoteMtime >= localMtime ? 'remote' : 'local';
-
-        if (fileName === 'attendance.json') {
-            // merge arrays
-            const merged = this.mergeAttendance(
-                JSON.parse(localBuf.toString('utf8') || '[]'),
-                JSON.parse(remoteBuf.toString('utf8') || '[]')
-            );
-            if (newer === 'remote') await this.backupRemoteBeforeOverwrite(fileName, remoteMeta);
-            writeJsonAtomic(localPath, merged);
-            await this.uploadBuffer(dropboxPath, Buffer.from(JSON.stringify(merged, null, 2)));
-            return { file: fileName, action: 'merge-attendance' };
-        } else if (fileName === 'students.json') {
-            const localArr = JSON.parse(localBuf.toString('utf8') || '[]');
-            const remoteArr = JSON.parse(remoteBuf.toString('utf8') || '[]');
-            const chosen = this.chooseStudents(localArr, remoteArr, newer);
-            if (newer === 'remote') await this.backupRemoteBeforeOverwrite(fileName, remoteMeta);
-            writeJsonAtomic(localPath, chosen);
-            await this.uploadBuffer(dropboxPath, Buffer.from(JSON.stringify(chosen, null, 2)));
-            return { file: fileName, action: `replace-students-${newer}` };
-        } else {
-            return { file: fileName, action: 'skip-unknown' };
-        }
-    }
-
-    // -------------------------
-    // Mode-specific operations
-    // -------------------------
-    async pullAll(dataDir) {
-        if (!this.dropbox && !this.initializeFromConfig().success) {
-            return { success: false, error: 'Dropbox not configured' };
-        }
-        await this.ensureDefaultFolders();
-        const results = [];
-        for (const f of SYNC_FILES) {
-            const dropboxPath = `${this.getDataFolder()}/${f}`;
-            const local = path.join(dataDir, f);
-            try {
-                const meta = await this.getMeta(dropboxPath);
-                if (!meta) { results.push({ file: f, action: 'skip-remote-missing' }); continue; }
-                const { buf } = await this.downloadBuffer(dropboxPath);
-                writeJsonAtomic(local, JSON.parse(buf.toString('utf8') || '[]'));
-                results.push({ file: f, action: 'pull' });
-            } catch (e) {
-                results.push({ file: f, action: 'error', error: e.message });
-            }
-        }
-        return { success: true, results };
-    }
-
-    async pushAll(dataDir) {
-        if (!this.dropbox && !this.initializeFromConfig().success) {
-            return { success: false, error: 'Dropbox not configured' };
-        }
-        await this.ensureDefaultFolders();
-        const results = [];
-        for (const f of SYNC_FILES) {
-            const local = path.join(dataDir, f);
-            if (!fs.existsSync(local)) { results.push({ file: f, action: 'skip-local-missing' }); continue; }
-            const buf = fs.readFileSync(local);
-            try {
-                await this.uploadBuffer(`${this.getDataFolder()}/${f}`, buf);
-                results.push({ file: f, action: 'push' });
-            } catch (e) {
-                results.push({ file: f, action: 'error', error: e.message });
-            }
-        }
-        return { success: true, results };
-    }
-
-    async syncByMode(dataDir) {
-        const cfg = this.dataManager.getConfig?.() || {};
-        const d = cfg.dropbox || {};
-        const master = !!d.masterMode; // true => always pull; false => always push
-        if (master) {
-            return this.pullAll(dataDir);
-        } else {
-            return this.pushAll(dataDir);
-        }
+    detectDropboxDataFormat() {
+        return this.detectDataFormat();
     }
 }
 
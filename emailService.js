@@ -1,6 +1,8 @@
 const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 const path = require('path');
+const zone = require('./timezone.js');
+const { AUDIT_ACTORS } = require('./audit.js');
 
 async function sleep(ms) {
     return new Promise(r => setTimeout(r, ms));
@@ -101,8 +103,13 @@ class EmailService {
     }
 
     generateEmailHTML(reportData) {
-        const startDate = new Date(reportData.startDate).toLocaleDateString();
-        const endDate = new Date(reportData.endDate).toLocaleDateString();
+        const timeZone = this.getTimezone();
+        const startDate = zone.formatInZone(reportData.startDate, timeZone, { year: 'numeric', month: 'numeric', day: 'numeric' });
+        const endDate = zone.formatInZone(reportData.endDate, timeZone, { year: 'numeric', month: 'numeric', day: 'numeric' });
+
+        const closureNote = (reportData.closures || []).length
+            ? `<p style="color: #92400e; font-size: 14px;">Lab closed: ${reportData.closures.map(c => `${c.date} (${c.name})`).join(', ')} — expected hours prorated</p>`
+            : '';
 
         let studentRows = '';
         Object.keys(reportData.studentReports).forEach(ufid => {
@@ -133,6 +140,48 @@ class EmailService {
             }
         });
 
+        // Scheduled shifts vs. actual (students with recurring shifts only)
+        const statusText = {
+            on_time: 'On time',
+            late: 'Late',
+            no_show: 'No-show',
+            upcoming: 'Upcoming',
+            awaiting: 'Not arrived yet',
+            closed: 'Lab closed'
+        };
+        let shiftRows = '';
+        Object.values(reportData.studentReports).forEach(s => {
+            (s.shiftResults || []).forEach(r => {
+                const flagged = r.status === 'no_show' || r.status === 'late';
+                const detail = r.status === 'late' ? ` (${r.minutesLate} min)` : '';
+                shiftRows += `
+                        <tr>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${s.name}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${r.date} · ${r.label}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd; text-align:center; font-variant-numeric: tabular-nums;">${r.attendedHours}h / ${r.scheduledHours}h</td>
+                            <td style="padding: 8px; border: 1px solid #ddd; text-align:center; ${flagged ? 'color: #dc2626; font-weight: 600;' : ''}">${statusText[r.status] || r.status}${detail}</td>
+                        </tr>
+                        `;
+            });
+        });
+        const shiftSection = shiftRows ? `
+                    <div style="margin-bottom: 30px;">
+                        <h3 style="color: #333; border-bottom: 2px solid #667eea; padding-bottom: 10px;">Shift Commitments</h3>
+                        <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+                            <thead>
+                                <tr style="background-color: #667eea; color: white;">
+                                <th style="padding: 10px; text-align: left; border: 1px solid #ddd;">Student</th>
+                                <th style="padding: 10px; text-align: left; border: 1px solid #ddd;">Shift</th>
+                                <th style="padding: 10px; text-align: center; border: 1px solid #ddd;">Hours (actual / scheduled)</th>
+                                <th style="padding: 10px; text-align: center; border: 1px solid #ddd;">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${shiftRows}
+                            </tbody>
+                        </table>
+                    </div>` : '';
+
 
         return `
             <!DOCTYPE html>
@@ -147,6 +196,7 @@ class EmailService {
                         <h1 style="color: #333; margin-bottom: 10px;">Weekly Lab Attendance Report</h1>
                         <h2 style="color: #667eea; font-weight: normal;">University of Florida Lab</h2>
                         <p style="color: #666; font-size: 16px;">Report Period: ${startDate} - ${endDate}</p>
+                        ${closureNote}
                     </div>
 
                     <div style="margin-bottom: 30px;">
@@ -179,6 +229,7 @@ class EmailService {
                             </tbody>
                         </table>
                     </div>
+                    ${shiftSection}
                     <div style="margin-bottom: 30px;">
                         <h3 style="color: #333; border-bottom: 2px solid #667eea; padding-bottom: 10px;">Visualization</h3>
                         <img src="cid:timeBandsChart"
@@ -188,7 +239,7 @@ class EmailService {
 
                     <div style="text-align: center; margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee;">
                         <p style="color: #666; font-size: 14px;">
-                            Report generated automatically on ${new Date().toLocaleString()}<br>
+                            Report generated automatically on ${zone.formatInZone(new Date(), timeZone, { timeZoneName: 'short' })}<br>
                             University of Florida Lab Attendance System
                         </p>
                     </div>
@@ -242,7 +293,7 @@ class EmailService {
                     address: config.emailSettings.email
                 },
                 to: config.emailSettings.recipientEmail,
-                subject: `Weekly Lab Attendance Report — ${new Date().toLocaleDateString()}`,
+                subject: `Weekly Lab Attendance Report — ${zone.formatInZone(new Date(), this.getTimezone(), { year: 'numeric', month: 'numeric', day: 'numeric' })}`,
                 text: `Weekly Lab Attendance Report\nPeriod: ${reportResult.reportData.startDate} to ${reportResult.reportData.endDate}\nActive students: ${reportResult.reportData.studentsWithActivity}\nTotal records: ${reportResult.reportData.totalRecords}\n\nSee attached CSV for full details.`,
                 html: emailHTML,
                 attachments: attachments,
@@ -290,12 +341,12 @@ class EmailService {
                 },
                 to: emailConfig.recipientEmail || emailConfig.email,
                 subject: 'SMILE Lab Attendance — email test',
-                text: `Email configuration test.\n\nIf you received this, your email configuration is working correctly.\n\nSent at: ${new Date().toLocaleString()}`,
+                text: `Email configuration test.\n\nIf you received this, your email configuration is working correctly.\n\nSent at: ${zone.formatInZone(new Date(), this.getTimezone(), { timeZoneName: 'short' })}`,
                 html: `
                     <h2>Email Configuration Test</h2>
                     <p>This is a test email from your Lab Attendance System.</p>
                     <p><strong>If you received this, your email configuration is working correctly!</strong></p>
-                    <p><em>Sent at: ${new Date().toLocaleString()}</em></p>
+                    <p><em>Sent at: ${zone.formatInZone(new Date(), this.getTimezone(), { timeZoneName: 'short' })}</em></p>
                 `,
                 headers: {
                     'Auto-Submitted': 'auto-generated'
@@ -332,10 +383,17 @@ class EmailService {
             }
         }, {
             scheduled: false,
-            timezone: "America/New_York"
+            timezone: this.getTimezone()
         });
     }
 
+    // Lab timezone (config.timezone); the schedule is fixed when the task is created
+    getTimezone() {
+        return this.dataManager && typeof this.dataManager.getTimezone === 'function'
+            ? this.dataManager.getTimezone()
+            : zone.DEFAULT_TIMEZONE;
+    }
+
     startScheduler() {
         try {
             if (!this.scheduledTask) this.initializeScheduler();
@@ -364,23 +422,19 @@ class EmailService {
 
     // Optional: compute a friendly next-run string
     getNextRunText() {
-        // Compute current NY local date/time
-        const nowNY = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/New_York' }));
-        const target = new Date(nowNY);
-
-        const dow = target.getDay(); // 0=Sun ... 6=Sat
-        let daysToSat = (6 - dow + 7) % 7;
-
-        // If it's already Saturday and past 8:00 AM NY time, schedule next Saturday
-        const pastEight = nowNY.getHours() > 8 || (nowNY.getHours() === 8 && (nowNY.getMinutes() > 0 || nowNY.getSeconds() > 0));
-        if (daysToSat === 0 && pastEight) daysToSat = 7;
-
-        target.setDate(target.getDate() + daysToSat);
-        target.setHours(8, 0, 0, 0); // 8:00 AM
+        const timeZone = this.getTimezone();
+        const now = new Date();
+
+        // Next Saturday 8:00 AM in lab time (today if it's Saturday before 8)
+        const daysToSat = (6 - zone.getZonedParts(now, timeZone).weekday + 7) % 7;
+        let target = zone.atTimeOfDay(zone.startOfDay(now, timeZone, daysToSat), 8, 0, timeZone);
+        if (target <= now) {
+            target = zone.atTimeOfDay(zone.startOfDay(now, timeZone, daysToSat + 7), 8, 0, timeZone);
+        }
 
-        // Format a friendly NY-time string
+        // Format a friendly lab-time string
         const fmt = new Intl.DateTimeFormat('en-US', {
-            timeZone: 'America/New_York',
+            timeZone,
             weekday: 'short',
             year: 'numeric',
             month: 'short',
@@ -403,7 +457,8 @@ class EmailService {
     generateAttendanceWarningHTML(student, streak, weekSummary) {
         const { startDate, actualHours, expectedHours } = weekSummary;
         const weekLabel = new Date(startDate).toLocaleDateString('en-US', {
-            month: 'long', day: 'numeric', year: 'numeric'
+            month: 'long', day: 'numeric', year: 'numeric',
+            timeZone: this.getTimezone()
         });
 
         let toneHeader, toneMessage, borderColor;
@@ -463,7 +518,8 @@ class EmailService {
     async sendAttendanceWarningEmail(transporter, emailConfig, student, streak, weekSummary) {
         const { startDate } = weekSummary;
         const weekLabel = new Date(startDate).toLocaleDateString('en-US', {
-            month: 'short', day: 'numeric', year: 'numeric'
+            month: 'short', day: 'numeric', year: 'numeric',
+            timeZone: this.getTimezone()
         });
 
         const html = this.generateAttendanceWarningHTML(student, streak, weekSummary);
@@ -490,6 +546,11 @@ class EmailService {
         try {
             if (!config.emailSettings?.enabled || !config.emailSettings?.email) return;
 
+            // Each student's expectation is already prorated for closures; only a
+            // week the lab was closed every weekday skips warnings, and streaks
+            // carry over unchanged to the next week
+            if (Number(weekReport.closedWeekdays || 0) >= 5) return;
+
             const transporter = this.createTransporter(config.emailSettings);
             const students = this.dataManager.getStudents();
             const studentMap = {};
@@ -514,7 +575,10 @@ class EmailService {
                     newStreak = currentStreak + 1;
                 }
 
-                await this.dataManager.updateStudent(ufid, { weeklyWarningStreak: newStreak });
+                await this.dataManager.updateStudent(ufid, { weeklyWarningStreak: newStreak }, {
+                    actor: AUDIT_ACTORS.SYSTEM,
+                    reason: 'Weekly attendance warning check'
+                });
 
                 if (newStreak > 0) {
                     const weekSummary = {
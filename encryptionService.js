@@ -3,44 +3,314 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+/*
+ * Encrypted file format, version 2 (backups and encrypted exports):
+ *
+ *   {"magic":"UFLAB-ENC","version":2,"kdf":{...},"cipher":{...},"mac":"..."}\n
+ *   <base64 ciphertext>
+ *
+ * The first line is a JSON header naming the key derivation (PBKDF2-SHA256
+ * with a random per-file salt and its iteration count) and the cipher
+ * (AES-256-GCM with a random IV). "mac" is the GCM tag; it covers the
+ * ciphertext and every header field, so a tampered header fails to decrypt.
+ *
+ * Older files have no header and are still read:
+ *   version 1  CryptoJS AES string ('U2FsdGVkX1...'), key from the fixed salt
+ *   version 0  '<hex>:<hex>' from DataManager.encrypt (aes-256-cbc via the
+ *              removed crypto.createCipher; the hex IV prefix was never used)
+ *
+ * Sensitive fields use a compact form, 'v2:<salt>:<base64 iv|tag|ciphertext>',
+ * with a key derived once per salt from the password (see deriveKey()). Each
+ * install writes with its own salt (config.encryption.salt); the salt in the
+ * value lets another kiosk with the same password read it. Values without a
+ * salt segment use the install's salt.
+ *
+ * Blind indexes (keyed HMACs of normalized names and emails) let SQLite find
+ * encrypted rows without decrypting them; see createFieldCodec().
+ */
+const FORMAT_MAGIC = 'UFLAB-ENC';
+const FORMAT_VERSION = 2;
+const FIELD_PREFIX = 'v2:';
+const KDF_NAME = 'pbkdf2-sha256';
+const KDF_ITERATIONS = 210000;
+const KDF_MAX_ITERATIONS = KDF_ITERATIONS * 10;
+const SALT_BYTES = 16;
+const CIPHER_NAME = 'aes-256-gcm';
+const LEGACY_SALT = 'UF_LAB_SALT_2024';
+const DECRYPT_ERROR = 'Invalid password or corrupted data';
+
+// OpenSSL EVP_BytesToKey (MD5, one round, no salt): what crypto.createCipher did
+function evpBytesToKey(password, keyLength, ivLength) {
+    let material = Buffer.alloc(0);
+    let block = Buffer.alloc(0);
+    while (material.length < keyLength + ivLength) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+        material = Buffer.concat([material, block]);
+    }
+    return { key: material.subarray(0, keyLength), iv: material.subarray(keyLength, keyLength + ivLength) };
+}
+
+// Additional authenticated data: the header without its mac, in a fixed order
+function headerAad(header) {
+    return Buffer.from(JSON.stringify([
+        header.magic, header.version,
+        header.kdf.name, header.kdf.iterations, header.kdf.salt,
+        header.cipher.name, header.cipher.iv
+    ]));
+}
+
+// Why a header's KDF settings can't be used, or null. They come from the file, so a
+// crafted header must not weaken the key or stall the main process in pbkdf2Sync.
+function kdfProblem(kdf) {
+    if (kdf?.name !== KDF_NAME) return `Unsupported key derivation (${kdf?.name})`;
+    const { iterations, salt } = kdf;
+    if (!Number.isInteger(iterations) || iterations < KDF_ITERATIONS || iterations > KDF_MAX_ITERATIONS) {
+        return `Unsupported iteration count (${iterations})`;
+    }
+    if (typeof salt !== 'string' || Buffer.from(salt, 'base64').length !== SALT_BYTES) return 'Invalid salt';
+    return null;
+}
+
 class EncryptionService {
     constructor(dataManager) {
         this.dataManager = dataManager;
         this.algorithm = 'AES';
     }
 
-    // Generate encryption key from password
-    generateKey(password, salt = 'UF_LAB_SALT_2024') {
+    // Generate encryption key from password (version 1 files)
+    generateKey(password, salt = LEGACY_SALT) {
         return CryptoJS.PBKDF2(password, salt, {
             keySize: 256 / 32,
             iterations: 10000
         });
     }
 
-    // Encrypt data
-    encrypt(data, password) {
+    // Random salt for a file or an install (base64)
+    generateSalt() {
+        return crypto.randomBytes(SALT_BYTES).toString('base64');
+    }
+
+    // 256-bit key from a password and a base64 salt
+    deriveKey(password, salt, iterations = KDF_ITERATIONS) {
+        return crypto.pbkdf2Sync(String(password), Buffer.from(salt, 'base64'), iterations, 32, 'sha256');
+    }
+
+    /**
+     * Encrypt data into a version 2 file body
+     * @param {*} data - Anything JSON-serializable
+     * @param {string} password
+     * @param {Object} options - { iterations }
+     * @returns {Object} { success, data (string) }
+     */
+    encrypt(data, password, options = {}) {
         try {
-            const key = this.generateKey(password);
-            const encrypted = CryptoJS.AES.encrypt(JSON.stringify(data), key.toString()).toString();
-            return { success: true, data: encrypted };
+            const salt = this.generateSalt();
+            const iterations = options.iterations || KDF_ITERATIONS;
+            const problem = kdfProblem({ name: KDF_NAME, iterations, salt });
+            if (problem) return { success: false, error: problem };
+            const iv = crypto.randomBytes(12);
+            const header = {
+                magic: FORMAT_MAGIC,
+                version: FORMAT_VERSION,
+                kdf: { name: KDF_NAME, iterations, salt },
+                cipher: { name: CIPHER_NAME, iv: iv.toString('base64') }
+            };
+
+            const cipher = crypto.createCipheriv(CIPHER_NAME, this.deriveKey(password, salt, iterations), iv);
+            cipher.setAAD(headerAad(header));
+            const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+            header.mac = cipher.getAuthTag().toString('base64');
+
+            return { success: true, data: `${JSON.stringify(header)}\n${ciphertext.toString('base64')}` };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    // Decrypt data
-    decrypt(encryptedData, password) {
+    /**
+     * The header of a version 2 file body
+     * @param {string} content
+     * @returns {Object|null} null for older formats
+     */
+    readHeader(content) {
+        const text = String(content || '');
+        const newline = text.indexOf('\n');
+        if (!text.startsWith('{') || newline < 0) return null;
         try {
-            const key = this.generateKey(password);
-            const bytes = CryptoJS.AES.decrypt(encryptedData, key.toString());
-            const decrypted = bytes.toString(CryptoJS.enc.Utf8);
-            return { success: true, data: JSON.parse(decrypted) };
+            const header = JSON.parse(text.slice(0, newline));
+            return header && header.magic === FORMAT_MAGIC ? header : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Format version of an encrypted body
+     * @param {string} content
+     * @returns {number|null} 2, 1, 0, or null when not recognised
+     */
+    detectVersion(content) {
+        const header = this.readHeader(content);
+        if (header) return header.version;
+        const text = String(content || '').trim();
+        if (text.startsWith('U2FsdGVkX1')) return 1;
+        if (/^[0-9a-f]{32}:[0-9a-f]+$/i.test(text)) return 0;
+        return null;
+    }
+
+    /**
+     * Decrypt a body written by any version
+     * @param {string} content
+     * @param {string} password
+     * @returns {Object} { success, data, version }
+     */
+    decrypt(content, password) {
+        const version = this.detectVersion(content);
+        try {
+            if (version === FORMAT_VERSION) {
+                const text = String(content);
+                const header = this.readHeader(text);
+                if (header.cipher?.name !== CIPHER_NAME) {
+                    return { success: false, error: `Unsupported encryption (${header.cipher?.name})` };
+                }
+                const problem = kdfProblem(header.kdf);
+                if (problem) return { success: false, error: problem };
+                const key = this.deriveKey(password, header.kdf.salt, header.kdf.iterations);
+                const decipher = crypto.createDecipheriv(CIPHER_NAME, key, Buffer.from(header.cipher.iv, 'base64'));
+                decipher.setAAD(headerAad(header));
+                decipher.setAuthTag(Buffer.from(header.mac || '', 'base64'));
+                const ciphertext = Buffer.from(text.slice(text.indexOf('\n') + 1).trim(), 'base64');
+                const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+                return { success: true, data: JSON.parse(plain), version };
+            }
+            if (version === 1) {
+                const bytes = CryptoJS.AES.decrypt(String(content).trim(), this.generateKey(password).toString());
+                return { success: true, data: JSON.parse(bytes.toString(CryptoJS.enc.Utf8)), version };
+            }
+            if (version === 0) {
+                return { success: true, data: this.decryptLegacyCbc(String(content).trim(), password), version };
+            }
+            return { success: false, error: 'Not an encrypted file' };
         } catch (error) {
-            return { success: false, error: 'Invalid password or corrupted data' };
+            return { success: false, error: DECRYPT_ERROR };
         }
     }
 
-    // Encrypt file
+    // Version 0: aes-256-cbc with key and IV from EVP_BytesToKey(scrypt(password))
+    decryptLegacyCbc(text, password) {
+        const secret = crypto.scryptSync(password, 'salt', 32);
+        const { key, iv } = evpBytesToKey(secret, 32, 16);
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+        const hex = text.slice(text.indexOf(':') + 1);
+        return JSON.parse(decipher.update(hex, 'hex', 'utf8') + decipher.final('utf8'));
+    }
+
+    /**
+     * Decrypt a body with one password and encrypt it again (as version 2)
+     * with another
+     * @returns {Object} { success, data (string), fromVersion }
+     */
+    reencrypt(content, currentPassword, newPassword, options = {}) {
+        const decrypted = this.decrypt(content, currentPassword);
+        if (!decrypted.success) return decrypted;
+        const encrypted = this.encrypt(decrypted.data, newPassword, options);
+        return encrypted.success ? { ...encrypted, fromVersion: decrypted.version } : encrypted;
+    }
+
+    // Encrypt a single value with a key from deriveKey() (salt: the one the key came from)
+    encryptField(value, key, salt = null) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER_NAME, key, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+        const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+        return salt ? `${FIELD_PREFIX}${salt}:${payload}` : FIELD_PREFIX + payload;
+    }
+
+    // Salt named in a value from encryptField() (null when it has none)
+    fieldSalt(text) {
+        const parts = String(text).slice(FIELD_PREFIX.length).split(':');
+        return parts.length === 2 ? parts[0] : null;
+    }
+
+    // Decrypt a value from encryptField()
+    decryptField(text, key) {
+        try {
+            const raw = Buffer.from(String(text).slice(FIELD_PREFIX.length).split(':').pop(), 'base64');
+            const decipher = crypto.createDecipheriv(CIPHER_NAME, key, raw.subarray(0, 12));
+            decipher.setAuthTag(raw.subarray(12, 28));
+            const plain = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+            return { success: true, data: JSON.parse(plain) };
+        } catch (error) {
+            return { success: false, error: DECRYPT_ERROR };
+        }
+    }
+
+    isEncryptedField(value) {
+        return typeof value === 'string' && value.startsWith(FIELD_PREFIX);
+    }
+
+    // Key for one purpose (e.g. blind indexes), derived from a field key
+    deriveSubkey(key, purpose) {
+        return crypto.createHmac('sha256', key).update(purpose).digest();
+    }
+
+    // Short keyed hash naming a key without revealing it
+    keyFingerprint(key) {
+        return this.deriveSubkey(key, 'fingerprint').toString('hex').slice(0, 16);
+    }
+
+    // Blind index token: keyed HMAC of a normalized value
+    blindIndex(value, key) {
+        return crypto.createHmac('sha256', key).update(String(value)).digest('hex').slice(0, 16);
+    }
+
+    // Lowercased words of a name, accents removed
+    nameWords(name) {
+        return String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Field encryption for the database layer
+     * @param {Object} options
+     * @param {Buffer} options.key - Key for new values (from deriveKey())
+     * @param {string} options.salt - The salt the key came from
+     * @param {Array<string>} options.fields - Fields to encrypt
+     * @param {Function} options.keyForSalt - salt -> key, for values written with other salts
+     * @returns {Object} { id, fields, encrypts(field), isEncrypted, encrypt, decrypt, nameIndex, nameTerms, emailIndex }
+     */
+    createFieldCodec({ key, salt, fields, keyForSalt }) {
+        const indexKey = this.deriveSubkey(key, 'blind-index');
+        const token = value => this.blindIndex(value, indexKey);
+        return {
+            id: `${this.keyFingerprint(key)}:${fields.join(',')}`,
+            fields,
+            encrypts: field => fields.includes(field),
+            isEncrypted: value => this.isEncryptedField(value),
+            encrypt: value => this.encryptField(value, key, salt),
+            decrypt: text => {
+                const valueSalt = this.fieldSalt(text);
+                const valueKey = !valueSalt || valueSalt === salt ? key : keyForSalt(valueSalt);
+                if (!valueKey) throw new Error('No key for this value');
+                const result = this.decryptField(text, valueKey);
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            },
+            // Every word prefix of 2+ characters: search matches the start of any word
+            nameIndex: name => {
+                const terms = new Set();
+                this.nameWords(name).forEach(word => {
+                    for (let i = Math.min(2, word.length); i <= word.length; i++) terms.add(token(`n:${word.slice(0, i)}`));
+                });
+                return terms.size ? ` ${[...terms].join(' ')} ` : null;
+            },
+            // Tokens a search must all match (words shorter than 2 characters are ignored)
+            nameTerms: search => this.nameWords(search).filter(w => w.length >= 2).map(w => token(`n:${w}`)),
+            emailIndex: email => (email ? token(`e:${String(email).trim().toLowerCase()}`) : null)
+        };
+    }
+
+    // Encrypt file (version 2)
     encryptFile(filePath, password) {
         try {
             const data = fs.readFileSync(filePath, 'utf8');
@@ -59,16 +329,24 @@ class EncryptionService {
         }
     }
 
-    // Decrypt file
+    // Read and decrypt a file of any version without writing anything
+    readEncryptedFile(encryptedFilePath, password) {
+        try {
+            return this.decrypt(fs.readFileSync(encryptedFilePath, 'utf8'), password);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Decrypt file (any version) to JSON
     decryptFile(encryptedFilePath, password, outputPath = null) {
         try {
-            const encryptedData = fs.readFileSync(encryptedFilePath, 'utf8');
-            const decrypted = this.decrypt(encryptedData, password);
+            const decrypted = this.readEncryptedFile(encryptedFilePath, password);
 
             if (decrypted.success) {
-                const output = outputPath || encryptedFilePath.replace('.encrypted', '');
+                const output = outputPath || encryptedFilePath.replace(/\.encrypted$/, '').replace(/\.enc$/, '.json');
                 fs.writeFileSync(output, JSON.stringify(decrypted.data, null, 2));
-                return { success: true, decryptedPath: output };
+                return { success: true, decryptedPath: output, version: decrypted.version };
             } else {
                 return decrypted;
             }
@@ -167,6 +445,7 @@ class EncryptionService {
     // Check if data is encrypted
     isEncrypted(data) {
         if (typeof data === 'string') {
+            if (this.readHeader(data)) return true;
             try {
                 // Try to parse as JSON first
                 JSON.parse(data);
@@ -203,4 +482,7 @@ class EncryptionService {
     }
 }
 
+EncryptionService.FORMAT_VERSION = FORMAT_VERSION;
+EncryptionService.KDF_ITERATIONS = KDF_ITERATIONS;
+
 module.exports = EncryptionService;
\ No newline at end of file
@@ -0,0 +1,677 @@
+/**
+ * Face Enrollment Service
+ *
+ * Lets students enroll for Face ID from their phone instead of at the kiosk:
+ * - An admin sends an enrollment link, emailed like the pending sign-out links
+ * - The cloud API's /enroll/<token> page captures the three poses in the
+ *   phone's browser, in an order picked at random for that link, and uploads
+ *   the frames
+ * - This kiosk pulls the frames, runs them through the face service and checks
+ *   liveness and quality; the frames are then deleted from the cloud and the
+ *   descriptor waits here for an admin to approve it (desktop Face ID tab or
+ *   web dashboard)
+ * - Approval writes students.face_descriptor like a kiosk enrollment
+ *
+ * The face service's depth and pulse signals come from this kiosk's own
+ * camera, so uploaded frames are judged on what they show: no frame may look
+ * like a screen (moiré check), the head has to turn to each pose in the order
+ * the link asked for, which a held-up photo can't, and it has to be the same
+ * face throughout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AUDIT_ACTORS } = require('./audit.js');
+const { cosineDistance } = require('./faceMatcher.js');
+
+// Same yaw bands as the kiosk's enrollment modal (admin.js ENROLL_POSES)
+const POSES = {
+  front: { label: 'Look straight at the camera', yawMin: -0.15, yawMax: 0.15 },
+  left: { label: 'Turn your head slightly left', yawMin: -Infinity, yawMax: -0.15 },
+  right: { label: 'Turn your head slightly right', yawMin: 0.15, yawMax: Infinity }
+};
+
+const LINK_VALID_DAYS = 7;
+const MIN_DET_SCORE = 0.5;
+const MIN_FACE_SIZE = 80;
+const MIN_SAMPLE_DISTANCE = 0.05;
+// Turning the head moves an embedding well under this; another person is further
+const SAME_FACE_DISTANCE = 0.6;
+const MAX_CAPTURE_MS = 2 * 60 * 1000;
+
+// Statuses: invited -> submitted -> review | failed -> approved | rejected;
+// invites not used in time become expired
+const OPEN_STATUSES = ['invited', 'submitted', 'review'];
+
+// Where the nose sits between the eyes: < 0 turned left, > 0 turned right
+function yawOf(kps) {
+  if (!kps || kps.length < 3) return 0;
+  const lx = kps[0][0], rx = kps[1][0], nx = kps[2][0];
+  const span = rx - lx;
+  if (span < 5) return 0;
+  return Math.max(-1, Math.min(1, (nx - (lx + rx) / 2) / span * 2.0));
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+class FaceEnrollmentService {
+  constructor(dataManager, emailService, faceService) {
+    this.dataManager = dataManager;
+    this.emailService = emailService;
+    this.faceService = faceService;
+    this.requestsFile = path.join(dataManager.dataDir, 'faceEnrollmentRequests.json');
+    this.initializeData();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Data Layer (Local cache + Cloud sync)
+  // ─────────────────────────────────────────────────────────────
+
+  initializeData() {
+    if (!fs.existsSync(this.requestsFile)) {
+      fs.writeFileSync(this.requestsFile, '[]', 'utf8');
+    }
+  }
+
+  getLocalRequests() {
+    try {
+      return JSON.parse(fs.readFileSync(this.requestsFile, 'utf8'));
+    } catch (err) {
+      console.error('Error reading local face enrollment requests:', err);
+      return [];
+    }
+  }
+
+  saveLocalRequests(data) {
+    try {
+      fs.writeFileSync(this.requestsFile, JSON.stringify(data, null, 2), 'utf8');
+      return true;
+    } catch (err) {
+      console.error('Error saving local face enrollment requests:', err);
+      return false;
+    }
+  }
+
+  /**
+   * The cloud API's enrollment routes hold face images, so unlike the
+   * correction and sign-out forms they need the web sync API key
+   * @returns {Object|null} { baseUrl, apiKey }, null when web sync is off
+   */
+  getCloudConfig() {
+    const webSync = this.dataManager.getConfig().webSync || {};
+    if (!webSync.enabled || !webSync.apiUrl || !webSync.apiKey) return null;
+    return { baseUrl: webSync.apiUrl.replace(/\/$/, ''), apiKey: webSync.apiKey };
+  }
+
+  async cloudRequest(method, route = '', body = null) {
+    const cloud = this.getCloudConfig();
+    if (!cloud) return { success: false, error: 'Web sync (API URL and key) must be set up to send enrollment links' };
+
+    try {
+      const response = await fetch(`${cloud.baseUrl}/api/admin/data/sync/face-enrollments${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': cloud.apiKey },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+      return response.ok ? result : { success: false, error: result.error || `HTTP ${response.status}` };
+    } catch (err) {
+      console.error('Error calling the cloud face enrollment API:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  // The descriptor never leaves this kiosk
+  toCloud(record) {
+    const { descriptor, ...rest } = record;
+    return rest;
+  }
+
+  async updateInCloud(record) {
+    const result = await this.cloudRequest('PUT', `/${encodeURIComponent(record.id)}`, this.toCloud(record));
+    if (!result.success) console.error('Failed to update face enrollment in cloud:', result.error);
+    return result;
+  }
+
+  isExpired(record, now = new Date()) {
+    return record.status === 'invited' && new Date(record.expiresAt) < now;
+  }
+
+  /**
+   * Merge local and cloud requests (the newer copy by updatedAt wins), then
+   * act on what changed in the cloud: new submissions are checked, and
+   * requests approved on the web dashboard are enrolled
+   * @returns {Array} Merged requests
+   */
+  async syncWithCloud() {
+    const local = this.getLocalRequests();
+    const result = await this.cloudRequest('GET');
+    if (!result.success) return local;
+
+    const localById = new Map(local.map(r => [r.id, r]));
+    const byId = new Map();
+    for (const remote of result.requests || []) {
+      const mine = localById.get(remote.id);
+      if (mine && (mine.updatedAt || '') > (remote.updatedAt || '')) {
+        await this.updateInCloud(mine);
+        byId.set(remote.id, mine);
+      } else {
+        byId.set(remote.id, mine?.descriptor ? { ...remote, descriptor: mine.descriptor } : remote);
+      }
+    }
+    // Gone from the cloud (erased there): the local copy stays for the record
+    for (const record of local) {
+      if (!byId.has(record.id)) byId.set(record.id, record);
+    }
+
+    const merged = [...byId.values()].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    for (const record of merged) {
+      if (this.isExpired(record)) {
+        Object.assign(record, { status: 'expired', updatedAt: new Date().toISOString() });
+        await this.updateInCloud(record);
+      } else if (record.status === 'submitted') {
+        await this.processSubmission(record);
+      } else if (record.status === 'approved' && record.descriptor) {
+        const applied = this.applyDescriptor(record, {
+          actor: AUDIT_ACTORS.WEB_ADMIN,
+          actorName: record.reviewedBy,
+          reason: 'Face ID self-enrollment approved on the web dashboard'
+        });
+        if (!applied.success) {
+          this.dataManager.logger?.warning('face',
+            `Could not enroll ${record.name} (${record.ufid}) from a web approval: ${applied.error}`, 'system');
+        }
+      } else if (record.status === 'rejected' && record.descriptor) {
+        delete record.descriptor;
+      }
+    }
+
+    this.saveLocalRequests(merged);
+    return merged;
+  }
+
+  async getEnrollmentRequests() {
+    return await this.syncWithCloud();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Invitations
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Send a student an enrollment link
+   * @param {string} ufid
+   * @param {Object} [options] - { invitedBy }
+   * @returns {Object} - { success, record?, link?, emailSent?, emailError?, error? }
+   */
+  async inviteStudent(ufid, { invitedBy = 'admin' } = {}) {
+    try {
+      const student = this.dataManager.getStudents().find(s => s.ufid === ufid);
+      if (!student || student.active === false) {
+        return { success: false, error: 'UF ID not found or inactive' };
+      }
+      if (!student.email) {
+        return { success: false, error: 'This student has no email address' };
+      }
+      const cloud = this.getCloudConfig();
+      if (!cloud) {
+        return { success: false, error: 'Web sync (API URL and key) must be set up to send enrollment links' };
+      }
+
+      const open = this.getLocalRequests().find(r =>
+        r.ufid === ufid && OPEN_STATUSES.includes(r.status) && !this.isExpired(r)
+      );
+      if (open) {
+        return { success: false, error: 'This student already has an open enrollment request' };
+      }
+
+      const now = new Date();
+      const record = {
+        id: `enroll-${Date.now()}-${ufid}`,
+        ufid,
+        name: student.name,
+        email: student.email,
+        token: crypto.randomBytes(32).toString('hex'),
+        challenge: shuffle(Object.keys(POSES)),
+        invitedBy: invitedBy || 'admin',
+        status: 'invited',
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + LINK_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        submittedAt: null,
+        analysis: null,
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewNote: null,
+        updatedAt: now.toISOString()
+      };
+
+      const cloudResult = await this.cloudRequest('POST', '', record);
+      if (!cloudResult.success) {
+        return { success: false, error: `Cloud API: ${cloudResult.error}` };
+      }
+
+      const requests = this.getLocalRequests();
+      requests.unshift(record);
+      this.saveLocalRequests(requests);
+
+      const link = `${cloud.baseUrl}/enroll/${record.token}`;
+      const emailResult = await this.sendEnrollmentEmail(record, link);
+      if (!emailResult.success) {
+        this.dataManager.logger?.warning('email',
+          `Failed to send Face ID enrollment email to ${student.email}: ${emailResult.error}`, 'system');
+      }
+
+      this.dataManager.logger?.info('face',
+        `${record.invitedBy} sent a Face ID enrollment link to ${student.name} (${ufid})`, 'admin');
+
+      return { success: true, record, link, emailSent: emailResult.success, emailError: emailResult.error || null };
+    } catch (err) {
+      console.error('Error sending face enrollment link:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Checking submissions
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Check an uploaded capture
+   * @param {Array<Object>} frames - { pose, capturedAt, face } in capture
+   *   order; face is the face service's /analyze result (or null)
+   * @param {string[]} challenge - the pose order the link asked for
+   * @returns {Object} { passed, failures, samples } samples are the best
+   *   embedding of each pose, in challenge order (empty unless passed)
+   */
+  assessCapture(frames, challenge = []) {
+    const failures = [];
+    const fail = message => {
+      if (!failures.includes(message)) failures.push(message);
+    };
+
+    if (frames.length === 0) fail('No frames were uploaded');
+    for (const frame of frames) {
+      const face = frame.face;
+      if (!face || !face.embedding) {
+        fail('No face was found in some frames');
+        continue;
+      }
+      if (face.is_screen) fail('A screen was detected instead of a live face');
+      const width = face.bbox ? face.bbox[2] - face.bbox[0] : 0;
+      if ((face.det_score ?? 0) < MIN_DET_SCORE || width < MIN_FACE_SIZE) {
+        fail('The face was too small or unclear');
+      }
+      const pose = POSES[frame.pose];
+      const yaw = yawOf(face.kps);
+      if (pose && (yaw < pose.yawMin || yaw > pose.yawMax)) fail(`The head did not match "${pose.label}"`);
+    }
+
+    const order = [];
+    for (const frame of frames) {
+      if (order[order.length - 1] !== frame.pose) order.push(frame.pose);
+    }
+    if (order.join(',') !== challenge.join(',')) fail('The poses were not captured in the order asked for');
+
+    const times = frames.map(f => Date.parse(f.capturedAt));
+    const continuous = times.every((t, i) => Number.isFinite(t) && (i === 0 || t >= times[i - 1]));
+    if (!continuous || times[times.length - 1] - times[0] > MAX_CAPTURE_MS) {
+      fail('The poses were not captured in one go');
+    }
+
+    // Best frame of each pose
+    const usable = frames.filter(f => f.face && f.face.embedding);
+    const samples = challenge.map(pose => {
+      const best = usable.filter(f => f.pose === pose)
+        .sort((a, b) => (b.face.det_score ?? 0) - (a.face.det_score ?? 0))[0];
+      return best ? best.face.embedding : null;
+    });
+
+    if (samples.every(Boolean)) {
+      const front = samples[challenge.indexOf('front')] || samples[0];
+      if (usable.some(f => cosineDistance(f.face.embedding, front) > SAME_FACE_DISTANCE)) {
+        fail('The frames do not all show the same face');
+      }
+      for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+          if (cosineDistance(samples[i], samples[j]) < MIN_SAMPLE_DISTANCE) {
+            fail('The poses are too similar; the head has to turn');
+          }
+        }
+      }
+    }
+
+    const passed = failures.length === 0;
+    return { passed, failures, samples: passed ? samples : [] };
+  }
+
+  /**
+   * Things for the reviewer to look at: a passed capture that already looks
+   * like another enrolled student, or replaces the student's own enrollment
+   * @param {Object} record
+   * @param {Array<number[]>} samples
+   * @returns {string[]}
+   */
+  reviewWarnings(record, samples) {
+    const warnings = [];
+    if (this.dataManager.getFaceEnrolledUfids().includes(record.ufid)) {
+      warnings.push('Replaces the current Face ID enrollment');
+    }
+    const lookalikes = new Map();
+    for (const sample of samples) {
+      const { candidates, margin } = this.dataManager.identifyFace(sample, { k: 3 });
+      for (const candidate of candidates) {
+        if (candidate.ufid !== record.ufid && candidate.distance <= candidate.threshold + margin) {
+          lookalikes.set(candidate.ufid, candidate);
+        }
+      }
+    }
+    for (const other of lookalikes.values()) {
+      warnings.push(`Looks like ${other.name} (${other.ufid}); make sure this is the right person`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Pull a submission's frames, analyze them and queue the result for
+   * review (or mark it failed). The cloud deletes the frames once the status
+   * moves on. Left as submitted, to retry on the next sync, when the face
+   * service or the cloud can't be reached.
+   * @param {Object} record - updated in place
+   * @returns {Object} - { success, passed?, error? }
+   */
+  async processSubmission(record) {
+    if (!this.faceService || !this.faceService.ready) {
+      return { success: false, error: 'Face service is not running' };
+    }
+    const media = await this.cloudRequest('GET', `/${encodeURIComponent(record.id)}/media`);
+    if (!media.success) return { success: false, error: media.error };
+
+    const frames = [];
+    try {
+      for (const frame of media.frames || []) {
+        const result = await this.faceService.analyze(frame.image);
+        frames.push({ pose: frame.pose, capturedAt: frame.capturedAt, face: result?.face || null });
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    } finally {
+      // The frames went through the pulse buffer meant for the kiosk camera
+      await this.faceService.resetLiveness().catch(() => {});
+    }
+
+    const assessment = this.assessCapture(frames, record.challenge);
+    const analysis = {
+      checkedAt: new Date().toISOString(),
+      frames: frames.length,
+      passed: assessment.passed,
+      failures: assessment.failures,
+      warnings: assessment.passed ? this.reviewWarnings(record, assessment.samples) : []
+    };
+
+    if (assessment.passed) {
+      record.descriptor = this.dataManager.encodeFaceDescriptor(assessment.samples);
+      if (!record.descriptor) return { success: false, error: 'Database not ready' };
+    }
+    Object.assign(record, {
+      status: assessment.passed ? 'review' : 'failed',
+      analysis,
+      updatedAt: new Date().toISOString()
+    });
+    await this.updateInCloud(record);
+
+    this.dataManager.logger?.info('face', assessment.passed
+      ? `Face ID self-enrollment from ${record.name} (${record.ufid}) is waiting for review`
+      : `Face ID self-enrollment from ${record.name} (${record.ufid}) failed: ${assessment.failures.join('; ')}`, 'system');
+
+    return { success: true, passed: assessment.passed };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Review
+  // ─────────────────────────────────────────────────────────────
+
+  // Save a reviewed descriptor as the student's Face ID enrollment
+  applyDescriptor(record, audit) {
+    const descriptor = this.dataManager.decodeFaceDescriptor(record.descriptor);
+    if (!descriptor) {
+      return { success: false, error: 'The captured face can no longer be read; send a new link' };
+    }
+    if (!this.dataManager.saveFaceDescriptor(record.ufid, descriptor, audit)) {
+      return { success: false, error: 'Failed to save the Face ID enrollment' };
+    }
+    delete record.descriptor;
+    this.dataManager.logger?.info('face',
+      `${audit.actorName || 'admin'} approved the Face ID self-enrollment of ${record.name} (${record.ufid})`, 'admin');
+    return { success: true };
+  }
+
+  /**
+   * Approve a checked capture: it becomes the student's Face ID enrollment
+   * @param {string} id - Enrollment request ID
+   * @param {Object} review - { approvedBy, note }
+   * @returns {Object} - { success, record?, error? }
+   */
+  async approveEnrollment(id, { approvedBy = 'admin', note = '' } = {}) {
+    try {
+      const requests = this.getLocalRequests();
+      const record = requests.find(r => r.id === id);
+
+      if (!record) return { success: false, error: 'Enrollment request not found' };
+      if (record.status !== 'review' || !record.descriptor) {
+        return { success: false, error: 'This request is not waiting for review' };
+      }
+
+      const reviewer = approvedBy || 'admin';
+      const applied = this.applyDescriptor(record, {
+        actor: AUDIT_ACTORS.ADMIN,
+        actorName: reviewer,
+        reason: 'Face ID self-enrollment approved'
+      });
+      if (!applied.success) return applied;
+
+      const now = new Date().toISOString();
+      Object.assign(record, {
+        status: 'approved',
+        reviewedAt: now,
+        reviewedBy: reviewer,
+        reviewNote: note || null,
+        updatedAt: now
+      });
+
+      this.saveLocalRequests(requests);
+      await this.updateInCloud(record);
+      return { success: true, record };
+    } catch (err) {
+      console.error('Error approving face enrollment:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Reject a capture, or withdraw a link that hasn't been used (nothing is
+   * enrolled and the link stops working)
+   * @param {string} id - Enrollment request ID
+   * @param {Object} review - { reviewedBy, note }
+   * @returns {Object} - { success, record?, error? }
+   */
+  async rejectEnrollment(id, { reviewedBy = 'admin', note = '' } = {}) {
+    try {
+      const requests = this.getLocalRequests();
+      const record = requests.find(r => r.id === id);
+
+      if (!record) return { success: false, error: 'Enrollment request not found' };
+      if (![...OPEN_STATUSES, 'failed'].includes(record.status)) {
+        return { success: false, error: 'This request has already been reviewed' };
+      }
+
+      const now = new Date().toISOString();
+      delete record.descriptor;
+      Object.assign(record, {
+        status: 'rejected',
+        reviewedAt: now,
+        reviewedBy: reviewedBy || 'admin',
+        reviewNote: note || null,
+        updatedAt: now
+      });
+
+      this.saveLocalRequests(requests);
+      await this.updateInCloud(record);
+
+      this.dataManager.logger?.info('face',
+        `${record.reviewedBy} rejected the Face ID self-enrollment of ${record.name} (${record.ufid})`, 'admin');
+
+      return { success: true, record };
+    } catch (err) {
+      console.error('Error rejecting face enrollment:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * A student's requests in the local cache (the cloud copy and its frames
+   * go with the cloud API's subject erasure)
+   * @param {string} ufid
+   * @param {Object} [options] - { remove } true to delete them
+   * @returns {Array} The requests, without the link token or descriptor
+   */
+  localRecordsOf(ufid, { remove = false } = {}) {
+    const records = this.getLocalRequests();
+    const theirs = records.filter(r => r.ufid === ufid);
+    if (remove && theirs.length > 0) this.saveLocalRequests(records.filter(r => r.ufid !== ufid));
+    return theirs.map(({ token, descriptor, ...rest }) => rest);
+  }
+
+  hasOpenRequests(requests = this.getLocalRequests()) {
+    return requests.some(r => OPEN_STATUSES.includes(r.status));
+  }
+
+  getEnrollmentStats(requests = this.getLocalRequests()) {
+    const count = status => requests.filter(r => r.status === status).length;
+    return {
+      total: requests.length,
+      invited: count('invited'),
+      review: count('review'),
+      approved: count('approved'),
+      rejected: count('rejected'),
+      failed: count('failed')
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Email
+  // ─────────────────────────────────────────────────────────────
+
+  async sendEnrollmentEmail(record, link) {
+    try {
+      const config = this.dataManager.getConfig();
+      if (!config.emailSettings?.enabled || !config.emailSettings?.email) {
+        this.dataManager.logger?.warning('email',
+          `Email not configured - skipping email to ${record.email}`, 'system');
+        return { success: false, error: 'Email not configured' };
+      }
+
+      const expires = new Date(record.expiresAt).toLocaleDateString('en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', timeZone: this.dataManager.getTimezone()
+      });
+      const transporter = this.emailService.createTransporter(config.emailSettings);
+
+      // Plain text version improves deliverability
+      const plainText = `Hello ${record.name},
+
+You can set up Face ID for signing in to the lab from your phone. Open this link on your phone and follow the prompts; it takes under a minute:
+${link}
+
+The link works until ${expires}. Your photos are only used to build your Face ID template and are deleted once they have been checked. A lab admin reviews the result before Face ID is turned on for you.
+
+---
+University of Florida Lab Attendance System
+This is an automated message. Please do not reply to this email.`;
+
+      const info = await transporter.sendMail({
+        from: {
+          name: 'SMILE Lab Attendance',
+          address: config.emailSettings.email
+        },
+        replyTo: config.emailSettings.email,
+        to: record.email,
+        subject: `${record.name}, set up Face ID for the lab`,
+        text: plainText,
+        html: this.generateEnrollmentEmailHTML({ name: record.name, expires, link }),
+        headers: {
+          'Auto-Submitted': 'auto-generated',
+          'Feedback-ID': 'face-enrollment:smile-lab:attendance'
+        }
+      });
+
+      this.dataManager.logger?.info('email',
+        `Face ID enrollment email sent to ${record.email}`, 'system');
+
+      return { success: true, messageId: info.messageId };
+    } catch (err) {
+      console.error('Error sending face enrollment email:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  generateEnrollmentEmailHTML({ name, expires, link }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px; background-color: #f4f4f4;">
+  <div style="max-width: 600px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+    <div style="text-align: center; margin-bottom: 30px;">
+      <div style="background: linear-gradient(135deg, #0021A5, #001A85); width: 60px; height: 60px; border-radius: 12px; margin: 0 auto 15px; display: flex; align-items: center; justify-content: center;">
+        <span style="color: white; font-size: 28px; font-weight: bold;">S</span>
+      </div>
+      <h1 style="color: #0021A5; margin: 0; font-size: 24px;">Set Up Face ID</h1>
+    </div>
+
+    <p style="color: #333; font-size: 16px; line-height: 1.6;">Hello <strong>${name}</strong>,</p>
+
+    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+      You can set up Face ID for signing in to the lab from your phone. Open the link on your phone and follow the prompts; it takes under a minute.
+    </p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${link}" style="display: inline-block; background: linear-gradient(135deg, #0021A5, #001A85); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">
+        Set Up Face ID
+      </a>
+    </div>
+
+    <p style="color: #64748b; font-size: 13px; line-height: 1.5; text-align: center;">
+      Or copy this link: <a href="${link}" style="color: #0021A5;">${link}</a>
+    </p>
+
+    <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FA4616;">
+      <p style="margin: 0; color: #333; font-size: 15px;">
+        <strong style="color: #0021A5;">The link works until:</strong> ${expires}<br>
+        Your photos are only used to build your Face ID template and are deleted once they have been checked. A lab admin reviews the result before Face ID is turned on for you.
+      </p>
+    </div>
+
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #e2e8f0;">
+
+    <p style="color: #64748b; font-size: 12px; text-align: center; margin: 0;">
+      SMILE Lab Attendance System<br>
+      University of Florida<br>
+      <span style="color: #94a3b8;">This is an automated message.</span>
+    </p>
+  </div>
+</body>
+</html>
+    `;
+  }
+}
+
+FaceEnrollmentService.POSES = POSES;
+
+module.exports = FaceEnrollmentService;
@@ -0,0 +1,265 @@
+/**
+ * Face Evaluation - measures how well Face ID tells students apart
+ *
+ * Works on a folder of labeled images, one subfolder per person:
+ *   <images>/<label>/*.jpg   the first N images (by name) are that person's
+ *                            enrollment, like the 3-pose capture; the rest are
+ *                            probes that should match them
+ *   <images>/_<name>/*.jpg   people who are not enrolled: every image is a
+ *                            probe that should be rejected
+ * Each image goes through face_service.py /analyze for its embedding, then:
+ *   - every probe is compared with every enrolled person: pairs with the same
+ *     label are genuine, the others impostor. Sweeping a threshold over those
+ *     distances gives the ROC, FAR/FRR at each threshold and the equal error rate.
+ *   - every probe is identified the way the kiosk does it (FaceMatcher with
+ *     per-student thresholds and the match margin), which gives the confusion
+ *     report: who was recognized as whom, who was rejected.
+ * scripts/evaluateFaces.js is the command-line front end.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FaceMatcher, DEFAULT_MATCH_MARGIN, enrollmentThreshold } = require('./faceMatcher.js');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp'];
+const UNKNOWN_PREFIX = '_';
+const DEFAULT_ENROLL_COUNT = 3;
+const DEFAULT_THRESHOLDS = [0.25, 0.30, 0.35, 0.40, 0.45, 0.50, 0.55, 0.60];
+const REJECTED = 'rejected';
+
+/**
+ * Labeled images in a folder (see the layout above)
+ * @param {string} dir
+ * @returns {Array<Object>} { label, file, unknown } sorted by label, then file
+ */
+function listLabeledImages(dir) {
+    const images = [];
+    const folders = fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name).sort();
+    for (const label of folders) {
+        const files = fs.readdirSync(path.join(dir, label))
+            .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort();
+        for (const name of files) {
+            images.push({ label, file: path.join(dir, label, name), unknown: label.startsWith(UNKNOWN_PREFIX) });
+        }
+    }
+    return images;
+}
+
+/**
+ * Split images into enrollment samples and probes
+ * @param {Array<Object>} images - listLabeledImages() result
+ * @param {number} [enrollCount] - enrollment images per person
+ * @returns {Object} { enrollment: { label: [image] }, probes: [image] }
+ */
+function splitEnrollment(images, enrollCount = DEFAULT_ENROLL_COUNT) {
+    const enrollment = {};
+    const probes = [];
+    for (const image of images) {
+        if (image.unknown) {
+            probes.push(image);
+            continue;
+        }
+        enrollment[image.label] = enrollment[image.label] || [];
+        if (enrollment[image.label].length < enrollCount) enrollment[image.label].push(image);
+        else probes.push(image);
+    }
+    return { enrollment, probes };
+}
+
+/**
+ * Embed images through the face service
+ * @param {Array<Object>} images - { file, ... }
+ * @param {Function} analyze - (base64 image) => Promise<{ face }>, e.g. faceService.analyze
+ * @param {Object} [options] - { onProgress(done, total) }
+ * @returns {Promise<Object>} { embedded: [image + { embedding }], failures: [{ file, error }] }
+ */
+async function embedImages(images, analyze, options = {}) {
+    const embedded = [];
+    const failures = [];
+    for (const [index, image] of images.entries()) {
+        try {
+            const result = await analyze(fs.readFileSync(image.file).toString('base64'));
+            if (result?.face?.embedding) embedded.push({ ...image, embedding: result.face.embedding });
+            else failures.push({ file: image.file, error: result?.error ? 'analysis failed' : 'no face detected' });
+        } catch (error) {
+            failures.push({ file: image.file, error: error.message });
+        }
+        if (options.onProgress) options.onProgress(index + 1, images.length);
+    }
+    return { embedded, failures };
+}
+
+// How many of the sorted values are <= limit
+function countAtMost(sorted, limit) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] <= limit) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * FAR/FRR of genuine and impostor distances at a threshold
+ * @param {number[]} genuine - sorted ascending
+ * @param {number[]} impostor - sorted ascending
+ * @param {number} threshold
+ * @returns {Object} { threshold, far, frr, tar, falseAccepts, falseRejects }
+ */
+function rocPoint(genuine, impostor, threshold) {
+    const falseAccepts = countAtMost(impostor, threshold);
+    const falseRejects = genuine.length - countAtMost(genuine, threshold);
+    const far = impostor.length ? falseAccepts / impostor.length : 0;
+    const frr = genuine.length ? falseRejects / genuine.length : 0;
+    return { threshold, far, frr, tar: 1 - frr, falseAccepts, falseRejects };
+}
+
+/**
+ * Threshold where FAR and FRR meet
+ * @param {number[]} genuine - sorted ascending
+ * @param {number[]} impostor - sorted ascending
+ * @returns {Object|null} { threshold, rate }
+ */
+function equalErrorRate(genuine, impostor) {
+    if (!genuine.length || !impostor.length) return null;
+    let best = null;
+    for (const threshold of [...genuine, ...impostor]) {
+        const point = rocPoint(genuine, impostor, threshold);
+        const gap = Math.abs(point.far - point.frr);
+        if (!best || gap < best.gap) best = { gap, threshold, rate: (point.far + point.frr) / 2 };
+    }
+    return { threshold: best.threshold, rate: best.rate };
+}
+
+/**
+ * Evaluate embedded enrollment samples and probes
+ * @param {Object} input
+ * @param {Object} input.enrollment - { label: [embedding] }
+ * @param {Array<Object>} input.probes - { label, embedding, unknown }
+ * @param {number[]} [input.thresholds] - thresholds to report FAR/FRR at
+ * @param {number} [input.margin] - match margin for the confusion report
+ * @returns {Object} { enrolled, probes: { genuine, unknown }, pairs: { genuine, impostor },
+ *   roc, eer, identification: { margin, correct, misidentified, rejected, ambiguous,
+ *   unknownAccepted, unknownRejected, accuracy, confusion, students } }
+ */
+function evaluate({ enrollment, probes, thresholds = DEFAULT_THRESHOLDS, margin = DEFAULT_MATCH_MARGIN }) {
+    const labels = Object.keys(enrollment).filter(label => enrollment[label].length > 0);
+    const matcher = new FaceMatcher({ margin });
+    matcher.load(labels.map(label => ({ ufid: label, name: label, descriptor: enrollment[label] })));
+
+    const genuine = [];
+    const impostor = [];
+    const confusion = {};
+    const identification = {
+        margin,
+        correct: 0,
+        misidentified: 0,
+        rejected: 0,
+        ambiguous: 0,
+        unknownAccepted: 0,
+        unknownRejected: 0
+    };
+
+    for (const probe of probes) {
+        const enrolled = !probe.unknown && labels.includes(probe.label);
+        const all = matcher.identify(probe.embedding, { k: labels.length });
+        for (const candidate of all.candidates) {
+            (enrolled && candidate.ufid === probe.label ? genuine : impostor).push(candidate.distance);
+        }
+
+        const predicted = all.match ? all.match.ufid : REJECTED;
+        confusion[probe.label] = confusion[probe.label] || {};
+        confusion[probe.label][predicted] = (confusion[probe.label][predicted] || 0) + 1;
+
+        if (all.ambiguous) identification.ambiguous++;
+        if (!enrolled) {
+            if (all.match) identification.unknownAccepted++;
+            else identification.unknownRejected++;
+        } else if (!all.match) {
+            identification.rejected++;
+        } else if (predicted === probe.label) {
+            identification.correct++;
+        } else {
+            identification.misidentified++;
+        }
+    }
+
+    genuine.sort((a, b) => a - b);
+    impostor.sort((a, b) => a - b);
+    const genuineProbes = identification.correct + identification.misidentified + identification.rejected;
+    identification.accuracy = genuineProbes ? identification.correct / genuineProbes : null;
+    identification.confusion = confusion;
+    identification.students = labels.map(label => ({ label, threshold: enrollmentThreshold(enrollment[label]) }));
+
+    return {
+        enrolled: labels.length,
+        probes: { genuine: genuineProbes, unknown: identification.unknownAccepted + identification.unknownRejected },
+        pairs: { genuine: genuine.length, impostor: impostor.length },
+        roc: thresholds.map(threshold => rocPoint(genuine, impostor, threshold)),
+        eer: equalErrorRate(genuine, impostor),
+        identification
+    };
+}
+
+/**
+ * ROC points as CSV
+ * @param {Array<Object>} roc - evaluate().roc
+ * @returns {string}
+ */
+function rocToCsv(roc) {
+    const rows = roc.map(p => [p.threshold, p.far, p.frr, p.tar, p.falseAccepts, p.falseRejects].join(','));
+    return ['threshold,far,frr,tar,false_accepts,false_rejects', ...rows].join('\n') + '\n';
+}
+
+/**
+ * A readable report
+ * @param {Object} result - evaluate() result
+ * @param {Array<Object>} [failures] - embedImages() failures
+ * @returns {string}
+ */
+function formatReport(result, failures = []) {
+    const pct = value => (value == null ? '—' : `${(value * 100).toFixed(2)}%`);
+    const { identification: id } = result;
+    const lines = [
+        `Enrolled: ${result.enrolled} people; probes: ${result.probes.genuine} enrolled, ${result.probes.unknown} not enrolled`,
+        `Pairs: ${result.pairs.genuine} genuine, ${result.pairs.impostor} impostor`,
+        '',
+        'Threshold    FAR       FRR',
+        ...result.roc.map(p => `${p.threshold.toFixed(2).padEnd(13)}${pct(p.far).padEnd(10)}${pct(p.frr)}`),
+        '',
+        result.eer ? `Equal error rate: ${pct(result.eer.rate)} at ${result.eer.threshold.toFixed(3)}` : 'Equal error rate: n/a',
+        '',
+        `Identification (per-student thresholds, margin ${id.margin}):`,
+        `  correct ${id.correct}, misidentified ${id.misidentified}, rejected ${id.rejected} (${id.ambiguous} by the margin), accuracy ${pct(id.accuracy)}`,
+        `  not enrolled: ${id.unknownAccepted} accepted, ${id.unknownRejected} rejected`
+    ];
+
+    const confusions = [];
+    for (const [label, predictions] of Object.entries(id.confusion)) {
+        for (const [predicted, count] of Object.entries(predictions)) {
+            if (predicted !== label && predicted !== REJECTED) confusions.push(`  ${label} -> ${predicted}: ${count}`);
+        }
+    }
+    if (confusions.length) lines.push('', 'Confused:', ...confusions);
+
+    if (failures.length) {
+        lines.push('', `Skipped ${failures.length} images:`, ...failures.map(f => `  ${f.file}: ${f.error}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_ENROLL_COUNT,
+    DEFAULT_THRESHOLDS,
+    REJECTED,
+    listLabeledImages,
+    splitEnrollment,
+    embedImages,
+    rocPoint,
+    equalErrorRate,
+    evaluate,
+    rocToCsv,
+    formatReport
+};
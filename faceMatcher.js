@@ -0,0 +1,321 @@
+/**
+ * Face Matcher - identifies a face embedding against the enrolled students
+ *
+ * The gallery lives in the main process so face templates never reach a
+ * renderer. Descriptors are L2-normalized once when loaded and packed into one
+ * Float32Array per embedding size, so a lookup is a dot product per template:
+ * cosine distance = 1 - dot. A student enrolled with several samples (the
+ * 3-pose capture) is as close as their closest sample.
+ *
+ * Each student is matched against their own threshold, set at enrollment
+ * from how far apart their samples are: a student whose poses agree closely
+ * gets a stricter threshold than the global one. A match is also rejected
+ * when the next student is within the match margin (config.faceId.matchMargin)
+ * of it, which is how look-alikes are kept apart.
+ *
+ * Templates age: with config.faceId.refresh on, a confident sign-in adds its
+ * embedding to a small rolling gallery next to the enrollment samples, so a
+ * student who changes glasses or grows a beard keeps being recognized. The
+ * enrollment samples are never replaced, the threshold stays the one they
+ * gave, and an embedding only joins the gallery if it is within that
+ * threshold of the enrollment itself, so the gallery cannot drift to someone
+ * else one refresh at a time.
+ */
+
+// ArcFace cosine-distance threshold — lower = stricter. 0.40 is recommended.
+const MATCH_THRESHOLD = 0.40;
+// Per-student thresholds: the samples' spread plus this slack, kept between
+// the floor and the global threshold
+const THRESHOLD_FLOOR = 0.25;
+const SPREAD_SLACK = 0.15;
+const DEFAULT_MATCH_MARGIN = 0.05;
+const DEFAULT_TOP_K = 3;
+// Template refresh: off until an admin turns it on
+const DEFAULT_REFRESH = {
+    enabled: false,
+    maxDistance: 0.20,      // a match at most this far counts as confident
+    gallerySize: 5,         // recent embeddings kept per student
+    minIntervalHours: 24    // between refreshes of one student
+};
+
+/**
+ * Cosine distance between two number arrays (not pre-normalized)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0 (same direction) to 2
+ */
+function cosineDistance(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    const denom = Math.sqrt(na) * Math.sqrt(nb);
+    return denom === 0 ? 1 : 1 - dot / denom;
+}
+
+// A copy of a vector scaled to unit length, or null for a zero/invalid one
+function normalize(vector) {
+    if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) return null;
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (!vector.length || !Number.isFinite(norm) || norm === 0) return null;
+    return Float32Array.from(vector, v => v / norm);
+}
+
+// A stored descriptor is one sample or a list of samples
+function samplesOf(descriptor) {
+    if (!Array.isArray(descriptor) || descriptor.length === 0) return [];
+    return Array.isArray(descriptor[0]) ? descriptor : [descriptor];
+}
+
+// A number setting within [min, max], or its default
+function numberIn(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : fallback;
+}
+
+/**
+ * Fill in the Face ID settings
+ * @param {Object} settings
+ * @param {number} settings.matchMargin - distance the runner-up must be
+ *   behind the best candidate by (0 turns margin rejection off)
+ * @param {Object} settings.refresh - { enabled, maxDistance, gallerySize,
+ *   minIntervalHours } template refresh from confident sign-ins
+ * @returns {Object}
+ */
+function normalizeSettings(settings = {}) {
+    const refresh = settings.refresh || {};
+    return {
+        matchMargin: numberIn(settings.matchMargin, 0, 0.5, DEFAULT_MATCH_MARGIN),
+        refresh: {
+            enabled: refresh.enabled === true,
+            maxDistance: numberIn(refresh.maxDistance, 0.01, MATCH_THRESHOLD, DEFAULT_REFRESH.maxDistance),
+            gallerySize: Math.round(numberIn(refresh.gallerySize, 1, 20, DEFAULT_REFRESH.gallerySize)),
+            minIntervalHours: numberIn(refresh.minIntervalHours, 0, 24 * 365, DEFAULT_REFRESH.minIntervalHours)
+        }
+    };
+}
+
+/**
+ * A student's match threshold from their enrollment samples
+ * @param {Array} descriptor - one sample or a list of samples
+ * @returns {number|null} null with fewer than two samples (the global
+ *   threshold applies)
+ */
+function enrollmentThreshold(descriptor) {
+    const samples = samplesOf(descriptor).filter(sample => normalize(sample));
+    if (samples.length < 2) return null;
+
+    let spread = 0;
+    for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+            if (samples[i].length === samples[j].length) spread = Math.max(spread, cosineDistance(samples[i], samples[j]));
+        }
+    }
+    const threshold = Math.min(MATCH_THRESHOLD, Math.max(THRESHOLD_FLOOR, spread + SPREAD_SLACK));
+    return Math.round(threshold * 1000) / 1000;
+}
+
+/**
+ * Whether a match should refresh a student's templates
+ * @param {Object} template - { descriptor, gallery, threshold, refreshedAt }
+ *   the student's stored templates (getFaceTemplate() result)
+ * @param {number[]} embedding - the face that was matched
+ * @param {number} distance - its match distance
+ * @param {Object} policy - normalizeSettings().refresh
+ * @param {Date} [now]
+ * @returns {Object} { refresh, reason, gallery } gallery is the new rolling
+ *   gallery (oldest first) when refresh is true; reason says why not:
+ *   disabled, low_confidence, too_soon or drifted
+ */
+function planTemplateRefresh(template, embedding, distance, policy, now = new Date()) {
+    if (!policy || !policy.enabled) return { refresh: false, reason: 'disabled' };
+    if (!Number.isFinite(distance) || distance > policy.maxDistance) return { refresh: false, reason: 'low_confidence' };
+
+    if (template.refreshedAt) {
+        const hours = (now - new Date(template.refreshedAt)) / 3600000;
+        if (hours < policy.minIntervalHours) return { refresh: false, reason: 'too_soon' };
+    }
+
+    // Anchored to the enrollment, not to earlier refreshes
+    const threshold = Number.isFinite(template.threshold) ? template.threshold : MATCH_THRESHOLD;
+    const fromEnrollment = samplesOf(template.descriptor)
+        .filter(sample => sample.length === embedding.length)
+        .map(sample => cosineDistance(sample, embedding));
+    if (!fromEnrollment.length || Math.min(...fromEnrollment) > threshold) return { refresh: false, reason: 'drifted' };
+
+    const gallery = [...samplesOf(template.gallery), Array.from(embedding)].slice(-policy.gallerySize);
+    return { refresh: true, reason: null, gallery };
+}
+
+class FaceMatcher {
+    /**
+     * @param {Object} [options] - { threshold, margin } the global threshold
+     *   (for students without their own) and the match margin
+     */
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? MATCH_THRESHOLD;
+        this.margin = options.margin ?? DEFAULT_MATCH_MARGIN;
+        this.students = [];
+        this.galleries = new Map();
+        this.stamp = null;
+    }
+
+    /**
+     * Replace the gallery
+     * @param {Array<{ufid, name, descriptor, gallery, threshold}>} entries -
+     *   getAllFaceDescriptors() result; gallery holds the refreshed samples,
+     *   matched like the enrollment ones
+     * @param {*} [stamp] - what the gallery was loaded from (see isCurrent)
+     */
+    load(entries = [], stamp = null) {
+        const rowsByDim = new Map();
+        this.students = [];
+
+        for (const entry of entries) {
+            const index = this.students.length;
+            let samples = 0;
+            for (const sample of [...samplesOf(entry.descriptor), ...samplesOf(entry.gallery)]) {
+                const unit = normalize(sample);
+                if (!unit) continue;
+                if (!rowsByDim.has(unit.length)) rowsByDim.set(unit.length, []);
+                rowsByDim.get(unit.length).push({ unit, student: index });
+                samples++;
+            }
+            if (samples === 0) continue;
+            const threshold = Number.isFinite(entry.threshold) ? entry.threshold : enrollmentThreshold(entry.descriptor);
+            this.students.push({ ufid: entry.ufid, name: entry.name, threshold: threshold ?? this.threshold });
+        }
+
+        this.galleries = new Map();
+        for (const [dim, rows] of rowsByDim) {
+            const matrix = new Float32Array(rows.length * dim);
+            rows.forEach((row, i) => matrix.set(row.unit, i * dim));
+            this.galleries.set(dim, { matrix, owners: Int32Array.from(rows, row => row.student) });
+        }
+        this.stamp = stamp;
+    }
+
+    /**
+     * Whether the gallery was loaded from the given stamp
+     * @param {*} stamp
+     * @returns {boolean}
+     */
+    isCurrent(stamp) {
+        return this.stamp !== null && this.stamp === stamp;
+    }
+
+    /**
+     * Enrolled students
+     * @returns {string[]} UFIDs
+     */
+    getEnrolledUfids() {
+        return this.students.map(s => s.ufid);
+    }
+
+    /**
+     * Closest enrolled students to an embedding
+     * @param {number[]} embedding
+     * @param {Object} [options] - { k } number of candidates (default 3)
+     * @returns {Object} { match, candidates, ambiguous, threshold, margin }
+     *   candidates are { ufid, name, distance, threshold } closest first;
+     *   match is the first one when it is within its threshold and the next
+     *   one is at least the margin further away, else null. ambiguous is true
+     *   when only the margin rejected it. Enrollments made with another
+     *   embedding size are not compared.
+     */
+    identify(embedding, options = {}) {
+        const k = Math.max(1, options.k ?? DEFAULT_TOP_K);
+        const query = normalize(embedding);
+        const gallery = query && this.galleries.get(query.length);
+        if (!gallery) {
+            return { match: null, candidates: [], ambiguous: false, threshold: this.threshold, margin: this.margin };
+        }
+
+        const best = this.closestTo(query, gallery);
+        const candidates = [];
+        best.forEach((distance, index) => {
+            if (distance !== Infinity) candidates.push({ ...this.students[index], distance });
+        });
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        const [first, second] = candidates;
+        const within = Boolean(first) && first.distance <= first.threshold;
+        const ambiguous = within && Boolean(second) && second.distance - first.distance < this.margin;
+        candidates.length = Math.min(candidates.length, k);
+
+        return {
+            match: within && !ambiguous ? first : null,
+            candidates,
+            ambiguous,
+            threshold: this.threshold,
+            margin: this.margin
+        };
+    }
+
+    /**
+     * Students whose templates sit close enough to another student's to be
+     * confused with them: nearer than either one's threshold plus the margin.
+     * Compares every pair of samples, so it is meant for the admin view, not
+     * for every frame.
+     * @returns {Array<Object>} { ufid, name, threshold, nearest, atRisk } per
+     *   enrolled student; nearest is { ufid, name, distance } or null
+     */
+    collisionRisk() {
+        const nearest = this.students.map(() => ({ index: -1, distance: Infinity }));
+
+        for (const [dim, gallery] of this.galleries) {
+            const { matrix, owners } = gallery;
+            for (let row = 0; row < owners.length; row++) {
+                const query = matrix.subarray(row * dim, (row + 1) * dim);
+                const best = this.closestTo(query, gallery, row + 1);
+                best.forEach((distance, index) => {
+                    const owner = owners[row];
+                    if (index === owner || distance === Infinity) return;
+                    if (distance < nearest[owner].distance) nearest[owner] = { index, distance };
+                    if (distance < nearest[index].distance) nearest[index] = { index: owner, distance };
+                });
+            }
+        }
+
+        return this.students.map((student, index) => {
+            const closest = nearest[index];
+            if (closest.index < 0) return { ...student, nearest: null, atRisk: false };
+            const other = this.students[closest.index];
+            return {
+                ...student,
+                nearest: { ufid: other.ufid, name: other.name, distance: closest.distance },
+                atRisk: closest.distance < Math.max(student.threshold, other.threshold) + this.margin
+            };
+        });
+    }
+
+    // Per student, the distance of their closest sample to a unit vector
+    // (only rows from `fromRow` on are compared)
+    closestTo(query, gallery, fromRow = 0) {
+        const dim = query.length;
+        const best = new Float64Array(this.students.length).fill(Infinity);
+        const { matrix, owners } = gallery;
+        for (let row = fromRow; row < owners.length; row++) {
+            let dot = 0;
+            const offset = row * dim;
+            for (let i = 0; i < dim; i++) dot += matrix[offset + i] * query[i];
+            const distance = 1 - dot;
+            if (distance < best[owners[row]]) best[owners[row]] = distance;
+        }
+        return best;
+    }
+}
+
+module.exports = {
+    FaceMatcher,
+    MATCH_THRESHOLD,
+    DEFAULT_MATCH_MARGIN,
+    cosineDistance,
+    enrollmentThreshold,
+    normalizeSettings,
+    planTemplateRefresh
+};
@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const zone = require('./timezone.js');
+const { sheetNameFor } = require('./locations.js');
 
 class GoogleSheetsService {
     constructor(dataManager) {
@@ -9,6 +11,55 @@ class GoogleSheetsService {
         this.auth = null;
 
     }
+
+    // Lab timezone (config.timezone) used for the date/time columns and day headers
+    getTimezone() {
+        return this.dataManager && typeof this.dataManager.getTimezone === 'function'
+            ? this.dataManager.getTimezone()
+            : zone.DEFAULT_TIMEZONE;
+    }
+
+    // Same shape as Date#toDateString() ("Mon Jan 06 2025") but in lab time
+    formatRowDate(date) {
+        return zone.formatInZone(date, this.getTimezone(), {
+            weekday: 'short', month: 'short', day: '2-digit', year: 'numeric'
+        }).replace(/,/g, '');
+    }
+
+    formatRowTime(date) {
+        return zone.formatInZone(date, this.getTimezone(), {
+            hour: 'numeric', minute: '2-digit', second: '2-digit'
+        });
+    }
+
+    // "Source" column: approved corrections, auto sign-outs, everything else
+    recordSource(record) {
+        if (record.correction) return `correction (${record.approvedBy || 'admin'})`;
+        return record.synthetic ? 'auto' : 'manual';
+    }
+
+    // Tab for a record: its location's own tab when one is set, else the main tab
+    sheetNameForRecord(record, mainSheetName) {
+        const locations = typeof this.dataManager.getLocations === 'function' ? this.dataManager.getLocations() : [];
+        return sheetNameFor(record, locations, mainSheetName);
+    }
+
+    // Create a location's tab (with headers) the first time a record goes there
+    async ensureLocationSheet(spreadsheetId, sheetName) {
+        if (await this.getSheetIdByName(spreadsheetId, sheetName) != null) return;
+        await this.setupSheetHeaders(spreadsheetId, sheetName);
+    }
+
+    // Group records by the tab they belong in (Map of tab name -> records)
+    groupRecordsBySheet(records, mainSheetName) {
+        const groups = new Map([[mainSheetName, []]]);
+        for (const record of records) {
+            const tab = this.sheetNameForRecord(record, mainSheetName);
+            if (!groups.has(tab)) groups.set(tab, []);
+            groups.get(tab).push(record);
+        }
+        return groups;
+    }
     static prepareCreds(raw) {
         if (!raw || !raw.client_email || !raw.private_key) {
             return { ok: false, error: 'Missing client_email or private_key in credentials JSON' };
@@ -138,46 +189,27 @@ class GoogleSheetsService {
             const config = this.dataManager.getConfig();
             const { spreadsheetId, sheetName } = config.googleSheets;
 
-            // Setup headers
-            await this.setupSheetHeaders(spreadsheetId, sheetName);
-
             // Get all attendance data
             const attendance = this.dataManager.getAttendance();
-
-            // Prepare data for sheets
-            const rows = attendance.map(record => {
-                const date = new Date(record.timestamp);
-                const source = record.synthetic ? 'auto' : 'manual';
-                return [
-                    record.timestamp,
-                    record.ufid,
-                    record.name,
-                    record.action,
-                    date.toDateString(),
-                    date.toLocaleTimeString(),
-                    source
-                ];
-            });
-
-            if (rows.length === 0) {
+            if (attendance.length === 0) {
+                await this.setupSheetHeaders(spreadsheetId, sheetName);
                 return { success: true, message: 'No attendance data to sync' };
             }
 
-            // Clear existing data (except headers) and add new data
-            const range = `${sheetName}!A2:G${rows.length + 1}`;
+            // Each location with its own tab gets its records there; the rest go to the main tab
+            let recordsSynced = 0;
+            for (const [tab, records] of this.groupRecordsBySheet(attendance, sheetName)) {
+                // Setup headers
+                await this.setupSheetHeaders(spreadsheetId, tab);
+                if (records.length === 0) continue;
 
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: rows
-                }
-            });
+                await this.writeAttendanceRows(spreadsheetId, tab, records);
+                recordsSynced += records.length;
+            }
 
             return {
                 success: true,
-                recordsSynced: rows.length,
+                recordsSynced,
                 spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}`
             };
         } catch (error) {
@@ -185,6 +217,29 @@ class GoogleSheetsService {
         }
     }
 
+    // Replace the data rows of one tab (headers are left alone)
+    async writeAttendanceRows(spreadsheetId, sheetName, attendance) {
+        const rows = attendance.map(record => {
+            const date = new Date(record.timestamp);
+            return [
+                record.timestamp,
+                record.ufid,
+                record.name,
+                record.action,
+                this.formatRowDate(date),
+                this.formatRowTime(date),
+                this.recordSource(record)
+            ];
+        });
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${sheetName}!A2:G${rows.length + 1}`,
+            valueInputOption: 'RAW',
+            resource: { values: rows }
+        });
+    }
+
     // Sync only today's attendance
     async syncTodaysAttendance() {
         try {
@@ -202,44 +257,51 @@ class GoogleSheetsService {
                 return { success: true, message: 'No attendance data for today' };
             }
 
-            // Get existing data to find where to append
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId,
-                range: `${sheetName}!A:A`
-            });
+            let recordsSynced = 0;
+            for (const [tab, records] of this.groupRecordsBySheet(todaysAttendance, sheetName)) {
+                if (records.length === 0) continue;
+                if (tab !== sheetName) await this.ensureLocationSheet(spreadsheetId, tab);
 
-            const existingRows = response.data.values ? response.data.values.length : 1;
-
-            // Prepare today's data
-            const rows = todaysAttendance.map(record => {
-                const date = new Date(record.timestamp);
-                const source = record.synthetic ? 'auto' : 'manual';
-
-                return [
-                    record.timestamp,
-                    record.ufid,
-                    record.name,
-                    record.action,
-                    date.toDateString(),
-                    date.toLocaleTimeString(),
-                    source
-                ];
-            });
+                // Get existing data to find where to append
+                const response = await this.sheets.spreadsheets.values.get({
+                    spreadsheetId,
+                    range: `${tab}!A:A`
+                });
 
-            // Append to sheet
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId,
-                range: `${sheetName}!A${existingRows + 1}`,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: {
-                    values: rows
-                }
-            });
+                const existingRows = response.data.values ? response.data.values.length : 1;
+
+                // Prepare today's data
+                const rows = records.map(record => {
+                    const date = new Date(record.timestamp);
+                    const source = this.recordSource(record);
+
+                    return [
+                        record.timestamp,
+                        record.ufid,
+                        record.name,
+                        record.action,
+                        this.formatRowDate(date),
+                        this.formatRowTime(date),
+                        source
+                    ];
+                });
+
+                // Append to sheet
+                await this.sheets.spreadsheets.values.append({
+                    spreadsheetId,
+                    range: `${tab}!A${existingRows + 1}`,
+                    valueInputOption: 'RAW',
+                    insertDataOption: 'INSERT_ROWS',
+                    resource: {
+                        values: rows
+                    }
+                });
+                recordsSynced += rows.length;
+            }
 
             return {
                 success: true,
-                recordsSynced: rows.length,
+                recordsSynced,
                 message: 'Today\'s attendance synced successfully'
             };
         } catch (error) {
@@ -256,17 +318,19 @@ class GoogleSheetsService {
             }
 
             const config = this.dataManager.getConfig();
-            const { spreadsheetId, sheetName } = config.googleSheets;
+            const { spreadsheetId } = config.googleSheets;
+            const sheetName = this.sheetNameForRecord(record, config.googleSheets.sheetName);
+            if (sheetName !== config.googleSheets.sheetName) await this.ensureLocationSheet(spreadsheetId, sheetName);
 
             const date = new Date(record.timestamp);
-            const source = record.synthetic ? 'auto' : 'manual';
+            const source = this.recordSource(record);
             const row = [
                 record.timestamp,
                 record.ufid,
                 record.name,
                 record.action,
-                date.toDateString(),
-                date.toLocaleTimeString(),
+                this.formatRowDate(date),
+                this.formatRowTime(date),
                 source
             ];
 
@@ -480,12 +544,14 @@ class GoogleSheetsService {
         const sheets = this.sheets;
 
         // 0) Date bits
-        const d = new Date(dateLike);
-        const mm = String(d.getMonth() + 1).padStart(2, '0');
-        const dd = String(d.getDate()).padStart(2, '0');
+        const timeZone = this.getTimezone();
+        const d = zone.parseDay(dateLike, timeZone);
+        const parts = zone.getZonedParts(d, timeZone);
+        const mm = String(parts.month).padStart(2, '0');
+        const dd = String(parts.day).padStart(2, '0');
         const label = `${mm}/${dd}`; // row 1 header
-        const weekday = d.toLocaleDateString('en-US', { weekday: 'long' }); // row 2 header
-        const isWeekend = (d.getDay() === 0 || d.getDay() === 6);
+        const weekday = zone.formatInZone(d, timeZone, { weekday: 'long' }); // row 2 header
+        const isWeekend = (parts.weekday === 0 || parts.weekday === 6);
 
         // 1) Ensure sheet exists, seed two header rows
         const meta = await sheets.spreadsheets.get({ spreadsheetId });
@@ -605,15 +671,20 @@ class GoogleSheetsService {
             if (!rowNumber) continue;
 
             const hadAuto = s.sessions?.some(x => x.syntheticOut);
+            const hadCorrection = s.sessions?.some(x => x.correction);
             const isAbsent = !!s.absent;
 
             let cellVal;
-            if (isWeekend && isAbsent) {
+            if (s.closed) {
+                cellVal = 'Closed'; // lab closure, never counted as absent
+            } else if (isWeekend && isAbsent) {
                 cellVal = weekendLabel; // e.g., "Weekend"
             } else if (isAbsent) {
                 cellVal = 'A';
             } else {
-                cellVal = hadAuto ? `${s.totalHours} [auto]` : String(s.totalHours ?? 0);
+                cellVal = String(s.totalHours ?? 0);
+                if (hadAuto) cellVal += ' [auto]';
+                if (hadCorrection) cellVal += ' [corrected]';
             }
 
             valuesByRow.push({ rowNumber, val: cellVal });
@@ -697,8 +768,8 @@ class GoogleSheetsService {
                 r.ufid,
                 r.name,
                 r.action,
-                d.toDateString(),
-                d.toLocaleTimeString()
+                this.formatRowDate(d),
+                this.formatRowTime(d)
             ];
         });
 
@@ -714,6 +785,70 @@ class GoogleSheetsService {
         return { success: true, appended: rows.length };
     }
 
+    /**
+     * Rows about a student on every tab (attendance tabs and Daily Summary
+     * all name a 'UF ID' column in row 1)
+     * @param {string} ufid
+     * @returns {Promise<Object>} { success, rows: [{ sheetName, sheetId, rowIndex, values }] } rowIndex 0-based
+     */
+    async findStudentRows(ufid) {
+        const init = await this.initialize();
+        if (!init.success) return init;
+
+        try {
+            const { spreadsheetId } = this.dataManager.getConfig().googleSheets;
+            const rows = [];
+            for (const sheet of await this.getSheetMeta(spreadsheetId)) {
+                const { title, sheetId } = sheet.properties;
+                const resp = await this.sheets.spreadsheets.values.get({
+                    spreadsheetId,
+                    range: `'${title.replace(/'/g, "''")}'`
+                });
+                const values = resp.data.values || [];
+                const col = (values[0] || []).indexOf('UF ID');
+                if (col === -1) continue;
+                values.forEach((row, rowIndex) => {
+                    if (rowIndex > 0 && String(row[col] ?? '') === String(ufid)) {
+                        rows.push({ sheetName: title, sheetId, rowIndex, values: row });
+                    }
+                });
+            }
+            return { success: true, rows };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a student's rows from every tab
+     * @param {string} ufid
+     * @returns {Promise<Object>} { success, removed: { <tab>: rows } }
+     */
+    async removeStudentRows(ufid) {
+        const found = await this.findStudentRows(ufid);
+        if (!found.success) return found;
+
+        try {
+            const { spreadsheetId } = this.dataManager.getConfig().googleSheets;
+            // Bottom-up, so earlier deletions do not shift the rows still to go
+            const requests = [...found.rows]
+                .sort((a, b) => b.rowIndex - a.rowIndex)
+                .map(r => ({
+                    deleteDimension: {
+                        range: { sheetId: r.sheetId, dimension: 'ROWS', startIndex: r.rowIndex, endIndex: r.rowIndex + 1 }
+                    }
+                }));
+            if (requests.length > 0) {
+                await this.sheets.spreadsheets.batchUpdate({ spreadsheetId, resource: { requests } });
+            }
+
+            const removed = {};
+            found.rows.forEach(r => { removed[r.sheetName] = (removed[r.sheetName] || 0) + 1; });
+            return { success: true, removed };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = GoogleSheetsService;
\ No newline at end of file
@@ -2,10 +2,10 @@
 // InsightFace ArcFace (512-dim embeddings) via Python IPC
 // Passive liveness: rPPG pulse detection + FFT moiré screen detection
 // No in-browser ML models — all processing happens in the Python service.
+// Matching runs in the main process (face-identify); enrolled templates and
+// embeddings never reach this page.
 
 const SUCCESS_DISPLAY_MS = 2000;
-// ArcFace cosine-distance threshold — lower = stricter. 0.40 is recommended.
-const MATCH_THRESHOLD = 0.40;
 
 // Pulse accumulation: require N consecutive pulse-positive frames (mandatory — no timeout bypass)
 const PULSE_CONSECUTIVE_REQUIRED = 3;
@@ -15,7 +15,7 @@ const PULSE_TIMEOUT_MS = 15000;
 
 let faceStream     = null;
 let faceLoopActive = false;
-let faceEnrolled   = [];
+let faceEnrolledCount = 0;
 
 // State: 'idle' | 'matched' | 'executing' | 'cooldown'
 let faceState        = 'idle';
@@ -28,18 +28,6 @@ let screenFlagCount  = 0;  // how many frames flagged is_screen during current m
 
 // ---- Helpers ----
 
-/** Cosine distance between two plain number arrays (not pre-normalised). */
-function cosineDistance(a, b) {
-    let dot = 0, na = 0, nb = 0;
-    for (let i = 0; i < a.length; i++) {
-        dot += a[i] * b[i];
-        na  += a[i] * a[i];
-        nb  += b[i] * b[i];
-    }
-    const denom = Math.sqrt(na) * Math.sqrt(nb);
-    return denom === 0 ? 1 : 1 - dot / denom;
-}
-
 function resetLivenessState() {
     pulseConsecutive = 0;
     pulseStartTime = 0;
@@ -128,11 +116,11 @@ async function startFaceIdPanel() {
     updateCameraTypeBadge();
 
     try {
-        const res = await window.electronAPI.getAllFaceDescriptors();
-        faceEnrolled = (res.success && res.descriptors) ? res.descriptors : [];
-    } catch (e) { faceEnrolled = []; }
+        const res = await window.electronAPI.getFaceEnrollment();
+        faceEnrolledCount = res.success ? res.enrolled.length : 0;
+    } catch (e) { faceEnrolledCount = 0; }
 
-    if (faceEnrolled.length === 0) {
+    if (faceEnrolledCount === 0) {
         showFaceLoading(false);
         setFaceUI('idle', 'No faces enrolled — use UFID below');
         return;
@@ -205,41 +193,27 @@ async function faceDetectLoop(video, canvas) {
             offscreen.getContext('2d').drawImage(video, 0, 0);
             const base64 = offscreen.toDataURL('image/jpeg', 0.8).split(',')[1];
 
-            window.electronAPI.faceProcessFrame(base64).then(result => {
+            window.electronAPI.faceIdentify(base64).then(result => {
                 pendingIPC = false;
-                lastFaceResult = result?.face || null;
+                lastFaceResult = result?.face ? result : null;
             }).catch(() => { pendingIPC = false; });
         }
 
         // --- Process detections ---
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        const face = lastFaceResult;
+        const face = lastFaceResult?.face;
 
         if (face) {
             faceLostTicks = 0;
             resetInactivityTimer();
             const [fx1, fy1, fx2, fy2] = face.bbox;
             const box = { x: fx1, y: fy1, width: fx2 - fx1, height: fy2 - fy1 };
-            const q   = face.embedding;
-
-            // Match against enrolled descriptors using cosine distance
-            let bestMatch = null, bestDist = Infinity;
-            for (const e of faceEnrolled) {
-                const stored  = e.descriptor;
-                const isMulti = stored.length > 0 && Array.isArray(stored[0]);
-                let d;
-                if (isMulti) {
-                    if (stored[0].length !== q.length) continue; // skip wrong-dim legacy
-                    d = Math.min(...stored.map(s => cosineDistance(q, s)));
-                } else {
-                    if (stored.length !== q.length) continue;
-                    d = cosineDistance(q, stored);
-                }
-                if (d < bestDist) { bestDist = d; bestMatch = e; }
-            }
 
-            if (bestMatch && bestDist <= MATCH_THRESHOLD) {
+            // Closest enrolled student within the match threshold, if any
+            const bestMatch = lastFaceResult.match;
+
+            if (bestMatch) {
                 // Track screen flags
                 if (face.is_screen) {
                     screenFlagCount++;
@@ -299,7 +273,8 @@ async function faceDetectLoop(video, canvas) {
                 resetLivenessState();
                 setProgressRing(0, 'verifying');
                 if (faceState === 'matched') enterIdleState();
-                setFaceUI('idle', 'Face not recognized');
+                // ambiguous: within a threshold, but another student is nearly as close
+                setFaceUI('idle', lastFaceResult.ambiguous ? 'Not sure who this is — use UFID below' : 'Face not recognized');
             }
         } else {
             faceLostTicks++;
@@ -595,7 +570,7 @@ async function confirmFaceAction() {
         }
         const result = statusResult.status === 'signin'
             ? await window.electronAPI.signOut({ ufid, name })
-            : await window.electronAPI.signIn({ ufid, name });
+            : await window.electronAPI.signIn({ ufid, name, method: 'face' });
 
         if (result.success) {
             const faceAction = statusResult.status === 'signin' ? 'signout' : 'signin';
@@ -724,6 +699,7 @@ let actionBtnIcon;
 let statusMessage;
 let userHint;
 let adminLink;
+let correctionLink;
 
 // Track current mode and student status
 let currentMode = 'signin'; // 'signin' or 'signout'
@@ -741,12 +717,16 @@ document.addEventListener('DOMContentLoaded', () => {
     statusMessage = document.getElementById('statusMessage');
     userHint = document.getElementById('userHint');
     adminLink = document.getElementById('adminLink');
+    correctionLink = document.getElementById('correctionLink');
 
     // Apply saved theme
     const savedTheme = localStorage.getItem('theme') || 'light';
     document.documentElement.setAttribute('data-theme', savedTheme);
     updateThemeIcon(savedTheme);
 
+    // Show the location this kiosk is bound to
+    loadKioskLocation();
+
     // When face service becomes ready, refresh camera status badge
     if (window.electronAPI.onFaceServiceReady) {
         window.electronAPI.onFaceServiceReady(() => {
@@ -845,6 +825,16 @@ function updateThemeIcon(theme) {
 
 // ==================== RECENT SIGN-INS ====================
 
+async function loadKioskLocation() {
+    try {
+        const location = await window.electronAPI.getKioskLocation();
+        const label = document.getElementById('kioskLocationName');
+        if (location && label) label.textContent = location.name;
+    } catch (error) {
+        console.error('Kiosk location error:', error);
+    }
+}
+
 async function loadRecentSignins() {
     try {
         const result = await window.electronAPI.getRecentSignins(4);
@@ -888,6 +878,14 @@ function setupEventListeners() {
         });
     }
 
+    // Correction request link
+    if (correctionLink) {
+        correctionLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            showCorrectionModal();
+        });
+    }
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Enter confirms Face ID when a face is matched
@@ -1440,9 +1438,8 @@ async function showFaceIdNudgeIfNeeded(ufid) {
     if (!nudge) return;
     nudge.style.display = 'none';
     try {
-        const res = await window.electronAPI.getAllFaceDescriptors();
-        const descriptors = (res?.descriptors) || [];
-        const hasEnrolled = descriptors.some(d => d.ufid === ufid);
+        const res = await window.electronAPI.getFaceEnrollment();
+        const hasEnrolled = (res?.enrolled || []).includes(ufid);
         if (!hasEnrolled) {
             nudge.style.display = 'block';
             if (btn) {
@@ -1476,6 +1473,146 @@ function showStatus(message, type) {
     }, 5000);
 }
 
+// ==================== CORRECTION REQUEST MODAL ====================
+
+function showCorrectionModal() {
+    const today = new Date();
+    const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    const modal = document.createElement('div');
+    modal.className = 'admin-modal correction-modal';
+    modal.innerHTML = `
+        <div class="admin-modal-content">
+            <div class="admin-modal-header">
+                <h3>Request a Correction</h3>
+                <button class="admin-modal-close" id="correctionModalClose">×</button>
+            </div>
+            <div class="admin-modal-body correction-form">
+                <label for="correctionUfid">UF ID</label>
+                <input type="text" id="correctionUfid" class="admin-password-input" maxlength="8" inputmode="numeric" placeholder="8-digit UF ID">
+                <div class="correction-row">
+                    <div>
+                        <label for="correctionDate">Date</label>
+                        <input type="date" id="correctionDate" class="admin-password-input" max="${todayStr}" value="${todayStr}">
+                    </div>
+                </div>
+                <div class="correction-row">
+                    <div>
+                        <label for="correctionFrom">From</label>
+                        <input type="time" id="correctionFrom" class="admin-password-input">
+                    </div>
+                    <div>
+                        <label for="correctionTo">To</label>
+                        <input type="time" id="correctionTo" class="admin-password-input">
+                    </div>
+                </div>
+                <div class="correction-row">
+                    <div>
+                        <label for="correctionReason">Reason</label>
+                        <textarea id="correctionReason" class="admin-password-input" maxlength="300" placeholder="e.g., forgot to sign in, kiosk was down"></textarea>
+                    </div>
+                </div>
+                <div id="correctionError" class="admin-error"></div>
+            </div>
+            <div class="admin-modal-footer">
+                <button class="admin-cancel-btn" id="correctionCancelBtn">Cancel</button>
+                <button class="admin-login-btn" id="correctionSubmitBtn">Submit</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const ufidInput = document.getElementById('correctionUfid');
+    if (ufidInput && isUfidComplete()) ufidInput.value = getUfidValue();
+
+    document.getElementById('correctionModalClose').addEventListener('click', closeCorrectionModal);
+    document.getElementById('correctionCancelBtn').addEventListener('click', closeCorrectionModal);
+    document.getElementById('correctionSubmitBtn').addEventListener('click', submitCorrectionRequest);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeCorrectionModal();
+        }
+    });
+
+    setTimeout(() => {
+        if (ufidInput) ufidInput.focus();
+    }, 100);
+}
+
+function closeCorrectionModal() {
+    const modal = document.querySelector('.correction-modal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+async function submitCorrectionRequest() {
+    const submitBtn = document.getElementById('correctionSubmitBtn');
+    const request = {
+        ufid: document.getElementById('correctionUfid').value.trim(),
+        date: document.getElementById('correctionDate').value,
+        signInTime: document.getElementById('correctionFrom').value,
+        signOutTime: document.getElementById('correctionTo').value,
+        reason: document.getElementById('correctionReason').value.trim()
+    };
+
+    if (!/^\d{8}$/.test(request.ufid)) {
+        showCorrectionError('Please enter your 8-digit UF ID');
+        return;
+    }
+    if (!request.date || !request.signInTime || !request.signOutTime) {
+        showCorrectionError('Please fill in the date and both times');
+        return;
+    }
+    if (request.signOutTime <= request.signInTime) {
+        showCorrectionError('"To" must be after "From"');
+        return;
+    }
+    if (!request.reason) {
+        showCorrectionError('Please give a reason');
+        return;
+    }
+
+    try {
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submitting...';
+        }
+
+        const result = await window.electronAPI.submitCorrectionRequest(request);
+
+        if (result && result.success) {
+            closeCorrectionModal();
+            clearUfid();
+            showStatus('Correction request sent. An admin will review it.', 'success');
+        } else {
+            showCorrectionError(result?.error || 'Could not submit the request');
+        }
+    } catch (error) {
+        console.error('Correction request error:', error);
+        showCorrectionError('Error submitting request. Please try again.');
+    } finally {
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit';
+        }
+    }
+}
+
+function showCorrectionError(message) {
+    const errorDiv = document.getElementById('correctionError');
+    if (errorDiv) {
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'block';
+
+        setTimeout(() => {
+            errorDiv.style.display = 'none';
+        }, 4000);
+    }
+}
+
 // ==================== ADMIN MODAL ====================
 
 function showAdminModal() {
@@ -0,0 +1,116 @@
+/**
+ * Local Storage Provider - backups and sync in a folder on this machine
+ *
+ * The folder (config.storage.local.path) is usually a mounted network share
+ * every kiosk can reach. Remote paths are taken relative to it, so the data of
+ * '/UF-Lab-Attendance' lands in <folder>/UF-Lab-Attendance. The folder itself
+ * is never created: when a share is not mounted, writing into an empty local
+ * directory in its place would split the kiosks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StorageProvider } = require('./storageProvider.js');
+
+class LocalStorageProvider extends StorageProvider {
+    constructor(dataManager) {
+        super(dataManager, { id: 'local', label: 'Local folder' });
+        this.root = null;
+    }
+
+    initializeFromConfig() {
+        const folder = (this.getSettings().path || '').trim();
+        if (!folder) return { success: false, error: 'Local folder not configured' };
+        if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+            return { success: false, error: `Folder not found: ${folder} (is the share mounted?)` };
+        }
+        this.root = path.resolve(folder);
+        return { success: true, mode: 'local' };
+    }
+
+    // Where a remote path lives on disk (never outside the folder)
+    resolve(remotePath) {
+        if (!this.root && !this.initializeFromConfig().success) {
+            throw new Error('Local folder not configured');
+        }
+        const parts = String(remotePath || '').split('/').filter(Boolean);
+        if (parts.some(p => p === '..' || p === '.')) throw new Error(`Invalid path: ${remotePath}`);
+        return path.join(this.root, ...parts);
+    }
+
+    async testConnection() {
+        const init = this.initializeFromConfig();
+        if (!init.success) return init;
+        try {
+            fs.accessSync(this.root, fs.constants.R_OK | fs.constants.W_OK);
+            return { success: true, user: this.root };
+        } catch (error) {
+            return { success: false, error: `Cannot write to ${this.root}: ${error.message}` };
+        }
+    }
+
+    async ensureFolder(folderPath) {
+        try {
+            const dir = this.resolve(folderPath);
+            if (fs.existsSync(dir)) return { success: true, created: false };
+            fs.mkdirSync(dir, { recursive: true });
+            return { success: true, created: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listFiles(folderPath = '', { recursive = false } = {}) {
+        try {
+            const dir = this.resolve(folderPath);
+            if (!fs.existsSync(dir)) return { success: true, files: [], note: 'Folder does not exist yet' };
+
+            const files = [];
+            const walk = (localDir, remoteDir) => {
+                for (const entry of fs.readdirSync(localDir, { withFileTypes: true })) {
+                    const remote = `${remoteDir}/${entry.name}`;
+                    if (entry.isDirectory()) {
+                        if (recursive) walk(path.join(localDir, entry.name), remote);
+                        continue;
+                    }
+                    // Half-written uploads (see uploadBuffer)
+                    if (!entry.isFile() || entry.name.endsWith('.tmp')) continue;
+                    const stat = fs.statSync(path.join(localDir, entry.name));
+                    files.push({ name: entry.name, path: remote, size: stat.size, modified: stat.mtime.toISOString(), type: 'file' });
+                }
+            };
+            walk(dir, folderPath.replace(/\/+$/, ''));
+            return { success: true, files };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMeta(remotePath) {
+        const file = this.resolve(remotePath);
+        if (!fs.existsSync(file)) return null;
+        const stat = fs.statSync(file);
+        return { size: stat.size, modified: stat.mtime.toISOString() };
+    }
+
+    async downloadBuffer(remotePath) {
+        const file = this.resolve(remotePath);
+        const buf = fs.readFileSync(file);
+        return { buf, serverModified: fs.statSync(file).mtime.toISOString() };
+    }
+
+    async uploadBuffer(remotePath, buf) {
+        const file = this.resolve(remotePath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Readers on other kiosks never see a half-written file
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, buf);
+        fs.renameSync(tmp, file);
+    }
+
+    async deleteFile(remotePath) {
+        fs.rmSync(this.resolve(remotePath));
+    }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,109 @@
+/**
+ * Locations - labs/rooms sharing one installation
+ *
+ * A location is { id, name, sheetName } where `id` is a short slug stored on
+ * attendance rows (`locationId`) and in each student's `locations` list. A
+ * kiosk is bound to one location in its own config (config.kiosk.locationId,
+ * never synced), and stamps it on every sign-in/out. Students with no
+ * locations listed belong to every location, so a single-lab install behaves
+ * as before. `sheetName` is an optional Google Sheets tab for that location.
+ */
+
+const LOCATION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Build a location id from a display name ("SMILE Lab" -> "smile-lab")
+ * @param {string} name
+ * @returns {string}
+ */
+function slugifyLocationId(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 32);
+}
+
+/**
+ * Clean a student's location list
+ * @param {Array|string|null} raw - Array of ids or its JSON string
+ * @returns {Array<string>} Unique ids in their original order
+ */
+function normalizeLocationIds(raw) {
+    let list = raw;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (_) {
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+
+    const ids = list.map(id => String(id || '').trim().toLowerCase()).filter(Boolean);
+    return [...new Set(ids)];
+}
+
+/**
+ * Validate a location against the existing ones
+ * @param {Object} location - { id, name, sheetName }
+ * @param {Array} existing - Stored locations
+ * @param {boolean} isNew - Whether the id must not be taken yet
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLocation(location, existing = [], isNew = true) {
+    if (!location.name || !String(location.name).trim()) return 'Location name is required';
+    if (!LOCATION_ID_PATTERN.test(location.id || '')) {
+        return 'Location id must be 1-32 lowercase letters, digits or dashes';
+    }
+    if (isNew && existing.some(l => l.id === location.id)) return `Location id already in use: ${location.id}`;
+
+    const sameName = existing.find(l => l.id !== location.id && l.name.toLowerCase() === String(location.name).trim().toLowerCase());
+    return sameName ? `Another location is already named ${sameName.name}` : null;
+}
+
+/**
+ * Whether a student may sign in / is reported at a location
+ * @param {Object} student - Student with a `locations` list
+ * @param {string|null} locationId - null means "all locations"
+ * @returns {boolean}
+ */
+function belongsToLocation(student, locationId) {
+    if (!locationId) return true;
+    const ids = normalizeLocationIds(student && student.locations);
+    return ids.length === 0 || ids.includes(locationId);
+}
+
+/**
+ * Whether an attendance record or session was taken at a location
+ * (rows from before locations existed have no location and only show in "all")
+ * @param {Object} entry - Attendance record or session with `locationId`
+ * @param {string|null} locationId - null means "all locations"
+ * @returns {boolean}
+ */
+function atLocation(entry, locationId) {
+    return !locationId || (entry && entry.locationId) === locationId;
+}
+
+/**
+ * Google Sheets tab for an attendance record
+ * @param {Object} record - Attendance record
+ * @param {Array} locations - Configured locations
+ * @param {string} fallback - The main attendance tab
+ * @returns {string}
+ */
+function sheetNameFor(record, locations, fallback) {
+    const location = record && record.locationId
+        ? (locations || []).find(l => l.id === record.locationId)
+        : null;
+    return (location && location.sheetName) || fallback;
+}
+
+module.exports = {
+    atLocation,
+    belongsToLocation,
+    normalizeLocationIds,
+    sheetNameFor,
+    slugifyLocationId,
+    validateLocation
+};
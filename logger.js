@@ -150,6 +150,57 @@ class Logger {
         }
     }
 
+    // Log files that exist: system.log, then its rotations
+    getLogFiles() {
+        const files = [this.logFile];
+        for (let i = 1; i <= this.maxBackups; i++) {
+            files.push(`${this.logFile}.${i}`);
+        }
+        return files.filter(file => fs.existsSync(file));
+    }
+
+    /**
+     * Remove log lines by rewriting each log file (data retention, erasure)
+     * @param {Function} drop - (entry, line) => true to remove; entry is null for a line that is not JSON
+     * @param {Object} [options] - { dryRun } true to only count
+     * @returns {Object} { success, removed }
+     */
+    removeEntries(drop, { dryRun = false } = {}) {
+        try {
+            let removed = 0;
+            for (const file of this.getLogFiles()) {
+                const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line);
+                const kept = lines.filter(line => {
+                    let entry = null;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch {
+                        // matched as plain text
+                    }
+                    return !drop(entry, line);
+                });
+                removed += lines.length - kept.length;
+                if (!dryRun && kept.length !== lines.length) {
+                    fs.writeFileSync(file, kept.length ? kept.join('\n') + '\n' : '');
+                }
+            }
+            return { success: true, removed };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Entries older than an ISO time
+    removeOlderThan(cutoff, options = {}) {
+        return this.removeEntries(entry => Boolean(entry && entry.timestamp < cutoff), options);
+    }
+
+    // Lines mentioning any of the terms (e.g. a student's UFID, name and email)
+    removeMentions(terms, options = {}) {
+        const needles = terms.filter(Boolean).map(term => String(term).toLowerCase());
+        return this.removeEntries((entry, line) => needles.some(needle => line.toLowerCase().includes(needle)), options);
+    }
+
     // Export logs to file
     exportLogs(outputPath, days = 30) {
         try {
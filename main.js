@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, screen, dialog } = require('electron')
+const { app, BrowserWindow, ipcMain, screen, dialog, safeStorage } = require('electron')
 const path = require('path')
 const { autoUpdater } = require('electron-updater');
 
@@ -8,7 +8,13 @@ const EmailService = require('./emailService.js')
 delete require.cache[require.resolve('./googleSheetsService.js')];
 const GoogleSheetsService = require('./googleSheetsService.js');
 const DropboxService = require('./dropboxService.js')
+const { createStorageProvider } = require('./storageProvider.js')
 const PendingSignoutService = require('./pendingSignoutService.js')
+const CorrectionRequestService = require('./correctionRequestService.js')
+const FaceEnrollmentService = require('./faceEnrollmentService.js')
+const { cosineDistance } = require('./faceMatcher.js')
+const { AUDIT_ACTORS } = require('./audit.js')
+const zone = require('./timezone.js')
 const Logger = require('./logger.js')
 const cron = require('node-cron')
 const log = require('electron-log');
@@ -19,20 +25,34 @@ let dataManager;
 let emailService;
 let googleSheetsService;
 let dropboxService;
+let storageProvider;
 let pendingSignoutService;
+let correctionRequestService;
+let faceEnrollmentService;
 
 let syncTimer = null;
 let syncing = false;
 
+// Backups and sync go to the provider picked in Settings (config.storage.provider);
+// the Dropbox service is the Dropbox provider
+function getStorage() {
+  const id = dataManager.getConfig().storage?.provider || 'dropbox';
+  if (id === 'dropbox') return dropboxService;
+  if (storageProvider?.id !== id) storageProvider = createStorageProvider(dataManager, id);
+  return storageProvider;
+}
+
 async function safeSyncByMode(tag) {
   if (syncing) return; // single-flight
   syncing = true;
   try {
     const cfg = dataManager.getConfig();
-    const isMasterMode = !!cfg.dropbox?.masterMode;
+    // Peer mode merges and reloads SQLite inside syncByMode
+    const isMasterMode = !!cfg.dropbox?.masterMode && !cfg.dropbox?.peerMode;
+    const storage = getStorage();
 
-    // Standard sync (pull or push based on mode)
-    const res = await dropboxService.syncByMode(dataManager.dataDir);
+    // Standard sync (pull, push or peer merge based on mode)
+    const res = await storage.syncByMode(dataManager.dataDir);
     dataManager.logger.info('dropbox', `${tag}: ${JSON.stringify(res)}`, 'system');
 
     // After pull in master mode, handle SQLite reload from JSON
@@ -50,17 +70,18 @@ async function safeSyncByMode(tag) {
         } else {
           dataManager.logger.warning('dropbox', `${tag}: Failed to reload SQLite from JSON: ${reloadResult.error}`, 'system');
         }
-      } else {
-        // No files pulled - check if Dropbox has SQLite we should download
-        const formatInfo = await dropboxService.detectDropboxDataFormat();
-        dataManager.logger.info('dropbox', `${tag}: No JSON pulled, Dropbox format: ${JSON.stringify(formatInfo)}`, 'system');
+      } else if (!res.delta) {
+        // No files pulled - check if remote storage has SQLite we should download
+        // (delta sync pulled nothing because nothing changed)
+        const formatInfo = await storage.detectDataFormat();
+        dataManager.logger.info('dropbox', `${tag}: No JSON pulled, ${storage.label} format: ${JSON.stringify(formatInfo)}`, 'system');
 
         if (formatInfo.hasSqlite) {
           // Dropbox has SQLite - download and replace local
           const sqliteDbPath = path.join(dataManager.dataDir, 'attendance.db');
-          const dlResult = await dropboxService.downloadSqliteDb(sqliteDbPath);
+          const dlResult = await storage.downloadSqliteDb(sqliteDbPath);
           if (dlResult.success) {
-            dataManager.logger.info('dropbox', `${tag}: Downloaded SQLite DB from Dropbox (${dlResult.size} bytes)`, 'system');
+            dataManager.logger.info('dropbox', `${tag}: Downloaded SQLite DB from ${storage.label} (${dlResult.size} bytes)`, 'system');
             // Re-initialize the database manager with the new file
             if (dataManager.dbManager) {
               await dataManager.dbManager.initialize();
@@ -89,6 +110,173 @@ async function safeSyncByMode(tag) {
   }
 }
 
+/**
+ * Apply the backup retention policy to data/backups and, when backups and
+ * sync are on, to the storage provider's backups folder
+ * @param {Object} [options] - { dryRun } true to only report what would be pruned
+ * @returns {Promise<Object>} { success, local, remote, provider }
+ */
+async function enforceBackupRetention({ dryRun = false } = {}) {
+  const cfg = dataManager.getConfig();
+  const storage = getStorage();
+  const local = dataManager.pruneLocalBackups({ dryRun });
+  const remote = cfg.dropbox?.enabled ? await storage.pruneBackups({ dryRun }) : null;
+  return { success: local.success && (!remote || remote.success), local, remote, provider: storage.label };
+}
+
+/**
+ * Apply the data retention policy (see dataRetention.js): this kiosk's data,
+ * pending sign-outs here and in the cloud, and, when backups and sync are on,
+ * the storage provider's backups. A real run leaves a signed report in
+ * data/privacy-reports.
+ * @param {Object} [options] - { dryRun } true to only report what would go
+ * @returns {Promise<Object>} { success, dryRun, local, pending, remoteBackups, reportFile }
+ */
+async function enforceDataRetention({ dryRun = false } = {}) {
+  const cfg = dataManager.getConfig();
+  const policy = cfg.dataRetention;
+  const local = dataManager.applyDataRetention({ dryRun });
+  const pending = policy.pending ? await pendingSignoutService.purgeClosedOlderThan(policy.pending, { dryRun }) : null;
+  const remoteBackups = policy.backups && cfg.dropbox?.enabled
+    ? await getStorage().pruneBackups({ dryRun, olderThan: local.cutoffs.backups })
+    : null;
+  const errors = [...local.errors, pending?.error, remoteBackups?.error].filter(Boolean);
+  const result = { success: errors.length === 0, dryRun, local, pending, remoteBackups, error: errors[0] };
+
+  if (!dryRun) {
+    const recorded = dataManager.recordPrivacyReport('retention', {
+      policy,
+      cutoffs: local.cutoffs,
+      removed: {
+        attendance: local.attendance,
+        logEntries: local.logs,
+        faceDescriptors: local.faceDescriptors.length,
+        localBackups: local.backups,
+        pendingSignouts: (pending?.local || 0) + (pending?.cloud || 0),
+        remoteBackups: remoteBackups?.pruned || []
+      },
+      errors
+    });
+    result.reportFile = recorded.reportFile;
+  }
+  return result;
+}
+
+// The cloud API's data subject endpoints (the same deployment serves the
+// pending sign-out and correction forms); null when web sync is off
+async function cloudSubjectRequest(method, ufid, ref = null) {
+  const webSync = dataManager.getConfig().webSync || {};
+  if (!webSync.enabled || !webSync.apiUrl || !webSync.apiKey) return null;
+
+  try {
+    const fetch = require('node-fetch');
+    const baseUrl = webSync.apiUrl.replace(/\/$/, '');
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const res = await fetch(`${baseUrl}/api/admin/data/sync/subject/${encodeURIComponent(ufid)}${query}`, {
+      method,
+      headers: { 'X-API-Key': webSync.apiKey }
+    });
+    const result = await res.json();
+    return res.ok ? result : { success: false, error: result.error || `HTTP ${res.status}` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Everything held about a student ("export my data"): this kiosk's data,
+ * pending sign-outs and corrections, Google Sheets rows and the cloud API's
+ * copy, as a signed report
+ * @param {string} ufid
+ * @param {Object} audit - { actorName, reason }
+ * @returns {Promise<Object>} { success, signed, errors }
+ */
+async function exportStudentData(ufid, audit = {}) {
+  const local = dataManager.getStudentDataExport(ufid);
+  if (!local.success) return local;
+
+  const errors = [];
+  const sheets = dataManager.getConfig().googleSheets?.enabled ? await googleSheetsService.findStudentRows(ufid) : null;
+  if (sheets && !sheets.success) errors.push(`Google Sheets: ${sheets.error}`);
+  const cloud = await cloudSubjectRequest('GET', ufid);
+  if (cloud && !cloud.success) errors.push(`Cloud API: ${cloud.error}`);
+
+  const signed = dataManager.signPrivacyReport('export', {
+    ufid,
+    data: {
+      ...local.data,
+      pendingSignouts: pendingSignoutService.localRecordsOf(ufid),
+      correctionRequests: correctionRequestService.localRecordsOf(ufid),
+      faceEnrollments: faceEnrollmentService.localRecordsOf(ufid),
+      googleSheets: sheets?.success ? sheets.rows.map(({ sheetName, values }) => ({ sheetName, values })) : null,
+      cloud: cloud?.success ? cloud.data : null
+    },
+    errors
+  });
+  dataManager.recordAudit({ action: 'privacy.export', entityType: 'student', entityId: ufid, actor: AUDIT_ACTORS.ADMIN, ...audit });
+  dataManager.logger.info('privacy', `Exported the data held about ${ufid}`, 'admin');
+  return { success: true, signed, errors };
+}
+
+/**
+ * Erase a student everywhere ("erase me"): this kiosk, the cloud API (before
+ * the local pending and correction caches, which would push their copies
+ * back), Google Sheets and the storage provider. The signed report names the
+ * erasure reference, never the student.
+ * @param {string} ufid
+ * @param {Object} audit - { actorName, reason }
+ * @returns {Promise<Object>} { success, ref, signed, reportFile, errors, warnings }
+ */
+async function eraseStudentEverywhere(ufid, audit = {}) {
+  const local = await dataManager.eraseStudentData(ufid);
+  if (!local.success) return local;
+
+  const { ref } = local;
+  const cfg = dataManager.getConfig();
+  const errors = [];
+  const warnings = [];
+
+  const cloud = await cloudSubjectRequest('DELETE', ufid, ref);
+  if (cloud && !cloud.success) errors.push(`Cloud API: ${cloud.error}`);
+  const pendingSignouts = pendingSignoutService.localRecordsOf(ufid, { remove: true }).length;
+  const correctionRequests = correctionRequestService.localRecordsOf(ufid, { remove: true }).length;
+  const faceEnrollments = faceEnrollmentService.localRecordsOf(ufid, { remove: true }).length;
+
+  const sheets = cfg.googleSheets?.enabled ? await googleSheetsService.removeStudentRows(ufid) : null;
+  if (sheets && !sheets.success) errors.push(`Google Sheets: ${sheets.error}`);
+  if (sheets?.success) warnings.push('Google Sheets keeps the spreadsheet\'s version history: earlier versions still show the deleted rows');
+
+  const storage = cfg.dropbox?.enabled ? getStorage() : null;
+  const remote = storage ? await storage.eraseStudent(ufid, ref) : null;
+  if (remote && !remote.success && !remote.retained) errors.push(`${storage.label}: ${remote.error}`);
+  warnings.push(...(remote?.warnings || []));
+
+  const recorded = dataManager.recordPrivacyReport('erasure', {
+    ref,
+    removed: { ...local.removed, pendingSignouts, correctionRequests, faceEnrollments },
+    cloud: cloud ? cloud.removed || null : 'web sync off',
+    googleSheets: sheets ? sheets.removed || null : 'not enabled',
+    storage: remote ? { provider: storage.label, scrubbed: remote.scrubbed?.length || 0 } : 'not enabled',
+    localBackups: { scrubbed: local.backups.scrubbed.length },
+    retained: [
+      ...local.backups.retained.map(r => ({ ...r, file: `backups/${r.file}` })),
+      ...(remote?.retained || [])
+    ],
+    warnings,
+    errors
+  }, audit);
+
+  return {
+    success: errors.length === 0,
+    ref,
+    signed: recorded.signed,
+    reportFile: recorded.reportFile,
+    errors,
+    warnings,
+    error: errors[0]
+  };
+}
+
 /**
  * Sync students and attendance data to the web dashboard
  */
@@ -108,9 +296,10 @@ async function syncToWebDashboard() {
     const fetch = require('node-fetch');
     const baseUrl = webSync.apiUrl.replace(/\/$/, ''); // Remove trailing slash
 
-    // Get all students and attendance from the database
+    // Get all students, attendance and sessions from the database
     const students = dataManager.getStudents();
     const attendance = dataManager.getAttendance();
+    const sessions = dataManager.getSessions();
 
     dataManager.logger.info('websync', `Syncing ${students.length} students and ${attendance.length} attendance records`, 'system');
 
@@ -146,6 +335,35 @@ async function syncToWebDashboard() {
       throw new Error(`Failed to sync attendance: ${attendanceRes.status} - ${text}`);
     }
 
+    // Sync sessions (the dashboard's hours views read these instead of re-pairing)
+    const sessionsRes = await fetch(`${baseUrl}/api/admin/data/sync/sessions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': webSync.apiKey,
+        'Cookie': `admin_token=${webSync.authToken || ''}`
+      },
+      body: JSON.stringify({ sessions, timezone: labTimezone() })
+    });
+
+    if (!sessionsRes.ok) {
+      const text = await sessionsRes.text();
+      throw new Error(`Failed to sync sessions: ${sessionsRes.status} - ${text}`);
+    }
+
+    // Pull audit entries for changes made on the web dashboard into the local log
+    const lastWeb = dataManager.getAuditLog({ actor: AUDIT_ACTORS.WEB_ADMIN, limit: 1 }).entries[0];
+    const since = lastWeb ? `?since=${encodeURIComponent(lastWeb.timestamp)}` : '';
+    const auditRes = await fetch(`${baseUrl}/api/admin/data/sync/audit${since}`, {
+      headers: { 'X-API-Key': webSync.apiKey }
+    });
+    if (auditRes.ok) {
+      const auditResult = await auditRes.json();
+      dataManager.importAuditEntries(auditResult.entries || []);
+    } else {
+      dataManager.logger.warning('websync', `Could not fetch web audit entries: ${auditRes.status}`, 'system');
+    }
+
     const studentsResult = await studentsRes.json();
     const attendanceResult = await attendanceRes.json();
 
@@ -164,20 +382,12 @@ async function syncToWebDashboard() {
   }
 }
 
-function getNYDate(d = new Date()) {
-  return new Date(d.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+// Lab timezone (config.timezone) used by every scheduler and day-boundary calculation
+function labTimezone() {
+  return dataManager.getTimezone();
 }
 function ymd(date) {
-  const d = getNYDate(date);
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-function addDays(date, n) {
-  const d = new Date(date);
-  d.setDate(d.getDate() + n);
-  return d;
+  return zone.formatYmd(date, labTimezone());
 }
 // Normalize a Date to local midnight (00:00:00.000)
 function atMidnight(dt) {
@@ -186,11 +396,28 @@ function atMidnight(dt) {
   return d;
 }
 
-// Normalize a Date to America/New_York midnight (00:00 ET)
-function atMidnightNY(dt) {
-  const ny = new Date(new Date(dt).toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  ny.setHours(0, 0, 0, 0);
-  return ny;
+// Normalize a Date to midnight in the lab timezone
+function atLabMidnight(dt, offsetDays = 0) {
+  return zone.startOfDay(dt, labTimezone(), offsetDays);
+}
+
+// Rewrite the daily CSV and Sheets "Daily Summary" column for a past day
+// whose attendance changed after the fact ('YYYY-MM-DD' in lab time)
+async function refreshDailySummary(dateStr) {
+  const dateIso = zone.parseDay(dateStr, labTimezone()).toISOString();
+  const options = { closeOpenAtHour: null, autoWriteSignOutAtHour: null, autoPolicy: null };
+
+  dataManager.saveDailySummaryCSV(dateIso, options);
+
+  const config = dataManager.getConfig();
+  if (config.googleSheets?.enabled) {
+    const { summaries } = dataManager.computeDailySummary(dateIso, options);
+    await googleSheetsService.upsertDailyHours({
+      dateLike: dateIso,
+      summaries,
+      summarySheetName: 'Daily Summary'
+    });
+  }
 }
 
 function initAutoUpdate() {
@@ -356,11 +583,19 @@ if (process.platform === 'darwin') {
 app.whenReady().then(async () => {
   // Initialize services
   dataManager = new DataManager();
+  // Keeps the encryption password in the OS keychain so encrypted database fields can be read after a restart
+  dataManager.setKeyStore({
+    isAvailable: () => safeStorage.isEncryptionAvailable(),
+    seal: (text) => safeStorage.encryptString(text).toString('base64'),
+    open: (sealed) => safeStorage.decryptString(Buffer.from(sealed, 'base64'))
+  });
   await dataManager.initialize(); // Initialize SQLite asynchronously
   emailService = new EmailService(dataManager);
   googleSheetsService = new GoogleSheetsService(dataManager);
   dropboxService = new DropboxService(dataManager);
   pendingSignoutService = new PendingSignoutService(dataManager, emailService);
+  correctionRequestService = new CorrectionRequestService(dataManager);
+  faceEnrollmentService = new FaceEnrollmentService(dataManager, emailService, faceService);
 
   if (!dataManager.logger) {
     dataManager.logger = new Logger(dataManager);
@@ -392,13 +627,9 @@ app.whenReady().then(async () => {
   let dailySummaryJobStarted = false;
   let dailySummaryRunning = false; // Lock to prevent concurrent runs
 
-  function getNYDateIso(when = new Date()) {
-    // Convert "now" to America/New_York calendar date (midnight) in ISO
-    const ny = new Date(
-      when.toLocaleString('en-US', { timeZone: 'America/New_York' })
-    );
-    ny.setHours(0, 0, 0, 0);
-    return ny.toISOString();
+  function getLabDateIso(when = new Date()) {
+    // Midnight of "when"'s calendar date in the lab timezone, as ISO
+    return atLabMidnight(when).toISOString();
   }
   // --- Catch up missed jobs at startup ---
   try {
@@ -408,16 +639,15 @@ app.whenReady().then(async () => {
     const saveCfg = () => fs.writeFileSync(dataManager.configFile, JSON.stringify(cfg, null, 2));
 
     // ===== Daily Summary Catch-up (only full past days) =====
-    const todayNY = getNYDate();
-    const yesterdayNY = addDays(todayNY, -1);
-    const yesterdayYMD = ymd(yesterdayNY);
+    const todayStart = atLabMidnight(new Date());
+    const yesterdayYMD = ymd(atLabMidnight(todayStart, -1));
 
     // If never summarized, start two days ago so we pick up at least yesterday.
-    let lastSummarized = cfg.jobMeta.lastDailySummaryDate || ymd(addDays(todayNY, -2));
+    let lastSummarized = cfg.jobMeta.lastDailySummaryDate || ymd(atLabMidnight(todayStart, -2));
 
-    let cur = addDays(new Date(lastSummarized + 'T00:00:00'), 1);
+    let cur = atLabMidnight(zone.parseDay(lastSummarized, labTimezone()), 1);
     while (ymd(cur) <= yesterdayYMD) {
-      const dateIso = new Date(ymd(cur) + 'T00:00:00Z').toISOString();
+      const dateIso = cur.toISOString();
 
       // Choose ONE policy:
       // A) Cap open sessions at 5 PM (no mutation)
@@ -440,12 +670,12 @@ app.whenReady().then(async () => {
         // Push the hours/A to the "Daily Summary" tab
         try {
           const { summaries } = dataManager.computeDailySummary(
-            new Date(ymd(cur) + 'T00:00:00Z'),   // same day as CSV
+            cur,   // same day as CSV
             { closeOpenAtHour: 17, autoWriteSignOutAtHour: null }
           );
           if (cfg.googleSheets?.enabled) {
             await googleSheetsService.upsertDailyHours({
-              dateLike: new Date(ymd(cur) + 'T00:00:00Z'),
+              dateLike: cur,
               summaries,
               summarySheetName: 'Daily Summary'
             });
@@ -457,7 +687,7 @@ app.whenReady().then(async () => {
         // Append that day's raw attendance rows to the main Attendance tab
         try {
           if (cfg.googleSheets?.enabled) {
-            const r = await googleSheetsService.syncAttendanceForDate(new Date(ymd(cur) + 'T00:00:00Z'));
+            const r = await googleSheetsService.syncAttendanceForDate(cur);
             if (!r.success) {
               dataManager.logger.warning('sync', `Catch-up: per-day Sheets sync failed for ${ymd(cur)}: ${r.error}`, 'system');
             }
@@ -470,7 +700,7 @@ app.whenReady().then(async () => {
       }
 
 
-      cur = addDays(cur, 1);
+      cur = atLabMidnight(cur, 1);
     }
 
     // ===== Backup Catch-up (if >24h since last backup) =====
@@ -479,7 +709,7 @@ app.whenReady().then(async () => {
     const dbx = cfg.dropbox || {};
     if (dbx.enabled && dbx.autoBackup && hoursSince > 24) {
       try {
-        const r = await dropboxService.backupToDropbox();
+        const r = await getStorage().uploadBackup();
         if (r.success) {
           cfg.jobMeta.lastBackupAt = new Date().toISOString();
           saveCfg();
@@ -495,21 +725,29 @@ app.whenReady().then(async () => {
     dataManager.logger.error('system', `Startup catch-up error: ${e.message}`, 'system');
   }
 
-  // Schedule daily backup to Dropbox at 2 AM ET
+  // Schedule daily backup to the storage provider at 2 AM (lab time)
   if (!backupJobStarted) {
     cron.schedule('0 2 * * *', async () => {
       try {
-        dataManager.logger.info('backup', 'Starting scheduled daily backup to Dropbox', 'system');
+        dataManager.logger.info('backup', 'Starting scheduled daily backup to remote storage', 'system');
         const config = dataManager.getConfig();
         if (config.dropbox?.enabled && config.dropbox?.autoBackup) {
-          const result = await dropboxService.backupToDropbox();
+          const result = await getStorage().uploadBackup();
           if (result.success) {
             dataManager.logger.info('backup', 'Daily backup completed successfully', 'system');
           } else {
             dataManager.logger.error('backup', `Daily backup failed: ${result.error}`, 'system');
           }
         } else {
-          dataManager.logger.info('backup', 'Skipping daily backup - Dropbox not enabled or configured', 'system');
+          dataManager.logger.info('backup', 'Skipping daily backup - remote backups not enabled', 'system');
+        }
+
+        if (config.backupRetention?.enabled) {
+          const retention = await enforceBackupRetention();
+          if (!retention.success) {
+            dataManager.logger.error('backup',
+              `Backup retention failed: ${retention.local.error || retention.remote?.error}`, 'system');
+          }
         }
 
         // Also sync to web dashboard if enabled
@@ -525,7 +763,7 @@ app.whenReady().then(async () => {
       } catch (error) {
         dataManager.logger.error('backup', `Daily backup error: ${error.message}`, 'system');
       }
-    }, { scheduled: true, timezone: 'America/New_York' });
+    }, { scheduled: true, timezone: labTimezone() });
     backupJobStarted = true;
   }
 
@@ -541,13 +779,15 @@ app.whenReady().then(async () => {
         } else {
           dataManager.logger.error('websync', `Web sync failed: ${result.error}`, 'system');
         }
+        // Check phone enrollments as they come in, and apply web dashboard approvals
+        if (faceEnrollmentService.hasOpenRequests()) await faceEnrollmentService.syncWithCloud();
       }
     } catch (error) {
       dataManager.logger.error('websync', `10-minute web sync error: ${error.message}`, 'system');
     }
   });
 
-  // Check for updates every day at 9 AM ET
+  // Check for updates every day at 9 AM (lab time)
   cron.schedule('0 9 * * *', () => {
     try {
       console.log('[updates] Scheduled 9 AM update check triggered');
@@ -562,9 +802,9 @@ app.whenReady().then(async () => {
       console.error('[updates] Scheduled update check error:', e);
       log.error('[updates] Scheduled update check error:', e.message);
     }
-  }, { timezone: 'America/New_York' });
+  }, { timezone: labTimezone() });
 
-  // Daily summary at 11:45 PM ET - Now uses pending sign-out system
+  // Daily summary at 11:45 PM (lab time) - Now uses pending sign-out system
   if (!dailySummaryJobStarted) {
     cron.schedule('45 23 * * *', async () => {
       // Prevent concurrent runs
@@ -575,11 +815,12 @@ app.whenReady().then(async () => {
       dailySummaryRunning = true;
 
       try {
-        // Use the ET calendar date for the summary
-        const dateIso = getNYDateIso(new Date());
+        // Use the lab-timezone calendar date for the summary
+        const dateIso = getLabDateIso(new Date());
 
-        // Get students with open sessions (signed in but not signed out)
-        const openSessions = dataManager.getOpenSessionsForDate(dateIso);
+        // Get students with open sessions (signed in but not signed out).
+        // Late sign-ins may run past midnight, so they stay open until tomorrow's run.
+        const openSessions = dataManager.getOpenSessionsForDate(dateIso, { excludeOvernight: true });
         dataManager.logger.info('pending', `Found ${openSessions.length} open sessions at end of day`, 'system');
 
         // Track processed sign-in IDs to prevent duplicates within this run
@@ -631,16 +872,14 @@ app.whenReady().then(async () => {
 
             // Apply the old auto-signout for students without email
             const signInTime = new Date(signInRecord.timestamp);
-            const cutoffHour = 17; // 5 PM
+            const cutoffHour = 17; // 5 PM (lab time)
             let effectiveOut;
 
-            if (signInTime.getHours() < cutoffHour) {
-              effectiveOut = new Date(signInTime);
-              effectiveOut.setHours(cutoffHour, 0, 0, 0);
+            if (zone.getZonedParts(signInTime, labTimezone()).hour < cutoffHour) {
+              effectiveOut = zone.atTimeOfDay(signInTime, cutoffHour, 0, labTimezone());
             } else {
               effectiveOut = new Date(signInTime.getTime() + 60 * 60 * 1000); // +60 min
-              const eod = new Date(signInTime);
-              eod.setHours(23, 59, 0, 0);
+              const eod = zone.atTimeOfDay(signInTime, 23, 59, labTimezone());
               if (effectiveOut > eod) effectiveOut = eod;
             }
 
@@ -677,6 +916,19 @@ app.whenReady().then(async () => {
         });
         await googleSheetsService.upsertDailyHours({ dateLike: dateIso, summaries, summarySheetName: 'Daily Summary' });
 
+        // Sessions that ran past last midnight were still open when yesterday's summary
+        // was written; refresh yesterday so its CSV and Sheets column include them
+        const crossedMidnight = dataManager.getSessions(dateIso, dateIso)
+          .some(s => s.out && new Date(s.in) < new Date(dateIso));
+        if (crossedMidnight) {
+          const yesterdayIso = atLabMidnight(new Date(), -1).toISOString();
+          const noAutoClose = { closeOpenAtHour: null, autoWriteSignOutAtHour: null, autoPolicy: null };
+          dataManager.saveDailySummaryCSV(yesterdayIso, noAutoClose);
+          const { summaries: yesterdaySummaries } = dataManager.computeDailySummary(yesterdayIso, noAutoClose);
+          await googleSheetsService.upsertDailyHours({ dateLike: yesterdayIso, summaries: yesterdaySummaries, summarySheetName: 'Daily Summary' });
+          dataManager.logger.info('report', 'Refreshed previous day summary for sessions that crossed midnight', 'system');
+        }
+
         // Sort attendance after any synthetic sign-outs were written
         const sr = dataManager.sortAttendanceByTimestamp?.();
         if (!sr?.success) {
@@ -687,11 +939,11 @@ app.whenReady().then(async () => {
       } finally {
         dailySummaryRunning = false;
       }
-    }, { scheduled: true, timezone: 'America/New_York' });
+    }, { scheduled: true, timezone: labTimezone() });
     dailySummaryJobStarted = true;
   }
 
-  // Process expired pending sign-outs at 5 PM ET (deadline)
+  // Process expired pending sign-outs at 5 PM lab time (deadline)
   cron.schedule('0 17 * * *', async () => {
     try {
       dataManager.logger.info('pending', 'Processing expired pending sign-outs (5 PM deadline)', 'system');
@@ -704,29 +956,7 @@ app.whenReady().then(async () => {
 
         // Regenerate daily summaries for affected dates
         for (const dateStr of result.affectedDates) {
-          const dateIso = new Date(dateStr + 'T00:00:00Z').toISOString();
-
-          // Regenerate CSV
-          dataManager.saveDailySummaryCSV(dateIso, {
-            closeOpenAtHour: null,
-            autoWriteSignOutAtHour: null,
-            autoPolicy: null
-          });
-
-          // Update Google Sheets
-          const config = dataManager.getConfig();
-          if (config.googleSheets?.enabled) {
-            const { summaries } = dataManager.computeDailySummary(dateIso, {
-              closeOpenAtHour: null,
-              autoWriteSignOutAtHour: null,
-              autoPolicy: null
-            });
-            await googleSheetsService.upsertDailyHours({
-              dateLike: dateIso,
-              summaries,
-              summarySheetName: 'Daily Summary'
-            });
-          }
+          await refreshDailySummary(dateStr);
         }
       } else {
         dataManager.logger.info('pending', 'No expired pending sign-outs to process', 'system');
@@ -734,9 +964,9 @@ app.whenReady().then(async () => {
     } catch (err) {
       dataManager.logger.error('pending', `Expired pending processing error: ${err.message}`, 'system');
     }
-  }, { scheduled: true, timezone: 'America/New_York' });
+  }, { scheduled: true, timezone: labTimezone() });
 
-  // Hourly sync from cloud for pending signouts (12 AM to 5 PM ET)
+  // Hourly sync from cloud for pending signouts (12 AM to 5 PM lab time)
   // This ensures student-submitted signout times are synced to attendance
   cron.schedule('0 0-17 * * *', async () => {
     try {
@@ -748,11 +978,26 @@ app.whenReady().then(async () => {
     } catch (err) {
       dataManager.logger.error('pending', `Hourly sync error: ${err.message}`, 'system');
     }
-  }, { scheduled: true, timezone: 'America/New_York' });
+  }, { scheduled: true, timezone: labTimezone() });
+
+  // Data retention at 3:30 AM lab time, after the nightly backup (see dataRetention.js)
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      if (!dataManager.getConfig().dataRetention?.enabled) return;
+      dataManager.logger.info('retention', 'Applying the data retention policy', 'system');
+      const result = await enforceDataRetention();
+      if (!result.success) {
+        dataManager.logger.error('retention', `Data retention failed: ${result.error}`, 'system');
+      }
+    } catch (err) {
+      dataManager.logger.error('retention', `Data retention error: ${err.message}`, 'system');
+    }
+  }, { scheduled: true, timezone: labTimezone() });
 
   const cfg = dataManager.getConfig();
   if (cfg.dropbox?.enabled) {
     // One immediate sync respecting mode:
+    // - peerMode true    => merge with the other kiosks
     // - masterMode true  => pull
     // - masterMode false => push
     // Fire-and-forget — don't block window display
@@ -776,9 +1021,12 @@ app.whenReady().then(async () => {
 app.on('before-quit', async () => {
   try {
     const cfg = dataManager.getConfig();
-    // Push-on-close only makes sense when we're in push mode (masterMode=false)
-    if (cfg.dropbox?.enabled && !cfg.dropbox?.masterMode) {
-      await dropboxService.pushAll(dataManager.dataDir);
+    // Push-on-close only makes sense when we're in push mode (masterMode=false);
+    // peers publish their changes through a final merge instead
+    if (cfg.dropbox?.enabled && cfg.dropbox?.peerMode) {
+      await safeSyncByMode('sync-on-close');
+    } else if (cfg.dropbox?.enabled && !cfg.dropbox?.masterMode) {
+      await getStorage().pushAll(dataManager.dataDir);
       dataManager.logger.info('dropbox', 'push-on-close completed', 'system');
     }
   } catch (err) {
@@ -796,6 +1044,7 @@ ipcMain.handle('sign-in', async (event, data) => {
 
     if (result.success) {
       dataManager.logger.info('attendance', `${result.studentName} (${data.ufid}) signed in successfully`, 'system');
+      if (data.method === 'face') refreshFaceTemplateFromMatch(data.ufid);
 
       const config = dataManager.getConfig();
       if (config.googleSheets?.enabled && config.googleSheets?.autoSync) {
@@ -819,6 +1068,7 @@ ipcMain.handle('sign-in', async (event, data) => {
         success: false,
         message: result.error,
         unauthorized: result.unauthorized,
+        wrongLocation: result.wrongLocation,
         duplicate: result.duplicate,
         noSignIn: result.noSignIn
       };
@@ -860,6 +1110,7 @@ ipcMain.handle('sign-out', async (event, data) => {
         success: false,
         message: result.error,
         unauthorized: result.unauthorized,
+        wrongLocation: result.wrongLocation,
         duplicate: result.duplicate,
         noSignIn: result.noSignIn
       };
@@ -991,9 +1242,9 @@ ipcMain.handle('get-stats', async (event) => {
   }
 });
 
-ipcMain.handle('get-enhanced-stats', async (event) => {
+ipcMain.handle('get-enhanced-stats', async (event, options) => {
   try {
-    const stats = dataManager.getEnhancedStats();
+    const stats = dataManager.getEnhancedStats(options || {});
     dataManager.logger.info('system', 'Enhanced stats retrieved', 'admin');
     return stats;
   } catch (error) {
@@ -1037,8 +1288,10 @@ ipcMain.handle('add-student', async (event, student) => {
       {
         role: student.role,
         expectedHoursPerWeek: student.expectedHoursPerWeek,
-        expectedDaysPerWeek: student.expectedDaysPerWeek
-      }
+        expectedDaysPerWeek: student.expectedDaysPerWeek,
+        locations: student.locations
+      },
+      { actor: AUDIT_ACTORS.ADMIN }
     );
 
     if (result.success) {
@@ -1055,17 +1308,17 @@ ipcMain.handle('add-student', async (event, student) => {
 });
 ipcMain.handle('update-student', async (event, payload) => {
   try {
-    return dataManager.updateStudent(payload.ufid, payload);
+    return dataManager.updateStudent(payload.ufid, payload, { actor: AUDIT_ACTORS.ADMIN });
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-ipcMain.handle('remove-student', async (event, ufid) => {
+ipcMain.handle('remove-student', async (event, { ufid, reason }) => {
   try {
     dataManager.logger.info('student', `Removing student with UFID: ${ufid}`, 'admin');
 
-    const result = dataManager.removeStudent(ufid);
+    const result = dataManager.removeStudent(ufid, { actor: AUDIT_ACTORS.ADMIN, reason });
 
     if (result.success) {
       dataManager.logger.info('student', `Student removed successfully: ${ufid}`, 'admin');
@@ -1080,6 +1333,15 @@ ipcMain.handle('remove-student', async (event, ufid) => {
   }
 });
 
+ipcMain.handle('get-expected-now', async () => {
+  try {
+    return dataManager.getExpectedNow(new Date());
+  } catch (error) {
+    dataManager.logger.error('attendance', `Get expected now error: ${error.message}`, 'admin');
+    return [];
+  }
+});
+
 ipcMain.handle('get-currently-signed-in', async (event) => {
   try {
     const signedIn = dataManager.getCurrentlySignedIn();
@@ -1137,11 +1399,11 @@ ipcMain.handle('get-todays-attendance', async (event) => {
   }
 });
 
-ipcMain.handle('delete-attendance-record', async (event, recordId) => {
+ipcMain.handle('delete-attendance-record', async (event, { recordId, reason }) => {
   try {
     dataManager.logger.info('attendance', `Deleting attendance record: ${recordId}`, 'admin');
 
-    const result = dataManager.deleteAttendanceRecord(recordId);
+    const result = dataManager.deleteAttendanceRecord(recordId, { actor: AUDIT_ACTORS.ADMIN, reason });
 
     if (result.success) {
       dataManager.logger.info('attendance', `Attendance record deleted successfully: ${recordId}`, 'admin');
@@ -1156,11 +1418,11 @@ ipcMain.handle('delete-attendance-record', async (event, recordId) => {
   }
 });
 
-ipcMain.handle('generate-weekly-report', async (event) => {
+ipcMain.handle('generate-weekly-report', async (event, options) => {
   try {
     dataManager.logger.info('report', 'Generating weekly report', 'admin');
 
-    const result = dataManager.saveWeeklyReportToFile();
+    const result = dataManager.saveWeeklyReportToFile(options || {});
 
     if (result.success) {
       dataManager.logger.info('report', `Weekly report generated: ${result.filePath}`, 'admin');
@@ -1357,6 +1619,61 @@ ipcMain.handle('sync-pending-from-cloud', async () => {
   }
 });
 
+// Correction request handlers
+ipcMain.handle('submit-correction-request', async (event, request) => {
+  try {
+    dataManager.logger.info('correction', `Correction request submitted for UFID: ${request.ufid}`, 'system');
+    return await correctionRequestService.submitCorrectionRequest({ ...request, source: 'kiosk' });
+  } catch (error) {
+    dataManager.logger.error('correction', `Submit correction error: ${error.message}`, 'system');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-correction-requests', async () => {
+  try {
+    const corrections = await correctionRequestService.getCorrectionRequests();
+    const stats = correctionRequestService.getCorrectionStats(corrections);
+    return { success: true, corrections, stats };
+  } catch (error) {
+    dataManager.logger.error('correction', `Get correction requests error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('approve-correction-request', async (event, { id, approvedBy, note, signInTime, signOutTime }) => {
+  try {
+    const result = await correctionRequestService.approveCorrectionRequest(id, { approvedBy, note, signInTime, signOutTime });
+    if (!result.success) {
+      dataManager.logger.warning('correction', `Approve correction ${id} failed: ${result.error}`, 'admin');
+      return result;
+    }
+
+    const config = dataManager.getConfig();
+    if (config.googleSheets?.enabled && config.googleSheets?.autoSync) {
+      for (const recordId of result.record.attendanceIds) {
+        const record = dataManager.getAttendance().find(r => r.id === recordId);
+        if (record) await googleSheetsService.syncSingleRecord(record);
+      }
+    }
+    await refreshDailySummary(result.record.date);
+
+    return result;
+  } catch (error) {
+    dataManager.logger.error('correction', `Approve correction error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reject-correction-request', async (event, { id, reviewedBy, note }) => {
+  try {
+    return await correctionRequestService.rejectCorrectionRequest(id, { reviewedBy, note });
+  } catch (error) {
+    dataManager.logger.error('correction', `Reject correction error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
 // Get open sessions (students signed in but not signed out today)
 ipcMain.handle('get-open-sessions', async () => {
   try {
@@ -1421,7 +1738,7 @@ ipcMain.handle('create-pending-for-student', async (event, { ufid, signInRecordI
         synthetic: true,
         pendingTimestamp: true,
         pendingRecordId: pendingResult.record.id
-      });
+      }, { actor: AUDIT_ACTORS.ADMIN, reason: 'Pending sign-out created by admin' });
 
       if (pendingResult.emailSent) {
         dataManager.logger.info('pending',
@@ -1545,9 +1862,8 @@ ipcMain.handle('sheets-backfill-daily-summary', async (event, args = {}) => {
 
   try {
     // Default range: last 30 full days up to yesterday
-    const today = new Date();
-    const end = endISO ? new Date(endISO) : atMidnightNY(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1));
-    const start = startISO ? new Date(startISO) : atMidnightNY(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 29));
+    const end = endISO ? atLabMidnight(new Date(endISO)) : atLabMidnight(new Date(), -1);
+    const start = startISO ? atLabMidnight(new Date(startISO)) : atLabMidnight(end, -29);
 
     const options =
       policy === 'autosignout'
@@ -1558,9 +1874,9 @@ ipcMain.handle('sheets-backfill-daily-summary', async (event, args = {}) => {
     let failures = [];
 
     for (
-      let d = atMidnightNY(new Date(start));
-      d <= atMidnightNY(new Date(end));
-      d.setDate(d.getDate() + 1)
+      let d = start;
+      d <= end;
+      d = atLabMidnight(d, 1)
     ) {
       try {
         // compute summary for that day
@@ -1575,11 +1891,11 @@ ipcMain.handle('sheets-backfill-daily-summary', async (event, args = {}) => {
         });
 
         if (!res.success) {
-          failures.push({ date: new Date(d).toISOString().slice(0, 10), error: res.error || 'unknown' });
+          failures.push({ date: ymd(d), error: res.error || 'unknown' });
         }
         daysProcessed++;
       } catch (e) {
-        failures.push({ date: new Date(d).toISOString().slice(0, 10), error: e.message });
+        failures.push({ date: ymd(d), error: e.message });
       }
     }
 
@@ -1588,8 +1904,8 @@ ipcMain.handle('sheets-backfill-daily-summary', async (event, args = {}) => {
       daysProcessed,
       failures,
       range: {
-        start: atMidnightNY(start).toISOString(),
-        end: atMidnightNY(end).toISOString(),
+        start: start.toISOString(),
+        end: end.toISOString(),
       },
     };
   } catch (err) {
@@ -1843,9 +2159,10 @@ ipcMain.handle('test-dropbox-connection', async () => {
 
 ipcMain.handle('create-dropbox-default-folders', async () => {
   try {
-    const init = dropboxService.initializeFromConfig();
-    if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
-    return await dropboxService.createDefaultFolders();
+    const storage = getStorage();
+    const init = storage.initializeFromConfig();
+    if (!init.success) return { success: false, error: init.error || `${storage.label} not configured` };
+    return await storage.createDefaultFolders();
   } catch (e) {
     return { success: false, error: e.message };
   }
@@ -1855,8 +2172,8 @@ ipcMain.handle('upload-to-dropbox', async (event, type) => {
   try {
     dataManager.logger.info('dropbox', `Uploading type=${type}`, 'admin');
     let result;
-    if (type === 'report') result = await dropboxService.uploadWeeklyReport();
-    else if (type === 'backup') result = await dropboxService.backupToDropbox();
+    if (type === 'report') result = await getStorage().uploadWeeklyReport();
+    else if (type === 'backup') result = await getStorage().uploadBackup();
     else return { success: false, error: 'Invalid upload type' };
 
     if (result.success) {
@@ -1884,15 +2201,44 @@ ipcMain.handle('get-dropbox-space', async () => {
 ipcMain.handle('list-dropbox-files', async (event, folderPath) => {
   try {
     const folder = folderPath || '/UF-Lab-Attendance';
-    const init = dropboxService.initializeFromConfig();
-    if (!init.success) return { success: false, error: init.error || 'Dropbox not configured' };
+    const storage = getStorage();
+    const init = storage.initializeFromConfig();
+    if (!init.success) return { success: false, error: init.error || `${storage.label} not configured` };
     // pass null to let the service default to the configured base folder
-    return await dropboxService.listFiles(folder, { recursive: true });
+    return await storage.listFiles(folder, { recursive: true });
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
+// Storage provider handlers (Dropbox, local/network folder, S3, WebDAV)
+ipcMain.handle('update-storage-config', async (event, storage) => {
+  try {
+    const result = dataManager.updateStorageConfig(storage || {});
+    if (result.success) storageProvider = null;
+    return result;
+  } catch (e) {
+    dataManager.logger.error('config', `Failed to update storage config: ${e.message}`, 'admin');
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('test-storage-connection', async () => {
+  try {
+    const storage = getStorage();
+    const result = await storage.testConnection();
+    if (result.success) {
+      dataManager.logger.info('dropbox', `${storage.label} connected: ${result.user}`, 'admin');
+    } else {
+      dataManager.logger.warning('dropbox', `${storage.label} test failed: ${result.error}`, 'admin');
+    }
+    return { ...result, provider: storage.label };
+  } catch (e) {
+    dataManager.logger.error('dropbox', `Storage connection test error: ${e.message}`, 'admin');
+    return { success: false, error: e.message };
+  }
+});
+
 // Live Syncing Handlers
 function scheduleSyncTimer() {
   if (syncTimer) { clearInterval(syncTimer); syncTimer = null; }
@@ -1922,11 +2268,11 @@ ipcMain.handle('get-dropbox-sync-status', async () => {
   const cfg = dataManager.getConfig();
   const enabled = !!cfg.dropbox?.enabled;
   const running = !!(enabled && syncTimer);
-  const mode = cfg.dropbox?.masterMode ? 'pull' : 'push';
+  const mode = cfg.dropbox?.peerMode ? 'peer' : (cfg.dropbox?.masterMode ? 'pull' : 'push');
   const nextRun = running
     ? `Every ${Math.max(2, parseInt(cfg.dropbox.syncIntervalMinutes || 10, 10))} minutes`
     : null;
-  return { enabled, running, mode, lastSyncAt: null, nextRun };
+  return { enabled, running, mode, lastSyncAt: null, nextRun, deviceId: dataManager.getDeviceId() };
 });
 
 // Re-apply after settings saved (and do one immediate sync)
@@ -1993,6 +2339,8 @@ ipcMain.handle('disable-encryption', async (event, password) => {
       return { success: false, error: 'Invalid password' };
     }
 
+    // The password decrypts the database fields on the way out
+    dataManager.encryptionPassword = password;
     const result = dataManager.updateEncryptionSettings(false);
 
     if (result.success) {
@@ -2014,6 +2362,8 @@ ipcMain.handle('verify-encryption-password', async (event, password) => {
 
     if (isValid) {
       dataManager.logger.info('encryption', 'Encryption password verification successful', 'admin');
+      // After a restart without a keychain, the right password also unlocks encryption
+      if (!dataManager.encryptionPassword) dataManager.unlockEncryption(password);
     } else {
       dataManager.logger.warning('encryption', 'Encryption password verification failed', 'admin');
     }
@@ -2044,14 +2394,41 @@ ipcMain.handle('create-encrypted-backup', async (event, password) => {
   }
 });
 
+ipcMain.handle('rotate-encryption-password', async (event, { currentPassword, newPassword } = {}) => {
+  try {
+    const result = dataManager.rotateEncryptionPassword(currentPassword, newPassword);
+    if (!result.success) {
+      dataManager.logger.warning('encryption', `Encryption password rotation refused: ${result.error}`, 'admin');
+    }
+    return result;
+  } catch (error) {
+    dataManager.logger.error('encryption', `Rotate encryption password error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-encryption-fields', async (event, fields) => {
+  try {
+    return dataManager.updateEncryptionFields(fields);
+  } catch (error) {
+    dataManager.logger.error('encryption', `Update encrypted fields error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-encryption-status', async (event) => {
   try {
     const config = dataManager.getConfig();
+    const enabled = config.encryption?.enabled || false;
     const status = {
       success: true,
-      enabled: config.encryption?.enabled || false,
+      enabled,
       algorithm: config.encryption?.algorithm || 'AES-256',
-      lastUpdated: config.encryption?.lastUpdated || null
+      lastUpdated: config.encryption?.lastUpdated || null,
+      lastRotated: config.encryption?.lastRotated || null,
+      fields: config.encryption.fields,
+      locked: dataManager.isEncryptionLocked(),
+      database: dataManager.dbManager?.isReady() ? dataManager.dbManager.getFieldEncryptionStatus() : null
     };
 
     dataManager.logger.info('encryption', `Encryption status retrieved: ${status.enabled ? 'enabled' : 'disabled'}`, 'admin');
@@ -2062,6 +2439,170 @@ ipcMain.handle('get-encryption-status', async (event) => {
   }
 });
 
+// Lab closure handlers
+ipcMain.handle('get-closures', async (event, { start, end } = {}) => {
+  try {
+    return dataManager.getClosures(start || null, end || null);
+  } catch (error) {
+    dataManager.logger.error('closures', `Get closures error: ${error.message}`, 'admin');
+    return [];
+  }
+});
+
+ipcMain.handle('add-closure', async (event, closure) => {
+  try {
+    return dataManager.addClosure(closure || {});
+  } catch (error) {
+    dataManager.logger.error('closures', `Add closure error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-closure', async (event, id) => {
+  try {
+    return dataManager.removeClosure(id);
+  } catch (error) {
+    dataManager.logger.error('closures', `Remove closure error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-closures-ics', async (event, icsText) => {
+  try {
+    return dataManager.importClosuresFromIcs(String(icsText || ''));
+  } catch (error) {
+    dataManager.logger.error('closures', `Import closures error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+// Academic term handlers
+ipcMain.handle('get-terms', async () => {
+  try {
+    return dataManager.getTerms();
+  } catch (error) {
+    dataManager.logger.error('terms', `Get terms error: ${error.message}`, 'admin');
+    return [];
+  }
+});
+
+ipcMain.handle('save-term', async (event, term) => {
+  try {
+    return dataManager.saveTerm(term || {});
+  } catch (error) {
+    dataManager.logger.error('terms', `Save term error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-term', async (event, id) => {
+  try {
+    return dataManager.removeTerm(id);
+  } catch (error) {
+    dataManager.logger.error('terms', `Remove term error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-student-term-expectation', async (event, { ufid, termId, expectation }) => {
+  try {
+    return dataManager.setStudentTermExpectation(ufid, termId, expectation || null);
+  } catch (error) {
+    dataManager.logger.error('terms', `Set term expectation error for ${ufid}: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-term-summary', async (event, termId) => {
+  try {
+    return dataManager.computeTermSummary(termId);
+  } catch (error) {
+    dataManager.logger.error('terms', `Term summary error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-term-summary-csv', async (event, termId) => {
+  try {
+    return dataManager.exportTermSummaryCsv(termId);
+  } catch (error) {
+    dataManager.logger.error('terms', `Term summary export error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+// Location handlers
+ipcMain.handle('get-locations', async () => {
+  try {
+    return dataManager.getLocations();
+  } catch (error) {
+    dataManager.logger.error('locations', `Get locations error: ${error.message}`, 'admin');
+    return [];
+  }
+});
+
+ipcMain.handle('save-location', async (event, location) => {
+  try {
+    return dataManager.saveLocation(location || {});
+  } catch (error) {
+    dataManager.logger.error('locations', `Save location error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-location', async (event, id) => {
+  try {
+    return dataManager.removeLocation(id);
+  } catch (error) {
+    dataManager.logger.error('locations', `Remove location error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-kiosk-location', async () => {
+  try {
+    return dataManager.getKioskLocation();
+  } catch (error) {
+    dataManager.logger.error('locations', `Get kiosk location error: ${error.message}`, 'system');
+    return null;
+  }
+});
+
+ipcMain.handle('set-kiosk-location', async (event, locationId) => {
+  try {
+    return dataManager.setKioskLocation(locationId || null);
+  } catch (error) {
+    dataManager.logger.error('locations', `Set kiosk location error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+// Sync conflict handlers
+ipcMain.handle('get-sync-conflicts', async (event, filters = {}) => {
+  try {
+    return { success: true, conflicts: dataManager.getSyncConflicts(filters) };
+  } catch (error) {
+    dataManager.logger.error('dropbox', `Get sync conflicts error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resolve-sync-conflict', async (event, { id, choice }) => {
+  try {
+    const result = dataManager.resolveSyncConflict(id, choice);
+    // Publish the decision to the other kiosks right away
+    if (result.success && dataManager.getConfig().dropbox?.enabled) {
+      safeSyncByMode('conflict-resolved').catch(e =>
+        dataManager.logger.warning('dropbox', `conflict sync error: ${e.message}`, 'system')
+      );
+    }
+    return result;
+  } catch (error) {
+    dataManager.logger.error('dropbox', `Resolve sync conflict error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
 // Configuration handlers
 ipcMain.handle('update-email-config', async (event, emailConfig) => {
   try {
@@ -2132,6 +2673,25 @@ ipcMain.handle('get-config', async (event) => {
   }
 });
 
+ipcMain.handle('update-system-settings', async (event, settings) => {
+  try {
+    const result = dataManager.updateSystemSettings(settings || {});
+    if (result.success && result.timezoneChanged && emailService) {
+      // The weekly report task can be rebuilt in place; the other cron jobs pick
+      // up the new zone on next launch
+      const wasRunning = emailService.schedulerRunning;
+      emailService.stopScheduler();
+      emailService.scheduledTask = null;
+      emailService.initializeScheduler();
+      if (wasRunning) emailService.startScheduler();
+    }
+    return result;
+  } catch (error) {
+    dataManager.logger.error('config', `Update system settings error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
 // Web Dashboard Sync handlers
 ipcMain.handle('update-web-sync-config', async (event, config) => {
   try {
@@ -2210,6 +2770,128 @@ ipcMain.handle('backup-data', async (event) => {
   }
 });
 
+// Restore handlers (point-in-time restore from the storage provider's backups)
+ipcMain.handle('list-dropbox-backups', async () => {
+  try {
+    return await getStorage().listBackups();
+  } catch (error) {
+    dataManager.logger.error('backup', `Error listing remote backups: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-dropbox-restore', async (event, name) => {
+  try {
+    return await getStorage().previewRestore(name);
+  } catch (error) {
+    dataManager.logger.error('backup', `Error previewing restore of ${name}: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-dropbox-backup', async (event, { name, reason }) => {
+  // Runs as a sync would, so no interval sync reads or writes data halfway through
+  if (syncing) return { success: false, error: 'A sync is running; try again in a moment' };
+  syncing = true;
+  let result;
+  try {
+    const storage = getStorage();
+    dataManager.logger.info('backup', `Restoring ${storage.label} backup ${name}`, 'admin');
+    result = await storage.restoreBackup(name, { actor: AUDIT_ACTORS.ADMIN, reason });
+    if (!result.success) dataManager.logger.error('backup', `Restore of ${name} failed: ${result.error}`, 'admin');
+  } catch (error) {
+    dataManager.logger.error('backup', `Error restoring ${name}: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  } finally {
+    syncing = false;
+  }
+
+  // Publish the restored data, except on kiosks that pull (it would be overwritten at once)
+  const cfg = dataManager.getConfig();
+  if (result.success && cfg.dropbox?.enabled && (cfg.dropbox.peerMode || !cfg.dropbox.masterMode)) {
+    safeSyncByMode('restore-sync').catch(e =>
+      dataManager.logger.warning('dropbox', `restore sync error: ${e.message}`, 'system')
+    );
+  }
+  return result;
+});
+
+// Backup retention handlers
+ipcMain.handle('update-backup-retention', async (event, policy) => {
+  try {
+    return dataManager.updateBackupRetention(policy || {});
+  } catch (error) {
+    dataManager.logger.error('backup', `Error saving backup retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-backup-retention', async () => {
+  try {
+    return await enforceBackupRetention({ dryRun: true });
+  } catch (error) {
+    dataManager.logger.error('backup', `Error previewing backup retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('apply-backup-retention', async () => {
+  try {
+    dataManager.logger.info('backup', 'Applying backup retention now', 'admin');
+    return await enforceBackupRetention();
+  } catch (error) {
+    dataManager.logger.error('backup', `Error applying backup retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+// Data retention and privacy request handlers
+ipcMain.handle('update-data-retention', async (event, policy) => {
+  try {
+    return dataManager.updateDataRetention(policy || {});
+  } catch (error) {
+    dataManager.logger.error('retention', `Error saving data retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-data-retention', async () => {
+  try {
+    return await enforceDataRetention({ dryRun: true });
+  } catch (error) {
+    dataManager.logger.error('retention', `Error previewing data retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('apply-data-retention', async () => {
+  try {
+    dataManager.logger.info('retention', 'Applying data retention now', 'admin');
+    return await enforceDataRetention();
+  } catch (error) {
+    dataManager.logger.error('retention', `Error applying data retention: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-student-data', async (event, { ufid, reason }) => {
+  try {
+    return await exportStudentData(String(ufid), { reason });
+  } catch (error) {
+    dataManager.logger.error('privacy', `Student data export error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('erase-student-data', async (event, { ufid, reason }) => {
+  try {
+    return await eraseStudentEverywhere(String(ufid), { reason });
+  } catch (error) {
+    dataManager.logger.error('privacy', `Student erasure error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
 // Face service + camera status (for Face ID admin tab and camera badge)
 ipcMain.handle('get-face-service-status', async () => {
   try {
@@ -2233,16 +2915,85 @@ ipcMain.handle('get-recent-signins', async (event, count = 4) => {
   }
 });
 
+// Face ID enrollment — the admin screen only sees detection and pose results;
+// the embedding of the last frame and the captured samples stay here until saved
+const FACE_ENROLL_MIN_DISTANCE = 0.05; // min cosine distance between captures
+let lastFrameEmbedding = null;
+let faceEnrollSamples = [];
+
 // Face ID — frame processing via InsightFace Python service
 ipcMain.handle('face-process-frame', async (event, base64jpeg) => {
   try {
+    lastFrameEmbedding = null;
     if (!faceService.ready) return { face: null, error: 'service_not_ready' };
-    return await faceService.analyze(base64jpeg);
+    const result = await faceService.analyze(base64jpeg);
+    if (!result?.face) return { face: null, error: result?.error };
+
+    const { embedding, ...face } = result.face;
+    lastFrameEmbedding = embedding ? Array.from(embedding) : null;
+    return { face };
   } catch (err) {
     return { face: null, error: err.message };
   }
 });
 
+// Keep the last processed frame as an enrollment sample, unless it is too close to one already taken
+ipcMain.handle('face-enroll-capture', async () => {
+  if (!lastFrameEmbedding) return { success: false, error: 'no_face', count: faceEnrollSamples.length };
+  const embedding = lastFrameEmbedding;
+  if (faceEnrollSamples.some(sample => cosineDistance(sample, embedding) < FACE_ENROLL_MIN_DISTANCE)) {
+    return { success: false, error: 'too_similar', count: faceEnrollSamples.length };
+  }
+  faceEnrollSamples.push(embedding);
+  lastFrameEmbedding = null;
+  return { success: true, count: faceEnrollSamples.length };
+});
+
+ipcMain.handle('face-enroll-reset', async () => {
+  faceEnrollSamples = [];
+  lastFrameEmbedding = null;
+  return { success: true };
+});
+
+// The closest recent frame of the student the kiosk is matching, kept so a
+// Face ID sign-in can refresh their templates (the embedding stays here)
+const FACE_MATCH_WINDOW_MS = 30_000;
+let recentFaceMatch = null;
+
+function rememberFaceMatch(match, embedding) {
+  const now = Date.now();
+  const current = recentFaceMatch;
+  if (current && current.ufid === match.ufid && now - current.at < FACE_MATCH_WINDOW_MS && current.distance <= match.distance) return;
+  recentFaceMatch = { ufid: match.ufid, distance: match.distance, embedding, at: now };
+}
+
+// After a Face ID sign-in: refresh the student's templates from the match, if the policy allows
+function refreshFaceTemplateFromMatch(ufid) {
+  const match = recentFaceMatch;
+  recentFaceMatch = null;
+  if (!match || match.ufid !== ufid || Date.now() - match.at > FACE_MATCH_WINDOW_MS) return;
+  if (!dataManager.getConfig().faceId.refresh.enabled) return;
+  dataManager.refreshFaceTemplate(ufid, match.embedding, match.distance);
+}
+
+// Face ID — analyze a frame and match it here, so the kiosk never holds
+// embeddings or enrolled templates: returns the face without its embedding
+// and the closest enrolled students
+ipcMain.handle('face-identify', async (event, base64jpeg, options = {}) => {
+  try {
+    if (!faceService.ready) return { face: null, match: null, candidates: [], error: 'service_not_ready' };
+    const result = await faceService.analyze(base64jpeg);
+    if (!result?.face) return { face: null, match: null, candidates: [], error: result?.error };
+
+    const { embedding, ...face } = result.face;
+    const identified = dataManager.identifyFace(embedding, { k: options.k });
+    if (identified.match && !face.is_screen) rememberFaceMatch(identified.match, embedding);
+    return { face, ...identified };
+  } catch (err) {
+    return { face: null, match: null, candidates: [], error: err.message };
+  }
+});
+
 ipcMain.handle('face-reset-liveness', async () => {
   try {
     if (faceService.ready) await faceService.resetLiveness();
@@ -2252,21 +3003,80 @@ ipcMain.handle('face-reset-liveness', async () => {
   }
 });
 
-ipcMain.handle('save-face-descriptor', async (event, { ufid, descriptor }) => {
+// Save the samples captured with face-enroll-capture as the student's templates
+ipcMain.handle('save-face-descriptor', async (event, { ufid }) => {
   try {
-    const result = dataManager.saveFaceDescriptor(ufid, descriptor);
+    if (faceEnrollSamples.length === 0) return { success: false, error: 'No face samples captured' };
+    const result = dataManager.saveFaceDescriptor(ufid, faceEnrollSamples);
+    if (result) faceEnrollSamples = [];
     return { success: result };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('get-all-face-descriptors', async (event) => {
+// Who has Face ID set up (the templates themselves stay in this process)
+ipcMain.handle('get-face-enrollment', async () => {
   try {
-    const descriptors = dataManager.getAllFaceDescriptors();
-    return { success: true, descriptors };
+    return { success: true, enrolled: dataManager.getFaceEnrolledUfids() };
   } catch (error) {
-    return { success: false, descriptors: [], error: error.message };
+    return { success: false, enrolled: [], error: error.message };
+  }
+});
+
+// Per-student thresholds and the students at risk of being confused (admin Face ID tab)
+ipcMain.handle('get-face-collision-risk', async () => {
+  try {
+    return { success: true, students: dataManager.getFaceCollisionRisk(), faceId: dataManager.getConfig().faceId };
+  } catch (error) {
+    return { success: false, students: [], error: error.message };
+  }
+});
+
+ipcMain.handle('update-face-id-settings', async (event, settings) => {
+  try {
+    return dataManager.updateFaceIdSettings(settings || {});
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Face ID self-enrollment from a phone (faceEnrollmentService.js)
+ipcMain.handle('invite-face-enrollment', async (event, { ufid, invitedBy }) => {
+  try {
+    return await faceEnrollmentService.inviteStudent(ufid, { invitedBy });
+  } catch (error) {
+    dataManager.logger.error('face', `Send enrollment link error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-face-enrollment-requests', async () => {
+  try {
+    const requests = (await faceEnrollmentService.getEnrollmentRequests())
+      .map(({ token, descriptor, ...request }) => request);
+    return { success: true, requests, stats: faceEnrollmentService.getEnrollmentStats(requests) };
+  } catch (error) {
+    dataManager.logger.error('face', `Get enrollment requests error: ${error.message}`, 'admin');
+    return { success: false, requests: [], error: error.message };
+  }
+});
+
+ipcMain.handle('approve-face-enrollment', async (event, { id, approvedBy, note }) => {
+  try {
+    return await faceEnrollmentService.approveEnrollment(id, { approvedBy, note });
+  } catch (error) {
+    dataManager.logger.error('face', `Approve enrollment error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reject-face-enrollment', async (event, { id, reviewedBy, note }) => {
+  try {
+    return await faceEnrollmentService.rejectEnrollment(id, { reviewedBy, note });
+  } catch (error) {
+    dataManager.logger.error('face', `Reject enrollment error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
   }
 });
 
@@ -2279,6 +3089,49 @@ ipcMain.handle('clear-face-descriptor', async (event, ufid) => {
   }
 });
 
+// Audit log handlers
+ipcMain.handle('get-audit-log', async (event, filters = {}) => {
+  try {
+    return { success: true, ...dataManager.getAuditLog(filters) };
+  } catch (error) {
+    return { success: false, entries: [], totalCount: 0, error: error.message };
+  }
+});
+
+ipcMain.handle('export-audit-csv', async (event, filters = {}) => {
+  try {
+    return { success: true, csv: dataManager.exportAuditCsv(filters) };
+  } catch (error) {
+    dataManager.logger.error('audit', `Audit export error: ${error.message}`, 'admin');
+    return { success: false, error: error.message };
+  }
+});
+
+// Trash handlers
+ipcMain.handle('get-trash', async () => {
+  try {
+    return { success: true, ...dataManager.getTrash() };
+  } catch (error) {
+    return { success: false, students: [], attendance: [], error: error.message };
+  }
+});
+
+ipcMain.handle('restore-student', async (event, { ufid, reason }) => {
+  return dataManager.restoreStudent(ufid, { actor: AUDIT_ACTORS.ADMIN, reason });
+});
+
+ipcMain.handle('purge-student', async (event, { ufid, reason }) => {
+  return dataManager.purgeStudent(ufid, { actor: AUDIT_ACTORS.ADMIN, reason });
+});
+
+ipcMain.handle('restore-attendance-record', async (event, { recordId, reason }) => {
+  return dataManager.restoreAttendanceRecord(recordId, { actor: AUDIT_ACTORS.ADMIN, reason });
+});
+
+ipcMain.handle('purge-attendance-record', async (event, { recordId, reason }) => {
+  return dataManager.purgeAttendanceRecord(recordId, { actor: AUDIT_ACTORS.ADMIN, reason });
+});
+
 // System logs handlers
 ipcMain.handle('get-system-logs', async (event, options = {}) => {
   try {
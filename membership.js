@@ -0,0 +1,136 @@
+/**
+ * Student Membership - lifecycle status and membership dates
+ *
+ * A student moves active -> on leave -> alumni. startDate/endDate are the
+ * first and last days ('YYYY-MM-DD' in the lab timezone) the student belongs
+ * to the lab; either may be empty (open-ended). Only active students can sign
+ * in (`active` is derived from the status). Reports keep alumni for the weeks
+ * they were members and prorate expectations to their membership days.
+ */
+
+const { expandDateRange, isValidYmd, weekdayOfYmd } = require('./closures.js');
+
+const STUDENT_STATUSES = {
+    ACTIVE: 'active',
+    ON_LEAVE: 'on_leave',
+    ALUMNI: 'alumni'
+};
+
+const STATUS_LABELS = {
+    [STUDENT_STATUSES.ACTIVE]: 'Active',
+    [STUDENT_STATUSES.ON_LEAVE]: 'On leave',
+    [STUDENT_STATUSES.ALUMNI]: 'Alumni'
+};
+
+function isStatus(value) {
+    return Object.values(STUDENT_STATUSES).includes(value);
+}
+
+/**
+ * Membership fields for a stored student (older records only have `active`)
+ * @param {Object} student
+ * @returns {Object} { status, startDate, endDate, active }
+ */
+function normalizeMembership(student = {}) {
+    const status = isStatus(student.status)
+        ? student.status
+        : (student.active === false ? STUDENT_STATUSES.ON_LEAVE : STUDENT_STATUSES.ACTIVE);
+    return {
+        status,
+        startDate: isValidYmd(student.startDate) ? student.startDate : null,
+        endDate: isValidYmd(student.endDate) ? student.endDate : null,
+        active: status === STUDENT_STATUSES.ACTIVE
+    };
+}
+
+/**
+ * Apply a status/date edit to a student's membership
+ * Leaving for alumni closes membership today unless an end date is given;
+ * returning to active reopens it. A bare `active` boolean (older callers)
+ * reactivates, or puts an active student on leave.
+ * @param {Object} previous - Current student (or {} for a new one)
+ * @param {Object} updates - { status, startDate, endDate, active }
+ * @param {string} today - Lab date 'YYYY-MM-DD'
+ * @returns {Object} { status, startDate, endDate, active }
+ * @throws {Error} On an unknown status or an end date before the start date
+ */
+function resolveMembership(previous, updates, today) {
+    const prev = normalizeMembership(previous);
+
+    let status = prev.status;
+    if (updates.status !== undefined) {
+        if (!isStatus(updates.status)) throw new Error(`Unknown student status: ${updates.status}`);
+        status = updates.status;
+    } else if (updates.active === true) {
+        status = STUDENT_STATUSES.ACTIVE;
+    } else if (updates.active === false && prev.status === STUDENT_STATUSES.ACTIVE) {
+        status = STUDENT_STATUSES.ON_LEAVE;
+    }
+
+    const dateOrNull = (value, field) => {
+        if (value === null || value === '') return null;
+        if (!isValidYmd(value)) throw new Error(`Invalid ${field}: ${value}`);
+        return value;
+    };
+    const startDate = updates.startDate !== undefined ? dateOrNull(updates.startDate, 'start date') : prev.startDate;
+    let endDate = updates.endDate !== undefined ? dateOrNull(updates.endDate, 'end date') : prev.endDate;
+
+    if (updates.endDate === undefined && status !== prev.status) {
+        if (status === STUDENT_STATUSES.ALUMNI && !endDate) endDate = today;
+        if (status === STUDENT_STATUSES.ACTIVE && prev.status === STUDENT_STATUSES.ALUMNI) endDate = null;
+    }
+
+    if (startDate && endDate && endDate < startDate) {
+        throw new Error('End date must be on or after the start date');
+    }
+
+    return { status, startDate, endDate, active: status === STUDENT_STATUSES.ACTIVE };
+}
+
+/**
+ * Whether the student was a member of the lab on a date
+ * @param {Object} student - Normalized student
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function isMemberOn(student, ymd) {
+    return (!student.startDate || student.startDate <= ymd) && (!student.endDate || ymd <= student.endDate);
+}
+
+/**
+ * Whether membership overlaps a date range (inclusive)
+ * @param {Object} student - Normalized student
+ * @param {string} start - 'YYYY-MM-DD'
+ * @param {string} end - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function overlapsRange(student, start, end) {
+    return (!student.startDate || student.startDate <= end) && (!student.endDate || student.endDate >= start);
+}
+
+/**
+ * Monday-Friday dates in a range on which the student is expected in:
+ * a member, not on leave, and the lab is open
+ * @param {Object} student - Normalized student
+ * @param {string} start - 'YYYY-MM-DD'
+ * @param {string} end - 'YYYY-MM-DD'
+ * @param {Set<string>} [closedDates] - Lab closure dates
+ * @returns {number}
+ */
+function countExpectedWeekdays(student, start, end, closedDates = new Set()) {
+    if (student.status === STUDENT_STATUSES.ON_LEAVE) return 0;
+    return expandDateRange(start, end).filter(d => {
+        const wd = weekdayOfYmd(d);
+        return wd >= 1 && wd <= 5 && isMemberOn(student, d) && !closedDates.has(d);
+    }).length;
+}
+
+module.exports = {
+    STATUS_LABELS,
+    STUDENT_STATUSES,
+    countExpectedWeekdays,
+    isMemberOn,
+    normalizeMembership,
+    overlapsRange,
+    resolveMembership
+};
@@ -0,0 +1,430 @@
+/**
+ * Peer Merge - several kiosks writing the same roster and attendance
+ *
+ * Every kiosk has a device id (config.device.id, never synced) and gives each
+ * attendance record a globally unique `uid` (device id + time + counter), so
+ * records from two entrances never collide; the numeric `id` stays a local row
+ * id and is renumbered on merge when two devices picked the same one.
+ *
+ * Changes are detected at sync time against the state of the previous sync and
+ * stamped '<ISO time>@<device id>'. Stamps compare as strings (time first, then
+ * device id as the tie-break), and '' means "unchanged since before peer sync".
+ * Attendance merges as a union keyed by uid (the newest stamp wins for a record
+ * edited on two kiosks); students merge field by field, so one kiosk changing a
+ * role and another changing an email keeps both edits. Records purged on one
+ * kiosk travel as tombstones ({ purged: true }) so other kiosks drop them too.
+ *
+ * When both sides changed the same thing since the last sync, the merge keeps
+ * this kiosk's side and reports a conflict for an admin to settle.
+ */
+
+const crypto = require('crypto');
+
+// Local bookkeeping that is never compared or written back to students/attendance
+const STAMP_FIELDS = ['fieldStamps', 'stamp'];
+
+// Student fields never reported as conflicts (identity, derived or bookkeeping)
+const UNCONFLICTED_FIELDS = ['ufid', 'active', 'purged', 'addedDate'];
+
+// Two kiosks recording the same student within this window is reported
+const DUPLICATE_WINDOW_MS = 2 * 60 * 1000;
+
+function createDeviceId() {
+    return `kiosk-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Stamp for a change made now on a device
+ * @param {string} deviceId
+ * @param {Date} [date]
+ * @returns {string} '<ISO time>@<device id>'
+ */
+function makeStamp(deviceId, date = new Date()) {
+    return `${date.toISOString()}@${deviceId}`;
+}
+
+function isStampedBy(stamp, deviceId) {
+    return typeof stamp === 'string' && stamp.endsWith(`@${deviceId}`);
+}
+
+function deviceOfStamp(stamp) {
+    const at = (stamp || '').indexOf('@');
+    return at === -1 ? null : stamp.slice(at + 1);
+}
+
+// Record uids are '<device id>-<time>-<counter>'; legacy uids have no device
+function deviceOfUid(uid) {
+    const parts = String(uid || '').split('-');
+    return uid && !uid.startsWith('legacy-') && parts.length > 2 ? parts.slice(0, -2).join('-') : null;
+}
+
+function newer(a, b) {
+    return (a || '') > (b || '');
+}
+
+/**
+ * Identity of an attendance record across kiosks (records written before
+ * uids existed are known by their original numeric id)
+ * @param {Object} record
+ * @returns {string}
+ */
+function attendanceKey(record) {
+    return record.uid || `legacy-${record.id}`;
+}
+
+// JSON with sorted keys, so equal values compare equal whatever their key order
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(k => value[k] !== undefined)
+            .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function sameValue(a, b) {
+    return canonical(a) === canonical(b);
+}
+
+function withoutStamps(record, ...extra) {
+    const copy = { ...record };
+    [...STAMP_FIELDS, ...extra].forEach(k => delete copy[k]);
+    return copy;
+}
+
+/**
+ * Stamp what changed locally since the last sync
+ * @param {Object} local - { students, attendance } as stored on this kiosk (trash included)
+ * @param {Object} base - { students, attendance } from the last sync (stamped, with tombstones)
+ * @param {string} stamp - Stamp for changes found now
+ * @param {Object} [options] - { trackPurges } false on a first sync, when records
+ *   missing locally were never here rather than purged
+ * @returns {Object} { students, attendance } stamped, plus tombstones for purged records
+ */
+function stampLocalChanges(local, base, stamp, { trackPurges = true } = {}) {
+    const baseStudents = new Map((base.students || []).map(s => [s.ufid, s]));
+    const students = (local.students || []).map(student => {
+        const current = { ...withoutStamps(student), purged: false };
+        const previous = baseStudents.get(student.ufid);
+        const previousStamps = (previous && previous.fieldStamps) || {};
+        const fieldStamps = {};
+        const fields = new Set([...Object.keys(current), ...Object.keys(previous ? withoutStamps(previous) : {})]);
+        fields.delete('ufid');
+        for (const field of fields) {
+            const unchanged = previous && sameValue(current[field], field === 'purged' ? Boolean(previous.purged) : previous[field]);
+            fieldStamps[field] = unchanged ? (previousStamps[field] || '') : stamp;
+        }
+        return { ...current, fieldStamps };
+    });
+
+    const present = new Set(students.map(s => s.ufid));
+    for (const previous of baseStudents.values()) {
+        if (!trackPurges || present.has(previous.ufid)) continue;
+        students.push(previous.purged
+            ? previous
+            : { ...previous, purged: true, fieldStamps: { ...previous.fieldStamps, purged: stamp } });
+    }
+
+    const baseAttendance = new Map((base.attendance || []).map(r => [attendanceKey(r), r]));
+    const attendance = (local.attendance || []).map(record => {
+        const current = { ...withoutStamps(record, 'purged'), uid: attendanceKey(record) };
+        const previous = baseAttendance.get(current.uid);
+        const unchanged = previous && !previous.purged
+            && sameValue(withoutStamps(current, 'id'), withoutStamps(previous, 'id', 'purged'));
+        return { ...current, stamp: unchanged ? (previous.stamp || '') : stamp };
+    });
+
+    const kept = new Set(attendance.map(r => r.uid));
+    for (const [key, previous] of baseAttendance) {
+        if (!trackPurges || kept.has(key)) continue;
+        attendance.push(previous.purged ? previous : { uid: key, id: previous.id, purged: true, stamp });
+    }
+
+    return { students, attendance };
+}
+
+/**
+ * Merge student replicas field by field (the newest stamp wins each field;
+ * on equal stamps the earlier replica wins, so pass the local one first)
+ * @param {Array<Array>} replicas - Student lists carrying `fieldStamps`
+ * @returns {Array} Merged students with `fieldStamps`
+ */
+function mergeStudents(replicas) {
+    const merged = new Map();
+    for (const list of replicas) {
+        for (const student of list || []) {
+            const stamps = student.fieldStamps || {};
+            const into = merged.get(student.ufid);
+            if (!into) {
+                merged.set(student.ufid, { ...student, fieldStamps: { ...stamps } });
+                continue;
+            }
+            for (const [field, value] of Object.entries(withoutStamps(student))) {
+                if (field === 'ufid') continue;
+                const known = Object.prototype.hasOwnProperty.call(into, field);
+                if (!known || newer(stamps[field], into.fieldStamps[field])) {
+                    into[field] = value;
+                    into.fieldStamps[field] = stamps[field] || '';
+                }
+            }
+        }
+    }
+    return Array.from(merged.values());
+}
+
+/**
+ * Merge attendance replicas: the union of every record, the newest stamp
+ * winning a record edited on two kiosks. Records keep the local numeric id of
+ * the first replica that has them; any other id already taken is renumbered.
+ * @param {Array<Array>} replicas - Attendance lists carrying `stamp` (local first)
+ * @returns {Array} Merged records (tombstones included), oldest first
+ */
+function mergeAttendance(replicas) {
+    const merged = new Map();
+    const localIds = new Map();
+    for (const list of replicas) {
+        for (const record of list || []) {
+            const key = attendanceKey(record);
+            if (!localIds.has(key)) localIds.set(key, record.id);
+            const known = merged.get(key);
+            if (!known || newer(record.stamp, known.stamp)) merged.set(key, { ...record, uid: key });
+        }
+    }
+
+    const records = Array.from(merged.values())
+        .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')) || a.uid.localeCompare(b.uid));
+
+    const taken = new Set();
+    const pending = [];
+    for (const record of records) {
+        const id = localIds.get(record.uid);
+        if (Number.isSafeInteger(id) && !taken.has(id)) {
+            record.id = id;
+            taken.add(id);
+        } else {
+            pending.push(record);
+        }
+    }
+    let next = Array.from(taken).reduce((max, id) => Math.max(max, id), Date.now()) + 1;
+    for (const record of pending) {
+        while (taken.has(next)) next++;
+        record.id = next;
+        taken.add(next);
+    }
+    return records;
+}
+
+/**
+ * Entries this device last changed: what it publishes as its change log
+ * @param {Object} state - Merged { students, attendance }
+ * @param {string} deviceId
+ * @returns {Object} { students, attendance }
+ */
+function changesBy(state, deviceId) {
+    return {
+        students: (state.students || []).filter(s => Object.values(s.fieldStamps || {}).some(st => isStampedBy(st, deviceId))),
+        attendance: (state.attendance || []).filter(r => isStampedBy(r.stamp, deviceId))
+    };
+}
+
+/**
+ * Students and attendance as stored locally (no stamps, no tombstones)
+ * @param {Object} state - Merged { students, attendance }
+ * @returns {Object} { students, attendance }
+ */
+function visibleData(state) {
+    return {
+        students: (state.students || []).filter(s => !s.purged).map(s => withoutStamps(s, 'purged')),
+        attendance: (state.attendance || []).filter(r => !r.purged).map(r => withoutStamps(r, 'purged'))
+    };
+}
+
+function conflictId(type, key, field) {
+    return field ? `${type}:${key}:${field}` : `${type}:${key}`;
+}
+
+/**
+ * Edits that a merge would otherwise settle silently: the same student field
+ * or attendance record changed here and on another kiosk since the last sync,
+ * and records of one student taken at two kiosks within a couple of minutes
+ * (the same action twice, or a sign-in and a sign-out that contradict)
+ * @param {Object} input - { base, mine, others, stamp }: the last synced state,
+ *   this kiosk's stamped replica, the other replicas, and this sync's stamp
+ * @returns {Array} Conflicts { id, type, key, field, local, remote, remoteDevice }
+ */
+function findConflicts({ base, mine, others, stamp }) {
+    const found = new Map();
+    const add = (conflict) => {
+        const known = found.get(conflict.id);
+        if (!known || newer(conflict.remoteStamp, known.remoteStamp)) found.set(conflict.id, conflict);
+    };
+
+    const baseStudents = new Map((base.students || []).map(s => [s.ufid, s]));
+    for (const student of mine.students || []) {
+        const stamps = student.fieldStamps || {};
+        const edited = Object.keys(stamps).filter(f => stamps[f] === stamp && !UNCONFLICTED_FIELDS.includes(f));
+        if (student.purged || edited.length === 0) continue;
+
+        const baseStamps = (baseStudents.get(student.ufid) || {}).fieldStamps || {};
+        for (const replica of others) {
+            const remote = (replica.students || []).find(s => s.ufid === student.ufid);
+            if (!remote) continue;
+            for (const field of edited) {
+                const remoteStamp = (remote.fieldStamps || {})[field] || '';
+                if (!newer(remoteStamp, baseStamps[field]) || sameValue(student[field], remote[field])) continue;
+                add({
+                    id: conflictId('student-field', student.ufid, field),
+                    type: 'student-field',
+                    key: student.ufid,
+                    field,
+                    local: student[field] ?? null,
+                    remote: remote[field] ?? null,
+                    remoteStamp,
+                    remoteDevice: deviceOfStamp(remoteStamp)
+                });
+            }
+        }
+    }
+
+    const baseAttendance = new Map((base.attendance || []).map(r => [attendanceKey(r), r]));
+    const mineByUid = new Map();
+    const mineByUfid = new Map();
+    for (const record of mine.attendance || []) {
+        mineByUid.set(record.uid, record);
+        if (record.purged || record.deletedAt) continue;
+        if (!mineByUfid.has(record.ufid)) mineByUfid.set(record.ufid, []);
+        mineByUfid.get(record.ufid).push(record);
+    }
+
+    for (const replica of others) {
+        for (const remote of replica.attendance || []) {
+            const key = attendanceKey(remote);
+            const local = mineByUid.get(key);
+            const previous = baseAttendance.get(key);
+
+            if (local) {
+                const editedHere = local.stamp === stamp && previous && !local.purged;
+                if (editedHere && newer(remote.stamp, previous.stamp)
+                    && !sameValue(withoutStamps(local, 'id'), withoutStamps({ ...remote, uid: key }, 'id'))) {
+                    add({
+                        id: conflictId('attendance-edit', key),
+                        type: 'attendance-edit',
+                        key,
+                        local: withoutStamps(local),
+                        remote: withoutStamps({ ...remote, uid: key }),
+                        remoteStamp: remote.stamp || '',
+                        remoteDevice: deviceOfStamp(remote.stamp)
+                    });
+                }
+                continue;
+            }
+
+            // A record new to this kiosk, close to one of its own
+            if (previous || remote.purged || remote.deletedAt) continue;
+            const at = Date.parse(remote.timestamp);
+            for (const own of mineByUfid.get(remote.ufid) || []) {
+                if (Math.abs(Date.parse(own.timestamp) - at) > DUPLICATE_WINDOW_MS) continue;
+                if (deviceOfUid(own.uid) === deviceOfUid(key)) continue;
+                const type = own.action === remote.action ? 'attendance-duplicate' : 'attendance-contradiction';
+                add({
+                    id: conflictId(type, `${own.uid}|${key}`),
+                    type,
+                    key: `${own.uid}|${key}`,
+                    local: withoutStamps(own),
+                    remote: withoutStamps({ ...remote, uid: key }),
+                    remoteStamp: remote.stamp || '',
+                    remoteDevice: deviceOfUid(key)
+                });
+            }
+        }
+    }
+
+    return Array.from(found.values());
+}
+
+/**
+ * Field differences between two unstamped student lists (legacy merge mode,
+ * where which side changed is unknown)
+ * @param {Array} localArr
+ * @param {Array} remoteArr
+ * @returns {Array} Conflicts of type 'student-field'
+ */
+function diffStudents(localArr, remoteArr) {
+    const local = new Map((localArr || []).map(s => [s.ufid, s]));
+    const conflicts = [];
+    for (const remote of remoteArr || []) {
+        const mine = local.get(remote.ufid);
+        if (!mine) continue;
+        const fields = new Set([...Object.keys(withoutStamps(mine)), ...Object.keys(withoutStamps(remote))]);
+        for (const field of fields) {
+            if (UNCONFLICTED_FIELDS.includes(field) || sameValue(mine[field], remote[field])) continue;
+            conflicts.push({
+                id: conflictId('student-field', remote.ufid, field),
+                type: 'student-field',
+                key: remote.ufid,
+                field,
+                local: mine[field] ?? null,
+                remote: remote[field] ?? null,
+                remoteStamp: '',
+                remoteDevice: null
+            });
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Keep this kiosk's side of every unresolved edit conflict in a merge result
+ * (duplicates need no holding: both records are kept until resolved)
+ * @param {Object} merged - { students, attendance } (changed in place)
+ * @param {Object} mine - This kiosk's stamped replica
+ * @param {Array} conflicts - Open conflicts
+ * @returns {Object} merged
+ */
+function holdConflicts(merged, mine, conflicts) {
+    for (const conflict of conflicts) {
+        if (conflict.type === 'student-field') {
+            const into = (merged.students || []).find(s => s.ufid === conflict.key);
+            const own = (mine.students || []).find(s => s.ufid === conflict.key);
+            if (!into || !own) continue;
+            into[conflict.field] = own[conflict.field];
+            into.fieldStamps = { ...into.fieldStamps, [conflict.field]: (own.fieldStamps || {})[conflict.field] || '' };
+        } else if (conflict.type === 'attendance-edit') {
+            const index = (merged.attendance || []).findIndex(r => r.uid === conflict.key);
+            const own = (mine.attendance || []).find(r => r.uid === conflict.key);
+            if (index !== -1 && own) merged.attendance[index] = { ...own, id: merged.attendance[index].id };
+        }
+    }
+    return merged;
+}
+
+/**
+ * Whether two { students, attendance } sets hold the same records
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameData(a, b) {
+    const keyed = (list, key) => canonical((list || []).map(r => [key(r), r]).sort((x, y) => x[0].localeCompare(y[0])));
+    return keyed(a.students, s => s.ufid) === keyed(b.students, s => s.ufid)
+        && keyed(a.attendance, attendanceKey) === keyed(b.attendance, attendanceKey);
+}
+
+module.exports = {
+    attendanceKey,
+    canonical,
+    changesBy,
+    createDeviceId,
+    diffStudents,
+    findConflicts,
+    holdConflicts,
+    isStampedBy,
+    makeStamp,
+    mergeAttendance,
+    mergeStudents,
+    sameData,
+    sameValue,
+    stampLocalChanges,
+    visibleData
+};
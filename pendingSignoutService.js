@@ -11,10 +11,19 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const zone = require('./timezone.js');
+const { AUDIT_ACTORS } = require('./audit.js');
 
 // Cloud API URL - Update this after deploying to Vercel
 const API_BASE_URL = process.env.PENDING_API_URL || 'https://smile-lab-attendance-app.vercel.app/';
 
+// Audit log attribution for the ways a pending sign-out gets resolved
+const ADMIN_AUDIT = { actor: AUDIT_ACTORS.ADMIN, reason: 'Pending sign-out resolved by admin' };
+const EXPIRED_AUDIT = { actor: AUDIT_ACTORS.SYSTEM, reason: 'Pending sign-out deadline passed' };
+const webFormAudit = (record) => (record.resolvedBy === 'admin'
+  ? { actor: AUDIT_ACTORS.WEB_ADMIN, reason: 'Pending sign-out resolved by web admin' }
+  : { actor: AUDIT_ACTORS.SYSTEM, actorName: 'student', reason: 'Sign-out time submitted on the pending sign-out form' });
+
 class PendingSignoutService {
   constructor(dataManager, emailService) {
     this.dataManager = dataManager;
@@ -124,7 +133,7 @@ class PendingSignoutService {
             synthetic: false,
             fromPendingResolution: true,
             resolvedBy: cloudRecord.resolvedBy || 'student'
-          });
+          }, webFormAudit(cloudRecord));
 
           if (!updateResult.success) {
             // Check if a signout record already exists for this sign-in
@@ -144,7 +153,7 @@ class PendingSignoutService {
                 synthetic: false,
                 fromPendingResolution: true,
                 pendingRecordId: cloudRecord.id
-              });
+              }, webFormAudit(cloudRecord));
 
               this.dataManager.logger?.info('pending',
                 `Created sign-out record for ${cloudRecord.name} from cloud resolution`, 'system');
@@ -174,12 +183,10 @@ class PendingSignoutService {
   // ─────────────────────────────────────────────────────────────
 
   /**
-   * Get ET timezone offset in minutes
+   * Lab timezone (config.timezone) used for deadlines and email timestamps
    */
-  getETOffset(date) {
-    const etDate = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const utcDate = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
-    return (utcDate - etDate) / 60000;
+  getTimezone() {
+    return this.dataManager.getTimezone();
   }
 
   /**
@@ -200,15 +207,10 @@ class PendingSignoutService {
         return { success: false, error: 'Pending record already exists for this session' };
       }
 
-      // Calculate deadline: 5 PM ET next day
+      // Calculate deadline: 5 PM (lab time) next day
       const now = new Date();
-      const deadline = new Date(now);
-      deadline.setDate(deadline.getDate() + 1);
-      deadline.setHours(17, 0, 0, 0); // 5 PM
-
-      // Adjust for ET timezone
-      const etOffset = this.getETOffset(deadline);
-      deadline.setMinutes(deadline.getMinutes() + deadline.getTimezoneOffset() - etOffset);
+      const timeZone = this.getTimezone();
+      const deadline = zone.atTimeOfDay(zone.startOfDay(now, timeZone, 1), 17, 0, timeZone);
 
       const record = {
         id: `${Date.now()}-${student.ufid}`,
@@ -220,6 +222,7 @@ class PendingSignoutService {
         token: this.generateToken(),
         createdAt: now.toISOString(),
         deadline: deadline.toISOString(),
+        timezone: timeZone,
         status: 'pending',
         resolvedAt: null,
         submittedSignOutTime: null,
@@ -297,7 +300,7 @@ class PendingSignoutService {
           presentOnly: true,
           fromPendingResolution: true,
           resolvedBy: 'admin'
-        });
+        }, ADMIN_AUDIT);
 
         if (!updateResult.success) {
           this.dataManager.addAttendanceRecord({
@@ -310,14 +313,13 @@ class PendingSignoutService {
             presentOnly: true,
             fromPendingResolution: true,
             pendingRecordId: record.id
-          });
+          }, ADMIN_AUDIT);
         }
       } else {
         let signOutDate;
         if (/^\d{2}:\d{2}$/.test(signOutTime)) {
           const [hours, minutes] = signOutTime.split(':').map(Number);
-          signOutDate = new Date(signInDate);
-          signOutDate.setHours(hours, minutes, 0, 0);
+          signOutDate = zone.atTimeOfDay(signInDate, hours, minutes, this.getTimezone());
         } else {
           signOutDate = new Date(signOutTime);
         }
@@ -331,7 +333,7 @@ class PendingSignoutService {
           fromPendingResolution: true,
           adminResolved: true,
           resolvedBy: 'admin'
-        });
+        }, ADMIN_AUDIT);
 
         if (!updateResult.success) {
           this.dataManager.addAttendanceRecord({
@@ -344,7 +346,7 @@ class PendingSignoutService {
             fromPendingResolution: true,
             adminResolved: true,
             pendingRecordId: record.id
-          });
+          }, ADMIN_AUDIT);
         }
       }
 
@@ -400,7 +402,7 @@ class PendingSignoutService {
             presentOnly: true,
             pendingExpired: true,
             resolvedBy: 'system'
-          });
+          }, EXPIRED_AUDIT);
 
           if (!updateResult.success) {
             // Fallback: add new record if no temporary exists
@@ -414,7 +416,7 @@ class PendingSignoutService {
               presentOnly: true,
               pendingExpired: true,
               pendingRecordId: record.id
-            });
+            }, EXPIRED_AUDIT);
           }
 
           // Update in cloud
@@ -428,7 +430,7 @@ class PendingSignoutService {
 
           expired.push(record);
 
-          const dateStr = record.signInTimestamp.split('T')[0];
+          const dateStr = zone.formatYmd(record.signInTimestamp, this.getTimezone());
           affectedDates.add(dateStr);
 
           this.dataManager.logger?.warning('pending',
@@ -482,8 +484,7 @@ class PendingSignoutService {
   async getPendingStats() {
     const pending = await this.getPendingSignouts();
     const now = new Date();
-    const todayEnd = new Date(now);
-    todayEnd.setHours(23, 59, 59, 999);
+    const todayEnd = zone.endOfDay(now, this.getTimezone());
 
     const stats = {
       total: pending.filter(p => p.status === 'pending').length,
@@ -498,6 +499,49 @@ class PendingSignoutService {
     return stats;
   }
 
+  // ─────────────────────────────────────────────────────────────
+  // Data Retention and Erasure (see dataRetention.js)
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Delete resolved and expired records closed more than `days` ago, from
+   * the local cache and the cloud
+   * @param {number} days
+   * @param {Object} [options] - { dryRun } true to only count the local ones
+   * @returns {Promise<Object>} { success, local, cloud }
+   */
+  async purgeClosedOlderThan(days, { dryRun = false } = {}) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const records = this.getLocalPendingSignouts();
+    const kept = records.filter(p => p.status === 'pending' || (p.resolvedAt || p.createdAt || '') >= cutoff);
+    const local = records.length - kept.length;
+    if (dryRun) return { success: true, local, cloud: null };
+
+    this.saveLocalPendingSignouts(kept);
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/api/pending/cleanup?days=${days}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) return { success: false, local, error: result.error };
+      return { success: true, local, cloud: result.removed };
+    } catch (err) {
+      return { success: false, local, error: `Cloud cleanup failed: ${err.message}` };
+    }
+  }
+
+  /**
+   * A student's records in the local cache (the cloud copy goes with the
+   * cloud API's subject erasure)
+   * @param {string} ufid
+   * @param {Object} [options] - { remove } true to delete them
+   * @returns {Array} The records
+   */
+  localRecordsOf(ufid, { remove = false } = {}) {
+    const records = this.getLocalPendingSignouts();
+    const theirs = records.filter(p => p.ufid === ufid);
+    if (remove && theirs.length > 0) this.saveLocalPendingSignouts(records.filter(p => p.ufid !== ufid));
+    return theirs;
+  }
+
   // ─────────────────────────────────────────────────────────────
   // Email Integration
   // ─────────────────────────────────────────────────────────────
@@ -516,6 +560,7 @@ class PendingSignoutService {
 
       const signInTime = new Date(record.signInTimestamp);
       const deadline = new Date(record.deadline);
+      const timeZone = this.getTimezone();
       // Use cloud URL for the link
       const link = `${this.apiBaseUrl}/signout/${record.token}`;
 
@@ -523,17 +568,18 @@ class PendingSignoutService {
         name: record.name,
         signInDate: signInTime.toLocaleDateString('en-US', {
           weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-          timeZone: 'America/New_York'
+          timeZone
         }),
         signInTime: signInTime.toLocaleTimeString('en-US', {
           hour: 'numeric', minute: '2-digit', hour12: true,
-          timeZone: 'America/New_York'
+          timeZone
         }),
         deadline: deadline.toLocaleString('en-US', {
           weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
           hour: 'numeric', minute: '2-digit', hour12: true,
-          timeZone: 'America/New_York'
+          timeZone
         }),
+        zoneLabel: zone.zoneAbbreviation(deadline, timeZone),
         link
       });
 
@@ -542,9 +588,9 @@ class PendingSignoutService {
       // Plain text version improves deliverability
       const plainText = `Hello ${record.name},
 
-Our records show that you signed into the lab on ${signInTime.toLocaleDateString('en-US', { timeZone: 'America/New_York' })} at ${signInTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone: 'America/New_York' })} but did not sign out.
+Our records show that you signed into the lab on ${signInTime.toLocaleDateString('en-US', { timeZone })} at ${signInTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone })} but did not sign out.
 
-DEADLINE: ${deadline.toLocaleString('en-US', { timeZone: 'America/New_York' })} ET
+DEADLINE: ${deadline.toLocaleString('en-US', { timeZone })} ${zone.zoneAbbreviation(deadline, timeZone)}
 
 Please submit your sign-out time here:
 ${link}
@@ -562,7 +608,7 @@ This is an automated message. Please do not reply to this email.`;
         },
         replyTo: config.emailSettings.email,
         to: record.email,
-        subject: `${record.name}, please submit your sign-out time (${signInTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/New_York' })})`,
+        subject: `${record.name}, please submit your sign-out time (${signInTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone })})`,
         text: plainText,
         html,
         headers: {
@@ -587,7 +633,7 @@ This is an automated message. Please do not reply to this email.`;
     }
   }
 
-  generatePendingSignoutEmailHTML({ name, signInDate, signInTime, deadline, link }) {
+  generatePendingSignoutEmailHTML({ name, signInDate, signInTime, deadline, zoneLabel, link }) {
     return `
 <!DOCTYPE html>
 <html>
@@ -610,7 +656,7 @@ This is an automated message. Please do not reply to this email.`;
     <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FA4616;">
       <p style="margin: 0; color: #333; font-size: 15px;">
         <strong style="color: #0021A5;">Deadline to respond:</strong><br>
-        ${deadline} ET
+        ${deadline} ${zoneLabel}
       </p>
     </div>
 
@@ -13,7 +13,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   changeAdminPassword: (newPassword) => ipcRenderer.invoke('change-admin-password', newPassword),
   syncAdminToCloud: (password) => ipcRenderer.invoke('sync-admin-to-cloud', password),
   getStats: () => ipcRenderer.invoke('get-stats'),
-  getEnhancedStats: () => ipcRenderer.invoke('get-enhanced-stats'),
+  getEnhancedStats: (options) => ipcRenderer.invoke('get-enhanced-stats', options),
 
   // Students
   getStudents: () => ipcRenderer.invoke('get-students'),
@@ -21,8 +21,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('get-students-paginated', { page, pageSize, filters }),
   addStudent: (student) => ipcRenderer.invoke('add-student', student),
   updateStudent: (student) => ipcRenderer.invoke('update-student', student),
-  removeStudent: (ufid) => ipcRenderer.invoke('remove-student', ufid),
+  removeStudent: (ufid, reason) => ipcRenderer.invoke('remove-student', { ufid, reason }),
   getCurrentlySignedIn: () => ipcRenderer.invoke('get-currently-signed-in'),
+  getExpectedNow: () => ipcRenderer.invoke('get-expected-now'),
 
   // Reports & Records
   getAttendance: () => ipcRenderer.invoke('get-attendance'),
@@ -30,8 +31,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.invoke('get-attendance-paginated', { page, pageSize, filters }),
   getStorageInfo: () => ipcRenderer.invoke('get-storage-info'),
   getTodaysAttendance: () => ipcRenderer.invoke('get-todays-attendance'),
-  deleteAttendanceRecord: (recordId) => ipcRenderer.invoke('delete-attendance-record', recordId),
-  generateWeeklyReport: () => ipcRenderer.invoke('generate-weekly-report'),
+  deleteAttendanceRecord: (recordId, reason) => ipcRenderer.invoke('delete-attendance-record', { recordId, reason }),
+  generateWeeklyReport: (options) => ipcRenderer.invoke('generate-weekly-report', options),
 
   // Email Service
   sendWeeklyReport: (bandsImageDataUrl) => ipcRenderer.invoke('send-weekly-report', bandsImageDataUrl),
@@ -63,6 +64,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getDropboxSpace: () => ipcRenderer.invoke('get-dropbox-space'),
   listDropboxFiles: (folder) => ipcRenderer.invoke('list-dropbox-files', folder),
 
+  // Storage provider (Dropbox, local/network folder, S3, WebDAV)
+  updateStorageConfig: (storage) => ipcRenderer.invoke('update-storage-config', storage),
+  testStorageConnection: () => ipcRenderer.invoke('test-storage-connection'),
+
   // Live Syncing
   dropboxSyncNow: () => ipcRenderer.invoke('dropbox-sync-now'),
   getDropboxSyncStatus: () => ipcRenderer.invoke('get-dropbox-sync-status'),
@@ -74,6 +79,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   disableEncryption: (password) => ipcRenderer.invoke('disable-encryption', password),
   verifyEncryptionPassword: (password) => ipcRenderer.invoke('verify-encryption-password', password),
   createEncryptedBackup: (password) => ipcRenderer.invoke('create-encrypted-backup', password),
+  rotateEncryptionPassword: (currentPassword, newPassword) => ipcRenderer.invoke('rotate-encryption-password', { currentPassword, newPassword }),
+  updateEncryptionFields: (fields) => ipcRenderer.invoke('update-encryption-fields', fields),
   getEncryptionStatus: () => ipcRenderer.invoke('get-encryption-status'),
 
   // Pending Sign-Outs
@@ -87,17 +94,61 @@ contextBridge.exposeInMainWorld('electronAPI', {
   syncPendingFromCloud: () => ipcRenderer.invoke('sync-pending-from-cloud'),
   testPendingCron: () => ipcRenderer.invoke('test-pending-cron'),
 
+  // Attendance correction requests
+  submitCorrectionRequest: (request) => ipcRenderer.invoke('submit-correction-request', request),
+  getCorrectionRequests: () => ipcRenderer.invoke('get-correction-requests'),
+  approveCorrectionRequest: (id, review) => ipcRenderer.invoke('approve-correction-request', { id, ...review }),
+  rejectCorrectionRequest: (id, review) => ipcRenderer.invoke('reject-correction-request', { id, ...review }),
+
+  // Lab closures
+  getClosures: (start, end) => ipcRenderer.invoke('get-closures', { start, end }),
+  addClosure: (closure) => ipcRenderer.invoke('add-closure', closure),
+  removeClosure: (id) => ipcRenderer.invoke('remove-closure', id),
+  importClosuresIcs: (icsText) => ipcRenderer.invoke('import-closures-ics', icsText),
+
+  // Academic terms
+  getTerms: () => ipcRenderer.invoke('get-terms'),
+  saveTerm: (term) => ipcRenderer.invoke('save-term', term),
+  removeTerm: (id) => ipcRenderer.invoke('remove-term', id),
+  setStudentTermExpectation: (ufid, termId, expectation) =>
+    ipcRenderer.invoke('set-student-term-expectation', { ufid, termId, expectation }),
+  getTermSummary: (termId) => ipcRenderer.invoke('get-term-summary', termId),
+  exportTermSummaryCsv: (termId) => ipcRenderer.invoke('export-term-summary-csv', termId),
+
+  // Locations
+  getLocations: () => ipcRenderer.invoke('get-locations'),
+  saveLocation: (location) => ipcRenderer.invoke('save-location', location),
+  removeLocation: (id) => ipcRenderer.invoke('remove-location', id),
+  getKioskLocation: () => ipcRenderer.invoke('get-kiosk-location'),
+  setKioskLocation: (locationId) => ipcRenderer.invoke('set-kiosk-location', locationId),
+
+  // Sync conflicts
+  getSyncConflicts: (filters) => ipcRenderer.invoke('get-sync-conflicts', filters),
+  resolveSyncConflict: (id, choice) => ipcRenderer.invoke('resolve-sync-conflict', { id, choice }),
+
   // Configuration
   updateEmailConfig: (emailConfig) => ipcRenderer.invoke('update-email-config', emailConfig),
   updateSheetsConfig: (sheetsConfig) => ipcRenderer.invoke('update-sheets-config', sheetsConfig),
   updateDropboxConfig: (config) => ipcRenderer.invoke('update-dropbox-config', config),
   updateWebSyncConfig: (config) => ipcRenderer.invoke('update-web-sync-config', config),
+  updateSystemSettings: (settings) => ipcRenderer.invoke('update-system-settings', settings),
   getConfig: () => ipcRenderer.invoke('get-config'),
 
   // Web Dashboard Sync
   webSyncNow: () => ipcRenderer.invoke('web-sync-now'),
   testWebSyncConnection: () => ipcRenderer.invoke('test-web-sync-connection'),
 
+  // Audit Log
+  getAuditLog: (filters) => ipcRenderer.invoke('get-audit-log', filters),
+  exportAuditCsv: (filters) => ipcRenderer.invoke('export-audit-csv', filters),
+
+  // Trash
+  getTrash: () => ipcRenderer.invoke('get-trash'),
+  restoreStudent: (ufid, reason) => ipcRenderer.invoke('restore-student', { ufid, reason }),
+  purgeStudent: (ufid, reason) => ipcRenderer.invoke('purge-student', { ufid, reason }),
+  restoreAttendanceRecord: (recordId, reason) => ipcRenderer.invoke('restore-attendance-record', { recordId, reason }),
+  purgeAttendanceRecord: (recordId, reason) => ipcRenderer.invoke('purge-attendance-record', { recordId, reason }),
+
   // System Logs
   getSystemLogs: (options) => ipcRenderer.invoke('get-system-logs', options),
   clearSystemLogs: () => ipcRenderer.invoke('clear-system-logs'),
@@ -106,6 +157,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Backup
   backupData: () => ipcRenderer.invoke('backup-data'),
 
+  // Restore from the storage provider's backups
+  listDropboxBackups: () => ipcRenderer.invoke('list-dropbox-backups'),
+  previewDropboxRestore: (name) => ipcRenderer.invoke('preview-dropbox-restore', name),
+  restoreDropboxBackup: (name, reason) => ipcRenderer.invoke('restore-dropbox-backup', { name, reason }),
+
+  // Backup retention
+  updateBackupRetention: (policy) => ipcRenderer.invoke('update-backup-retention', policy),
+  previewBackupRetention: () => ipcRenderer.invoke('preview-backup-retention'),
+  applyBackupRetention: () => ipcRenderer.invoke('apply-backup-retention'),
+
+  // Data retention and privacy requests (export my data / erase me)
+  updateDataRetention: (policy) => ipcRenderer.invoke('update-data-retention', policy),
+  previewDataRetention: () => ipcRenderer.invoke('preview-data-retention'),
+  applyDataRetention: () => ipcRenderer.invoke('apply-data-retention'),
+  exportStudentData: (ufid, reason) => ipcRenderer.invoke('export-student-data', { ufid, reason }),
+  eraseStudentData: (ufid, reason) => ipcRenderer.invoke('erase-student-data', { ufid, reason }),
+
   // Recent sign-ins (for left panel ticker)
   getRecentSignins: (count) => ipcRenderer.invoke('get-recent-signins', count),
 
@@ -117,8 +185,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Face ID
   faceProcessFrame: (base64jpeg) => ipcRenderer.invoke('face-process-frame', base64jpeg),
+  faceEnrollCapture: () => ipcRenderer.invoke('face-enroll-capture'),
+  faceEnrollReset: () => ipcRenderer.invoke('face-enroll-reset'),
+  faceIdentify: (base64jpeg, options) => ipcRenderer.invoke('face-identify', base64jpeg, options),
   faceResetLiveness: () => ipcRenderer.invoke('face-reset-liveness'),
-  saveFaceDescriptor: (ufid, descriptor) => ipcRenderer.invoke('save-face-descriptor', { ufid, descriptor }),
-  getAllFaceDescriptors: () => ipcRenderer.invoke('get-all-face-descriptors'),
+  saveFaceDescriptor: (ufid) => ipcRenderer.invoke('save-face-descriptor', { ufid }),
+  getFaceEnrollment: () => ipcRenderer.invoke('get-face-enrollment'),
+  getFaceCollisionRisk: () => ipcRenderer.invoke('get-face-collision-risk'),
+  updateFaceIdSettings: (settings) => ipcRenderer.invoke('update-face-id-settings', settings),
   clearFaceDescriptor: (ufid) => ipcRenderer.invoke('clear-face-descriptor', ufid),
+  inviteFaceEnrollment: (ufid, invitedBy) => ipcRenderer.invoke('invite-face-enrollment', { ufid, invitedBy }),
+  getFaceEnrollmentRequests: () => ipcRenderer.invoke('get-face-enrollment-requests'),
+  approveFaceEnrollment: (id, review) => ipcRenderer.invoke('approve-face-enrollment', { id, ...review }),
+  rejectFaceEnrollment: (id, review) => ipcRenderer.invoke('reject-face-enrollment', { id, ...review }),
 })
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * S3 Storage Provider - backups and sync in an S3-compatible bucket
+ *
+ * Works with AWS S3 and S3-compatible servers (MinIO, Ceph, Wasabi, ...).
+ * Requests are signed with AWS Signature Version 4 over plain http/https, so
+ * no AWS SDK is needed. Settings (config.storage.s3):
+ *   endpoint         e.g. 'https://s3.us-east-1.amazonaws.com' or 'http://localhost:9000'
+ *   region           signing region ('us-east-1' for MinIO)
+ *   bucket           must already exist
+ *   accessKeyId, secretAccessKey
+ *   pathStyle        true: <endpoint>/<bucket>/<key> (MinIO); false: <bucket>.<endpoint host>/<key>
+ *
+ * A remote path '/UF-Lab-Attendance/data/students.json' is the object key
+ * 'UF-Lab-Attendance/data/students.json'. S3 has no folders: ensureFolder()
+ * succeeds without writing anything.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { StorageProvider } = require('./storageProvider.js');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding, as SigV4 expects it
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function xmlDecode(value) {
+    return String(value)
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    return match ? xmlDecode(match[1]) : null;
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 (headers get x-amz-date,
+ * x-amz-content-sha256 and authorization added)
+ * @param {Object} request - { method, url (URL), headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} [date]
+ * @returns {Object} The signed headers
+ */
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_HASH }, credentials, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${credentials.region}/s3/aws4_request`;
+
+    const signed = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const names = Object.keys(signed).map(n => n.toLowerCase()).sort();
+    const values = Object.fromEntries(Object.entries(signed).map(([n, v]) => [n.toLowerCase(), String(v).trim().replace(/\s+/g, ' ')]));
+    const query = [...url.searchParams.entries()]
+        .map(([k, v]) => [uriEncode(k), uriEncode(v)])
+        .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+        .map(([k, v]) => `${k}=${v}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        names.map(n => `${n}:${values[n]}\n`).join(''),
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const key = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), credentials.region));
+    const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+    return {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, `
+            + `SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+}
+
+class S3StorageProvider extends StorageProvider {
+    constructor(dataManager) {
+        super(dataManager, { id: 's3', label: 'S3' });
+        this.settings = null;
+    }
+
+    initializeFromConfig() {
+        const s = this.getSettings();
+        const missing = ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].filter(k => !String(s[k] || '').trim());
+        if (missing.length) return { success: false, error: `S3 not configured (missing ${missing.join(', ')})` };
+        try {
+            new URL(s.endpoint);
+        } catch {
+            return { success: false, error: `Invalid S3 endpoint: ${s.endpoint}` };
+        }
+        this.settings = { ...s, region: s.region || 'us-east-1' };
+        return { success: true, mode: 's3' };
+    }
+
+    keyOf(remotePath) {
+        return String(remotePath || '').split('/').filter(Boolean).join('/');
+    }
+
+    // URL of an object (or of the bucket, for an empty key)
+    objectUrl(key, query = {}) {
+        const s = this.settings;
+        const endpoint = new URL(s.endpoint);
+        const encodedKey = key.split('/').map(uriEncode).join('/');
+        const base = endpoint.pathname.replace(/\/+$/, '');
+        const url = s.pathStyle === false
+            ? new URL(`${endpoint.protocol}//${s.bucket}.${endpoint.host}${base}/${encodedKey}`)
+            : new URL(`${endpoint.protocol}//${endpoint.host}${base}/${uriEncode(s.bucket)}/${encodedKey}`);
+        Object.entries(query).forEach(([k, v]) => url.searchParams.set(k, v));
+        return url;
+    }
+
+    /**
+     * One signed request
+     * @returns {Promise<Object>} { status, headers, body (Buffer) }
+     */
+    async request(method, key, { query = {}, body = null } = {}) {
+        if (!this.settings && !this.initializeFromConfig().success) throw new Error('S3 not configured');
+        const url = this.objectUrl(key, query);
+        const payload = body || Buffer.alloc(0);
+        const headers = signRequest({
+            method,
+            url,
+            headers: body ? { 'content-length': payload.length } : {},
+            payloadHash: crypto.createHash('sha256').update(payload).digest('hex')
+        }, this.settings);
+
+        return new Promise((resolve, reject) => {
+            const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers }, res => {
+                const chunks = [];
+                res.on('data', c => chunks.push(c));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            });
+            req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`S3 ${method} timed out`)));
+            req.on('error', reject);
+            req.end(body || undefined);
+        });
+    }
+
+    failure(res, what) {
+        const xml = res.body.toString('utf8');
+        const code = xmlValue(xml, 'Code') || res.status;
+        const message = xmlValue(xml, 'Message') || '';
+        return new Error(`S3 ${what} failed [${res.status}] ${code}${message ? `: ${message}` : ''}`);
+    }
+
+    async testConnection() {
+        const init = this.initializeFromConfig();
+        if (!init.success) return init;
+        try {
+            const res = await this.request('GET', '', { query: { 'list-type': '2', 'max-keys': '1' } });
+            if (res.status !== 200) throw this.failure(res, 'list');
+            return { success: true, user: `${this.settings.bucket} @ ${new URL(this.settings.endpoint).host}` };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async ensureFolder() {
+        if (!this.ensureConnected()) return { success: false, error: 'S3 not configured' };
+        return { success: true, created: false };
+    }
+
+    async listFiles(folderPath = '', { recursive = false } = {}) {
+        if (!this.ensureConnected()) return { success: false, error: 'S3 not configured' };
+        const prefix = this.keyOf(folderPath) ? `${this.keyOf(folderPath)}/` : '';
+        const files = [];
+        try {
+            let token = null;
+            do {
+                const query = { 'list-type': '2', prefix };
+                if (!recursive) query.delimiter = '/';
+                if (token) query['continuation-token'] = token;
+                const res = await this.request('GET', '', { query });
+                if (res.status !== 200) throw this.failure(res, 'list');
+
+                const xml = res.body.toString('utf8');
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    const key = xmlValue(entry, 'Key');
+                    if (!key || key.endsWith('/')) continue;
+                    files.push({
+                        name: key.slice(key.lastIndexOf('/') + 1),
+                        path: `/${key}`,
+                        size: Number(xmlValue(entry, 'Size')) || 0,
+                        modified: new Date(xmlValue(entry, 'LastModified')).toISOString(),
+                        type: 'file'
+                    });
+                }
+                token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+            } while (token);
+            return { success: true, files };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMeta(remotePath) {
+        const res = await this.request('HEAD', this.keyOf(remotePath));
+        if (res.status === 404) return null;
+        if (res.status !== 200) throw this.failure(res, 'head');
+        return {
+            size: Number(res.headers['content-length']) || 0,
+            modified: new Date(res.headers['last-modified']).toISOString()
+        };
+    }
+
+    async downloadBuffer(remotePath) {
+        const res = await this.request('GET', this.keyOf(remotePath));
+        if (res.status !== 200) throw this.failure(res, `download of ${remotePath}`);
+        return { buf: res.body, serverModified: new Date(res.headers['last-modified']).toISOString() };
+    }
+
+    async uploadBuffer(remotePath, buf) {
+        const res = await this.request('PUT', this.keyOf(remotePath), { body: Buffer.from(buf) });
+        if (res.status !== 200) throw this.failure(res, `upload of ${remotePath}`);
+    }
+
+    async deleteFile(remotePath) {
+        const res = await this.request('DELETE', this.keyOf(remotePath));
+        if (res.status !== 204 && res.status !== 200) throw this.failure(res, `delete of ${remotePath}`);
+    }
+}
+
+S3StorageProvider.signRequest = signRequest;
+
+module.exports = S3StorageProvider;
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Face ID Evaluation
+ *
+ * Runs a folder of labeled face images through face_service.py /analyze and
+ * the matching logic, and reports ROC data, FAR/FRR per threshold and who was
+ * confused with whom (see faceEvaluation.js for the folder layout).
+ *
+ * Usage:
+ *   node scripts/evaluateFaces.js --images <dir> [options]
+ *
+ * Options:
+ *   --images <dir>        Labeled images: <dir>/<person>/*.jpg, <dir>/_<name>/*.jpg for people not enrolled
+ *   --enroll <n>          Enrollment images per person (default 3)
+ *   --thresholds <list>   Comma-separated thresholds to report (default 0.25,...,0.60)
+ *   --margin <m>          Match margin for the identification report (default 0.05)
+ *   --url <url>           Use a face service that is already running (e.g. http://127.0.0.1:8765)
+ *   --json <file>         Write the full results (ROC, confusion matrix) as JSON
+ *   --roc-csv <file>      Write the ROC points as CSV
+ *   --at <t>              Threshold the limits below are checked at (default 0.40)
+ *   --max-far <rate>      Exit with code 2 if FAR at --at is above this
+ *   --max-frr <rate>      Exit with code 2 if FRR at --at is above this
+ */
+
+const fs = require('fs');
+const http = require('http');
+const faceEvaluation = require('../faceEvaluation.js');
+const { MATCH_THRESHOLD, DEFAULT_MATCH_MARGIN } = require('../faceMatcher.js');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+    images: null,
+    enroll: faceEvaluation.DEFAULT_ENROLL_COUNT,
+    thresholds: faceEvaluation.DEFAULT_THRESHOLDS,
+    margin: DEFAULT_MATCH_MARGIN,
+    url: null,
+    json: null,
+    rocCsv: null,
+    at: MATCH_THRESHOLD,
+    maxFar: null,
+    maxFrr: null
+};
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--images':
+            options.images = args[++i];
+            break;
+        case '--enroll':
+            options.enroll = parseInt(args[++i], 10);
+            break;
+        case '--thresholds':
+            options.thresholds = args[++i].split(',').map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+            break;
+        case '--margin':
+            options.margin = Number(args[++i]);
+            break;
+        case '--url':
+            options.url = args[++i];
+            break;
+        case '--json':
+            options.json = args[++i];
+            break;
+        case '--roc-csv':
+            options.rocCsv = args[++i];
+            break;
+        case '--at':
+            options.at = Number(args[++i]);
+            break;
+        case '--max-far':
+            options.maxFar = Number(args[++i]);
+            break;
+        case '--max-frr':
+            options.maxFrr = Number(args[++i]);
+            break;
+        case '--help':
+            console.log(`
+Face ID Evaluation
+
+Usage:
+  node scripts/evaluateFaces.js --images <dir> [options]
+
+Options:
+  --images <dir>        Labeled images: <dir>/<person>/*.jpg, <dir>/_<name>/*.jpg for people not enrolled
+  --enroll <n>          Enrollment images per person (default 3)
+  --thresholds <list>   Comma-separated thresholds to report (default 0.25,...,0.60)
+  --margin <m>          Match margin for the identification report (default 0.05)
+  --url <url>           Use a face service that is already running (e.g. http://127.0.0.1:8765)
+  --json <file>         Write the full results (ROC, confusion matrix) as JSON
+  --roc-csv <file>      Write the ROC points as CSV
+  --at <t>              Threshold the limits below are checked at (default 0.40)
+  --max-far <rate>      Exit with code 2 if FAR at --at is above this
+  --max-frr <rate>      Exit with code 2 if FRR at --at is above this
+  --help                Show this help message
+`);
+            process.exit(0);
+    }
+}
+
+function log(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+// POST to a face service started outside this script
+function analyzeAt(url) {
+    const target = new URL('/analyze', url);
+    return base64 => new Promise((resolve, reject) => {
+        const payload = JSON.stringify({ image: base64 });
+        const req = http.request(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+        }, (res) => {
+            let data = '';
+            res.on('data', (c) => { data += c; });
+            res.on('end', () => { try { resolve(JSON.parse(data)); } catch (e) { reject(e); } });
+        });
+        req.on('error', reject);
+        req.setTimeout(30_000, () => { req.destroy(); reject(new Error('Face service request timed out')); });
+        req.write(payload);
+        req.end();
+    });
+}
+
+async function run() {
+    if (!options.images || !fs.existsSync(options.images)) {
+        log('--images <dir> is required and must exist (see --help)');
+        process.exit(1);
+    }
+
+    const images = faceEvaluation.listLabeledImages(options.images);
+    const { enrollment, probes } = faceEvaluation.splitEnrollment(images, options.enroll);
+    log(`Found ${images.length} images: ${Object.keys(enrollment).length} people enrolled, ${probes.length} probes`);
+
+    let faceService = null;
+    let analyze;
+    if (options.url) {
+        analyze = analyzeAt(options.url);
+    } else {
+        log('Starting the face service (the first run downloads the models)...');
+        faceService = require('../faceService.js');
+        await faceService.start();
+        analyze = base64 => faceService.analyze(base64);
+    }
+
+    try {
+        const { embedded, failures } = await faceEvaluation.embedImages(images, analyze, {
+            onProgress: (done, total) => { if (done % 25 === 0 || done === total) log(`Analyzed ${done}/${total}`); }
+        });
+
+        const embeddedEnrollment = {};
+        for (const image of embedded) {
+            if (enrollment[image.label]?.some(e => e.file === image.file)) {
+                (embeddedEnrollment[image.label] = embeddedEnrollment[image.label] || []).push(image.embedding);
+            }
+        }
+        const probeFiles = new Set(probes.map(p => p.file));
+        const result = faceEvaluation.evaluate({
+            enrollment: embeddedEnrollment,
+            probes: embedded.filter(image => probeFiles.has(image.file)),
+            // The limits are checked at --at, so it is always among the thresholds
+            thresholds: [...new Set([...options.thresholds, options.at])].sort((a, b) => a - b),
+            margin: options.margin
+        });
+
+        console.log(faceEvaluation.formatReport(result, failures));
+        if (options.json) fs.writeFileSync(options.json, JSON.stringify({ ...result, failures }, null, 2));
+        if (options.rocCsv) fs.writeFileSync(options.rocCsv, faceEvaluation.rocToCsv(result.roc));
+
+        if (options.maxFar != null || options.maxFrr != null) {
+            const point = result.roc.find(p => p.threshold === options.at);
+            const over = [];
+            if (options.maxFar != null && point.far > options.maxFar) over.push(`FAR ${point.far} > ${options.maxFar}`);
+            if (options.maxFrr != null && point.frr > options.maxFrr) over.push(`FRR ${point.frr} > ${options.maxFrr}`);
+            if (over.length) {
+                log(`At threshold ${options.at}: ${over.join(', ')}`);
+                process.exitCode = 2;
+            }
+        }
+    } finally {
+        if (faceService) faceService.stop();
+    }
+}
+
+run().catch((error) => {
+    log(`Evaluation failed: ${error.message}`);
+    process.exit(1);
+});
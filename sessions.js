@@ -0,0 +1,5 @@
+/**
+ * Session Pairing - see api/shared/sessions.js, which the cloud API shares
+ */
+
+module.exports = require('./api/shared/sessions.js');
@@ -0,0 +1,133 @@
+/**
+ * Shift Commitments - recurring weekly shifts per student
+ *
+ * A shift is { day, start, end }: day of week (0=Sun ... 6=Sat) and wall-clock
+ * 'HH:MM' times in the lab timezone. Shifts stay within one calendar day.
+ * Evaluation compares a dated shift window against the student's sessions.
+ */
+
+const zone = require('./timezone.js');
+
+// Arriving this long after a shift starts counts as late
+const LATE_GRACE_MINUTES = 10;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Validate and clean a shift list (invalid entries are dropped)
+ * @param {Array|string|null} raw - Array of shifts or its JSON string
+ * @returns {Array} [{ day, start, end }] sorted by day then start
+ */
+function normalizeShifts(raw) {
+    let list = raw;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (_) {
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+
+    return list
+        .map(s => ({ day: Number(s && s.day), start: String(s && s.start || ''), end: String(s && s.end || '') }))
+        .filter(s => Number.isInteger(s.day) && s.day >= 0 && s.day <= 6 &&
+            TIME_RE.test(s.start) && TIME_RE.test(s.end) && toMinutes(s.end) > toMinutes(s.start))
+        .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+}
+
+/**
+ * Scheduled length of a shift in hours
+ * @param {Object} shift
+ * @returns {number}
+ */
+function shiftHours(shift) {
+    return (toMinutes(shift.end) - toMinutes(shift.start)) / 60;
+}
+
+/**
+ * Human label, e.g. "Tue 1:00 PM–5:00 PM"
+ * @param {Object} shift
+ * @returns {string}
+ */
+function formatShift(shift) {
+    const fmt = (hhmm) => {
+        const [h, m] = hhmm.split(':').map(Number);
+        return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+    };
+    return `${DAY_NAMES[shift.day]} ${fmt(shift.start)}–${fmt(shift.end)}`;
+}
+
+/**
+ * Concrete start/end instants of a shift on a given lab day
+ * @param {Object} shift
+ * @param {Date} dayStart - Midnight of the shift's date in the lab timezone
+ * @param {string} timeZone
+ * @returns {{start: Date, end: Date}}
+ */
+function shiftWindow(shift, dayStart, timeZone) {
+    const [sh, sm] = shift.start.split(':').map(Number);
+    const [eh, em] = shift.end.split(':').map(Number);
+    return {
+        start: zone.atTimeOfDay(dayStart, sh, sm, timeZone),
+        end: zone.atTimeOfDay(dayStart, eh, em, timeZone)
+    };
+}
+
+/**
+ * Compare one dated shift with the student's sessions
+ * @param {{start: Date, end: Date}} window - From shiftWindow()
+ * @param {Array} sessions - The student's sessions (open ones count until `now`)
+ * @param {Date} now - Reference time
+ * @returns {Object} { status, arrivedAt, minutesLate, attendedHours }
+ *   status: 'upcoming' | 'awaiting' | 'on_time' | 'late' | 'no_show'
+ */
+function evaluateShift(window, sessions, now = new Date()) {
+    const { start, end } = window;
+    let attendedMs = 0;
+    let arrivedAt = null;
+
+    for (const s of sessions || []) {
+        const sIn = new Date(s.in);
+        const sOut = s.out ? new Date(s.out) : now;
+        const from = sIn > start ? sIn : start;
+        const to = sOut < end ? sOut : end;
+        if (to <= from) continue;
+
+        attendedMs += to - from;
+        if (!arrivedAt || sIn < arrivedAt) arrivedAt = sIn;
+    }
+
+    const minutesLate = arrivedAt ? Math.max(0, Math.round((arrivedAt - start) / 60000)) : null;
+    let status;
+    if (now < start) {
+        status = 'upcoming';
+    } else if (!arrivedAt) {
+        status = now < end ? 'awaiting' : 'no_show';
+    } else {
+        status = minutesLate > LATE_GRACE_MINUTES ? 'late' : 'on_time';
+    }
+
+    return {
+        status,
+        arrivedAt: arrivedAt ? arrivedAt.toISOString() : null,
+        minutesLate,
+        attendedHours: Math.round((attendedMs / 3600000) * 100) / 100
+    };
+}
+
+module.exports = {
+    DAY_NAMES,
+    LATE_GRACE_MINUTES,
+    evaluateShift,
+    formatShift,
+    normalizeShifts,
+    shiftHours,
+    shiftWindow
+};
@@ -0,0 +1,1101 @@
+/**
+ * Storage Provider - backups and sync-by-mode on any remote storage
+ *
+ * Everything the app does with remote storage (backups, pull/push/peer sync,
+ * delta journals, point-in-time restore, backup retention) is written here
+ * against a handful of file operations that each provider implements:
+ *
+ *   initializeFromConfig()        -> { success, error }
+ *   testConnection()              -> { success, user } (user: who/where we are connected)
+ *   ensureFolder(path)            -> { success, created }
+ *   listFiles(folder, { recursive }) -> { success, files: [{ name, path, size, modified }] }
+ *   getMeta(path)                 -> metadata, or null when the file does not exist
+ *   downloadBuffer(path)          -> { buf, serverModified }
+ *   uploadBuffer(path, buf)       (overwrites, creating parent folders)
+ *   deleteFile(path)
+ *
+ * Paths are '/'-separated and absolute ('/UF-Lab-Attendance/data/students.json');
+ * each provider maps them onto its own storage. The file operations throw on
+ * failure, except those returning { success }.
+ *
+ * Providers: dropboxService.js, localStorageProvider.js (local or network
+ * folder), s3StorageProvider.js (S3-compatible), webdavStorageProvider.js.
+ * config.storage.provider picks one; the backup and sync settings in
+ * config.dropbox (enabled, folder, masterMode, peerMode, deltaSync, ...) apply
+ * to whichever is picked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const peerMerge = require('./peerMerge.js');
+const syncJournal = require('./syncJournal.js');
+const backupRestore = require('./backupRestore.js');
+const backupRetention = require('./backupRetention.js');
+const dataRetention = require('./dataRetention.js');
+
+function sha256(buf) {
+    const h = crypto.createHash('sha256');
+    h.update(buf);
+    return h.digest('hex');
+}
+
+function writeJsonAtomic(p, obj) {
+    const tmp = p + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+    fs.renameSync(tmp, p); // atomic on most platforms
+}
+
+// Only these files are team-shared (skip config.json)
+const SYNC_FILES = ['students.json', 'attendance.json'];
+const SQLITE_FILE = 'attendance.db';
+
+// Fields encrypted in the JSON files, and so in journal events and snapshots
+const SENSITIVE_FIELDS = { student: ['name', 'email'], attendance: ['name'] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROVIDERS = ['dropbox', 'local', 's3', 'webdav'];
+
+const DEFAULT_STORAGE = {
+    provider: 'dropbox',
+    local: { path: '' },
+    s3: { endpoint: '', region: 'us-east-1', bucket: '', accessKeyId: '', secretAccessKey: '', pathStyle: true },
+    webdav: { url: '', username: '', password: '' }
+};
+
+/**
+ * Fill in config.storage (unknown providers fall back to Dropbox)
+ * @param {Object} storage - { provider, local, s3, webdav }
+ * @returns {Object}
+ */
+function normalizeStorageConfig(storage = {}) {
+    const block = (name) => {
+        const given = storage[name] || {};
+        const out = {};
+        for (const [key, fallback] of Object.entries(DEFAULT_STORAGE[name])) {
+            out[key] = typeof given[key] === typeof fallback ? given[key] : fallback;
+        }
+        return out;
+    };
+    return {
+        provider: PROVIDERS.includes(storage.provider) ? storage.provider : DEFAULT_STORAGE.provider,
+        local: block('local'),
+        s3: block('s3'),
+        webdav: block('webdav')
+    };
+}
+
+/**
+ * The provider for an id (config.storage.provider)
+ * @param {Object} dataManager
+ * @param {string} id - 'dropbox' | 'local' | 's3' | 'webdav'
+ * @returns {StorageProvider}
+ */
+function createStorageProvider(dataManager, id) {
+    // Required here: every provider module requires this one
+    switch (id) {
+        case 'local': return new (require('./localStorageProvider.js'))(dataManager);
+        case 's3': return new (require('./s3StorageProvider.js'))(dataManager);
+        case 'webdav': return new (require('./webdavStorageProvider.js'))(dataManager);
+        default: return new (require('./dropboxService.js'))(dataManager);
+    }
+}
+
+class StorageProvider {
+    /**
+     * @param {Object} dataManager
+     * @param {Object} info - { id, label } e.g. { id: 's3', label: 'S3' }
+     */
+    constructor(dataManager, { id, label }) {
+        this.dataManager = dataManager;
+        this.id = id;
+        this.label = label;
+    }
+
+    // -------------------------
+    // Folder helpers (match UI)
+    // -------------------------
+    getBaseFolder() {
+        // Prefer user-configured folder from config; UI defaults to /UF_Lab_Reports
+        const cfg = this.dataManager.getConfig?.() || {};
+        const d = cfg.dropbox || {};
+        return (d.folder && d.folder.trim()) || '/UF-Lab-Attendance';
+    }
+
+    getDataFolder() {
+        // Keep files right in base or under /data.
+        // If you prefer root, return this.getBaseFolder() instead.
+        return `${this.getBaseFolder()}/data`;
+    }
+
+    getBackupsFolder() {
+        return `${this.getBaseFolder()}/backups`;
+    }
+
+    // This provider's settings from config.storage
+    getSettings() {
+        return (this.dataManager.getConfig?.()?.storage || {})[this.id] || {};
+    }
+
+    // -----------------------------------
+    // File operations (each provider's own)
+    // -----------------------------------
+    initializeFromConfig() {
+        return { success: false, error: `${this.label} not configured` };
+    }
+
+    /** True when the provider can be used, connecting from config if needed */
+    ensureConnected() {
+        return this.initializeFromConfig().success;
+    }
+
+    async testConnection() { throw new Error(`${this.label}: testConnection not implemented`); }
+
+    async ensureFolder() { throw new Error(`${this.label}: ensureFolder not implemented`); }
+
+    async listFiles() { throw new Error(`${this.label}: listFiles not implemented`); }
+
+    async getMeta() { throw new Error(`${this.label}: getMeta not implemented`); }
+
+    async downloadBuffer() { throw new Error(`${this.label}: downloadBuffer not implemented`); }
+
+    async uploadBuffer() { throw new Error(`${this.label}: uploadBuffer not implemented`); }
+
+    async deleteFile() { throw new Error(`${this.label}: deleteFile not implemented`); }
+
+    // Readable message for an error thrown by a file operation
+    errorMessage(error) {
+        return error?.message || String(error);
+    }
+
+    // -------------------------
+    // Whole files and folders
+    // -------------------------
+    async uploadFile(localPath, remotePath) {
+        if (!this.ensureConnected()) return { success: false, error: `${this.label} not configured` };
+        try {
+            const buf = fs.readFileSync(localPath);
+            await this.uploadBuffer(remotePath, buf);
+            return { success: true, path: remotePath, size: buf.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async downloadFile(remotePath, localPath) {
+        if (!this.ensureConnected()) return { success: false, error: `${this.label} not configured` };
+        try {
+            const { buf } = await this.downloadBuffer(remotePath);
+            fs.writeFileSync(localPath, buf);
+            return { success: true, localPath, size: buf.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createDefaultFolders() {
+        // Keep backward compatibility with UI buttons
+        const a = await this.ensureFolder(this.getBaseFolder());
+        if (!a.success) return a;
+        const b = await this.ensureFolder(this.getBackupsFolder());
+        if (!b.success) return b;
+        const c = await this.ensureFolder(this.getDataFolder());
+        if (!c.success) return c;
+        return { success: true, created: (a.created || b.created || c.created) };
+    }
+
+    async ensureDefaultFolders() {
+        if (!this.ensureConnected()) return { success: false, error: 'not initialized' };
+        return this.createDefaultFolders();
+    }
+
+    // -------------------------
+    // Backups
+    // -------------------------
+    async uploadWeeklyReport() {
+        try {
+            const config = this.dataManager.getConfig();
+            if (!config.dropbox || !config.dropbox.enabled) {
+                return { success: false, error: `${this.label} not enabled` };
+            }
+
+            const init = this.initializeFromConfig();
+            if (!init.success) return { success: false, error: init.error || `${this.label} not configured` };
+
+            const reportResult = this.dataManager.saveWeeklyReportToFile();
+            if (!reportResult.success) {
+                return { success: false, error: 'Failed to generate report' };
+            }
+
+            const parent = this.getBaseFolder();
+            const ensured = await this.ensureFolder(parent);
+            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
+
+            const fileName = path.basename(reportResult.filePath);
+            const remotePath = `${parent}/${fileName}`;
+
+            const uploadResult = await this.uploadFile(reportResult.filePath, remotePath);
+            if (uploadResult.success) {
+                return {
+                    success: true,
+                    message: `Weekly report uploaded to ${this.label}`,
+                    path: uploadResult.path,
+                    localPath: reportResult.filePath
+                };
+            } else {
+                return uploadResult;
+            }
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async uploadBackup() {
+        try {
+            const config = this.dataManager.getConfig();
+            if (!config.dropbox || !config.dropbox.enabled) {
+                return { success: false, error: `${this.label} not enabled` };
+            }
+
+            const init = this.initializeFromConfig();
+            if (!init.success) return { success: false, error: init.error || `${this.label} not configured` };
+
+            const backupResult = this.dataManager.backupData();
+            if (!backupResult.success) {
+                return { success: false, error: 'Failed to create backup' };
+            }
+
+            const parent = this.getBackupsFolder();
+            const ensured = await this.ensureFolder(parent);
+            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
+
+            const fileName = path.basename(backupResult.backupFile);
+            const remotePath = `${parent}/${fileName}`;
+
+            const uploadResult = await this.uploadFile(backupResult.backupFile, remotePath);
+            if (uploadResult.success) {
+                return {
+                    success: true,
+                    message: `Data backup uploaded to ${this.label}`,
+                    path: uploadResult.path,
+                    localPath: backupResult.backupFile
+                };
+            } else {
+                return uploadResult;
+            }
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Upload the SQLite database file to remote storage for real-time sync
+     * This uploads the attendance.db file directly to the backups folder
+     */
+    async uploadDatabaseBackup() {
+        try {
+            const config = this.dataManager.getConfig();
+            if (!config.dropbox || !config.dropbox.enabled) {
+                return { success: false, error: `${this.label} not enabled` };
+            }
+
+            const init = this.initializeFromConfig();
+            if (!init.success) return { success: false, error: init.error || `${this.label} not configured` };
+
+            // Never upload plain-text names written while encryption was locked
+            const blocked = this.dataManager.databaseExportProblem?.();
+            if (blocked) return { success: false, error: blocked };
+
+            // Get the database file path
+            const dbPath = path.join(this.dataManager.dataDir, 'attendance.db');
+            if (!fs.existsSync(dbPath)) {
+                return { success: false, error: 'Database file not found' };
+            }
+
+            const parent = this.getBackupsFolder();
+            const ensured = await this.ensureFolder(parent);
+            if (!ensured.success) return { success: false, error: `Cannot ensure ${parent}: ${ensured.error}` };
+
+            // Upload with timestamp for versioning, and also a "latest" copy
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const timestampedPath = `${parent}/attendance-db-${timestamp}.db`;
+            const latestPath = `${parent}/attendance-latest.db`;
+
+            // Upload the timestamped version
+            const versioned = await this.uploadFile(dbPath, timestampedPath);
+            if (!versioned.success) return versioned;
+
+            // Then replace the latest copy
+            const uploadResult = await this.uploadFile(dbPath, latestPath);
+            if (uploadResult.success) {
+                if (this.logger) {
+                    this.logger.info('dropbox', `Database backup uploaded: ${timestampedPath} and ${latestPath}`, 'system');
+                }
+                return {
+                    success: true,
+                    message: `Database backup uploaded to ${this.label}`,
+                    path: latestPath,
+                    versionedPath: timestampedPath
+                };
+            } else {
+                return uploadResult;
+            }
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error('dropbox', `Database backup error: ${error.message}`, 'system');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    // -------------------------
+    // Point-in-time restore
+    // -------------------------
+    /**
+     * Backups in the remote backups folder, newest first, with record counts
+     * @returns {Promise<Object>} { success, backups: [{ name, path, size, format, takenAt, students, attendance }] }
+     */
+    async listBackups() {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        const listed = await this.listFiles(this.getBackupsFolder());
+        if (!listed.success) return listed;
+
+        const backups = listed.files.map(backupRestore.describeBackup).filter(Boolean)
+            .sort((a, b) => String(b.takenAt).localeCompare(String(a.takenAt)));
+        const cached = new Set();
+        for (const backup of backups) {
+            const read = await this.readBackup(backup);
+            cached.add(path.basename(read.localPath || ''));
+            backup.students = read.success && read.students ? read.students.length : null;
+            backup.attendance = read.success && read.attendance ? read.attendance.length : null;
+            if (!read.success) backup.error = read.error;
+        }
+
+        // Drop cached downloads of backups no longer in remote storage
+        const cacheDir = this.dataManager.restoreCacheDir;
+        if (fs.existsSync(cacheDir)) {
+            fs.readdirSync(cacheDir).filter(f => !cached.has(f))
+                .forEach(f => fs.rmSync(path.join(cacheDir, f), { recursive: true, force: true }));
+        }
+        return { success: true, backups };
+    }
+
+    /**
+     * Download a backup (once per version, into the local restore cache) and read it
+     * @param {Object} backup - Entry from backupRestore.describeBackup()
+     * @returns {Promise<Object>} { success, students, attendance, localPath }
+     */
+    async readBackup(backup) {
+        const cacheDir = this.dataManager.restoreCacheDir;
+        const version = sha256(Buffer.from(`${backup.path}|${backup.size}|${backup.modified}`)).slice(0, 12);
+        const localPath = path.join(cacheDir, `${version}-${backup.name}`);
+        try {
+            if (!fs.existsSync(localPath)) {
+                fs.mkdirSync(cacheDir, { recursive: true });
+                const { buf } = await this.downloadBuffer(backup.path);
+                fs.writeFileSync(localPath, buf);
+            }
+        } catch (e) {
+            return { success: false, error: this.errorMessage(e) };
+        }
+        return { ...(await this.dataManager.readBackupFile(localPath, backup.format)), localPath };
+    }
+
+    async findBackup(name) {
+        const listed = await this.listFiles(this.getBackupsFolder());
+        if (!listed.success) return null;
+        const file = listed.files.find(f => f.name === name);
+        return file ? backupRestore.describeBackup(file) : null;
+    }
+
+    /**
+     * What restoring a backup would change, without touching any data
+     * @param {string} name - Backup file name
+     * @returns {Promise<Object>} { success, backup, diff }
+     */
+    async previewRestore(name) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        const backup = await this.findBackup(name);
+        if (!backup) return { success: false, error: `Backup not found: ${name}` };
+
+        const read = await this.readBackup(backup);
+        if (!read.success) return { success: false, error: read.error };
+        return { success: true, backup, diff: backupRestore.diffBackup(this.dataManager.getSyncSnapshot(), read) };
+    }
+
+    /**
+     * Restore a backup into local data (SQLite is rebuilt); a safety backup of
+     * the current data is taken first and uploaded to the backups folder
+     * @param {string} name - Backup file name
+     * @param {Object} audit - { actor, actorName, reason }
+     * @returns {Promise<Object>} { success, students, attendance, safetyBackup, warning }
+     */
+    async restoreBackup(name, audit = {}) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        const backup = await this.findBackup(name);
+        if (!backup) return { success: false, error: `Backup not found: ${name}` };
+
+        const read = await this.readBackup(backup);
+        if (!read.success) return { success: false, error: read.error };
+
+        const dm = this.dataManager;
+        const result = await dm.restoreSnapshot(read, { ...audit, source: backup.name });
+        if (!result.success) return result;
+
+        const safetyName = path.basename(result.safetyBackup);
+        const uploaded = await this.uploadFile(result.safetyBackup, `${this.getBackupsFolder()}/${safetyName}`);
+        if (!uploaded.success) {
+            dm.logger?.warning('backup', `Safety backup kept locally only: ${uploaded.error}`, 'admin');
+        }
+
+        const d = dm.getConfig().dropbox || {};
+        return {
+            ...result,
+            safetyBackup: safetyName,
+            warning: d.masterMode && !d.peerMode
+                ? `This kiosk pulls from ${this.label}: the next pull replaces the restored data unless the pushing kiosk restores too`
+                : null
+        };
+    }
+
+    /**
+     * Apply the backup retention policy to the remote backups folder
+     * @param {Object} [options] - { dryRun } true to only report what would go,
+     *   { olderThan } an ISO time to prune every backup taken before instead
+     * @returns {Promise<Object>} { success, dryRun, kept, pruned: [names], errors }
+     */
+    async pruneBackups({ dryRun = false, olderThan = null } = {}) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        const listed = await this.listFiles(this.getBackupsFolder());
+        if (!listed.success) return listed;
+
+        const config = this.dataManager.getConfig();
+        const plan = olderThan
+            ? backupRetention.planMaxAge(listed.files, olderThan)
+            : backupRetention.planRetention(listed.files, config.backupRetention, config.timezone);
+        const pruned = [];
+        const errors = [];
+        for (const backup of plan.prune) {
+            if (dryRun) { pruned.push(backup.name); continue; }
+            try {
+                await this.deleteFile(backup.path);
+                pruned.push(backup.name);
+            } catch (e) {
+                errors.push(`${backup.name}: ${this.errorMessage(e)}`);
+            }
+        }
+
+        if (!dryRun && pruned.length > 0) {
+            this.dataManager.logger?.info('backup', `Pruned ${pruned.length} ${this.label} backups: ${pruned.join(', ')}`, 'system');
+        }
+        return { success: errors.length === 0, dryRun, kept: plan.keep.length, pruned, errors, error: errors[0] };
+    }
+
+    /**
+     * Erase a student from remote storage, after DataManager.eraseStudentData()
+     * took them out locally: every file of the data folder (shared JSON files,
+     * database copy, journal, peer change logs) and every backup is downloaded,
+     * scrubbed and uploaded back when it held them
+     * @param {string} ufid
+     * @param {string} ref - Erasure reference (replaces the UFID in database audit logs)
+     * @returns {Promise<Object>} { success, scrubbed: [paths], retained: [{ file, error }], warnings }
+     */
+    async eraseStudent(ufid, ref) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        const dm = this.dataManager;
+        const d = dm.getConfig().dropbox || {};
+        const scrubbed = [];
+        const retained = [];
+        const warnings = [];
+
+        const formatOf = (file, inData) => {
+            if (!inData) return dataRetention.backupFormat(file.name);
+            if (file.name === SQLITE_FILE) return 'sqlite';
+            if (syncJournal.parseSegmentName(file.name)) return 'segment';
+            return file.name.endsWith('.json') ? 'json' : null;
+        };
+        const scrub = async (buf, format) => {
+            if (format !== 'segment') return dm.scrubBackup(buf, format, ufid, ref);
+            const { text, removed } = dataRetention.segmentWithoutStudent(buf.toString('utf8'), ufid);
+            return { success: true, removed, buf: Buffer.from(text) };
+        };
+
+        for (const [folder, inData] of [[this.getDataFolder(), true], [this.getBackupsFolder(), false]]) {
+            const listed = await this.listFiles(folder, { recursive: inData });
+            if (!listed.success) {
+                retained.push({ file: folder, error: listed.error });
+                continue;
+            }
+            for (const file of listed.files) {
+                const format = formatOf(file, inData);
+                if (!format) continue;
+                try {
+                    const { buf } = await this.downloadBuffer(file.path);
+                    const result = await scrub(buf, format);
+                    if (!result.success) retained.push({ file: file.path, error: result.error });
+                    else if (result.removed) {
+                        await this.uploadBuffer(file.path, result.buf);
+                        scrubbed.push(file.path);
+                    }
+                } catch (e) {
+                    retained.push({ file: file.path, error: this.errorMessage(e) });
+                }
+            }
+        }
+
+        if (d.peerMode) warnings.push('Other kiosks still hold the student and publish them again on their next sync: erase them there too');
+        else if (d.masterMode) warnings.push('This kiosk pulls its data: erase the student on the pushing kiosk too');
+        if (this.id !== 'local') warnings.push(`${this.label} may keep earlier versions of rewritten files (version history): purge those there`);
+        dm.logger?.info('privacy', `Erased a student (${ref}) from ${scrubbed.length} ${this.label} files`, 'admin');
+
+        return { success: retained.length === 0, scrubbed, retained, warnings, error: retained[0]?.error };
+    }
+
+    /**
+     * Detect what data format exists in remote storage
+     * @returns {Promise<Object>} { format: 'sqlite' | 'json' | 'none', hasSqlite, hasJson }
+     */
+    async detectDataFormat() {
+        if (!this.ensureConnected()) {
+            return { format: 'none', hasSqlite: false, hasJson: false, error: `${this.label} not configured` };
+        }
+
+        try {
+            const sqlitePath = `${this.getDataFolder()}/${SQLITE_FILE}`;
+            const jsonPath = `${this.getDataFolder()}/attendance.json`;
+
+            const [sqliteMeta, jsonMeta] = await Promise.all([
+                this.getMeta(sqlitePath),
+                this.getMeta(jsonPath)
+            ]);
+
+            const hasSqlite = !!sqliteMeta;
+            const hasJson = !!jsonMeta;
+
+            // Prefer SQLite if it exists
+            const format = hasSqlite ? 'sqlite' : (hasJson ? 'json' : 'none');
+
+            return { format, hasSqlite, hasJson };
+        } catch (error) {
+            return { format: 'none', hasSqlite: false, hasJson: false, error: error.message };
+        }
+    }
+
+    /**
+     * Download SQLite database from remote storage
+     * @param {string} localPath - Local path to save the file
+     * @returns {Promise<Object>} { success, localPath, size }
+     */
+    async downloadSqliteDb(localPath) {
+        if (!this.ensureConnected()) return { success: false, error: `${this.label} not configured` };
+
+        try {
+            const remotePath = `${this.getDataFolder()}/${SQLITE_FILE}`;
+            return await this.downloadFile(remotePath, localPath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Upload SQLite database to remote storage
+     * @param {string} localPath - Local path of the database file
+     * @returns {Promise<Object>} { success, path, size }
+     */
+    async uploadSqliteDb(localPath) {
+        if (!this.ensureConnected()) return { success: false, error: `${this.label} not configured` };
+        const blocked = this.dataManager.databaseExportProblem?.();
+        if (blocked) return { success: false, error: blocked };
+
+        try {
+            const remotePath = `${this.getDataFolder()}/${SQLITE_FILE}`;
+            return await this.uploadFile(localPath, remotePath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async backupRemoteBeforeOverwrite(fileName, remoteMeta) {
+        try {
+            const ts = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupPath = `${this.getBackupsFolder()}/${fileName}.${ts}.json`;
+            const { buf } = await this.downloadBuffer(`${this.getDataFolder()}/${fileName}`);
+            await this.uploadBuffer(backupPath, buf);
+        } catch {
+            // best-effort; do not fail sync because backup failed
+        }
+    }
+
+    // Merge attendance: union keyed by uid (local wins on same key unless a
+    // remote copy carries a newer stamp); clashing numeric ids are renumbered
+    mergeAttendance(localArr, ...remoteArrs) {
+        return peerMerge.mergeAttendance([localArr, ...remoteArrs]);
+    }
+
+    // Merge students field by field (newest field stamp wins; first list wins ties)
+    mergeStudents(localArr, ...remoteArrs) {
+        return peerMerge.mergeStudents([localArr, ...remoteArrs]);
+    }
+
+    // -----------------------------------------------------------------
+    // Two-way reconcile (kept for future/advanced use; not used by mode)
+    // -----------------------------------------------------------------
+    async syncOne(fileName, localPath, mode = 'merge') {
+        const remotePath = `${this.getDataFolder()}/${fileName}`;
+        const remoteMeta = await this.getMeta(remotePath);
+        const localExists = fs.existsSync(localPath);
+        const remoteExists = !!remoteMeta;
+
+        if (mode === 'pull') {
+            if (!remoteExists) return { file: fileName, action: 'skip-remote-missing' };
+            const { buf } = await this.downloadBuffer(remotePath);
+            writeJsonAtomic(localPath, JSON.parse(buf.toString('utf8') || '[]'));
+            return { file: fileName, action: 'pull' };
+        }
+
+        if (mode === 'push') {
+            if (!localExists) return { file: fileName, action: 'skip-local-missing' };
+            const buf = fs.readFileSync(localPath);
+            await this.uploadBuffer(remotePath, buf);
+            return { file: fileName, action: 'push' };
+        }
+
+        // MERGE mode (legacy behavior)
+        if (!localExists && !remoteExists) return { file: fileName, action: 'skip-none' };
+
+        if (remoteExists && !localExists) {
+            // pull
+            const { buf } = await this.downloadBuffer(remotePath);
+            writeJsonAtomic(localPath, JSON.parse(buf.toString('utf8')));
+            return { file: fileName, action: 'pull-new' };
+        }
+
+        if (!remoteExists && localExists) {
+            // push
+            const buf = fs.readFileSync(localPath);
+            await this.uploadBuffer(remotePath, buf);
+            return { file: fileName, action: 'push-new' };
+        }
+
+        // both exist: decide by mtime/hash; attendance gets merge
+        const localBuf = fs.readFileSync(localPath);
+        const localHash = sha256(localBuf);
+        const { buf: remoteBuf, serverModified } = await this.downloadBuffer(remotePath);
+        const remoteHash = sha256(remoteBuf);
+
+        if (localHash === remoteHash) return { file: fileName, action: 'noop' };
+
+        const localMtime = fs.statSync(localPath).mtimeMs;
+        const remoteMtime = new Date(serverModified).getTime();
+        const newer = remoteMtime >= localMtime ? 'remote' : 'local';
+
+        if (fileName === 'attendance.json') {
+            // merge arrays
+            const merged = peerMerge.visibleData({
+                attendance: this.mergeAttendance(
+                    JSON.parse(localBuf.toString('utf8') || '[]'),
+                    JSON.parse(remoteBuf.toString('utf8') || '[]')
+                )
+            }).attendance;
+            if (newer === 'remote') await this.backupRemoteBeforeOverwrite(fileName, remoteMeta);
+            writeJsonAtomic(localPath, merged);
+            await this.uploadBuffer(remotePath, Buffer.from(JSON.stringify(merged, null, 2)));
+            return { file: fileName, action: 'merge-attendance' };
+        } else if (fileName === 'students.json') {
+            const localArr = JSON.parse(localBuf.toString('utf8') || '[]');
+            const remoteArr = JSON.parse(remoteBuf.toString('utf8') || '[]');
+            // Unstamped fields tie, so the newer file is passed first to win them;
+            // fields a newer remote would overwrite are held as conflicts instead
+            const ordered = newer === 'remote' ? [remoteArr, localArr] : [localArr, remoteArr];
+            const conflicts = newer === 'remote'
+                ? this.dataManager.recordSyncConflicts(peerMerge.diffStudents(
+                    this.dataManager.decryptSensitiveFields(localArr, ['name', 'email']),
+                    this.dataManager.decryptSensitiveFields(remoteArr, ['name', 'email'])
+                ), 'merge')
+                : 0;
+            const held = peerMerge.holdConflicts(
+                { students: this.mergeStudents(...ordered) },
+                { students: localArr },
+                this.dataManager.getSyncConflicts({ status: 'open' })
+            );
+            const merged = peerMerge.visibleData(held).students;
+            if (newer === 'remote') await this.backupRemoteBeforeOverwrite(fileName, remoteMeta);
+            writeJsonAtomic(localPath, merged);
+            await this.uploadBuffer(remotePath, Buffer.from(JSON.stringify(merged, null, 2)));
+            return { file: fileName, action: `merge-students-${newer}`, conflicts };
+        } else {
+            return { file: fileName, action: 'skip-unknown' };
+        }
+    }
+
+    // -------------------------
+    // Mode-specific operations
+    // -------------------------
+    async pullAll(dataDir) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        await this.ensureDefaultFolders();
+        if (this.isDeltaSync()) {
+            // Whole files until the pushing kiosk has published a journal
+            const delta = await this.pullJournal();
+            if (delta) return delta;
+        }
+        const results = [];
+        for (const f of SYNC_FILES) {
+            const remotePath = `${this.getDataFolder()}/${f}`;
+            const local = path.join(dataDir, f);
+            try {
+                const meta = await this.getMeta(remotePath);
+                if (!meta) { results.push({ file: f, action: 'skip-remote-missing' }); continue; }
+                const { buf } = await this.downloadBuffer(remotePath);
+                writeJsonAtomic(local, JSON.parse(buf.toString('utf8') || '[]'));
+                results.push({ file: f, action: 'pull' });
+            } catch (e) {
+                results.push({ file: f, action: 'error', error: e.message });
+            }
+        }
+        return { success: true, results };
+    }
+
+    async pushAll(dataDir) {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        await this.ensureDefaultFolders();
+        if (this.isDeltaSync()) return this.pushJournal(dataDir);
+        const results = [];
+        await this.pushFiles(dataDir, results);
+        return { success: true, results };
+    }
+
+    async pushFiles(dataDir, results) {
+        for (const f of SYNC_FILES) {
+            const local = path.join(dataDir, f);
+            if (!fs.existsSync(local)) { results.push({ file: f, action: 'skip-local-missing' }); continue; }
+            const buf = fs.readFileSync(local);
+            try {
+                await this.uploadBuffer(`${this.getDataFolder()}/${f}`, buf);
+                results.push({ file: f, action: 'push' });
+            } catch (e) {
+                results.push({ file: f, action: 'error', error: e.message });
+            }
+        }
+    }
+
+    // -------------------------------------
+    // Delta sync (journal, see syncJournal.js)
+    // -------------------------------------
+    isDeltaSync() {
+        const d = this.dataManager.getConfig?.()?.dropbox || {};
+        return !!d.deltaSync;
+    }
+
+    getJournalFolder() {
+        return `${this.getDataFolder()}/journal`;
+    }
+
+    encryptEvents(events) {
+        return events.map(e => (e.data
+            ? { ...e, data: this.dataManager.encryptSensitiveFields([e.data], SENSITIVE_FIELDS[e.entity])[0] }
+            : e));
+    }
+
+    /**
+     * Delta push: upload only what changed since the last push (appended to
+     * today's segment), compacting to a snapshot on the first push and every
+     * journalCompactDays
+     * @param {string} dataDir
+     * @returns {Promise<Object>} { success, delta, compacted, events, results }
+     */
+    async pushJournal(dataDir) {
+        const dm = this.dataManager;
+        const d = dm.getConfig().dropbox || {};
+        const deviceId = dm.getDeviceId();
+        const pushed = dm.readJournalState().push;
+        const state = dm.getSyncSnapshot();
+        const now = new Date();
+        const name = syncJournal.segmentName(deviceId, now);
+        const localPath = path.join(dm.journalDir, name);
+
+        // A missing local copy of today's segment would overwrite the remote one
+        const age = pushed ? now.getTime() - new Date(pushed.compactedAt).getTime() : Infinity;
+        if (!pushed || pushed.device !== deviceId || !(age < (d.journalCompactDays || 7) * DAY_MS)
+            || (pushed.segment === name && !fs.existsSync(localPath))) {
+            return this.compactJournal(dataDir, state, pushed);
+        }
+
+        const events = syncJournal.diffEvents(state, pushed.hashes, { device: deviceId, seq: pushed.seq, at: now.toISOString() });
+        if (events.length === 0) {
+            return { success: true, delta: true, compacted: false, events: 0, results: [{ file: 'journal', action: 'noop' }] };
+        }
+
+        // The local segment only grows once remote storage has the events
+        const previous = fs.existsSync(localPath) ? fs.readFileSync(localPath, 'utf8') : '';
+        const segment = previous + syncJournal.toNdjson(this.encryptEvents(events));
+        try {
+            await this.uploadBuffer(`${this.getJournalFolder()}/${name}`, Buffer.from(segment));
+        } catch (e) {
+            return { success: false, error: e.message, results: [{ file: `journal/${name}`, action: 'error', error: e.message }] };
+        }
+        fs.mkdirSync(dm.journalDir, { recursive: true });
+        fs.writeFileSync(localPath, segment);
+        dm.saveJournalState('push', {
+            ...pushed,
+            seq: events[events.length - 1].seq,
+            segment: name,
+            hashes: syncJournal.hashState(state)
+        });
+
+        return { success: true, delta: true, compacted: false, events: events.length, results: [{ file: `journal/${name}`, action: 'push' }] };
+    }
+
+    /**
+     * Upload this kiosk's whole state as journal/snapshot.json and delete the
+     * segments it folds in (plus students.json/attendance.json for kiosks not
+     * on delta sync)
+     * @returns {Promise<Object>} { success, delta, compacted, events, results }
+     */
+    async compactJournal(dataDir, state, pushed) {
+        const dm = this.dataManager;
+        const deviceId = dm.getDeviceId();
+        const seq = pushed && pushed.device === deviceId ? pushed.seq : 0;
+        const folder = this.getJournalFolder();
+        const results = [];
+        const snapshot = syncJournal.buildSnapshot({
+            students: dm.encryptSensitiveFields(state.students, SENSITIVE_FIELDS.student),
+            attendance: dm.encryptSensitiveFields(state.attendance, SENSITIVE_FIELDS.attendance)
+        }, { [deviceId]: seq }, deviceId);
+
+        try {
+            // Snapshot first: until the old segments are gone, readers skip them by seq
+            await this.uploadBuffer(`${folder}/${syncJournal.SNAPSHOT_FILE}`, Buffer.from(JSON.stringify(snapshot)));
+            results.push({ file: `journal/${syncJournal.SNAPSHOT_FILE}`, action: 'push' });
+
+            const listed = await this.listFiles(folder);
+            for (const file of listed.files || []) {
+                const segment = syncJournal.parseSegmentName(file.name);
+                if (!segment || segment.deviceId !== deviceId) continue;
+                await this.deleteFile(file.path);
+                results.push({ file: `journal/${file.name}`, action: 'delete' });
+            }
+        } catch (e) {
+            results.push({ file: 'journal', action: 'error', error: e.message });
+            return { success: false, error: e.message, results };
+        }
+
+        await this.pushFiles(dataDir, results);
+        fs.rmSync(dm.journalDir, { recursive: true, force: true });
+        dm.saveJournalState('push', {
+            device: deviceId,
+            seq,
+            compactedAt: snapshot.createdAt,
+            segment: null,
+            hashes: syncJournal.hashState(state)
+        });
+
+        return { success: true, delta: true, compacted: true, events: 0, results };
+    }
+
+    /**
+     * Delta pull: mirror the remote journal into the local journal folder,
+     * downloading only files that changed since the last pull (reloadFromJson()
+     * then rebuilds from the mirror)
+     * @returns {Promise<Object|null>} { success, delta, results }, or null when
+     *   remote storage has no journal yet
+     */
+    async pullJournal() {
+        const dm = this.dataManager;
+        const listed = await this.listFiles(this.getJournalFolder());
+        if (!listed.success) return { success: false, error: listed.error, results: [] };
+
+        const remote = listed.files.filter(f => f.name === syncJournal.SNAPSHOT_FILE || syncJournal.parseSegmentName(f.name));
+        if (!remote.some(f => f.name === syncJournal.SNAPSHOT_FILE)) return null;
+
+        const mirrored = (dm.readJournalState().pull || {}).files || {};
+        const files = {};
+        const results = [];
+        fs.mkdirSync(dm.journalDir, { recursive: true });
+        for (const file of remote) {
+            const version = `${file.size}@${file.modified}`;
+            const localPath = path.join(dm.journalDir, file.name);
+            if (mirrored[file.name] === version && fs.existsSync(localPath)) {
+                files[file.name] = version;
+                continue;
+            }
+            try {
+                const { buf } = await this.downloadBuffer(file.path);
+                fs.writeFileSync(localPath + '.tmp', buf);
+                fs.renameSync(localPath + '.tmp', localPath);
+                files[file.name] = version;
+                results.push({ file: `journal/${file.name}`, action: 'pull' });
+            } catch (e) {
+                results.push({ file: `journal/${file.name}`, action: 'error', error: e.message });
+            }
+        }
+
+        // Segments compacted away remotely are covered by the snapshot
+        const remoteNames = new Set(remote.map(f => f.name));
+        for (const name of fs.readdirSync(dm.journalDir)) {
+            if (!remoteNames.has(name)) fs.rmSync(path.join(dm.journalDir, name), { force: true });
+        }
+        dm.saveJournalState('pull', { files, pulledAt: new Date().toISOString() });
+
+        return { success: true, delta: true, results: results.length ? results : [{ file: 'journal', action: 'noop' }] };
+    }
+
+    // -------------------------
+    // Peer mode (several kiosks)
+    // -------------------------
+    getChangesFolder() {
+        return `${this.getDataFolder()}/changes`;
+    }
+
+    // Shared students.json/attendance.json: the merged view every peer writes,
+    // and the starting point for kiosks that were never synced
+    async downloadSharedData(results) {
+        const shared = { students: [], attendance: [] };
+        let found = false;
+        for (const [key, f, fields] of [['students', 'students.json', ['name', 'email']], ['attendance', 'attendance.json', ['name']]]) {
+            try {
+                const remotePath = `${this.getDataFolder()}/${f}`;
+                if (!(await this.getMeta(remotePath))) continue;
+                const { buf } = await this.downloadBuffer(remotePath);
+                shared[key] = this.dataManager.decryptSensitiveFields(JSON.parse(buf.toString('utf8') || '[]'), fields);
+                found = true;
+            } catch (e) {
+                results.push({ file: f, action: 'error', error: e.message });
+            }
+        }
+        return found ? shared : null;
+    }
+
+    // Change logs of every other kiosk (changes/<deviceId>.json)
+    async downloadChangeLogs(deviceId, results) {
+        const listed = await this.listFiles(this.getChangesFolder());
+        if (!listed.success) {
+            results.push({ file: 'changes', action: 'error', error: listed.error });
+            return [];
+        }
+
+        const logs = [];
+        for (const file of listed.files) {
+            if (!file.name.endsWith('.json') || file.name === `${deviceId}.json`) continue;
+            try {
+                const { buf } = await this.downloadBuffer(file.path);
+                const log = JSON.parse(buf.toString('utf8'));
+                logs.push({
+                    deviceId: log.deviceId,
+                    students: this.dataManager.decryptSensitiveFields(log.students || [], ['name', 'email']),
+                    attendance: this.dataManager.decryptSensitiveFields(log.attendance || [], ['name'])
+                });
+                results.push({ file: `changes/${file.name}`, action: 'pull' });
+            } catch (e) {
+                results.push({ file: `changes/${file.name}`, action: 'error', error: e.message });
+            }
+        }
+        return logs;
+    }
+
+    /**
+     * Two-way sync with the other kiosks: stamp local changes since the last
+     * sync, merge them with every peer's change log (see peerMerge.js), apply
+     * the result locally, then publish this kiosk's change log and the merged
+     * students.json/attendance.json
+     * @returns {Promise<Object>} { success, mode, changed, peers, results }
+     */
+    async syncPeers() {
+        if (!this.ensureConnected()) {
+            return { success: false, error: `${this.label} not configured` };
+        }
+        await this.ensureDefaultFolders();
+        const dm = this.dataManager;
+        const deviceId = dm.getDeviceId();
+        const results = [];
+
+        // Download first: from reading local data to applying the merge nothing
+        // yields, so a sign-in cannot land in between and be lost
+        const shared = await this.downloadSharedData(results);
+        const peers = await this.downloadChangeLogs(deviceId, results);
+
+        const local = dm.getSyncSnapshot();
+        const state = dm.readSyncState();
+        const base = state || shared || { students: [], attendance: [] };
+        const stamp = peerMerge.makeStamp(deviceId);
+        const mine = peerMerge.stampLocalChanges(local, base, stamp, { trackPurges: !!state });
+        const others = [...peers, shared || { students: [], attendance: [] }];
+        const merged = {
+            students: this.mergeStudents(mine.students, ...others.map(p => p.students)),
+            attendance: this.mergeAttendance(mine.attendance, ...others.map(p => p.attendance))
+        };
+
+        // Edits made on both sides wait for an admin (Sync Conflicts screen)
+        const conflicts = dm.recordSyncConflicts(peerMerge.findConflicts({ base, mine, others, stamp }), 'peer');
+        peerMerge.holdConflicts(merged, mine, dm.getSyncConflicts({ status: 'open' }));
+        const visible = peerMerge.visibleData(merged);
+
+        const changed = !peerMerge.sameData(local, visible);
+        if (changed) {
+            const applied = await dm.applySyncedData(visible);
+            if (!applied.success) return { success: false, error: applied.error, results };
+            results.push({ file: 'local', action: 'merge' });
+        }
+        dm.saveSyncState(merged);
+
+        try {
+            const log = peerMerge.changesBy(merged, deviceId);
+            const logBody = {
+                deviceId,
+                updatedAt: new Date().toISOString(),
+                students: dm.encryptSensitiveFields(log.students, ['name', 'email']),
+                attendance: dm.encryptSensitiveFields(log.attendance, ['name'])
+            };
+            await this.uploadBuffer(`${this.getChangesFolder()}/${deviceId}.json`, Buffer.from(JSON.stringify(logBody, null, 2)));
+            results.push({ file: `changes/${deviceId}.json`, action: 'push' });
+
+            const sharedFiles = [
+                ['students.json', dm.encryptSensitiveFields(visible.students, ['name', 'email'])],
+                ['attendance.json', dm.encryptSensitiveFields(visible.attendance, ['name'])]
+            ];
+            for (const [f, data] of sharedFiles) {
+                await this.uploadBuffer(`${this.getDataFolder()}/${f}`, Buffer.from(JSON.stringify(data, null, 2)));
+                results.push({ file: f, action: 'push' });
+            }
+        } catch (e) {
+            results.push({ file: 'changes', action: 'error', error: e.message });
+        }
+
+        return { success: true, mode: 'peer', changed, peers: peers.length, conflicts, results };
+    }
+
+    async syncByMode(dataDir) {
+        const cfg = this.dataManager.getConfig?.() || {};
+        const d = cfg.dropbox || {};
+        if (d.peerMode) return this.syncPeers();
+
+        const master = !!d.masterMode; // true => always pull; false => always push
+        if (master) {
+            return this.pullAll(dataDir);
+        } else {
+            return this.pushAll(dataDir);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_STORAGE,
+    PROVIDERS,
+    StorageProvider,
+    createStorageProvider,
+    normalizeStorageConfig
+};
@@ -0,0 +1,161 @@
+/**
+ * Sync Journal - delta Dropbox sync for push/pull kiosks
+ *
+ * Instead of uploading the whole students.json/attendance.json on every sync,
+ * the pushing kiosk appends what changed since its last push to a daily NDJSON
+ * segment (journal/<YYYY-MM-DD>.<device id>.ndjson, one event per line) and
+ * uploads only that segment. Pulling kiosks download the segments that grew
+ * and rebuild their data from snapshot + journals.
+ *
+ * Every few days the pusher compacts: it uploads its whole state as
+ * journal/snapshot.json and deletes the segments the snapshot folds in. Events
+ * carry a per-device sequence number and the snapshot records the last one it
+ * covers, so a kiosk that sees the new snapshot before the old segments are
+ * gone does not replay them on top of it.
+ *
+ * Events hold records exactly as stored in the JSON files (sensitive fields
+ * encrypted), so replaying never needs the encryption password.
+ */
+
+const crypto = require('crypto');
+const { attendanceKey, canonical } = require('./peerMerge.js');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.(.+)\.ndjson$/;
+
+const ENTITY_KEYS = {
+    student: s => s.ufid,
+    attendance: attendanceKey
+};
+
+function recordHash(record) {
+    return crypto.createHash('sha256').update(canonical(record)).digest('hex');
+}
+
+/**
+ * Hash of every record, keyed the way events are
+ * @param {Object} state - { students, attendance }
+ * @returns {Object} { student: { key: hash }, attendance: { key: hash } }
+ */
+function hashState(state) {
+    const hashes = { student: {}, attendance: {} };
+    for (const record of state.students || []) hashes.student[ENTITY_KEYS.student(record)] = recordHash(record);
+    for (const record of state.attendance || []) hashes.attendance[ENTITY_KEYS.attendance(record)] = recordHash(record);
+    return hashes;
+}
+
+/**
+ * Events turning the last pushed state into the current one
+ * @param {Object} state - { students, attendance } as stored locally (trash included)
+ * @param {Object} hashes - hashState() of the last pushed state
+ * @param {Object} options - { device, seq (last used), at (ISO time) }
+ * @returns {Array} Events { seq, at, device, entity, op: 'put'|'del', key, data }
+ */
+function diffEvents(state, hashes, { device, seq, at }) {
+    const current = hashState(state);
+    const events = [];
+    const push = (entity, op, key, data) => events.push({ seq: ++seq, at, device, entity, op, key, ...(data ? { data } : {}) });
+
+    for (const [entity, list] of [['student', state.students], ['attendance', state.attendance]]) {
+        const previous = (hashes && hashes[entity]) || {};
+        for (const record of list || []) {
+            const key = ENTITY_KEYS[entity](record);
+            if (previous[key] !== current[entity][key]) push(entity, 'put', key, record);
+        }
+        for (const key of Object.keys(previous)) {
+            if (!(key in current[entity])) push(entity, 'del', key);
+        }
+    }
+    return events;
+}
+
+/**
+ * Segment file a device writes its events of a day to
+ * @param {string} deviceId
+ * @param {Date} [date]
+ * @returns {string} '<YYYY-MM-DD>.<device id>.ndjson' (UTC day)
+ */
+function segmentName(deviceId, date = new Date()) {
+    return `${date.toISOString().slice(0, 10)}.${deviceId}.ndjson`;
+}
+
+function parseSegmentName(name) {
+    const match = SEGMENT_PATTERN.exec(name || '');
+    return match ? { day: match[1], deviceId: match[2] } : null;
+}
+
+function toNdjson(events) {
+    return events.map(e => JSON.stringify(e)).join('\n') + (events.length ? '\n' : '');
+}
+
+/**
+ * Events of a segment; blank and unreadable lines (an interrupted write) are skipped
+ * @param {string} text
+ * @returns {Array}
+ */
+function parseNdjson(text) {
+    const events = [];
+    for (const line of String(text || '').split('\n')) {
+        if (!line.trim()) continue;
+        try { events.push(JSON.parse(line)); }
+        catch { /* partial line */ }
+    }
+    return events;
+}
+
+/**
+ * Whole state of the pushing kiosk, replacing the segments it folds in
+ * @param {Object} state - { students, attendance } as stored in the JSON files
+ * @param {Object} through - { deviceId: last seq included }
+ * @param {string} device - Device that compacted
+ * @returns {Object}
+ */
+function buildSnapshot(state, through, device) {
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        device,
+        through,
+        students: state.students || [],
+        attendance: state.attendance || []
+    };
+}
+
+/**
+ * Rebuild students and attendance from a snapshot and the journal events after it
+ * @param {Object} snapshot - buildSnapshot() result (or { students, attendance })
+ * @param {Array} events - Events of every segment, any order
+ * @returns {Object} { students, attendance }
+ */
+function replay(snapshot, events) {
+    const through = (snapshot && snapshot.through) || {};
+    const state = {
+        student: new Map(((snapshot && snapshot.students) || []).map(r => [ENTITY_KEYS.student(r), r])),
+        attendance: new Map(((snapshot && snapshot.attendance) || []).map(r => [ENTITY_KEYS.attendance(r), r]))
+    };
+
+    const pending = (events || [])
+        .filter(e => state[e.entity] && e.seq > (through[e.device] || 0))
+        .sort((a, b) => String(a.at).localeCompare(String(b.at)) || a.seq - b.seq);
+    for (const event of pending) {
+        if (event.op === 'del') state[event.entity].delete(event.key);
+        else if (event.op === 'put' && event.data) state[event.entity].set(event.key, event.data);
+    }
+
+    return {
+        students: Array.from(state.student.values()),
+        attendance: Array.from(state.attendance.values())
+    };
+}
+
+module.exports = {
+    SNAPSHOT_FILE,
+    buildSnapshot,
+    diffEvents,
+    hashState,
+    parseNdjson,
+    parseSegmentName,
+    replay,
+    segmentName,
+    toNdjson
+};
@@ -0,0 +1,187 @@
+/**
+ * Academic Terms - Fall/Spring/Summer terms and their expectations
+ *
+ * A term is { id, name, startDate, endDate, defaultExpectations } with dates
+ * as 'YYYY-MM-DD' in the lab timezone. defaultExpectations maps a role to
+ * { expectedHoursPerWeek, expectedDaysPerWeek }. A student's expectation for
+ * a week comes from, in order: their own override for the term, the term's
+ * default for their role, then the hours/days on the student record.
+ */
+
+const { addDaysYmd, isValidYmd, weekdayOfYmd } = require('./closures.js');
+
+function toExpectation(raw = {}) {
+    const hours = Number(raw.expectedHoursPerWeek);
+    const days = Number(raw.expectedDaysPerWeek);
+    return {
+        expectedHoursPerWeek: Number.isFinite(hours) && hours >= 0 ? hours : 0,
+        expectedDaysPerWeek: Number.isFinite(days) && days >= 0 ? Math.min(7, Math.round(days)) : 0
+    };
+}
+
+/**
+ * Clean a role -> expectation map (roles are lower-cased, blanks dropped)
+ * @param {Object|string|null} raw - Map or its JSON string
+ * @returns {Object}
+ */
+function normalizeDefaultExpectations(raw) {
+    let map = raw;
+    if (typeof map === 'string') {
+        try {
+            map = JSON.parse(map);
+        } catch (_) {
+            return {};
+        }
+    }
+    if (!map || typeof map !== 'object') return {};
+
+    const cleaned = {};
+    for (const [role, value] of Object.entries(map)) {
+        const key = String(role).trim().toLowerCase();
+        if (key && value && typeof value === 'object') cleaned[key] = toExpectation(value);
+    }
+    return cleaned;
+}
+
+/**
+ * Validate a term against the existing ones
+ * @param {Object} term - { id, name, startDate, endDate }
+ * @param {Array} existing - Stored terms (the term itself is ignored by id)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTerm(term, existing = []) {
+    if (!term.name || !String(term.name).trim()) return 'Term name is required';
+    if (!isValidYmd(term.startDate) || !isValidYmd(term.endDate)) return 'Dates must be in YYYY-MM-DD format';
+    if (term.endDate < term.startDate) return 'End date must be on or after the start date';
+
+    const overlap = existing.find(t => t.id !== term.id && t.startDate <= term.endDate && t.endDate >= term.startDate);
+    return overlap ? `Overlaps with ${overlap.name} (${overlap.startDate} to ${overlap.endDate})` : null;
+}
+
+/**
+ * The term covering a date range (the earliest-starting one if several overlap)
+ * @param {Array} terms
+ * @param {string} start - 'YYYY-MM-DD'
+ * @param {string} [end] - 'YYYY-MM-DD' (defaults to start)
+ * @returns {Object|null}
+ */
+function findTerm(terms, start, end = start) {
+    return (terms || [])
+        .filter(t => t.startDate <= end && t.endDate >= start)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))[0] || null;
+}
+
+/**
+ * Weekly expectations for a student during a term
+ * @param {Object} student - Normalized student (role, expectedHoursPerWeek, expectedDaysPerWeek)
+ * @param {Object|null} term
+ * @param {Array} overrides - Per-student term expectations [{ ufid, termId, expectedHoursPerWeek, expectedDaysPerWeek }]
+ * @returns {Object} { expectedHoursPerWeek, expectedDaysPerWeek, source: 'student-term'|'term-default'|'student' }
+ */
+function expectationsFor(student, term, overrides = []) {
+    if (term) {
+        const own = overrides.find(o => o.ufid === student.ufid && o.termId === term.id);
+        if (own) return { ...toExpectation(own), source: 'student-term' };
+
+        const role = (student.role || 'volunteer').toLowerCase();
+        const byRole = term.defaultExpectations && term.defaultExpectations[role];
+        if (byRole) return { ...toExpectation(byRole), source: 'term-default' };
+    }
+    return { ...toExpectation(student), source: 'student' };
+}
+
+/**
+ * Mondays of the Monday-Sunday weeks that overlap a term
+ * @param {Object} term
+ * @returns {Array<string>} 'YYYY-MM-DD'
+ */
+function termWeekStarts(term) {
+    const offset = (weekdayOfYmd(term.startDate) + 6) % 7; // days since Monday
+    const weeks = [];
+    for (let d = addDaysYmd(term.startDate, -offset); d <= term.endDate && weeks.length < 60; d = addDaysYmd(d, 7)) {
+        weeks.push(d);
+    }
+    return weeks;
+}
+
+/**
+ * Roll a student's weeks up into term totals and streaks. Weeks still in
+ * progress add hours but are not judged; weeks with no expectation are neither
+ * met nor missed and do not break a streak.
+ * @param {Array} weeks - [{ weekStart, totalHours, expectedHours, complete }] in date order
+ * @returns {Object} { totalHours, expectedHours, weeksMet, weeksMissed, currentMetStreak, longestMetStreak, longestMissedStreak }
+ */
+function summarizeWeeks(weeks) {
+    const summary = {
+        totalHours: 0,
+        expectedHours: 0,
+        weeksMet: 0,
+        weeksMissed: 0,
+        currentMetStreak: 0,
+        longestMetStreak: 0,
+        longestMissedStreak: 0
+    };
+    let missedStreak = 0;
+
+    for (const week of weeks) {
+        summary.totalHours += Number(week.totalHours || 0);
+        summary.expectedHours += Number(week.expectedHours || 0);
+        if (!week.complete || !(week.expectedHours > 0)) continue;
+
+        if (week.totalHours >= week.expectedHours) {
+            summary.weeksMet++;
+            summary.currentMetStreak++;
+            missedStreak = 0;
+        } else {
+            summary.weeksMissed++;
+            summary.currentMetStreak = 0;
+            missedStreak++;
+        }
+        summary.longestMetStreak = Math.max(summary.longestMetStreak, summary.currentMetStreak);
+        summary.longestMissedStreak = Math.max(summary.longestMissedStreak, missedStreak);
+    }
+
+    summary.totalHours = Math.round(summary.totalHours * 100) / 100;
+    summary.expectedHours = Math.round(summary.expectedHours * 100) / 100;
+    return summary;
+}
+
+function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a term summary as CSV (one row per student)
+ * @param {Object} summary - Result of DataManager.computeTermSummary
+ * @returns {string}
+ */
+function termSummaryToCsv(summary) {
+    const header = ['UF ID', 'Name', 'Role', 'Status', 'Expected Hours/Week', 'Total Hours', 'Expected Hours',
+        'Weeks Met', 'Weeks Missed', 'Current Streak', 'Longest Streak', 'Longest Missed Streak'];
+    const rows = summary.students.map(s => [
+        s.ufid,
+        s.name,
+        s.role,
+        s.status,
+        s.expectedHoursPerWeek,
+        s.totalHours,
+        s.expectedHours,
+        s.weeksMet,
+        s.weeksMissed,
+        s.currentMetStreak,
+        s.longestMetStreak,
+        s.longestMissedStreak
+    ].map(csvCell).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    expectationsFor,
+    findTerm,
+    normalizeDefaultExpectations,
+    summarizeWeeks,
+    termSummaryToCsv,
+    termWeekStarts,
+    validateTerm
+};
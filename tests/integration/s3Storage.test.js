@@ -0,0 +1,53 @@
+// Runs against a real S3-compatible server when S3_TEST_ENDPOINT is set, e.g. a local MinIO:
+//   docker run -p 9000:9000 minio/minio server /data
+//   (create bucket 'attendance-test'), then
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_ACCESS_KEY=minioadmin S3_TEST_SECRET_KEY=minioadmin npx jest tests/integration/s3Storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const S3StorageProvider = require('../../s3StorageProvider.js');
+
+const endpoint = process.env.S3_TEST_ENDPOINT;
+const describeWithS3 = endpoint ? describe : describe.skip;
+
+describeWithS3('S3 storage against a live endpoint', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-live-'));
+    const dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.updateDropboxConfig({ folder: `/run-${Date.now()}` });
+    dataManager.updateStorageConfig({
+      provider: 's3',
+      s3: {
+        endpoint,
+        region: process.env.S3_TEST_REGION || 'us-east-1',
+        bucket: process.env.S3_TEST_BUCKET || 'attendance-test',
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY || 'minioadmin',
+        secretAccessKey: process.env.S3_TEST_SECRET_KEY || 'minioadmin'
+      }
+    });
+    storage = new S3StorageProvider(dataManager);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('uploads, lists, reads and deletes objects', async () => {
+    expect(await storage.testConnection()).toMatchObject({ success: true });
+    const file = `${storage.getDataFolder()}/hello world.json`;
+
+    await storage.uploadBuffer(file, Buffer.from('{"ok":true}'));
+    expect(await storage.getMeta(file)).toMatchObject({ size: 11 });
+    expect((await storage.listFiles(storage.getDataFolder())).files.map(f => f.name)).toEqual(['hello world.json']);
+    expect((await storage.downloadBuffer(file)).buf.toString()).toBe('{"ok":true}');
+
+    await storage.deleteFile(file);
+    expect(await storage.getMeta(file)).toBeNull();
+  });
+});
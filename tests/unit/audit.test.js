@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const { auditEntriesToCsv, createAuditEntry } = require('../../audit.js');
+const testUtils = require('../helpers/testUtils');
+
+describe('DataManager audit trail', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+  });
+
+  test('records roster and attendance changes with actor, before/after and reason', () => {
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+    dataManager.updateStudent('12345678', { name: 'Test Student Jr' });
+    dataManager.updateStudent('12345678', { name: 'Test Student Jr' });
+    const { record } = dataManager.addAttendanceWithValidation('12345678', 'Test Student Jr', 'signin');
+    dataManager.deleteAttendanceRecord(record.id, { actor: 'admin-desktop', reason: 'Duplicate tap' });
+
+    const { entries, totalCount } = dataManager.getAuditLog();
+    expect(totalCount).toBe(4);
+    expect(entries.map(e => e.action).sort()).toEqual(
+      ['attendance.create', 'attendance.delete', 'student.create', 'student.update']
+    );
+
+    const update = entries.find(e => e.action === 'student.update');
+    expect(update).toMatchObject({ actor: 'admin-desktop', entityId: '12345678' });
+    expect(update.before.name).toBe('Test Student');
+    expect(update.after.name).toBe('Test Student Jr');
+
+    expect(entries.find(e => e.action === 'attendance.create').actor).toBe('kiosk');
+    const deletion = entries.find(e => e.action === 'attendance.delete');
+    expect(deletion).toMatchObject({ reason: 'Duplicate tap', entityId: String(record.id) });
+    expect(deletion.before).toMatchObject({ ufid: '12345678', action: 'signin' });
+  });
+
+  test('filters entries and imports web admin entries once', () => {
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+    const webEntry = createAuditEntry({
+      actor: 'web-admin', actorName: 'labadmin', action: 'attendance.delete', entityType: 'attendance',
+      entityId: '42', before: { id: 42, ufid: '12345678' }, timestamp: '2025-01-07T15:00:00.000Z'
+    });
+
+    expect(dataManager.importAuditEntries([webEntry, webEntry]).imported).toBe(1);
+    expect(dataManager.importAuditEntries([webEntry]).imported).toBe(0);
+
+    const web = dataManager.getAuditLog({ actor: 'web-admin' });
+    expect(web.entries).toEqual([expect.objectContaining({ actorName: 'labadmin', entityId: '42' })]);
+    expect(dataManager.getAuditLog({ startDate: '2025-01-07', endDate: '2025-01-07' }).totalCount).toBe(1);
+    expect(dataManager.getAuditLog({ entityType: 'student' }).totalCount).toBe(1);
+  });
+});
+
+describe('audit CSV export', () => {
+  test('escapes values and summarizes changes', () => {
+    const csv = auditEntriesToCsv([createAuditEntry({
+      actor: 'admin-desktop', action: 'student.update', entityType: 'student', entityId: '12345678',
+      before: { name: 'Ann' }, after: { name: 'Anne, B.' }, reason: 'Typo "fix"',
+      timestamp: '2025-01-07T15:00:00.000Z'
+    })]);
+    const [header, row] = csv.trim().split('\n');
+
+    expect(header).toMatch(/^Timestamp,Actor,Actor Name,Action/);
+    expect(row).toContain('Admin (desktop)');
+    expect(row).toContain('"Typo ""fix"""');
+    expect(row).toContain('"name: ""Ann"" -> ""Anne, B."""');
+  });
+});
+
+describe('DatabaseManager audit_log', () => {
+  test('is append-only', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    const db = new DatabaseManager({ dataDir });
+    await db.initialize();
+
+    const entry = createAuditEntry({ actor: 'system', action: 'attendance.create', entityType: 'attendance', entityId: 1, after: { id: 1 } });
+    expect(db.addAuditEntry(entry)).toEqual({ success: true, inserted: true });
+    expect(db.addAuditEntry(entry)).toEqual({ success: true, inserted: false });
+    expect(db.getAuditLog({ action: 'attendance.create' }).entries[0]).toMatchObject({ uid: entry.uid, after: { id: 1 } });
+
+    expect(() => db.sqliteDb.run('DELETE FROM audit_log')).toThrow(/append-only/);
+    expect(() => db.sqliteDb.run("UPDATE audit_log SET reason = 'edited'")).toThrow(/append-only/);
+    expect(db.getAuditLog().totalCount).toBe(1);
+
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const DropboxService = require('../../dropboxService.js');
+const { describeBackup, diffBackup } = require('../../backupRestore.js');
+
+describe('Backup restore helpers', () => {
+  test('recognizes every backup file kind and when it was taken', () => {
+    const file = (name) => describeBackup({ name, path: `/b/${name}`, size: 10, modified: '2026-10-19T03:00:00Z' });
+
+    expect(file('backup-2026-10-18T02-00-00-123Z.json')).toMatchObject({ format: 'json', takenAt: '2026-10-18T02:00:00.123Z' });
+    expect(file('attendance-latest.db')).toMatchObject({ format: 'sqlite', takenAt: '2026-10-19T03:00:00Z' });
+    expect(file('students.json.2026-10-17T09-30-00-000Z.json')).toMatchObject({ format: 'students', takenAt: '2026-10-17T09:30:00.000Z' });
+    expect(file('attendance.json.2026-10-17T09-30-00-000Z.json').format).toBe('attendance');
+    expect(file('weekly-report.csv')).toBeNull();
+  });
+
+  test('previews what a restore would bring back, remove and change', () => {
+    const current = {
+      students: [{ ufid: '1', name: 'Ann', role: 'ra' }, { ufid: '3', name: 'Cy' }],
+      attendance: [{ id: 1, uid: 'legacy-1', ufid: '1', action: 'signin', timestamp: 't1' }]
+    };
+    const backup = {
+      students: [{ ufid: '1', name: 'Ann', role: 'phd' }, { ufid: '2', name: 'Bo' }],
+      attendance: null
+    };
+
+    const diff = diffBackup(current, backup);
+    expect(diff.students).toMatchObject({ added: 1, removed: 1, changed: 1 });
+    expect(diff.students.samples.added).toEqual([{ ufid: '2', name: 'Bo' }]);
+    expect(diff.attendance).toBeNull();
+  });
+});
+
+describe('DropboxService restore', () => {
+  let dir;
+  let files;
+  let dataManager;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restore-'));
+    dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+
+    files = new Map();
+    service = new DropboxService(dataManager);
+    service.dropbox = {};
+    service.downloadBuffer = async p => ({ buf: files.get(p) });
+    service.uploadFile = async (local, p) => { files.set(p, fs.readFileSync(local)); return { success: true, path: p }; };
+    service.listFiles = async folder => ({
+      success: true,
+      files: [...files.keys()].filter(p => path.dirname(p) === folder).map(p => ({
+        name: path.basename(p), path: p, size: files.get(p).length, modified: '2026-10-19T03:00:00Z'
+      }))
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('restores a JSON backup after a safety backup, and records it', async () => {
+    dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    dataManager.addAttendanceRecord({ id: 1, ufid: '12345678', name: 'Ann Lee', action: 'signin', timestamp: '2026-10-18T13:00:00.000Z' });
+    const backupName = 'backup-2026-10-18T20-00-00-000Z.json';
+    files.set(`${service.getBackupsFolder()}/${backupName}`, fs.readFileSync(dataManager.backupData().backupFile));
+
+    dataManager.addStudent('87654321', 'Bo Chen', 'bo@ufl.edu');
+    dataManager.deleteAttendanceRecord(1);
+    dataManager.purgeAttendanceRecord(1);
+
+    const listed = await service.listBackups();
+    expect(listed.backups).toEqual([expect.objectContaining({ name: backupName, format: 'json', students: 1, attendance: 1 })]);
+
+    const preview = await service.previewRestore(backupName);
+    expect(preview.diff.students).toMatchObject({ added: 0, removed: 1, changed: 0 });
+    expect(preview.diff.attendance).toMatchObject({ added: 1, removed: 0 });
+    expect(dataManager.getStudents()).toHaveLength(2);
+
+    const result = await service.restoreBackup(backupName, { reason: 'undo' });
+    expect(result).toMatchObject({ success: true, students: 1, attendance: 1 });
+    expect(dataManager.getStudents().map(s => s.ufid)).toEqual(['12345678']);
+    expect(dataManager.getAttendance().map(r => r.id)).toEqual([1]);
+
+    // The safety backup holds the data as it was before the restore
+    const safety = JSON.parse(files.get(`${service.getBackupsFolder()}/${result.safetyBackup}`).toString());
+    expect(safety.students).toHaveLength(2);
+    expect(dataManager.getAuditLog({ action: 'data.restore' }).entries[0])
+      .toMatchObject({ entityId: backupName, reason: 'undo', before: { students: 2 }, after: { students: 1 } });
+  });
+
+  test('reads students and attendance out of a database backup', async () => {
+    const dbDir = path.join(dir, 'source');
+    const db = new DatabaseManager({ dataDir: dbDir });
+    await db.initialize();
+    db.upsertStudent({ ufid: '12345678', name: 'Ann Lee' });
+    db.addAttendanceRecord({ id: 1, ufid: '12345678', name: 'Ann Lee', action: 'signin', timestamp: '2026-10-18T13:00:00.000Z' });
+    db.close();
+    files.set(`${service.getBackupsFolder()}/attendance-latest.db`, fs.readFileSync(path.join(dbDir, 'attendance.db')));
+
+    const [backup] = (await service.listBackups()).backups;
+    expect(backup).toMatchObject({ format: 'sqlite', students: 1, attendance: 1 });
+
+    const preview = await service.previewRestore('attendance-latest.db');
+    expect(preview.diff.students.samples.added).toEqual([{ ufid: '12345678', name: 'Ann Lee' }]);
+  });
+});
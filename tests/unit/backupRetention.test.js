@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DropboxService = require('../../dropboxService.js');
+const { normalizePolicy, planRetention } = require('../../backupRetention.js');
+
+// One backup a day at 07:00 Eastern, Jan 1 - Mar 31 2026
+function dailyBackups(prefix = 'backup-', suffix = '.json') {
+  const names = [];
+  for (let d = new Date('2026-01-01T12:00:00.000Z'); d <= new Date('2026-03-31T12:00:00.000Z'); d.setUTCDate(d.getUTCDate() + 1)) {
+    names.push(`${prefix}${d.toISOString().replace(/[:.]/g, '-')}${suffix}`);
+  }
+  return names;
+}
+
+const day = name => name.match(/\d{4}-\d{2}-\d{2}/)[0];
+
+describe('Backup retention', () => {
+  test('keeps the newest backup of the last days, weeks and months', () => {
+    const policy = normalizePolicy({ enabled: true, daily: 3, weekly: 2, monthly: 2 });
+    const plan = planRetention(dailyBackups().map(name => ({ name })), policy, 'America/New_York');
+
+    // Mar 31 is a Tuesday: its week and month are already covered by the daily picks
+    expect(plan.keep.map(b => day(b.name))).toEqual(['2026-03-31', '2026-03-30', '2026-03-29', '2026-02-28']);
+    expect(plan.prune).toHaveLength(90 - 4);
+  });
+
+  test('thins each kind of backup on its own and never touches untimestamped files', () => {
+    const files = [...dailyBackups(), ...dailyBackups('students.json.', '.json'), 'attendance-latest.db'].map(name => ({ name }));
+    const plan = planRetention(files, normalizePolicy({ daily: 1, weekly: 0, monthly: 0 }), 'America/New_York');
+
+    expect(plan.keep.map(b => b.name).sort()).toEqual([
+      'backup-2026-03-31T12-00-00-000Z.json',
+      'students.json.2026-03-31T12-00-00-000Z.json'
+    ]);
+    expect(plan.prune.some(b => b.name === 'attendance-latest.db')).toBe(false);
+  });
+
+  test('falls back to the default for counts that are invalid or below their minimum (1 daily, 0 otherwise)', () => {
+    expect(normalizePolicy({ daily: 0, weekly: -1, monthly: 'x' })).toEqual({ enabled: false, daily: 7, weekly: 4, monthly: 6 });
+  });
+});
+
+describe('Pruning backups', () => {
+  let dir;
+  let dataManager;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.updateSystemSettings({ timezone: 'America/New_York' });
+    dataManager.updateBackupRetention({ enabled: true, daily: 3, weekly: 2, monthly: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a dry run lists what a real run deletes from data/backups', () => {
+    const backupDir = path.join(dir, 'backups');
+    fs.mkdirSync(backupDir);
+    dailyBackups().forEach(name => fs.writeFileSync(path.join(backupDir, name), '{}'));
+
+    const preview = dataManager.pruneLocalBackups({ dryRun: true });
+    expect(preview).toMatchObject({ success: true, dryRun: true, kept: 4 });
+    expect(fs.readdirSync(backupDir)).toHaveLength(90);
+
+    const result = dataManager.pruneLocalBackups();
+    expect(result.pruned).toEqual(preview.pruned);
+    expect(fs.readdirSync(backupDir).map(day).sort()).toEqual(['2026-02-28', '2026-03-29', '2026-03-30', '2026-03-31']);
+  });
+
+  test('prunes the Dropbox backups folder', async () => {
+    const service = new DropboxService(dataManager);
+    const files = new Set([...dailyBackups(), 'attendance-latest.db'].map(name => `${service.getBackupsFolder()}/${name}`));
+    service.dropbox = {};
+    service.listFiles = async () => ({ success: true, files: [...files].map(p => ({ name: path.basename(p), path: p })) });
+    service.deleteFile = async p => { files.delete(p); };
+
+    expect((await service.pruneDropboxBackups({ dryRun: true })).pruned).toHaveLength(86);
+    expect(files.size).toBe(91);
+
+    expect(await service.pruneDropboxBackups()).toMatchObject({ success: true, kept: 4 });
+    expect([...files].map(p => path.basename(p)).sort()).toEqual([
+      'attendance-latest.db',
+      'backup-2026-02-28T12-00-00-000Z.json',
+      'backup-2026-03-29T12-00-00-000Z.json',
+      'backup-2026-03-30T12-00-00-000Z.json',
+      'backup-2026-03-31T12-00-00-000Z.json'
+    ]);
+  });
+});
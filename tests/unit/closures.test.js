@@ -0,0 +1,72 @@
+const DataManager = require('../../data.js');
+const testUtils = require('../helpers/testUtils');
+const { parseIcs, prorateExpectedHours, countClosedWeekdays } = require('../../closures.js');
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:thanksgiving-2025@example.edu',
+  'DTSTART;VALUE=DATE:20251127',
+  'DTEND;VALUE=DATE:20251129',
+  'SUMMARY:Thanksgiving\\, campus closed',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20251225T050000Z',
+  'SUMMARY:Winter',
+  '  break',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('Closure calendar helpers', () => {
+  test('parses all-day and timed .ics events into closure dates', () => {
+    expect(parseIcs(ICS)).toEqual([
+      { date: '2025-11-27', name: 'Thanksgiving, campus closed', uid: 'thanksgiving-2025@example.edu' },
+      { date: '2025-11-28', name: 'Thanksgiving, campus closed', uid: 'thanksgiving-2025@example.edu' },
+      { date: '2025-12-25', name: 'Winter break', uid: null }
+    ]);
+  });
+
+  test('prorates expected hours by closed weekdays only', () => {
+    const closures = [{ date: '2025-11-27' }, { date: '2025-11-28' }, { date: '2025-11-29' }];
+    expect(countClosedWeekdays(closures)).toBe(2);
+    expect(prorateExpectedHours(10, 2)).toBe(6);
+    expect(prorateExpectedHours(10, 5)).toBe(0);
+  });
+});
+
+describe('DataManager closures', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+  });
+
+  test('marks closure days as Closed instead of absent', () => {
+    expect(dataManager.addClosure({ date: '2025-11-27', endDate: '2025-11-28', name: 'Thanksgiving' }))
+      .toMatchObject({ success: true, added: 2 });
+
+    const closedDay = dataManager.computeDailySummary('2025-11-27');
+    expect(closedDay.closure).toMatchObject({ date: '2025-11-27', name: 'Thanksgiving' });
+    expect(closedDay.summaries[0]).toMatchObject({ closed: true, absent: false });
+
+    const openDay = dataManager.computeDailySummary('2025-11-26');
+    expect(openDay.summaries[0]).toMatchObject({ closed: false, absent: true });
+  });
+
+  test('imports, renames and removes closures', () => {
+    expect(dataManager.importClosuresFromIcs(ICS)).toMatchObject({ success: true, added: 3 });
+    dataManager.addClosure({ date: '2025-12-25', name: 'Christmas' });
+
+    const closures = dataManager.getClosures('2025-12-01', '2025-12-31');
+    expect(closures).toEqual([expect.objectContaining({ date: '2025-12-25', name: 'Christmas', source: 'manual' })]);
+
+    expect(dataManager.removeClosure(closures[0].id).success).toBe(true);
+    expect(dataManager.getClosures()).toHaveLength(2);
+    expect(dataManager.addClosure({ date: '2025-12-31', endDate: '2025-12-30' }).success).toBe(false);
+  });
+});
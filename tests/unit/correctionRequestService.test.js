@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const CorrectionRequestService = require('../../correctionRequestService.js');
+const testUtils = require('../helpers/testUtils');
+
+describe('CorrectionRequestService', () => {
+  let dataManager;
+  let service;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    // Cloud API unreachable: everything stays in the local cache
+    global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+
+    service = new CorrectionRequestService(dataManager);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  const submit = (overrides = {}) => service.submitCorrectionRequest({
+    ufid: '12345678', date: '2025-01-06', signInTime: '09:00', signOutTime: '12:30', reason: 'Forgot to sign in', ...overrides
+  });
+
+  test('validates requests before queueing them', async () => {
+    expect((await submit({ ufid: '99999999' })).success).toBe(false);
+    expect((await submit({ signOutTime: '08:00' })).error).toMatch(/after sign-in/);
+    expect((await submit({ reason: ' ' })).success).toBe(false);
+
+    const result = await submit();
+    expect(result.record).toMatchObject({ status: 'pending', source: 'kiosk', name: 'Test Student' });
+    expect((await submit()).error).toMatch(/already waiting/);
+  });
+
+  test('approval writes a flagged session that counts in the daily summary', async () => {
+    const { record } = await submit();
+    const result = await service.approveCorrectionRequest(record.id, { approvedBy: 'Dr. Smith', signOutTime: '13:00' });
+
+    expect(result.record).toMatchObject({ status: 'approved', reviewedBy: 'Dr. Smith', signOutTime: '13:00' });
+    expect(dataManager.getAttendance()).toEqual([
+      expect.objectContaining({ action: 'signin', timestamp: '2025-01-06T14:00:00.000Z', correction: true, approvedBy: 'Dr. Smith', correctionReason: 'Forgot to sign in' }),
+      expect.objectContaining({ action: 'signout', timestamp: '2025-01-06T18:00:00.000Z', correction: true, correctionRequestId: record.id })
+    ]);
+    expect(dataManager.getSessions()[0].source).toBe('correction');
+
+    const { summaries } = dataManager.computeDailySummary('2025-01-06');
+    expect(summaries[0]).toMatchObject({ totalHours: 4, absent: false });
+    expect(summaries[0].sessions[0]).toMatchObject({ correction: true });
+
+    expect((await service.approveCorrectionRequest(record.id)).error).toMatch(/already been reviewed/);
+  });
+
+  test('takes the signin back out when the signout cannot be written', async () => {
+    const { record } = await submit();
+    const add = dataManager.addAttendanceRecord.bind(dataManager);
+    jest.spyOn(dataManager, 'addAttendanceRecord').mockImplementation((row, audit) => (
+      row.action === 'signout' ? { success: false, error: 'disk full' } : add(row, audit)
+    ));
+
+    expect(await service.approveCorrectionRequest(record.id)).toEqual({ success: false, error: 'disk full' });
+    expect(dataManager.getAttendance({ includeDeleted: true })).toEqual([]);
+    expect(service.getCorrectionStats()).toMatchObject({ pending: 1 });
+
+    dataManager.addAttendanceRecord.mockRestore();
+    expect((await service.approveCorrectionRequest(record.id)).success).toBe(true);
+    expect(dataManager.getAttendance().map(r => r.action)).toEqual(['signin', 'signout']);
+  });
+
+  test('refuses overlapping corrections and records rejections', async () => {
+    dataManager.addAttendanceRecord({ id: 1, ufid: '12345678', name: 'Test Student', action: 'signin', timestamp: '2025-01-06T16:00:00.000Z' });
+    dataManager.addAttendanceRecord({ id: 2, ufid: '12345678', name: 'Test Student', action: 'signout', timestamp: '2025-01-06T19:00:00.000Z' });
+
+    const { record } = await submit();
+    expect((await service.approveCorrectionRequest(record.id)).error).toMatch(/overlaps/);
+
+    const rejected = await service.rejectCorrectionRequest(record.id, { reviewedBy: 'Dr. Smith', note: 'Was in class' });
+    expect(rejected.record).toMatchObject({ status: 'rejected', reviewNote: 'Was in class' });
+    expect(service.getCorrectionStats()).toMatchObject({ pending: 0, rejected: 1 });
+    expect(dataManager.getAttendance()).toHaveLength(2);
+  });
+
+  test('uses the cloud API\'s key-protected sync routes', async () => {
+    const config = dataManager.getConfig();
+    config.webSync = { enabled: true, apiUrl: 'https://cloud.example.edu/', apiKey: 'sync-key' };
+    fs.writeFileSync(dataManager.configFile, JSON.stringify(config));
+
+    const { record } = await submit();
+    await service.rejectCorrectionRequest(record.id);
+
+    const calls = global.fetch.mock.calls.map(([url, options]) => [options?.method || 'GET', url, options?.headers['X-API-Key']]);
+    expect(calls).toEqual([
+      ['POST', 'https://cloud.example.edu/api/admin/data/sync/corrections', 'sync-key'],
+      ['GET', 'https://cloud.example.edu/api/admin/data/sync/corrections', 'sync-key'],
+      ['PUT', `https://cloud.example.edu/api/admin/data/sync/corrections/${record.id}`, 'sync-key']
+    ]);
+  });
+});
+
+describe('DatabaseManager correction columns', () => {
+  test('persists correction flags on attendance rows', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'corrections-test-'));
+    const db = new DatabaseManager({ dataDir });
+    await db.initialize();
+
+    db.addAttendanceRecord({
+      id: 1, ufid: '12345678', name: 'Test', action: 'signin', timestamp: '2025-01-06T14:00:00.000Z',
+      correction: true, correctionRequestId: 'corr-1', approvedBy: 'Dr. Smith', correctionReason: 'Kiosk down'
+    });
+    db.addAttendanceRecord({ id: 2, ufid: '12345678', name: 'Test', action: 'signout', timestamp: '2025-01-06T18:00:00.000Z', correction: true });
+
+    expect(db.getAttendanceById(1)).toMatchObject({ correction: true, correctionRequestId: 'corr-1', approvedBy: 'Dr. Smith', correctionReason: 'Kiosk down' });
+    expect(db.getSessions()[0].source).toBe('correction');
+
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});
@@ -194,6 +194,47 @@ describe('DataManager Unit Tests', () => {
       const todaysAttendance = dataManager.getTodaysAttendance();
       expect(Array.isArray(todaysAttendance)).toBe(true);
     });
+
+    test('should split a session that crosses midnight between both days', () => {
+      const ufid = '12345678';
+      // 10 PM -> 1 AM Eastern (default lab timezone)
+      dataManager.addAttendanceRecord({ id: 1, ufid, name: 'Test', action: 'signin', timestamp: '2025-01-07T03:00:00.000Z' });
+      dataManager.addAttendanceRecord({ id: 2, ufid, name: 'Test', action: 'signout', timestamp: '2025-01-07T06:00:00.000Z' });
+
+      const options = { closeOpenAtHour: null, autoWriteSignOutAtHour: null, autoPolicy: null };
+      const first = dataManager.computeDailySummary('2025-01-06', options).summaries.find(s => s.ufid === ufid);
+      const second = dataManager.computeDailySummary('2025-01-07', options).summaries.find(s => s.ufid === ufid);
+
+      expect(first.totalMinutes).toBe(120);
+      expect(second.totalMinutes).toBe(60);
+      expect(first.sessions[0]).toMatchObject({ closed: true, crossesMidnight: true });
+    });
+
+    test('should use the configured lab timezone for day boundaries', () => {
+      const fs = require('fs');
+      const ufid = '12345678';
+      // 23:30 UTC -> 00:30 UTC the next day
+      dataManager.addAttendanceRecord({ id: 1, ufid, name: 'Test', action: 'signin', timestamp: '2025-01-06T23:30:00.000Z' });
+      dataManager.addAttendanceRecord({ id: 2, ufid, name: 'Test', action: 'signout', timestamp: '2025-01-07T00:30:00.000Z' });
+
+      const options = { closeOpenAtHour: null, autoWriteSignOutAtHour: null, autoPolicy: null };
+      const minutesOn = (timezone, day) => {
+        const config = JSON.parse(fs.readFileSync(dataManager.configFile, 'utf8'));
+        fs.writeFileSync(dataManager.configFile, JSON.stringify({ ...config, timezone }, null, 2));
+        const row = dataManager.computeDailySummary(day, options).summaries.find(s => s.ufid === ufid);
+        return row ? row.totalMinutes : 0;
+      };
+
+      // Whole session inside Jan 6 in New York (18:30-19:30)
+      expect(minutesOn('America/New_York', '2025-01-06')).toBe(60);
+      expect(minutesOn('America/New_York', '2025-01-07')).toBe(0);
+      // Split across midnight in London (23:30-00:30)
+      expect(minutesOn('Europe/London', '2025-01-06')).toBe(30);
+      expect(minutesOn('Europe/London', '2025-01-07')).toBe(30);
+      // Whole session inside Jan 7 in Auckland (12:30-13:30 NZDT)
+      expect(minutesOn('Pacific/Auckland', '2025-01-06')).toBe(0);
+      expect(minutesOn('Pacific/Auckland', '2025-01-07')).toBe(60);
+    });
   });
 
   describe('Admin Functions', () => {
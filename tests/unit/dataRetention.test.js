@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const dataRetention = require('../../dataRetention.js');
+const { createStorageProvider } = require('../../storageProvider.js');
+
+describe('dataRetention', () => {
+  test('normalizes a policy and computes cutoffs', () => {
+    const policy = dataRetention.normalizePolicy({ enabled: true, attendance: '1095', logs: 0, pending: 'x' });
+    expect(policy).toEqual({ enabled: true, attendance: 1095, logs: null, pending: null, faceDescriptors: 365, backups: null });
+
+    const now = new Date('2026-10-19T12:00:00.000Z');
+    expect(dataRetention.cutoffFor({ attendance: 10 }, 'attendance', now)).toBe('2026-10-09T12:00:00.000Z');
+    expect(dataRetention.cutoffFor(policy, 'logs', now)).toBeNull();
+  });
+
+  test('signed reports verify, and fail once altered or checked against another key', () => {
+    const key = dataRetention.generateSigningKey();
+    const signed = dataRetention.signReport({ kind: 'erasure', ref: 'erased-1', removed: { students: 1 } }, key);
+
+    expect(dataRetention.verifyReport(signed)).toBe(true);
+    expect(dataRetention.verifyReport(signed, signed.signature.publicKey)).toBe(true);
+    expect(dataRetention.verifyReport({ ...signed, report: { ...signed.report, ref: 'erased-2' } })).toBe(false);
+
+    const other = dataRetention.signReport({}, dataRetention.generateSigningKey()).signature.publicKey;
+    expect(dataRetention.verifyReport(signed, other)).toBe(false);
+  });
+
+  test('takes a student out of records, backups and journal segments', () => {
+    const backup = { students: [{ ufid: '1' }, { ufid: '2' }], attendance: [{ ufid: '1' }], config: {} };
+    expect(dataRetention.withoutStudent(backup, '1')).toEqual({
+      data: { students: [{ ufid: '2' }], attendance: [], config: {} },
+      removed: 2
+    });
+
+    const segment = [
+      { seq: 1, entity: 'student', op: 'put', key: '1', data: { ufid: '1' } },
+      { seq: 2, entity: 'attendance', op: 'put', key: 'a', data: { ufid: '1' } },
+      { seq: 3, entity: 'attendance', op: 'put', key: 'b', data: { ufid: '2' } }
+    ].map(e => JSON.stringify(e)).join('\n');
+    const scrubbed = dataRetention.segmentWithoutStudent(segment, '1');
+    expect(scrubbed.removed).toBe(2);
+    expect(scrubbed.text).toBe(`${JSON.stringify({ seq: 3, entity: 'attendance', op: 'put', key: 'b', data: { ufid: '2' } })}\n`);
+
+    expect(dataRetention.backupFormat('backup-2026-01-01T00-00-00-000Z.json')).toBe('json');
+    expect(dataRetention.backupFormat('encrypted-backup-2026-01-01T00-00-00-000Z.enc')).toBe('encrypted');
+    expect(dataRetention.backupFormat('notes.txt')).toBeNull();
+  });
+});
+
+describe('DataManager retention and erasure', () => {
+  let dir;
+
+  async function openDataManager({ sqlite = false } = {}) {
+    const dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    if (sqlite) {
+      dataManager.useSqlite = true;
+      await dataManager.initializeSqlite();
+    }
+    return dataManager;
+  }
+
+  function seed(dataManager) {
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    dataManager.addStudent('22222222', 'Alan Turing', 'alan@ufl.edu');
+    const attendance = [
+      { id: 1, ufid: '11111111', name: 'Ada Lovelace', action: 'signin', timestamp: '2020-01-07T14:00:00.000Z' },
+      { id: 2, ufid: '11111111', name: 'Ada Lovelace', action: 'signout', timestamp: '2020-01-07T16:00:00.000Z' },
+      { id: 3, ufid: '22222222', name: 'Alan Turing', action: 'signin', timestamp: '2026-10-01T14:00:00.000Z' }
+    ];
+    if (dataManager.dbManager) attendance.forEach(r => dataManager.dbManager.addAttendanceRecord(r));
+    else fs.writeFileSync(dataManager.attendanceFile, JSON.stringify(attendance, null, 2));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('applies the policy to attendance, logs and backups, with a dry run first', async () => {
+    const dataManager = await openDataManager();
+    seed(dataManager);
+    dataManager.updateDataRetention({ attendance: 1000, logs: 30, backups: 90 });
+    fs.appendFileSync(dataManager.logger.logFile, `${JSON.stringify({ timestamp: '2020-01-01T00:00:00.000Z', message: 'old' })}\n`);
+    const backupDir = path.join(dir, 'backups');
+    fs.mkdirSync(backupDir);
+    fs.writeFileSync(path.join(backupDir, 'backup-2020-01-01T00-00-00-000Z.json'), '{}');
+    fs.writeFileSync(path.join(backupDir, 'backup-2026-10-18T00-00-00-000Z.json'), '{}');
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    const preview = dataManager.applyDataRetention({ dryRun: true, now });
+    expect(preview).toMatchObject({ success: true, dryRun: true, attendance: 2, logs: 1, backups: ['backup-2020-01-01T00-00-00-000Z.json'] });
+    expect(dataManager.getAttendance()).toHaveLength(3);
+
+    expect(dataManager.applyDataRetention({ now })).toMatchObject({ success: true, attendance: 2, logs: 1 });
+    expect(dataManager.getAttendance().map(r => r.id)).toEqual([3]);
+    expect(fs.readFileSync(dataManager.logger.logFile, 'utf8')).not.toMatch(/"old"/);
+    expect(fs.readdirSync(backupDir)).toEqual(['backup-2026-10-18T00-00-00-000Z.json']);
+  });
+
+  test('clears face descriptors of students not seen for longer than the policy allows', async () => {
+    const dataManager = await openDataManager({ sqlite: true });
+    seed(dataManager);
+    dataManager.saveFaceDescriptor('11111111', [0.1, 0.2]);
+    dataManager.saveFaceDescriptor('22222222', [0.3, 0.4]);
+    dataManager.updateDataRetention({ faceDescriptors: 365, logs: null });
+
+    const result = dataManager.applyDataRetention({ now: new Date('2026-10-19T12:00:00.000Z') });
+    expect(result.faceDescriptors).toEqual(['11111111']);
+    expect(dataManager.getAllFaceDescriptors().map(f => f.ufid)).toEqual(['22222222']);
+    expect(dataManager.getAuditLog({ action: 'student.face_clear' }).entries[0]).toMatchObject({ actor: 'system', reason: 'Data retention' });
+    dataManager.dbManager.close();
+  });
+
+  test('exports a student, then erases them everywhere on the kiosk', async () => {
+    const dataManager = await openDataManager({ sqlite: true });
+    seed(dataManager);
+    dataManager.saveFaceDescriptor('11111111', [0.1, 0.2]);
+    dataManager.updateEncryptionSettings(true, 'lab-password');
+
+    const exported = dataManager.getStudentDataExport('11111111');
+    expect(exported.data).toMatchObject({ student: { name: 'Ada Lovelace' }, faceDescriptor: [0.1, 0.2] });
+    expect(exported.data.attendance).toHaveLength(2);
+    expect(exported.data.audit.map(e => e.action)).toEqual(expect.arrayContaining(['student.create', 'student.face_enroll']));
+
+    dataManager.backupData();
+    dataManager.createEncryptedBackup('lab-password');
+    const backupDir = path.join(dir, 'backups');
+    fs.copyFileSync(path.join(dir, 'attendance.db'), path.join(backupDir, 'attendance-db-2026-10-18T00-00-00-000Z.db'));
+    fs.mkdirSync(dataManager.journalDir);
+    fs.writeFileSync(path.join(dataManager.journalDir, 'snapshot.json'), '{}');
+    dataManager.saveJournalState('push', { device: 'kiosk-a', seq: 7, compactedAt: new Date().toISOString(), hashes: { student: { 11111111: 'h' } } });
+    dataManager.logger.info('attendance', 'Ada Lovelace signed in', 'kiosk');
+
+    const erased = await dataManager.eraseStudentData('11111111');
+    expect(erased).toMatchObject({ success: true, ref: expect.stringMatching(/^erased-/) });
+    expect(erased.removed).toMatchObject({ students: 1, attendance: 2, auditRedacted: 2 });
+    expect(erased.backups.scrubbed).toHaveLength(3);
+    expect(erased.backups.retained).toEqual([]);
+
+    expect(dataManager.getStudents().map(s => s.ufid)).toEqual(['22222222']);
+    expect(dataManager.getAttendance().map(r => r.ufid)).toEqual(['22222222']);
+    expect(fs.readFileSync(dataManager.studentsFile, 'utf8')).not.toMatch(/11111111/);
+    expect(fs.readFileSync(dataManager.logger.logFile, 'utf8')).not.toMatch(/Lovelace|11111111/);
+    expect(fs.existsSync(dataManager.journalDir)).toBe(false);
+    expect(dataManager.readJournalState().push).toMatchObject({ device: 'kiosk-a', seq: 7, hashes: {} });
+
+    const audit = dataManager.getAuditLog({ entityId: erased.ref }).entries;
+    expect(audit.map(e => e.action)).toEqual(expect.arrayContaining(['student.create', 'student.face_enroll']));
+    audit.forEach(e => expect(e).toMatchObject({ before: null, after: null }));
+    expect(() => dataManager.dbManager.getDb().run("UPDATE audit_log SET reason = 'x'")).toThrow(/append-only/);
+
+    const ufidsIn = async (name) => {
+      const file = path.join(backupDir, name);
+      const format = dataRetention.backupFormat(name);
+      const backup = format === 'encrypted'
+        ? dataManager.encryptionService.readEncryptedFile(file, 'lab-password')
+        : { data: await dataManager.readBackupFile(file, format) };
+      return backup.data.students.map(s => s.ufid);
+    };
+    for (const name of fs.readdirSync(backupDir)) {
+      expect(await ufidsIn(name)).toEqual(['22222222']);
+    }
+    dataManager.dbManager.close();
+  });
+
+  test('keeps a signed erasure report and audits it under the erasure reference', async () => {
+    const dataManager = await openDataManager();
+    seed(dataManager);
+    const erased = await dataManager.eraseStudentData('11111111');
+
+    const recorded = dataManager.recordPrivacyReport('erasure', { ref: erased.ref, removed: erased.removed }, { actorName: 'Admin' });
+    expect(recorded.success).toBe(true);
+    const onDisk = JSON.parse(fs.readFileSync(recorded.reportFile, 'utf8'));
+    expect(dataRetention.verifyReport(onDisk)).toBe(true);
+    expect(onDisk.report).toMatchObject({ kind: 'erasure', ref: erased.ref, removed: { students: 1, attendance: 2 } });
+    expect(JSON.stringify(onDisk)).not.toMatch(/11111111/);
+
+    expect(dataManager.getAuditLog({ action: 'privacy.erase' }).entries[0]).toMatchObject({
+      entityId: erased.ref,
+      actor: 'admin-desktop',
+      actorName: 'Admin'
+    });
+    expect(dataManager.getReportSigningKey()).toBe(fs.readFileSync(dataManager.signingKeyFile, 'utf8'));
+  });
+
+  test('a backup encrypted with another password is reported as retained', async () => {
+    const dataManager = await openDataManager();
+    seed(dataManager);
+    dataManager.updateEncryptionSettings(true, 'lab-password');
+    fs.mkdirSync(path.join(dir, 'backups'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'backups', 'encrypted-backup-2026-01-01T00-00-00-000Z.enc'),
+      dataManager.encryptionService.encrypt({ students: [{ ufid: '11111111' }] }, 'someone-else').data);
+
+    const erased = await dataManager.eraseStudentData('11111111');
+    expect(erased.backups.retained).toEqual([
+      { file: 'encrypted-backup-2026-01-01T00-00-00-000Z.enc', error: 'Invalid password or corrupted data' }
+    ]);
+  });
+
+  test('scrubs a database backup without touching one that never had the student', async () => {
+    const scratch = path.join(dir, 'other');
+    fs.mkdirSync(scratch);
+    const db = new DatabaseManager({ dataDir: scratch });
+    await db.initialize();
+    db.upsertStudent({ ufid: '22222222', name: 'Alan Turing' });
+    db.close();
+    const buf = fs.readFileSync(path.join(scratch, 'attendance.db'));
+
+    const dataManager = await openDataManager();
+    expect(await dataManager.scrubBackup(buf, 'sqlite', '11111111', 'erased-x')).toEqual({ success: true, removed: 0, buf });
+  });
+
+  test('scrubs remote storage: data files, the journal and backups', async () => {
+    const share = path.join(dir, 'share');
+    fs.mkdirSync(share);
+    const dataManager = await openDataManager();
+    dataManager.updateStorageConfig({ provider: 'local', local: { path: share } });
+    dataManager.updateDropboxConfig({ enabled: true, masterMode: false, deltaSync: true });
+    const storage = createStorageProvider(dataManager, 'local');
+    seed(dataManager);
+    expect(await storage.syncByMode(dir)).toMatchObject({ success: true, compacted: true });
+    dataManager.addAttendanceRecord({ id: 4, ufid: '11111111', name: 'Ada Lovelace', action: 'signin', timestamp: '2026-10-19T13:00:00.000Z' });
+    expect(await storage.syncByMode(dir)).toMatchObject({ success: true, events: 1 });
+    expect((await storage.uploadBackup()).success).toBe(true);
+
+    const erased = await dataManager.eraseStudentData('11111111');
+    const remote = await storage.eraseStudent('11111111', erased.ref);
+    expect(remote).toMatchObject({ success: true, retained: [] });
+    expect(remote.scrubbed.map(f => path.basename(f)).sort()).toEqual(expect.arrayContaining([
+      'attendance.json', 'snapshot.json', 'students.json', expect.stringMatching(/\.ndjson$/), expect.stringMatching(/^backup-/)
+    ]));
+
+    const everything = fs.readdirSync(share, { recursive: true })
+      .filter(f => fs.statSync(path.join(share, f)).isFile())
+      .map(f => fs.readFileSync(path.join(share, f), 'utf8'))
+      .join('\n');
+    expect(everything).not.toMatch(/11111111/);
+    expect(everything).toMatch(/22222222/);
+  });
+});
@@ -3,3 +3,55 @@ describe('EmailService Unit Tests (stub)', () => {
     expect(true).toBe(true);
   });
 });
+
+describe('EmailService attendance warnings', () => {
+  const EmailService = require('../../emailService.js');
+  let service;
+  let students;
+  let sent;
+
+  const config = { emailSettings: { enabled: true, email: 'lab@example.com' } };
+  const report = (closedWeekdays, expectedHoursPerWeek, totalHours) => ({
+    startDate: '2025-11-24',
+    closedWeekdays,
+    studentReports: {
+      '12345678': { name: 'Alice', email: 'alice@example.com', expectedHoursPerWeek, totalHours }
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(EmailService.prototype, 'initializeScheduler').mockImplementation(() => {});
+    students = [{ ufid: '12345678', name: 'Alice', weeklyWarningStreak: 0 }];
+    service = new EmailService({
+      getStudents: () => students,
+      updateStudent: async (ufid, updates) => Object.assign(students.find(s => s.ufid === ufid), updates)
+    });
+    sent = [];
+    service.createTransporter = () => ({});
+    service.sendAttendanceWarningEmail = async (transporter, settings, rep, streak) => sent.push({ rep, streak });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('warns against the prorated hours in a week with a closure', async () => {
+    await service.checkAndSendAttendanceWarnings(report(2, 6, 3), config);
+    expect(sent).toHaveLength(1);
+    expect(students[0].weeklyWarningStreak).toBe(1);
+  });
+
+  test('meeting the prorated hours clears the streak', async () => {
+    students[0].weeklyWarningStreak = 2;
+    await service.checkAndSendAttendanceWarnings(report(2, 6, 5), config);
+    expect(sent).toHaveLength(0);
+    expect(students[0].weeklyWarningStreak).toBe(0);
+  });
+
+  test('a week closed every weekday leaves streaks untouched', async () => {
+    students[0].weeklyWarningStreak = 2;
+    await service.checkAndSendAttendanceWarnings(report(5, 0, 0), config);
+    expect(sent).toHaveLength(0);
+    expect(students[0].weeklyWarningStreak).toBe(2);
+  });
+});
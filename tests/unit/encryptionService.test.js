@@ -1,5 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CryptoJS = require('crypto-js');
+const EncryptionService = require('../../encryptionService.js');
+const DataManager = require('../../data.js');
+
+// Written by DataManager.encrypt before the versioned format (password 'old-password')
+const LEGACY_BACKUP = 'b7f9ac6529badcd53bd3a3cbb9f88599:c1f9688ddbbe5ea4e5dd041ca727316f24329753031f18b4e5a8381c4a2452a5c5f6c4b5056f023b9e701a8d82badfc6d5a36dcebcd9ac9372afa2b68f6c1504f4e34b3d1ce59f82335219be941c2778';
+const LEGACY_FIELD = '1c9e3bbb70b4e4d110daceb2baa35a31:96cb9554ed61e1699933cfdb053a5249';
+
 describe('EncryptionService Unit Tests (stub)', () => {
   test('encrypts and decrypts payload (mocked)', () => {
     expect(true).toBe(true);
   });
 });
+
+describe('Versioned encrypted files', () => {
+  const service = new EncryptionService();
+
+  test('writes a header with a random salt, KDF params, cipher and MAC', () => {
+    const first = service.encrypt({ students: [] }, 'secret-pass').data;
+    const second = service.encrypt({ students: [] }, 'secret-pass').data;
+    const header = service.readHeader(first);
+
+    expect(header).toMatchObject({
+      magic: 'UFLAB-ENC',
+      version: 2,
+      kdf: { name: 'pbkdf2-sha256', iterations: EncryptionService.KDF_ITERATIONS },
+      cipher: { name: 'aes-256-gcm' }
+    });
+    expect(header.mac).toEqual(expect.any(String));
+    expect(service.readHeader(second).kdf.salt).not.toBe(header.kdf.salt);
+    expect(service.decrypt(first, 'secret-pass')).toEqual({ success: true, data: { students: [] }, version: 2 });
+    expect(service.decrypt(first, 'wrong-pass').success).toBe(false);
+  });
+
+  test('rejects a file whose header or ciphertext was altered', () => {
+    const body = service.encrypt({ ok: true }, 'secret-pass').data;
+    const [headerLine, ciphertext] = body.split('\n');
+
+    const edited = headerLine.replace(/"iterations":\d+/, `"iterations":${EncryptionService.KDF_ITERATIONS + 1}`);
+    expect(service.decrypt(`${edited}\n${ciphertext}`, 'secret-pass')).toEqual({ success: false, error: 'Invalid password or corrupted data' });
+
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+    expect(service.decrypt(`${headerLine}\n${flipped.toString('base64')}`, 'secret-pass').success).toBe(false);
+  });
+
+  test('rejects key derivation settings outside the supported range before deriving a key', () => {
+    const body = service.encrypt({ ok: true }, 'secret-pass').data;
+    const [headerLine, ciphertext] = body.split('\n');
+    const header = JSON.parse(headerLine);
+    const withKdf = (kdf) => `${JSON.stringify({ ...header, kdf: { ...header.kdf, ...kdf } })}\n${ciphertext}`;
+    const derive = jest.spyOn(service, 'deriveKey');
+
+    try {
+      expect(service.decrypt(withKdf({ iterations: 1 }), 'secret-pass')).toEqual({ success: false, error: 'Unsupported iteration count (1)' });
+      expect(service.decrypt(withKdf({ iterations: 1e12 }), 'secret-pass').error).toMatch(/iteration count/);
+      expect(service.decrypt(withKdf({ iterations: '210000' }), 'secret-pass').error).toMatch(/iteration count/);
+      expect(service.decrypt(withKdf({ name: 'scrypt' }), 'secret-pass').error).toBe('Unsupported key derivation (scrypt)');
+      expect(service.decrypt(withKdf({ salt: 'AAAA' }), 'secret-pass').error).toBe('Invalid salt');
+      expect(derive).not.toHaveBeenCalled();
+      expect(service.encrypt({}, 'secret-pass', { iterations: 1000 })).toEqual({ success: false, error: 'Unsupported iteration count (1000)' });
+    } finally {
+      derive.mockRestore();
+    }
+  });
+
+  test('reads headerless files from older releases', () => {
+    const v1 = CryptoJS.AES.encrypt(JSON.stringify({ a: 1 }), service.generateKey('pw').toString()).toString();
+
+    expect(service.decrypt(v1, 'pw')).toEqual({ success: true, data: { a: 1 }, version: 1 });
+    expect(service.decrypt(LEGACY_BACKUP, 'old-password')).toMatchObject({
+      success: true,
+      version: 0,
+      data: { students: [{ ufid: '11111111', name: 'Ada' }], encrypted: true }
+    });
+    expect(service.decrypt(LEGACY_BACKUP, 'not-it').success).toBe(false);
+  });
+
+  test('decryptFile reads every version and re-encryption upgrades to the current one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enc-'));
+    try {
+      const file = path.join(dir, 'encrypted-backup-old.enc');
+      fs.writeFileSync(file, LEGACY_BACKUP);
+
+      const result = service.decryptFile(file, 'old-password');
+      expect(result).toMatchObject({ success: true, version: 0, decryptedPath: path.join(dir, 'encrypted-backup-old.json') });
+      expect(JSON.parse(fs.readFileSync(result.decryptedPath, 'utf8')).students[0].name).toBe('Ada');
+
+      const upgraded = service.reencrypt(LEGACY_BACKUP, 'old-password', 'new-password');
+      expect(upgraded.fromVersion).toBe(0);
+      expect(service.decrypt(upgraded.data, 'new-password')).toMatchObject({ success: true, version: 2 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('field values round-trip with a derived key', () => {
+    const key = service.deriveKey('pw', service.generateSalt(), 1000);
+    const value = service.encryptField('Ada Lovelace', key);
+
+    expect(service.isEncryptedField(value)).toBe(true);
+    expect(service.decryptField(value, key)).toEqual({ success: true, data: 'Ada Lovelace' });
+    expect(service.decryptField(value, service.deriveKey('pw', service.generateSalt(), 1000)).success).toBe(false);
+  });
+});
+
+describe('Rotating the encryption password', () => {
+  let dir;
+  let dataManager;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rotate-'));
+    dataManager = new DataManager();
+    dataManager.dataDir = dir;
+    dataManager.studentsFile = path.join(dir, 'students.json');
+    dataManager.attendanceFile = path.join(dir, 'attendance.json');
+    dataManager.configFile = path.join(dir, 'config.json');
+    dataManager.auditFile = path.join(dir, 'audit.jsonl');
+    dataManager.syncStateFile = path.join(dir, 'sync-state.json');
+    dataManager.initializeData();
+    dataManager.updateEncryptionSettings(true, 'old-password');
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const rawStudent = () => JSON.parse(fs.readFileSync(dataManager.studentsFile, 'utf8'))[0];
+
+  test('sensitive fields use the install salt', () => {
+    const { salt } = dataManager.getConfig().encryption;
+    expect(salt).toEqual(expect.any(String));
+    expect(rawStudent()).toMatchObject({ name_encrypted: true, email_encrypted: true });
+    expect(rawStudent().name.startsWith('v2:')).toBe(true);
+    expect(dataManager.getStudents()[0].name).toBe('Ada Lovelace');
+  });
+
+  test('still reads fields encrypted before the install salt', () => {
+    fs.writeFileSync(dataManager.studentsFile, JSON.stringify([{ ufid: '22222222', name: LEGACY_FIELD, name_encrypted: true }]));
+    expect(dataManager.getStudents()[0].name).toBe('Ada Lovelace');
+  });
+
+  test('re-encrypts fields and encrypted backups with the new password', () => {
+    const backupDir = path.join(dir, 'backups');
+    const backup = dataManager.createEncryptedBackup('old-password');
+    fs.writeFileSync(path.join(backupDir, 'encrypted-backup-legacy.enc'), LEGACY_BACKUP);
+    fs.writeFileSync(path.join(backupDir, 'encrypted-backup-other.enc'),
+      dataManager.encryptionService.encrypt({ x: 1 }, 'someone-else').data);
+    const oldSalt = dataManager.getConfig().encryption.salt;
+
+    const result = dataManager.rotateEncryptionPassword('old-password', 'new-password', { actorName: 'Admin' });
+
+    expect(result).toMatchObject({ success: true, students: 1, backups: 2 });
+    expect(result.skipped).toEqual([{ file: 'encrypted-backup-other.enc', error: 'Invalid password or corrupted data' }]);
+    expect(dataManager.verifyEncryptionPassword('new-password')).toBe(true);
+    expect(dataManager.getConfig().encryption.salt).not.toBe(oldSalt);
+    expect(dataManager.getStudents()[0]).toMatchObject({ name: 'Ada Lovelace', email: 'ada@ufl.edu' });
+
+    const reread = dataManager.encryptionService.readEncryptedFile(backup.backupFile, 'new-password');
+    expect(reread).toMatchObject({ success: true, version: 2 });
+    expect(reread.data.students[0].name).toBe('Ada Lovelace');
+    expect(dataManager.encryptionService.readEncryptedFile(path.join(backupDir, 'encrypted-backup-legacy.enc'), 'new-password'))
+      .toMatchObject({ success: true, version: 2 });
+
+    expect(dataManager.getAuditLog({ action: 'encryption.rotate' }).entries[0]).toMatchObject({
+      actor: 'admin-desktop',
+      actorName: 'Admin',
+      after: { students: 1, backups: 2, skipped: 1 }
+    });
+  });
+
+  test('changes nothing when the current password is wrong', () => {
+    const before = fs.readFileSync(dataManager.studentsFile, 'utf8');
+    expect(dataManager.rotateEncryptionPassword('guess', 'new-password')).toEqual({
+      success: false,
+      error: 'Current encryption password is incorrect'
+    });
+    expect(fs.readFileSync(dataManager.studentsFile, 'utf8')).toBe(before);
+  });
+});
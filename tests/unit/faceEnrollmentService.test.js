@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const FaceEnrollmentService = require('../../faceEnrollmentService.js');
+
+// A unit vector `degrees` away from the axis, in the plane of axes a and b
+function embeddingAt(a, b, degrees, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[a] = Math.cos(degrees * Math.PI / 180);
+  v[b] = Math.sin(degrees * Math.PI / 180);
+  return v;
+}
+
+// Eyes at x 100 and 160; the nose says which way the head is turned
+const KPS = {
+  front: [[100, 100], [160, 100], [130, 130]],
+  left: [[100, 100], [160, 100], [110, 130]],
+  right: [[100, 100], [160, 100], [150, 130]]
+};
+
+// The stub face service reads each uploaded "image" as the name of a face
+const FACES = {
+  front: { embedding: embeddingAt(0, 1, 0), kps: KPS.front },
+  left: { embedding: embeddingAt(0, 1, 20), kps: KPS.left },
+  right: { embedding: embeddingAt(0, 1, 40), kps: KPS.right },
+  screen: { embedding: embeddingAt(0, 1, 0), kps: KPS.front, is_screen: true },
+  stranger: { embedding: embeddingAt(4, 5, 0), kps: KPS.front }
+};
+
+function analyzed(name) {
+  return { bbox: [60, 60, 200, 220], det_score: 0.9, is_screen: false, ...FACES[name] };
+}
+
+// Three frames per pose, in the given order, two seconds apart
+function capture(poses, faceOf = pose => pose) {
+  const start = Date.parse('2026-03-02T15:00:00Z');
+  return poses.flatMap((pose, p) => [0, 1, 2].map(i => ({
+    pose,
+    capturedAt: new Date(start + (p * 3 + i) * 2000).toISOString(),
+    image: faceOf(pose, i)
+  })));
+}
+
+// In-memory stand-in for the cloud API's /sync/face-enrollments routes
+function fakeCloud() {
+  const cloud = { requests: [], media: {} };
+  const respond = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+  cloud.fetch = jest.fn(async (url, { method, body }) => {
+    const route = url.split('/sync/face-enrollments')[1];
+    const id = decodeURIComponent(route.split('/')[1] || '');
+    const record = cloud.requests.find(r => r.id === id);
+
+    if (method === 'POST') {
+      cloud.requests.unshift(JSON.parse(body));
+      return respond(200, { success: true });
+    }
+    if (method === 'GET' && !route) return respond(200, { success: true, requests: JSON.parse(JSON.stringify(cloud.requests)) });
+    if (method === 'GET') {
+      return cloud.media[id] ? respond(200, { success: true, frames: cloud.media[id] }) : respond(404, { success: false, error: 'No frames' });
+    }
+    const update = JSON.parse(body);
+    for (const field of ['status', 'analysis', 'reviewedAt', 'reviewedBy', 'reviewNote', 'updatedAt']) record[field] = update[field];
+    if (!['invited', 'submitted'].includes(record.status)) delete cloud.media[id];
+    return respond(200, { success: true, record });
+  });
+
+  // What the /enroll/:token page does
+  cloud.upload = (ufid, frames) => {
+    const record = cloud.requests.find(r => r.ufid === ufid);
+    cloud.media[record.id] = frames;
+    record.status = 'submitted';
+    record.updatedAt = new Date(Date.now() + 1000).toISOString();
+    return record;
+  };
+  return cloud;
+}
+
+describe('FaceEnrollmentService', () => {
+  let dir;
+  let dataManager;
+  let faceService;
+  let cloud;
+  let service;
+  const originalFetch = global.fetch;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'face-enroll-'));
+    dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.useSqlite = true;
+    await dataManager.initializeSqlite();
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    dataManager.addStudent('22222222', 'Alan Turing', 'alan@ufl.edu');
+    dataManager.addStudent('33333333', 'Grace Hopper', '');
+
+    const config = dataManager.getConfig();
+    config.webSync = { enabled: true, apiUrl: 'https://cloud.example.edu/', apiKey: 'sync-key' };
+    fs.writeFileSync(dataManager.configFile, JSON.stringify(config));
+
+    cloud = fakeCloud();
+    global.fetch = cloud.fetch;
+    faceService = {
+      ready: true,
+      analyze: jest.fn(async image => ({ face: analyzed(image) })),
+      resetLiveness: jest.fn().mockResolvedValue({ ok: true })
+    };
+    service = new FaceEnrollmentService(dataManager, { createTransporter: jest.fn() }, faceService);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+    dataManager.dbManager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('sends one link at a time to students with an email address', async () => {
+    expect((await service.inviteStudent('99999999')).error).toMatch(/not found/);
+    expect((await service.inviteStudent('33333333')).error).toMatch(/no email/);
+
+    const result = await service.inviteStudent('11111111', { invitedBy: 'Dr. Smith' });
+    expect(result.success).toBe(true);
+    expect(result.link).toBe(`https://cloud.example.edu/enroll/${result.record.token}`);
+    expect([...result.record.challenge].sort()).toEqual(['front', 'left', 'right']);
+    expect(result.record).toMatchObject({ status: 'invited', invitedBy: 'Dr. Smith', email: 'ada@ufl.edu' });
+    expect(result.emailSent).toBe(false);
+    expect(cloud.requests).toEqual([result.record]);
+    expect(cloud.fetch.mock.calls[0][1].headers['X-API-Key']).toBe('sync-key');
+
+    expect((await service.inviteStudent('11111111')).error).toMatch(/already has an open/);
+  });
+
+  test('needs web sync for links', async () => {
+    const config = dataManager.getConfig();
+    config.webSync.enabled = false;
+    fs.writeFileSync(dataManager.configFile, JSON.stringify(config));
+
+    expect((await service.inviteStudent('11111111')).error).toMatch(/Web sync/);
+    expect(cloud.fetch).not.toHaveBeenCalled();
+  });
+
+  test('a passing capture waits for review, then approval enrolls the student', async () => {
+    const { record } = await service.inviteStudent('11111111');
+    cloud.upload('11111111', capture(record.challenge));
+
+    const [synced] = await service.syncWithCloud();
+    expect(synced).toMatchObject({ status: 'review', analysis: { passed: true, failures: [], warnings: [], frames: 9 } });
+    expect(faceService.analyze).toHaveBeenCalledTimes(9);
+    expect(faceService.resetLiveness).toHaveBeenCalled();
+    // The frames are gone from the cloud and the template never went there
+    expect(cloud.media).toEqual({});
+    expect(cloud.requests[0].status).toBe('review');
+    expect(JSON.stringify(cloud.fetch.mock.calls)).not.toContain('descriptor');
+    expect(dataManager.identifyFace(embeddingAt(0, 1, 10)).match).toBeNull();
+
+    const approved = await service.approveEnrollment(record.id, { approvedBy: 'Dr. Smith' });
+    expect(approved.record).toMatchObject({ status: 'approved', reviewedBy: 'Dr. Smith' });
+    expect(approved.record.descriptor).toBeUndefined();
+    expect(dataManager.identifyFace(embeddingAt(0, 1, 10)).match.ufid).toBe('11111111');
+    expect(cloud.requests[0].status).toBe('approved');
+    expect((await service.approveEnrollment(record.id)).error).toMatch(/not waiting/);
+  });
+
+  test('flags a capture that looks like another enrolled student', async () => {
+    dataManager.saveFaceDescriptor('22222222', [embeddingAt(0, 1, 5), embeddingAt(0, 1, 25), embeddingAt(0, 1, 45)]);
+    const { record } = await service.inviteStudent('11111111');
+    cloud.upload('11111111', capture(record.challenge));
+
+    const [synced] = await service.syncWithCloud();
+    expect(synced.status).toBe('review');
+    expect(synced.analysis.warnings).toEqual(['Looks like Alan Turing (22222222); make sure this is the right person']);
+  });
+
+  test('fails captures of a screen, out of order, or of someone else', () => {
+    const order = ['left', 'front', 'right'];
+    const frames = names => capture(order, (pose, i) => names(pose, i)).map(f => ({ ...f, face: analyzed(f.image) }));
+
+    const passed = service.assessCapture(frames(pose => pose), order);
+    expect(passed).toMatchObject({ passed: true, failures: [] });
+    expect(passed.samples).toEqual([FACES.left.embedding, FACES.front.embedding, FACES.right.embedding]);
+
+    expect(service.assessCapture(frames((pose, i) => (i === 1 ? 'screen' : pose)), order).failures)
+      .toContain('A screen was detected instead of a live face');
+    expect(service.assessCapture(frames(pose => pose), ['front', 'left', 'right']).failures)
+      .toContain('The poses were not captured in the order asked for');
+    expect(service.assessCapture(frames(pose => (pose === 'right' ? 'stranger' : pose)), order).failures)
+      .toEqual(['The head did not match "Turn your head slightly right"', 'The frames do not all show the same face']);
+    expect(service.assessCapture(frames(() => 'front'), order).failures)
+      .toContain('The head did not match "Turn your head slightly left"');
+
+    const slow = frames(pose => pose);
+    slow[8].capturedAt = '2026-03-02T15:10:00.000Z';
+    expect(service.assessCapture(slow, order).failures).toEqual(['The poses were not captured in one go']);
+  });
+
+  test('a failed capture is not queued and its frames are dropped', async () => {
+    const { record } = await service.inviteStudent('11111111');
+    cloud.upload('11111111', capture(record.challenge, pose => (pose === 'front' ? 'screen' : pose)));
+
+    const [synced] = await service.syncWithCloud();
+    expect(synced.status).toBe('failed');
+    expect(synced.analysis.failures).toContain('A screen was detected instead of a live face');
+    expect(synced.descriptor).toBeUndefined();
+    expect(cloud.media).toEqual({});
+    expect((await service.approveEnrollment(record.id)).success).toBe(false);
+  });
+
+  test('waits for the face service before checking a capture', async () => {
+    const { record } = await service.inviteStudent('11111111');
+    cloud.upload('11111111', capture(record.challenge));
+    faceService.ready = false;
+
+    expect((await service.syncWithCloud())[0].status).toBe('submitted');
+    expect(Object.keys(cloud.media)).toEqual([record.id]);
+
+    faceService.ready = true;
+    expect((await service.syncWithCloud())[0].status).toBe('review');
+  });
+
+  test('applies web dashboard reviews on the next sync', async () => {
+    const ada = (await service.inviteStudent('11111111')).record;
+    const alan = (await service.inviteStudent('22222222')).record;
+    cloud.upload('11111111', capture(ada.challenge));
+    cloud.upload('22222222', capture(alan.challenge));
+    await service.syncWithCloud();
+
+    const review = (id, status) => Object.assign(cloud.requests.find(r => r.id === id), {
+      status, reviewedBy: 'webadmin', updatedAt: new Date(Date.now() + 60000).toISOString()
+    });
+    review(ada.id, 'approved');
+    review(alan.id, 'rejected');
+    await service.syncWithCloud();
+
+    expect(dataManager.getFaceEnrolledUfids()).toEqual(['11111111']);
+    expect(service.getLocalRequests().every(r => r.descriptor === undefined)).toBe(true);
+    expect(service.getEnrollmentStats()).toMatchObject({ total: 2, approved: 1, rejected: 1 });
+  });
+
+  test('withdraws and expires unused links', async () => {
+    const { record } = await service.inviteStudent('11111111');
+    const withdrawn = await service.rejectEnrollment(record.id, { reviewedBy: 'Dr. Smith' });
+    expect(withdrawn.record).toMatchObject({ status: 'rejected', reviewedBy: 'Dr. Smith' });
+    expect(cloud.requests[0].status).toBe('rejected');
+
+    const second = (await service.inviteStudent('11111111')).record;
+    cloud.requests.find(r => r.id === second.id).expiresAt = '2020-01-01T00:00:00.000Z';
+    cloud.requests.find(r => r.id === second.id).updatedAt = new Date(Date.now() + 60000).toISOString();
+    await service.syncWithCloud();
+    expect(cloud.requests.find(r => r.id === second.id).status).toBe('expired');
+  });
+
+  test('lists and removes a student\'s requests without the link token', async () => {
+    await service.inviteStudent('11111111');
+    await service.inviteStudent('22222222');
+
+    const theirs = service.localRecordsOf('11111111', { remove: true });
+    expect(theirs).toHaveLength(1);
+    expect(theirs[0].token).toBeUndefined();
+    expect(service.getLocalRequests().map(r => r.ufid)).toEqual(['22222222']);
+  });
+});
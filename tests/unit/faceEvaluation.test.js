@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const faceEvaluation = require('../../faceEvaluation.js');
+
+// A unit vector `degrees` away from the axis, in the plane of axes a and b
+function embeddingAt(a, b, degrees, dims = 8) {
+  const v = new Array(dims).fill(0);
+  v[a] = Math.cos(degrees * Math.PI / 180);
+  v[b] = Math.sin(degrees * Math.PI / 180);
+  return v;
+}
+
+// Image files whose contents name the embedding the stub face service returns
+const FIXTURE = {
+  ada: { 'a1.jpg': [0, 1, 0], 'a2.jpg': [0, 1, 10], 'a3.jpg': [0, 1, 20], 'a4.jpg': [0, 1, 5], 'a5.jpg': [0, 1, 15] },
+  alan: { 'b1.jpg': [2, 3, 0], 'b2.jpg': [2, 3, 10], 'b3.jpg': [2, 3, 20], 'b4.jpg': [2, 3, 12] },
+  grace: { 'g1.jpg': [0, 4, 60], 'g2.jpg': [0, 4, 70], 'g3.jpg': [0, 4, 80], 'g4.jpg': [0, 1, 8] },
+  _stranger: { 's1.jpg': [5, 6, 0], 's2.png': [0, 1, 2] },
+  notes: { 'readme.txt': [0, 0, 0] }
+};
+
+function writeFixture(dir) {
+  for (const [label, files] of Object.entries(FIXTURE)) {
+    fs.mkdirSync(path.join(dir, label));
+    for (const [name, spec] of Object.entries(files)) fs.writeFileSync(path.join(dir, label, name), JSON.stringify(spec));
+  }
+  fs.writeFileSync(path.join(dir, 'ada', 'blurry.jpg'), 'none');
+}
+
+async function stubAnalyze(base64) {
+  const text = Buffer.from(base64, 'base64').toString();
+  if (text === 'none') return { face: null };
+  return { face: { bbox: [0, 0, 1, 1], embedding: embeddingAt(...JSON.parse(text)) } };
+}
+
+describe('faceEvaluation', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'face-eval-'));
+    writeFixture(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists labeled images and splits enrollment from probes', () => {
+    const images = faceEvaluation.listLabeledImages(dir);
+    expect(images).toHaveLength(16);
+    expect(images.filter(i => i.unknown).map(i => path.basename(i.file))).toEqual(['s1.jpg', 's2.png']);
+
+    const { enrollment, probes } = faceEvaluation.splitEnrollment(images, 3);
+    expect(enrollment.ada.map(i => path.basename(i.file))).toEqual(['a1.jpg', 'a2.jpg', 'a3.jpg']);
+    expect(probes.map(i => path.basename(i.file))).toEqual(['s1.jpg', 's2.png', 'a4.jpg', 'a5.jpg', 'blurry.jpg', 'b4.jpg', 'g4.jpg']);
+  });
+
+  test('computes FAR/FRR, the equal error rate and the confusion report', async () => {
+    const images = faceEvaluation.listLabeledImages(dir);
+    const { enrollment, probes } = faceEvaluation.splitEnrollment(images, 3);
+    const { embedded, failures } = await faceEvaluation.embedImages(images, stubAnalyze);
+    expect(failures).toEqual([{ file: path.join(dir, 'ada', 'blurry.jpg'), error: 'no face detected' }]);
+
+    const embeddingsOf = list => embedded.filter(e => list.some(i => i.file === e.file));
+    const result = faceEvaluation.evaluate({
+      enrollment: Object.fromEntries(Object.entries(enrollment).map(([label, list]) => [label, embeddingsOf(list).map(e => e.embedding)])),
+      probes: embeddingsOf(probes),
+      thresholds: [0.05, 0.40],
+      margin: 0.05
+    });
+
+    // 4 enrolled probes x 3 people, 2 strangers x 3 people
+    expect(result.pairs).toEqual({ genuine: 4, impostor: 14 });
+    expect(result.probes).toEqual({ genuine: 4, unknown: 2 });
+
+    // g4 looks like Ada: at 0.40 it is a false accept for Ada and a false reject for Grace,
+    // and so is the stranger who looks like Ada
+    const [strict, loose] = result.roc;
+    expect(strict).toMatchObject({ threshold: 0.05, falseAccepts: 2, falseRejects: 1 });
+    expect(loose).toMatchObject({ threshold: 0.40, falseAccepts: 2, falseRejects: 1 });
+    expect(loose.far).toBeCloseTo(2 / 14, 6);
+    expect(loose.frr).toBeCloseTo(1 / 4, 6);
+    expect(result.eer).toEqual({ threshold: expect.any(Number), rate: expect.any(Number) });
+
+    expect(result.identification).toMatchObject({
+      correct: 3,
+      misidentified: 1,
+      rejected: 0,
+      unknownAccepted: 1,
+      unknownRejected: 1,
+      accuracy: 0.75
+    });
+    expect(result.identification.confusion).toEqual({
+      ada: { ada: 2 },
+      alan: { alan: 1 },
+      grace: { ada: 1 },
+      _stranger: { rejected: 1, ada: 1 }
+    });
+
+    const report = faceEvaluation.formatReport(result, failures);
+    expect(report).toContain('grace -> ada: 1');
+    expect(report).toContain('blurry.jpg: no face detected');
+    expect(faceEvaluation.rocToCsv(result.roc).split('\n')[0]).toBe('threshold,far,frr,tar,false_accepts,false_rejects');
+  });
+
+  test('finds the threshold where FAR and FRR meet', () => {
+    expect(faceEvaluation.equalErrorRate([0.1, 0.2, 0.3, 0.6], [0.25, 0.7, 0.8, 0.9])).toEqual({ threshold: 0.3, rate: 0.25 });
+    expect(faceEvaluation.equalErrorRate([], [0.5])).toBeNull();
+    expect(faceEvaluation.rocPoint([0.1, 0.5], [0.3, 0.9], 0.4)).toEqual({
+      threshold: 0.4, far: 0.5, frr: 0.5, tar: 0.5, falseAccepts: 1, falseRejects: 1
+    });
+  });
+
+  test('the command-line tool reports against a running face service and enforces limits', async () => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', async () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(await stubAnalyze(JSON.parse(body).image)));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const script = path.join(__dirname, '..', '..', 'scripts', 'evaluateFaces.js');
+    const run = extra => new Promise(resolve => {
+      execFile(process.execPath, [script, '--images', dir, '--url', url, ...extra], { timeout: 30000 },
+        (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+    });
+
+    try {
+      const jsonFile = path.join(dir, 'result.json');
+      const ok = await run(['--json', jsonFile, '--max-far', '0.5']);
+      expect(ok.code).toBe(0);
+      expect(ok.stdout).toContain('Equal error rate');
+      expect(JSON.parse(fs.readFileSync(jsonFile, 'utf8')).roc.map(p => p.threshold)).toContain(0.4);
+
+      const failing = await run(['--max-far', '0.01']);
+      expect(failing.code).toBe(2);
+    } finally {
+      server.close();
+    }
+  });
+});
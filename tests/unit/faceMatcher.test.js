@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const { FaceMatcher, MATCH_THRESHOLD, cosineDistance, enrollmentThreshold, normalizeSettings, planTemplateRefresh } = require('../../faceMatcher.js');
+
+const REFRESH_DEFAULTS = { enabled: false, maxDistance: 0.20, gallerySize: 5, minIntervalHours: 24 };
+
+describe('FaceMatcher', () => {
+  const gallery = [
+    { ufid: '11111111', name: 'Ada', descriptor: [[1, 0, 0], [0.9, 0.1, 0]] },
+    { ufid: '22222222', name: 'Alan', descriptor: [0, 2, 0] },
+    { ufid: '33333333', name: 'Grace', descriptor: [0.7, 0.7, 0] },
+    { ufid: '44444444', name: 'Legacy', descriptor: [1, 0] },
+    { ufid: '55555555', name: 'Empty', descriptor: [0, 0, 0] }
+  ];
+
+  test('returns the closest students first, the best sample of each', () => {
+    const matcher = new FaceMatcher({ margin: 0 });
+    matcher.load(gallery);
+
+    const { match, candidates, threshold } = matcher.identify([2, 0, 0], { k: 2 });
+    expect(threshold).toBe(MATCH_THRESHOLD);
+    expect(candidates.map(c => c.ufid)).toEqual(['11111111', '33333333']);
+    expect(candidates[0].distance).toBeCloseTo(0, 6);
+    expect(candidates[1].distance).toBeCloseTo(cosineDistance([1, 0, 0], [0.7, 0.7, 0]), 6);
+    expect(match).toEqual(candidates[0]);
+  });
+
+  test('reports no match beyond the threshold, and skips other embedding sizes', () => {
+    const matcher = new FaceMatcher({ threshold: 0.1 });
+    matcher.load(gallery.map(e => ({ ...e, threshold: 0.1 })));
+
+    const result = matcher.identify([0, 0, 1]);
+    expect(result.match).toBeNull();
+    expect(result.candidates).toHaveLength(3);
+    expect(result.candidates.every(c => c.distance >= 0.9)).toBe(true);
+
+    expect(matcher.identify([3, 0]).candidates.map(c => c.ufid)).toEqual(['44444444']);
+    expect(matcher.identify([1, 2, 3, 4])).toMatchObject({ match: null, candidates: [], threshold: 0.1 });
+    expect(matcher.getEnrolledUfids()).toEqual(['11111111', '22222222', '33333333', '44444444']);
+  });
+
+  test('sets a student threshold from the spread of their samples', () => {
+    const at = degrees => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180), 0];
+    expect(enrollmentThreshold([at(0), at(20), at(40)])).toBeCloseTo(1 - Math.cos(40 * Math.PI / 180) + 0.15, 3);
+    expect(enrollmentThreshold([at(0), at(1)])).toBe(0.25);
+    expect(enrollmentThreshold([at(0), at(90)])).toBe(MATCH_THRESHOLD);
+    expect(enrollmentThreshold(at(0))).toBeNull();
+
+    const matcher = new FaceMatcher({ margin: 0 });
+    matcher.load([{ ufid: '1', name: 'Tight', descriptor: [at(0), at(1)] }, { ufid: '2', name: 'Single', descriptor: at(90) }]);
+    expect(matcher.identify(at(45)).match).toBeNull();
+    expect(matcher.identify(at(45)).candidates[0]).toMatchObject({ ufid: '1', threshold: 0.25 });
+    expect(matcher.identify(at(125)).match).toMatchObject({ ufid: '2', threshold: MATCH_THRESHOLD });
+  });
+
+  test('rejects a match when the runner-up is within the margin', () => {
+    const matcher = new FaceMatcher({ margin: 0.05 });
+    matcher.load([
+      { ufid: '1', name: 'Twin A', descriptor: [1, 0.05, 0] },
+      { ufid: '2', name: 'Twin B', descriptor: [1, -0.05, 0] },
+      { ufid: '3', name: 'Other', descriptor: [0, 0, 1] }
+    ]);
+
+    expect(matcher.identify([1, 0.02, 0])).toMatchObject({ match: null, ambiguous: true });
+    expect(matcher.identify([0.1, 0, 1])).toMatchObject({ match: { ufid: '3' }, ambiguous: false });
+    expect(matcher.identify([0, 1, 0])).toMatchObject({ match: null, ambiguous: false });
+
+    matcher.margin = 0;
+    expect(matcher.identify([1, 0.02, 0]).match).toMatchObject({ ufid: '1' });
+    expect(normalizeSettings({ matchMargin: '0.08' })).toEqual({ matchMargin: 0.08, refresh: REFRESH_DEFAULTS });
+    expect(normalizeSettings({ matchMargin: -1 })).toEqual({ matchMargin: 0.05, refresh: REFRESH_DEFAULTS });
+  });
+
+  test('flags students whose templates are close to another student\'s', () => {
+    const matcher = new FaceMatcher({ margin: 0.05 });
+    matcher.load([
+      { ufid: '1', name: 'Twin A', descriptor: [[1, 0.05, 0], [1, 0.2, 0]] },
+      { ufid: '2', name: 'Twin B', descriptor: [1, -0.05, 0] },
+      { ufid: '3', name: 'Other', descriptor: [0, 0, 1] },
+      { ufid: '4', name: 'Legacy', descriptor: [1, 0] }
+    ]);
+
+    const risk = Object.fromEntries(matcher.collisionRisk().map(r => [r.ufid, r]));
+    expect(risk['1']).toMatchObject({ atRisk: true, nearest: { ufid: '2', name: 'Twin B' } });
+    expect(risk['1'].nearest.distance).toBeCloseTo(cosineDistance([1, 0.05, 0], [1, -0.05, 0]), 6);
+    expect(risk['2']).toMatchObject({ atRisk: true, nearest: { ufid: '1' } });
+    expect(risk['3']).toMatchObject({ atRisk: false, nearest: { distance: expect.any(Number) } });
+    expect(risk['3'].nearest.distance).toBeCloseTo(1, 6);
+    expect(risk['4']).toMatchObject({ atRisk: false, nearest: null, threshold: MATCH_THRESHOLD });
+  });
+
+  test('refreshes templates only from confident matches close to the enrollment', () => {
+    const at = degrees => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180), 0];
+    const policy = { ...REFRESH_DEFAULTS, enabled: true, gallerySize: 2 };
+    const now = new Date('2025-03-01T12:00:00Z');
+    const template = { descriptor: [at(0), at(10)], gallery: [], threshold: 0.25, refreshedAt: null };
+
+    expect(planTemplateRefresh(template, at(5), 0.01, REFRESH_DEFAULTS, now)).toEqual({ refresh: false, reason: 'disabled' });
+    expect(planTemplateRefresh(template, at(5), 0.3, policy, now)).toEqual({ refresh: false, reason: 'low_confidence' });
+    expect(planTemplateRefresh({ ...template, refreshedAt: '2025-03-01T00:00:00Z' }, at(5), 0.01, policy, now))
+      .toEqual({ refresh: false, reason: 'too_soon' });
+    // Close to the last refreshed face, but too far from the enrollment
+    expect(planTemplateRefresh({ ...template, gallery: [at(80)] }, at(85), 0.01, policy, now))
+      .toEqual({ refresh: false, reason: 'drifted' });
+
+    const first = planTemplateRefresh({ ...template, gallery: [at(20), at(25)] }, at(30), 0.1, policy, now);
+    expect(first.refresh).toBe(true);
+    expect(first.gallery).toEqual([at(25), at(30)]);
+
+    const matcher = new FaceMatcher({ margin: 0 });
+    matcher.load([{ ufid: '1', name: 'Ada', descriptor: template.descriptor, gallery: first.gallery, threshold: 0.25 }]);
+    expect(matcher.identify(at(30)).match).toMatchObject({ ufid: '1', threshold: 0.25 });
+    expect(matcher.identify(at(30)).match.distance).toBeCloseTo(0, 6);
+
+    expect(normalizeSettings({ refresh: { enabled: true, maxDistance: 0.9, gallerySize: '3', minIntervalHours: -2 } }).refresh)
+      .toEqual({ enabled: true, maxDistance: 0.20, gallerySize: 3, minIntervalHours: 24 });
+  });
+});
+
+describe('DataManager face identification', () => {
+  let dir;
+  let dataManager;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'face-match-'));
+    dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.useSqlite = true;
+    await dataManager.initializeSqlite();
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    dataManager.addStudent('22222222', 'Alan Turing', 'alan@ufl.edu');
+  });
+
+  afterEach(() => {
+    dataManager.dbManager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reloads the gallery only after face templates or the roster change', () => {
+    expect(dataManager.identifyFace([1, 0, 0]).candidates).toEqual([]);
+
+    dataManager.saveFaceDescriptor('11111111', [[1, 0, 0], [0, 1, 0]]);
+    expect(dataManager.identifyFace([0, 1, 0]).match).toMatchObject({ ufid: '11111111', name: 'Ada Lovelace' });
+
+    const load = jest.spyOn(dataManager.faceMatcher, 'load');
+    expect(dataManager.addAttendanceWithValidation('11111111', 'Ada Lovelace', 'signin').success).toBe(true);
+    dataManager.identifyFace([0, 1, 0]);
+    expect(load).not.toHaveBeenCalled();
+
+    dataManager.saveFaceDescriptor('22222222', [0, 0, 1]);
+    dataManager.clearFaceDescriptor('11111111');
+    expect(dataManager.identifyFace([0, 1, 0]).match).toBeNull();
+    expect(dataManager.getFaceEnrolledUfids()).toEqual(['22222222']);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('stores the enrollment threshold and applies the configured margin', () => {
+    dataManager.saveFaceDescriptor('11111111', [[1, 0, 0], [1, 0.1, 0], [1, -0.1, 0]]);
+    dataManager.saveFaceDescriptor('22222222', [1, 0.02, 0]);
+    const threshold = dataManager.dbManager.sqliteDb.get("SELECT face_threshold FROM students WHERE ufid = '11111111'").face_threshold;
+    expect(threshold).toBe(enrollmentThreshold([[1, 0, 0], [1, 0.1, 0], [1, -0.1, 0]]));
+    expect(dataManager.identifyFace([1, 0.01, 0])).toMatchObject({ match: null, ambiguous: true, margin: 0.05 });
+    expect(dataManager.getFaceCollisionRisk().map(r => r.atRisk)).toEqual([true, true]);
+
+    expect(dataManager.updateFaceIdSettings({ matchMargin: 0 })).toEqual({ success: true, faceId: { matchMargin: 0, refresh: REFRESH_DEFAULTS } });
+    expect(dataManager.identifyFace([1, 0.01, 0]).match).toMatchObject({ ufid: '22222222' });
+
+    dataManager.clearFaceDescriptor('11111111');
+    expect(dataManager.dbManager.sqliteDb.get("SELECT face_threshold FROM students WHERE ufid = '11111111'").face_threshold).toBeNull();
+  });
+
+  test('keeps a rolling gallery from confident sign-ins when refresh is on', async () => {
+    dataManager.saveFaceDescriptor('11111111', [[1, 0, 0], [1, 0.1, 0]]);
+    expect(dataManager.refreshFaceTemplate('11111111', [1, 0.05, 0], 0.01)).toEqual({ success: true, refreshed: false, reason: 'disabled' });
+
+    dataManager.updateFaceIdSettings({ refresh: { enabled: true, gallerySize: 2, minIntervalHours: 0 } });
+    expect(dataManager.getConfig().faceId).toMatchObject({ matchMargin: 0.05, refresh: { enabled: true, maxDistance: 0.20 } });
+    for (const y of [0.02, 0.04, 0.06]) {
+      expect(dataManager.refreshFaceTemplate('11111111', [1, y, 0], 0.01)).toMatchObject({ refreshed: true });
+    }
+    expect(dataManager.refreshFaceTemplate('22222222', [1, 0, 0], 0.01)).toMatchObject({ success: false });
+
+    const template = dataManager.dbManager.getFaceTemplate('11111111');
+    expect(template).toMatchObject({ descriptor: [[1, 0, 0], [1, 0.1, 0]], gallery: [[1, 0.04, 0], [1, 0.06, 0]], refreshCount: 3 });
+    expect(dataManager.getFaceCollisionRisk()[0]).toMatchObject({
+      ufid: '11111111', refreshCount: 3, gallerySize: 2, enrolledAt: expect.any(String), refreshedAt: expect.any(String)
+    });
+    expect(dataManager.getAuditLog({ action: 'student.face_refresh' }).entries).toHaveLength(3);
+
+    // Survives a rebuild from JSON; a new enrollment starts over
+    expect((await dataManager.reloadFromJson()).success).toBe(true);
+    expect(dataManager.dbManager.getFaceTemplate('11111111')).toMatchObject({ gallery: template.gallery, refreshCount: 3 });
+    dataManager.saveFaceDescriptor('11111111', [[1, 0, 0], [1, 0.1, 0]]);
+    expect(dataManager.dbManager.getFaceTemplate('11111111')).toMatchObject({ gallery: [], refreshCount: 0, refreshedAt: null });
+  });
+
+  test('leaves out students who are trashed', () => {
+    dataManager.saveFaceDescriptor('11111111', [1, 0, 0]);
+    dataManager.removeStudent('11111111');
+    expect(dataManager.identifyFace([1, 0, 0]).candidates).toEqual([]);
+  });
+});
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const EncryptionService = require('../../encryptionService.js');
+
+const service = new EncryptionService();
+
+function codecFor(password, salt = service.generateSalt(), fields = ['name', 'email', 'faceDescriptor']) {
+  const keyForSalt = s => service.deriveKey(password, s, 1000);
+  return service.createFieldCodec({ key: keyForSalt(salt), salt, fields, keyForSalt });
+}
+
+describe('DatabaseManager field encryption', () => {
+  let dataDir;
+  let db;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-enc-'));
+    db = new DatabaseManager({ dataDir });
+    await db.initialize();
+    db.upsertStudent({ ufid: '11111111', name: 'Ada Lovelace', email: 'ada@ufl.edu' });
+    db.upsertStudent({ ufid: '22222222', name: 'Alan Turing', email: 'alan@ufl.edu' });
+    db.addAttendanceRecord({ id: 1, ufid: '11111111', name: 'Ada Lovelace', action: 'signin', timestamp: '2025-01-07T14:00:00.000Z' });
+    db.saveFaceDescriptor('11111111', [0.1, 0.2, 0.3]);
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const raw = () => db.sqliteDb.get("SELECT name, email, face_descriptor, name_index FROM students WHERE ufid = '11111111'");
+
+  test('encrypts existing rows and new writes, and reads them back', () => {
+    db.saveFaceGallery('11111111', [[0.1, 0.2, 0.4]]);
+    expect(db.setFieldEncryption(codecFor('pw'))).toEqual({ success: true, rewritten: 3 });
+    db.upsertStudent({ ufid: '33333333', name: 'Grace Hopper', email: 'grace@ufl.edu' });
+
+    expect(raw().name).toMatch(/^v2:/);
+    expect(raw().email).toMatch(/^v2:/);
+    expect(raw().face_descriptor).toMatch(/^v2:/);
+    expect(db.sqliteDb.get("SELECT face_gallery FROM students WHERE ufid = '11111111'").face_gallery).toMatch(/^v2:/);
+    expect(db.sqliteDb.get('SELECT name FROM attendance WHERE id = 1').name).toMatch(/^v2:/);
+    expect(JSON.stringify(db.sqliteDb.all('SELECT * FROM students'))).not.toMatch(/Lovelace|Hopper|ufl\.edu/);
+
+    expect(db.getStudents().map(s => s.name)).toEqual(['Ada Lovelace', 'Alan Turing', 'Grace Hopper']);
+    expect(db.getStudentByUfid('11111111').email).toBe('ada@ufl.edu');
+    expect(db.getAttendance()[0].name).toBe('Ada Lovelace');
+    expect(db.getSessions()[0].name).toBe('Ada Lovelace');
+    expect(db.getFaceDescriptor('11111111')).toEqual([0.1, 0.2, 0.3]);
+    expect(db.getAllFaceDescriptors()).toEqual([{ ufid: '11111111', name: 'Ada Lovelace', descriptor: [0.1, 0.2, 0.3], gallery: [[0.1, 0.2, 0.4]], threshold: null }]);
+  });
+
+  test('searches encrypted names and emails through the blind index', () => {
+    db.setFieldEncryption(codecFor('pw'));
+    const search = term => db.getStudentsPaginated(0, 10, { search: term }).students.map(s => s.ufid);
+
+    expect(search('love')).toEqual(['11111111']);
+    expect(search('ada love')).toEqual(['11111111']);
+    expect(search('AL')).toEqual(['22222222']);
+    expect(search('alan@ufl.edu')).toEqual(['22222222']);
+    expect(search('2222')).toEqual(['22222222']);
+    expect(search('turing ada')).toEqual([]);
+    expect(db.getStudentsPaginated(1, 1).students.map(s => s.name)).toEqual(['Alan Turing']);
+  });
+
+  test('only rewrites when the codec changes, and decrypts when encryption is turned off', () => {
+    const codec = codecFor('pw');
+    db.setFieldEncryption(codec);
+    expect(db.setFieldEncryption(codec)).toEqual({ success: true, rewritten: 0 });
+
+    expect(db.setFieldEncryption(null, { reader: codec })).toMatchObject({ success: true });
+    expect(raw()).toMatchObject({ name: 'Ada Lovelace', email: 'ada@ufl.edu', face_descriptor: '[0.1,0.2,0.3]', name_index: null });
+    expect(db.getStudentsPaginated(0, 10, { search: 'velace' }).students).toHaveLength(1);
+  });
+
+  test('leaves configured-out fields in plain text', () => {
+    db.setFieldEncryption(codecFor('pw', undefined, ['faceDescriptor']));
+    expect(raw()).toMatchObject({ name: 'Ada Lovelace', email: 'ada@ufl.edu' });
+    expect(raw().face_descriptor).toMatch(/^v2:/);
+  });
+
+  test('re-keys values and reads ones written with another kiosk salt', () => {
+    const oldCodec = codecFor('pw');
+    db.setFieldEncryption(oldCodec);
+
+    const newCodec = codecFor('pw');
+    expect(db.setFieldEncryption(newCodec, { reader: oldCodec }).success).toBe(true);
+    expect(service.fieldSalt(raw().name)).not.toBe(service.fieldSalt(oldCodec.encrypt('x')));
+    expect(newCodec.decrypt(oldCodec.encrypt('Other kiosk'))).toBe('Other kiosk');
+
+    const wrongPassword = codecFor('other');
+    expect(db.setFieldEncryption(wrongPassword, { reader: wrongPassword }).success).toBe(false);
+  });
+});
+
+describe('DataManager with an encrypted database', () => {
+  let dir;
+
+  // Stands in for Electron safeStorage
+  const keyStore = {
+    isAvailable: () => true,
+    seal: text => Buffer.from(text).toString('base64'),
+    open: sealed => Buffer.from(sealed, 'base64').toString()
+  };
+
+  async function openDataManager({ withKeyStore = true } = {}) {
+    const dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.loadEncryptionSettings();
+    if (withKeyStore) dataManager.setKeyStore(keyStore);
+    dataManager.useSqlite = true;
+    await dataManager.initializeSqlite();
+    return dataManager;
+  }
+
+  const rawName = dataManager => dataManager.dbManager.sqliteDb.get("SELECT name FROM students WHERE ufid = '11111111'").name;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enc-db-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('enabling encryption encrypts attendance.db, which stays readable after a restart', async () => {
+    const first = await openDataManager();
+    first.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    expect(rawName(first)).toBe('Ada Lovelace');
+
+    first.updateEncryptionSettings(true, 'lab-password');
+    expect(rawName(first)).toMatch(/^v2:/);
+    expect(first.getConfig().encryption.sealedPassword).toEqual(expect.any(String));
+    first.dbManager.close();
+
+    const restarted = await openDataManager();
+    expect(restarted.getStudents()[0].name).toBe('Ada Lovelace');
+    restarted.dbManager.close();
+
+    const locked = await openDataManager({ withKeyStore: false });
+    expect(locked.isEncryptionLocked()).toBe(true);
+    expect(rawName(locked)).toMatch(/^v2:/);
+    locked.dbManager.upsertStudent({ ufid: '22222222', name: 'Alan Turing' });
+
+    expect(locked.unlockEncryption('lab-password')).toEqual({ success: true });
+    expect(locked.dbManager.sqliteDb.get("SELECT name FROM students WHERE ufid = '22222222'").name).toMatch(/^v2:/);
+    expect(locked.getStudents().map(s => s.name)).toEqual(['Ada Lovelace', 'Alan Turing']);
+    locked.dbManager.close();
+  });
+
+  test('attendance.db is not uploaded until rows written while locked are re-encoded', async () => {
+    const first = await openDataManager();
+    first.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    first.updateEncryptionSettings(true, 'lab-password');
+    expect(first.databaseExportProblem()).toBeNull();
+    // Keep attendance.db across restarts instead of reloading it from JSON
+    const config = first.getConfig();
+    config.dropbox.masterMode = false;
+    fs.writeFileSync(first.configFile, JSON.stringify(config, null, 2));
+    first.dbManager.close();
+
+    const locked = await openDataManager({ withKeyStore: false });
+    expect(locked.databaseExportProblem()).toMatch(/locked/);
+    locked.dbManager.upsertStudent({ ufid: '22222222', name: 'Alan Turing' });
+    locked.dbManager.close();
+
+    // Unlocked from the keychain on the next start: the plain-text row is still encoded
+    const restarted = await openDataManager();
+    expect(restarted.databaseExportProblem()).toBeNull();
+    expect(restarted.dbManager.sqliteDb.get("SELECT name FROM students WHERE ufid = '22222222'").name).toMatch(/^v2:/);
+    expect(restarted.getStudents().map(s => s.name)).toEqual(['Ada Lovelace', 'Alan Turing']);
+    restarted.dbManager.close();
+  });
+
+  test('rotation re-keys the database and disabling decrypts it', async () => {
+    const dataManager = await openDataManager();
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    dataManager.updateEncryptionSettings(true, 'lab-password');
+    const before = rawName(dataManager);
+
+    expect(dataManager.rotateEncryptionPassword('lab-password', 'new-lab-password').success).toBe(true);
+    expect(rawName(dataManager)).not.toBe(before);
+    expect(dataManager.getStudents()[0].name).toBe('Ada Lovelace');
+
+    dataManager.updateEncryptionSettings(false);
+    expect(rawName(dataManager)).toBe('Ada Lovelace');
+    expect(dataManager.getConfig().encryption.sealedPassword).toBeUndefined();
+    dataManager.dbManager.close();
+  });
+
+  test('the encrypted field list is configurable', async () => {
+    const dataManager = await openDataManager();
+    dataManager.addStudent('11111111', 'Ada Lovelace', 'ada@ufl.edu');
+    dataManager.updateEncryptionSettings(true, 'lab-password');
+
+    expect(dataManager.updateEncryptionFields(['faceDescriptor'])).toMatchObject({ success: true, fields: ['faceDescriptor'] });
+    expect(rawName(dataManager)).toBe('Ada Lovelace');
+    expect(dataManager.updateEncryptionFields(['ssn']).success).toBe(false);
+    dataManager.dbManager.close();
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const testUtils = require('../helpers/testUtils');
+const { belongsToLocation, normalizeLocationIds, sheetNameFor, slugifyLocationId, validateLocation } = require('../../locations.js');
+
+describe('Location helpers', () => {
+  test('normalizes ids and membership', () => {
+    expect(slugifyLocationId('SMILE Lab (Room 220)')).toBe('smile-lab-room-220');
+    expect(normalizeLocationIds('["Smile", "smile", " ", "neuro"]')).toEqual(['smile', 'neuro']);
+    expect(belongsToLocation({ locations: [] }, 'smile')).toBe(true);
+    expect(belongsToLocation({ locations: ['neuro'] }, 'smile')).toBe(false);
+    expect(belongsToLocation({ locations: ['neuro'] }, null)).toBe(true);
+  });
+
+  test('validates new locations and picks Sheets tabs', () => {
+    const existing = [{ id: 'smile', name: 'SMILE Lab', sheetName: 'SMILE' }];
+    expect(validateLocation({ id: 'smile', name: 'Other' }, existing)).toMatch(/already in use/);
+    expect(validateLocation({ id: 'x', name: 'smile lab' }, existing)).toMatch(/already named/);
+    expect(validateLocation({ id: 'Bad Id', name: 'Bad' }, existing)).toMatch(/lowercase/);
+    expect(sheetNameFor({ locationId: 'smile' }, existing, 'Attendance')).toBe('SMILE');
+    expect(sheetNameFor({ locationId: 'neuro' }, existing, 'Attendance')).toBe('Attendance');
+  });
+});
+
+describe('DataManager locations', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+
+    dataManager.saveLocation({ name: 'SMILE Lab', sheetName: 'SMILE' });
+    dataManager.saveLocation({ id: 'neuro', name: 'Neuro Lab' });
+    dataManager.addStudent('11111111', 'Smile Student', 'a@ufl.edu', { locations: ['smile-lab'], expectedHoursPerWeek: 10 });
+    dataManager.addStudent('22222222', 'Neuro Student', 'b@ufl.edu', { locations: ['neuro'] });
+    dataManager.addStudent('33333333', 'Floater', 'c@ufl.edu');
+  });
+
+  test('a bound kiosk only accepts its students and tags their records', () => {
+    expect(dataManager.addStudent('44444444', 'Bad', '', { locations: ['nowhere'] })).toMatchObject({ success: false, error: 'Unknown location: nowhere' });
+    expect(dataManager.setKioskLocation('smile-lab').location).toMatchObject({ name: 'SMILE Lab' });
+
+    const rejected = dataManager.addAttendanceWithValidation('22222222', '', 'signin');
+    expect(rejected).toMatchObject({ success: false, wrongLocation: true });
+
+    expect(dataManager.addAttendanceWithValidation('11111111', '', 'signin').record.locationId).toBe('smile-lab');
+    expect(dataManager.addAttendanceWithValidation('33333333', '', 'signin').record.locationId).toBe('smile-lab');
+
+    dataManager.setKioskLocation(null);
+    expect(dataManager.addAttendanceWithValidation('22222222', '', 'signin').record.locationId).toBeUndefined();
+  });
+
+  test('filters stats, lists and weekly reports by location', () => {
+    const add = (id, ufid, action, timestamp, locationId) =>
+      dataManager.addAttendanceRecord({ id, ufid, name: '', action, timestamp, locationId });
+    add(1, '11111111', 'signin', '2025-01-07T14:00:00.000Z', 'smile-lab');
+    add(2, '11111111', 'signout', '2025-01-07T17:00:00.000Z', 'smile-lab');
+    add(3, '33333333', 'signin', '2025-01-07T14:00:00.000Z', 'neuro');
+    add(4, '33333333', 'signout', '2025-01-07T16:00:00.000Z', 'smile-lab');
+
+    const report = dataManager.generateWeeklyReport(new Date('2025-01-08T17:00:00.000Z'), { locationId: 'smile-lab' });
+    expect(report.location).toEqual({ id: 'smile-lab', name: 'SMILE Lab' });
+    expect(Object.keys(report.studentReports).sort()).toEqual(['11111111', '33333333']);
+    expect(report.studentReports['11111111'].totalHours).toBe(3);
+    // The floater's session started in the Neuro Lab, so it counts there
+    expect(report.studentReports['33333333'].totalHours).toBe(0);
+
+    const neuro = dataManager.generateWeeklyReport(new Date('2025-01-08T17:00:00.000Z'), { locationId: 'neuro' });
+    expect(neuro.studentReports['33333333'].totalHours).toBe(2);
+    expect(neuro.studentReports['11111111']).toBeUndefined();
+
+    expect(dataManager.getStudentsPaginated(0, 25, { locationId: 'neuro' }).totalCount).toBe(2);
+    expect(dataManager.getAttendancePaginated(0, 25, { locationId: 'smile-lab' }).totalCount).toBe(3);
+    expect(dataManager.getEnhancedStats({ locationId: 'neuro' })).toMatchObject({ totalStudents: 2, totalRecords: 1 });
+  });
+
+  test('removing a location drops it from students and unbinds the kiosk', () => {
+    dataManager.setKioskLocation('neuro');
+    expect(dataManager.removeLocation('neuro')).toMatchObject({ success: true, studentsUpdated: 1 });
+    expect(dataManager.getKioskLocation()).toBeNull();
+    expect(dataManager.getStudents().find(s => s.ufid === '22222222').locations).toEqual([]);
+    expect(dataManager.getLocations().map(l => l.id)).toEqual(['smile-lab']);
+  });
+});
+
+describe('DatabaseManager locations', () => {
+  test('stores student locations and carries attendance locations into sessions', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'locations-test-'));
+    const db = new DatabaseManager({ dataDir });
+    await db.initialize();
+
+    db.upsertLocation({ id: 'smile', name: 'SMILE Lab', sheetName: '' });
+    db.upsertLocation({ id: 'neuro', name: 'Neuro Lab', sheetName: 'Neuro' });
+    db.upsertStudent({ ufid: '11111111', name: 'A', locations: ['smile', 'neuro'] });
+    db.upsertStudent({ ufid: '22222222', name: 'B', locations: ['neuro'] });
+    db.addAttendanceRecord({ id: 1, ufid: '11111111', action: 'signin', timestamp: '2025-01-07T14:00:00.000Z', locationId: 'smile' });
+    db.addAttendanceRecord({ id: 2, ufid: '11111111', action: 'signout', timestamp: '2025-01-07T15:00:00.000Z' });
+
+    expect(db.getStudentByUfid('11111111').locations).toEqual(['smile', 'neuro']);
+    expect(db.getStudentsPaginated(0, 25, { locationId: 'smile' }).totalCount).toBe(1);
+    expect(db.getAttendancePaginated(0, 25, { locationId: 'smile' }).records.map(r => r.id)).toEqual([1]);
+    expect(db.getSessions({ locationId: 'smile' })).toEqual([expect.objectContaining({ signinId: 1, locationId: 'smile' })]);
+
+    expect(db.deleteLocation('neuro')).toEqual({ success: true, studentsUpdated: 2 });
+    expect(db.getStudentByUfid('22222222').locations).toEqual([]);
+    expect(db.getAttendanceById(1).locationId).toBe('smile');
+
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('reopens a database whose later migrations stopped after adding their columns', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'locations-test-'));
+    const db = new DatabaseManager({ dataDir });
+    await db.initialize();
+    db.upsertStudent({ ufid: '11111111', name: 'A', locations: ['smile'] });
+    db.sqliteDb.run("UPDATE config SET value = '12' WHERE key = 'schema_version'");
+    db.close();
+
+    const reopened = new DatabaseManager({ dataDir });
+    await reopened.initialize();
+    expect(reopened.isReady()).toBe(true);
+    expect(reopened.sqliteDb.get("SELECT value FROM config WHERE key = 'schema_version'").value).toBe('17');
+    expect(reopened.getStudentByUfid('11111111').locations).toEqual(['smile']);
+
+    reopened.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,64 @@
+const DataManager = require('../../data.js');
+const testUtils = require('../helpers/testUtils');
+const { resolveMembership, normalizeMembership, countExpectedWeekdays } = require('../../membership.js');
+
+describe('Membership helpers', () => {
+  test('treats older inactive students as on leave', () => {
+    expect(normalizeMembership({ active: false })).toEqual({ status: 'on_leave', startDate: null, endDate: null, active: false });
+    expect(normalizeMembership({ active: true, startDate: 'soon' })).toMatchObject({ status: 'active', startDate: null });
+  });
+
+  test('closes membership for alumni and reopens it on return', () => {
+    const alumni = resolveMembership({ status: 'active', startDate: '2024-08-19' }, { status: 'alumni' }, '2025-05-02');
+    expect(alumni).toEqual({ status: 'alumni', startDate: '2024-08-19', endDate: '2025-05-02', active: false });
+    expect(resolveMembership(alumni, { status: 'active' }, '2025-08-18')).toMatchObject({ status: 'active', endDate: null, active: true });
+    expect(resolveMembership({ status: 'active' }, { active: false }, '2025-01-07').status).toBe('on_leave');
+    expect(() => resolveMembership({}, { startDate: '2025-02-01', endDate: '2025-01-01' }, '2025-01-07')).toThrow(/on or after/);
+  });
+
+  test('counts open member weekdays', () => {
+    const student = { status: 'alumni', startDate: null, endDate: '2025-01-08' };
+    expect(countExpectedWeekdays(student, '2025-01-06', '2025-01-12')).toBe(3);
+    expect(countExpectedWeekdays(student, '2025-01-06', '2025-01-12', new Set(['2025-01-07']))).toBe(2);
+    expect(countExpectedWeekdays({ ...student, status: 'on_leave' }, '2025-01-06', '2025-01-12')).toBe(0);
+  });
+});
+
+describe('DataManager student lifecycle', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+
+    dataManager.addStudent('11111111', 'New Member', 'new@ufl.edu', { expectedHoursPerWeek: 20, startDate: '2025-01-08' });
+    dataManager.addStudent('22222222', 'Graduate', 'grad@ufl.edu', { expectedHoursPerWeek: 20, expectedDaysPerWeek: 4 });
+    dataManager.updateStudent('22222222', { status: 'alumni', endDate: '2025-01-07' });
+    dataManager.addAttendanceRecord({ id: 1, ufid: '22222222', name: 'Graduate', action: 'signin', timestamp: '2025-01-07T15:00:00.000Z' });
+    dataManager.addAttendanceRecord({ id: 2, ufid: '22222222', name: 'Graduate', action: 'signout', timestamp: '2025-01-07T17:00:00.000Z' });
+  });
+
+  test('alumni cannot sign in but keep their history', () => {
+    expect(dataManager.getStudents().find(s => s.ufid === '22222222')).toMatchObject({ status: 'alumni', active: false });
+    expect(dataManager.isStudentAuthorized('22222222')).toBeNull();
+    expect(dataManager.getAttendance()).toHaveLength(2);
+  });
+
+  test('weekly reports include members for their weeks and prorate expectations', () => {
+    const report = dataManager.generateWeeklyReport(new Date('2025-01-08T17:00:00.000Z'));
+
+    expect(report.studentReports['22222222']).toMatchObject({
+      status: 'alumni', totalHours: 2, expectedHoursPerWeek: 8, expectedDaysPerWeek: 2
+    });
+    expect(report.studentReports['11111111']).toMatchObject({ expectedHoursPerWeek: 12, fullWeekExpectedHours: 20 });
+
+    const later = dataManager.generateWeeklyReport(new Date('2025-01-15T17:00:00.000Z'));
+    expect(later.studentReports['22222222']).toBeUndefined();
+    expect(later.studentReports['11111111'].expectedHoursPerWeek).toBe(20);
+
+    const earlier = dataManager.generateWeeklyReport(new Date('2024-12-31T17:00:00.000Z'));
+    expect(earlier.studentReports['11111111']).toBeUndefined();
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DropboxService = require('../../dropboxService.js');
+const {
+  changesBy, findConflicts, holdConflicts, mergeAttendance, mergeStudents, stampLocalChanges, visibleData
+} = require('../../peerMerge.js');
+
+describe('Peer merge', () => {
+  test('unions attendance from two kiosks that picked the same numeric id', () => {
+    const a = [{ id: 1000, uid: 'kiosk-a-1', ufid: '1', action: 'signin', timestamp: '2026-10-19T13:00:00.000Z', stamp: 'x' }];
+    const b = [{ id: 1000, uid: 'kiosk-b-1', ufid: '2', action: 'signin', timestamp: '2026-10-19T13:00:01.000Z', stamp: 'x' }];
+
+    const merged = mergeAttendance([a, b]);
+    expect(merged.map(r => r.uid)).toEqual(['kiosk-a-1', 'kiosk-b-1']);
+    expect(merged[0].id).toBe(1000);
+    expect(merged[1].id).not.toBe(1000);
+    expect(mergeAttendance([a, a, b])).toHaveLength(2);
+  });
+
+  test('merges student edits field by field', () => {
+    const base = { students: [{ ufid: '1', name: 'Ann', role: 'volunteer', email: '', purged: false, fieldStamps: {} }], attendance: [] };
+    const onA = stampLocalChanges({ students: [{ ufid: '1', name: 'Ann', role: 'ra', email: '' }] }, base, '2026-10-19T10:00:00.000Z@kiosk-a');
+    const onB = stampLocalChanges({ students: [{ ufid: '1', name: 'Ann B', role: 'volunteer', email: 'ann@ufl.edu' }] }, base, '2026-10-19T09:00:00.000Z@kiosk-b');
+
+    const [student] = visibleData({ students: mergeStudents([onA.students, onB.students]) }).students;
+    expect(student).toEqual({ ufid: '1', name: 'Ann B', role: 'ra', email: 'ann@ufl.edu' });
+    expect(mergeStudents([onB.students, onA.students])[0].role).toBe('ra');
+  });
+
+  test('purges travel as tombstones, except on a first sync', () => {
+    const base = {
+      students: [{ ufid: '1', name: 'Ann', purged: false, fieldStamps: {} }],
+      attendance: [{ id: 5, uid: 'kiosk-a-5', ufid: '1', action: 'signin', timestamp: 't', stamp: '' }]
+    };
+    const stamp = '2026-10-19T10:00:00.000Z@kiosk-a';
+    const purged = stampLocalChanges({ students: [], attendance: [] }, base, stamp);
+    expect(purged.students[0]).toMatchObject({ ufid: '1', purged: true });
+    expect(purged.attendance[0]).toMatchObject({ uid: 'kiosk-a-5', purged: true, stamp });
+    expect(changesBy(purged, 'kiosk-a').attendance).toHaveLength(1);
+
+    const merged = mergeAttendance([base.attendance, purged.attendance]);
+    expect(visibleData({ attendance: merged }).attendance).toEqual([]);
+    expect(stampLocalChanges({ students: [], attendance: [] }, base, stamp, { trackPurges: false }).attendance).toEqual([]);
+  });
+
+  test('reports edits made on both sides and duplicate sign-ins, holding the local side', () => {
+    const base = { students: [{ ufid: '1', name: 'Ann', role: 'volunteer', purged: false, fieldStamps: {} }], attendance: [] };
+    const stamp = '2026-10-19T10:00:00.000Z@kiosk-a';
+    const mine = stampLocalChanges({
+      students: [{ ufid: '1', name: 'Ann', role: 'ra' }],
+      attendance: [{ id: 1, uid: 'kiosk-a-x-0', ufid: '1', action: 'signin', timestamp: '2026-10-19T13:00:00.000Z' }]
+    }, base, stamp);
+    const theirs = {
+      students: [{ ufid: '1', name: 'Ann', role: 'phd', purged: false, fieldStamps: { role: '2026-10-19T11:00:00.000Z@kiosk-b' } }],
+      attendance: [{ id: 2, uid: 'kiosk-b-y-0', ufid: '1', action: 'signin', timestamp: '2026-10-19T13:00:40.000Z', stamp: 'b' }]
+    };
+
+    const conflicts = findConflicts({ base, mine, others: [theirs], stamp });
+    expect(conflicts.map(c => c.type).sort()).toEqual(['attendance-duplicate', 'student-field']);
+    expect(conflicts.find(c => c.type === 'student-field')).toMatchObject({ key: '1', field: 'role', local: 'ra', remote: 'phd', remoteDevice: 'kiosk-b' });
+    expect(conflicts.find(c => c.type === 'attendance-duplicate').remoteDevice).toBe('kiosk-b');
+
+    const merged = { students: mergeStudents([mine.students, theirs.students]), attendance: [] };
+    expect(merged.students[0].role).toBe('phd');
+    expect(holdConflicts(merged, mine, conflicts).students[0].role).toBe('ra');
+  });
+});
+
+describe('DropboxService peer sync', () => {
+  const dirs = [];
+
+  // Two kiosks sharing one in-memory Dropbox folder
+  function makeKiosk(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiosk-'));
+    dirs.push(dir);
+    const dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+
+    const service = new DropboxService(dataManager);
+    service.dropbox = {};
+    service.ensureDefaultFolders = async () => ({ success: true });
+    service.getMeta = async p => (files.has(p) ? {} : null);
+    service.downloadBuffer = async p => ({ buf: Buffer.from(files.get(p)) });
+    service.uploadBuffer = async (p, buf) => { files.set(p, buf.toString()); };
+    service.listFiles = async folder => ({
+      success: true,
+      files: [...files.keys()].filter(p => p.startsWith(`${folder}/`)).map(p => ({ name: path.basename(p), path: p }))
+    });
+    return { dataManager, service };
+  }
+
+  afterEach(() => {
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('two kiosks both accept sign-ins and converge', async () => {
+    const files = new Map();
+    const a = makeKiosk(files);
+    const b = makeKiosk(files);
+    expect(a.dataManager.getDeviceId()).not.toBe(b.dataManager.getDeviceId());
+
+    a.dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    await a.service.syncPeers();
+    await b.service.syncPeers();
+    expect(b.dataManager.getStudents().map(s => s.ufid)).toEqual(['12345678']);
+
+    const signin = { id: 1000, ufid: '12345678', name: 'Ann Lee', action: 'signin' };
+    a.dataManager.addAttendanceRecord({ ...signin, timestamp: '2026-10-19T13:00:00.000Z' });
+    b.dataManager.addAttendanceRecord({ ...signin, timestamp: '2026-10-19T14:00:00.000Z' });
+    a.dataManager.updateStudent('12345678', { role: 'ra' });
+    b.dataManager.updateStudent('12345678', { email: 'ann.lee@ufl.edu' });
+
+    await a.service.syncPeers();
+    await b.service.syncPeers();
+    const result = await a.service.syncPeers();
+    expect(result).toMatchObject({ success: true, mode: 'peer', changed: true, peers: 1 });
+
+    for (const kiosk of [a, b]) {
+      const attendance = kiosk.dataManager.getAttendance();
+      expect(attendance.map(r => r.timestamp)).toEqual(['2026-10-19T13:00:00.000Z', '2026-10-19T14:00:00.000Z']);
+      expect(new Set(attendance.map(r => r.id)).size).toBe(2);
+      expect(kiosk.dataManager.getStudents()[0]).toMatchObject({ role: 'ra', email: 'ann.lee@ufl.edu' });
+    }
+    expect((await b.service.syncPeers()).changed).toBe(false);
+  });
+
+  test('holds an edit made on both kiosks until an admin picks a side', async () => {
+    const files = new Map();
+    const a = makeKiosk(files);
+    const b = makeKiosk(files);
+    a.dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    await a.service.syncPeers();
+    await b.service.syncPeers();
+
+    a.dataManager.updateStudent('12345678', { role: 'phd' });
+    b.dataManager.updateStudent('12345678', { role: 'ops' });
+    await a.service.syncPeers();
+    const held = await b.service.syncPeers();
+    expect(held.conflicts).toBe(1);
+    expect(b.dataManager.getStudents()[0].role).toBe('ops');
+
+    const [conflict] = b.dataManager.getSyncConflicts({ status: 'open' });
+    expect(conflict).toMatchObject({ type: 'student-field', field: 'role', local: 'ops', remote: 'phd' });
+    expect(b.dataManager.resolveSyncConflict(conflict.id, 'both').success).toBe(false);
+    expect(b.dataManager.resolveSyncConflict(conflict.id, 'remote').success).toBe(true);
+    expect(b.dataManager.getStudents()[0].role).toBe('phd');
+    expect(b.dataManager.getSyncConflicts({ status: 'open' })).toEqual([]);
+
+    await b.service.syncPeers();
+    await a.service.syncPeers();
+    expect(a.dataManager.getStudents()[0].role).toBe('phd');
+    expect(b.dataManager.getAuditLog({ action: 'student.conflict_resolve' }).entries).toHaveLength(1);
+  });
+
+  test('keeping one of two duplicate sign-ins trashes the other', async () => {
+    const files = new Map();
+    const a = makeKiosk(files);
+    const b = makeKiosk(files);
+    a.dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    await a.service.syncPeers();
+    await b.service.syncPeers();
+
+    const signin = { ufid: '12345678', name: 'Ann Lee', action: 'signin' };
+    a.dataManager.addAttendanceRecord({ ...signin, id: 1, timestamp: '2026-10-19T13:00:00.000Z' });
+    b.dataManager.addAttendanceRecord({ ...signin, id: 2, timestamp: '2026-10-19T13:00:30.000Z' });
+    await a.service.syncPeers();
+    await b.service.syncPeers();
+
+    const [conflict] = b.dataManager.getSyncConflicts({ status: 'open' });
+    expect(conflict.type).toBe('attendance-duplicate');
+    expect(b.dataManager.resolveSyncConflict(conflict.id, 'local').success).toBe(true);
+    expect(b.dataManager.getAttendance().map(r => r.timestamp)).toEqual(['2026-10-19T13:00:30.000Z']);
+
+    await b.service.syncPeers();
+    await a.service.syncPeers();
+    expect(a.dataManager.getAttendance().map(r => r.timestamp)).toEqual(['2026-10-19T13:00:30.000Z']);
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pairSessions, sessionMinutes, clipSession } = require('../../sessions.js');
+const DatabaseManager = require('../../databaseManager.js');
+
+const rec = (id, ufid, action, timestamp, extra = {}) => ({ id, ufid, name: 'Test', action, timestamp, ...extra });
+
+describe('Session pairing', () => {
+  test('pairs signin/signout and keeps the latest open signin', () => {
+    const sessions = pairSessions([
+      rec(3, 'A', 'signout', '2025-01-06T17:00:00.000Z'),
+      rec(1, 'A', 'signin', '2025-01-06T13:00:00.000Z'),
+      rec(2, 'A', 'signin', '2025-01-06T14:00:00.000Z')
+    ]);
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ signinId: 2, signoutId: 3, source: 'kiosk' });
+    expect(sessionMinutes(sessions[0])).toBe(180);
+  });
+
+  test('ignores orphan signouts and leaves trailing signins open', () => {
+    const sessions = pairSessions([
+      rec(1, 'A', 'signout', '2025-01-06T12:00:00.000Z'),
+      rec(2, 'A', 'signin', '2025-01-06T13:00:00.000Z')
+    ]);
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ signinId: 2, out: null, source: 'open' });
+    expect(sessionMinutes(sessions[0])).toBe(0);
+    expect(sessionMinutes(sessions[0], new Date('2025-01-06T14:30:00.000Z'))).toBe(90);
+  });
+
+  test('tags auto and pending sign-outs', () => {
+    const sessions = pairSessions([
+      rec(1, 'A', 'signin', '2025-01-06T13:00:00.000Z'),
+      rec(2, 'A', 'signout', '2025-01-06T22:00:00.000Z', { synthetic: true }),
+      rec(3, 'B', 'signin', '2025-01-06T13:00:00.000Z'),
+      rec(4, 'B', 'signout', '2025-01-06T13:00:00.000Z', { pendingTimestamp: true, pendingRecordId: 'p1' })
+    ]);
+
+    expect(sessions.find(s => s.ufid === 'A')).toMatchObject({ source: 'auto', synthetic: true });
+    expect(sessions.find(s => s.ufid === 'B')).toMatchObject({ source: 'pending', pending: true, pendingRecordId: 'p1' });
+  });
+
+  test('clips a session that crosses midnight to each day window', () => {
+    const session = { in: '2025-01-06T22:00:00.000Z', out: '2025-01-07T01:00:00.000Z' };
+    const midnight = new Date('2025-01-07T00:00:00.000Z');
+
+    expect(clipSession(session, new Date('2025-01-06T00:00:00.000Z'), midnight)).toEqual({
+      in: '2025-01-06T22:00:00.000Z', out: '2025-01-07T00:00:00.000Z', startsBefore: false, endsAfter: true
+    });
+    expect(clipSession(session, midnight, new Date('2025-01-08T00:00:00.000Z'))).toMatchObject({
+      in: '2025-01-07T00:00:00.000Z', out: '2025-01-07T01:00:00.000Z', startsBefore: true
+    });
+    expect(clipSession(session, new Date('2025-01-08T00:00:00.000Z'), new Date('2025-01-09T00:00:00.000Z'))).toBeNull();
+  });
+});
+
+describe('DatabaseManager sessions table', () => {
+  let dataDir;
+  let db;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+    db = new DatabaseManager({ dataDir });
+    await db.initialize();
+    db.upsertStudent({ ufid: '12345678', name: 'Test Student' });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('stays in sync with attendance writes, deletes and pending resolution', () => {
+    db.addAttendanceRecord(rec(1, '12345678', 'signin', '2025-01-06T13:00:00.000Z'));
+    expect(db.getSessions()).toEqual([expect.objectContaining({ signinId: 1, out: null })]);
+
+    db.addAttendanceRecord(rec(2, '12345678', 'signout', '2025-01-06T13:00:00.000Z', {
+      pendingTimestamp: true,
+      pendingRecordId: 'p1'
+    }));
+    expect(db.getSessions()[0]).toMatchObject({ signoutId: 2, pending: true });
+
+    db.updateAttendanceByPendingId('p1', { timestamp: '2025-01-06T16:00:00.000Z' });
+    expect(db.getSessions()[0]).toMatchObject({ out: '2025-01-06T16:00:00.000Z', pending: false });
+
+    db.deleteAttendanceRecord(2);
+    expect(db.getSessions()[0]).toMatchObject({ signoutId: null, out: null });
+
+    db.deleteAttendanceRecord(1);
+    expect(db.getSessionCount()).toBe(0);
+  });
+
+  test('re-pairs only after the last session closed before a change, saving once per write', () => {
+    db.importAttendance([
+      rec(1, '12345678', 'signin', '2025-01-06T13:00:00.000Z'),
+      rec(2, '12345678', 'signout', '2025-01-06T15:00:00.000Z'),
+      rec(3, '12345678', 'signin', '2025-01-07T13:00:00.000Z'),
+      rec(4, '12345678', 'signout', '2025-01-07T15:00:00.000Z')
+    ]);
+    const run = db.getDb().run.bind(db.getDb());
+    const writes = [];
+    jest.spyOn(db.getDb(), 'run').mockImplementation((sql, params) => {
+      writes.push({ sql, params });
+      return run(sql, params);
+    });
+    const save = jest.spyOn(db.sqliteDb, 'save');
+
+    db.addAttendanceRecord(rec(5, '12345678', 'signin', '2025-01-08T13:00:00.000Z'));
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(writes.filter(w => w.sql.includes('INSERT INTO sessions'))).toHaveLength(1);
+
+    // A correction inside an earlier day re-pairs from the session closed before it
+    db.addAttendanceRecord(rec(6, '12345678', 'signin', '2025-01-07T14:00:00.000Z'));
+    db.deleteAttendanceRecord(2);
+    db.restoreAttendanceRecord(2);
+    const repaired = db.getSessions();
+    db.rebuildAllSessions();
+    expect(repaired).toEqual(db.getSessions());
+    expect(repaired.map(s => [s.signinId, s.signoutId])).toEqual([[1, 2], [6, 4], [5, null]]);
+  });
+
+  test('filters sessions by overlap with a time window', () => {
+    db.importAttendance([
+      rec(1, '12345678', 'signin', '2025-01-06T13:00:00.000Z'),
+      rec(2, '12345678', 'signout', '2025-01-06T15:00:00.000Z'),
+      rec(3, '12345678', 'signin', '2025-01-08T13:00:00.000Z')
+    ]);
+
+    expect(db.getSessionCount()).toBe(2);
+    expect(db.getSessions({ start: '2025-01-07T00:00:00.000Z', end: '2025-01-07T23:59:59.999Z' })).toHaveLength(0);
+    expect(db.getSessions({ start: '2025-01-09T00:00:00.000Z' })).toEqual([
+      expect.objectContaining({ signinId: 3, name: 'Test' })
+    ]);
+  });
+});
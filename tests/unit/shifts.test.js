@@ -0,0 +1,63 @@
+const DataManager = require('../../data.js');
+const testUtils = require('../helpers/testUtils');
+const { normalizeShifts, evaluateShift, formatShift } = require('../../shifts.js');
+
+// Tue 2025-01-07 1 PM - 5 PM Eastern
+const WINDOW = { start: new Date('2025-01-07T18:00:00.000Z'), end: new Date('2025-01-07T22:00:00.000Z') };
+
+describe('Shift helpers', () => {
+  test('normalizes shifts and drops invalid entries', () => {
+    expect(normalizeShifts(JSON.stringify([
+      { day: 4, start: '09:00', end: '12:00' },
+      { day: 2, start: '13:00', end: '17:00' },
+      { day: 7, start: '09:00', end: '10:00' },
+      { day: 1, start: '15:00', end: '14:00' }
+    ]))).toEqual([
+      { day: 2, start: '13:00', end: '17:00' },
+      { day: 4, start: '09:00', end: '12:00' }
+    ]);
+    expect(normalizeShifts('not json')).toEqual([]);
+    expect(formatShift({ day: 2, start: '13:00', end: '17:30' })).toBe('Tue 1:00 PM–5:30 PM');
+  });
+
+  test('classifies on-time, late, awaiting and no-show shifts', () => {
+    const after = new Date('2025-01-07T23:00:00.000Z');
+
+    expect(evaluateShift(WINDOW, [{ in: '2025-01-07T18:05:00.000Z', out: '2025-01-07T22:00:00.000Z' }], after))
+      .toMatchObject({ status: 'on_time', minutesLate: 5, attendedHours: 3.92 });
+    expect(evaluateShift(WINDOW, [{ in: '2025-01-07T19:00:00.000Z', out: null }], after))
+      .toMatchObject({ status: 'late', minutesLate: 60, attendedHours: 3 });
+    expect(evaluateShift(WINDOW, [], new Date('2025-01-07T19:00:00.000Z')).status).toBe('awaiting');
+    expect(evaluateShift(WINDOW, [{ in: '2025-01-07T15:00:00.000Z', out: '2025-01-07T17:00:00.000Z' }], after))
+      .toMatchObject({ status: 'no_show', attendedHours: 0 });
+  });
+});
+
+describe('DataManager shifts', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+    dataManager.updateStudent('12345678', { shifts: [{ day: 2, start: '13:00', end: '17:00' }] });
+  });
+
+  test('lists students whose shift is running now', () => {
+    const now = new Date('2025-01-07T19:00:00.000Z');
+
+    expect(dataManager.getStudents()[0].shifts).toEqual([{ day: 2, start: '13:00', end: '17:00' }]);
+    expect(dataManager.getExpectedNow(now)).toEqual([
+      expect.objectContaining({ ufid: '12345678', present: false, status: 'awaiting', label: 'Tue 1:00 PM–5:00 PM' })
+    ]);
+
+    dataManager.addAttendanceRecord({ id: 1, ufid: '12345678', name: 'Test Student', action: 'signin', timestamp: '2025-01-07T18:30:00.000Z' });
+    expect(dataManager.getExpectedNow(now)[0]).toMatchObject({ present: true, status: 'late', minutesLate: 30 });
+
+    expect(dataManager.getExpectedNow(new Date('2025-01-08T19:00:00.000Z'))).toEqual([]);
+    dataManager.addClosure({ date: '2025-01-07', name: 'Snow day' });
+    expect(dataManager.getExpectedNow(now)).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DropboxService = require('../../dropboxService.js');
+const { buildSnapshot, diffEvents, hashState, parseNdjson, replay, toNdjson } = require('../../syncJournal.js');
+
+describe('Sync journal', () => {
+  test('turns changes since the last push into events and replays them', () => {
+    const before = {
+      students: [{ ufid: '1', name: 'Ann', role: 'volunteer' }, { ufid: '2', name: 'Bo' }],
+      attendance: [{ id: 1, uid: 'k-a', ufid: '1', action: 'signin', timestamp: '2026-10-19T13:00:00.000Z' }]
+    };
+    const after = {
+      students: [{ ufid: '1', name: 'Ann', role: 'ra' }],
+      attendance: [...before.attendance, { id: 2, uid: 'k-b', ufid: '1', action: 'signout', timestamp: '2026-10-19T15:00:00.000Z' }]
+    };
+
+    const events = diffEvents(after, hashState(before), { device: 'kiosk-a', seq: 4, at: '2026-10-19T16:00:00.000Z' });
+    expect(events.map(e => [e.seq, e.entity, e.op, e.key])).toEqual([
+      [5, 'student', 'put', '1'],
+      [6, 'student', 'del', '2'],
+      [7, 'attendance', 'put', 'k-b']
+    ]);
+    expect(diffEvents(after, hashState(after), { device: 'kiosk-a', seq: 7, at: 'x' })).toEqual([]);
+
+    // A cut-off last line (interrupted upload) is skipped
+    const segment = toNdjson(events) + '{"seq":8,"ent';
+    expect(replay(before, parseNdjson(segment))).toEqual(after);
+  });
+
+  test('skips events a snapshot already folds in', () => {
+    const state = { students: [{ ufid: '1', name: 'Ann', role: 'ra' }], attendance: [] };
+    const old = diffEvents(state, hashState({ students: [], attendance: [] }), { device: 'kiosk-a', seq: 0, at: 't1' });
+    const snapshot = buildSnapshot({ students: [{ ufid: '1', name: 'Ann', role: 'phd' }], attendance: [] }, { 'kiosk-a': 1 }, 'kiosk-a');
+
+    expect(replay(snapshot, old).students[0].role).toBe('phd');
+  });
+});
+
+describe('DropboxService delta sync', () => {
+  const dirs = [];
+
+  // A pushing and a pulling kiosk sharing one in-memory Dropbox folder
+  function makeKiosk(files, uploads, dropbox) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiosk-'));
+    dirs.push(dir);
+    const dataManager = new DataManager();
+    dataManager.setDataDir(dir);
+    dataManager.initializeData();
+    dataManager.updateDropboxConfig({ deltaSync: true, ...dropbox });
+
+    let clock = 0;
+    const service = new DropboxService(dataManager);
+    service.dropbox = {};
+    service.ensureDefaultFolders = async () => ({ success: true });
+    service.getMeta = async p => (files.has(p) ? {} : null);
+    service.downloadBuffer = async p => ({ buf: Buffer.from(files.get(p).body) });
+    service.uploadBuffer = async (p, buf) => {
+      files.set(p, { body: buf.toString(), modified: `2026-10-19T00:00:${String(++clock).padStart(2, '0')}Z` });
+      uploads.push(path.basename(p));
+    };
+    service.deleteFile = async p => { files.delete(p); };
+    service.listFiles = async folder => ({
+      success: true,
+      files: [...files.keys()].filter(p => path.dirname(p) === folder).map(p => ({
+        name: path.basename(p), path: p, size: files.get(p).body.length, modified: files.get(p).modified
+      }))
+    });
+    return { dataManager, service };
+  }
+
+  afterEach(() => {
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('pushes only new events and pulling kiosks rebuild from snapshot + journal', async () => {
+    const files = new Map();
+    const uploads = [];
+    const writer = makeKiosk(files, uploads, { masterMode: false });
+    const reader = makeKiosk(files, [], { masterMode: true });
+    const signin = { ufid: '12345678', name: 'Ann Lee', action: 'signin' };
+
+    writer.dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    writer.dataManager.addAttendanceRecord({ ...signin, id: 1, timestamp: '2026-10-19T13:00:00.000Z' });
+    expect(await writer.service.pushAll(writer.dataManager.dataDir)).toMatchObject({ success: true, delta: true, compacted: true });
+    expect(uploads.sort()).toEqual(['attendance.json', 'snapshot.json', 'students.json']);
+
+    expect((await reader.service.pullAll(reader.dataManager.dataDir)).results).toEqual([{ file: 'journal/snapshot.json', action: 'pull' }]);
+    await reader.dataManager.reloadFromJson();
+    expect(reader.dataManager.getStudents().map(s => s.ufid)).toEqual(['12345678']);
+
+    uploads.length = 0;
+    writer.dataManager.addAttendanceRecord({ ...signin, id: 2, action: 'signout', timestamp: '2026-10-19T15:00:00.000Z' });
+    expect(await writer.service.pushAll(writer.dataManager.dataDir)).toMatchObject({ compacted: false, events: 1 });
+    expect(uploads).toEqual([expect.stringMatching(/^\d{4}-\d{2}-\d{2}\.kiosk-[0-9a-f]+\.ndjson$/)]);
+    expect((await writer.service.pushAll(writer.dataManager.dataDir)).events).toBe(0);
+    expect(uploads).toHaveLength(1);
+
+    const pulled = await reader.service.pullAll(reader.dataManager.dataDir);
+    expect(pulled.results.map(r => r.file)).toEqual([`journal/${uploads[0]}`]);
+    await reader.dataManager.reloadFromJson();
+    expect(reader.dataManager.getAttendance().map(r => r.action)).toEqual(['signin', 'signout']);
+    expect((await reader.service.pullAll(reader.dataManager.dataDir)).results).toEqual([{ file: 'journal', action: 'noop' }]);
+  });
+
+  test('compaction replaces the segments with a snapshot', async () => {
+    const files = new Map();
+    const writer = makeKiosk(files, [], { masterMode: false });
+    const reader = makeKiosk(files, [], { masterMode: true });
+
+    writer.dataManager.addStudent('12345678', 'Ann Lee', 'ann@ufl.edu');
+    await writer.service.pushAll(writer.dataManager.dataDir);
+    writer.dataManager.addStudent('87654321', 'Bo Chen', 'bo@ufl.edu');
+    await writer.service.pushAll(writer.dataManager.dataDir);
+    await reader.service.pullAll(reader.dataManager.dataDir);
+
+    const pushed = writer.dataManager.readJournalState().push;
+    writer.dataManager.saveJournalState('push', { ...pushed, compactedAt: new Date(Date.now() - 8 * 86400000).toISOString() });
+    writer.dataManager.updateStudent('87654321', { role: 'ra' });
+    expect(await writer.service.pushAll(writer.dataManager.dataDir)).toMatchObject({ success: true, compacted: true });
+    expect([...files.keys()].filter(p => p.endsWith('.ndjson'))).toEqual([]);
+
+    await reader.service.pullAll(reader.dataManager.dataDir);
+    expect(fs.readdirSync(reader.dataManager.journalDir)).toEqual(['snapshot.json']);
+    await reader.dataManager.reloadFromJson();
+    expect(reader.dataManager.getStudents().map(s => [s.ufid, s.role])).toEqual([['12345678', 'volunteer'], ['87654321', 'ra']]);
+  });
+});
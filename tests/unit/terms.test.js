@@ -0,0 +1,96 @@
+const DataManager = require('../../data.js');
+const testUtils = require('../helpers/testUtils');
+const { expectationsFor, summarizeWeeks, termWeekStarts, validateTerm } = require('../../terms.js');
+
+describe('Term helpers', () => {
+  const spring = { id: 1, name: 'Spring 2025', startDate: '2025-01-06', endDate: '2025-05-02', defaultExpectations: { phd: { expectedHoursPerWeek: 20, expectedDaysPerWeek: 4 } } };
+
+  test('rejects overlapping terms', () => {
+    expect(validateTerm({ name: 'Summer', startDate: '2025-05-01', endDate: '2025-08-01' }, [spring])).toMatch(/Overlaps with Spring 2025/);
+    expect(validateTerm({ ...spring, endDate: '2025-05-09' }, [spring])).toBeNull();
+    expect(validateTerm({ name: 'Bad', startDate: '2025-02-01', endDate: '2025-01-01' })).toMatch(/on or after/);
+  });
+
+  test('prefers the student override, then the role default, then the student record', () => {
+    const phd = { ufid: '1', role: 'phd', expectedHoursPerWeek: 10, expectedDaysPerWeek: 2 };
+    expect(expectationsFor(phd, spring)).toEqual({ expectedHoursPerWeek: 20, expectedDaysPerWeek: 4, source: 'term-default' });
+    expect(expectationsFor(phd, spring, [{ ufid: '1', termId: 1, expectedHoursPerWeek: 12, expectedDaysPerWeek: 3 }]))
+      .toEqual({ expectedHoursPerWeek: 12, expectedDaysPerWeek: 3, source: 'student-term' });
+    expect(expectationsFor({ ...phd, role: 'ops' }, spring).source).toBe('student');
+    expect(expectationsFor(phd, null).expectedHoursPerWeek).toBe(10);
+  });
+
+  test('counts streaks and skips unjudged weeks', () => {
+    const week = (totalHours, expectedHours, complete = true) => ({ totalHours, expectedHours, complete });
+    expect(summarizeWeeks([week(5, 4), week(4, 4), week(1, 0), week(1, 4), week(0, 4), week(6, 4), week(0, 4, false)])).toEqual({
+      totalHours: 17, expectedHours: 24, weeksMet: 3, weeksMissed: 2,
+      currentMetStreak: 1, longestMetStreak: 2, longestMissedStreak: 2
+    });
+    expect(termWeekStarts({ startDate: '2025-01-08', endDate: '2025-01-20' })).toEqual(['2025-01-06', '2025-01-13', '2025-01-20']);
+  });
+});
+
+describe('DataManager academic terms', () => {
+  let dataManager;
+
+  const session = (id, ufid, day, hours) => {
+    dataManager.addAttendanceRecord({ id, ufid, name: 'PhD Student', action: 'signin', timestamp: `${day}T14:00:00.000Z` });
+    dataManager.addAttendanceRecord({ id: id + 1, ufid, name: 'PhD Student', action: 'signout', timestamp: new Date(Date.parse(`${day}T14:00:00.000Z`) + hours * 3600000).toISOString() });
+  };
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+
+    dataManager.addStudent('11111111', 'PhD Student', 'phd@ufl.edu', { role: 'phd', expectedHoursPerWeek: 10 });
+    session(1, '11111111', '2025-01-07', 5);
+    session(3, '11111111', '2025-01-14', 1);
+    session(5, '11111111', '2025-01-21', 5);
+  });
+
+  test('weekly reports use the term default for the role', () => {
+    expect(dataManager.saveTerm({
+      name: 'Spring 2025', startDate: '2025-01-06', endDate: '2025-01-26',
+      defaultExpectations: { PhD: { expectedHoursPerWeek: 4, expectedDaysPerWeek: 1 } }
+    }).success).toBe(true);
+    expect(dataManager.saveTerm({ name: 'Overlap', startDate: '2025-01-20', endDate: '2025-02-01' }).success).toBe(false);
+
+    const report = dataManager.generateWeeklyReport(new Date('2025-01-08T17:00:00.000Z'));
+    expect(report.term).toMatchObject({ name: 'Spring 2025' });
+    expect(report.studentReports['11111111']).toMatchObject({ fullWeekExpectedHours: 4, expectationSource: 'term-default' });
+
+    const outside = dataManager.generateWeeklyReport(new Date('2025-02-05T17:00:00.000Z'));
+    expect(outside.term).toBeNull();
+    expect(outside.studentReports['11111111'].fullWeekExpectedHours).toBe(10);
+  });
+
+  test('summarizes a term with overrides, streaks and CSV', () => {
+    const { term } = dataManager.saveTerm({
+      name: 'Spring 2025', startDate: '2025-01-06', endDate: '2025-01-26',
+      defaultExpectations: { phd: { expectedHoursPerWeek: 4, expectedDaysPerWeek: 1 } }
+    });
+
+    let summary = dataManager.computeTermSummary(term.id, new Date('2025-01-28T17:00:00.000Z'));
+    expect(summary.weeks.map(w => w.weekStart)).toEqual(['2025-01-06', '2025-01-13', '2025-01-20']);
+    expect(summary.students[0]).toMatchObject({
+      ufid: '11111111', totalHours: 11, expectedHours: 12, weeksMet: 2, weeksMissed: 1,
+      currentMetStreak: 1, longestMetStreak: 1, expectationSource: 'term-default'
+    });
+
+    expect(dataManager.setStudentTermExpectation('11111111', term.id, { expectedHoursPerWeek: 1, expectedDaysPerWeek: 1 }).success).toBe(true);
+    summary = dataManager.computeTermSummary(term.id, new Date('2025-01-28T17:00:00.000Z'));
+    expect(summary.students[0]).toMatchObject({ weeksMet: 3, currentMetStreak: 3, expectationSource: 'student-term' });
+
+    // Mid-term: the current week is not judged yet
+    summary = dataManager.computeTermSummary(term.id, new Date('2025-01-22T17:00:00.000Z'));
+    expect(summary.students[0]).toMatchObject({ weeksMet: 2, totalHours: 11 });
+
+    const { csv } = dataManager.exportTermSummaryCsv(term.id);
+    expect(csv.split('\n')[1]).toMatch(/^11111111,PhD Student,phd,active,1,/);
+
+    expect(dataManager.removeTerm(term.id).success).toBe(true);
+    expect(dataManager.getStudentTermExpectations()).toEqual([]);
+  });
+});
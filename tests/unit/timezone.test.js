@@ -0,0 +1,31 @@
+const zone = require('../../timezone.js');
+
+describe('Timezone helpers', () => {
+  test('falls back to the default zone for unknown names', () => {
+    expect(zone.isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(zone.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(zone.resolveTimeZone('')).toBe(zone.DEFAULT_TIMEZONE);
+  });
+
+  test('computes day windows in the zone, not the host', () => {
+    const instant = new Date('2025-01-07T02:00:00.000Z');
+
+    expect(zone.formatYmd(instant, 'America/New_York')).toBe('2025-01-06');
+    expect(zone.formatYmd(instant, 'Asia/Kolkata')).toBe('2025-01-07');
+    expect(zone.startOfDay(instant, 'America/New_York').toISOString()).toBe('2025-01-06T05:00:00.000Z');
+    expect(zone.startOfDay(instant, 'Asia/Kolkata').toISOString()).toBe('2025-01-06T18:30:00.000Z');
+    expect(zone.parseDay('2025-01-07', 'Pacific/Auckland').toISOString()).toBe('2025-01-06T11:00:00.000Z');
+    expect(zone.startOfWeek(instant, 'America/New_York').toISOString()).toBe('2025-01-06T05:00:00.000Z');
+  });
+
+  test('handles DST transitions', () => {
+    // US spring-forward day is 23 hours long, fall-back day is 25
+    const spring = zone.parseDay('2025-03-09', 'America/New_York');
+    const fall = zone.parseDay('2025-11-02', 'America/New_York');
+
+    expect(zone.startOfDay(spring, 'America/New_York', 1) - spring).toBe(23 * 3600000);
+    expect(zone.startOfDay(fall, 'America/New_York', 1) - fall).toBe(25 * 3600000);
+    expect(zone.atTimeOfDay(spring, 17, 0, 'America/New_York').toISOString()).toBe('2025-03-09T21:00:00.000Z');
+    expect(zone.atTimeOfDay(fall, 17, 0, 'America/New_York').toISOString()).toBe('2025-11-02T22:00:00.000Z');
+  });
+});
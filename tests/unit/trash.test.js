@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../../data.js');
+const DatabaseManager = require('../../databaseManager.js');
+const testUtils = require('../helpers/testUtils');
+
+describe('DataManager trash (JSON mode)', () => {
+  let dataManager;
+
+  beforeEach(() => {
+    testUtils.setupCleanEnvironment();
+    dataManager = new DataManager();
+    dataManager.setDataDir(testUtils.testDataDir);
+    dataManager.initializeData();
+  });
+
+  test('deleted records are hidden until restored', () => {
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+    const { record } = dataManager.addAttendanceWithValidation('12345678', 'Test Student', 'signin');
+
+    expect(dataManager.deleteAttendanceRecord(record.id).success).toBe(true);
+    expect(dataManager.getAttendance()).toEqual([]);
+    expect(dataManager.getCurrentStatus('12345678')).toBe('never_signed_in');
+    expect(dataManager.deleteAttendanceRecord(record.id).success).toBe(false);
+    expect(dataManager.getTrash().attendance).toEqual([expect.objectContaining({ id: record.id })]);
+
+    expect(dataManager.restoreAttendanceRecord(record.id).success).toBe(true);
+    expect(dataManager.getAttendance()).toHaveLength(1);
+    expect(dataManager.getAttendance()[0].deletedAt).toBeUndefined();
+    expect(dataManager.getTrash().attendance).toEqual([]);
+  });
+
+  test('removing a student keeps their history; purge only removes trashed rows', () => {
+    dataManager.addStudent('12345678', 'Test Student', 'test@ufl.edu');
+    dataManager.addAttendanceWithValidation('12345678', 'Test Student', 'signin');
+
+    expect(dataManager.purgeStudent('12345678').success).toBe(false);
+    dataManager.removeStudent('12345678', { reason: 'Graduated' });
+
+    expect(dataManager.getStudents()).toEqual([]);
+    expect(dataManager.isStudentAuthorized('12345678')).toBeNull();
+    expect(dataManager.getAttendance()).toHaveLength(1);
+    expect(dataManager.getTrash().students).toEqual([expect.objectContaining({ ufid: '12345678' })]);
+
+    expect(dataManager.purgeStudent('12345678', { reason: 'Requested' }).success).toBe(true);
+    expect(dataManager.getStudents({ includeDeleted: true })).toEqual([]);
+    expect(dataManager.getAttendance()).toHaveLength(1);
+
+    const actions = dataManager.getAuditLog({ entityType: 'student' }).entries.map(e => e.action);
+    expect(actions).toEqual(expect.arrayContaining(['student.delete', 'student.purge']));
+  });
+});
+
+describe('DatabaseManager soft delete', () => {
+  let dataDir;
+  let db;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-test-'));
+    db = new DatabaseManager({ dataDir });
+    await db.initialize();
+    db.upsertStudent({ ufid: '12345678', name: 'Test Student' });
+    db.addAttendanceRecord({ id: 1, ufid: '12345678', name: 'Test Student', action: 'signin', timestamp: '2025-01-07T14:00:00.000Z' });
+    db.addAttendanceRecord({ id: 2, ufid: '12345678', name: 'Test Student', action: 'signout', timestamp: '2025-01-07T16:00:00.000Z' });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('trashed rows are excluded from queries and stats', () => {
+    expect(db.deleteAttendanceRecord(2).success).toBe(true);
+
+    expect(db.getAttendance().map(r => r.id)).toEqual([1]);
+    expect(db.getAttendanceById(2)).toBeNull();
+    expect(db.getAttendanceById(2, { includeDeleted: true }).deletedAt).toBeTruthy();
+    expect(db.getCurrentStatus('12345678')).toBe('signin');
+    expect(db.getSessions().every(s => s.signoutId !== 2)).toBe(true);
+    expect(db.getStats()).toMatchObject({ students: 1, attendance: 1, trash: 1 });
+
+    expect(db.restoreAttendanceRecord(2).success).toBe(true);
+    expect(db.getAttendanceCount()).toBe(2);
+  });
+
+  test('removing a student keeps attendance and purge needs the row in trash', () => {
+    expect(db.purgeAttendanceRecord(1).success).toBe(false);
+    db.removeStudent('12345678');
+
+    expect(db.getStudents()).toEqual([]);
+    expect(db.getAttendanceCount()).toBe(2);
+    expect(db.getTrash().students).toEqual([expect.objectContaining({ ufid: '12345678' })]);
+
+    expect(db.purgeStudent('12345678').success).toBe(true);
+    expect(db.getStudentByUfid('12345678', { includeDeleted: true })).toBeNull();
+    expect(db.getAttendanceCount()).toBe(2);
+  });
+});
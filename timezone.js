@@ -0,0 +1,5 @@
+/**
+ * Timezone Helpers - see api/shared/timezone.js, which the cloud API shares
+ */
+
+module.exports = require('./api/shared/timezone.js');
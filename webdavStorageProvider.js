@@ -0,0 +1,204 @@
+/**
+ * WebDAV Storage Provider - backups and sync on a WebDAV server
+ *
+ * Works with Nextcloud/ownCloud, Apache mod_dav, nginx dav and most NAS
+ * boxes. Settings (config.storage.webdav):
+ *   url        e.g. 'https://cloud.example.edu/remote.php/dav/files/lab'
+ *   username, password   (HTTP Basic auth; use https)
+ *
+ * A remote path '/UF-Lab-Attendance/data/students.json' is that path under
+ * the url. Missing folders are created with MKCOL on upload.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { StorageProvider } = require('./storageProvider.js');
+
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+    + '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getcontentlength/><d:getlastmodified/></d:prop></d:propfind>';
+
+// Elements of a multistatus reply, whatever namespace prefix the server uses
+function xmlElements(xml, tag) {
+    return [...xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g'))].map(m => m[1]);
+}
+
+function xmlText(xml, tag) {
+    const [value] = xmlElements(xml, tag);
+    return value === undefined ? null : value.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').trim();
+}
+
+// { href, collection, size, modified } for each resource of a PROPFIND reply
+function parseMultistatus(xml) {
+    return xmlElements(xml, 'response').map(response => {
+        const modified = xmlText(response, 'getlastmodified');
+        return {
+            href: xmlText(response, 'href') || '',
+            collection: /<(?:[\w-]+:)?collection\s*\/?>/.test(response),
+            size: Number(xmlText(response, 'getcontentlength')) || 0,
+            modified: modified ? new Date(modified).toISOString() : null
+        };
+    });
+}
+
+class WebDavStorageProvider extends StorageProvider {
+    constructor(dataManager) {
+        super(dataManager, { id: 'webdav', label: 'WebDAV' });
+        this.settings = null;
+    }
+
+    initializeFromConfig() {
+        const s = this.getSettings();
+        if (!String(s.url || '').trim()) return { success: false, error: 'WebDAV not configured (missing url)' };
+        try {
+            new URL(s.url);
+        } catch {
+            return { success: false, error: `Invalid WebDAV url: ${s.url}` };
+        }
+        this.settings = s;
+        return { success: true, mode: 'webdav' };
+    }
+
+    urlOf(remotePath, { folder = false } = {}) {
+        const base = new URL(this.settings.url);
+        const parts = String(remotePath || '').split('/').filter(Boolean).map(encodeURIComponent);
+        base.pathname = `${base.pathname.replace(/\/+$/, '')}/${parts.join('/')}${folder && parts.length ? '/' : ''}`;
+        return base;
+    }
+
+    /**
+     * One authenticated request
+     * @returns {Promise<Object>} { status, headers, body (Buffer) }
+     */
+    async request(method, remotePath, { body = null, headers = {}, folder = false } = {}) {
+        if (!this.settings && !this.initializeFromConfig().success) throw new Error('WebDAV not configured');
+        const url = this.urlOf(remotePath, { folder });
+        const all = { ...headers };
+        if (this.settings.username) {
+            all.authorization = `Basic ${Buffer.from(`${this.settings.username}:${this.settings.password || ''}`).toString('base64')}`;
+        }
+        if (body) all['content-length'] = Buffer.byteLength(body);
+
+        return new Promise((resolve, reject) => {
+            const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers: all }, res => {
+                const chunks = [];
+                res.on('data', c => chunks.push(c));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            });
+            req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`WebDAV ${method} timed out`)));
+            req.on('error', reject);
+            req.end(body || undefined);
+        });
+    }
+
+    failure(res, what) {
+        const hint = res.status === 401 ? ' (check username and password)' : '';
+        return new Error(`WebDAV ${what} failed [${res.status}]${hint}`);
+    }
+
+    async propfind(remotePath, depth) {
+        return this.request('PROPFIND', remotePath, {
+            body: PROPFIND_BODY,
+            headers: { depth: String(depth), 'content-type': 'application/xml; charset=utf-8' },
+            folder: depth > 0
+        });
+    }
+
+    async testConnection() {
+        const init = this.initializeFromConfig();
+        if (!init.success) return init;
+        try {
+            const res = await this.propfind('', 0);
+            if (res.status !== 207) throw this.failure(res, 'PROPFIND');
+            const host = new URL(this.settings.url).host;
+            return { success: true, user: this.settings.username ? `${this.settings.username}@${host}` : host };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async ensureFolder(folderPath) {
+        if (!this.ensureConnected()) return { success: false, error: 'WebDAV not configured' };
+        try {
+            // MKCOL needs the parent to exist: create each level down from the top
+            const parts = String(folderPath || '').split('/').filter(Boolean);
+            let created = false;
+            for (let i = 1; i <= parts.length; i++) {
+                const res = await this.request('MKCOL', parts.slice(0, i).join('/'), { folder: true });
+                if (res.status === 201) created = true;
+                else if (res.status !== 405) throw this.failure(res, `MKCOL ${parts.slice(0, i).join('/')}`);
+            }
+            return { success: true, created };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listFiles(folderPath = '', { recursive = false } = {}) {
+        if (!this.ensureConnected()) return { success: false, error: 'WebDAV not configured' };
+        const files = [];
+        const walk = async (folder) => {
+            const res = await this.propfind(folder, 1);
+            if (res.status === 404) return;
+            if (res.status !== 207) throw this.failure(res, `listing of ${folder || '/'}`);
+
+            // Servers encode hrefs their own way: compare decoded paths
+            const pathOf = url => decodeURIComponent(url.pathname).replace(/\/+$/, '');
+            const self = pathOf(this.urlOf(folder, { folder: true }));
+            for (const entry of parseMultistatus(res.body.toString('utf8'))) {
+                const entryPath = pathOf(new URL(entry.href, this.settings.url));
+                if (entryPath === self) continue;
+                const name = entryPath.split('/').pop();
+                const remote = `${folder.replace(/\/+$/, '')}/${name}`;
+                if (entry.collection) {
+                    if (recursive) await walk(remote);
+                    continue;
+                }
+                files.push({ name, path: remote, size: entry.size, modified: entry.modified, type: 'file' });
+            }
+        };
+        try {
+            await walk(folderPath);
+            return { success: true, files };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMeta(remotePath) {
+        const res = await this.propfind(remotePath, 0);
+        if (res.status === 404) return null;
+        if (res.status !== 207) throw this.failure(res, `PROPFIND ${remotePath}`);
+        const [entry] = parseMultistatus(res.body.toString('utf8'));
+        return entry ? { size: entry.size, modified: entry.modified } : {};
+    }
+
+    async downloadBuffer(remotePath) {
+        const res = await this.request('GET', remotePath);
+        if (res.status !== 200) throw this.failure(res, `download of ${remotePath}`);
+        const modified = res.headers['last-modified'];
+        return { buf: res.body, serverModified: modified ? new Date(modified).toISOString() : null };
+    }
+
+    async uploadBuffer(remotePath, buf) {
+        const body = Buffer.from(buf);
+        let res = await this.request('PUT', remotePath, { body });
+        if (res.status === 409) {
+            // Parent folder missing
+            const ensured = await this.ensureFolder(remotePath.slice(0, remotePath.lastIndexOf('/')));
+            if (!ensured.success) throw new Error(ensured.error);
+            res = await this.request('PUT', remotePath, { body });
+        }
+        if (res.status < 200 || res.status >= 300) throw this.failure(res, `upload of ${remotePath}`);
+    }
+
+    async deleteFile(remotePath) {
+        const res = await this.request('DELETE', remotePath);
+        if (res.status !== 404 && (res.status < 200 || res.status >= 300)) throw this.failure(res, `delete of ${remotePath}`);
+    }
+}
+
+module.exports = WebDavStorageProvider;